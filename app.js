@@ -2,13 +2,19 @@ const express = require('express');
 const session = require('express-session');
 const passport = require('passport');
 const DiscordStrategy = require('passport-discord').Strategy;
-const { Client, GatewayIntentBits, PermissionsBitField, ChannelType } = require('discord.js');
+const { Client, GatewayIntentBits, ChannelType } = require('discord.js');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
 
 // Load plugins
 const pluginLoader = require('./plugins/pluginLoader');
+const { createStorage } = require('./storage');
+const { PermissionManager, DASHBOARD_ROLES, ASSIGNABLE_ROLES, CORE_SCOPES } = require('./lib/permissions');
+const { AuditLog } = require('./lib/auditLog');
+const { ActivityAnalytics } = require('./lib/analytics');
+const { LiveUpdates } = require('./lib/liveUpdates');
+const { Logger } = require('./lib/logger');
 
 // Environment variables
 require('dotenv').config();
@@ -16,6 +22,9 @@ require('dotenv').config();
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Shared storage backend (JSON files by default, SQLite with STORAGE_DRIVER=sqlite)
+const dataStorage = createStorage();
+
 // Discord client setup
 const client = new Client({
     intents: [
@@ -29,61 +38,63 @@ const client = new Client({
     ]
 });
 
+// Who can see and change what on the dashboard, per server
+const permissions = new PermissionManager(client, dataStorage);
+
+// Server-Sent Events stream of logs, moderator actions and plugin events for the dashboard
+const liveUpdates = new LiveUpdates(permissions);
+
+// Plugin events streamed to the dashboard, with the plugin whose view permission they need
+const LIVE_PLUGIN_EVENTS = {
+    'filter.hit': 'wordFilterPlugin',
+    'rule.violation': 'channelRulesPlugin',
+    'level.up': 'levelingPlugin',
+    'level.down': 'levelingPlugin',
+    'rep.given': 'reputationPlugin',
+    'rep.changed': 'reputationPlugin'
+};
+
 // =====================================================
 // LOGGING SYSTEM FOR CONSOLE WIDGET
 // =====================================================
 
-// Store recent logs in memory (in production, consider using Redis or database)
-const recentLogs = [];
-const MAX_LOGS = 1000;
+// Structured log for the bot and plugins, written to ./logs and streamed to the
+// dashboard console. LOG_LEVEL sets the lowest level kept (debug, info, warning, error).
+const logger = new Logger({ level: process.env.LOG_LEVEL }, {
+    onEntry: entry => liveUpdates.publish(entry.guildId || null, 'dashboard', 'log', entry)
+});
+
+// Existing console.log calls become log entries too
+logger.captureConsole();
+
+// Hourly and daily message, member and voice activity for the dashboard charts
+const analytics = new ActivityAnalytics(client, dataStorage, { logger });
 
 // Function to add log entry
 function addLogEntry(level, message, serverId = null) {
-    const logEntry = {
-        timestamp: new Date().toISOString(),
-        level,
-        message,
-        serverId
-    };
-    
-    recentLogs.push(logEntry);
-    
-    // Keep only recent logs
-    if (recentLogs.length > MAX_LOGS) {
-        recentLogs.shift();
-    }
-    
-    // Log to console as well
-    const timestamp = new Date().toLocaleTimeString();
-    console.log(`[${timestamp}] ${level.toUpperCase()}: ${message}`);
+    logger.log(level, message, { guildId: serverId || undefined });
 }
 
 // =====================================================
 // MODERATOR ACTION TRACKING
 // =====================================================
 
-// Store moderator actions in memory (in production, use proper storage)
-const moderatorActions = {};
+// Persisted audit log of dashboard changes. Routes behind requirePermission(..., 'manage')
+// are recorded automatically; this is for actions taken some other way.
+const auditLog = new AuditLog(dataStorage, {
+    onRecord: (guildId, entry) => liveUpdates.publish(guildId, 'audit', 'moderator.action', entry)
+});
+
+// Permission check for a dashboard route. Routes that change something also
+// get an audit log entry once they succeed.
+function requirePermission(scope, action) {
+    const check = permissions.require(scope, action);
+    return action === 'manage' ? [check, auditLog.middleware(scope)] : check;
+}
 
 // Function to track moderator actions
 function trackModeratorAction(userId, serverId, action, plugin, details = '') {
-    const key = `${serverId}:${userId}`;
-    const today = new Date().toDateString();
-    
-    if (!moderatorActions[key]) {
-        moderatorActions[key] = {};
-    }
-    
-    if (!moderatorActions[key][today]) {
-        moderatorActions[key][today] = [];
-    }
-    
-    moderatorActions[key][today].push({
-        timestamp: new Date().toISOString(),
-        action,
-        plugin,
-        details
-    });
+    auditLog.record(serverId, { actorId: userId, plugin, action, after: details || null });
     
     // Also add to console log
     addLogEntry('info', `${action} by user ${userId} via ${plugin}`, serverId);
@@ -125,6 +136,15 @@ app.use(session({
 app.use(passport.initialize());
 app.use(passport.session());
 
+// Log entries written while handling a request carry the user and, from the
+// route's :serverId or :guildId, the server
+app.use((req, res, next) => logger.runWith({ userId: req.user?.id }, next, { inherit: false }));
+app.param(['serverId', 'guildId'], (req, res, next, guildId) => {
+    const context = logger.currentContext();
+    if (context) context.guildId = guildId;
+    next();
+});
+
 passport.use(new DiscordStrategy({
     clientID: process.env.DISCORD_CLIENT_ID,
     clientSecret: process.env.DISCORD_CLIENT_SECRET,
@@ -151,32 +171,6 @@ function ensureAuthenticated(req, res, next) {
     res.redirect('/login');
 }
 
-// Helper function to check if user has admin permissions or moderator role in a guild
-async function hasAdminPermissions(userId, guildId) {
-    try {
-        const guild = client.guilds.cache.get(guildId);
-        if (!guild) return false;
-        
-        const member = await guild.members.fetch(userId);
-        
-        // Check if user has Administrator permissions
-        if (member.permissions.has(PermissionsBitField.Flags.Administrator)) {
-            return true;
-        }
-        
-        // Check if user has the specific Moderator role
-        const moderatorRoleId = '957213892810010645';
-        if (member.roles.cache.has(moderatorRoleId)) {
-            return true;
-        }
-        
-        return false;
-    } catch (error) {
-        console.error('Error checking admin permissions:', error);
-        return false;
-    }
-}
-
 // =====================================================
 // BASIC ROUTES
 // =====================================================
@@ -234,14 +228,15 @@ app.get('/api/servers', ensureAuthenticated, async (req, res) => {
         
         for (const [guildId, guild] of client.guilds.cache) {
             try {
-                const hasPerms = await hasAdminPermissions(req.user.id, guildId);
-                if (hasPerms) {
+                const role = await permissions.getDashboardRole(req.user.id, guildId);
+                if (role) {
                     userGuilds.push({
                         id: guild.id,
                         name: guild.name,
                         icon: guild.icon,
                         memberCount: guild.memberCount,
-                        ownerId: guild.ownerId
+                        ownerId: guild.ownerId,
+                        role
                     });
                 }
             } catch (error) {
@@ -256,25 +251,28 @@ app.get('/api/servers', ensureAuthenticated, async (req, res) => {
     }
 });
 
-app.get('/api/channels/:serverId', ensureAuthenticated, async (req, res) => {
+app.get('/api/channels/:serverId', ensureAuthenticated, requirePermission('dashboard', 'view'), async (req, res) => {
     try {
         const { serverId } = req.params;
         
-        if (!await hasAdminPermissions(req.user.id, serverId)) {
-            return res.status(403).json({ error: 'Admin permissions required' });
-        }
-
         const guild = client.guilds.cache.get(serverId);
         if (!guild) {
             return res.status(404).json({ error: 'Server not found' });
         }
 
+        // ?include=voice adds voice and stage channels for settings that apply to them
+        const types = [ChannelType.GuildText];
+        if (req.query.include === 'voice') {
+            types.push(ChannelType.GuildVoice, ChannelType.GuildStageVoice);
+        }
+        
         const channels = guild.channels.cache
-            .filter(channel => channel.type === ChannelType.GuildText) 
+            .filter(channel => types.includes(channel.type)) 
             .sort((a, b) => a.position - b.position)
             .map(channel => ({
                 id: channel.id,
-                name: channel.name
+                name: channel.name,
+                type: channel.type
             }));
         
         res.json(channels);
@@ -284,14 +282,10 @@ app.get('/api/channels/:serverId', ensureAuthenticated, async (req, res) => {
     }
 });
 
-app.get('/api/roles/:serverId', ensureAuthenticated, async (req, res) => {
+app.get('/api/roles/:serverId', ensureAuthenticated, requirePermission('dashboard', 'view'), async (req, res) => {
     try {
         const { serverId } = req.params;
         
-        if (!await hasAdminPermissions(req.user.id, serverId)) {
-            return res.status(403).json({ error: 'Admin permissions required' });
-        }
-
         const guild = client.guilds.cache.get(serverId);
         if (!guild) {
             return res.status(404).json({ error: 'Server not found' });
@@ -320,14 +314,10 @@ app.get('/api/roles/:serverId', ensureAuthenticated, async (req, res) => {
 // =====================================================
 
 // Get online users for a server
-app.get('/api/servers/:serverId/online-users', ensureAuthenticated, async (req, res) => {
+app.get('/api/servers/:serverId/online-users', ensureAuthenticated, requirePermission('dashboard', 'view'), async (req, res) => {
     try {
         const { serverId } = req.params;
         
-        if (!await hasAdminPermissions(req.user.id, serverId)) {
-            return res.status(403).json({ error: 'No admin permissions' });
-        }
-
         const guild = client.guilds.cache.get(serverId);
         if (!guild) {
             return res.status(404).json({ error: 'Server not found' });
@@ -355,14 +345,10 @@ app.get('/api/servers/:serverId/online-users', ensureAuthenticated, async (req,
 });
 
 // Get server stats (member count, etc.)
-app.get('/api/servers/:serverId/stats', ensureAuthenticated, async (req, res) => {
+app.get('/api/servers/:serverId/stats', ensureAuthenticated, requirePermission('dashboard', 'view'), async (req, res) => {
     try {
         const { serverId } = req.params;
         
-        if (!await hasAdminPermissions(req.user.id, serverId)) {
-            return res.status(403).json({ error: 'No admin permissions' });
-        }
-
         const guild = client.guilds.cache.get(serverId);
         if (!guild) {
             return res.status(404).json({ error: 'Server not found' });
@@ -388,41 +374,31 @@ app.get('/api/servers/:serverId/stats', ensureAuthenticated, async (req, res) =>
 });
 
 // Get total messages for a server (from leveling data if available)
-app.get('/api/servers/:serverId/message-stats', ensureAuthenticated, async (req, res) => {
+app.get('/api/servers/:serverId/message-stats', ensureAuthenticated, requirePermission('dashboard', 'view'), async (req, res) => {
     try {
         const { serverId } = req.params;
         
-        if (!await hasAdminPermissions(req.user.id, serverId)) {
-            return res.status(403).json({ error: 'No admin permissions' });
-        }
-
         // Try to get data from leveling plugin
         let totalMessages = 0;
+        let source = 'leveling';
         try {
-            const levelingDataPath = path.join(__dirname, 'data', 'levelingData.json');
-            if (fs.existsSync(levelingDataPath)) {
-                const levelingData = JSON.parse(fs.readFileSync(levelingDataPath, 'utf8'));
-                
-                if (levelingData.users) {
-                    // Sum up messages from all users in this server
-                    Object.values(levelingData.users).forEach(userGuilds => {
-                        if (userGuilds[serverId] && userGuilds[serverId].messages) {
-                            totalMessages += userGuilds[serverId].messages;
-                        }
-                    });
-                }
-            }
+            const levelingUsers = pluginLoader.services.get('leveling')?.getGuildUsers(serverId) || {};
+            
+            // Sum up messages from all users in this server
+            Object.values(levelingUsers).forEach(userData => {
+                totalMessages += userData.messages || 0;
+            });
         } catch (error) {
             console.log('Could not read leveling data for message stats');
         }
         
-        // If no data found, estimate based on server size
+        // Otherwise count what analytics has seen within its retention period
         if (totalMessages === 0) {
-            const guild = client.guilds.cache.get(serverId);
-            totalMessages = guild ? Math.floor(guild.memberCount * 75) : 0;
+            totalMessages = await analytics.getTotalMessages(serverId);
+            source = 'analytics';
         }
         
-        res.json({ totalMessages });
+        res.json({ totalMessages, source });
     } catch (error) {
         console.error('Error fetching message stats:', error);
         res.status(500).json({ error: 'Failed to fetch message stats' });
@@ -430,14 +406,10 @@ app.get('/api/servers/:serverId/message-stats', ensureAuthenticated, async (req,
 });
 
 // Get moderators and their recent actions
-app.get('/api/servers/:serverId/moderators', ensureAuthenticated, async (req, res) => {
+app.get('/api/servers/:serverId/moderators', ensureAuthenticated, requirePermission('dashboard', 'view'), async (req, res) => {
     try {
         const { serverId } = req.params;
         
-        if (!await hasAdminPermissions(req.user.id, serverId)) {
-            return res.status(403).json({ error: 'No admin permissions' });
-        }
-
         const guild = client.guilds.cache.get(serverId);
         if (!guild) {
             return res.status(404).json({ error: 'Server not found' });
@@ -446,17 +418,18 @@ app.get('/api/servers/:serverId/moderators', ensureAuthenticated, async (req, re
         await guild.members.fetch(); // Ensure we have fresh member data
         
         const moderators = [];
-        const moderatorRoleId = '957213892810010645'; // Your specific moderator role ID
+        const roleLabels = { owner: 'Owner', admin: 'Administrator', moderator: 'Moderator' };
+        
+        // Entries are newest first, so the first one per moderator is their last action
+        const startOfDay = new Date().setHours(0, 0, 0, 0);
+        const todayEntries = await auditLog.find(serverId, { from: startOfDay });
         
         guild.members.cache.forEach(member => {
-            const isAdmin = member.permissions.has(PermissionsBitField.Flags.Administrator);
-            const isModerator = member.roles.cache.has(moderatorRoleId);
+            const role = permissions.getMemberRole(member);
             
-            if (isAdmin || isModerator) {
+            if (roleLabels[role]) {
                 // Get action count for today
-                const key = `${serverId}:${member.user.id}`;
-                const today = new Date().toDateString();
-                const todayActions = moderatorActions[key]?.[today] || [];
+                const todayActions = todayEntries.filter(entry => entry.actorId === member.user.id);
                 
                 moderators.push({
                     userId: member.user.id,
@@ -465,9 +438,9 @@ app.get('/api/servers/:serverId/moderators', ensureAuthenticated, async (req, re
                     avatar: member.user.avatar ? 
                         `https://cdn.discordapp.com/avatars/${member.user.id}/${member.user.avatar}.png` : 
                         null,
-                    role: isAdmin ? 'Administrator' : 'Moderator',
+                    role: roleLabels[role],
                     lastAction: todayActions.length > 0 ? 
-                        `${todayActions[todayActions.length - 1].action} via ${todayActions[todayActions.length - 1].plugin}` : 
+                        `${todayActions[0].action} via ${todayActions[0].plugin}` : 
                         'No recent activity',
                     actionCount: todayActions.length
                 });
@@ -481,33 +454,85 @@ app.get('/api/servers/:serverId/moderators', ensureAuthenticated, async (req, re
     }
 });
 
-// Get server activity data for charts (placeholder)
-app.get('/api/servers/:serverId/activity', ensureAuthenticated, async (req, res) => {
+// Get server activity for charts. ?range=24h|7d|30d|90d or ?from=&to=, optional
+// ?granularity=hour|day and ?channelId= for one channel's activity
+app.get('/api/servers/:serverId/activity', ensureAuthenticated, requirePermission('dashboard', 'view'), async (req, res) => {
     try {
         const { serverId } = req.params;
+        const { channelId } = req.query;
         
-        if (!await hasAdminPermissions(req.user.id, serverId)) {
-            return res.status(403).json({ error: 'No admin permissions' });
+        const range = analytics.parseRange(serverId, req.query);
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
         }
+        
+        const activityData = await analytics.getSeries(serverId, { ...range, channelId });
+        res.json({
+            granularity: range.granularity,
+            from: new Date(range.from).toISOString(),
+            to: new Date(range.to).toISOString(),
+            retentionDays: range.retentionDays,
+            channelId: channelId || null,
+            activityData
+        });
+    } catch (error) {
+        console.error('Error fetching activity data:', error);
+        res.status(500).json({ error: 'Failed to fetch activity data' });
+    }
+});
 
-        // Generate mock 24-hour activity data
-        const activityData = [];
-        const now = new Date();
+// Get activity totals per channel for the same ranges, busiest first
+app.get('/api/servers/:serverId/activity/channels', ensureAuthenticated, requirePermission('dashboard', 'view'), async (req, res) => {
+    try {
+        const { serverId } = req.params;
         
-        for (let i = 23; i >= 0; i--) {
-            const hour = new Date(now.getTime() - (i * 60 * 60 * 1000));
-            activityData.push({
-                hour: hour.getHours(),
-                timestamp: hour.toISOString(),
-                messages: Math.floor(Math.random() * 50) + 10,
-                users: Math.floor(Math.random() * 20) + 5
-            });
+        const range = analytics.parseRange(serverId, { ...req.query, granularity: 'day' });
+        if (range.error) {
+            return res.status(400).json({ error: range.error });
         }
+        
+        const guild = client.guilds.cache.get(serverId);
+        const channels = (await analytics.getChannelTotals(serverId, range)).map(total => ({
+            ...total,
+            name: guild?.channels.cache.get(total.channelId)?.name || null
+        }));
+        
+        res.json({ from: new Date(range.from).toISOString(), to: new Date(range.to).toISOString(), channels });
+    } catch (error) {
+        console.error('Error fetching channel activity:', error);
+        res.status(500).json({ error: 'Failed to fetch channel activity' });
+    }
+});
 
-        res.json({ activityData });
+// Get how long activity is kept for a server
+app.get('/api/servers/:serverId/activity/settings', ensureAuthenticated, requirePermission('dashboard', 'view'), async (req, res) => {
+    try {
+        res.json(analytics.getSettings(req.params.serverId));
     } catch (error) {
-        console.error('Error fetching activity data:', error);
-        res.status(500).json({ error: 'Failed to fetch activity data' });
+        console.error('Error fetching analytics settings:', error);
+        res.status(500).json({ error: 'Failed to fetch analytics settings' });
+    }
+});
+
+// Update how long hourly and daily activity is kept
+app.put('/api/servers/:serverId/activity/settings', ensureAuthenticated, requirePermission('dashboard', 'manage'), async (req, res) => {
+    try {
+        const { serverId } = req.params;
+        const { hourlyRetentionDays, dailyRetentionDays } = req.body;
+        
+        const validationError = analytics.validateSettings({ hourlyRetentionDays, dailyRetentionDays });
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const before = analytics.getSettings(serverId);
+        const settings = await analytics.updateSettings(serverId, { hourlyRetentionDays, dailyRetentionDays });
+        res.locals.audit = { action: 'Update analytics retention', before, after: settings };
+        
+        res.json({ success: true, settings });
+    } catch (error) {
+        console.error('Error updating analytics settings:', error);
+        res.status(500).json({ error: 'Failed to update analytics settings' });
     }
 });
 
@@ -516,53 +541,44 @@ app.get('/api/servers/:serverId/activity', ensureAuthenticated, async (req, res)
 // =====================================================
 
 // Enhanced leaderboard endpoint for reputation plugin
-app.get('/api/plugins/reputation/leaderboard/:serverId', ensureAuthenticated, async (req, res) => {
+app.get('/api/plugins/reputation/leaderboard/:serverId', ensureAuthenticated, requirePermission('reputationPlugin', 'view'), async (req, res) => {
     try {
         const { serverId } = req.params;
         const { limit = 10 } = req.query;
         
-        if (!await hasAdminPermissions(req.user.id, serverId)) {
-            return res.status(403).json({ error: 'No admin permissions' });
-        }
-
         // Check if reputation plugin is loaded
-        const reputationPlugin = pluginLoader.plugins.find(p => p.name && p.name.toLowerCase().includes('reputation'));
-        if (!reputationPlugin) {
+        const reputation = pluginLoader.services.get('reputation');
+        if (!reputation) {
             return res.status(404).json({ error: 'Reputation plugin not found' });
         }
 
-        // Try to get leaderboard data
-        if (typeof reputationPlugin.generateLeaderboard === 'function') {
-            const leaderboard = await reputationPlugin.generateLeaderboard(serverId, 'overall', parseInt(limit));
+        const leaderboard = await reputation.getLeaderboard(serverId, 'overall', parseInt(limit));
+        
+        // Enhance with Discord user data
+        const guild = client.guilds.cache.get(serverId);
+        if (guild) {
+            const enhancedLeaderboard = await Promise.all(leaderboard.map(async (entry) => {
+                try {
+                    const member = await guild.members.fetch(entry.userId).catch(() => null);
+                    return {
+                        ...entry,
+                        username: member?.user.username || `User ${entry.userId}`,
+                        avatar: member?.user.avatar ? 
+                            `https://cdn.discordapp.com/avatars/${member.user.id}/${member.user.avatar}.png` : 
+                            null
+                    };
+                } catch {
+                    return {
+                        ...entry,
+                        username: `User ${entry.userId}`,
+                        avatar: null
+                    };
+                }
+            }));
             
-            // Enhance with Discord user data
-            const guild = client.guilds.cache.get(serverId);
-            if (guild) {
-                const enhancedLeaderboard = await Promise.all(leaderboard.map(async (entry) => {
-                    try {
-                        const member = await guild.members.fetch(entry.userId).catch(() => null);
-                        return {
-                            ...entry,
-                            username: member?.user.username || `User ${entry.userId}`,
-                            avatar: member?.user.avatar ? 
-                                `https://cdn.discordapp.com/avatars/${member.user.id}/${member.user.avatar}.png` : 
-                                null
-                        };
-                    } catch {
-                        return {
-                            ...entry,
-                            username: `User ${entry.userId}`,
-                            avatar: null
-                        };
-                    }
-                }));
-                
-                res.json(enhancedLeaderboard);
-            } else {
-                res.json(leaderboard);
-            }
+            res.json(enhancedLeaderboard);
         } else {
-            res.status(500).json({ error: 'Reputation plugin does not support leaderboards' });
+            res.json(leaderboard);
         }
     } catch (error) {
         console.error('Error fetching reputation leaderboard:', error);
@@ -571,41 +587,30 @@ app.get('/api/plugins/reputation/leaderboard/:serverId', ensureAuthenticated, as
 });
 
 // Enhanced leaderboard endpoint for leveling plugin
-app.get('/api/plugins/leveling/leaderboard/:serverId', ensureAuthenticated, async (req, res) => {
+app.get('/api/plugins/leveling/leaderboard/:serverId', ensureAuthenticated, requirePermission('levelingPlugin', 'view'), async (req, res, next) => {
     try {
         const { serverId } = req.params;
-        const { limit = 10 } = req.query;
+        const { limit = 10, type } = req.query;
         
-        if (!await hasAdminPermissions(req.user.id, serverId)) {
-            return res.status(403).json({ error: 'No admin permissions' });
+        // Voice, reaction and season boards are served by the leveling plugin's own route
+        if (type && type !== 'overall') {
+            return next();
         }
-
-        // Try to read leveling data directly
+        
+        // Read leveling data through the leveling plugin's service
         try {
-            const levelingDataPath = path.join(__dirname, 'data', 'levelingData.json');
-            if (!fs.existsSync(levelingDataPath)) {
-                return res.json([]);
-            }
-
-            const levelingData = JSON.parse(fs.readFileSync(levelingDataPath, 'utf8'));
-            
-            if (!levelingData.users) {
-                return res.json([]);
-            }
+            const levelingUsers = pluginLoader.services.get('leveling')?.getGuildUsers(serverId) || {};
 
             const leaderboard = [];
             
             // Extract users for this server
-            Object.entries(levelingData.users).forEach(([userId, userGuilds]) => {
-                if (userGuilds[serverId]) {
-                    const userData = userGuilds[serverId];
-                    leaderboard.push({
-                        userId,
-                        level: userData.level || 0,
-                        xp: userData.xp || 0,
-                        totalXP: userData.xp || 0
-                    });
-                }
+            Object.entries(levelingUsers).forEach(([userId, userData]) => {
+                leaderboard.push({
+                    userId,
+                    level: userData.level || 0,
+                    xp: userData.xp || 0,
+                    totalXP: userData.xp || 0
+                });
             });
             
             // Sort by XP and limit
@@ -638,8 +643,8 @@ app.get('/api/plugins/leveling/leaderboard/:serverId', ensureAuthenticated, asyn
             } else {
                 res.json(topUsers);
             }
-        } catch (fileError) {
-            console.log('Could not read leveling data file');
+        } catch (storageError) {
+            console.log('Could not read leveling data');
             res.json([]);
         }
     } catch (error) {
@@ -652,30 +657,39 @@ app.get('/api/plugins/leveling/leaderboard/:serverId', ensureAuthenticated, asyn
 // LOGGING AND TRACKING ENDPOINTS
 // =====================================================
 
-// Get recent logs
-app.get('/api/logs', ensureAuthenticated, (req, res) => {
+// Get recent logs for a server, oldest first. ?serverId= is required. Entries not
+// tied to any server can mention other servers, so only the bot owner sees them.
+// Optional ?plugin=, ?level=error,warning, ?from=, ?to=, ?limit=
+app.get('/api/logs', ensureAuthenticated, requirePermission('dashboard', 'view'), async (req, res) => {
     try {
-        const { limit = 50 } = req.query;
-        const logs = recentLogs.slice(-parseInt(limit));
-        res.json(logs);
+        const { plugin, level, from, to, limit = 50 } = req.query;
+        const includeUnscoped = await permissions.isBotOwner(req.user.id);
+        
+        const logs = await logger.query({ guildId: req.guildId, includeUnscoped, plugin, level, from, to, limit });
+        res.json(logs.reverse());
     } catch (error) {
         console.error('Error fetching logs:', error);
         res.status(500).json({ error: 'Failed to fetch logs' });
     }
 });
 
+// Live updates for one server. Streams log entries, moderator actions and plugin
+// events the user may view until the browser disconnects.
+app.get('/api/servers/:serverId/live', ensureAuthenticated, requirePermission('dashboard', 'view'), async (req, res) => {
+    try {
+        await liveUpdates.connect(req, res);
+    } catch (error) {
+        console.error('Error opening live updates:', error);
+        res.status(500).json({ error: 'Failed to open live updates' });
+    }
+});
+
 // Get moderator actions
-app.get('/api/moderator-actions/:serverId/:userId', ensureAuthenticated, async (req, res) => {
+app.get('/api/moderator-actions/:serverId/:userId', ensureAuthenticated, requirePermission('dashboard', 'view'), async (req, res) => {
     try {
         const { serverId, userId } = req.params;
         
-        if (!await hasAdminPermissions(req.user.id, serverId)) {
-            return res.status(403).json({ error: 'No admin permissions' });
-        }
-
-        const key = `${serverId}:${userId}`;
-        const today = new Date().toDateString();
-        const actions = moderatorActions[key]?.[today] || [];
+        const actions = await auditLog.find(serverId, { actorId: userId, from: new Date().setHours(0, 0, 0, 0) });
         
         res.json({ actions, count: actions.length });
     } catch (error) {
@@ -684,23 +698,71 @@ app.get('/api/moderator-actions/:serverId/:userId', ensureAuthenticated, async (
     }
 });
 
+// Audit log filters shared by the list and export endpoints
+function getAuditFilters(query) {
+    return {
+        actorId: query.actor,
+        target: query.target,
+        plugin: query.plugin,
+        action: query.action,
+        from: query.from,
+        to: query.to
+    };
+}
+
+// Filterable, paginated audit log of dashboard changes
+app.get('/api/servers/:serverId/audit', ensureAuthenticated, requirePermission('audit', 'view'), async (req, res) => {
+    try {
+        const { serverId } = req.params;
+        const { page = 1, limit = 50 } = req.query;
+        
+        res.json(await auditLog.query(serverId, { ...getAuditFilters(req.query), page, limit }));
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+// Download every matching entry as CSV or JSON
+app.get('/api/servers/:serverId/audit/export', ensureAuthenticated, requirePermission('audit', 'view'), async (req, res) => {
+    try {
+        const { serverId } = req.params;
+        const { format = 'csv' } = req.query;
+        
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({ error: 'format must be csv or json' });
+        }
+        
+        const entries = await auditLog.find(serverId, getAuditFilters(req.query));
+        const filename = `audit-${serverId}-${new Date().toISOString().split('T')[0]}.${format}`;
+        
+        res.attachment(filename);
+        if (format === 'csv') {
+            res.type('text/csv').send(auditLog.toCsv(entries));
+        } else {
+            res.type('application/json').send(JSON.stringify(entries, null, 2));
+        }
+    } catch (error) {
+        console.error('Error exporting audit log:', error);
+        res.status(500).json({ error: 'Failed to export audit log' });
+    }
+});
+
 // =====================================================
 // ENHANCED MESSAGE ENDPOINT
 // =====================================================
 
 // Enhanced message endpoint with better error handling and logging
-app.post('/api/message', ensureAuthenticated, upload.array('attachments'), async (req, res) => {
+// The permission check runs before uploads are accepted, so multipart requests
+// pass serverId in the query string (JSON requests can keep it in the body)
+app.post('/api/message', ensureAuthenticated, requirePermission('dashboard', 'manage'), upload.array('attachments'), async (req, res) => {
+    const files = req.files;
     try {
-        const { serverId, channelId, message } = req.body;
-        const files = req.files;
-        
-        const hasAdmin = await hasAdminPermissions(req.user.id, serverId);
-        if (!hasAdmin) {
-            return res.status(403).json({ error: 'No admin permissions' });
-        }
+        const { channelId, message } = req.body;
+        const serverId = req.guildId;
         
         const channel = client.channels.cache.get(channelId);
-        if (!channel) {
+        if (!channel || channel.guildId !== serverId) {
             return res.status(404).json({ error: 'Channel not found' });
         }
         
@@ -715,9 +777,15 @@ app.post('/api/message', ensureAuthenticated, upload.array('attachments'), async
         
         const sentMessage = await channel.send(messageOptions);
         
-        // Track moderator action
-        trackModeratorAction(req.user.id, serverId, 'Sent Message', 'Quick Sender', `Channel: ${channel.name}`);
+        res.locals.audit = { action: 'Sent Message', target: { channelId, channelName: channel.name }, after: { content: message, messageId: sentMessage.id } };
+        addLogEntry('info', `Sent Message by user ${req.user.id} via Quick Sender`, serverId);
         
+        res.json({ success: true, messageId: sentMessage.id });
+    } catch (error) {
+        console.error('Error sending message:', error);
+        addLogEntry('error', `Failed to send message: ${error.message}`);
+        res.status(500).json({ error: 'Failed to send message' });
+    } finally {
         // Clean up uploaded files
         if (files) {
             files.forEach(file => {
@@ -726,69 +794,216 @@ app.post('/api/message', ensureAuthenticated, upload.array('attachments'), async
                 });
             });
         }
-        
-        res.json({ success: true, messageId: sentMessage.id });
-    } catch (error) {
-        console.error('Error sending message:', error);
-        addLogEntry('error', `Failed to send message: ${error.message}`);
-        res.status(500).json({ error: 'Failed to send message' });
     }
 });
 
-// API endpoint to expose plugin components
+// API endpoint to expose plugin components, plus every plugin's status,
+// load error and dependencies so the dashboard can show what failed and why
 app.get('/api/plugins/components', ensureAuthenticated, (req, res) => {
     try {
-        const components = pluginLoader.getPluginComponents();
-        res.json(components);
+        res.json({
+            components: pluginLoader.getPluginComponents(),
+            plugins: pluginLoader.getPluginInfo()
+        });
     } catch (error) {
         console.error('Error getting plugin components:', error);
         res.status(500).json({ error: 'Failed to get plugin components' });
     }
 });
 
+// Plugins known to the loader, with their status and whether they're on for this server
+app.get('/api/plugins/manage/:serverId', ensureAuthenticated, requirePermission('plugins', 'view'), async (req, res) => {
+    try {
+        const { serverId } = req.params;
+        
+        res.json({
+            plugins: pluginLoader.getPluginInfo(serverId),
+            canReload: await permissions.isBotOwner(req.user.id)
+        });
+    } catch (error) {
+        console.error('Error getting plugin list:', error);
+        res.status(500).json({ error: 'Failed to get plugins' });
+    }
+});
+
+// Turn a plugin on or off for one server
+app.put('/api/plugins/manage/:serverId/:pluginId', ensureAuthenticated, requirePermission('plugins', 'manage'), async (req, res) => {
+    try {
+        const { serverId, pluginId } = req.params;
+        const { enabled } = req.body;
+        
+        if (!pluginLoader.entries.has(pluginId)) {
+            return res.status(404).json({ error: 'Plugin not found' });
+        }
+        if (typeof enabled !== 'boolean') {
+            return res.status(400).json({ error: 'enabled must be true or false' });
+        }
+        
+        const wasEnabled = pluginLoader.isEnabledForGuild(pluginId, serverId);
+        await pluginLoader.setEnabledForGuild(pluginId, serverId, enabled);
+        res.locals.audit = {
+            action: enabled ? 'Enabled plugin' : 'Disabled plugin',
+            target: pluginId,
+            before: { enabled: wasEnabled },
+            after: { enabled }
+        };
+        
+        const guild = client.guilds.cache.get(serverId);
+        if (guild) {
+            await registerSlashCommands([guild]);
+        }
+        
+        addLogEntry('info', `Plugin ${pluginId} ${enabled ? 'enabled' : 'disabled'} for ${guild?.name || serverId} by ${req.user.username}`);
+        res.json({ success: true, plugins: pluginLoader.getPluginInfo(serverId) });
+    } catch (error) {
+        console.error('Error toggling plugin:', error);
+        res.status(500).json({ error: 'Failed to update plugin' });
+    }
+});
+
+// Reload a plugin from disk. It affects every server, so only the bot owner may do it.
+app.post('/api/plugins/manage/:pluginId/reload', ensureAuthenticated, async (req, res) => {
+    try {
+        const { pluginId } = req.params;
+        
+        if (!await permissions.isBotOwner(req.user.id)) {
+            return res.status(403).json({ error: 'Only the bot owner can reload plugins' });
+        }
+        if (!pluginLoader.entries.has(pluginId)) {
+            return res.status(404).json({ error: 'Plugin not found' });
+        }
+        
+        try {
+            await pluginLoader.reloadPlugin(pluginId);
+        } catch (error) {
+            addLogEntry('error', `Failed to reload plugin ${pluginId}: ${error.message}`);
+            return res.status(500).json({ error: `Reload failed: ${error.message}` });
+        } finally {
+            if (client.isReady()) {
+                await registerSlashCommands(client.guilds.cache.values());
+            }
+        }
+        
+        addLogEntry('success', `Plugin ${pluginId} reloaded by ${req.user.username}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error reloading plugin:', error);
+        res.status(500).json({ error: 'Failed to reload plugin' });
+    }
+});
+
 // =====================================================
-// PLUGIN LOADING AND DISCORD EVENTS
+// DASHBOARD PERMISSIONS
 // =====================================================
 
-// Load and register plugin routes
-pluginLoader.loadPlugins(app, client, ensureAuthenticated, hasAdminPermissions);
+// Everything a server can set permissions for: the core dashboard plus each plugin
+function getPermissionScopes() {
+    return [
+        ...Object.entries(CORE_SCOPES).map(([id, name]) => ({ id, name })),
+        ...pluginLoader.getPluginInfo().map(plugin => ({ id: plugin.id, name: plugin.name }))
+    ];
+}
 
-// Discord client events
-client.once('ready', async () => {
-    console.log(`Bot is ready! Logged in as ${client.user.tag}`);
-    addLogEntry('success', `Bot connected as ${client.user.tag}`);
-    addLogEntry('info', `Bot is active in ${client.guilds.cache.size} servers`);
-    
+// The caller's dashboard role in a server and what it lets them do there
+app.get('/api/permissions/:serverId/me', ensureAuthenticated, async (req, res) => {
     try {
-        console.log('Gathering slash commands from all plugins...');
-        const allCommands = pluginLoader.getAllSlashCommands();
-        if (allCommands.length === 0) {
-            console.log('No slash commands to register.');
-            addLogEntry('info', 'No slash commands to register');
-            return;
+        const { serverId } = req.params;
+        
+        const role = await permissions.getDashboardRole(req.user.id, serverId);
+        if (!role) {
+            return res.status(403).json({ error: 'Insufficient permissions' });
         }
+        
+        const scopeIds = getPermissionScopes().map(scope => scope.id);
+        res.json({ role, access: permissions.describeAccess(role, serverId, scopeIds) });
+    } catch (error) {
+        console.error('Error getting dashboard access:', error);
+        res.status(500).json({ error: 'Failed to get dashboard access' });
+    }
+});
 
-        console.log(`Found ${allCommands.length} total slash commands. Registering...`);
-        addLogEntry('info', `Registering ${allCommands.length} slash commands`);
+// Which Discord roles and users hold each dashboard role, and the role each scope requires
+app.get('/api/permissions/:serverId', ensureAuthenticated, requirePermission('permissions', 'view'), async (req, res) => {
+    try {
+        const { serverId } = req.params;
+        
+        res.json({
+            dashboardRoles: DASHBOARD_ROLES,
+            assignableRoles: ASSIGNABLE_ROLES,
+            config: permissions.getConfig(serverId),
+            scopes: getPermissionScopes().map(scope => ({
+                ...scope,
+                view: permissions.getRequiredRole(serverId, scope.id, 'view'),
+                manage: permissions.getRequiredRole(serverId, scope.id, 'manage')
+            }))
+        });
+    } catch (error) {
+        console.error('Error getting dashboard permissions:', error);
+        res.status(500).json({ error: 'Failed to get permissions' });
+    }
+});
+
+app.put('/api/permissions/:serverId', ensureAuthenticated, requirePermission('permissions', 'manage'), async (req, res) => {
+    try {
+        const { serverId } = req.params;
+        
+        const guild = client.guilds.cache.get(serverId);
+        if (!guild) {
+            return res.status(404).json({ error: 'Server not found' });
+        }
+        
+        const config = permissions.normalizeConfig(req.body);
+        const validationError = permissions.validateConfig(guild, config, getPermissionScopes().map(scope => scope.id));
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+        
+        const previous = permissions.getConfig(serverId);
+        await permissions.setConfig(serverId, config);
+        res.locals.audit = { action: 'Updated permissions', before: previous, after: config };
         
-        const guilds = client.guilds.cache;
+        res.json({ success: true, config });
+    } catch (error) {
+        console.error('Error updating dashboard permissions:', error);
+        res.status(500).json({ error: 'Failed to update permissions' });
+    }
+});
+
+// =====================================================
+// PLUGIN LOADING AND DISCORD EVENTS
+// =====================================================
 
-        for (const guild of guilds.values()) {
+// Registers each guild's slash commands, leaving out plugins turned off in that guild
+async function registerSlashCommands(guilds) {
+    try {
+        console.log('Gathering slash commands from all plugins...');
+        
+        for (const guild of guilds) {
+            const guildCommands = pluginLoader.getAllSlashCommands(guild.id);
             try {
-                await guild.commands.set(allCommands);
-                console.log(`✓ Successfully registered ${allCommands.length} commands for guild: ${guild.name}`);
+                await guild.commands.set(guildCommands);
+                console.log(`✓ Successfully registered ${guildCommands.length} commands for guild: ${guild.name}`);
                 addLogEntry('success', `Registered commands for guild: ${guild.name}`);
             } catch (err) {
                 console.error(`❌ Failed to register commands for guild ${guild.name}:`, err.rawError ? err.rawError.errors : err);
                 addLogEntry('error', `Failed to register commands for guild: ${guild.name}`);
             }
         }
-        console.log('🚀 Slash command registration process completed for all guilds.');
+        console.log('🚀 Slash command registration process completed.');
         addLogEntry('success', 'Slash command registration completed');
     } catch (error) {
-        console.error('Error during global slash command registration:', error);
+        console.error('Error during slash command registration:', error);
         addLogEntry('error', `Slash command registration failed: ${error.message}`);
     }
+}
+
+// Discord client events
+client.once('ready', async () => {
+    console.log(`Bot is ready! Logged in as ${client.user.tag}`);
+    addLogEntry('success', `Bot connected as ${client.user.tag}`);
+    addLogEntry('info', `Bot is active in ${client.guilds.cache.size} servers`);
+    
+    await registerSlashCommands(client.guilds.cache.values());
 });
 
 client.on('error', (error) => {
@@ -810,7 +1025,24 @@ async function start() {
     try {
         addLogEntry('info', 'Starting Fuji Fruit Bot...');
         
+        await dataStorage.init();
+        
+        // Load and register plugin routes
+        await permissions.init();
+        await analytics.init();
+        await pluginLoader.loadPlugins(app, client, ensureAuthenticated, requirePermission, {
+            storage: dataStorage,
+            logger,
+            requireBotOwner: permissions.requireBotOwner() // for plugin routes that affect every server
+        });
+        
+        for (const [event, scope] of Object.entries(LIVE_PLUGIN_EVENTS)) {
+            pluginLoader.events.on(event, payload => liveUpdates.publish(payload.guildId, scope, event, payload));
+        }
+        liveUpdates.start();
+        
         await client.login(process.env.DISCORD_BOT_TOKEN);
+        analytics.start();
         
         app.listen(PORT, () => {
             console.log(`Server is running on port ${PORT}`);
@@ -823,12 +1055,36 @@ async function start() {
     }
 }
 
+// Flush plugin data and close storage cleanly when PM2 or the terminal stops the bot
+async function shutdown(signal) {
+    console.log(`Received ${signal}, shutting down...`);
+    
+    await pluginLoader.shutdownPlugins();
+    await auditLog.flush();
+    await analytics.stop();
+    liveUpdates.stop();
+    
+    try {
+        await dataStorage.close();
+    } catch (error) {
+        console.error('Error closing storage:', error);
+    }
+    
+    client.destroy();
+    await logger.close();
+    process.exit(0);
+}
+
+process.once('SIGINT', () => shutdown('SIGINT'));
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+
 // Export functions for plugin use
 module.exports = {
     addLogEntry,
     trackModeratorAction,
     client,
-    app
+    app,
+    storage: dataStorage
 };
 
 start();
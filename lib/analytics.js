@@ -0,0 +1,332 @@
+// Server activity for the dashboard's charts: messages, active users, joins,
+// leaves, voice minutes and reactions, counted into hourly and daily UTC
+// buckets per guild and per channel. Counts build up in memory and are
+// written once a minute; old buckets are dropped after each server's
+// retention period.
+const COUNTERS = ['messages', 'joins', 'leaves', 'voiceMinutes', 'reactions'];
+const CHANNEL_COUNTERS = ['messages', 'reactions', 'voiceMinutes'];
+
+const DEFAULT_SETTINGS = { hourlyRetentionDays: 14, dailyRetentionDays: 90 };
+const RETENTION_LIMITS = { hourlyRetentionDays: 90, dailyRetentionDays: 730 };
+
+const FLUSH_INTERVAL = 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+const HOUR = 60 * 60 * 1000;
+const MAX_POINTS = 2000;
+
+const GRANULARITIES = {
+    hour: { size: HOUR, key: time => new Date(time).toISOString().slice(0, 13) }, // '2026-10-19T18'
+    day: { size: DAY, key: time => new Date(time).toISOString().slice(0, 10) } // '2026-10-19'
+};
+
+function emptyBucket() {
+    return { messages: 0, joins: 0, leaves: 0, voiceMinutes: 0, reactions: 0, activeUsers: 0, channels: {} };
+}
+
+// Adds counts from `delta` into `bucket`. Open buckets keep their user IDs so
+// a member active in several flushes is only counted once.
+function mergeBucket(bucket, delta) {
+    for (const counter of COUNTERS) {
+        bucket[counter] += delta[counter];
+    }
+
+    if (delta.users.size > 0) {
+        const users = new Set(bucket.users || []);
+        delta.users.forEach(userId => users.add(userId));
+        bucket.users = [...users];
+        bucket.activeUsers = users.size;
+    }
+
+    for (const [channelId, channel] of Object.entries(delta.channels)) {
+        const stored = bucket.channels[channelId] || (bucket.channels[channelId] = { messages: 0, reactions: 0, voiceMinutes: 0 });
+        for (const counter of CHANNEL_COUNTERS) {
+            stored[counter] += channel[counter];
+        }
+    }
+    return bucket;
+}
+
+class ActivityAnalytics {
+    constructor(client, storage, { logger }) {
+        this.client = client;
+        this.logger = logger;
+        this.store = storage.collection('analytics.activity'); // guildId -> { hourly: { key: bucket }, daily: { key: bucket } }
+        this.settingsStore = storage.collection('analytics.settings');
+
+        this.settings = {};
+        this.pending = new Map(); // guildId -> { hourly: { key: delta }, daily: { key: delta } }
+        this.voiceSessions = new Map(); // `${guildId}:${userId}` -> { guildId, channelId, userId, since }
+        this.writes = Promise.resolve();
+        this.timer = null;
+        this.lastCompacted = null; // hour key of the last flush that included every server
+    }
+
+    async init() {
+        try {
+            this.settings = await this.settingsStore.all();
+        } catch (error) {
+            this.logger.error('Error loading analytics settings', { error });
+        }
+
+        this.client.on('messageCreate', message => {
+            if (!message.guildId || message.author.bot) return;
+            this.count(message.guildId, 'messages', { channelId: message.channelId, userId: message.author.id });
+        });
+
+        this.client.on('messageReactionAdd', (reaction, user) => {
+            if (!reaction.message.guildId || user.bot) return;
+            this.count(reaction.message.guildId, 'reactions', { channelId: reaction.message.channelId, userId: user.id });
+        });
+
+        this.client.on('guildMemberAdd', member => {
+            if (!member.user.bot) this.count(member.guild.id, 'joins');
+        });
+
+        this.client.on('guildMemberRemove', member => {
+            if (!member.user?.bot) this.count(member.guild.id, 'leaves');
+        });
+
+        this.client.on('voiceStateUpdate', (oldState, newState) => this.handleVoiceState(oldState, newState));
+
+        // Members already in voice when the bot starts
+        this.client.once('ready', () => {
+            for (const guild of this.client.guilds.cache.values()) {
+                for (const voiceState of guild.voiceStates.cache.values()) {
+                    this.handleVoiceState({ channelId: null }, voiceState);
+                }
+            }
+        });
+    }
+
+    start() {
+        this.timer = setInterval(() => this.flush(), FLUSH_INTERVAL);
+    }
+
+    async stop() {
+        clearInterval(this.timer);
+        await this.flush();
+    }
+
+    getSettings(guildId) {
+        return { ...DEFAULT_SETTINGS, ...this.settings[guildId] };
+    }
+
+    // Returns an error message, or null when the settings can be saved
+    validateSettings(settings) {
+        for (const [field, max] of Object.entries(RETENTION_LIMITS)) {
+            const value = settings[field];
+            if (value === undefined) continue;
+            if (!Number.isInteger(value) || value < 1 || value > max) {
+                return `${field} must be a whole number of days between 1 and ${max}`;
+            }
+        }
+        return null;
+    }
+
+    async updateSettings(guildId, settings) {
+        this.settings[guildId] = {
+            ...this.getSettings(guildId),
+            ...Object.fromEntries(Object.keys(DEFAULT_SETTINGS)
+                .filter(field => settings[field] !== undefined)
+                .map(field => [field, settings[field]]))
+        };
+        await this.settingsStore.set(guildId, this.settings[guildId]);
+        return this.settings[guildId];
+    }
+
+    // Adds to one counter in the current hour and day. With a userId the member
+    // counts as active; with a channelId the channel's own counter goes up too.
+    count(guildId, counter, { channelId = null, userId = null, amount = 1, time = Date.now() } = {}) {
+        if (!this.pending.has(guildId)) {
+            this.pending.set(guildId, { hourly: {}, daily: {} });
+        }
+        const pending = this.pending.get(guildId);
+
+        for (const [granularity, { key }] of [['hourly', GRANULARITIES.hour], ['daily', GRANULARITIES.day]]) {
+            const bucketKey = key(time);
+            const delta = pending[granularity][bucketKey] ||
+                (pending[granularity][bucketKey] = { ...emptyBucket(), users: new Set() });
+
+            delta[counter] += amount;
+            if (userId) delta.users.add(userId);
+            if (channelId && CHANNEL_COUNTERS.includes(counter)) {
+                const channel = delta.channels[channelId] || (delta.channels[channelId] = { messages: 0, reactions: 0, voiceMinutes: 0 });
+                channel[counter] += amount;
+            }
+        }
+    }
+
+    handleVoiceState(oldState, newState) {
+        if (oldState.channelId === newState.channelId) return;
+
+        const member = newState.member || oldState.member;
+        if (!member || member.user.bot) return;
+
+        const guildId = newState.guild?.id || oldState.guild?.id;
+        const sessionKey = `${guildId}:${member.id}`;
+        const session = this.voiceSessions.get(sessionKey);
+        if (session) {
+            this.accrueVoice(session, Date.now());
+            this.voiceSessions.delete(sessionKey);
+        }
+
+        // Time spent in the AFK channel isn't activity
+        if (newState.channelId && newState.channelId !== newState.guild?.afkChannelId) {
+            this.voiceSessions.set(sessionKey, { guildId, channelId: newState.channelId, userId: member.id, since: Date.now() });
+        }
+    }
+
+    accrueVoice(session, now) {
+        const minutes = (now - session.since) / 60000;
+        if (minutes > 0) {
+            this.count(session.guildId, 'voiceMinutes', { channelId: session.channelId, userId: session.userId, amount: minutes, time: now });
+        }
+        session.since = now;
+    }
+
+    // Writes pending counts, drops user lists from closed buckets and prunes
+    // buckets past retention. Runs one at a time.
+    flush() {
+        this.writes = this.writes.then(async () => {
+            const now = Date.now();
+            this.voiceSessions.forEach(session => this.accrueVoice(session, now));
+
+            const pending = this.pending;
+            this.pending = new Map();
+
+            // Quiet servers still need their closed buckets compacted and old ones
+            // pruned, so once an hour every stored server is included
+            const guildIds = new Set(pending.keys());
+            const hourKey = GRANULARITIES.hour.key(now);
+            if (hourKey !== this.lastCompacted) {
+                (await this.store.keys()).forEach(guildId => guildIds.add(guildId));
+                this.lastCompacted = hourKey;
+            }
+
+            for (const guildId of guildIds) {
+                try {
+                    await this.store.update(guildId, data => this.applyPending(guildId, data, pending.get(guildId), now), { hourly: {}, daily: {} });
+                } catch (error) {
+                    this.logger.error('Error saving activity analytics', { guildId, error });
+                }
+            }
+        }).catch(error => {
+            this.logger.error('Error flushing activity analytics', { error });
+        });
+        return this.writes;
+    }
+
+    applyPending(guildId, data, pending, now) {
+        const settings = this.getSettings(guildId);
+
+        for (const [granularity, { key }, retentionDays] of [
+            ['hourly', GRANULARITIES.hour, settings.hourlyRetentionDays],
+            ['daily', GRANULARITIES.day, settings.dailyRetentionDays]
+        ]) {
+            const buckets = data[granularity];
+            for (const [bucketKey, delta] of Object.entries(pending?.[granularity] || {})) {
+                buckets[bucketKey] = mergeBucket(buckets[bucketKey] || emptyBucket(), delta);
+            }
+
+            const currentKey = key(now);
+            const oldestKey = key(now - retentionDays * DAY);
+            for (const bucketKey of Object.keys(buckets)) {
+                if (bucketKey < oldestKey) {
+                    delete buckets[bucketKey];
+                } else if (bucketKey < currentKey) {
+                    delete buckets[bucketKey].users;
+                }
+            }
+        }
+        return data;
+    }
+
+    // Stored buckets plus counts not written yet
+    async loadBuckets(guildId, granularity) {
+        const field = granularity === 'hour' ? 'hourly' : 'daily';
+        const data = await this.store.get(guildId, { hourly: {}, daily: {} });
+        const buckets = structuredClone(data[field] || {});
+
+        for (const [bucketKey, delta] of Object.entries(this.pending.get(guildId)?.[field] || {})) {
+            buckets[bucketKey] = mergeBucket(buckets[bucketKey] || emptyBucket(), delta);
+        }
+        return buckets;
+    }
+
+    // One point per hour or day between from and to, zero where nothing happened.
+    // With a channelId only that channel's messages, reactions and voice minutes count.
+    async getSeries(guildId, { from, to, granularity, channelId = null }) {
+        const { size, key } = GRANULARITIES[granularity];
+        const buckets = await this.loadBuckets(guildId, granularity);
+
+        const series = [];
+        for (let time = Math.floor(from / size) * size; time <= to; time += size) {
+            const bucket = buckets[key(time)] || emptyBucket();
+            const point = { timestamp: new Date(time).toISOString() };
+
+            if (channelId) {
+                const channel = bucket.channels[channelId] || {};
+                CHANNEL_COUNTERS.forEach(counter => { point[counter] = Math.round(channel[counter] || 0); });
+            } else {
+                [...COUNTERS, 'activeUsers'].forEach(counter => { point[counter] = Math.round(bucket[counter] || 0); });
+            }
+            series.push(point);
+        }
+        return series;
+    }
+
+    // Messages, reactions and voice minutes per channel between from and to, busiest first
+    async getChannelTotals(guildId, { from, to }) {
+        const buckets = await this.loadBuckets(guildId, 'day');
+        const fromKey = GRANULARITIES.day.key(from);
+        const toKey = GRANULARITIES.day.key(to);
+
+        const totals = {};
+        for (const [bucketKey, bucket] of Object.entries(buckets)) {
+            if (bucketKey < fromKey || bucketKey > toKey) continue;
+            for (const [channelId, channel] of Object.entries(bucket.channels)) {
+                const total = totals[channelId] || (totals[channelId] = { channelId, messages: 0, reactions: 0, voiceMinutes: 0 });
+                CHANNEL_COUNTERS.forEach(counter => { total[counter] += channel[counter]; });
+            }
+        }
+
+        return Object.values(totals)
+            .map(total => ({ ...total, voiceMinutes: Math.round(total.voiceMinutes) }))
+            .sort((a, b) => b.messages - a.messages || b.voiceMinutes - a.voiceMinutes);
+    }
+
+    // Every message counted within the daily retention period
+    async getTotalMessages(guildId) {
+        const buckets = await this.loadBuckets(guildId, 'day');
+        return Object.values(buckets).reduce((sum, bucket) => sum + bucket.messages, 0);
+    }
+
+    // Parses ?range=24h|7d|30d|90d or ?from=&to= into a time span. Hourly points
+    // are used for spans up to two days unless ?granularity= says otherwise.
+    // Returns { error } when the query can't be used.
+    parseRange(guildId, query) {
+        const ranges = { '24h': DAY, '7d': 7 * DAY, '30d': 30 * DAY, '90d': 90 * DAY };
+        const to = query.to ? new Date(query.to).getTime() : Date.now();
+        const from = query.from ? new Date(query.from).getTime() : to - (ranges[query.range || '24h'] ?? NaN);
+
+        if (!Number.isFinite(from) || !Number.isFinite(to)) {
+            return { error: 'Use range=24h, 7d, 30d or 90d, or valid from and to dates' };
+        }
+        if (from >= to) {
+            return { error: 'from must be before to' };
+        }
+
+        const granularity = query.granularity || (to - from <= 2 * DAY ? 'hour' : 'day');
+        if (!GRANULARITIES[granularity]) {
+            return { error: 'granularity must be hour or day' };
+        }
+        if ((to - from) / GRANULARITIES[granularity].size > MAX_POINTS) {
+            return { error: `That range has more than ${MAX_POINTS} ${granularity}s; use a shorter range or daily granularity` };
+        }
+
+        const settings = this.getSettings(guildId);
+        return { from, to, granularity, retentionDays: granularity === 'hour' ? settings.hourlyRetentionDays : settings.dailyRetentionDays };
+    }
+}
+
+module.exports = { ActivityAnalytics, DEFAULT_SETTINGS, RETENTION_LIMITS };
@@ -0,0 +1,139 @@
+// Persisted log of what moderators changed through the dashboard. Entries are
+// kept per server, newest first, and record who did it, to what, through which
+// plugin, and the payload before and after when the route provides them.
+const MAX_ENTRIES_PER_GUILD = 10000;
+const MAX_PAYLOAD_LENGTH = 20000;
+const MAX_PAGE_SIZE = 200;
+
+const CSV_COLUMNS = ['id', 'timestamp', 'actorId', 'actorName', 'plugin', 'action', 'target', 'before', 'after'];
+
+// 'POST /api/plugins/wordfilter/words/:serverId' -> 'POST words'
+function describeRoute(method, routePath) {
+    const parts = routePath.split('/').filter(part => part && !part.startsWith(':'));
+    const name = parts[0] === 'api' && parts[1] === 'plugins' ? parts.slice(3) : parts.slice(1);
+    return `${method} ${name.join(' ') || routePath}`;
+}
+
+// Very large payloads (imports, uploads) are only noted, not stored
+function limitPayload(value) {
+    if (value === undefined) return null;
+    const json = JSON.stringify(value);
+    if (json && json.length > MAX_PAYLOAD_LENGTH) {
+        return { truncated: true, length: json.length };
+    }
+    return value;
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'string' ? value : JSON.stringify(value);
+    // Spreadsheets run cells starting with these as formulas; names and reasons are user-controlled
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class AuditLog {
+    // onRecord(guildId, entry) is called after each entry is written
+    constructor(storage, { onRecord = null } = {}) {
+        this.store = storage.collection('audit.entries'); // guildId -> entries, newest first
+        this.writes = Promise.resolve(); // one read-modify-write at a time so concurrent entries aren't lost
+        this.onRecord = onRecord;
+    }
+
+    // entry: { actorId, actorName, plugin, action, target, before, after }
+    record(guildId, entry) {
+        const stored = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            timestamp: new Date().toISOString(),
+            actorId: entry.actorId || null,
+            actorName: entry.actorName || null,
+            plugin: entry.plugin || 'dashboard',
+            action: entry.action,
+            target: entry.target ?? null,
+            before: limitPayload(entry.before ?? null),
+            after: limitPayload(entry.after ?? null)
+        };
+
+        this.writes = this.writes.then(() => this.store.update(guildId, entries => {
+            entries.unshift(stored);
+            return entries.slice(0, MAX_ENTRIES_PER_GUILD);
+        }, [])).then(() => this.onRecord?.(guildId, stored)).catch(error => {
+            console.error('Error writing audit log entry:', error);
+        });
+        return this.writes.then(() => stored);
+    }
+
+    // Resolves once every entry recorded so far has been written
+    flush() {
+        return this.writes;
+    }
+
+    // Filters: actorId, target, plugin, action (substring), from/to (ISO dates or timestamps)
+    async find(guildId, filters = {}) {
+        const entries = await this.store.get(guildId, []);
+        const from = filters.from ? new Date(filters.from).getTime() : null;
+        const to = filters.to ? new Date(filters.to).getTime() : null;
+        const action = filters.action?.toLowerCase();
+
+        return entries.filter(entry => {
+            const time = new Date(entry.timestamp).getTime();
+            if (filters.actorId && entry.actorId !== filters.actorId) return false;
+            if (filters.plugin && entry.plugin !== filters.plugin) return false;
+            if (filters.target && !JSON.stringify(entry.target ?? '').includes(filters.target)) return false;
+            if (action && !entry.action.toLowerCase().includes(action)) return false;
+            if (from !== null && !(time >= from)) return false;
+            if (to !== null && !(time <= to)) return false;
+            return true;
+        });
+    }
+
+    async query(guildId, filters = {}) {
+        const matches = await this.find(guildId, filters);
+        const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), MAX_PAGE_SIZE);
+        const pages = Math.max(Math.ceil(matches.length / limit), 1);
+        const page = Math.min(Math.max(parseInt(filters.page) || 1, 1), pages);
+
+        return {
+            entries: matches.slice((page - 1) * limit, page * limit),
+            total: matches.length,
+            page,
+            pages,
+            limit
+        };
+    }
+
+    toCsv(entries) {
+        const rows = entries.map(entry => CSV_COLUMNS.map(column => csvCell(entry[column])).join(','));
+        return [CSV_COLUMNS.join(','), ...rows].join('\n');
+    }
+
+    // Route middleware that records a successful request once its response is sent.
+    // Handlers can describe the change better by setting res.locals.audit to
+    // { action, target, before, after }; by default the target is the route's
+    // params other than the server and the after payload is the request body.
+    middleware(plugin) {
+        return (req, res, next) => {
+            const guildId = req.guildId;
+            const { serverId, guildId: paramGuildId, ...targetParams } = req.params;
+            const routePath = req.route?.path || req.path;
+
+            res.on('finish', () => {
+                if (!guildId || res.statusCode >= 400) return;
+
+                const audit = res.locals.audit || {};
+                this.record(guildId, {
+                    actorId: req.user?.id,
+                    actorName: req.user?.username,
+                    plugin,
+                    action: audit.action || describeRoute(req.method, routePath),
+                    target: audit.target ?? (Object.keys(targetParams).length > 0 ? targetParams : null),
+                    before: audit.before,
+                    after: audit.after ?? req.body
+                });
+            });
+            next();
+        };
+    }
+}
+
+module.exports = { AuditLog, MAX_ENTRIES_PER_GUILD };
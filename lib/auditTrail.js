@@ -0,0 +1,88 @@
+// A plugin's own history of notable changes (XP decay runs, restores,
+// reputation moderation). Each event is stored under its own key, so logging
+// one doesn't rewrite the rest, and the oldest are dropped past maxEvents.
+const LEGACY_KEY = 'events';
+const PRUNE_BATCH = 500;
+
+function newestFirst(a, b) {
+    return b.timestamp - a.timestamp || (a.id < b.id ? 1 : -1);
+}
+
+class AuditTrail {
+    constructor(collection, { maxEvents = 10000 } = {}) {
+        this.store = collection;
+        this.maxEvents = maxEvents;
+        this.count = 0;
+        this.loading = null;
+        this.pruning = null;
+    }
+
+    ready() {
+        if (!this.loading) {
+            this.loading = this.importLegacyEvents().catch(error => {
+                this.loading = null;
+                throw error;
+            });
+        }
+        return this.loading;
+    }
+
+    // Earlier versions kept every event in one array under 'events'
+    async importLegacyEvents() {
+        const legacy = await this.store.get(LEGACY_KEY);
+        if (Array.isArray(legacy)) {
+            const events = {};
+            legacy.forEach((event, index) => {
+                const id = `${(event.timestamp || 0).toString(36)}-legacy${String(legacy.length - index).padStart(5, '0')}`;
+                events[id] = { id, ...event };
+            });
+            await this.store.setMany(events);
+            await this.store.delete(LEGACY_KEY);
+        }
+        this.count = (await this.store.keys()).length;
+    }
+
+    // Every event, newest first
+    async list() {
+        await this.ready();
+        return Object.values(await this.store.all()).sort(newestFirst);
+    }
+
+    async add(event) {
+        await this.ready();
+        const timestamp = Date.now();
+        const stored = { id: `${timestamp.toString(36)}-${Math.random().toString(36).slice(2, 8)}`, timestamp, ...event };
+        await this.store.set(stored.id, stored);
+
+        // Pruned in batches so a full trail isn't re-read on every event
+        if (++this.count > this.maxEvents + PRUNE_BATCH && !this.pruning) {
+            this.pruning = this.prune().finally(() => {
+                this.pruning = null;
+            });
+            await this.pruning;
+        }
+        return stored;
+    }
+
+    async prune() {
+        const stale = (await this.list()).slice(this.maxEvents);
+        await Promise.all(stale.map(event => this.store.delete(event.id)));
+        this.count = (await this.store.keys()).length;
+    }
+
+    // Changes one event. updater returns the new event, or undefined to leave it
+    // as it is. Updates to one event run one at a time; resolves with the new
+    // event, or null when it doesn't exist or wasn't changed.
+    async update(id, updater) {
+        await this.ready();
+        let updated = null;
+        await this.store.update(id, event => {
+            if (!event) return undefined;
+            updated = updater(event) || null;
+            return updated || undefined;
+        });
+        return updated;
+    }
+}
+
+module.exports = { AuditTrail };
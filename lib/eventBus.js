@@ -0,0 +1,77 @@
+// In-process events between plugins. Every event is declared here with the
+// fields its payload carries, so publishers and subscribers agree on a shape
+// instead of on each other's internals.
+//
+// Field types are checked with `typeof`; 'array' and 'object' are checked by
+// shape. Extra fields are allowed, missing or mistyped ones throw.
+const EVENTS = {
+    // Leveling
+    'xp.gained': { userId: 'string', guildId: 'string', amount: 'number', source: 'string', xp: 'number', level: 'number' },
+    'level.up': { userId: 'string', guildId: 'string', newLevel: 'number', oldLevel: 'number' },
+    'level.down': { userId: 'string', guildId: 'string', newLevel: 'number', oldLevel: 'number' },
+    'season.end': { guildId: 'string', season: 'object', revokedRewards: 'array' },
+
+    // Reputation
+    'rep.given': { guildId: 'string', fromUserId: 'string', toUserId: 'string', category: 'string', amount: 'number', type: 'string' },
+    'rep.changed': { guildId: 'string', userId: 'string', total: 'number' },
+
+    // Moderation
+    'filter.hit': { guildId: 'string', channelId: 'string', userId: 'string', words: 'array' },
+    'rule.violation': { guildId: 'string', channelId: 'string', userId: 'string', ruleType: 'string', violationType: 'string' }
+};
+
+function matchesType(value, type) {
+    if (type === 'array') return Array.isArray(value);
+    if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+    return typeof value === type;
+}
+
+class EventBus {
+    constructor(events = EVENTS) {
+        this.events = events;
+        this.handlers = new Map(); // event -> Set of handlers
+    }
+
+    assertKnown(event) {
+        if (!this.events[event]) {
+            throw new Error(`Unknown event "${event}"`);
+        }
+    }
+
+    // Subscribes to an event. Returns a function that unsubscribes.
+    on(event, handler) {
+        this.assertKnown(event);
+        if (!this.handlers.has(event)) {
+            this.handlers.set(event, new Set());
+        }
+        this.handlers.get(event).add(handler);
+        return () => this.off(event, handler);
+    }
+
+    off(event, handler) {
+        this.handlers.get(event)?.delete(handler);
+    }
+
+    // Delivers the payload to every subscriber. A failing subscriber is logged
+    // and doesn't stop the others; the promise settles once all have finished.
+    publish(event, payload) {
+        this.assertKnown(event);
+
+        for (const [field, type] of Object.entries(this.events[event])) {
+            if (!matchesType(payload?.[field], type)) {
+                throw new TypeError(`Event "${event}" needs ${field} to be ${/^[aeiou]/.test(type) ? 'an' : 'a'} ${type}`);
+            }
+        }
+
+        const handlers = [...(this.handlers.get(event) || [])];
+        return Promise.all(handlers.map(async handler => {
+            try {
+                await handler(payload);
+            } catch (error) {
+                console.error(`Error in "${event}" handler:`, error);
+            }
+        }));
+    }
+}
+
+module.exports = { EventBus, EVENTS };
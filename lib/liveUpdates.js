@@ -0,0 +1,92 @@
+// Pushes dashboard events to browsers over Server-Sent Events. Each connection
+// follows one server; an event is only sent to connections whose dashboard
+// role may view the scope it belongs to (a plugin id or a core scope).
+// Events not tied to a server only go to the bot owner's connections.
+const HEARTBEAT_INTERVAL = 30 * 1000;
+const MAX_CONNECTIONS_PER_USER = 10;
+
+class LiveUpdates {
+    constructor(permissions) {
+        this.permissions = permissions;
+        this.connections = new Set(); // { userId, guildId, role, isBotOwner, res }
+        this.timer = null;
+    }
+
+    start() {
+        this.timer = setInterval(() => this.heartbeat(), HEARTBEAT_INTERVAL);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        for (const connection of this.connections) {
+            connection.res.end();
+        }
+        this.connections.clear();
+    }
+
+    // Route handler after the permission check has set req.guildId and req.dashboardRole
+    async connect(req, res) {
+        const userConnections = [...this.connections].filter(connection => connection.userId === req.user.id);
+        if (userConnections.length >= MAX_CONNECTIONS_PER_USER) {
+            return res.status(429).json({ error: 'Too many live dashboard connections' });
+        }
+
+        const isBotOwner = await this.permissions.isBotOwner(req.user.id);
+
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no' // let reverse proxies pass events through straight away
+        });
+        res.flushHeaders();
+
+        const connection = { userId: req.user.id, guildId: req.guildId, role: req.dashboardRole, isBotOwner, res };
+        this.connections.add(connection);
+        this.send(connection, 'ready', { guildId: connection.guildId, role: connection.role });
+
+        req.on('close', () => this.connections.delete(connection));
+    }
+
+    send(connection, type, data) {
+        connection.res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // guildId null is for bot-wide messages such as startup logs, which can
+    // mention any server, so they only go to the bot owner
+    publish(guildId, scope, type, data) {
+        for (const connection of this.connections) {
+            if (guildId ? connection.guildId !== guildId : !connection.isBotOwner) continue;
+            if (!this.permissions.isAllowed(connection.role, connection.guildId, scope, 'view')) continue;
+
+            try {
+                this.send(connection, type, data);
+            } catch (error) {
+                // Dropped first, as the error log is itself streamed
+                this.connections.delete(connection);
+                console.error('Error sending live dashboard update:', error);
+            }
+        }
+    }
+
+    // Keeps idle connections open through proxies and picks up role changes,
+    // closing connections for users who can no longer view the server
+    async heartbeat() {
+        for (const connection of [...this.connections]) {
+            try {
+                connection.role = await this.permissions.getDashboardRole(connection.userId, connection.guildId);
+                if (!this.permissions.isAllowed(connection.role, connection.guildId, 'dashboard', 'view')) {
+                    this.send(connection, 'revoked', { guildId: connection.guildId });
+                    connection.res.end();
+                    this.connections.delete(connection);
+                    continue;
+                }
+                connection.res.write(': heartbeat\n\n');
+            } catch (error) {
+                console.error('Error refreshing live dashboard connection:', error);
+            }
+        }
+    }
+}
+
+module.exports = { LiveUpdates };
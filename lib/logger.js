@@ -0,0 +1,238 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Structured logging for the bot and its plugins. Entries are JSON lines in
+// ./logs/bot.log (next to PM2's out/err logs), rotated by size.
+//
+// Entry fields: timestamp, level, message and, when known, plugin, guildId,
+// userId and event, plus any other fields the caller passes.
+const LEVELS = { debug: 10, info: 20, success: 20, warning: 30, error: 40 };
+
+const DEFAULT_OPTIONS = {
+    dir: './logs',
+    file: 'bot.log',
+    maxFileSize: 5 * 1024 * 1024,
+    maxFiles: 5, // bot.log plus bot.1.log ... bot.4.log
+    level: 'info'
+};
+
+const MAX_QUERY_LIMIT = 500;
+
+// Errors don't survive JSON.stringify, so they're stored as message and stack
+function serializeFields(fields) {
+    const serialized = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) continue;
+        serialized[key] = value instanceof Error ? { message: value.message, stack: value.stack } : value;
+    }
+    return serialized;
+}
+
+class Logger {
+    // onEntry(entry) is called for every entry at or above the configured level
+    constructor(options = {}, { onEntry = null } = {}) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        if (!LEVELS[this.options.level]) this.options.level = DEFAULT_OPTIONS.level;
+
+        this.onEntry = onEntry;
+        this.context = new AsyncLocalStorage(); // { plugin, guildId, userId, event } for whatever is running
+        this.console = null; // the real console methods once captureConsole() has replaced them
+        this.stream = null;
+        this.closing = []; // rotated-out streams still writing their last lines
+        this.size = 0;
+    }
+
+    get filePath() {
+        return path.join(this.options.dir, this.options.file);
+    }
+
+    rotatedPath(index) {
+        const { name, ext } = path.parse(this.options.file);
+        return path.join(this.options.dir, `${name}.${index}${ext}`);
+    }
+
+    openStream() {
+        fs.mkdirSync(this.options.dir, { recursive: true });
+        // Opened right away rather than by the stream, so a rotation during a burst
+        // of writes moves the file this stream writes to instead of racing its open
+        const fd = fs.openSync(this.filePath, 'a');
+        this.size = fs.fstatSync(fd).size;
+        this.stream = fs.createWriteStream(null, { fd });
+        this.stream.on('error', error => this.print('error', `Log file write failed: ${error.message}`));
+    }
+
+    // bot.log -> bot.1.log -> ... and the oldest is dropped
+    rotate() {
+        const previous = this.stream;
+        this.closing.push(new Promise(resolve => previous.end(resolve)));
+        try {
+            for (let index = this.options.maxFiles - 1; index >= 1; index--) {
+                const from = index === 1 ? this.filePath : this.rotatedPath(index - 1);
+                if (fs.existsSync(from)) fs.renameSync(from, this.rotatedPath(index));
+            }
+        } catch (error) {
+            this.print('error', `Log rotation failed: ${error.message}`);
+        }
+        this.openStream();
+    }
+
+    // Runs fn with fields (plugin, guildId, userId, event) attached to everything it logs,
+    // including log calls in callbacks and promises it starts. Work that begins
+    // something new, like a request or a Discord event, passes inherit: false, as
+    // the context it is called from can be left over from unrelated work.
+    runWith(fields, fn, { inherit = true } = {}) {
+        return this.context.run({ ...(inherit ? this.context.getStore() : {}), ...fields }, fn);
+    }
+
+    // Fields for the code currently running, so later code can fill in e.g. the guild
+    currentContext() {
+        return this.context.getStore() || null;
+    }
+
+    isEnabled(level) {
+        return (LEVELS[level] ?? LEVELS.info) >= LEVELS[this.options.level];
+    }
+
+    log(level, message, fields = {}) {
+        this.write(level, message, fields);
+        if (this.isEnabled(level)) this.print(level, message, fields);
+    }
+
+    write(level, message, fields = {}) {
+        if (!this.isEnabled(level)) return null;
+
+        const entry = {
+            timestamp: new Date().toISOString(),
+            level: LEVELS[level] ? level : 'info',
+            message: String(message),
+            ...serializeFields({ ...this.context.getStore(), ...fields })
+        };
+
+        if (!this.stream) this.openStream();
+        const line = `${JSON.stringify(entry)}\n`;
+        this.stream.write(line);
+        this.size += Buffer.byteLength(line);
+        if (this.size >= this.options.maxFileSize) this.rotate();
+
+        try {
+            this.onEntry?.(entry);
+        } catch (error) {
+            this.print('error', `Log listener failed: ${error.message}`);
+        }
+        return entry;
+    }
+
+    // Human-readable line on stdout/stderr, where PM2 picks it up
+    print(level, message, fields = {}) {
+        const output = this.console || console;
+        const method = level === 'error' ? 'error' : level === 'warning' ? 'warn' : 'log';
+        const { plugin } = { ...this.context.getStore(), ...fields };
+        const time = new Date().toLocaleTimeString();
+        const args = [`[${time}] ${level.toUpperCase()}:${plugin ? ` [${plugin}]` : ''} ${message}`];
+        if (fields.error instanceof Error) args.push(fields.error);
+        output[method](...args);
+    }
+
+    debug(message, fields) { this.log('debug', message, fields); }
+    info(message, fields) { this.log('info', message, fields); }
+    success(message, fields) { this.log('success', message, fields); }
+    warn(message, fields) { this.log('warning', message, fields); }
+    error(message, fields) { this.log('error', message, fields); }
+
+    // A logger that adds the same fields to every entry, e.g. { plugin: 'levelingPlugin' }
+    child(fields) {
+        const parent = this;
+        return {
+            debug: (message, extra) => parent.log('debug', message, { ...fields, ...extra }),
+            info: (message, extra) => parent.log('info', message, { ...fields, ...extra }),
+            success: (message, extra) => parent.log('success', message, { ...fields, ...extra }),
+            warn: (message, extra) => parent.log('warning', message, { ...fields, ...extra }),
+            error: (message, extra) => parent.log('error', message, { ...fields, ...extra }),
+            child: extra => parent.child({ ...fields, ...extra })
+        };
+    }
+
+    // Records console output as log entries too, so existing console.log calls
+    // keep printing as before and are attributed to the plugin that made them
+    captureConsole() {
+        if (this.console) return;
+        this.console = { log: console.log, info: console.info, warn: console.warn, error: console.error, debug: console.debug };
+
+        const levels = { log: 'info', info: 'info', warn: 'warning', error: 'error', debug: 'debug' };
+        for (const [method, level] of Object.entries(levels)) {
+            console[method] = (...args) => {
+                this.console[method](...args);
+                const error = args.find(arg => arg instanceof Error);
+                this.write(level, util.format(...args.filter(arg => arg !== error)), error ? { error } : {});
+            };
+        }
+    }
+
+    // Filters: guildId (with includeUnscoped, entries without a guild match too),
+    // plugin, level (one level or a comma-separated list), from/to (ISO dates or
+    // timestamps) and limit. Returns matching entries newest first, reading
+    // rotated files only as far back as needed.
+    async query(filters = {}) {
+        const levels = filters.level ? String(filters.level).split(',').map(level => level.trim()) : null;
+        const from = filters.from ? new Date(filters.from).getTime() : null;
+        const to = filters.to ? new Date(filters.to).getTime() : null;
+        const limit = Math.min(Math.max(parseInt(filters.limit) || 50, 1), MAX_QUERY_LIMIT);
+
+        const matches = entry => {
+            const time = new Date(entry.timestamp).getTime();
+            if (filters.guildId && entry.guildId !== filters.guildId && !(filters.includeUnscoped && !entry.guildId)) return false;
+            if (filters.plugin && entry.plugin !== filters.plugin) return false;
+            if (levels && !levels.includes(entry.level)) return false;
+            if (from !== null && !(time >= from)) return false;
+            if (to !== null && !(time <= to)) return false;
+            return true;
+        };
+
+        const results = [];
+        const files = [this.filePath];
+        for (let index = 1; index < this.options.maxFiles; index++) files.push(this.rotatedPath(index));
+
+        for (const file of files) {
+            let lines;
+            try {
+                lines = (await fs.promises.readFile(file, 'utf8')).split('\n');
+            } catch (error) {
+                if (error.code === 'ENOENT') continue;
+                throw error;
+            }
+
+            for (let index = lines.length - 1; index >= 0; index--) {
+                if (!lines[index]) continue;
+                let entry;
+                try {
+                    entry = JSON.parse(lines[index]);
+                } catch (error) {
+                    continue; // a line cut off by a crash
+                }
+
+                if (from !== null && new Date(entry.timestamp).getTime() < from) return results;
+                if (matches(entry)) {
+                    results.push(entry);
+                    if (results.length >= limit) return results;
+                }
+            }
+        }
+        return results;
+    }
+
+    // Resolves once buffered lines are on disk, including those of rotated files
+    async close() {
+        if (this.stream) {
+            const stream = this.stream;
+            this.stream = null;
+            this.closing.push(new Promise(resolve => stream.end(resolve)));
+        }
+        const closing = this.closing;
+        this.closing = [];
+        await Promise.all(closing);
+    }
+}
+
+module.exports = { Logger, LEVELS };
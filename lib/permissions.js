@@ -0,0 +1,216 @@
+const { PermissionsBitField } = require('discord.js');
+
+// Dashboard roles from least to most access. The server owner is always
+// 'owner' and members with Discord's Administrator permission are at least
+// 'admin'; the other roles come from the Discord roles and users each server
+// maps onto them.
+const DASHBOARD_ROLES = ['viewer', 'moderator', 'admin', 'owner'];
+const ASSIGNABLE_ROLES = ['admin', 'moderator', 'viewer'];
+
+// 'view' reads settings and stats, 'manage' changes anything
+const ACTIONS = ['view', 'manage'];
+
+// Lowest role allowed each action, until a server sets its own per scope.
+// Scopes are plugin ids plus the core scopes below.
+const DEFAULT_REQUIREMENTS = { view: 'viewer', manage: 'moderator' };
+const CORE_SCOPES = {
+    dashboard: 'Dashboard (stats, channels, messages)',
+    plugins: 'Plugin settings (turn plugins on or off)',
+    audit: 'Audit log (view and export moderator actions)'
+};
+
+// Editing who can do what is never delegated below admin, so nobody can lock the admins out
+const PERMISSIONS_SCOPE_ROLE = 'admin';
+
+const MAX_MAPPED_IDS = 50;
+
+function rankOf(role) {
+    return DASHBOARD_ROLES.indexOf(role);
+}
+
+// Per-server access control for the dashboard API
+class PermissionManager {
+    constructor(client, storage) {
+        this.client = client;
+        this.store = storage.collection('permissions.guilds');
+        this.configs = {}; // guildId -> { roles: { admin: { roleIds, userIds }, ... }, scopes: { scope: { view, manage } } }
+    }
+
+    async init() {
+        try {
+            this.configs = await this.store.all();
+        } catch (error) {
+            console.error('Error loading dashboard permissions:', error);
+        }
+    }
+
+    getConfig(guildId) {
+        return this.normalizeConfig(this.configs[guildId]);
+    }
+
+    normalizeConfig(config) {
+        const ids = list => (Array.isArray(list) ? list : []).map(String).filter(Boolean);
+
+        const roles = {};
+        for (const role of ASSIGNABLE_ROLES) {
+            roles[role] = {
+                roleIds: ids(config?.roles?.[role]?.roleIds),
+                userIds: ids(config?.roles?.[role]?.userIds)
+            };
+        }
+
+        const scopes = {};
+        for (const [scope, requirements] of Object.entries(config?.scopes || {})) {
+            scopes[scope] = {};
+            for (const action of ACTIONS) {
+                if (requirements?.[action]) scopes[scope][action] = String(requirements[action]);
+            }
+        }
+
+        return { roles, scopes };
+    }
+
+    // Returns an error message, or null when the config can be saved
+    validateConfig(guild, config, knownScopes) {
+        for (const role of ASSIGNABLE_ROLES) {
+            const { roleIds, userIds } = config.roles[role];
+            if (roleIds.length + userIds.length > MAX_MAPPED_IDS) {
+                return `The ${role} role can be given to at most ${MAX_MAPPED_IDS} roles and users`;
+            }
+            for (const roleId of roleIds) {
+                if (!guild.roles.cache.has(roleId) || roleId === guild.id) {
+                    return `One of the ${role} roles no longer exists`;
+                }
+            }
+            if (userIds.some(userId => !/^\d{17,20}$/.test(userId))) {
+                return `${role} users must be Discord user IDs`;
+            }
+        }
+
+        for (const [scope, requirements] of Object.entries(config.scopes)) {
+            if (!knownScopes.includes(scope)) return `Unknown permission scope "${scope}"`;
+            for (const role of Object.values(requirements)) {
+                if (rankOf(role) === -1) return `Unknown dashboard role "${role}"`;
+            }
+            if (rankOf(requirements.manage || DEFAULT_REQUIREMENTS.manage) < rankOf(requirements.view || DEFAULT_REQUIREMENTS.view)) {
+                return `Anyone who can manage ${scope} must also be able to view it`;
+            }
+        }
+
+        return null;
+    }
+
+    async setConfig(guildId, config) {
+        this.configs[guildId] = config;
+        await this.store.set(guildId, config);
+    }
+
+    // The member's dashboard role in their guild, or null when they have no access
+    getMemberRole(member) {
+        if (member.id === member.guild.ownerId) return 'owner';
+        if (member.permissions.has(PermissionsBitField.Flags.Administrator)) return 'admin';
+
+        // Highest mapped role wins
+        const { roles } = this.getConfig(member.guild.id);
+        return ASSIGNABLE_ROLES.find(role =>
+            roles[role].userIds.includes(member.id) ||
+            roles[role].roleIds.some(roleId => member.roles.cache.has(roleId))
+        ) || null;
+    }
+
+    async getDashboardRole(userId, guildId) {
+        try {
+            const guild = this.client.guilds.cache.get(guildId);
+            if (!guild) return null;
+
+            const member = await guild.members.fetch(userId);
+            return this.getMemberRole(member);
+        } catch (error) {
+            console.error('Error checking dashboard permissions:', error);
+            return null;
+        }
+    }
+
+    // The bot owner is whoever owns the Discord application, or any member of the team that does
+    async isBotOwner(userId) {
+        try {
+            const application = await this.client.application.fetch();
+            const owner = application.owner;
+            return owner?.members ? owner.members.has(userId) : owner?.id === userId;
+        } catch (error) {
+            console.error('Error checking bot owner:', error);
+            return false;
+        }
+    }
+
+    // Express middleware for routes that affect every server, such as backups
+    requireBotOwner() {
+        return async (req, res, next) => {
+            try {
+                if (!await this.isBotOwner(req.user.id)) {
+                    return res.status(403).json({ error: 'Only the bot owner can do this' });
+                }
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    getRequiredRole(guildId, scope, action) {
+        if (scope === 'permissions') return PERMISSIONS_SCOPE_ROLE;
+        return this.getConfig(guildId).scopes[scope]?.[action] || DEFAULT_REQUIREMENTS[action];
+    }
+
+    isAllowed(role, guildId, scope, action) {
+        return role !== null && rankOf(role) >= rankOf(this.getRequiredRole(guildId, scope, action));
+    }
+
+    async can(userId, guildId, scope, action) {
+        return this.isAllowed(await this.getDashboardRole(userId, guildId), guildId, scope, action);
+    }
+
+    // Express middleware for routes about one guild. The guild comes from the
+    // :serverId or :guildId route param, or serverId/guildId in the body or query.
+    require(scope, action) {
+        if (!ACTIONS.includes(action)) {
+            throw new Error(`Unknown permission action "${action}"`);
+        }
+
+        return async (req, res, next) => {
+            try {
+                const guildId = req.params.serverId || req.params.guildId ||
+                    req.body?.serverId || req.body?.guildId ||
+                    req.query.serverId || req.query.guildId;
+                if (!guildId) {
+                    return res.status(400).json({ error: 'Server ID is required' });
+                }
+
+                const role = await this.getDashboardRole(req.user.id, guildId);
+                if (!this.isAllowed(role, guildId, scope, action)) {
+                    return res.status(403).json({ error: 'Insufficient permissions' });
+                }
+
+                req.dashboardRole = role;
+                req.guildId = guildId;
+                next();
+            } catch (error) {
+                next(error);
+            }
+        };
+    }
+
+    // What a role may do in each scope, for the dashboard to hide what it can't use
+    describeAccess(role, guildId, scopes) {
+        const access = {};
+        for (const scope of [...scopes, 'permissions']) {
+            access[scope] = {};
+            for (const action of ACTIONS) {
+                access[scope][action] = this.isAllowed(role, guildId, scope, action);
+            }
+        }
+        return access;
+    }
+}
+
+module.exports = { PermissionManager, DASHBOARD_ROLES, ASSIGNABLE_ROLES, ACTIONS, DEFAULT_REQUIREMENTS, CORE_SCOPES };
@@ -0,0 +1,145 @@
+const express = require('express');
+
+// Discord events carry their guild on different objects (message, member,
+// interaction, reaction.message, voice state...)
+function guildIdOf(args) {
+    for (const arg of args) {
+        const guildId = arg?.guildId ?? arg?.guild?.id ?? arg?.message?.guildId;
+        if (guildId) return guildId;
+    }
+    return null;
+}
+
+// Everything one plugin registers with the bot: client listeners, routes,
+// event bus subscriptions and services. The plugin is handed scoped versions
+// of app, client, events and services, so the loader can skip guilds the
+// plugin is disabled in and undo all of it when the plugin is reloaded.
+// Handlers run in the plugin's log context, so their console output and log
+// entries are tagged with the plugin, guild and event.
+class PluginScope {
+    constructor(pluginId, { app, client, events, services, logger = null, isEnabled }) {
+        this.pluginId = pluginId;
+        this.rawClient = client;
+        this.logger = logger;
+        this.isEnabled = guildId => !guildId || isEnabled(pluginId, guildId);
+
+        this.listeners = []; // { event, handler, wrapper }
+        this.subscriptions = [];
+        this.serviceNames = new Set();
+
+        // Routes go on a router the loader mounts; reloading swaps the router
+        this.router = express.Router();
+        for (const param of ['serverId', 'guildId']) {
+            this.router.param(param, (req, res, next, guildId) => {
+                const context = this.logger?.currentContext();
+                if (context) context.guildId = guildId;
+
+                if (this.isEnabled(guildId)) return next();
+                res.status(403).json({ error: 'This plugin is disabled for this server' });
+            });
+        }
+
+        this.app = this.scopeApp(app);
+        this.client = this.scopeClient(client);
+        this.events = this.scopeEvents(events);
+        this.services = this.scopeServices(services);
+    }
+
+    scopeApp(app) {
+        const scoped = Object.create(app);
+        for (const method of ['get', 'post', 'put', 'patch', 'delete', 'all', 'use']) {
+            scoped[method] = (...args) => {
+                // app.get('setting') reads an Express setting rather than adding a route
+                if (method === 'get' && args.length === 1) return app.get(args[0]);
+                this.router[method](...args);
+                return scoped;
+            };
+        }
+        return scoped;
+    }
+
+    scopeClient(client) {
+        const addListener = (event, handler, once) => {
+            const wrapper = (...args) => {
+                const guildId = guildIdOf(args);
+                if (!this.isEnabled(guildId)) return;
+                return this.inContext({ guildId: guildId || undefined, event }, () => handler(...args), { inherit: false });
+            };
+            this.listeners.push({ event, handler, wrapper });
+            client[once ? 'once' : 'on'](event, wrapper);
+        };
+        const removeListener = (event, handler) => {
+            const index = this.listeners.findIndex(listener => listener.event === event && listener.handler === handler);
+            if (index === -1) return;
+            client.off(event, this.listeners[index].wrapper);
+            this.listeners.splice(index, 1);
+        };
+
+        const overrides = {
+            on: (event, handler) => { addListener(event, handler, false); return scoped; },
+            addListener: (event, handler) => { addListener(event, handler, false); return scoped; },
+            once: (event, handler) => { addListener(event, handler, true); return scoped; },
+            off: (event, handler) => { removeListener(event, handler); return scoped; },
+            removeListener: (event, handler) => { removeListener(event, handler); return scoped; }
+        };
+
+        const scoped = new Proxy(client, {
+            get(target, prop) {
+                if (Object.prototype.hasOwnProperty.call(overrides, prop)) return overrides[prop];
+                const value = Reflect.get(target, prop, target);
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+        });
+        return scoped;
+    }
+
+    scopeEvents(events) {
+        const scoped = Object.create(events);
+        scoped.on = (event, handler) => {
+            const unsubscribe = events.on(event, payload => {
+                if (!this.isEnabled(payload.guildId)) return;
+                return this.inContext({ guildId: payload.guildId, userId: payload.userId, event }, () => handler(payload), { inherit: false });
+            });
+            this.subscriptions.push(unsubscribe);
+            return unsubscribe;
+        };
+        return scoped;
+    }
+
+    scopeServices(services) {
+        const scoped = Object.create(services);
+        scoped.register = (name, api) => {
+            services.register(name, api);
+            this.serviceNames.add(name);
+        };
+        scoped.unregister = (name) => {
+            services.unregister(name);
+            this.serviceNames.delete(name);
+        };
+        return scoped;
+    }
+
+    // Runs fn with log entries attributed to this plugin plus the given fields
+    inContext(fields, fn, options) {
+        return this.logger ? this.logger.runWith({ plugin: this.pluginId, ...fields }, fn, options) : fn();
+    }
+
+    // Removes everything the plugin registered through this scope
+    dispose() {
+        for (const { event, wrapper } of this.listeners) {
+            this.rawClient.off(event, wrapper);
+        }
+        this.listeners = [];
+
+        this.subscriptions.forEach(unsubscribe => unsubscribe());
+        this.subscriptions = [];
+
+        for (const name of [...this.serviceNames]) {
+            this.services.unregister(name);
+        }
+
+        this.router.stack.length = 0;
+    }
+}
+
+module.exports = { PluginScope, guildIdOf };
@@ -0,0 +1,313 @@
+const path = require('path');
+const { PassThrough } = require('stream');
+const PImage = require('pureimage');
+
+// Rank cards are drawn with pureimage, a canvas implementation written in plain
+// JavaScript, so rendering works on any host without native image libraries.
+
+const CARD_WIDTH = 934;
+const CARD_HEIGHT = 282;
+const AVATAR_SIZE = 180;
+const IMAGE_FETCH_TIMEOUT = 5000;
+const MAX_IMAGE_BYTES = 8 * 1024 * 1024;
+const MAX_IMAGE_SIDE = 4096; // decoded images take width × height × 4 bytes
+const BACKGROUND_CACHE_SIZE = 20;
+
+const DEFAULT_THEME = {
+    backgroundColor: '#23272a',
+    backgroundImage: null,
+    overlayOpacity: 0.5,
+    accentColor: '#5865f2',
+    textColor: '#ffffff',
+    mutedTextColor: '#b9bbbe',
+    progressTrackColor: '#484b51'
+};
+
+const THEME_COLOR_KEYS = ['backgroundColor', 'accentColor', 'textColor', 'mutedTextColor', 'progressTrackColor'];
+
+const FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const FONTS = {
+    regular: PImage.registerFont(path.join(FONT_DIR, 'DejaVuSans.ttf'), 'RankCardSans'),
+    bold: PImage.registerFont(path.join(FONT_DIR, 'DejaVuSans-Bold.ttf'), 'RankCardSansBold')
+};
+FONTS.regular.loadSync();
+FONTS.bold.loadSync();
+
+// Decoded background images, keyed by URL, so busy servers don't refetch them for every card
+const backgroundCache = new Map();
+
+// Returns an error message, or null when the theme is usable
+function validateTheme(theme) {
+    if (!theme || typeof theme !== 'object') return 'Rank card theme must be an object';
+
+    for (const key of THEME_COLOR_KEYS) {
+        if (theme[key] !== undefined && !/^#[0-9a-f]{6}$/i.test(theme[key])) {
+            return `${key} must be a hex color like #5865f2`;
+        }
+    }
+    if (theme.backgroundImage !== undefined && theme.backgroundImage !== null && theme.backgroundImage !== '') {
+        if (typeof theme.backgroundImage !== 'string' || !/^https:\/\/\S+$/i.test(theme.backgroundImage)) {
+            return 'Background image must be an https:// URL to a PNG or JPEG';
+        }
+    }
+    if (theme.overlayOpacity !== undefined &&
+        !(Number.isFinite(theme.overlayOpacity) && theme.overlayOpacity >= 0 && theme.overlayOpacity <= 1)) {
+        return 'Overlay opacity must be between 0 and 1';
+    }
+
+    return null;
+}
+
+// Reads the body, giving up as soon as it passes MAX_IMAGE_BYTES
+async function readImageBody(response) {
+    if (Number(response.headers.get('content-length')) > MAX_IMAGE_BYTES) {
+        throw new Error('Image is too large');
+    }
+
+    const chunks = [];
+    let length = 0;
+    for await (const chunk of response.body) {
+        length += chunk.length;
+        if (length > MAX_IMAGE_BYTES) throw new Error('Image is too large');
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks, length);
+}
+
+// Width and height from the PNG header or the JPEG frame marker, read before
+// decoding so a small file can't expand into a huge bitmap
+function readImageSize(buffer, format) {
+    if (format === 'png') {
+        return buffer.length >= 24 ? { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) } : null;
+    }
+
+    let offset = 2;
+    while (offset + 9 <= buffer.length && buffer[offset] === 0xff) {
+        const marker = buffer[offset + 1];
+        // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+        if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+            return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+        }
+        offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+    return null;
+}
+
+async function fetchImage(url) {
+    const response = await fetch(url, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT) });
+    if (!response.ok) throw new Error(`Image request failed with status ${response.status}`);
+
+    const buffer = await readImageBody(response);
+
+    // Sniff the format rather than trusting the URL or content type
+    let format = null;
+    if (buffer.subarray(0, 4).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47]))) format = 'png';
+    else if (buffer[0] === 0xff && buffer[1] === 0xd8) format = 'jpeg';
+    if (!format) throw new Error('Unsupported image format (expected PNG or JPEG)');
+
+    const size = readImageSize(buffer, format);
+    if (!size) throw new Error('Could not read the image size');
+    if (size.width > MAX_IMAGE_SIDE || size.height > MAX_IMAGE_SIDE) {
+        throw new Error(`Image is larger than ${MAX_IMAGE_SIDE}×${MAX_IMAGE_SIDE}`);
+    }
+
+    const stream = new PassThrough();
+    stream.end(buffer);
+    return format === 'png' ? PImage.decodePNGFromStream(stream) : PImage.decodeJPEGFromStream(stream);
+}
+
+async function loadBackground(url) {
+    if (backgroundCache.has(url)) return backgroundCache.get(url);
+
+    const image = await fetchImage(url);
+    backgroundCache.set(url, image);
+    if (backgroundCache.size > BACKGROUND_CACHE_SIZE) {
+        backgroundCache.delete(backgroundCache.keys().next().value);
+    }
+    return image;
+}
+
+// Drops characters the bundled font can't draw (most emoji, some scripts)
+function printable(text, font) {
+    const kept = Array.from(String(text || '')).filter(char => font.font.hasChar(char)).join('').trim();
+    return kept || '?';
+}
+
+function fitText(ctx, text, family, size, maxWidth) {
+    ctx.font = `${size}px ${family}`;
+    if (ctx.measureText(text).width <= maxWidth) return text;
+
+    let trimmed = text;
+    while (trimmed.length > 1 && ctx.measureText(trimmed + '…').width > maxWidth) {
+        trimmed = trimmed.slice(0, -1);
+    }
+    return trimmed + '…';
+}
+
+function formatNumber(value) {
+    if (value >= 1000000) return `${(value / 1000000).toFixed(1).replace(/\.0$/, '')}M`;
+    if (value >= 10000) return `${(value / 1000).toFixed(1).replace(/\.0$/, '')}K`;
+    return Math.floor(value).toLocaleString('en-US');
+}
+
+function drawCover(ctx, image, width, height) {
+    // Scale to cover the card and crop the overflow evenly on both sides
+    const scale = Math.max(width / image.width, height / image.height);
+    const sw = width / scale;
+    const sh = height / scale;
+    const sx = (image.width - sw) / 2;
+    const sy = (image.height - sh) / 2;
+    ctx.drawImage(image, sx, sy, sw, sh, 0, 0, width, height);
+}
+
+function drawAvatar(ctx, avatar, initials, theme, x, y) {
+    const radius = AVATAR_SIZE / 2;
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.arc(x + radius, y + radius, radius, 0, Math.PI * 2);
+    ctx.closePath();
+    ctx.clip();
+
+    if (avatar) {
+        ctx.drawImage(avatar, 0, 0, avatar.width, avatar.height, x, y, AVATAR_SIZE, AVATAR_SIZE);
+    } else {
+        ctx.fillStyle = theme.accentColor;
+        ctx.fillRect(x, y, AVATAR_SIZE, AVATAR_SIZE);
+        ctx.fillStyle = theme.textColor;
+        ctx.font = '64px RankCardSansBold';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(initials, x + radius, y + radius);
+    }
+    ctx.restore();
+
+    ctx.textAlign = 'start';
+    ctx.textBaseline = 'alphabetic';
+}
+
+/**
+ * Renders a rank card and resolves to a PNG buffer.
+ *
+ * `card` holds the member's name, avatar URL, level, XP progress, server rank
+ * and per-source stats; `theme` overrides any of DEFAULT_THEME. Images that
+ * can't be fetched are skipped, so a card is always produced; a background
+ * that fails is reported to `logger` with the given `fields` (e.g. guildId).
+ */
+async function renderRankCard(card, theme = {}, { logger = null, fields = {} } = {}) {
+    theme = { ...DEFAULT_THEME, ...theme };
+
+    const [avatar, background] = await Promise.all([
+        card.avatarURL ? fetchImage(card.avatarURL).catch(() => null) : null,
+        theme.backgroundImage ? loadBackground(theme.backgroundImage).catch(error => {
+            logger?.warn(`Rank card: Could not load background ${theme.backgroundImage}: ${error.message}`, fields);
+            return null;
+        }) : null
+    ]);
+
+    const image = PImage.make(CARD_WIDTH, CARD_HEIGHT);
+    const ctx = image.getContext('2d');
+
+    // Background
+    ctx.fillStyle = theme.backgroundColor;
+    ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+    if (background) {
+        drawCover(ctx, background, CARD_WIDTH, CARD_HEIGHT);
+        ctx.fillStyle = `rgba(0, 0, 0, ${theme.overlayOpacity})`;
+        ctx.fillRect(0, 0, CARD_WIDTH, CARD_HEIGHT);
+    }
+
+    const name = printable(card.displayName || card.username, FONTS.bold);
+    drawAvatar(ctx, avatar, name.slice(0, 2).toUpperCase(), theme, 40, (CARD_HEIGHT - AVATAR_SIZE) / 2);
+
+    const left = 260;
+    const right = CARD_WIDTH - 40;
+
+    // Rank and level, right-aligned on the top row
+    ctx.textAlign = 'right';
+    ctx.fillStyle = theme.accentColor;
+    ctx.font = '56px RankCardSansBold';
+    const levelText = String(card.level);
+    ctx.fillText(levelText, right, 88);
+    let cursor = right - ctx.measureText(levelText).width - 10;
+
+    ctx.fillStyle = theme.mutedTextColor;
+    ctx.font = '22px RankCardSans';
+    ctx.fillText('LEVEL', cursor, 88);
+    cursor -= ctx.measureText('LEVEL').width + 30;
+
+    ctx.fillStyle = theme.textColor;
+    ctx.font = '56px RankCardSansBold';
+    const rankText = card.rank ? `#${card.rank}` : '-';
+    ctx.fillText(rankText, cursor, 88);
+    cursor -= ctx.measureText(rankText).width + 10;
+
+    ctx.fillStyle = theme.mutedTextColor;
+    ctx.font = '22px RankCardSans';
+    ctx.fillText('RANK', cursor, 88);
+    cursor -= ctx.measureText('RANK').width;
+
+    // Name fills whatever room is left on the top row
+    ctx.textAlign = 'start';
+    ctx.fillStyle = theme.textColor;
+    ctx.fillText(fitText(ctx, name, 'RankCardSansBold', 34, Math.max(cursor - left - 30, 60)), left, 88);
+
+    // Progress towards the next level
+    const levelXP = Math.max(card.nextLevelXP - card.levelStartXP, 1);
+    const progressXP = Math.min(Math.max(card.xp - card.levelStartXP, 0), levelXP);
+
+    ctx.fillStyle = theme.mutedTextColor;
+    ctx.font = '20px RankCardSans';
+    ctx.textAlign = 'right';
+    ctx.fillText(`${formatNumber(progressXP)} / ${formatNumber(levelXP)} XP`, right, 140);
+    ctx.textAlign = 'start';
+    ctx.fillText(`${formatNumber(card.xp)} XP total`, left, 140);
+
+    const barY = 154;
+    const barHeight = 30;
+    const barWidth = right - left;
+    ctx.fillStyle = theme.progressTrackColor;
+    ctx.beginPath();
+    ctx.roundRect(left, barY, barWidth, barHeight, barHeight / 2);
+    ctx.closePath();
+    ctx.fill();
+
+    const filled = Math.round(barWidth * (progressXP / levelXP));
+    if (filled > 0) {
+        ctx.fillStyle = theme.accentColor;
+        ctx.beginPath();
+        ctx.roundRect(left, barY, Math.max(filled, barHeight), barHeight, barHeight / 2);
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    // Per-source stats along the bottom
+    const stats = [
+        ['MESSAGES', formatNumber(card.stats.messages || 0)],
+        ['VOICE', `${formatNumber(Math.floor((card.stats.voiceTime || 0) / 60000))} min`],
+        ['REACTIONS GIVEN', formatNumber(card.stats.reactionsGiven || 0)],
+        ['REACTIONS RECEIVED', formatNumber(card.stats.reactionsReceived || 0)]
+    ];
+    const columnWidth = barWidth / stats.length;
+    stats.forEach(([label, value], index) => {
+        const x = left + index * columnWidth;
+        ctx.fillStyle = theme.mutedTextColor;
+        ctx.font = '15px RankCardSans';
+        ctx.fillText(label, x, 222);
+        ctx.fillStyle = theme.textColor;
+        ctx.font = '24px RankCardSansBold';
+        ctx.fillText(value, x, 252);
+    });
+
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    await PImage.encodePNGToStream(image, output);
+    return Buffer.concat(chunks);
+}
+
+module.exports = {
+    renderRankCard,
+    validateTheme,
+    DEFAULT_THEME
+};
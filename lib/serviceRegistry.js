@@ -0,0 +1,34 @@
+// Query APIs that plugins expose to each other, e.g. the leveling plugin
+// registers 'leveling' so others can read levels without knowing how or
+// where leveling data is stored.
+class ServiceRegistry {
+    constructor() {
+        this.services = new Map();
+    }
+
+    register(name, api) {
+        if (this.services.has(name)) {
+            throw new Error(`Service "${name}" is already registered`);
+        }
+        this.services.set(name, api);
+    }
+
+    unregister(name) {
+        this.services.delete(name);
+    }
+
+    // Returns the service, or null when the plugin providing it isn't loaded
+    get(name) {
+        return this.services.get(name) || null;
+    }
+
+    has(name) {
+        return this.services.has(name);
+    }
+
+    list() {
+        return [...this.services.keys()];
+    }
+}
+
+module.exports = ServiceRegistry;
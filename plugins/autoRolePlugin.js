@@ -1,8 +1,15 @@
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
 
 class AutoRolePlugin {
-    constructor(app, client, ensureAuthenticated, hasAdminPermissions) {
+    // Level roles, season rewards and role rules need these; join, reaction and panel roles work without them
+    static optionalDependencies = {
+        levelingPlugin: '^1.0.0',
+        reputationPlugin: '^1.0.0',
+        genrediscoveryPlugin: '^1.0.0'
+    };
+
+    constructor(app, client, ensureAuthenticated, requirePermission, context = {}) {
         this.name = 'Auto-Role System';
         this.description = 'Automatic role assignment, reaction roles, and level-based roles';
         this.version = '1.0.0';
@@ -11,97 +18,267 @@ class AutoRolePlugin {
         this.app = app;
         this.client = client;
         this.ensureAuthenticated = ensureAuthenticated;
-        this.hasAdminPermissions = hasAdminPermissions;
+        this.requirePermission = requirePermission;
+        
+        // Storage collections, all keyed by guild ID
+        this.storage = context.storage;
+        this.events = context.events;
+        this.logger = context.logger;
+        this.services = context.services;
+        this.settingsStore = this.storage.collection('autorole.settings');
+        this.reactionRoleStore = this.storage.collection('autorole.reactionRoles');
+        this.levelRoleStore = this.storage.collection('autorole.levelRoles');
+        this.panelStore = this.storage.collection('autorole.panels');
+        this.selfAssignStore = this.storage.collection('autorole.selfAssign');
+        this.tempRoleStore = this.storage.collection('autorole.tempRoles');
+        this.verificationStore = this.storage.collection('autorole.verification');
+        this.stickyStore = this.storage.collection('autorole.stickyRoles');
+        this.syncJobStore = this.storage.collection('autorole.syncJobs'); // progress and report, saved after every batch
+        this.syncMemberStore = this.storage.collection('autorole.syncMembers'); // member list, saved once per job
+        this.ruleRoleStore = this.storage.collection('autorole.ruleRoles');
+        
+        // In-memory copies of auto-role settings
+        this.autoRoleSettings = {};
+        this.reactionRoles = {};
+        this.levelRoles = {};
+        this.rolePanels = {}; // guildId -> panelId -> panel
+        this.selfAssignRules = {}; // guildId -> { rules: [{ roleId, requiredRoles, requiredLevel, group, durationHours }] }
+        this.temporaryRoles = {}; // guildId -> 'userId:roleId' -> { userId, roleId, expiresAt, source }
+        this.tempRolesRunning = false;
+        this.verificationState = {}; // guildId -> { message: { channelId, messageId }, queue: userId -> entry }
+        this.stickyRoles = {}; // guildId -> userId -> { username, roles, leftAt }
+        this.syncJobs = {}; // guildId -> latest level role sync job
+        this.activeSyncs = new Set(); // IDs of sync jobs with a loop running in this process
+        this.rateLimitedUntil = 0;
+        this.ruleRoles = {}; // guildId -> { rules: [{ roleId, conditions, removeWhenUnmet }], lastSweepAt }
+        this.ruleSweepsRunning = new Set();
+        
+        this.TEMP_ROLE_CHECK_INTERVAL = 60 * 1000; // 1 minute
+        this.MAX_TEMP_ROLE_HOURS = 24 * 365;
+        this.MAX_REQUIRED_LEVEL = 1000;
+        this.LEVEL_ROLE_MODES = ['stack', 'highest', 'tiered'];
+        this.VERIFICATION_CHECK_INTERVAL = 60 * 1000; // 1 minute
+        this.MAX_VERIFICATION_QUESTIONS = 5; // Discord modals hold five text inputs
+        this.MAX_VERIFICATION_MINUTES = 7 * 24 * 60;
+        this.STICKY_PRUNE_INTERVAL = 60 * 60 * 1000; // 1 hour
+        this.MAX_STICKY_SNAPSHOTS = 10000; // per guild
+        this.MAX_STICKY_RETENTION_DAYS = 365;
+        this.SYNC_BATCH_SIZE = 10; // members per batch
+        this.SYNC_BATCH_DELAY = 1000; // 1 second between batches
+        this.MAX_SYNC_ERRORS = 100; // per job
+        this.MAX_SYNC_CHANGES = 200; // members listed in the report; the summary counts them all
+        this.RULE_SWEEP_INTERVAL = 60 * 60 * 1000; // 1 hour
+        this.MAX_RULE_CONDITIONS = 5;
+        this.RULE_CONDITION_TYPES = ['reputation_total', 'reputation_category', 'voice_hours', 'messages_30d', 'tenure_days', 'genre'];
+        // Which rule source each condition reads; tenure comes from the member itself
+        this.RULE_CONDITION_SOURCES = {
+            reputation_total: 'reputation',
+            reputation_category: 'reputation',
+            voice_hours: 'leveling',
+            messages_30d: 'leveling',
+            genre: 'genres'
+        };
+        
+        // Discord limits for message components
+        this.MAX_PANEL_OPTIONS = 25;
+        this.BUTTONS_PER_ROW = 5;
+        this.BUTTON_STYLES = {
+            primary: ButtonStyle.Primary,
+            secondary: ButtonStyle.Secondary,
+            success: ButtonStyle.Success,
+            danger: ButtonStyle.Danger
+        };
         
-        // Storage for auto-role settings
-        this.autoRoleSettings = this.loadAutoRoleSettings();
-        this.reactionRoles = this.loadReactionRoles();
-        this.levelRoles = this.loadLevelRoles();
+        // Intervals started in start() and cleared in stop()
+        this.timers = [];
+        this.stopped = false;
+    }
+
+    async init() {
+        this.autoRoleSettings = await this.loadAutoRoleSettings();
+        this.reactionRoles = await this.loadReactionRoles();
+        this.levelRoles = await this.loadLevelRoles();
+        this.rolePanels = await this.loadRolePanels();
+        this.selfAssignRules = await this.loadSelfAssignRules();
+        this.temporaryRoles = await this.loadTemporaryRoles();
+        this.verificationState = await this.loadVerificationState();
+        this.stickyRoles = await this.loadStickyRoles();
+        this.syncJobs = await this.loadSyncJobs();
+        this.ruleRoles = await this.loadRuleRoles();
         
         this.setupRoutes();
+        this.setupPanelRoutes();
+        this.setupSelfAssignRoutes();
+        this.setupVerificationRoutes();
+        this.setupStickyRoleRoutes();
+        this.setupLevelRoleSyncRoutes();
+        this.setupRuleRoleRoutes();
         this.setupEventListeners();
     }
 
-    loadAutoRoleSettings() {
+    start() {
+        // Temporary roles are persisted, so roles that expired while the bot was offline go on the first pass after startup
+        this.processTemporaryRoles();
+        this.pruneStickyRoles();
+        this.timers.push(
+            setInterval(() => this.processTemporaryRoles(), this.TEMP_ROLE_CHECK_INTERVAL),
+            setInterval(() => this.processVerificationTimeouts(), this.VERIFICATION_CHECK_INTERVAL),
+            setInterval(() => this.pruneStickyRoles(), this.STICKY_PRUNE_INTERVAL),
+            setInterval(() => this.sweepAllRuleRoles(), this.RULE_SWEEP_INTERVAL)
+        );
+        
+        // Syncs interrupted by a restart or reload carry on once guilds are available
+        if (this.client.isReady()) {
+            this.resumeLevelRoleSyncs();
+        } else {
+            this.client.once('ready', () => this.resumeLevelRoleSyncs());
+        }
+    }
+
+    // Running level role syncs stop after their current batch; their saved cursor lets the next start resume them
+    stop() {
+        this.stopped = true;
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        this.client.rest.off('rateLimited', this.onRateLimited);
+    }
+
+    async loadAutoRoleSettings() {
         try {
-            const settingsPath = './data/autoRoleSettings.json';
-            if (fs.existsSync(settingsPath)) {
-                return JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
-            }
+            return await this.settingsStore.all();
         } catch (error) {
-            console.error('Error loading auto-role settings:', error);
+            this.logger.error('Error loading auto-role settings', { error });
         }
         return {};
     }
 
-    loadReactionRoles() {
+    async loadReactionRoles() {
         try {
-            const reactionRolesPath = './data/reactionRoles.json';
-            if (fs.existsSync(reactionRolesPath)) {
-                return JSON.parse(fs.readFileSync(reactionRolesPath, 'utf8'));
-            }
+            return await this.reactionRoleStore.all();
         } catch (error) {
-            console.error('Error loading reaction roles:', error);
+            this.logger.error('Error loading reaction roles', { error });
         }
         return {};
     }
 
-    loadLevelRoles() {
+    async loadLevelRoles() {
         try {
-            const levelRolesPath = './data/levelRoles.json';
-            if (fs.existsSync(levelRolesPath)) {
-                return JSON.parse(fs.readFileSync(levelRolesPath, 'utf8'));
+            const levelRoles = await this.levelRoleStore.all();
+            for (const guildId of Object.keys(levelRoles)) {
+                levelRoles[guildId] = this.normalizeLevelRoles(levelRoles[guildId]);
             }
+            return levelRoles;
         } catch (error) {
-            console.error('Error loading level roles:', error);
+            this.logger.error('Error loading level roles', { error });
         }
         return {};
     }
 
-    saveAutoRoleSettings() {
+    async loadRolePanels() {
         try {
-            const dataDir = './data';
-            if (!fs.existsSync(dataDir)) {
-                fs.mkdirSync(dataDir);
-            }
-            fs.writeFileSync('./data/autoRoleSettings.json', JSON.stringify(this.autoRoleSettings, null, 2));
+            return await this.panelStore.all();
         } catch (error) {
-            console.error('Error saving auto-role settings:', error);
+            this.logger.error('Error loading role panels', { error });
         }
+        return {};
     }
 
-    saveReactionRoles() {
+    async loadSelfAssignRules() {
         try {
-            const dataDir = './data';
-            if (!fs.existsSync(dataDir)) {
-                fs.mkdirSync(dataDir);
-            }
-            fs.writeFileSync('./data/reactionRoles.json', JSON.stringify(this.reactionRoles, null, 2));
+            return await this.selfAssignStore.all();
+        } catch (error) {
+            this.logger.error('Error loading self-assign rules', { error });
+        }
+        return {};
+    }
+
+    async loadTemporaryRoles() {
+        try {
+            return await this.tempRoleStore.all();
+        } catch (error) {
+            this.logger.error('Error loading temporary roles', { error });
+        }
+        return {};
+    }
+
+    async loadVerificationState() {
+        try {
+            return await this.verificationStore.all();
         } catch (error) {
-            console.error('Error saving reaction roles:', error);
+            this.logger.error('Error loading verification state', { error });
         }
+        return {};
+    }
+
+    async loadStickyRoles() {
+        try {
+            return await this.stickyStore.all();
+        } catch (error) {
+            this.logger.error('Error loading sticky roles', { error });
+        }
+        return {};
     }
 
-    saveLevelRoles() {
+    // Running jobs get their member list back so they can resume
+    async loadSyncJobs() {
         try {
-            const dataDir = './data';
-            if (!fs.existsSync(dataDir)) {
-                fs.mkdirSync(dataDir);
+            const jobs = await this.syncJobStore.all();
+            for (const [guildId, job] of Object.entries(jobs)) {
+                // Jobs saved before the member list was stored separately carry it themselves
+                if (job?.memberIds) job.total ??= job.memberIds.length;
+                if (job?.status !== 'running' || job.memberIds) continue;
+
+                const members = await this.syncMemberStore.get(guildId);
+                if (members?.jobId === job.id) {
+                    job.memberIds = members.memberIds;
+                } else {
+                    job.status = 'failed';
+                    job.error = 'The member list for this sync was lost';
+                }
             }
-            fs.writeFileSync('./data/levelRoles.json', JSON.stringify(this.levelRoles, null, 2));
+            return jobs;
+        } catch (error) {
+            this.logger.error('Error loading level role sync jobs', { error });
+        }
+        return {};
+    }
+
+    async loadRuleRoles() {
+        try {
+            return await this.ruleRoleStore.all();
+        } catch (error) {
+            this.logger.error('Error loading rule roles', { error });
+        }
+        return {};
+    }
+
+    // Throws, so the dashboard hears about settings that didn't save
+    async saveAutoRoleSettings() {
+        await this.settingsStore.replace(this.autoRoleSettings);
+    }
+
+    // Throws, like saveAutoRoleSettings
+    async saveReactionRoles() {
+        await this.reactionRoleStore.replace(this.reactionRoles);
+    }
+
+    // Throws, like saveAutoRoleSettings
+    async saveLevelRoles() {
+        await this.levelRoleStore.replace(this.levelRoles);
+    }
+
+    async saveRolePanels(guildId) {
+        try {
+            await this.panelStore.set(guildId, this.rolePanels[guildId]);
         } catch (error) {
-            console.error('Error saving level roles:', error);
+            this.logger.error('Error saving role panels', { guildId, error });
         }
     }
 	setupRoutes() {
-        this.app.get('/api/plugins/autorole/export/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/autorole/export/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { serverId } = req.params;
 
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-
                 const guild = this.client.guilds.cache.get(serverId);
                 if (!guild) {
                     return res.status(404).json({ error: 'Guild not found' });
@@ -117,7 +294,10 @@ class AutoRolePlugin {
                     },
                     autoRoleSettings: this.autoRoleSettings[serverId] || {},
                     reactionRoles: this.reactionRoles[serverId] || {},
-                    levelRoles: this.levelRoles[serverId] || {}
+                    levelRoles: this.levelRoles[serverId] || {},
+                    rolePanels: this.rolePanels[serverId] || {},
+                    selfAssignRules: this.selfAssignRules[serverId] || {},
+                    ruleRoles: this.ruleRoles[serverId] || {}
                 };
 
                 const filename = `fuji_autorole_backup_${guild.name.replace(/[^a-z0-9]/gi, '_').toLowerCase()}_${new Date().toISOString().split('T')[0]}.json`;
@@ -129,20 +309,16 @@ class AutoRolePlugin {
                 // --- FIX END ---
 
             } catch (error) {
-                console.error('Error exporting auto-role settings:', error);
+                this.logger.error('Error exporting auto-role settings', { error });
                 res.status(500).json({ error: 'Failed to export settings' });
             }
         });
 
         // Get all auto-role settings for a server
-        this.app.get('/api/plugins/autorole/settings/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/autorole/settings/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { serverId } = req.params;
                 
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-                
                 const settings = this.autoRoleSettings[serverId] || {
                     joinRoles: {
                         enabled: false,
@@ -151,100 +327,101 @@ class AutoRolePlugin {
                         excludeBots: true,
                         minAccountAge: 0
                     },
+                    verification: this.normalizeVerification(),
+                    stickyRoles: this.normalizeStickyRoles(),
                     logChannelId: null
                 };
                 
                 res.json(settings);
             } catch (error) {
-                console.error('Error getting auto-role settings:', error);
+                this.logger.error('Error getting auto-role settings', { error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
 
         // Update auto-role settings
-        this.app.post('/api/plugins/autorole/settings/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.post('/api/plugins/autorole/settings/:serverId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
             try {
                 const { serverId } = req.params;
                 
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
+                const guild = this.client.guilds.cache.get(serverId);
+                if (!guild) {
+                    return res.status(404).json({ error: 'Server not found' });
+                }
+                
+                const verification = this.normalizeVerification(req.body.verification);
+                const stickyRoles = this.normalizeStickyRoles(req.body.stickyRoles);
+                const validationError = this.validateVerification(guild, verification) ||
+                    this.validateStickyRoles(guild, stickyRoles);
+                if (validationError) {
+                    return res.status(400).json({ error: validationError });
                 }
                 
-                this.autoRoleSettings[serverId] = req.body;
-                this.saveAutoRoleSettings();
+                this.autoRoleSettings[serverId] = { ...req.body, verification, stickyRoles };
+                await this.saveAutoRoleSettings();
                 
                 res.json({ success: true });
             } catch (error) {
-                console.error('Error updating auto-role settings:', error);
+                this.logger.error('Error updating auto-role settings', { error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
 
         // Get level roles for a server
-        this.app.get('/api/plugins/autorole/levelroles/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/autorole/levelroles/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { serverId } = req.params;
                 
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-                
-                const levelRoles = this.levelRoles[serverId] || {
-                    enabled: false,
-                    roles: [], // { level: number, roleId: string, removeOldRoles: boolean }
-                    logChannelId: null
-                };
-                
-                res.json(levelRoles);
+                res.json(this.normalizeLevelRoles(this.levelRoles[serverId]));
             } catch (error) {
-                console.error('Error getting level roles:', error);
+                this.logger.error('Error getting level roles', { error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
 
         // Update level roles
-        this.app.post('/api/plugins/autorole/levelroles/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.post('/api/plugins/autorole/levelroles/:serverId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
             try {
                 const { serverId } = req.params;
                 
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
+                const guild = this.client.guilds.cache.get(serverId);
+                if (!guild) {
+                    return res.status(404).json({ error: 'Server not found' });
+                }
+                
+                const levelRoles = this.normalizeLevelRoles(req.body);
+                const validationError = this.validateLevelRoles(guild, levelRoles);
+                if (validationError) {
+                    return res.status(400).json({ error: validationError });
                 }
                 
-                this.levelRoles[serverId] = req.body;
-                this.saveLevelRoles();
+                this.levelRoles[serverId] = levelRoles;
+                await this.saveLevelRoles();
                 
                 res.json({ success: true });
             } catch (error) {
-                console.error('Error updating level roles:', error);
+                this.logger.error('Error updating level roles', { error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
 
         // Get reaction roles for a server
-        this.app.get('/api/plugins/autorole/reactionroles/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/autorole/reactionroles/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { serverId } = req.params;
                 
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-                
                 const reactionRoles = this.reactionRoles[serverId] || {};
                 
                 res.json(reactionRoles);
             } catch (error) {
-                console.error('Error getting reaction roles:', error);
+                this.logger.error('Error getting reaction roles', { error });
                 res.status(500).json({ error: 'Internal server error' });
             }
         });
         
-        this.app.get('/api/plugins/autorole/reactionroles/:serverId/:messageId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/autorole/reactionroles/:serverId/:messageId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { serverId, messageId } = req.params;
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
                 const reactionRole = this.reactionRoles[serverId]?.[messageId];
                 if (!reactionRole) {
                     return res.status(404).json({ error: 'Reaction role not found' });
@@ -255,15 +432,11 @@ class AutoRolePlugin {
             }
         });
         
-        this.app.put('/api/plugins/autorole/reactionroles/:serverId/:messageId', this.ensureAuthenticated, async (req, res) => {
+        this.app.put('/api/plugins/autorole/reactionroles/:serverId/:messageId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
             try {
                 const { serverId, messageId } = req.params;
                 const { title, description, roles, maxRoles, removeOnUnreact } = req.body;
         
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-        
                 const reactionRoleData = this.reactionRoles[serverId]?.[messageId];
                 if (!reactionRoleData) {
                     return res.status(404).json({ error: 'Reaction role not found' });
@@ -308,27 +481,26 @@ class AutoRolePlugin {
                 reactionRoleData.maxRoles = maxRoles || 0;
                 reactionRoleData.removeOnUnreact = removeOnUnreact !== false;
                 
-                this.saveReactionRoles();
+                await this.saveReactionRoles();
         
                 res.json({ success: true, message: 'Reaction role message updated successfully' });
             } catch (error) {
-                console.error('Error updating reaction role message:', error);
+                this.logger.error('Error updating reaction role message', { error });
                 res.status(500).json({ error: 'Failed to update reaction role message' });
             }
         });
 
 
-        // Create reaction role message (WITH DEBUG CODE)
-        this.app.post('/api/plugins/autorole/reactionroles/:serverId/create', this.ensureAuthenticated, async (req, res) => {
+        // Create reaction role message
+        this.app.post('/api/plugins/autorole/reactionroles/:serverId/create', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
             try {
                 const { serverId } = req.params;
                 const { channelId, title, description, roles, maxRoles, removeOnUnreact } = req.body;
                 
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-                
                 const guild = this.client.guilds.cache.get(serverId);
+                if (!guild) {
+                    return res.status(404).json({ error: 'Server not found' });
+                }
                 const channel = guild.channels.cache.get(channelId);
                 
                 if (!channel) {
@@ -358,22 +530,16 @@ class AutoRolePlugin {
                             inline: true
                         });
                         emojiMap[roleData.emoji] = roleData.roleId;
-                        
-                        console.log(`🧪 [CREATE] Testing emoji for role ${role.name}:`);
-                        this.testEmojiConsistency(roleData.emoji);
                     }
                 }
                 
-                console.log(`🎭 [CREATE] Final emoji map:`, emojiMap);
-                
                 const message = await channel.send({ embeds: [embed] });
                 
                 for (const emoji of Object.keys(emojiMap)) {
                     try {
                         await message.react(emoji);
-                        console.log(`✅ [CREATE] Successfully added reaction: ${emoji}`);
                     } catch (error) {
-                        console.error(`❌ [CREATE] Error adding reaction ${emoji}:`, error);
+                        this.logger.error(`Error adding reaction ${emoji}`, { error });
                     }
                 }
                 
@@ -392,10 +558,7 @@ class AutoRolePlugin {
                     createdAt: new Date().toISOString()
                 };
                 
-                this.saveReactionRoles();
-                
-                console.log(`🧪 [CREATE] Testing saved data for message ${message.id}:`);
-                this.testReactionRoleData(serverId, message.id);
+                await this.saveReactionRoles();
                 
                 res.json({ 
                     success: true, 
@@ -404,20 +567,16 @@ class AutoRolePlugin {
                 });
                 
             } catch (error) {
-                console.error('Error creating reaction role message:', error);
+                this.logger.error('Error creating reaction role message', { error });
                 res.status(500).json({ error: 'Failed to create reaction role message' });
             }
         });
 
         // Delete reaction role message
-        this.app.delete('/api/plugins/autorole/reactionroles/:serverId/:messageId', this.ensureAuthenticated, async (req, res) => {
+        this.app.delete('/api/plugins/autorole/reactionroles/:serverId/:messageId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
             try {
                 const { serverId, messageId } = req.params;
                 
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-                
                 if (this.reactionRoles[serverId] && this.reactionRoles[serverId][messageId]) {
                     const reactionRole = this.reactionRoles[serverId][messageId];
                     
@@ -431,29 +590,25 @@ class AutoRolePlugin {
                             }
                         }
                     } catch (error) {
-                        console.log('Could not delete message (may already be deleted):', error.message);
+                        this.logger.info(`Could not delete message (may already be deleted): ${error.message}`);
                     }
                     
                     delete this.reactionRoles[serverId][messageId];
-                    this.saveReactionRoles();
+                    await this.saveReactionRoles();
                 }
                 
                 res.json({ success: true });
             } catch (error) {
-                console.error('Error deleting reaction role message:', error);
+                this.logger.error('Error deleting reaction role message', { error });
                 res.status(500).json({ error: 'Failed to delete reaction role message' });
             }
         });
 
         // Get server roles
-        this.app.get('/api/plugins/autorole/roles/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/autorole/roles/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { serverId } = req.params;
                 
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-                
                 const guild = this.client.guilds.cache.get(serverId);
                 if (!guild) {
                     return res.status(404).json({ error: 'Server not found' });
@@ -472,34 +627,29 @@ class AutoRolePlugin {
                 
                 res.json(roles);
             } catch (error) {
-                console.error('Error getting server roles:', error);
+                this.logger.error('Error getting server roles', { error });
                 res.status(500).json({ error: 'Failed to get server roles' });
             }
         });
-
-        // Sync user level roles (manual trigger)
-        this.app.post('/api/plugins/autorole/sync-level-roles/:serverId', this.ensureAuthenticated, async (req, res) => {
-            try {
-                const { serverId } = req.params;
-                
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-                
-                const result = await this.syncAllLevelRoles(serverId);
-                res.json(result);
-            } catch (error) {
-                console.error('Error syncing level roles:', error);
-                res.status(500).json({ error: 'Failed to sync level roles' });
-            }
-        });
     }
 	setupEventListeners() {
+        // Level role syncs pause while Discord is rate limiting us
+        this.onRateLimited = (info) => {
+            this.rateLimitedUntil = Math.max(this.rateLimitedUntil, Date.now() + info.retryAfter);
+        };
+        this.client.rest.on('rateLimited', this.onRateLimited);
+
         // Member join event
         this.client.on('guildMemberAdd', async (member) => {
             await this.handleMemberJoin(member);
         });
 
+        // Remember sticky roles, and drop members who leave mid-verification out of the queue
+        this.client.on('guildMemberRemove', async (member) => {
+            await this.snapshotMemberRoles(member);
+            await this.removeFromVerificationQueue(member.guild.id, member.id);
+        });
+
         // Reaction add event
         this.client.on('messageReactionAdd', async (reaction, user) => {
             await this.handleReactionAdd(reaction, user);
@@ -510,18 +660,64 @@ class AutoRolePlugin {
             await this.handleReactionRemove(reaction, user);
         });
 
-        // Listen for level ups from the leveling plugin
-        this.client.on('levelUp', async (userId, guildId, newLevel, oldLevel) => {
-            await this.handleLevelUp(userId, guildId, newLevel, oldLevel);
+        // Level roles follow the member's level both ways. Activity rules are re-checked at the same time.
+        this.events.on('level.up', async ({ userId, guildId, newLevel, oldLevel }) => {
+            await this.handleLevelChange(userId, guildId, newLevel, oldLevel);
+            await this.evaluateMemberRules(guildId, userId);
+        });
+
+        this.events.on('level.down', async ({ userId, guildId, newLevel, oldLevel }) => {
+            await this.handleLevelChange(userId, guildId, newLevel, oldLevel);
+            await this.evaluateMemberRules(guildId, userId);
+        });
+
+        this.events.on('rep.changed', async ({ guildId, userId }) => {
+            await this.evaluateMemberRules(guildId, userId);
+        });
+
+        // Hand out season reward roles when the leveling plugin closes a season
+        this.events.on('season.end', async ({ guildId, season, revokedRewards }) => {
+            await this.handleSeasonEnd(guildId, season, revokedRewards);
+        });
+
+        // Verify button, rules acceptance and question modal
+        this.client.on('interactionCreate', async (interaction) => {
+            if (!interaction.isButton() && !interaction.isModalSubmit()) return;
+            if (!interaction.guildId || !interaction.customId.startsWith('verify:')) return;
+            await this.handleVerificationInteraction(interaction);
+        });
+
+        // Role panel buttons and select menus
+        this.client.on('interactionCreate', async (interaction) => {
+            if (!interaction.isButton() && !interaction.isStringSelectMenu()) return;
+            if (!interaction.guildId || !interaction.customId.startsWith('rolepanel:')) return;
+            await this.handlePanelInteraction(interaction);
         });
     }
 
     async handleMemberJoin(member) {
         try {
-            const guildId = member.guild.id;
-            const settings = this.autoRoleSettings[guildId];
+            const settings = this.autoRoleSettings[member.guild.id];
+            if (!settings) return;
+            
+            // Restored before verification so mute and quarantine roles can't be shed by rejoining
+            await this.restoreStickyRoles(member);
             
-            if (!settings || !settings.joinRoles.enabled || !settings.joinRoles.roles.length) {
+            // Bots can't click the verify button, so they skip straight to join roles
+            if (settings.verification?.enabled && !member.user.bot) {
+                await this.startVerification(member, settings.verification);
+                return;
+            }
+            
+            await this.assignJoinRoles(member, settings);
+        } catch (error) {
+            this.logger.error('Error handling member join for auto-roles', { guildId: member.guild.id, userId: member.id, error });
+        }
+    }
+
+    async assignJoinRoles(member, settings) {
+        try {
+            if (!settings || !settings.joinRoles?.enabled || !settings.joinRoles.roles.length) {
                 return;
             }
             
@@ -534,7 +730,7 @@ class AutoRolePlugin {
                 const minAge = settings.joinRoles.minAccountAge * 24 * 60 * 60 * 1000; 
                 
                 if (accountAge < minAge) {
-                    console.log(`Member ${member.user.tag} account too new for auto-roles`);
+                    this.logger.info(`Member ${member.user.tag} account too new for auto-roles`, { guildId: member.guild.id, userId: member.id });
                     return;
                 }
             }
@@ -557,7 +753,7 @@ class AutoRolePlugin {
                         });
                     }
                 } catch (error) {
-                    console.error(`Error assigning join roles to ${member.user.tag}:`, error);
+                    this.logger.error(`Error assigning join roles to ${member.user.tag}`, { guildId: member.guild.id, userId: member.id, error });
                 }
             };
             
@@ -568,7 +764,7 @@ class AutoRolePlugin {
             }
             
         } catch (error) {
-            console.error('Error handling member join for auto-roles:', error);
+            this.logger.error('Error assigning join roles', { guildId: member.guild.id, userId: member.id, error });
         }
     }
 
@@ -580,7 +776,7 @@ class AutoRolePlugin {
                 try {
                     await reaction.fetch();
                 } catch (error) {
-                    console.error('Failed to fetch reaction:', error);
+                    this.logger.error('Failed to fetch reaction', { error });
                     return;
                 }
             }
@@ -602,6 +798,21 @@ class AutoRolePlugin {
 
             if (member.roles.cache.has(roleId)) return;
 
+            const denial = await this.checkPrerequisites(member, roleId);
+            if (denial) {
+                await reaction.users.remove(user.id);
+                const msg = await reaction.message.channel.send(`${user}, ${denial.charAt(0).toLowerCase()}${denial.slice(1)}`);
+                setTimeout(() => msg.delete().catch(() => {}), 5000);
+                await this.logAutoRole(reaction.message.guild, {
+                    type: 'self_assign_denied',
+                    user: user,
+                    roles: [role],
+                    reason: denial,
+                    messageId: messageId
+                });
+                return;
+            }
+
             if (reactionRoleData.maxRoles > 0) {
                 const currentReactionRoles = Object.values(reactionRoleData.roles);
                 const memberReactionRoles = member.roles.cache.filter(r => currentReactionRoles.includes(r.id));
@@ -621,7 +832,21 @@ class AutoRolePlugin {
                 }
             }
 
+            const groupRemoved = this.getGroupConflicts(member, roleId);
+            if (groupRemoved.length > 0) {
+                await member.roles.remove(groupRemoved, 'Reaction role (exclusive group)');
+                await this.clearTemporaryRoles(guildId, user.id, groupRemoved);
+                await this.logAutoRole(reaction.message.guild, {
+                    type: 'group_role_remove',
+                    user: user,
+                    roles: groupRemoved.map(id => reaction.message.guild.roles.cache.get(id)).filter(Boolean),
+                    reason: `Swapped for ${role.name}`,
+                    messageId: messageId
+                });
+            }
+
             await member.roles.add(roleId, 'Reaction role');
+            await this.scheduleTemporaryRoles(guildId, user.id, [roleId], `reaction:${messageId}`);
             await this.logAutoRole(reaction.message.guild, {
                 type: 'reaction_role_add',
                 user: user,
@@ -631,7 +856,7 @@ class AutoRolePlugin {
             });
 
         } catch (error) {
-            console.error('Error handling reaction add:', error);
+            this.logger.error('Error handling reaction add', { guildId: reaction.message.guild?.id, userId: user.id, error });
         }
     }
 
@@ -643,7 +868,7 @@ class AutoRolePlugin {
                 try {
                     await reaction.fetch();
                 } catch (error) {
-                    console.error('Failed to fetch reaction:', error);
+                    this.logger.error('Failed to fetch reaction', { error });
                     return;
                 }
             }
@@ -668,6 +893,7 @@ class AutoRolePlugin {
             if (!member.roles.cache.has(roleId)) return;
             
             await member.roles.remove(roleId, 'Reaction role removed');
+            await this.clearTemporaryRoles(guildId, user.id, [roleId]);
             await this.logAutoRole(reaction.message.guild, {
                 type: 'reaction_role_remove',
                 user: user,
@@ -677,11 +903,12 @@ class AutoRolePlugin {
             });
                 
         } catch (error) {
-            console.error(`Error removing reaction role from ${user.tag}:`, error);
+            this.logger.error(`Error removing reaction role from ${user.tag}`, { guildId: reaction.message.guild?.id, userId: user.id, error });
         }
     }
 
-    async handleLevelUp(userId, guildId, newLevel, oldLevel) {
+    // Brings the member's level roles in line with their current level, whichever way it moved
+    async handleLevelChange(userId, guildId, newLevel, oldLevel) {
         try {
             const settings = this.levelRoles[guildId];
             if (!settings || !settings.enabled || !settings.roles.length) {
@@ -691,146 +918,181 @@ class AutoRolePlugin {
             const guild = this.client.guilds.cache.get(guildId);
             if (!guild) return;
             
-            const member = guild.members.cache.get(userId);
+            const member = guild.members.cache.get(userId) || await guild.members.fetch(userId).catch(() => null);
             if (!member) return;
             
-            const rolesToAdd = settings.roles.filter(levelRole => 
-                levelRole.level === newLevel && 
-                !member.roles.cache.has(levelRole.roleId)
-            );
+            const { keep, drop } = this.getLevelRoleTargets(settings, newLevel);
+            const rolesToAdd = keep
+                .map(roleId => guild.roles.cache.get(roleId))
+                .filter(role => role && !member.roles.cache.has(role.id));
+            const rolesToRemove = drop
+                .map(roleId => guild.roles.cache.get(roleId))
+                .filter(role => role && member.roles.cache.has(role.id));
             
-            const rolesToRemove = settings.roles.filter(levelRole => 
-                levelRole.level < newLevel && 
-                levelRole.removeOldRoles &&
-                member.roles.cache.has(levelRole.roleId)
-            );
+            const reason = newLevel > oldLevel
+                ? `Reached level ${newLevel}`
+                : `Dropped from level ${oldLevel} to ${newLevel}`;
             
-            for (const levelRole of rolesToAdd) {
-                const role = guild.roles.cache.get(levelRole.roleId);
-                if (role) {
-                    try {
-                        await member.roles.add(levelRole.roleId, `Level ${newLevel} role`);
-                        
-                        await this.logAutoRole(guild, {
-                            type: 'level_role_add',
-                            user: member.user,
-                            roles: [role],
-                            reason: `Reached level ${newLevel}`,
-                            level: newLevel
-                        });
-                    } catch (error) {
-                        console.error(`Error adding level role to ${member.user.tag}:`, error);
-                    }
+            for (const role of rolesToAdd) {
+                try {
+                    await member.roles.add(role.id, `Level ${newLevel} role`);
+                    
+                    await this.logAutoRole(guild, {
+                        type: 'level_role_add',
+                        user: member.user,
+                        roles: [role],
+                        reason,
+                        level: newLevel
+                    });
+                } catch (error) {
+                    this.logger.error(`Error adding level role to ${member.user.tag}`, { guildId: member.guild.id, userId: member.id, error });
                 }
             }
             
-            for (const levelRole of rolesToRemove) {
-                const role = guild.roles.cache.get(levelRole.roleId);
-                if (role) {
-                    try {
-                        await member.roles.remove(levelRole.roleId, `Level ${newLevel} role upgrade`);
-                        
-                        await this.logAutoRole(guild, {
-                            type: 'level_role_remove',
-                            user: member.user,
-                            roles: [role],
-                            reason: `Upgraded from level ${levelRole.level} to ${newLevel}`,
-                            level: newLevel
-                        });
-                    } catch (error) {
-                        console.error(`Error removing old level role from ${member.user.tag}:`, error);
-                    }
+            for (const role of rolesToRemove) {
+                try {
+                    await member.roles.remove(role.id, `Level ${newLevel} role change`);
+                    
+                    await this.logAutoRole(guild, {
+                        type: 'level_role_remove',
+                        user: member.user,
+                        roles: [role],
+                        reason,
+                        level: newLevel
+                    });
+                } catch (error) {
+                    this.logger.error(`Error removing level role from ${member.user.tag}`, { guildId: member.guild.id, userId: member.id, error });
                 }
             }
             
         } catch (error) {
-            console.error('Error handling level up for auto-roles:', error);
+            this.logger.error('Error handling level change for auto-roles', { guildId, userId, error });
         }
     }
 
-    async syncAllLevelRoles(guildId) {
-        try {
-            const settings = this.levelRoles[guildId];
-            if (!settings || !settings.enabled || !settings.roles.length) {
-                return { success: false, message: 'Level roles not configured' };
+    normalizeLevelRoles(settings = {}) {
+        const roles = Array.isArray(settings.roles) ? settings.roles : [];
+        let mode = settings.mode;
+
+        // Settings from before modes flagged removeOldRoles per role. Flagged roles become one tier
+        // and unflagged roles stay untiered, so a mixed setup keeps what it used to keep.
+        const legacy = !this.LEVEL_ROLE_MODES.includes(mode);
+        if (legacy) {
+            const flagged = roles.filter(levelRole => levelRole?.removeOldRoles).length;
+            mode = flagged === 0 ? 'stack' : flagged === roles.length ? 'highest' : 'tiered';
+        }
+
+        return {
+            enabled: settings.enabled === true,
+            mode,
+            roles: roles.map(levelRole => ({
+                level: Number(levelRole?.level) || 0,
+                roleId: String(levelRole?.roleId || ''),
+                tier: legacy
+                    ? (levelRole?.removeOldRoles ? 'Progression' : '')
+                    : (typeof levelRole?.tier === 'string' ? levelRole.tier.trim() : '')
+            })),
+            logChannelId: settings.logChannelId || null
+        };
+    }
+
+    // Returns an error message, or null when the level roles can be saved
+    validateLevelRoles(guild, settings) {
+        const seen = new Set();
+
+        for (const levelRole of settings.roles) {
+            const role = guild.roles.cache.get(levelRole.roleId);
+            if (!role || role.id === guild.id) return 'One of the level roles no longer exists';
+            if (seen.has(role.id)) return `${role.name} is used for more than one level`;
+            seen.add(role.id);
+
+            if (!Number.isInteger(levelRole.level) || levelRole.level < 1 || levelRole.level > this.MAX_REQUIRED_LEVEL) {
+                return `Level for ${role.name} must be a whole number between 1 and ${this.MAX_REQUIRED_LEVEL}`;
             }
-            
-            const guild = this.client.guilds.cache.get(guildId);
-            if (!guild) {
-                return { success: false, message: 'Guild not found' };
+            if (levelRole.tier.length > 50) return 'Tier names must be 50 characters or fewer';
+        }
+
+        return null;
+    }
+
+    // Which configured level roles a member at `level` should hold, and which they shouldn't
+    getLevelRoleTargets(settings, level) {
+        const mode = settings.mode;
+        const earned = settings.roles.filter(levelRole => levelRole.level <= level);
+
+        // Highest-only compares every role; tiered compares within a tier and always keeps untiered roles
+        const tierOf = levelRole => {
+            if (mode === 'highest') return '';
+            return levelRole.tier ? levelRole.tier.toLowerCase() : null;
+        };
+
+        let kept = earned;
+        if (mode !== 'stack') {
+            const topLevels = new Map();
+            for (const levelRole of earned) {
+                const tier = tierOf(levelRole);
+                if (tier === null) continue;
+                topLevels.set(tier, Math.max(topLevels.get(tier) || 0, levelRole.level));
             }
+            kept = earned.filter(levelRole => {
+                const tier = tierOf(levelRole);
+                return tier === null || levelRole.level === topLevels.get(tier);
+            });
+        }
+
+        const keep = kept.map(levelRole => levelRole.roleId);
+        const drop = settings.roles
+            .map(levelRole => levelRole.roleId)
+            .filter(roleId => !keep.includes(roleId));
+
+        return { keep, drop };
+    }
+
+    async handleSeasonEnd(guildId, season, revokedRewards = []) {
+        try {
+            const guild = this.client.guilds.cache.get(guildId);
+            if (!guild) return;
             
-            const levelingDataPath = './data/levelingData.json';
-            if (!fs.existsSync(levelingDataPath)) {
-                return { success: false, message: 'Leveling data not found' };
+            // Last season's roles come off first so repeat winners keep theirs
+            for (const reward of revokedRewards) {
+                const role = guild.roles.cache.get(reward.roleId);
+                const member = await guild.members.fetch(reward.userId).catch(() => null);
+                if (!role || !member || !member.roles.cache.has(role.id)) continue;
+                
+                try {
+                    await member.roles.remove(role.id, `${season.name} rewards replaced`);
+                    
+                    await this.logAutoRole(guild, {
+                        type: 'season_reward_remove',
+                        user: member.user,
+                        roles: [role],
+                        reason: `Reward from the previous season, replaced by ${season.name}`
+                    });
+                } catch (error) {
+                    this.logger.error(`Error removing season reward role from ${member.user.tag}`, { guildId: member.guild.id, userId: member.id, error });
+                }
             }
             
-            const levelingData = JSON.parse(fs.readFileSync(levelingDataPath, 'utf8'));
-            
-            let syncCount = 0;
-            let errorCount = 0;
-            
-            for (const [userId, guilds] of Object.entries(levelingData.users || {})) {
-                if (!guilds[guildId]) continue;
-                
-                const userLevel = guilds[guildId].level || 0;
-                const member = guild.members.cache.get(userId);
-                
-                if (!member) continue;
+            for (const reward of season.rewards || []) {
+                const role = guild.roles.cache.get(reward.roleId);
+                const member = await guild.members.fetch(reward.userId).catch(() => null);
+                if (!role || !member || member.roles.cache.has(role.id)) continue;
                 
                 try {
-                    const shouldHaveRoles = settings.roles.filter(levelRole => 
-                        levelRole.level <= userLevel
-                    );
-                    
-                    shouldHaveRoles.sort((a, b) => b.level - a.level);
-                    
-                    const rolesToAdd = [];
-                    const rolesToRemove = [];
-                    
-                    for (const levelRole of shouldHaveRoles) {
-                        const hasRole = member.roles.cache.has(levelRole.roleId);
-                        const role = guild.roles.cache.get(levelRole.roleId);
-                        
-                        if (!role) continue;
-                        
-                        if (levelRole.level === Math.max(...shouldHaveRoles.map(r => r.level))) {
-                            if (!hasRole) {
-                                rolesToAdd.push(levelRole.roleId);
-                            }
-                        } else if (levelRole.removeOldRoles && hasRole) {
-                            rolesToRemove.push(levelRole.roleId);
-                        }
-                    }
-                    
-                    if (rolesToAdd.length > 0) {
-                        await member.roles.add(rolesToAdd, 'Level role sync');
-                    }
-                    
-                    if (rolesToRemove.length > 0) {
-                        await member.roles.remove(rolesToRemove, 'Level role sync - remove old');
-                    }
-                    
-                    if (rolesToAdd.length > 0 || rolesToRemove.length > 0) {
-                        syncCount++;
-                    }
+                    await member.roles.add(role.id, `Finished #${reward.rank} in ${season.name}`);
                     
+                    await this.logAutoRole(guild, {
+                        type: 'season_reward_add',
+                        user: member.user,
+                        roles: [role],
+                        reason: `Finished #${reward.rank} in ${season.name}`
+                    });
                 } catch (error) {
-                    console.error(`Error syncing level roles for ${member.user.tag}:`, error);
-                    errorCount++;
+                    this.logger.error(`Error adding season reward role to ${member.user.tag}`, { guildId: member.guild.id, userId: member.id, error });
                 }
             }
-            
-            return {
-                success: true,
-                message: `Synced roles for ${syncCount} members`,
-                syncCount,
-                errorCount
-            };
-            
         } catch (error) {
-            console.error('Error syncing all level roles:', error);
-            return { success: false, message: 'Internal error during sync' };
+            this.logger.error('Error handling season end for auto-roles', { guildId, error });
         }
     }
 
@@ -849,7 +1111,22 @@ class AutoRolePlugin {
                 'reaction_role_add': '➕',
                 'reaction_role_remove': '➖',
                 'level_role_add': '📈',
-                'level_role_remove': '📉'
+                'level_role_remove': '📉',
+                'season_reward_add': '🏆',
+                'season_reward_remove': '🏁',
+                'panel_role_add': '➕',
+                'panel_role_remove': '➖',
+                'group_role_remove': '🔀',
+                'temp_role_remove': '⌛',
+                'self_assign_denied': '🚫',
+                'verification_submitted': '📨',
+                'verification_passed': '✅',
+                'verification_failed': '❌',
+                'verification_rejected': '⛔',
+                'verification_timeout': '⏰',
+                'sticky_roles_restored': '📌',
+                'rule_role_add': '🧩',
+                'rule_role_remove': '🧩'
             };
             
             const typeNames = {
@@ -857,11 +1134,26 @@ class AutoRolePlugin {
                 'reaction_role_add': 'Reaction Role Added',
                 'reaction_role_remove': 'Reaction Role Removed',
                 'level_role_add': 'Level Role Added',
-                'level_role_remove': 'Level Role Removed'
+                'level_role_remove': 'Level Role Removed',
+                'season_reward_add': 'Season Reward Added',
+                'season_reward_remove': 'Season Reward Removed',
+                'panel_role_add': 'Panel Role Added',
+                'panel_role_remove': 'Panel Role Removed',
+                'group_role_remove': 'Exclusive Group Role Removed',
+                'temp_role_remove': 'Temporary Role Expired',
+                'self_assign_denied': 'Self-Assign Denied',
+                'verification_submitted': 'Verification Submitted',
+                'verification_passed': 'Member Verified',
+                'verification_failed': 'Verification Failed',
+                'verification_rejected': 'Verification Rejected',
+                'verification_timeout': 'Verification Timed Out',
+                'sticky_roles_restored': 'Sticky Roles Restored',
+                'rule_role_add': 'Rule Role Added',
+                'rule_role_remove': 'Rule Role Removed'
             };
             
             const embed = {
-                color: data.type.includes('remove') ? 0xff6b6b : 0x4CAF50,
+                color: /remove|denied|failed|rejected|timeout/.test(data.type) ? 0xff6b6b : 0x4CAF50,
                 title: `${typeEmojis[data.type]} ${typeNames[data.type]}`,
                 fields: [
                     {
@@ -871,7 +1163,7 @@ class AutoRolePlugin {
                     },
                     {
                         name: 'Roles',
-                        value: data.roles.map(role => `<@&${role.id}>`).join(', '),
+                        value: data.roles.map(role => `<@&${role.id}>`).join(', ') || 'None',
                         inline: true
                     },
                     {
@@ -905,1046 +1197,4268 @@ class AutoRolePlugin {
             await logChannel.send({ embeds: [embed] });
             
         } catch (error) {
-            console.error('Error logging auto-role action:', error);
+            this.logger.error('Error logging auto-role action', { guildId: guild.id, userId: data.user?.id, error });
         }
     }
     
-    testReactionRoleData(guildId, messageId) {
-        console.log('🧪 [TEST] Testing reaction role data...');
-        
-        const guildData = this.reactionRoles[guildId];
-        console.log(`📊 [TEST] Guild data exists: ${!!guildData}`);
-        
-        if (guildData) {
-            console.log(`📋 [TEST] Messages in guild: ${Object.keys(guildData).length}`);
-            console.log(`📝 [TEST] Message IDs: ${Object.keys(guildData).join(', ')}`);
-            
-            const messageData = guildData[messageId];
-            console.log(`📨 [TEST] Message data exists: ${!!messageData}`);
-            
-            if (messageData) {
-                console.log(`🎭 [TEST] Emoji mappings:`, messageData.roles);
-                console.log(`⚙️ [TEST] Settings:`, {
-                    maxRoles: messageData.maxRoles,
-                    removeOnUnreact: messageData.removeOnUnreact,
-                    title: messageData.title
-                });
-            }
-        }
-        
-        const filePath = './data/reactionRoles.json';
-        console.log(`💾 [TEST] File exists: ${fs.existsSync(filePath)}`);
-        
-        if (fs.existsSync(filePath)) {
+    setupPanelRoutes() {
+        // List role panels for a server
+        this.app.get('/api/plugins/autorole/panels/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
-                const fileData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
-                console.log(`📄 [TEST] File data:`, fileData);
+                const { serverId } = req.params;
+
+                const panels = Object.values(this.rolePanels[serverId] || {})
+                    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+                res.json(panels);
             } catch (error) {
-                console.error(`❌ [TEST] Error reading file:`, error);
+                this.logger.error('Error getting role panels', { error });
+                res.status(500).json({ error: 'Internal server error' });
             }
-        }
-    }
+        });
 
-    testEmojiConsistency(emoji) {
-        console.log(`🔍 [EMOJI TEST] Testing emoji: "${emoji}"`);
-        console.log(`📊 [EMOJI TEST] Type: ${typeof emoji}`);
-        console.log(`📏 [EMOJI TEST] Length: ${emoji.length}`);
-        console.log(`🔢 [EMOJI TEST] Char codes: ${Array.from(emoji).map(char => char.charCodeAt(0))}`);
-        console.log(`✨ [EMOJI TEST] Unicode: ${Array.from(emoji).map(char => '\\u' + char.charCodeAt(0).toString(16).padStart(4, '0')).join('')}`);
-    }
-	getFrontendComponent() {
-        return {
-            id: 'auto-role',  
-            name: 'Auto-Role System',
-            description: 'Manage automatic role assignment, reaction roles, and level-based roles',
-            icon: '🎭',
-            version: '1.0.0',
-            
-            containerId: 'autoRolePluginContainer',
-            pageId: 'auto-role',
-            navIcon: '🎭',
-            
-            html: `
-                <div class="plugin-container">
-                    <div class="plugin-header">
-                        <h3><span class="plugin-icon">🎭</span> Auto-Role System</h3>
-                        <p>Configure automatic role assignment, reaction roles, and level-based roles</p>
-                    </div>
+        this.app.get('/api/plugins/autorole/panels/:serverId/:panelId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
+            try {
+                const { serverId, panelId } = req.params;
 
-                    <div class="settings-section">
-                        <h3>Server Selection</h3>
-                        <div class="form-group">
-                            <label>Server:</label>
-                            <select id="autorole-server-select" class="form-control">
-                                <option value="">Select a server...</option>
+                const panel = this.rolePanels[serverId]?.[panelId];
+                if (!panel) {
+                    return res.status(404).json({ error: 'Role panel not found' });
+                }
+
+                res.json(panel);
+            } catch (error) {
+                this.logger.error('Error getting role panel', { error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Create a role panel and post it
+        this.app.post('/api/plugins/autorole/panels/:serverId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { serverId } = req.params;
+
+                const guild = this.client.guilds.cache.get(serverId);
+                if (!guild) {
+                    return res.status(404).json({ error: 'Server not found' });
+                }
+
+                const channel = guild.channels.cache.get(req.body.channelId);
+                if (!channel || !channel.isTextBased()) {
+                    return res.status(400).json({ error: 'Please choose a text channel for the panel' });
+                }
+
+                const panel = this.normalizePanel(req.body);
+                const validationError = this.validatePanel(guild, panel);
+                if (validationError) {
+                    return res.status(400).json({ error: validationError });
+                }
+
+                panel.id = crypto.randomBytes(4).toString('hex');
+                panel.channelId = channel.id;
+                panel.createdAt = new Date().toISOString();
+
+                const message = await channel.send(this.buildPanelMessage(guild, panel));
+                panel.messageId = message.id;
+
+                if (!this.rolePanels[serverId]) {
+                    this.rolePanels[serverId] = {};
+                }
+                this.rolePanels[serverId][panel.id] = panel;
+                await this.saveRolePanels(serverId);
+
+                res.json({ success: true, panel, message: 'Role panel posted successfully' });
+            } catch (error) {
+                this.logger.error('Error creating role panel', { error });
+                res.status(500).json({ error: 'Failed to create role panel' });
+            }
+        });
+
+        // Edit a role panel, reposting it if the original message was deleted
+        this.app.put('/api/plugins/autorole/panels/:serverId/:panelId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { serverId, panelId } = req.params;
+
+                const existing = this.rolePanels[serverId]?.[panelId];
+                if (!existing) {
+                    return res.status(404).json({ error: 'Role panel not found' });
+                }
+
+                const guild = this.client.guilds.cache.get(serverId);
+                const channel = guild?.channels.cache.get(existing.channelId);
+                if (!channel) {
+                    return res.status(404).json({ error: 'The panel\'s channel no longer exists. Delete the panel and create it again.' });
+                }
+
+                const panel = {
+                    ...this.normalizePanel(req.body),
+                    id: existing.id,
+                    channelId: existing.channelId,
+                    messageId: existing.messageId,
+                    createdAt: existing.createdAt,
+                    updatedAt: new Date().toISOString()
+                };
+                const validationError = this.validatePanel(guild, panel);
+                if (validationError) {
+                    return res.status(400).json({ error: validationError });
+                }
+
+                const content = this.buildPanelMessage(guild, panel);
+                const message = await channel.messages.fetch(existing.messageId).catch(() => null);
+                if (message) {
+                    await message.edit(content);
+                } else {
+                    panel.messageId = (await channel.send(content)).id;
+                }
+
+                this.rolePanels[serverId][panelId] = panel;
+                await this.saveRolePanels(serverId);
+
+                res.json({
+                    success: true,
+                    panel,
+                    message: message ? 'Role panel updated successfully' : 'The original message was gone, so the panel was posted again'
+                });
+            } catch (error) {
+                this.logger.error('Error updating role panel', { error });
+                res.status(500).json({ error: 'Failed to update role panel' });
+            }
+        });
+
+        this.app.delete('/api/plugins/autorole/panels/:serverId/:panelId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { serverId, panelId } = req.params;
+
+                const panel = this.rolePanels[serverId]?.[panelId];
+                if (!panel) {
+                    return res.status(404).json({ error: 'Role panel not found' });
+                }
+
+                try {
+                    const channel = this.client.guilds.cache.get(serverId)?.channels.cache.get(panel.channelId);
+                    const message = await channel?.messages.fetch(panel.messageId);
+                    if (message) await message.delete();
+                } catch (error) {
+                    this.logger.info(`Could not delete role panel message (may already be deleted): ${error.message}`);
+                }
+
+                delete this.rolePanels[serverId][panelId];
+                await this.saveRolePanels(serverId);
+
+                res.json({ success: true });
+            } catch (error) {
+                this.logger.error('Error deleting role panel', { error });
+                res.status(500).json({ error: 'Failed to delete role panel' });
+            }
+        });
+    }
+
+    // Picks the editable fields out of a request body
+    normalizePanel(body = {}) {
+        const text = value => typeof value === 'string' ? value.trim() : '';
+        const type = body.type === 'select' ? 'select' : 'buttons';
+
+        return {
+            type,
+            title: text(body.title) || 'Role Selection',
+            description: text(body.description),
+            placeholder: type === 'select' ? text(body.placeholder) : '',
+            minRoles: Number(body.minRoles) || 0,
+            maxRoles: Number(body.maxRoles) || 0,
+            options: (Array.isArray(body.options) ? body.options : []).map(option => ({
+                roleId: String(option?.roleId || ''),
+                label: text(option?.label),
+                description: text(option?.description),
+                emoji: text(option?.emoji),
+                style: type === 'buttons' ? (this.BUTTON_STYLES[option?.style] ? option.style : 'secondary') : undefined
+            }))
+        };
+    }
+
+    // Returns an error message, or null when the panel can be posted. Blank labels default to the role name.
+    validatePanel(guild, panel) {
+        if (panel.title.length > 256) return 'Title must be 256 characters or fewer';
+        if (panel.description.length > 4000) return 'Description must be 4000 characters or fewer';
+        if (panel.placeholder.length > 150) return 'Placeholder must be 150 characters or fewer';
+
+        if (panel.options.length === 0) return 'Add at least one role to the panel';
+        if (panel.options.length > this.MAX_PANEL_OPTIONS) return `A panel can offer at most ${this.MAX_PANEL_OPTIONS} roles`;
+
+        const seen = new Set();
+        for (const option of panel.options) {
+            const role = guild.roles.cache.get(option.roleId);
+            if (!role || role.id === guild.id) return 'One of the selected roles no longer exists';
+            if (role.managed) return `${role.name} is managed by an integration and can't be self-assigned`;
+            if (!role.editable) return `${role.name} is above the bot's highest role, so the bot can't assign it`;
+            if (seen.has(role.id)) return `${role.name} is on the panel more than once`;
+            seen.add(role.id);
+
+            if (!option.label) option.label = role.name.slice(0, 80);
+            if (option.label.length > 80) return 'Labels must be 80 characters or fewer';
+            if (option.description.length > 100) return 'Role descriptions must be 100 characters or fewer';
+            if (option.emoji && !this.isComponentEmoji(option.emoji)) {
+                return `"${option.emoji}" isn't an emoji. Use a single emoji or a custom emoji like <:name:id>`;
+            }
+        }
+
+        const count = panel.options.length;
+        if (!Number.isInteger(panel.minRoles) || panel.minRoles < 0 || panel.minRoles > count) {
+            return `Minimum roles must be between 0 and ${count}`;
+        }
+        if (!Number.isInteger(panel.maxRoles) || panel.maxRoles < 0 || panel.maxRoles > count) {
+            return `Maximum roles must be between 0 (no limit) and ${count}`;
+        }
+        if (panel.maxRoles > 0 && panel.minRoles > panel.maxRoles) {
+            return 'Minimum roles can\'t be higher than maximum roles';
+        }
+
+        return null;
+    }
+
+    isComponentEmoji(emoji) {
+        if (/^<a?:\w{2,32}:\d{17,20}>$/.test(emoji)) return true;
+        return emoji.length <= 16 && !/\s/.test(emoji) && /\p{Extended_Pictographic}|\p{Regional_Indicator}|⃣/u.test(emoji);
+    }
+
+    describePanelLimits(panel) {
+        const { minRoles, maxRoles } = panel;
+        if (maxRoles === 1) return minRoles === 1 ? 'Pick one role' : 'Pick up to one role';
+
+        const parts = [];
+        if (minRoles > 0) parts.push(`at least ${minRoles}`);
+        if (maxRoles > 0) parts.push(`at most ${maxRoles}`);
+        return parts.length ? `Pick ${parts.join(' and ')} role(s)` : 'No role limit';
+    }
+
+    buildPanelMessage(guild, panel) {
+        const embed = {
+            color: 0x7289da,
+            title: panel.title,
+            description: panel.description || (panel.type === 'select'
+                ? 'Choose your roles from the menu below.'
+                : 'Click a button to add or remove a role.'),
+            fields: [],
+            footer: { text: this.describePanelLimits(panel) }
+        };
+
+        // Buttons can't show descriptions, so list them in the embed instead
+        if (panel.type === 'buttons') {
+            for (const option of panel.options.filter(option => option.description)) {
+                embed.fields.push({
+                    name: `${option.emoji ? option.emoji + ' ' : ''}${option.label}`,
+                    value: option.description,
+                    inline: true
+                });
+            }
+        }
+
+        const components = [];
+        if (panel.type === 'select') {
+            const menu = new StringSelectMenuBuilder()
+                .setCustomId(`rolepanel:${panel.id}`)
+                .setPlaceholder(panel.placeholder || 'Choose your roles')
+                .setMinValues(panel.minRoles)
+                .setMaxValues(panel.maxRoles || panel.options.length)
+                .addOptions(panel.options.map(option => {
+                    const menuOption = { label: option.label, value: option.roleId };
+                    if (option.description) menuOption.description = option.description;
+                    if (option.emoji) menuOption.emoji = option.emoji;
+                    return menuOption;
+                }));
+            components.push(new ActionRowBuilder().addComponents(menu));
+        } else {
+            for (let i = 0; i < panel.options.length; i += this.BUTTONS_PER_ROW) {
+                const row = new ActionRowBuilder();
+                for (const option of panel.options.slice(i, i + this.BUTTONS_PER_ROW)) {
+                    const button = new ButtonBuilder()
+                        .setCustomId(`rolepanel:${panel.id}:${option.roleId}`)
+                        .setLabel(option.label)
+                        .setStyle(this.BUTTON_STYLES[option.style] || ButtonStyle.Secondary);
+                    if (option.emoji) button.setEmoji(option.emoji);
+                    row.addComponents(button);
+                }
+                components.push(row);
+            }
+        }
+
+        return { embeds: [embed], components };
+    }
+
+    async handlePanelInteraction(interaction) {
+        const [, panelId, buttonRoleId] = interaction.customId.split(':');
+        const panel = this.rolePanels[interaction.guildId]?.[panelId];
+
+        if (!panel) {
+            return interaction.reply({ content: '❌ This role panel is no longer active.', ephemeral: true }).catch(() => {});
+        }
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            const guild = interaction.guild;
+            const member = await guild.members.fetch(interaction.user.id);
+            const panelRoleIds = panel.options.map(option => option.roleId).filter(id => guild.roles.cache.has(id));
+            const held = panelRoleIds.filter(id => member.roles.cache.has(id));
+
+            let toAdd = [];
+            let toRemove = [];
+
+            if (interaction.isButton()) {
+                if (!panelRoleIds.includes(buttonRoleId)) {
+                    return interaction.editReply('❌ That role is no longer offered on this panel.');
+                }
+
+                if (held.includes(buttonRoleId)) {
+                    if (held.length - 1 < panel.minRoles) {
+                        return interaction.editReply(`❌ You need to keep at least ${panel.minRoles} role(s) from this panel.`);
+                    }
+                    toRemove = [buttonRoleId];
+                } else {
+                    if (panel.maxRoles > 0 && held.length >= panel.maxRoles) {
+                        // A single-role panel swaps, like single-role reaction messages
+                        if (panel.maxRoles !== 1) {
+                            return interaction.editReply(`❌ You can only have ${panel.maxRoles} role(s) from this panel. Remove one first.`);
+                        }
+                        toRemove = held;
+                    }
+                    toAdd = [buttonRoleId];
+                }
+            } else {
+                const selected = interaction.values.filter(id => panelRoleIds.includes(id));
+
+                // Discord enforces the menu limits, but the panel may have been edited since it was sent
+                if (selected.length < panel.minRoles || (panel.maxRoles > 0 && selected.length > panel.maxRoles)) {
+                    return interaction.editReply(`❌ ${this.describePanelLimits(panel)} from this panel.`);
+                }
+
+                const clash = this.findGroupClash(guild.id, selected);
+                if (clash) {
+                    return interaction.editReply(`❌ You can only pick one role from the "${clash}" group.`);
+                }
+                toAdd = selected.filter(id => !held.includes(id));
+                toRemove = held.filter(id => !selected.includes(id));
+            }
+
+            const toRoles = ids => ids.map(id => guild.roles.cache.get(id)).filter(Boolean);
+
+            for (const roleId of toAdd) {
+                const denial = await this.checkPrerequisites(member, roleId);
+                if (denial) {
+                    await this.logAutoRole(guild, { type: 'self_assign_denied', user: interaction.user, roles: toRoles([roleId]), reason: denial });
+                    return interaction.editReply(`❌ ${denial}`);
+                }
+            }
+
+            // Taking a role from an exclusivity group drops the member's other roles in that group, on any panel
+            const groupRemoved = [...new Set(toAdd.flatMap(id => this.getGroupConflicts(member, id)))]
+                .filter(id => !toRemove.includes(id));
+
+            const reason = `Role panel: ${panel.title}`;
+            if (toRemove.length > 0) await member.roles.remove(toRemove, reason);
+            if (groupRemoved.length > 0) await member.roles.remove(groupRemoved, `${reason} (exclusive group)`);
+            if (toAdd.length > 0) await member.roles.add(toAdd, reason);
+
+            await this.clearTemporaryRoles(guild.id, member.id, toRemove.concat(groupRemoved));
+            const expiries = await this.scheduleTemporaryRoles(guild.id, member.id, toAdd, `panel:${panel.id}`);
+
+            if (toAdd.length > 0) {
+                await this.logAutoRole(guild, { type: 'panel_role_add', user: interaction.user, roles: toRoles(toAdd), reason });
+            }
+            if (toRemove.length > 0) {
+                await this.logAutoRole(guild, { type: 'panel_role_remove', user: interaction.user, roles: toRoles(toRemove), reason });
+            }
+            if (groupRemoved.length > 0) {
+                await this.logAutoRole(guild, { type: 'group_role_remove', user: interaction.user, roles: toRoles(groupRemoved), reason: `Swapped for ${toRoles(toAdd).map(role => role.name).join(', ')}` });
+            }
+
+            const mention = ids => ids.map(id => expiries[id]
+                ? `<@&${id}> (expires <t:${Math.floor(expiries[id] / 1000)}:R>)`
+                : `<@&${id}>`).join(', ');
+            const changes = [];
+            if (toAdd.length > 0) changes.push(`Added ${mention(toAdd)}`);
+            if (toRemove.length + groupRemoved.length > 0) changes.push(`Removed ${mention(toRemove.concat(groupRemoved))}`);
+
+            await interaction.editReply({
+                content: changes.length ? `✅ ${changes.join('\n')}` : 'No changes, you already have exactly those roles.',
+                allowedMentions: { parse: [] }
+            });
+        } catch (error) {
+            this.logger.error(`Error handling role panel ${panelId}`, { guildId: interaction.guildId, userId: interaction.user.id, error });
+            const reply = { content: '❌ I couldn\'t update your roles. Ask a server admin to check my permissions and role position.', ephemeral: true };
+            if (interaction.deferred || interaction.replied) {
+                await interaction.editReply(reply).catch(() => {});
+            } else {
+                await interaction.reply(reply).catch(() => {});
+            }
+        }
+    }
+
+    setupSelfAssignRoutes() {
+        // Self-assign rules and the temporary roles currently waiting to expire
+        this.app.get('/api/plugins/autorole/self-assign/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
+            try {
+                const { serverId } = req.params;
+
+                const guild = this.client.guilds.cache.get(serverId);
+                const temporaryRoles = Object.values(this.temporaryRoles[serverId] || {})
+                    .sort((a, b) => a.expiresAt - b.expiresAt)
+                    .slice(0, 100)
+                    .map(entry => ({
+                        ...entry,
+                        username: guild?.members.cache.get(entry.userId)?.user.tag || null
+                    }));
+
+                res.json({
+                    rules: this.selfAssignRules[serverId]?.rules || [],
+                    temporaryRoles
+                });
+            } catch (error) {
+                this.logger.error('Error getting self-assign rules', { error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        this.app.post('/api/plugins/autorole/self-assign/:serverId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { serverId } = req.params;
+
+                const guild = this.client.guilds.cache.get(serverId);
+                if (!guild) {
+                    return res.status(404).json({ error: 'Server not found' });
+                }
+
+                const rules = this.normalizeSelfAssignRules(req.body.rules);
+                const validationError = this.validateSelfAssignRules(guild, rules);
+                if (validationError) {
+                    return res.status(400).json({ error: validationError });
+                }
+
+                this.selfAssignRules[serverId] = { rules };
+                await this.selfAssignStore.set(serverId, this.selfAssignRules[serverId]);
+
+                res.json({ success: true, rules });
+            } catch (error) {
+                this.logger.error('Error updating self-assign rules', { error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+    }
+
+    normalizeSelfAssignRules(rules) {
+        return (Array.isArray(rules) ? rules : []).map(rule => ({
+            roleId: String(rule?.roleId || ''),
+            requiredRoles: Array.isArray(rule?.requiredRoles) ? [...new Set(rule.requiredRoles.map(String))] : [],
+            requiredLevel: Number(rule?.requiredLevel) || 0,
+            group: typeof rule?.group === 'string' ? rule.group.trim() : '',
+            durationHours: Number(rule?.durationHours) || 0
+        }));
+    }
+
+    // Returns an error message, or null when the rules can be saved
+    validateSelfAssignRules(guild, rules) {
+        const seen = new Set();
+
+        for (const rule of rules) {
+            const role = guild.roles.cache.get(rule.roleId);
+            if (!role || role.id === guild.id) return 'One of the rules is for a role that no longer exists';
+            if (seen.has(role.id)) return `${role.name} has more than one rule`;
+            seen.add(role.id);
+
+            if (rule.requiredRoles.includes(role.id)) return `${role.name} can't require itself`;
+            if (rule.requiredRoles.some(id => !guild.roles.cache.has(id))) {
+                return `One of the roles required for ${role.name} no longer exists`;
+            }
+            if (!Number.isInteger(rule.requiredLevel) || rule.requiredLevel < 0 || rule.requiredLevel > this.MAX_REQUIRED_LEVEL) {
+                return `Required level for ${role.name} must be a whole number between 0 and ${this.MAX_REQUIRED_LEVEL}`;
+            }
+            if (rule.group.length > 50) return 'Group names must be 50 characters or fewer';
+            if (!Number.isFinite(rule.durationHours) || rule.durationHours < 0 || rule.durationHours > this.MAX_TEMP_ROLE_HOURS) {
+                return `Duration for ${role.name} must be between 0 (permanent) and ${this.MAX_TEMP_ROLE_HOURS} hours`;
+            }
+        }
+
+        return null;
+    }
+
+    getSelfAssignRule(guildId, roleId) {
+        return this.selfAssignRules[guildId]?.rules?.find(rule => rule.roleId === roleId) || null;
+    }
+
+    // Members count as level 0 when the leveling plugin isn't loaded
+    getMemberLevel(guildId, userId) {
+        return this.services.get('leveling')?.getLevel(guildId, userId) || 0;
+    }
+
+    // Returns why the member can't self-assign the role, or null when they can
+    async checkPrerequisites(member, roleId) {
+        const rule = this.getSelfAssignRule(member.guild.id, roleId);
+        if (!rule) return null;
+
+        const roleName = member.guild.roles.cache.get(roleId)?.name || 'that role';
+        const missing = rule.requiredRoles
+            .map(id => member.guild.roles.cache.get(id))
+            .filter(role => role && !member.roles.cache.has(role.id));
+
+        if (missing.length > 0) {
+            return `You need ${missing.map(role => role.name).join(' and ')} before you can take ${roleName}.`;
+        }
+
+        if (rule.requiredLevel > 0) {
+            const level = this.getMemberLevel(member.guild.id, member.id);
+            if (level < rule.requiredLevel) {
+                return `You need to reach level ${rule.requiredLevel} before you can take ${roleName} (you're level ${level}).`;
+            }
+        }
+
+        return null;
+    }
+
+    // Roles the member holds that share an exclusivity group with roleId
+    getGroupConflicts(member, roleId) {
+        const group = this.getSelfAssignRule(member.guild.id, roleId)?.group.toLowerCase();
+        if (!group) return [];
+
+        return this.selfAssignRules[member.guild.id].rules
+            .filter(rule => rule.roleId !== roleId && rule.group.toLowerCase() === group)
+            .map(rule => rule.roleId)
+            .filter(id => member.roles.cache.has(id));
+    }
+
+    // Returns a group name when two of the roles can't be held together
+    findGroupClash(guildId, roleIds) {
+        const groups = new Map();
+        for (const roleId of roleIds) {
+            const group = this.getSelfAssignRule(guildId, roleId)?.group;
+            if (!group) continue;
+            if (groups.has(group.toLowerCase())) return group;
+            groups.set(group.toLowerCase(), roleId);
+        }
+        return null;
+    }
+
+    // Starts the expiry clock for any of the roles that are temporary. Returns roleId -> expiresAt.
+    async scheduleTemporaryRoles(guildId, userId, roleIds, source) {
+        const expiries = {};
+
+        for (const roleId of roleIds) {
+            const rule = this.getSelfAssignRule(guildId, roleId);
+            if (!rule || !rule.durationHours) continue;
+
+            if (!this.temporaryRoles[guildId]) {
+                this.temporaryRoles[guildId] = {};
+            }
+            const expiresAt = Date.now() + rule.durationHours * 60 * 60 * 1000;
+            this.temporaryRoles[guildId][`${userId}:${roleId}`] = { userId, roleId, expiresAt, source };
+            expiries[roleId] = expiresAt;
+        }
+
+        if (Object.keys(expiries).length > 0) {
+            await this.saveTemporaryRoles(guildId);
+        }
+        return expiries;
+    }
+
+    async clearTemporaryRoles(guildId, userId, roleIds) {
+        const entries = this.temporaryRoles[guildId];
+        if (!entries) return;
+
+        const keys = roleIds.map(roleId => `${userId}:${roleId}`).filter(key => entries[key]);
+        if (keys.length === 0) return;
+
+        keys.forEach(key => delete entries[key]);
+        await this.saveTemporaryRoles(guildId);
+    }
+
+    async saveTemporaryRoles(guildId) {
+        try {
+            await this.tempRoleStore.set(guildId, this.temporaryRoles[guildId]);
+        } catch (error) {
+            this.logger.error('Error saving temporary roles', { guildId, error });
+        }
+    }
+
+    // Removes temporary roles whose time is up. Entries stay queued until removal succeeds.
+    async processTemporaryRoles() {
+        if (this.tempRolesRunning) return;
+        this.tempRolesRunning = true;
+
+        try {
+            const now = Date.now();
+
+            for (const [guildId, entries] of Object.entries(this.temporaryRoles)) {
+                const expired = Object.entries(entries || {}).filter(([, entry]) => entry.expiresAt <= now);
+                if (expired.length === 0) continue;
+
+                // Wait for the guild to be available rather than dropping its entries
+                const guild = this.client.guilds.cache.get(guildId);
+                if (!guild) continue;
+
+                for (const [key, entry] of expired) {
+                    try {
+                        const member = await guild.members.fetch(entry.userId).catch(() => null);
+                        const role = guild.roles.cache.get(entry.roleId);
+
+                        if (member && role && member.roles.cache.has(role.id)) {
+                            await member.roles.remove(role.id, 'Temporary role expired');
+                            await this.logAutoRole(guild, {
+                                type: 'temp_role_remove',
+                                user: member.user,
+                                roles: [role],
+                                reason: 'Temporary role expired'
+                            });
+                        }
+
+                        delete entries[key];
+                    } catch (error) {
+                        this.logger.error(`Error removing expired role ${entry.roleId} from ${entry.userId}`, { guildId, userId: entry.userId, error });
+                    }
+                }
+
+                await this.saveTemporaryRoles(guildId);
+            }
+        } catch (error) {
+            this.logger.error('Error processing temporary roles', { error });
+        } finally {
+            this.tempRolesRunning = false;
+        }
+    }
+
+    setupVerificationRoutes() {
+        // Verification queue and the posted verify message
+        this.app.get('/api/plugins/autorole/verification/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
+            try {
+                const { serverId } = req.params;
+
+                const state = this.verificationState[serverId] || {};
+                const queue = Object.values(state.queue || {}).sort((a, b) => a.joinedAt - b.joinedAt);
+
+                res.json({ message: state.message || null, queue });
+            } catch (error) {
+                this.logger.error('Error getting verification queue', { error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Post (or move) the message members click to start verifying
+        this.app.post('/api/plugins/autorole/verification/:serverId/post', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { serverId } = req.params;
+
+                const guild = this.client.guilds.cache.get(serverId);
+                const channel = guild?.channels.cache.get(req.body.channelId);
+                if (!channel || !channel.isTextBased()) {
+                    return res.status(400).json({ error: 'Please choose a text channel for the verify message' });
+                }
+
+                const state = this.getVerificationState(serverId);
+                if (state.message) {
+                    try {
+                        const oldChannel = guild.channels.cache.get(state.message.channelId);
+                        const oldMessage = await oldChannel?.messages.fetch(state.message.messageId);
+                        if (oldMessage) await oldMessage.delete();
+                    } catch (error) {
+                        this.logger.info(`Could not delete old verify message (may already be deleted): ${error.message}`);
+                    }
+                }
+
+                const message = await channel.send(this.buildVerificationMessage(guild));
+                state.message = { channelId: channel.id, messageId: message.id };
+                await this.saveVerificationState(serverId);
+
+                res.json({ success: true, message: 'Verify message posted' });
+            } catch (error) {
+                this.logger.error('Error posting verify message', { error });
+                res.status(500).json({ error: 'Failed to post verify message' });
+            }
+        });
+
+        // Manual approval from the dashboard queue
+        this.app.post('/api/plugins/autorole/verification/:serverId/:userId/approve', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { serverId, userId } = req.params;
+
+                if (!this.verificationState[serverId]?.queue?.[userId]) {
+                    return res.status(404).json({ error: 'Member is not waiting for verification' });
+                }
+
+                const guild = this.client.guilds.cache.get(serverId);
+                const member = await guild?.members.fetch(userId).catch(() => null);
+                if (!member) {
+                    await this.removeFromVerificationQueue(serverId, userId);
+                    return res.status(404).json({ error: 'Member has left the server' });
+                }
+
+                await this.approveVerification(member, req.user.username || req.user.id);
+                res.json({ success: true, message: `${member.user.tag} has been verified` });
+            } catch (error) {
+                this.logger.error('Error approving verification', { error });
+                res.status(500).json({ error: 'Failed to approve member' });
+            }
+        });
+
+        this.app.post('/api/plugins/autorole/verification/:serverId/:userId/reject', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { serverId, userId } = req.params;
+
+                if (!this.verificationState[serverId]?.queue?.[userId]) {
+                    return res.status(404).json({ error: 'Member is not waiting for verification' });
+                }
+
+                const guild = this.client.guilds.cache.get(serverId);
+                const member = await guild?.members.fetch(userId).catch(() => null);
+                if (member) {
+                    await member.kick(`Verification rejected by ${req.user.username || req.user.id}`);
+                    await this.logAutoRole(guild, {
+                        type: 'verification_rejected',
+                        user: member.user,
+                        roles: [],
+                        reason: `Rejected by ${req.user.username || req.user.id}`
+                    });
+                }
+                await this.removeFromVerificationQueue(serverId, userId);
+
+                res.json({ success: true, message: member ? `${member.user.tag} has been kicked` : 'Member had already left' });
+            } catch (error) {
+                this.logger.error('Error rejecting verification', { error });
+                res.status(500).json({ error: 'Failed to reject member' });
+            }
+        });
+    }
+
+    normalizeVerification(verification = {}) {
+        const text = value => typeof value === 'string' ? value.trim() : '';
+
+        return {
+            enabled: verification.enabled === true,
+            pendingRoleId: verification.pendingRoleId || null,
+            rulesText: text(verification.rulesText),
+            questions: (Array.isArray(verification.questions) ? verification.questions : [])
+                .map(question => ({ question: text(question?.question), answer: text(question?.answer) }))
+                .filter(question => question.question),
+            manualApproval: verification.manualApproval === true,
+            timeoutMinutes: Number(verification.timeoutMinutes) || 0,
+            timeoutAction: verification.timeoutAction === 'kick' ? 'kick' : 'flag'
+        };
+    }
+
+    // Returns an error message, or null when the verification settings can be saved
+    validateVerification(guild, verification) {
+        if (verification.rulesText.length > 4000) return 'Verification rules must be 4000 characters or fewer';
+        if (verification.questions.length > this.MAX_VERIFICATION_QUESTIONS) {
+            return `Verification can ask at most ${this.MAX_VERIFICATION_QUESTIONS} questions`;
+        }
+        // Questions become modal field labels, which Discord caps at 45 characters
+        if (verification.questions.some(question => question.question.length > 45)) return 'Questions must be 45 characters or fewer';
+        if (verification.questions.some(question => question.answer.length > 100)) return 'Expected answers must be 100 characters or fewer';
+        if (!Number.isInteger(verification.timeoutMinutes) || verification.timeoutMinutes < 0 || verification.timeoutMinutes > this.MAX_VERIFICATION_MINUTES) {
+            return `Verification timeout must be between 0 (none) and ${this.MAX_VERIFICATION_MINUTES} minutes`;
+        }
+
+        if (verification.enabled) {
+            const role = guild.roles.cache.get(verification.pendingRoleId);
+            if (!role || role.id === guild.id) return 'Choose a pending role for unverified members';
+            if (!role.editable) return `${role.name} is above the bot's highest role, so the bot can't assign it`;
+        }
+
+        return null;
+    }
+
+    getVerificationState(guildId) {
+        if (!this.verificationState[guildId]) {
+            this.verificationState[guildId] = { message: null, queue: {} };
+        }
+        return this.verificationState[guildId];
+    }
+
+    async saveVerificationState(guildId) {
+        try {
+            await this.verificationStore.set(guildId, this.verificationState[guildId]);
+        } catch (error) {
+            this.logger.error('Error saving verification state', { guildId, error });
+        }
+    }
+
+    async removeFromVerificationQueue(guildId, userId) {
+        const queue = this.verificationState[guildId]?.queue;
+        if (!queue || !queue[userId]) return;
+
+        delete queue[userId];
+        await this.saveVerificationState(guildId);
+    }
+
+    buildVerificationMessage(guild) {
+        const embed = {
+            color: 0x7289da,
+            title: '🛡️ Verification',
+            description: `Welcome to **${guild.name}**! Click the button below to verify and unlock the rest of the server.`
+        };
+
+        const row = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId('verify:start')
+                .setLabel('Verify')
+                .setEmoji('✅')
+                .setStyle(ButtonStyle.Success)
+        );
+
+        return { embeds: [embed], components: [row] };
+    }
+
+    // Holds a new member behind the pending role until they verify
+    async startVerification(member, verification) {
+        const role = member.guild.roles.cache.get(verification.pendingRoleId);
+        if (role) {
+            await member.roles.add(role.id, 'Awaiting verification');
+        }
+
+        const state = this.getVerificationState(member.guild.id);
+        state.queue[member.id] = {
+            userId: member.id,
+            username: member.user.tag,
+            joinedAt: Date.now(),
+            status: 'pending',
+            attempts: 0,
+            flagged: false,
+            answers: null
+        };
+        await this.saveVerificationState(member.guild.id);
+    }
+
+    async handleVerificationInteraction(interaction) {
+        const guild = interaction.guild;
+        const verification = this.autoRoleSettings[guild.id]?.verification;
+
+        try {
+            if (!verification?.enabled) {
+                return interaction.reply({ content: 'Verification is turned off in this server.', ephemeral: true });
+            }
+
+            const entry = this.verificationState[guild.id]?.queue?.[interaction.user.id];
+            if (!entry) {
+                return interaction.reply({ content: '✅ You\'re already verified.', ephemeral: true });
+            }
+            if (entry.status === 'awaiting_approval') {
+                return interaction.reply({ content: '⏳ Your verification is waiting for a moderator to approve it.', ephemeral: true });
+            }
+
+            // Rules come first, then the questions, then approval
+            if (interaction.customId === 'verify:start' && verification.rulesText) {
+                const row = new ActionRowBuilder().addComponents(
+                    new ButtonBuilder()
+                        .setCustomId('verify:accept')
+                        .setLabel('I accept the rules')
+                        .setStyle(ButtonStyle.Success)
+                );
+                return interaction.reply({
+                    embeds: [{ color: 0x7289da, title: '📜 Server Rules', description: verification.rulesText }],
+                    components: [row],
+                    ephemeral: true
+                });
+            }
+
+            if (interaction.isButton() && verification.questions.length > 0) {
+                const modal = new ModalBuilder()
+                    .setCustomId('verify:answers')
+                    .setTitle('Verification');
+                verification.questions.forEach((question, index) => {
+                    modal.addComponents(new ActionRowBuilder().addComponents(
+                        new TextInputBuilder()
+                            .setCustomId(`q${index}`)
+                            .setLabel(question.question)
+                            .setStyle(TextInputStyle.Short)
+                            .setMaxLength(200)
+                            .setRequired(true)
+                    ));
+                });
+                return interaction.showModal(modal);
+            }
+
+            let answers = [];
+            if (interaction.isModalSubmit()) {
+                answers = verification.questions.map((question, index) => ({
+                    question: question.question,
+                    answer: (interaction.fields.getTextInputValue(`q${index}`) || '').trim()
+                }));
+
+                const wrong = verification.questions.some((question, index) =>
+                    question.answer && question.answer.toLowerCase() !== answers[index].answer.toLowerCase());
+                if (wrong) {
+                    entry.attempts = (entry.attempts || 0) + 1;
+                    await this.saveVerificationState(guild.id);
+                    await this.logAutoRole(guild, {
+                        type: 'verification_failed',
+                        user: interaction.user,
+                        roles: [],
+                        reason: `Wrong answers (attempt ${entry.attempts})`
+                    });
+                    return interaction.reply({ content: '❌ Some of your answers weren\'t right. Check the rules and try again.', ephemeral: true });
+                }
+            }
+
+            const member = await guild.members.fetch(interaction.user.id);
+            entry.answers = answers;
+
+            if (verification.manualApproval) {
+                entry.status = 'awaiting_approval';
+                entry.submittedAt = Date.now();
+                await this.saveVerificationState(guild.id);
+                await this.logAutoRole(guild, {
+                    type: 'verification_submitted',
+                    user: interaction.user,
+                    roles: [],
+                    reason: 'Waiting for approval in the dashboard'
+                });
+                return interaction.reply({ content: '✅ Thanks! A moderator will review your verification shortly.', ephemeral: true });
+            }
+
+            await this.approveVerification(member);
+            await interaction.reply({ content: `✅ You're verified. Welcome to **${guild.name}**!`, ephemeral: true });
+        } catch (error) {
+            this.logger.error('Error handling verification', { error });
+            const reply = { content: '❌ Something went wrong verifying you. Please try again or contact a moderator.', ephemeral: true };
+            if (interaction.replied || interaction.deferred) {
+                await interaction.followUp(reply).catch(() => {});
+            } else {
+                await interaction.reply(reply).catch(() => {});
+            }
+        }
+    }
+
+    // Lifts the pending role and hands out the join roles that were held back
+    async approveVerification(member, moderator = null) {
+        const guild = member.guild;
+        const settings = this.autoRoleSettings[guild.id] || {};
+        const pendingRoleId = settings.verification?.pendingRoleId;
+
+        if (pendingRoleId && member.roles.cache.has(pendingRoleId)) {
+            await member.roles.remove(pendingRoleId, moderator ? `Verification approved by ${moderator}` : 'Verification complete');
+        }
+        await this.removeFromVerificationQueue(guild.id, member.id);
+
+        await this.logAutoRole(guild, {
+            type: 'verification_passed',
+            user: member.user,
+            roles: [],
+            reason: moderator ? `Approved by ${moderator}` : 'Completed verification'
+        });
+
+        await this.assignJoinRoles(member, settings);
+    }
+
+    // Kicks or flags members who haven't verified within the timeout
+    async processVerificationTimeouts() {
+        const now = Date.now();
+
+        for (const [guildId, state] of Object.entries(this.verificationState)) {
+            const verification = this.autoRoleSettings[guildId]?.verification;
+            if (!verification?.enabled || !verification.timeoutMinutes) continue;
+
+            const guild = this.client.guilds.cache.get(guildId);
+            if (!guild) continue;
+
+            const deadline = verification.timeoutMinutes * 60 * 1000;
+            let changed = false;
+
+            for (const entry of Object.values(state.queue || {})) {
+                if (entry.status !== 'pending' || now - entry.joinedAt < deadline) continue;
+                if (verification.timeoutAction === 'flag' && entry.flagged) continue;
+
+                try {
+                    const member = await guild.members.fetch(entry.userId).catch(() => null);
+                    if (!member) {
+                        delete state.queue[entry.userId];
+                        changed = true;
+                        continue;
+                    }
+
+                    if (verification.timeoutAction === 'kick') {
+                        await member.kick(`Did not verify within ${verification.timeoutMinutes} minutes`);
+                        delete state.queue[entry.userId];
+                    } else {
+                        entry.flagged = true;
+                    }
+                    changed = true;
+
+                    await this.logAutoRole(guild, {
+                        type: 'verification_timeout',
+                        user: member.user,
+                        roles: [],
+                        reason: verification.timeoutAction === 'kick'
+                            ? `Kicked after ${verification.timeoutMinutes} minutes unverified`
+                            : `Flagged after ${verification.timeoutMinutes} minutes unverified`
+                    });
+                } catch (error) {
+                    this.logger.error(`Error handling verification timeout for ${entry.userId}`, { guildId, userId: entry.userId, error });
+                }
+            }
+
+            if (changed) await this.saveVerificationState(guildId);
+        }
+    }
+
+    setupRuleRoleRoutes() {
+        this.app.get('/api/plugins/autorole/rules/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
+            try {
+                const { serverId } = req.params;
+
+                res.json({
+                    rules: this.ruleRoles[serverId]?.rules || [],
+                    lastSweepAt: this.ruleRoles[serverId]?.lastSweepAt || null
+                });
+            } catch (error) {
+                this.logger.error('Error getting rule roles', { error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        this.app.post('/api/plugins/autorole/rules/:serverId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { serverId } = req.params;
+
+                const guild = this.client.guilds.cache.get(serverId);
+                if (!guild) {
+                    return res.status(404).json({ error: 'Server not found' });
+                }
+
+                const rules = this.normalizeRuleRoles(req.body.rules);
+                const validationError = this.validateRuleRoles(guild, rules);
+                if (validationError) {
+                    return res.status(400).json({ error: validationError });
+                }
+
+                this.ruleRoles[serverId] = { ...this.ruleRoles[serverId], rules };
+                await this.saveRuleRoles(serverId);
+
+                res.json({ success: true, rules });
+            } catch (error) {
+                this.logger.error('Error updating rule roles', { error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Evaluate every member now instead of waiting for the next sweep
+        this.app.post('/api/plugins/autorole/rules/:serverId/evaluate', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { serverId } = req.params;
+
+                if (!this.ruleRoles[serverId]?.rules?.length) {
+                    return res.status(400).json({ error: 'No role rules are configured' });
+                }
+                if (this.ruleSweepsRunning.has(serverId)) {
+                    return res.status(409).json({ error: 'Role rules are already being evaluated' });
+                }
+
+                this.sweepRuleRoles(serverId);
+                res.json({ success: true, message: 'Evaluating role rules for every member' });
+            } catch (error) {
+                this.logger.error('Error evaluating rule roles', { error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+    }
+
+    normalizeRuleRoles(rules) {
+        return (Array.isArray(rules) ? rules : []).map(rule => ({
+            roleId: String(rule?.roleId || ''),
+            conditions: (Array.isArray(rule?.conditions) ? rule.conditions : []).map(condition => ({
+                type: String(condition?.type || ''),
+                min: Number(condition?.min) || 0,
+                category: typeof condition?.category === 'string' ? condition.category.toLowerCase() : '',
+                genre: typeof condition?.genre === 'string' ? condition.genre.trim() : ''
+            })),
+            removeWhenUnmet: rule?.removeWhenUnmet !== false
+        }));
+    }
+
+    // Returns an error message, or null when the rules can be saved
+    validateRuleRoles(guild, rules) {
+        const seen = new Set();
+        const levelRoleIds = new Set((this.levelRoles[guild.id]?.roles || []).map(levelRole => levelRole.roleId));
+        const reputationCategories = this.services.get('reputation')?.categories || [];
+
+        for (const rule of rules) {
+            const role = guild.roles.cache.get(rule.roleId);
+            if (!role || role.id === guild.id) return 'One of the rules is for a role that no longer exists';
+            if (seen.has(role.id)) return `${role.name} has more than one rule`;
+            seen.add(role.id);
+
+            // Level roles already follow the member's level, so a rule would fight over them
+            if (levelRoleIds.has(role.id)) return `${role.name} is already a level role`;
+
+            if (rule.conditions.length === 0) return `${role.name} needs at least one condition`;
+            if (rule.conditions.length > this.MAX_RULE_CONDITIONS) {
+                return `${role.name} can have at most ${this.MAX_RULE_CONDITIONS} conditions`;
+            }
+
+            for (const condition of rule.conditions) {
+                if (!this.RULE_CONDITION_TYPES.includes(condition.type)) return `${role.name} has an unknown condition`;
+
+                if (condition.type === 'genre') {
+                    if (!condition.genre || condition.genre.length > 100) {
+                        return `Genre conditions for ${role.name} need a genre name of up to 100 characters`;
+                    }
+                    continue;
+                }
+                if (condition.type === 'reputation_category' && !reputationCategories.includes(condition.category)) {
+                    return `Reputation condition for ${role.name} has an unknown category`;
+                }
+                if (!Number.isFinite(condition.min) || condition.min < 0 || condition.min > 1000000) {
+                    return `Thresholds for ${role.name} must be between 0 and 1000000`;
+                }
+            }
+        }
+
+        return null;
+    }
+
+    async saveRuleRoles(guildId) {
+        try {
+            await this.ruleRoleStore.set(guildId, this.ruleRoles[guildId]);
+        } catch (error) {
+            this.logger.error('Error saving rule roles', { guildId, error });
+        }
+    }
+
+    // Other plugins' data the rules read, keyed by user ID. Pass a userId to load just that member.
+    // Sources whose plugin isn't loaded or couldn't be read are listed in `unavailable`.
+    async loadRuleSources(guildId, userId = null) {
+        const unavailable = new Set();
+        const read = async (serviceName, getOne, getAll) => {
+            const service = this.services.get(serviceName);
+            if (!service) {
+                unavailable.add(serviceName);
+                return {};
+            }
+            try {
+                return userId ? { [userId]: await service[getOne](guildId, userId) } : await service[getAll](guildId);
+            } catch (error) {
+                this.logger.error(`Error reading ${serviceName} for role rules`, { guildId, userId, error });
+                unavailable.add(serviceName);
+                return {};
+            }
+        };
+
+        const [leveling, reputation, genres] = await Promise.all([
+            read('leveling', 'getUser', 'getGuildUsers'),
+            read('reputation', 'getUser', 'getGuildUsers'),
+            read('genres', 'getUserGenres', 'getGuildGenres')
+        ]);
+        return { leveling, reputation, genres, unavailable };
+    }
+
+    // Rules that read a source we couldn't load are left alone; treating the
+    // missing data as zero would take their roles from every member
+    getEvaluableRules(guildId, sources) {
+        const rules = this.ruleRoles[guildId]?.rules || [];
+        return rules.filter(rule => rule.conditions.every(condition => !sources.unavailable.has(this.RULE_CONDITION_SOURCES[condition.type])));
+    }
+
+    getRuleMetrics(member, sources) {
+        const guildId = member.guild.id;
+        const levelData = sources.leveling[member.id] || {};
+        const repData = sources.reputation[member.id] || {};
+
+        // Leveling keeps per-day counts for the last 30 days
+        const cutoff = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        const messages30d = Object.entries(levelData.dailyMessages || {})
+            .filter(([day]) => day >= cutoff)
+            .reduce((sum, [, count]) => sum + count, 0);
+
+        return {
+            reputation_total: repData.total || 0,
+            reputationCategories: repData.categories || {},
+            voice_hours: (levelData.voiceTime || 0) / (60 * 60 * 1000),
+            messages_30d: messages30d,
+            tenure_days: member.joinedTimestamp ? (Date.now() - member.joinedTimestamp) / (24 * 60 * 60 * 1000) : 0,
+            genres: new Set((sources.genres[member.id] || []).map(genre => genre.toLowerCase()))
+        };
+    }
+
+    isConditionMet(condition, metrics) {
+        switch (condition.type) {
+            case 'genre':
+                return metrics.genres.has(condition.genre.toLowerCase());
+            case 'reputation_category':
+                return (metrics.reputationCategories[condition.category] || 0) >= condition.min;
+            default:
+                return metrics[condition.type] >= condition.min;
+        }
+    }
+
+    describeRuleCondition(condition) {
+        switch (condition.type) {
+            case 'reputation_total': return `${condition.min}+ reputation`;
+            case 'reputation_category': return `${condition.min}+ ${condition.category} reputation`;
+            case 'voice_hours': return `${condition.min}+ voice hours`;
+            case 'messages_30d': return `${condition.min}+ messages in 30 days`;
+            case 'tenure_days': return `${condition.min}+ days in the server`;
+            case 'genre': return `picked ${condition.genre}`;
+            default: return condition.type;
+        }
+    }
+
+    // Adds roles whose conditions the member meets and takes back the ones they no longer meet
+    async applyRuleRoles(member, sources) {
+        const rules = this.getEvaluableRules(member.guild.id, sources);
+        if (!rules.length || member.user.bot) return;
+
+        const metrics = this.getRuleMetrics(member, sources);
+
+        for (const rule of rules) {
+            const role = member.guild.roles.cache.get(rule.roleId);
+            if (!role || !role.editable) continue;
+
+            const met = rule.conditions.every(condition => this.isConditionMet(condition, metrics));
+            const hasRole = member.roles.cache.has(role.id);
+            const reason = rule.conditions.map(condition => this.describeRuleCondition(condition)).join(', ');
+
+            try {
+                if (met && !hasRole) {
+                    await member.roles.add(role.id, 'Role rule met');
+                    await this.logAutoRole(member.guild, { type: 'rule_role_add', user: member.user, roles: [role], reason });
+                } else if (!met && hasRole && rule.removeWhenUnmet) {
+                    await member.roles.remove(role.id, 'Role rule no longer met');
+                    await this.logAutoRole(member.guild, { type: 'rule_role_remove', user: member.user, roles: [role], reason: `No longer meets: ${reason}` });
+                }
+            } catch (error) {
+                this.logger.error(`Error applying rule role ${role.name} to ${member.user.tag}`, { guildId: member.guild.id, userId: member.id, error });
+            }
+        }
+    }
+
+    // Re-checks one member after something their rules depend on changed
+    async evaluateMemberRules(guildId, userId) {
+        try {
+            if (!this.ruleRoles[guildId]?.rules?.length) return;
+
+            const guild = this.client.guilds.cache.get(guildId);
+            if (!guild) return;
+
+            const member = guild.members.cache.get(userId) || await guild.members.fetch(userId).catch(() => null);
+            if (!member) return;
+
+            await this.applyRuleRoles(member, await this.loadRuleSources(guildId, userId));
+        } catch (error) {
+            this.logger.error('Error evaluating role rules', { guildId, userId, error });
+        }
+    }
+
+    // Tenure and activity change without any event, so every member is re-checked periodically
+    async sweepRuleRoles(guildId) {
+        if (this.ruleSweepsRunning.has(guildId)) return;
+        this.ruleSweepsRunning.add(guildId);
+
+        try {
+            const guild = this.client.guilds.cache.get(guildId);
+            if (!guild || !this.ruleRoles[guildId]?.rules?.length) return;
+
+            const members = await guild.members.fetch();
+            const sources = await this.loadRuleSources(guildId);
+            if (sources.unavailable.size > 0) {
+                const skipped = this.ruleRoles[guildId].rules.length - this.getEvaluableRules(guildId, sources).length;
+                if (skipped > 0) {
+                    this.logger.warn(`Skipping ${skipped} role rules: could not read ${[...sources.unavailable].join(', ')}`, { guildId });
+                }
+            }
+
+            for (const member of members.values()) {
+                if (this.stopped) return;
+                await this.waitForRateLimit();
+                await this.applyRuleRoles(member, sources);
+            }
+
+            this.ruleRoles[guildId].lastSweepAt = Date.now();
+            await this.saveRuleRoles(guildId);
+        } catch (error) {
+            this.logger.error('Error sweeping role rules', { guildId, error });
+        } finally {
+            this.ruleSweepsRunning.delete(guildId);
+        }
+    }
+
+    async sweepAllRuleRoles() {
+        for (const guildId of Object.keys(this.ruleRoles)) {
+            await this.sweepRuleRoles(guildId);
+        }
+    }
+
+    setupLevelRoleSyncRoutes() {
+        // Progress and diff report of the latest level role sync
+        this.app.get('/api/plugins/autorole/sync-level-roles/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
+            try {
+                const { serverId } = req.params;
+
+                res.json(this.describeSyncJob(this.syncJobs[serverId]));
+            } catch (error) {
+                this.logger.error('Error getting level role sync', { error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Start a sync, or a dry run that only reports what would change
+        this.app.post('/api/plugins/autorole/sync-level-roles/:serverId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { serverId } = req.params;
+                const dryRun = req.body?.dryRun === true;
+
+                const guild = this.client.guilds.cache.get(serverId);
+                if (!guild) {
+                    return res.status(404).json({ error: 'Server not found' });
+                }
+
+                if (this.syncJobs[serverId]?.status === 'running') {
+                    return res.status(409).json({ error: 'A level role sync is already running' });
+                }
+
+                const validationError = await this.validateLevelRoleSync(serverId);
+                if (validationError) {
+                    return res.status(400).json({ error: validationError });
+                }
+
+                const job = await this.startLevelRoleSync(guild, { dryRun, startedBy: req.user.id });
+
+                res.json({
+                    success: true,
+                    message: `${dryRun ? 'Previewing' : 'Syncing'} level roles for ${job.total} members`,
+                    job: this.describeSyncJob(job)
+                });
+            } catch (error) {
+                this.logger.error('Error starting level role sync', { error });
+                res.status(500).json({ error: 'Failed to start level role sync' });
+            }
+        });
+
+        this.app.delete('/api/plugins/autorole/sync-level-roles/:serverId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { serverId } = req.params;
+
+                const job = this.syncJobs[serverId];
+                if (job?.status !== 'running') {
+                    return res.status(404).json({ error: 'No level role sync is running' });
+                }
+
+                // The loop stops at the end of its current batch
+                job.status = 'cancelled';
+                job.finishedAt = Date.now();
+                await this.saveSyncJob(serverId);
+
+                res.json({ success: true, job: this.describeSyncJob(job) });
+            } catch (error) {
+                this.logger.error('Error cancelling level role sync', { error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+    }
+
+    // Public view of a sync job, without the member list it works through
+    describeSyncJob(job) {
+        if (!job) return null;
+        const { memberIds, ...rest } = job;
+        return rest;
+    }
+
+    // Saves progress only; the member list is stored once when the job starts
+    async saveSyncJob(guildId) {
+        try {
+            await this.syncJobStore.set(guildId, this.describeSyncJob(this.syncJobs[guildId]));
+        } catch (error) {
+            this.logger.error('Error saving level role sync job', { guildId, error });
+        }
+    }
+
+    // Returns an error message, or null when a sync can start
+    async validateLevelRoleSync(guildId) {
+        const settings = this.levelRoles[guildId];
+        if (!settings || !settings.enabled || !settings.roles.length) {
+            return 'Level roles are not configured';
+        }
+
+        // Without leveling data every member would look like level 0 and lose their roles
+        const leveling = this.services.get('leveling');
+        if (!leveling) {
+            return 'The leveling plugin is not loaded';
+        }
+        if (Object.keys(leveling.getGuildUsers(guildId)).length === 0) {
+            return 'No leveling data found for this server';
+        }
+        return null;
+    }
+
+    async startLevelRoleSync(guild, { dryRun = false, startedBy = null } = {}) {
+        const guildId = guild.id;
+        const members = await guild.members.fetch();
+        const memberIds = members.filter(member => !member.user.bot).map(member => member.id);
+        this.syncJobs[guildId] = {
+            id: Date.now().toString(36),
+            dryRun,
+            status: 'running',
+            startedBy,
+            startedAt: Date.now(),
+            finishedAt: null,
+            error: null,
+            memberIds,
+            total: memberIds.length,
+            cursor: 0,
+            summary: { processed: 0, changed: 0, rolesAdded: 0, rolesRemoved: 0, errors: 0 },
+            changes: [],
+            errors: []
+        };
+        await this.syncMemberStore.set(guildId, { jobId: this.syncJobs[guildId].id, memberIds });
+        await this.saveSyncJob(guildId);
+
+        this.runLevelRoleSync(guildId);
+        return this.syncJobs[guildId];
+    }
+
+    // Works through the job's members in batches, saving the cursor so a restart picks up where it stopped
+    async runLevelRoleSync(guildId) {
+        const job = this.syncJobs[guildId];
+        if (!job || this.activeSyncs.has(job.id)) return;
+        this.activeSyncs.add(job.id);
+
+        try {
+            const guild = this.client.guilds.cache.get(guildId);
+            if (!guild) return;
+
+            while (job.status === 'running' && !this.stopped && job.cursor < job.memberIds.length) {
+                const settings = this.levelRoles[guildId];
+                if (!settings || !settings.enabled || !settings.roles.length) {
+                    throw new Error('Level roles were turned off during the sync');
+                }
+
+                await this.waitForRateLimit();
+
+                const batch = job.memberIds.slice(job.cursor, job.cursor + this.SYNC_BATCH_SIZE);
+                for (const userId of batch) {
+                    await this.reconcileMemberLevelRoles(guild, job, settings, userId, this.getMemberLevel(guildId, userId));
+                    job.summary.processed++;
+                }
+
+                job.cursor += batch.length;
+                await this.saveSyncJob(guildId);
+
+                if (job.cursor < job.memberIds.length) {
+                    await new Promise(resolve => setTimeout(resolve, this.SYNC_BATCH_DELAY));
+                }
+            }
+
+            if (job.status === 'running' && job.cursor >= job.memberIds.length) {
+                job.status = 'completed';
+                job.finishedAt = Date.now();
+                await this.saveSyncJob(guildId);
+                this.logger.info(`Level role ${job.dryRun ? 'preview' : 'sync'} finished for ${guild.name} (${job.summary.changed} members changed)`, { guildId });
+            }
+        } catch (error) {
+            this.logger.error('Error running level role sync', { guildId, error });
+            job.status = 'failed';
+            job.error = error.message;
+            job.finishedAt = Date.now();
+            await this.saveSyncJob(guildId);
+        } finally {
+            this.activeSyncs.delete(job.id);
+            if (job.status !== 'running') {
+                await this.syncMemberStore.delete(guildId).catch(error => {
+                    this.logger.error('Error removing level role sync member list', { guildId, error });
+                });
+            }
+        }
+    }
+
+    async reconcileMemberLevelRoles(guild, job, settings, userId, level) {
+        try {
+            const member = guild.members.cache.get(userId) || await guild.members.fetch(userId).catch(() => null);
+            if (!member) return;
+
+            const { keep, drop } = this.getLevelRoleTargets(settings, level);
+            const added = keep.filter(roleId => guild.roles.cache.has(roleId) && !member.roles.cache.has(roleId));
+            const removed = drop.filter(roleId => member.roles.cache.has(roleId));
+            if (added.length === 0 && removed.length === 0) return;
+
+            if (!job.dryRun) {
+                if (added.length > 0) await member.roles.add(added, 'Level role sync');
+                if (removed.length > 0) await member.roles.remove(removed, 'Level role sync');
+            }
+
+            if (job.changes.length < this.MAX_SYNC_CHANGES) {
+                job.changes.push({ userId, username: member.user.tag, level, added, removed });
+            }
+            job.summary.changed++;
+            job.summary.rolesAdded += added.length;
+            job.summary.rolesRemoved += removed.length;
+        } catch (error) {
+            job.summary.errors++;
+            if (job.errors.length < this.MAX_SYNC_ERRORS) {
+                job.errors.push({ userId, error: error.message });
+            }
+        }
+    }
+
+    // Holds off while Discord has us rate limited rather than piling more requests on the queue
+    async waitForRateLimit() {
+        const wait = this.rateLimitedUntil - Date.now();
+        if (wait > 0) {
+            await new Promise(resolve => setTimeout(resolve, wait));
+        }
+    }
+
+    // Picks up syncs that were still running when the bot stopped
+    resumeLevelRoleSyncs() {
+        for (const [guildId, job] of Object.entries(this.syncJobs)) {
+            if (job?.status === 'running') {
+                this.logger.info(`Resuming level role sync at member ${job.cursor}/${job.memberIds.length}`, { guildId });
+                this.runLevelRoleSync(guildId);
+            }
+        }
+    }
+
+    setupStickyRoleRoutes() {
+        // Role snapshots of members who left, waiting to be restored
+        this.app.get('/api/plugins/autorole/sticky/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
+            try {
+                const { serverId } = req.params;
+
+                const snapshots = Object.entries(this.stickyRoles[serverId] || {})
+                    .map(([userId, snapshot]) => ({ userId, ...snapshot }))
+                    .sort((a, b) => b.leftAt - a.leftAt);
+
+                res.json(snapshots);
+            } catch (error) {
+                this.logger.error('Error getting sticky role snapshots', { error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        this.app.delete('/api/plugins/autorole/sticky/:serverId/:userId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { serverId, userId } = req.params;
+
+                if (!this.stickyRoles[serverId]?.[userId]) {
+                    return res.status(404).json({ error: 'Snapshot not found' });
+                }
+
+                delete this.stickyRoles[serverId][userId];
+                await this.saveStickyRoles(serverId);
+
+                res.json({ success: true });
+            } catch (error) {
+                this.logger.error('Error deleting sticky role snapshot', { error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+    }
+
+    normalizeStickyRoles(sticky = {}) {
+        const ids = value => Array.isArray(value) ? [...new Set(value.map(String))] : [];
+
+        return {
+            enabled: sticky.enabled === true,
+            roles: ids(sticky.roles),
+            alwaysRestore: ids(sticky.alwaysRestore),
+            retentionDays: sticky.retentionDays === undefined ? 30 : Number(sticky.retentionDays)
+        };
+    }
+
+    // Returns an error message, or null when the sticky role settings can be saved
+    validateStickyRoles(guild, sticky) {
+        const roleIds = sticky.roles.concat(sticky.alwaysRestore);
+        if (roleIds.some(id => id === guild.id || !guild.roles.cache.has(id))) {
+            return 'One of the sticky roles no longer exists';
+        }
+        if (!Number.isInteger(sticky.retentionDays) || sticky.retentionDays < 1 || sticky.retentionDays > this.MAX_STICKY_RETENTION_DAYS) {
+            return `Sticky role retention must be between 1 and ${this.MAX_STICKY_RETENTION_DAYS} days`;
+        }
+        return null;
+    }
+
+    async saveStickyRoles(guildId) {
+        try {
+            await this.stickyStore.set(guildId, this.stickyRoles[guildId]);
+        } catch (error) {
+            this.logger.error('Error saving sticky roles', { guildId, error });
+        }
+    }
+
+    // Remembers the sticky roles a member held when they left
+    async snapshotMemberRoles(member) {
+        try {
+            const sticky = this.autoRoleSettings[member.guild.id]?.stickyRoles;
+            if (!sticky?.enabled || member.user?.bot) return;
+
+            const tracked = new Set(sticky.roles.concat(sticky.alwaysRestore));
+            const roles = member.roles.cache.filter(role => tracked.has(role.id)).map(role => role.id);
+            if (roles.length === 0) return;
+
+            if (!this.stickyRoles[member.guild.id]) {
+                this.stickyRoles[member.guild.id] = {};
+            }
+            const snapshots = this.stickyRoles[member.guild.id];
+            snapshots[member.id] = {
+                username: member.user?.tag || null,
+                roles,
+                leftAt: Date.now()
+            };
+
+            // Past the cap, forget the oldest snapshots that don't hold an always-restore role
+            const overflow = Object.keys(snapshots).length - this.MAX_STICKY_SNAPSHOTS;
+            if (overflow > 0) {
+                const alwaysRestore = new Set(sticky.alwaysRestore);
+                Object.entries(snapshots)
+                    .filter(([, snapshot]) => !snapshot.roles.some(id => alwaysRestore.has(id)))
+                    .sort(([, a], [, b]) => a.leftAt - b.leftAt)
+                    .slice(0, overflow)
+                    .forEach(([userId]) => delete snapshots[userId]);
+            }
+
+            await this.saveStickyRoles(member.guild.id);
+        } catch (error) {
+            this.logger.error('Error saving sticky roles', { guildId: member.guild.id, userId: member.id, error });
+        }
+    }
+
+    // Gives a returning member back the sticky roles from their snapshot
+    async restoreStickyRoles(member) {
+        try {
+            const sticky = this.autoRoleSettings[member.guild.id]?.stickyRoles;
+            const snapshot = this.stickyRoles[member.guild.id]?.[member.id];
+            if (!sticky?.enabled || !snapshot) return;
+
+            // Only roles that are still configured as sticky come back
+            const allowed = new Set(sticky.roles.concat(sticky.alwaysRestore));
+            const roles = snapshot.roles
+                .filter(id => allowed.has(id))
+                .map(id => member.guild.roles.cache.get(id))
+                .filter(role => role && role.editable && !member.roles.cache.has(role.id));
+
+            // If this throws the snapshot stays, so the roles come back on the next rejoin
+            if (roles.length > 0) {
+                await member.roles.add(roles.map(role => role.id), 'Sticky roles restored on rejoin');
+            }
+
+            // Always-restore roles we can't give yet (role hierarchy) are kept for next time
+            const pending = snapshot.roles.filter(id => sticky.alwaysRestore.includes(id) &&
+                member.guild.roles.cache.get(id)?.editable === false && !member.roles.cache.has(id));
+            if (this.stickyRoles[member.guild.id]?.[member.id] === snapshot) {
+                if (pending.length > 0) {
+                    snapshot.roles = pending;
+                } else {
+                    delete this.stickyRoles[member.guild.id][member.id];
+                }
+                await this.saveStickyRoles(member.guild.id);
+            }
+            if (roles.length === 0) return;
+
+            await this.logAutoRole(member.guild, {
+                type: 'sticky_roles_restored',
+                user: member.user,
+                roles,
+                reason: `Rejoined after leaving ${new Date(snapshot.leftAt).toISOString().split('T')[0]}`
+            });
+        } catch (error) {
+            this.logger.error('Error restoring sticky roles', { guildId: member.guild.id, userId: member.id, error });
+        }
+    }
+
+    // Drops snapshots past the retention period. Always-restore roles are kept until the member returns.
+    async pruneStickyRoles() {
+        const now = Date.now();
+
+        for (const [guildId, snapshots] of Object.entries(this.stickyRoles)) {
+            const sticky = this.autoRoleSettings[guildId]?.stickyRoles;
+            if (!sticky) continue;
+
+            const cutoff = now - sticky.retentionDays * 24 * 60 * 60 * 1000;
+            const alwaysRestore = new Set(sticky.alwaysRestore);
+            let changed = false;
+
+            for (const [userId, snapshot] of Object.entries(snapshots || {})) {
+                if (snapshot.leftAt >= cutoff) continue;
+
+                const kept = snapshot.roles.filter(id => alwaysRestore.has(id));
+                if (kept.length === snapshot.roles.length) continue;
+
+                if (kept.length > 0) {
+                    snapshot.roles = kept;
+                } else {
+                    delete snapshots[userId];
+                }
+                changed = true;
+            }
+
+            if (changed) await this.saveStickyRoles(guildId);
+        }
+    }
+
+	getFrontendComponent() {
+        return {
+            id: 'auto-role',  
+            name: 'Auto-Role System',
+            description: 'Manage automatic role assignment, reaction roles, and level-based roles',
+            icon: '🎭',
+            version: '1.0.0',
+            
+            containerId: 'autoRolePluginContainer',
+            pageId: 'auto-role',
+            navIcon: '🎭',
+            
+            html: `
+                <div class="plugin-container">
+                    <div class="plugin-header">
+                        <h3><span class="plugin-icon">🎭</span> Auto-Role System</h3>
+                        <p>Configure automatic role assignment, reaction roles, and level-based roles</p>
+                    </div>
+
+                    <div class="settings-section">
+                        <h3>Server Selection</h3>
+                        <div class="form-group">
+                            <label>Server:</label>
+                            <select id="autorole-server-select" class="form-control">
+                                <option value="">Select a server...</option>
+                            </select>
+                        </div>
+                    </div>
+
+                    <!-- Join Roles Section -->
+                    <div class="settings-section" id="join-roles-section" style="display: none;">
+                        <h3>👋 Join Roles</h3>
+                        <div class="form-group">
+                            <label>
+                                <input type="checkbox" id="join-roles-enabled"> Enable Join Roles
+                            </label>
+                        </div>
+                        
+                        <div id="join-roles-config" style="display: none;">
+                            <div class="form-group">
+                                <label>Roles to Assign:</label>
+                                <select id="join-roles-select" class="form-control" multiple>
+                                    <option value="">Loading roles...</option>
+                                </select>
+                                <small style="opacity: 0.7;">Hold Ctrl/Cmd to select multiple roles</small>
+                            </div>
+                            
+                            <div class="form-group">
+                                <label>Delay (minutes):</label>
+                                <input type="number" id="join-roles-delay" class="form-control" min="0" max="1440" value="0">
+                                <small style="opacity: 0.7;">0 = assign immediately</small>
+                            </div>
+                            
+                            <div class="form-group">
+                                <label>
+                                    <input type="checkbox" id="join-roles-exclude-bots" checked> Exclude Bots
+                                </label>
+                            </div>
+                            
+                            <div class="form-group">
+                                <label>Minimum Account Age (days):</label>
+                                <input type="number" id="join-roles-min-age" class="form-control" min="0" max="365" value="0">
+                                <small style="opacity: 0.7;">0 = no age requirement</small>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- Verification Section -->
+                    <div class="settings-section" id="verification-section" style="display: none;">
+                        <h3>🛡️ Verification</h3>
+                        <div class="form-group">
+                            <label>
+                                <input type="checkbox" id="verification-enabled"> Require new members to verify
+                            </label>
+                            <small style="opacity: 0.7; display: block; margin-top: 4px;">
+                                New members get the pending role and only receive join roles once they verify
+                            </small>
+                        </div>
+
+                        <div id="verification-config" style="display: none;">
+                            <div class="form-group">
+                                <label for="verification-pending-role">Pending Role:</label>
+                                <select id="verification-pending-role" class="form-control">
+                                    <option value="">Select a role...</option>
+                                </select>
+                                <small style="opacity: 0.7;">Limit this role's channel access so unverified members only see the verify channel</small>
+                            </div>
+
+                            <div class="form-group">
+                                <label for="verification-rules">Rules to Accept (optional):</label>
+                                <textarea id="verification-rules" class="form-control" rows="4" maxlength="4000" placeholder="Members must accept these before verifying"></textarea>
+                            </div>
+
+                            <div class="form-group">
+                                <label>Questions (optional, up to 5):</label>
+                                <div id="verification-questions-list" style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 10px; margin-bottom: 10px;"></div>
+                                <div style="display: flex; gap: 10px;">
+                                    <input type="text" id="verification-question" class="form-control" placeholder="Question" maxlength="45" style="flex: 2;">
+                                    <input type="text" id="verification-answer" class="form-control" placeholder="Expected answer (optional)" maxlength="100" style="flex: 1;">
+                                    <button type="button" id="add-verification-question" class="glass-btn">Add</button>
+                                </div>
+                            </div>
+
+                            <div class="form-group">
+                                <label>
+                                    <input type="checkbox" id="verification-manual"> Require manual approval in the dashboard
+                                </label>
+                            </div>
+
+                            <div style="display: flex; gap: 10px;">
+                                <div class="form-group" style="flex: 1;">
+                                    <label for="verification-timeout">Timeout (minutes):</label>
+                                    <input type="number" id="verification-timeout" class="form-control" min="0" max="10080" value="0">
+                                    <small style="opacity: 0.7;">0 = no timeout</small>
+                                </div>
+                                <div class="form-group" style="flex: 1;">
+                                    <label for="verification-timeout-action">When Time Runs Out:</label>
+                                    <select id="verification-timeout-action" class="form-control">
+                                        <option value="flag">Flag in the queue</option>
+                                        <option value="kick">Kick the member</option>
+                                    </select>
+                                </div>
+                            </div>
+
+                            <div class="form-group">
+                                <label for="verification-channel">Verify Message Channel:</label>
+                                <div style="display: flex; gap: 10px;">
+                                    <select id="verification-channel" class="form-control" style="flex: 1;">
+                                        <option value="">Select a channel...</option>
+                                    </select>
+                                    <button type="button" id="post-verification-message" class="glass-btn">Post Verify Message</button>
+                                </div>
+                                <small id="verification-message-status" style="opacity: 0.7; display: block; margin-top: 4px;"></small>
+                            </div>
+
+                            <div class="form-group">
+                                <label>Verification Queue:</label>
+                                <div id="verification-queue-list" style="min-height: 60px; background: rgba(255,255,255,0.05); border-radius: 8px; padding: 10px;">
+                                    <div style="opacity: 0.6; text-align: center; padding: 20px;">Nobody is waiting for verification</div>
+                                </div>
+                                <button type="button" id="refresh-verification-queue" class="glass-btn-small" style="margin-top: 8px;">🔄 Refresh</button>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- Sticky Roles Section -->
+                    <div class="settings-section" id="sticky-roles-section" style="display: none;">
+                        <h3>📌 Sticky Roles</h3>
+                        <div class="form-group">
+                            <label>
+                                <input type="checkbox" id="sticky-roles-enabled"> Restore roles when members rejoin
+                            </label>
+                        </div>
+
+                        <div id="sticky-roles-config" style="display: none;">
+                            <div class="form-group">
+                                <label for="sticky-roles-select">Roles to Restore:</label>
+                                <select id="sticky-roles-select" class="form-control" multiple></select>
+                                <small style="opacity: 0.7;">Hold Ctrl/Cmd to select multiple roles. Saved roles are forgotten after the retention period.</small>
+                            </div>
+
+                            <div class="form-group">
+                                <label for="sticky-always-select">Always Restore (mute/quarantine roles):</label>
+                                <select id="sticky-always-select" class="form-control" multiple></select>
+                                <small style="opacity: 0.7;">Kept until the member returns, so leaving and rejoining can't shed them</small>
+                            </div>
+
+                            <div class="form-group">
+                                <label for="sticky-retention">Retention (days):</label>
+                                <input type="number" id="sticky-retention" class="form-control" min="1" max="365" value="30">
+                            </div>
+
+                            <div class="form-group">
+                                <label>Saved Roles:</label>
+                                <div id="sticky-snapshots-list" style="min-height: 60px; max-height: 300px; overflow-y: auto; background: rgba(255,255,255,0.05); border-radius: 8px; padding: 10px;">
+                                    <div style="opacity: 0.6; text-align: center; padding: 20px;">No saved roles from members who left</div>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- Level Roles Section -->
+                    <div class="settings-section" id="level-roles-section" style="display: none;">
+                        <h3>📈 Level Roles</h3>
+                        <div class="form-group">
+                            <label>
+                                <input type="checkbox" id="level-roles-enabled"> Enable Level Roles
+                            </label>
+                        </div>
+                        
+                        <div id="level-roles-config" style="display: none;">
+                            <div class="form-group">
+                                <label for="level-roles-mode">Mode:</label>
+                                <select id="level-roles-mode" class="form-control">
+                                    <option value="stack">Stack all earned roles</option>
+                                    <option value="highest">Keep highest only</option>
+                                    <option value="tiered">Keep highest per tier</option>
+                                </select>
+                                <small style="opacity: 0.7; display: block; margin-top: 4px;">
+                                    Roles follow each member's current level, so losing XP can take a role away. In tier mode, roles without a tier always stack.
+                                </small>
+                            </div>
+                            
+                            <div class="form-group">
+                                <label>Level Roles:</label>
+                                <div id="level-roles-list" style="min-height: 100px; background: rgba(255,255,255,0.05); border-radius: 8px; padding: 10px; margin-bottom: 10px;">
+                                    <div id="no-level-roles" style="opacity: 0.6; text-align: center; padding: 20px;">
+                                        No level roles configured
+                                    </div>
+                                </div>
+                                
+                                <button type="button" id="add-level-role-btn" class="glass-btn" style="width: 100%;">
+                                    + Add Level Role
+                                </button>
+                            </div>
+                            
+                            <div class="form-group">
+                                <div style="display: flex; gap: 8px; flex-wrap: wrap;">
+                                    <button type="button" id="preview-level-sync-btn" class="glass-btn">
+                                        🔍 Preview Changes
+                                    </button>
+                                    <button type="button" id="sync-level-roles-btn" class="glass-btn">
+                                        🔄 Sync All Level Roles
+                                    </button>
+                                    <button type="button" id="cancel-level-sync-btn" class="glass-btn" style="display: none;">
+                                        Cancel
+                                    </button>
+                                </div>
+                                <small style="opacity: 0.7; display: block; margin-top: 4px;">
+                                    Checks every member's roles against their level. Preview lists the changes without applying them.
+                                </small>
+                                
+                                <div id="level-sync-status" style="display: none; margin-top: 10px;">
+                                    <div style="height: 8px; background: rgba(255,255,255,0.1); border-radius: 4px; overflow: hidden;">
+                                        <div id="level-sync-progress" style="height: 100%; width: 0%; background: #7289da; transition: width 0.3s;"></div>
+                                    </div>
+                                    <div id="level-sync-summary" style="font-size: 0.9rem; opacity: 0.8; margin-top: 6px;"></div>
+                                    <div id="level-sync-report" style="max-height: 300px; overflow-y: auto; margin-top: 8px;"></div>
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- Reaction Roles Section -->
+                    <div class="settings-section" id="reaction-roles-section" style="display: none;">
+                        <h3>⭐ Reaction Roles</h3>
+                        
+                        <div class="form-group">
+                            <label>Existing Reaction Role Messages:</label>
+                            <div id="reaction-roles-list" style="min-height: 100px; background: rgba(255,255,255,0.05); border-radius: 8px; padding: 10px; margin-bottom: 10px;">
+                                <div id="no-reaction-roles" style="opacity: 0.6; text-align: center; padding: 20px;">
+                                    No reaction role messages
+                                </div>
+                            </div>
+                            
+                            <button type="button" id="create-reaction-role-btn" class="glass-btn" style="width: 100%;">
+                                + Create Reaction Role Message
+                            </button>
+                        </div>
+                    </div>
+
+                    <!-- Role Panels Section -->
+                    <div class="settings-section" id="role-panels-section" style="display: none;">
+                        <h3>🎛️ Role Panels</h3>
+                        <p style="opacity: 0.7; margin-bottom: 1rem;">
+                            Panels use buttons or a dropdown menu instead of reactions, can show a description for each role and confirm changes privately to the member.
+                        </p>
+
+                        <div class="form-group">
+                            <label>Existing Role Panels:</label>
+                            <div id="role-panels-list" style="min-height: 100px; background: rgba(255,255,255,0.05); border-radius: 8px; padding: 10px; margin-bottom: 10px;">
+                                <div style="opacity: 0.6; text-align: center; padding: 20px;">
+                                    No role panels
+                                </div>
+                            </div>
+
+                            <button type="button" id="create-role-panel-btn" class="glass-btn" style="width: 100%;">
+                                + Create Role Panel
+                            </button>
+                        </div>
+                    </div>
+
+                    <!-- Self-Assign Rules Section -->
+                    <div class="settings-section" id="self-assign-section" style="display: none;">
+                        <h3>🔐 Self-Assign Rules</h3>
+                        <p style="opacity: 0.7; margin-bottom: 1rem;">
+                            Rules apply to roles taken from reaction role messages and role panels. Roles in the same group can't be held together, so taking one swaps out the others.
+                        </p>
+
+                        <div id="self-assign-rules-list" style="min-height: 60px; background: rgba(255,255,255,0.05); border-radius: 8px; padding: 10px; margin-bottom: 10px;">
+                            <div style="opacity: 0.6; text-align: center; padding: 20px;">No self-assign rules</div>
+                        </div>
+
+                        <div class="form-group">
+                            <label for="sa-role">Role:</label>
+                            <select id="sa-role" class="form-control">
+                                <option value="">Select a role...</option>
+                            </select>
+                        </div>
+
+                        <div class="form-group">
+                            <label for="sa-required-roles">Requires All Of These Roles:</label>
+                            <select id="sa-required-roles" class="form-control" multiple></select>
+                            <small style="opacity: 0.7;">Hold Ctrl/Cmd to select multiple roles</small>
+                        </div>
+
+                        <div style="display: flex; gap: 10px;">
+                            <div class="form-group" style="flex: 1;">
+                                <label for="sa-required-level">Required Level:</label>
+                                <input type="number" id="sa-required-level" class="form-control" min="0" max="1000" value="0">
+                                <small style="opacity: 0.7;">From the leveling system, 0 = none</small>
+                            </div>
+                            <div class="form-group" style="flex: 1;">
+                                <label for="sa-group">Exclusivity Group:</label>
+                                <input type="text" id="sa-group" class="form-control" placeholder="e.g. pronouns" maxlength="50">
+                            </div>
+                            <div class="form-group" style="flex: 1;">
+                                <label for="sa-duration">Expires After (hours):</label>
+                                <input type="number" id="sa-duration" class="form-control" min="0" max="8760" step="0.5" value="0">
+                                <small style="opacity: 0.7;">0 = permanent</small>
+                            </div>
+                        </div>
+
+                        <div style="display: flex; gap: 10px; margin-bottom: 1rem;">
+                            <button type="button" id="add-sa-rule" class="glass-btn">Add Rule</button>
+                            <button type="button" id="save-sa-rules" class="btn-primary">Save Rules</button>
+                        </div>
+
+                        <div class="form-group">
+                            <label>Active Temporary Roles:</label>
+                            <div id="temporary-roles-list" style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 10px; max-height: 250px; overflow-y: auto;">
+                                <div style="opacity: 0.6; text-align: center; padding: 10px;">No temporary roles are active</div>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- Role Rules Section -->
+                    <div class="settings-section" id="role-rules-section" style="display: none;">
+                        <h3>🧩 Role Rules</h3>
+                        <p style="opacity: 0.7; margin-bottom: 1rem;">
+                            Give roles to members who meet every condition of a rule, using reputation, leveling activity, time in the server and genre picks. Rules are checked when reputation or levels change and on an hourly sweep.
+                        </p>
+
+                        <div id="role-rules-list" style="min-height: 60px; background: rgba(255,255,255,0.05); border-radius: 8px; padding: 10px; margin-bottom: 10px;">
+                            <div style="opacity: 0.6; text-align: center; padding: 20px;">No role rules</div>
+                        </div>
+
+                        <div class="form-group">
+                            <label for="rule-role">Role:</label>
+                            <select id="rule-role" class="form-control">
+                                <option value="">Select a role...</option>
+                            </select>
+                        </div>
+
+                        <div class="form-group">
+                            <label>Conditions (all must be met):</label>
+                            <div id="rule-conditions-list" style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 8px; margin-bottom: 8px;">
+                                <div style="opacity: 0.6; text-align: center; padding: 10px;">No conditions added yet</div>
+                            </div>
+                            <div style="display: flex; gap: 8px; flex-wrap: wrap;">
+                                <select id="rule-condition-type" class="form-control" style="flex: 2;">
+                                    <option value="reputation_total">Total reputation at least</option>
+                                    <option value="reputation_category">Category reputation at least</option>
+                                    <option value="voice_hours">Voice hours at least</option>
+                                    <option value="messages_30d">Messages in the last 30 days at least</option>
+                                    <option value="tenure_days">Days in the server at least</option>
+                                    <option value="genre">Picked genre</option>
+                                </select>
+                                <select id="rule-condition-category" class="form-control" style="flex: 1; display: none;">
+                                    <option value="helpfulness">Helpfulness</option>
+                                    <option value="creativity">Creativity</option>
+                                    <option value="reliability">Reliability</option>
+                                    <option value="community">Community</option>
+                                    <option value="legacy">Legacy</option>
+                                </select>
+                                <input type="number" id="rule-condition-min" class="form-control" style="flex: 1;" min="0" step="any" value="0">
+                                <input type="text" id="rule-condition-genre" class="form-control" style="flex: 1; display: none;" maxlength="100" placeholder="e.g. Techno">
+                                <button type="button" id="add-rule-condition" class="glass-btn">Add Condition</button>
+                            </div>
+                            <small style="opacity: 0.7; display: block; margin-top: 4px;">
+                                Message counts only include messages that earned XP.
+                            </small>
+                        </div>
+
+                        <div class="form-group">
+                            <label>
+                                <input type="checkbox" id="rule-remove-unmet" checked> Remove the role when the rule is no longer met
+                            </label>
+                        </div>
+
+                        <div style="display: flex; gap: 10px; margin-bottom: 0.5rem;">
+                            <button type="button" id="add-role-rule" class="glass-btn">Add Rule</button>
+                            <button type="button" id="save-role-rules" class="btn-primary">Save Rules</button>
+                            <button type="button" id="evaluate-role-rules" class="glass-btn">Check Everyone Now</button>
+                        </div>
+                        <small id="role-rules-last-sweep" style="opacity: 0.7;"></small>
+                    </div>
+
+                    <!-- Log Channel Section -->
+                    <div class="settings-section" id="log-channel-section" style="display: none;">
+                        <h3>📝 Logging</h3>
+                        <div class="form-group">
+                            <label>Log Channel:</label>
+                            <select id="log-channel-select" class="form-control">
+                                <option value="">No logging</option>
+                            </select>
+                        </div>
+                    </div>
+
+                    <!-- Save Button -->
+                    <div class="settings-section" id="save-section" style="display: none;">
+                        <button id="save-autorole-settings" class="btn-primary">
+                            <span class="btn-text">Save Settings</span>
+                            <span class="btn-loader" style="display: none;">Saving...</span>
+                        </button>
+                    </div>
+
+                    <div class="settings-section" id="data-management-section" style="display: none; margin-top: 1rem;">
+                        <h3>💾 Data Management</h3>
+                        <div style="display: flex; gap: 10px;">
+                            <button id="download-autorole-settings" class="btn-secondary">
+                                <span class="btn-text">Download Settings</span>
+                            </button>
+                        </div>
+                        <small style="opacity: 0.7; display: block; margin-top: 4px;">
+                            Download all settings for this plugin as a JSON backup file.
+                        </small>
+                    </div>
+                </div>
+
+                <!-- Level Role Modal -->
+                <div id="level-role-modal" style="display: none; position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.7); z-index: 1000; justify-content: center; align-items: center;">
+                    <div style="background: linear-gradient(135deg, #1a1a2e 0%, #16213e 50%, #0f3460 100%); border-radius: 15px; padding: 2rem; max-width: 500px; width: 90%; border: 1px solid rgba(255,255,255,0.2);">
+                        <h3 id="level-role-modal-title" style="margin-bottom: 1rem; color: white;">Add Level Role</h3>
+                        
+                        <div class="form-group">
+                            <label for="level-role-level">Level:</label>
+                            <input type="number" id="level-role-level" class="form-control" min="1" max="999" placeholder="Level required">
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="level-role-role">Role:</label>
+                            <select id="level-role-role" class="form-control">
+                                <option value="">Select a role...</option>
+                            </select>
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="level-role-tier">Tier (optional):</label>
+                            <input type="text" id="level-role-tier" class="form-control" maxlength="50" placeholder="e.g. Rank">
+                            <small style="opacity: 0.7; display: block; margin-top: 4px;">
+                                In "Keep highest per tier" mode, members keep only the highest role they've earned in each tier
+                            </small>
+                        </div>
+                        
+                        <div style="display: flex; gap: 10px; margin-top: 1.5rem;">
+                            <button type="button" id="save-level-role" class="btn-primary">Add Role</button>
+                            <button type="button" id="cancel-level-role" class="glass-btn">Cancel</button>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Reaction Role Modal -->
+                <div id="reaction-role-modal" style="display: none; position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.7); z-index: 1000; justify-content: center; align-items: center; overflow-y: auto;">
+                    <div style="background: linear-gradient(135deg, #1a1a2e 0%, #16213e 50%, #0f3460 100%); border-radius: 15px; padding: 2rem; max-width: 700px; width: 90%; max-height: 90vh; overflow-y: auto; border: 1px solid rgba(255,255,255,0.2); margin: 20px;">
+                        <h3 id="reaction-role-modal-title" style="margin-bottom: 1rem; color: white;">Create Reaction Role Message</h3>
+                        
+                        <div class="form-group">
+                            <label for="rr-channel">Channel:</label>
+                            <select id="rr-channel" class="form-control">
+                                <option value="">Select a channel...</option>
+                            </select>
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="rr-title">Title:</label>
+                            <input type="text" id="rr-title" class="form-control" placeholder="Role Selection" maxlength="256">
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="rr-description">Description:</label>
+                            <textarea id="rr-description" class="form-control" rows="3" placeholder="React to get roles!" maxlength="2048"></textarea>
+                        </div>
+                        
+                        <div class="form-group">
+                            <label for="rr-max-roles">Maximum Roles (0 = unlimited):</label>
+                            <input type="number" id="rr-max-roles" class="form-control" min="0" max="20" value="0">
+                        </div>
+                        
+                        <div class="form-group">
+                            <label>
+                                <input type="checkbox" id="rr-remove-on-unreact" checked> Remove Role When Unreacted
+                            </label>
+                        </div>
+                        
+                        <div class="form-group">
+                            <label>Roles:</label>
+                            <div id="rr-roles-list" style="min-height: 100px; background: rgba(255,255,255,0.05); border-radius: 8px; padding: 10px; margin-bottom: 10px;">
+                                <div id="no-rr-roles" style="opacity: 0.6; text-align: center; padding: 20px;">
+                                    No roles added yet
+                                </div>
+                            </div>
+                            
+                            <div style="display: flex; gap: 10px; margin-bottom: 10px;">
+                                <input type="text" id="rr-emoji" class="form-control" placeholder="Emoji (e.g., 🎮)" maxlength="2" style="max-width: 80px;">
+                                <select id="rr-role" class="form-control" style="flex: 1;">
+                                    <option value="">Select role...</option>
+                                </select>
+                                <button type="button" id="add-rr-role" class="glass-btn">Add</button>
+                            </div>
+                            
+                            <div class="form-group">
+                                <label for="rr-role-description">Role Description (optional):</label>
+                                <input type="text" id="rr-role-description" class="form-control" placeholder="Additional description for this role" maxlength="100">
+                            </div>
+                        </div>
+                        
+                        <div style="display: flex; gap: 10px; margin-top: 1.5rem;">
+                            <button type="button" id="submit-rr-message" class="btn-primary">Create Message</button>
+                            <button type="button" id="cancel-rr-message" class="glass-btn">Cancel</button>
+                        </div>
+                    </div>
+                </div>
+
+                <!-- Role Panel Modal -->
+                <div id="role-panel-modal" style="display: none; position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.7); z-index: 1000; justify-content: center; align-items: center; overflow-y: auto;">
+                    <div style="background: linear-gradient(135deg, #1a1a2e 0%, #16213e 50%, #0f3460 100%); border-radius: 15px; padding: 2rem; max-width: 700px; width: 90%; max-height: 90vh; overflow-y: auto; border: 1px solid rgba(255,255,255,0.2); margin: 20px;">
+                        <h3 id="role-panel-modal-title" style="margin-bottom: 1rem; color: white;">Create Role Panel</h3>
+
+                        <div class="form-group">
+                            <label for="rp-channel">Channel:</label>
+                            <select id="rp-channel" class="form-control">
+                                <option value="">Select a channel...</option>
+                            </select>
+                        </div>
+
+                        <div class="form-group">
+                            <label for="rp-type">Panel Type:</label>
+                            <select id="rp-type" class="form-control">
+                                <option value="buttons">Buttons (click to toggle a role)</option>
+                                <option value="select">Dropdown menu (pick from a list)</option>
                             </select>
                         </div>
+
+                        <div class="form-group">
+                            <label for="rp-title">Title:</label>
+                            <input type="text" id="rp-title" class="form-control" placeholder="Role Selection" maxlength="256">
+                        </div>
+
+                        <div class="form-group">
+                            <label for="rp-description">Description:</label>
+                            <textarea id="rp-description" class="form-control" rows="3" placeholder="Click a button to add or remove a role." maxlength="4000"></textarea>
+                        </div>
+
+                        <div class="form-group" id="rp-placeholder-group" style="display: none;">
+                            <label for="rp-placeholder">Menu Placeholder:</label>
+                            <input type="text" id="rp-placeholder" class="form-control" placeholder="Choose your roles" maxlength="150">
+                        </div>
+
+                        <div style="display: flex; gap: 10px;">
+                            <div class="form-group" style="flex: 1;">
+                                <label for="rp-min-roles">Minimum Roles:</label>
+                                <input type="number" id="rp-min-roles" class="form-control" min="0" max="25" value="0">
+                            </div>
+                            <div class="form-group" style="flex: 1;">
+                                <label for="rp-max-roles">Maximum Roles (0 = unlimited):</label>
+                                <input type="number" id="rp-max-roles" class="form-control" min="0" max="25" value="0">
+                            </div>
+                        </div>
+
+                        <div class="form-group">
+                            <label>Roles (up to 25):</label>
+                            <div id="rp-options-list" style="min-height: 100px; background: rgba(255,255,255,0.05); border-radius: 8px; padding: 10px; margin-bottom: 10px;">
+                                <div style="opacity: 0.6; text-align: center; padding: 20px;">
+                                    No roles added yet
+                                </div>
+                            </div>
+
+                            <div style="display: flex; gap: 10px; margin-bottom: 10px;">
+                                <input type="text" id="rp-option-emoji" class="form-control" placeholder="Emoji" style="max-width: 80px;">
+                                <select id="rp-option-role" class="form-control" style="flex: 1;">
+                                    <option value="">Select role...</option>
+                                </select>
+                                <select id="rp-option-style" class="form-control" style="max-width: 130px;">
+                                    <option value="secondary">Grey</option>
+                                    <option value="primary">Blurple</option>
+                                    <option value="success">Green</option>
+                                    <option value="danger">Red</option>
+                                </select>
+                            </div>
+                            <div style="display: flex; gap: 10px; margin-bottom: 10px;">
+                                <input type="text" id="rp-option-label" class="form-control" placeholder="Label (defaults to the role name)" maxlength="80" style="flex: 1;">
+                                <input type="text" id="rp-option-description" class="form-control" placeholder="Description (optional)" maxlength="100" style="flex: 1;">
+                                <button type="button" id="add-rp-option" class="glass-btn">Add</button>
+                            </div>
+                        </div>
+
+                        <div style="display: flex; gap: 10px; margin-top: 1.5rem;">
+                            <button type="button" id="submit-role-panel" class="btn-primary">Post Panel</button>
+                            <button type="button" id="cancel-role-panel" class="glass-btn">Cancel</button>
+                        </div>
                     </div>
+                </div>
+            `,
+            script: `
+                // Auto-Role Plugin Frontend Logic
+                (function() {
+                    console.log('Loading auto-role plugin...');
+                    
+                    let currentGuildId = null;
+                    let serverRoles = [];
+                    let levelRoles = [];
+                    let reactionRoleRoles = [];
+                    let editingLevelRoleIndex = null;
+                    let editingReactionRoleId = null;
+                    let rolePanelOptions = [];
+                    let editingRolePanelId = null;
+                    let levelSyncPollTimer = null;
+                    let selfAssignRules = [];
+                    let editingSelfAssignIndex = null;
+                    let roleRules = [];
+                    let ruleConditions = [];
+                    let editingRoleRuleIndex = null;
+                    let verificationQuestions = [];
+                    let channelNames = {};
+
+                    // Initialize the plugin
+                    async function initializeAutoRolePlugin() {
+                        await loadAutoRoleServers();
+                        setupEventListeners();
+                    }
+
+                    function setupEventListeners() {
+                        const serverSelect = document.getElementById('autorole-server-select');
+                        if (serverSelect) {
+                            serverSelect.addEventListener('change', handleServerChange);
+                        }
+
+                        const joinRolesEnabled = document.getElementById('join-roles-enabled');
+                        if (joinRolesEnabled) {
+                            joinRolesEnabled.addEventListener('change', toggleJoinRolesConfig);
+                        }
+
+                        const stickyRolesEnabled = document.getElementById('sticky-roles-enabled');
+                        if (stickyRolesEnabled) {
+                            stickyRolesEnabled.addEventListener('change', toggleStickyRolesConfig);
+                        }
+
+                        const verificationEnabled = document.getElementById('verification-enabled');
+                        if (verificationEnabled) {
+                            verificationEnabled.addEventListener('change', toggleVerificationConfig);
+                        }
+
+                        const addVerificationQuestionBtn = document.getElementById('add-verification-question');
+                        if (addVerificationQuestionBtn) {
+                            addVerificationQuestionBtn.addEventListener('click', addVerificationQuestion);
+                        }
+
+                        const postVerificationBtn = document.getElementById('post-verification-message');
+                        if (postVerificationBtn) {
+                            postVerificationBtn.addEventListener('click', postVerificationMessage);
+                        }
+
+                        const refreshQueueBtn = document.getElementById('refresh-verification-queue');
+                        if (refreshQueueBtn) {
+                            refreshQueueBtn.addEventListener('click', loadVerificationQueue);
+                        }
+
+                        const levelRolesEnabled = document.getElementById('level-roles-enabled');
+                        if (levelRolesEnabled) {
+                            levelRolesEnabled.addEventListener('change', toggleLevelRolesConfig);
+                        }
+
+                        const addLevelRoleBtn = document.getElementById('add-level-role-btn');
+                        if (addLevelRoleBtn) {
+                            addLevelRoleBtn.addEventListener('click', () => openLevelRoleModal());
+                        }
+
+                        const previewLevelSyncBtn = document.getElementById('preview-level-sync-btn');
+                        if (previewLevelSyncBtn) {
+                            previewLevelSyncBtn.addEventListener('click', () => startLevelRoleSync(true));
+                        }
+                        
+                        const cancelLevelSyncBtn = document.getElementById('cancel-level-sync-btn');
+                        if (cancelLevelSyncBtn) {
+                            cancelLevelSyncBtn.addEventListener('click', cancelLevelRoleSync);
+                        }
+                        
+                        const syncLevelRolesBtn = document.getElementById('sync-level-roles-btn');
+                        if (syncLevelRolesBtn) {
+                            syncLevelRolesBtn.addEventListener('click', () => startLevelRoleSync(false));
+                        }
+
+                        const createReactionRoleBtn = document.getElementById('create-reaction-role-btn');
+                        if (createReactionRoleBtn) {
+                            createReactionRoleBtn.addEventListener('click', () => openReactionRoleModal());
+                        }
+
+                        const createRolePanelBtn = document.getElementById('create-role-panel-btn');
+                        if (createRolePanelBtn) {
+                            createRolePanelBtn.addEventListener('click', () => openRolePanelModal());
+                        }
+
+                        const addSARule = document.getElementById('add-sa-rule');
+                        if (addSARule) {
+                            addSARule.addEventListener('click', addSelfAssignRule);
+                        }
+
+                        const saveSARules = document.getElementById('save-sa-rules');
+                        if (saveSARules) {
+                            saveSARules.addEventListener('click', saveSelfAssignRules);
+                        }
+
+                        const ruleConditionType = document.getElementById('rule-condition-type');
+                        if (ruleConditionType) {
+                            ruleConditionType.addEventListener('change', updateRuleConditionFields);
+                        }
+
+                        const addRuleConditionBtn = document.getElementById('add-rule-condition');
+                        if (addRuleConditionBtn) {
+                            addRuleConditionBtn.addEventListener('click', addRuleCondition);
+                        }
+
+                        const addRoleRuleBtn = document.getElementById('add-role-rule');
+                        if (addRoleRuleBtn) {
+                            addRoleRuleBtn.addEventListener('click', addRoleRule);
+                        }
+
+                        const saveRoleRulesBtn = document.getElementById('save-role-rules');
+                        if (saveRoleRulesBtn) {
+                            saveRoleRulesBtn.addEventListener('click', saveRoleRules);
+                        }
+
+                        const evaluateRoleRulesBtn = document.getElementById('evaluate-role-rules');
+                        if (evaluateRoleRulesBtn) {
+                            evaluateRoleRulesBtn.addEventListener('click', evaluateRoleRules);
+                        }
+
+                        const saveBtn = document.getElementById('save-autorole-settings');
+                        if (saveBtn) {
+                            saveBtn.addEventListener('click', saveAutoRoleSettings);
+                        }
+
+                        const downloadBtn = document.getElementById('download-autorole-settings');
+                        if (downloadBtn) {
+                            downloadBtn.addEventListener('click', downloadAutoRoleSettings);
+                        }
+
+                        // Modal event listeners
+                        setupModalEventListeners();
+                    }
+
+                    function setupModalEventListeners() {
+                        const saveLevelRole = document.getElementById('save-level-role');
+                        if (saveLevelRole) {
+                            saveLevelRole.addEventListener('click', saveLevelRole_handler);
+                        }
+
+                        const cancelLevelRole = document.getElementById('cancel-level-role');
+                        if (cancelLevelRole) {
+                            cancelLevelRole.addEventListener('click', closeLevelRoleModal);
+                        }
+
+                        const addRRRole = document.getElementById('add-rr-role');
+                        if (addRRRole) {
+                            addRRRole.addEventListener('click', addReactionRoleRole);
+                        }
+                        
+                        const submitRRMessage = document.getElementById('submit-rr-message');
+                        if (submitRRMessage) {
+                            submitRRMessage.addEventListener('click', submitReactionRoleMessage);
+                        }
+
+                        const cancelRRMessage = document.getElementById('cancel-rr-message');
+                        if (cancelRRMessage) {
+                            cancelRRMessage.addEventListener('click', closeReactionRoleModal);
+                        }
+
+                        const levelRoleModal = document.getElementById('level-role-modal');
+                        if (levelRoleModal) {
+                            levelRoleModal.addEventListener('click', function(e) {
+                                if (e.target === levelRoleModal) closeLevelRoleModal();
+                            });
+                        }
+
+                        const reactionRoleModal = document.getElementById('reaction-role-modal');
+                        if (reactionRoleModal) {
+                            reactionRoleModal.addEventListener('click', function(e) {
+                                if (e.target === reactionRoleModal) closeReactionRoleModal();
+                            });
+                        }
+
+                        const rolePanelType = document.getElementById('rp-type');
+                        if (rolePanelType) {
+                            rolePanelType.addEventListener('change', updateRolePanelTypeFields);
+                        }
+
+                        const addRPOption = document.getElementById('add-rp-option');
+                        if (addRPOption) {
+                            addRPOption.addEventListener('click', addRolePanelOption);
+                        }
+
+                        const submitRolePanel = document.getElementById('submit-role-panel');
+                        if (submitRolePanel) {
+                            submitRolePanel.addEventListener('click', submitRolePanel_handler);
+                        }
+
+                        const cancelRolePanel = document.getElementById('cancel-role-panel');
+                        if (cancelRolePanel) {
+                            cancelRolePanel.addEventListener('click', closeRolePanelModal);
+                        }
+
+                        const rolePanelModal = document.getElementById('role-panel-modal');
+                        if (rolePanelModal) {
+                            rolePanelModal.addEventListener('click', function(e) {
+                                if (e.target === rolePanelModal) closeRolePanelModal();
+                            });
+                        }
+                    }
+
+                    async function loadAutoRoleServers() {
+                        try {
+                            const response = await fetch('/api/servers');
+                            const servers = await response.json();
+                            
+                            const select = document.getElementById('autorole-server-select');
+                            if (select) {
+                                select.innerHTML = '<option value="">Select a server...</option>';
+                                servers.forEach(server => {
+                                    const option = document.createElement('option');
+                                    option.value = server.id;
+                                    option.textContent = server.name;
+                                    select.appendChild(option);
+                                });
+                            }
+                        } catch (error) {
+                            console.error('Error loading servers:', error);
+                            if (window.showNotification) {
+                                window.showNotification('Error loading servers', 'error');
+                            }
+                        }
+                    }
+
+                    async function handleServerChange() {
+                        const serverSelect = document.getElementById('autorole-server-select');
+                        currentGuildId = serverSelect ? serverSelect.value : null;
+                        
+                        if (currentGuildId) {
+                            // Settings pick options in the role and channel selects, so fill those first
+                            await Promise.all([loadServerRoles(), loadChannels()]);
+                            await Promise.all([
+                                loadAutoRoleSettings(),
+                                loadLevelRoles(),
+                                loadReactionRoles(),
+                                loadRolePanels(),
+                                loadSelfAssignRules(),
+                                loadRoleRules(),
+                                loadVerificationQueue(),
+                                loadStickySnapshots(),
+                                loadLevelRoleSync()
+                            ]);
+                            showSections();
+                        } else {
+                            hideSections();
+                        }
+                    }
+
+                    function showSections() {
+                        const sections = [
+                            'join-roles-section',
+                            'verification-section',
+                            'sticky-roles-section',
+                            'level-roles-section', 
+                            'reaction-roles-section',
+                            'role-panels-section',
+                            'self-assign-section',
+                            'role-rules-section',
+                            'log-channel-section',
+                            'save-section',
+                            'data-management-section'
+                        ];
+                        
+                        sections.forEach(sectionId => {
+                            const section = document.getElementById(sectionId);
+                            if (section) section.style.display = 'block';
+                        });
+                    }
+
+                    function hideSections() {
+                        const sections = [
+                            'join-roles-section',
+                            'verification-section',
+                            'sticky-roles-section',
+                            'level-roles-section',
+                            'reaction-roles-section', 
+                            'role-panels-section',
+                            'self-assign-section',
+                            'role-rules-section',
+                            'log-channel-section',
+                            'save-section',
+                            'data-management-section'
+                        ];
+                        
+                        sections.forEach(sectionId => {
+                            const section = document.getElementById(sectionId);
+                            if (section) section.style.display = 'none';
+                        });
+                    }
+
+                    async function loadServerRoles() {
+                        try {
+                            const response = await fetch(\`/api/plugins/autorole/roles/\${currentGuildId}\`);
+                            serverRoles = await response.json();
+                            
+                            populateRoleSelects();
+                        } catch (error) {
+                            console.error('Error loading server roles:', error);
+                        }
+                    }
+
+                    function populateRoleSelects() {
+                        const selects = [
+                            'join-roles-select',
+                            'level-role-role',
+                            'rr-role',
+                            'rp-option-role',
+                            'sa-role',
+                            'sa-required-roles',
+                            'rule-role',
+                            'verification-pending-role',
+                            'sticky-roles-select',
+                            'sticky-always-select'
+                        ];
+                        
+                        selects.forEach(selectId => {
+                            const select = document.getElementById(selectId);
+                            if (select) {
+                                const isMultiple = select.hasAttribute('multiple');
+                                select.innerHTML = isMultiple ? '' : '<option value="">Select a role...</option>';
+                                
+                                serverRoles.forEach(role => {
+                                    const option = document.createElement('option');
+                                    option.value = role.id;
+                                    option.textContent = \`\${role.name} (\${role.memberCount} members)\`;
+                                    option.style.color = role.color || '#ffffff';
+                                    select.appendChild(option);
+                                });
+                            }
+                        });
+                    }
+
+                    async function loadChannels() {
+                        try {
+                            const response = await fetch(\`/api/channels/\${currentGuildId}\`);
+                            const channels = await response.json();
+                            
+                            const selects = ['log-channel-select', 'rr-channel', 'rp-channel', 'verification-channel'];
+                            channelNames = Object.fromEntries(channels.map(channel => [channel.id, channel.name]));
+                            
+                            selects.forEach(selectId => {
+                                const select = document.getElementById(selectId);
+                                if (select) {
+                                    const hasNoOption = selectId === 'log-channel-select';
+                                    select.innerHTML = hasNoOption ? '<option value="">No logging</option>' : '<option value="">Select a channel...</option>';
+                                    
+                                    channels.forEach(channel => {
+                                        const option = document.createElement('option');
+                                        option.value = channel.id;
+                                        option.textContent = \`# \${channel.name}\`;
+                                        select.appendChild(option);
+                                    });
+                                }
+                            });
+                        } catch (error) {
+                            console.error('Error loading channels:', error);
+                        }
+                    }
 
-                    <!-- Join Roles Section -->
-                    <div class="settings-section" id="join-roles-section" style="display: none;">
-                        <h3>👋 Join Roles</h3>
-                        <div class="form-group">
-                            <label>
-                                <input type="checkbox" id="join-roles-enabled"> Enable Join Roles
-                            </label>
-                        </div>
-                        
-                        <div id="join-roles-config" style="display: none;">
-                            <div class="form-group">
-                                <label>Roles to Assign:</label>
-                                <select id="join-roles-select" class="form-control" multiple>
-                                    <option value="">Loading roles...</option>
-                                </select>
-                                <small style="opacity: 0.7;">Hold Ctrl/Cmd to select multiple roles</small>
-                            </div>
+                    async function loadAutoRoleSettings() {
+                        try {
+                            const response = await fetch(\`/api/plugins/autorole/settings/\${currentGuildId}\`);
+                            const settings = await response.json();
                             
-                            <div class="form-group">
-                                <label>Delay (minutes):</label>
-                                <input type="number" id="join-roles-delay" class="form-control" min="0" max="1440" value="0">
-                                <small style="opacity: 0.7;">0 = assign immediately</small>
-                            </div>
+                            const joinRolesEnabled = document.getElementById('join-roles-enabled');
+                            if (joinRolesEnabled) {
+                                joinRolesEnabled.checked = settings.joinRoles?.enabled || false;
+                                toggleJoinRolesConfig();
+                            }
                             
-                            <div class="form-group">
-                                <label>
-                                    <input type="checkbox" id="join-roles-exclude-bots" checked> Exclude Bots
-                                </label>
-                            </div>
+                            const joinRolesSelect = document.getElementById('join-roles-select');
+                            if (joinRolesSelect && settings.joinRoles?.roles) {
+                                Array.from(joinRolesSelect.options).forEach(option => {
+                                    option.selected = settings.joinRoles.roles.includes(option.value);
+                                });
+                            }
                             
-                            <div class="form-group">
-                                <label>Minimum Account Age (days):</label>
-                                <input type="number" id="join-roles-min-age" class="form-control" min="0" max="365" value="0">
-                                <small style="opacity: 0.7;">0 = no age requirement</small>
-                            </div>
-                        </div>
-                    </div>
+                            const joinRolesDelay = document.getElementById('join-roles-delay');
+                            if (joinRolesDelay) {
+                                joinRolesDelay.value = settings.joinRoles?.delay || 0;
+                            }
+                            
+                            const joinRolesExcludeBots = document.getElementById('join-roles-exclude-bots');
+                            if (joinRolesExcludeBots) {
+                                joinRolesExcludeBots.checked = settings.joinRoles?.excludeBots !== false;
+                            }
+                            
+                            const joinRolesMinAge = document.getElementById('join-roles-min-age');
+                            if (joinRolesMinAge) {
+                                joinRolesMinAge.value = settings.joinRoles?.minAccountAge || 0;
+                            }
+                            
+                            const verification = settings.verification || {};
+                            document.getElementById('verification-enabled').checked = verification.enabled || false;
+                            document.getElementById('verification-pending-role').value = verification.pendingRoleId || '';
+                            document.getElementById('verification-rules').value = verification.rulesText || '';
+                            document.getElementById('verification-manual').checked = verification.manualApproval || false;
+                            document.getElementById('verification-timeout').value = verification.timeoutMinutes || 0;
+                            document.getElementById('verification-timeout-action').value = verification.timeoutAction || 'flag';
+                            verificationQuestions = (verification.questions || []).map(question => ({ ...question }));
+                            displayVerificationQuestions();
+                            toggleVerificationConfig();
+                            
+                            const sticky = settings.stickyRoles || {};
+                            document.getElementById('sticky-roles-enabled').checked = sticky.enabled || false;
+                            Array.from(document.getElementById('sticky-roles-select').options).forEach(option => {
+                                option.selected = (sticky.roles || []).includes(option.value);
+                            });
+                            Array.from(document.getElementById('sticky-always-select').options).forEach(option => {
+                                option.selected = (sticky.alwaysRestore || []).includes(option.value);
+                            });
+                            document.getElementById('sticky-retention').value = sticky.retentionDays || 30;
+                            toggleStickyRolesConfig();
+                            
+                            const logChannelSelect = document.getElementById('log-channel-select');
+                            if (logChannelSelect) {
+                                logChannelSelect.value = settings.logChannelId || '';
+                            }
+                            
+                        } catch (error) {
+                            console.error('Error loading auto-role settings:', error);
+                        }
+                    }
 
-                    <!-- Level Roles Section -->
-                    <div class="settings-section" id="level-roles-section" style="display: none;">
-                        <h3>📈 Level Roles</h3>
-                        <div class="form-group">
-                            <label>
-                                <input type="checkbox" id="level-roles-enabled"> Enable Level Roles
-                            </label>
-                        </div>
+                    async function loadLevelRoles() {
+                        try {
+                            const response = await fetch(\`/api/plugins/autorole/levelroles/\${currentGuildId}\`);
+                            const settings = await response.json();
+                            
+                            const levelRolesEnabled = document.getElementById('level-roles-enabled');
+                            if (levelRolesEnabled) {
+                                levelRolesEnabled.checked = settings.enabled || false;
+                                toggleLevelRolesConfig();
+                            }
+                            
+                            document.getElementById('level-roles-mode').value = settings.mode || 'stack';
+                            levelRoles = settings.roles || [];
+                            displayLevelRoles();
+                            
+                        } catch (error) {
+                            console.error('Error loading level roles:', error);
+                        }
+                    }
+
+                    function displayLevelRoles() {
+                        const list = document.getElementById('level-roles-list');
+                        if (!list) return;
                         
-                        <div id="level-roles-config" style="display: none;">
-                            <div class="form-group">
-                                <label>Level Roles:</label>
-                                <div id="level-roles-list" style="min-height: 100px; background: rgba(255,255,255,0.05); border-radius: 8px; padding: 10px; margin-bottom: 10px;">
-                                    <div id="no-level-roles" style="opacity: 0.6; text-align: center; padding: 20px;">
-                                        No level roles configured
+                        if (levelRoles.length === 0) {
+                            list.innerHTML = '<div style="opacity: 0.6; text-align: center; padding: 20px;">No level roles configured</div>';
+                            return;
+                        }
+                        
+                        list.innerHTML = '';
+                        
+                        levelRoles
+                            .sort((a, b) => a.level - b.level)
+                            .forEach((levelRole, index) => {
+                                const roleElement = document.createElement('div');
+                                roleElement.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border-radius: 8px; border-left: 4px solid #7289da;';
+                                
+                                const info = document.createElement('div');
+                                const title = document.createElement('div');
+                                title.style.cssText = 'font-weight: 600; margin-bottom: 4px;';
+                                title.textContent = 'Level ' + levelRole.level;
+                                const name = document.createElement('div');
+                                name.style.cssText = 'font-size: 0.9rem; opacity: 0.8;';
+                                name.textContent = getRoleName(levelRole.roleId);
+                                const tier = document.createElement('div');
+                                tier.style.cssText = 'font-size: 0.8rem; opacity: 0.6; margin-top: 2px;';
+                                tier.textContent = levelRole.tier ? 'Tier: ' + levelRole.tier : 'No tier';
+                                info.append(title, name, tier);
+                                
+                                const actions = document.createElement('div');
+                                actions.innerHTML = \`
+                                    <button type="button" onclick="window.editLevelRole(\${index})" class="glass-btn-small" style="margin-right: 8px;">Edit</button>
+                                    <button type="button" onclick="window.removeLevelRole(\${index})" class="glass-btn-small">Remove</button>
+                                \`;
+                                
+                                roleElement.append(info, actions);
+                                list.appendChild(roleElement);
+                            });
+                    }
+
+                    window.editLevelRole = function(index) {
+                        openLevelRoleModal(index);
+                    };
+
+                    window.removeLevelRole = function(index) {
+                        if (confirm('Remove this level role?')) {
+                            levelRoles.splice(index, 1);
+                            displayLevelRoles();
+                        }
+                    };
+
+                    async function loadReactionRoles() {
+                        try {
+                            const response = await fetch(\`/api/plugins/autorole/reactionroles/\${currentGuildId}\`);
+                            const reactionRoles = await response.json();
+                            
+                            displayReactionRoles(reactionRoles);
+                            
+                        } catch (error) {
+                            console.error('Error loading reaction roles:', error);
+                        }
+                    }
+
+                    function displayReactionRoles(reactionRoles) {
+                        const list = document.getElementById('reaction-roles-list');
+                        if (!list) return;
+                        
+                        const messages = Object.values(reactionRoles);
+                        
+                        if (messages.length === 0) {
+                            list.innerHTML = '<div style="opacity: 0.6; text-align: center; padding: 20px;">No reaction role messages</div>';
+                            return;
+                        }
+                        
+                        list.innerHTML = '';
+                        
+                        messages.forEach(message => {
+                            const messageElement = document.createElement('div');
+                            messageElement.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border-radius: 8px; border-left: 4px solid #7289da;';
+                            
+                            const roleCount = Object.keys(message.roles).length;
+                            const createdAt = new Date(message.createdAt).toLocaleDateString();
+                            
+                            messageElement.innerHTML = \`
+                                <div>
+                                    <div style="font-weight: 600; margin-bottom: 4px;">\${message.title || 'Reaction Role Message'}</div>
+                                    <div style="font-size: 0.9rem; opacity: 0.8;">\${roleCount} role(s) • Created \${createdAt}</div>
+                                    <div style="font-size: 0.8rem; opacity: 0.6; margin-top: 2px;">
+                                        Max roles: \${message.maxRoles || 'Unlimited'} • Remove on unreact: \${message.removeOnUnreact ? 'Yes' : 'No'}
                                     </div>
                                 </div>
-                                
-                                <button type="button" id="add-level-role-btn" class="glass-btn" style="width: 100%;">
-                                    + Add Level Role
-                                </button>
-                            </div>
+                                <div>
+                                    <button type="button" onclick="window.editReactionRole('\${message.messageId}')" class="glass-btn-small" style="margin-right: 8px;">Edit</button>
+                                    <button type="button" onclick="window.deleteReactionRole('\${message.messageId}')" class="glass-btn-small">Delete</button>
+                                </div>
+                            \`;
+                            list.appendChild(messageElement);
+                        });
+                    }
+                    
+                    window.editReactionRole = function(messageId) {
+                        openReactionRoleModal(messageId);
+                    };
+
+                    window.deleteReactionRole = async function(messageId) {
+                        if (!confirm('Delete this reaction role message? This cannot be undone.')) return;
+                        
+                        try {
+                            const response = await fetch(\`/api/plugins/autorole/reactionroles/\${currentGuildId}/\${messageId}\`, {
+                                method: 'DELETE'
+                            });
                             
-                            <div class="form-group">
-                                <button type="button" id="sync-level-roles-btn" class="glass-btn">
-                                    🔄 Sync All Level Roles
-                                </button>
-                                <small style="opacity: 0.7; display: block; margin-top: 4px;">
-                                    Apply level roles to all existing members
-                                </small>
-                            </div>
-                        </div>
-                    </div>
+                            if (response.ok) {
+                                if (window.showNotification) {
+                                    window.showNotification('Reaction role message deleted', 'success');
+                                }
+                                await loadReactionRoles();
+                            } else {
+                                throw new Error('Failed to delete message');
+                            }
+                        } catch (error) {
+                            console.error('Error deleting reaction role:', error);
+                            if (window.showNotification) {
+                                window.showNotification('Error deleting reaction role message', 'error');
+                            }
+                        }
+                    };
+
+                    function toggleJoinRolesConfig() {
+                        const enabled = document.getElementById('join-roles-enabled');
+                        const config = document.getElementById('join-roles-config');
+                        
+                        if (enabled && config) {
+                            config.style.display = enabled.checked ? 'block' : 'none';
+                        }
+                    }
 
-                    <!-- Reaction Roles Section -->
-                    <div class="settings-section" id="reaction-roles-section" style="display: none;">
-                        <h3>⭐ Reaction Roles</h3>
+                    function toggleLevelRolesConfig() {
+                        const enabled = document.getElementById('level-roles-enabled');
+                        const config = document.getElementById('level-roles-config');
                         
-                        <div class="form-group">
-                            <label>Existing Reaction Role Messages:</label>
-                            <div id="reaction-roles-list" style="min-height: 100px; background: rgba(255,255,255,0.05); border-radius: 8px; padding: 10px; margin-bottom: 10px;">
-                                <div id="no-reaction-roles" style="opacity: 0.6; text-align: center; padding: 20px;">
-                                    No reaction role messages
-                                </div>
-                            </div>
-                            
-                            <button type="button" id="create-reaction-role-btn" class="glass-btn" style="width: 100%;">
-                                + Create Reaction Role Message
-                            </button>
-                        </div>
-                    </div>
+                        if (enabled && config) {
+                            config.style.display = enabled.checked ? 'block' : 'none';
+                        }
+                    }
 
-                    <!-- Log Channel Section -->
-                    <div class="settings-section" id="log-channel-section" style="display: none;">
-                        <h3>📝 Logging</h3>
-                        <div class="form-group">
-                            <label>Log Channel:</label>
-                            <select id="log-channel-select" class="form-control">
-                                <option value="">No logging</option>
-                            </select>
-                        </div>
-                    </div>
+                    function openLevelRoleModal(index = null) {
+                        const modal = document.getElementById('level-role-modal');
+                        const title = document.getElementById('level-role-modal-title');
+                        const saveBtn = document.getElementById('save-level-role');
+                        const levelInput = document.getElementById('level-role-level');
+                        const roleSelect = document.getElementById('level-role-role');
+                        const tierInput = document.getElementById('level-role-tier');
+                        
+                        editingLevelRoleIndex = index;
+                        
+                        if (index !== null && levelRoles[index]) {
+                            const role = levelRoles[index];
+                            title.textContent = 'Edit Level Role';
+                            saveBtn.textContent = 'Save Changes';
+                            levelInput.value = role.level;
+                            roleSelect.value = role.roleId;
+                            tierInput.value = role.tier || '';
+                        } else {
+                            title.textContent = 'Add Level Role';
+                            saveBtn.textContent = 'Add Role';
+                            levelInput.value = '';
+                            roleSelect.value = '';
+                            tierInput.value = '';
+                        }
+                        
+                        modal.style.display = 'flex';
+                    }
 
-                    <!-- Save Button -->
-                    <div class="settings-section" id="save-section" style="display: none;">
-                        <button id="save-autorole-settings" class="btn-primary">
-                            <span class="btn-text">Save Settings</span>
-                            <span class="btn-loader" style="display: none;">Saving...</span>
-                        </button>
-                    </div>
+                    function closeLevelRoleModal() {
+                        const modal = document.getElementById('level-role-modal');
+                        if (modal) {
+                            modal.style.display = 'none';
+                        }
+                    }
 
-                    <div class="settings-section" id="data-management-section" style="display: none; margin-top: 1rem;">
-                        <h3>💾 Data Management</h3>
-                        <div style="display: flex; gap: 10px;">
-                            <button id="download-autorole-settings" class="btn-secondary">
-                                <span class="btn-text">Download Settings</span>
-                            </button>
-                        </div>
-                        <small style="opacity: 0.7; display: block; margin-top: 4px;">
-                            Download all settings for this plugin as a JSON backup file.
-                        </small>
-                    </div>
-                </div>
+                    function saveLevelRole_handler() {
+                        const levelInput = document.getElementById('level-role-level');
+                        const roleSelect = document.getElementById('level-role-role');
+                        const tierInput = document.getElementById('level-role-tier');
+                        
+                        const level = levelInput ? parseInt(levelInput.value) : 0;
+                        const roleId = roleSelect ? roleSelect.value : '';
+                        const tier = tierInput ? tierInput.value.trim() : '';
+                        
+                        if (!level || level < 1) {
+                            if (window.showNotification) window.showNotification('Please enter a valid level', 'error');
+                            return;
+                        }
+                        
+                        if (!roleId) {
+                            if (window.showNotification) window.showNotification('Please select a role', 'error');
+                            return;
+                        }
+                        
+                        const newLevelRole = { level, roleId, tier };
+                        
+                        if (editingLevelRoleIndex !== null) {
+                            levelRoles[editingLevelRoleIndex] = newLevelRole;
+                        } else {
+                            if (levelRoles.some(lr => lr.level === level && (lr.tier || '').toLowerCase() === tier.toLowerCase())) {
+                                if (window.showNotification) window.showNotification('A role is already configured for this level and tier', 'error');
+                                return;
+                            }
+                            if (levelRoles.some(lr => lr.roleId === roleId)) {
+                                if (window.showNotification) window.showNotification('This role is already used for another level', 'error');
+                                return;
+                            }
+                            levelRoles.push(newLevelRole);
+                        }
+                        
+                        displayLevelRoles();
+                        closeLevelRoleModal();
+                        if (window.showNotification) window.showNotification('Level role saved successfully', 'success');
+                    }
 
-                <!-- Level Role Modal -->
-                <div id="level-role-modal" style="display: none; position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.7); z-index: 1000; justify-content: center; align-items: center;">
-                    <div style="background: linear-gradient(135deg, #1a1a2e 0%, #16213e 50%, #0f3460 100%); border-radius: 15px; padding: 2rem; max-width: 500px; width: 90%; border: 1px solid rgba(255,255,255,0.2);">
-                        <h3 id="level-role-modal-title" style="margin-bottom: 1rem; color: white;">Add Level Role</h3>
+                    async function openReactionRoleModal(messageId = null) {
+                        const modal = document.getElementById('reaction-role-modal');
+                        const title = document.getElementById('reaction-role-modal-title');
+                        const submitBtn = document.getElementById('submit-rr-message');
                         
-                        <div class="form-group">
-                            <label for="level-role-level">Level:</label>
-                            <input type="number" id="level-role-level" class="form-control" min="1" max="999" placeholder="Level required">
-                        </div>
+                        editingReactionRoleId = messageId;
                         
-                        <div class="form-group">
-                            <label for="level-role-role">Role:</label>
-                            <select id="level-role-role" class="form-control">
-                                <option value="">Select a role...</option>
-                            </select>
-                        </div>
+                        // Reset form
+                        document.getElementById('rr-channel').value = '';
+                        document.getElementById('rr-title').value = '';
+                        document.getElementById('rr-description').value = '';
+                        document.getElementById('rr-max-roles').value = 0;
+                        document.getElementById('rr-remove-on-unreact').checked = true;
+                        reactionRoleRoles = [];
+                        displayReactionRoleRoles();
                         
-                        <div class="form-group">
-                            <label>
-                                <input type="checkbox" id="level-role-remove-old"> Remove Lower Level Roles
-                            </label>
-                            <small style="opacity: 0.7; display: block; margin-top: 4px;">
-                                Automatically remove roles from lower levels when this role is assigned
-                            </small>
-                        </div>
+                        if (messageId) {
+                            title.textContent = 'Edit Reaction Role';
+                            submitBtn.textContent = 'Save Changes';
+                            document.getElementById('rr-channel').disabled = true;
+                            
+                            try {
+                                const response = await fetch(\`/api/plugins/autorole/reactionroles/\${currentGuildId}/\${messageId}\`);
+                                const data = await response.json();
+                                
+                                if (response.ok) {
+                                    document.getElementById('rr-channel').value = data.channelId;
+                                    document.getElementById('rr-title').value = data.title || '';
+                                    document.getElementById('rr-description').value = data.description || '';
+                                    document.getElementById('rr-max-roles').value = data.maxRoles || 0;
+                                    document.getElementById('rr-remove-on-unreact').checked = data.removeOnUnreact;
+                                    
+                                    reactionRoleRoles = Object.entries(data.roles).map(([emoji, roleId]) => {
+                                        const role = serverRoles.find(r => r.id === roleId);
+                                        return { emoji, roleId, roleName: role ? role.name : 'Unknown Role', description: '' };
+                                    });
+                                    displayReactionRoleRoles();
+                                } else {
+                                    if (window.showNotification) window.showNotification(data.error, 'error');
+                                    return;
+                                }
+                            } catch (error) {
+                                if (window.showNotification) window.showNotification('Failed to load reaction role data', 'error');
+                                return;
+                            }
+                        } else {
+                            title.textContent = 'Create Reaction Role';
+                            submitBtn.textContent = 'Create Message';
+                            document.getElementById('rr-channel').disabled = false;
+                        }
                         
-                        <div style="display: flex; gap: 10px; margin-top: 1.5rem;">
-                            <button type="button" id="save-level-role" class="btn-primary">Add Role</button>
-                            <button type="button" id="cancel-level-role" class="glass-btn">Cancel</button>
-                        </div>
-                    </div>
-                </div>
+                        modal.style.display = 'flex';
+                    }
 
-                <!-- Reaction Role Modal -->
-                <div id="reaction-role-modal" style="display: none; position: fixed; top: 0; left: 0; width: 100%; height: 100%; background: rgba(0,0,0,0.7); z-index: 1000; justify-content: center; align-items: center; overflow-y: auto;">
-                    <div style="background: linear-gradient(135deg, #1a1a2e 0%, #16213e 50%, #0f3460 100%); border-radius: 15px; padding: 2rem; max-width: 700px; width: 90%; max-height: 90vh; overflow-y: auto; border: 1px solid rgba(255,255,255,0.2); margin: 20px;">
-                        <h3 id="reaction-role-modal-title" style="margin-bottom: 1rem; color: white;">Create Reaction Role Message</h3>
+                    function closeReactionRoleModal() {
+                        const modal = document.getElementById('reaction-role-modal');
+                        if (modal) {
+                            modal.style.display = 'none';
+                        }
+                    }
+
+                    function addReactionRoleRole() {
+                        const emojiInput = document.getElementById('rr-emoji');
+                        const roleSelect = document.getElementById('rr-role');
+                        const descriptionInput = document.getElementById('rr-role-description');
                         
-                        <div class="form-group">
-                            <label for="rr-channel">Channel:</label>
-                            <select id="rr-channel" class="form-control">
-                                <option value="">Select a channel...</option>
-                            </select>
-                        </div>
+                        const emoji = emojiInput ? emojiInput.value.trim() : '';
+                        const roleId = roleSelect ? roleSelect.value : '';
+                        const description = descriptionInput ? descriptionInput.value.trim() : '';
                         
-                        <div class="form-group">
-                            <label for="rr-title">Title:</label>
-                            <input type="text" id="rr-title" class="form-control" placeholder="Role Selection" maxlength="256">
-                        </div>
+                        if (!emoji) {
+                            if (window.showNotification) window.showNotification('Please enter an emoji', 'error');
+                            return;
+                        }
                         
-                        <div class="form-group">
-                            <label for="rr-description">Description:</label>
-                            <textarea id="rr-description" class="form-control" rows="3" placeholder="React to get roles!" maxlength="2048"></textarea>
-                        </div>
+                        if (!roleId) {
+                            if (window.showNotification) window.showNotification('Please select a role', 'error');
+                            return;
+                        }
                         
-                        <div class="form-group">
-                            <label for="rr-max-roles">Maximum Roles (0 = unlimited):</label>
-                            <input type="number" id="rr-max-roles" class="form-control" min="0" max="20" value="0">
-                        </div>
+                        if (reactionRoleRoles.some(rr => rr.emoji === emoji)) {
+                            if (window.showNotification) window.showNotification('This emoji is already used', 'error');
+                            return;
+                        }
+                        
+                        if (reactionRoleRoles.some(rr => rr.roleId === roleId)) {
+                            if (window.showNotification) window.showNotification('This role is already used', 'error');
+                            return;
+                        }
+                        
+                        const role = serverRoles.find(r => r.id === roleId);
+                        if (!role) {
+                            if (window.showNotification) window.showNotification('Role not found', 'error');
+                            return;
+                        }
                         
-                        <div class="form-group">
-                            <label>
-                                <input type="checkbox" id="rr-remove-on-unreact" checked> Remove Role When Unreacted
-                            </label>
-                        </div>
+                        reactionRoleRoles.push({
+                            emoji: emoji,
+                            roleId: roleId,
+                            roleName: role.name,
+                            description: description
+                        });
                         
-                        <div class="form-group">
-                            <label>Roles:</label>
-                            <div id="rr-roles-list" style="min-height: 100px; background: rgba(255,255,255,0.05); border-radius: 8px; padding: 10px; margin-bottom: 10px;">
-                                <div id="no-rr-roles" style="opacity: 0.6; text-align: center; padding: 20px;">
-                                    No roles added yet
-                                </div>
-                            </div>
-                            
-                            <div style="display: flex; gap: 10px; margin-bottom: 10px;">
-                                <input type="text" id="rr-emoji" class="form-control" placeholder="Emoji (e.g., 🎮)" maxlength="2" style="max-width: 80px;">
-                                <select id="rr-role" class="form-control" style="flex: 1;">
-                                    <option value="">Select role...</option>
-                                </select>
-                                <button type="button" id="add-rr-role" class="glass-btn">Add</button>
-                            </div>
-                            
-                            <div class="form-group">
-                                <label for="rr-role-description">Role Description (optional):</label>
-                                <input type="text" id="rr-role-description" class="form-control" placeholder="Additional description for this role" maxlength="100">
-                            </div>
-                        </div>
+                        if (emojiInput) emojiInput.value = '';
+                        if (roleSelect) roleSelect.value = '';
+                        if (descriptionInput) descriptionInput.value = '';
                         
-                        <div style="display: flex; gap: 10px; margin-top: 1.5rem;">
-                            <button type="button" id="submit-rr-message" class="btn-primary">Create Message</button>
-                            <button type="button" id="cancel-rr-message" class="glass-btn">Cancel</button>
-                        </div>
-                    </div>
-                </div>
-            `,
-            script: `
-                // Auto-Role Plugin Frontend Logic
-                (function() {
-                    console.log('Loading auto-role plugin...');
-                    
-                    let currentGuildId = null;
-                    let serverRoles = [];
-                    let levelRoles = [];
-                    let reactionRoleRoles = [];
-                    let editingLevelRoleIndex = null;
-                    let editingReactionRoleId = null;
-
-                    // Initialize the plugin
-                    async function initializeAutoRolePlugin() {
-                        await loadAutoRoleServers();
-                        setupEventListeners();
+                        displayReactionRoleRoles();
+                        if (window.showNotification) window.showNotification('Role added to message', 'success');
                     }
 
-                    function setupEventListeners() {
-                        const serverSelect = document.getElementById('autorole-server-select');
-                        if (serverSelect) {
-                            serverSelect.addEventListener('change', handleServerChange);
+                    function displayReactionRoleRoles() {
+                        const list = document.getElementById('rr-roles-list');
+                        if (!list) return;
+                        
+                        if (reactionRoleRoles.length === 0) {
+                            list.innerHTML = '<div style="opacity: 0.6; text-align: center; padding: 20px;">No roles added yet</div>';
+                            return;
                         }
+                        
+                        list.innerHTML = '';
+                        
+                        reactionRoleRoles.forEach((roleData, index) => {
+                            const roleElement = document.createElement('div');
+                            roleElement.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 8px; margin-bottom: 4px; background: rgba(255,255,255,0.1); border-radius: 6px;';
+                            
+                            roleElement.innerHTML = \`
+                                <div style="display: flex; align-items: center; gap: 8px;">
+                                    <span style="font-size: 1.2em;">\${roleData.emoji}</span>
+                                    <div>
+                                        <div style="font-weight: 600;">\${roleData.roleName}</div>
+                                        \${roleData.description ? \`<div style="font-size: 0.8rem; opacity: 0.7;">\${roleData.description}</div>\` : ''}
+                                    </div>
+                                </div>
+                                <button type="button" onclick="window.removeReactionRoleRole(\${index})" class="glass-btn-small">Remove</button>
+                            \`;
+                            list.appendChild(roleElement);
+                        });
+                    }
 
-                        const joinRolesEnabled = document.getElementById('join-roles-enabled');
-                        if (joinRolesEnabled) {
-                            joinRolesEnabled.addEventListener('change', toggleJoinRolesConfig);
-                        }
+                    window.removeReactionRoleRole = function(index) {
+                        reactionRoleRoles.splice(index, 1);
+                        displayReactionRoleRoles();
+                    };
 
-                        const levelRolesEnabled = document.getElementById('level-roles-enabled');
-                        if (levelRolesEnabled) {
-                            levelRolesEnabled.addEventListener('change', toggleLevelRolesConfig);
+                    async function submitReactionRoleMessage() {
+                        const channelId = document.getElementById('rr-channel').value;
+                        const title = document.getElementById('rr-title').value.trim();
+                        const description = document.getElementById('rr-description').value.trim();
+                        const maxRoles = parseInt(document.getElementById('rr-max-roles').value);
+                        const removeOnUnreact = document.getElementById('rr-remove-on-unreact').checked;
+                        
+                        if (!channelId && !editingReactionRoleId) {
+                            if (window.showNotification) window.showNotification('Please select a channel', 'error');
+                            return;
                         }
-
-                        const addLevelRoleBtn = document.getElementById('add-level-role-btn');
-                        if (addLevelRoleBtn) {
-                            addLevelRoleBtn.addEventListener('click', () => openLevelRoleModal());
+                        
+                        if (reactionRoleRoles.length === 0) {
+                            if (window.showNotification) window.showNotification('Please add at least one role', 'error');
+                            return;
                         }
+                        
+                        const submitBtn = document.getElementById('submit-rr-message');
+                        const originalBtnText = submitBtn.textContent;
+                        
+                        try {
+                            submitBtn.disabled = true;
+                            submitBtn.textContent = 'Saving...';
+                            
+                            const payload = { title, description, roles: reactionRoleRoles, maxRoles, removeOnUnreact, channelId };
+                            const url = editingReactionRoleId 
+                                ? \`/api/plugins/autorole/reactionroles/\${currentGuildId}/\${editingReactionRoleId}\`
+                                : \`/api/plugins/autorole/reactionroles/\${currentGuildId}/create\`;
+                            const method = editingReactionRoleId ? 'PUT' : 'POST';
 
-                        const syncLevelRolesBtn = document.getElementById('sync-level-roles-btn');
-                        if (syncLevelRolesBtn) {
-                            syncLevelRolesBtn.addEventListener('click', syncLevelRoles);
+                            const response = await fetch(url, {
+                                method: method,
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify(payload)
+                            });
+                            
+                            const result = await response.json();
+                            
+                            if (response.ok) {
+                                if (window.showNotification) window.showNotification(result.message, 'success');
+                                closeReactionRoleModal();
+                                await loadReactionRoles();
+                            } else {
+                                throw new Error(result.error || 'Failed to save reaction role');
+                            }
+                        } catch (error) {
+                            console.error('Error saving reaction role:', error);
+                            if (window.showNotification) window.showNotification(error.message, 'error');
+                        } finally {
+                            submitBtn.disabled = false;
+                            submitBtn.textContent = originalBtnText;
                         }
+                    }
 
-                        const createReactionRoleBtn = document.getElementById('create-reaction-role-btn');
-                        if (createReactionRoleBtn) {
-                            createReactionRoleBtn.addEventListener('click', () => openReactionRoleModal());
-                        }
+                    async function loadRolePanels() {
+                        try {
+                            const response = await fetch(\`/api/plugins/autorole/panels/\${currentGuildId}\`);
+                            const panels = await response.json();
 
-                        const saveBtn = document.getElementById('save-autorole-settings');
-                        if (saveBtn) {
-                            saveBtn.addEventListener('click', saveAutoRoleSettings);
-                        }
+                            displayRolePanels(Array.isArray(panels) ? panels : []);
 
-                        const downloadBtn = document.getElementById('download-autorole-settings');
-                        if (downloadBtn) {
-                            downloadBtn.addEventListener('click', downloadAutoRoleSettings);
+                        } catch (error) {
+                            console.error('Error loading role panels:', error);
                         }
-
-                        // Modal event listeners
-                        setupModalEventListeners();
                     }
 
-                    function setupModalEventListeners() {
-                        const saveLevelRole = document.getElementById('save-level-role');
-                        if (saveLevelRole) {
-                            saveLevelRole.addEventListener('click', saveLevelRole_handler);
-                        }
+                    function displayRolePanels(panels) {
+                        const list = document.getElementById('role-panels-list');
+                        if (!list) return;
 
-                        const cancelLevelRole = document.getElementById('cancel-level-role');
-                        if (cancelLevelRole) {
-                            cancelLevelRole.addEventListener('click', closeLevelRoleModal);
+                        if (panels.length === 0) {
+                            list.innerHTML = '<div style="opacity: 0.6; text-align: center; padding: 20px;">No role panels</div>';
+                            return;
                         }
 
-                        const addRRRole = document.getElementById('add-rr-role');
-                        if (addRRRole) {
-                            addRRRole.addEventListener('click', addReactionRoleRole);
-                        }
-                        
-                        const submitRRMessage = document.getElementById('submit-rr-message');
-                        if (submitRRMessage) {
-                            submitRRMessage.addEventListener('click', submitReactionRoleMessage);
-                        }
+                        list.innerHTML = '';
 
-                        const cancelRRMessage = document.getElementById('cancel-rr-message');
-                        if (cancelRRMessage) {
-                            cancelRRMessage.addEventListener('click', closeReactionRoleModal);
-                        }
+                        panels.forEach(panel => {
+                            const panelElement = document.createElement('div');
+                            panelElement.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border-radius: 8px; border-left: 4px solid #7289da;';
 
-                        const levelRoleModal = document.getElementById('level-role-modal');
-                        if (levelRoleModal) {
-                            levelRoleModal.addEventListener('click', function(e) {
-                                if (e.target === levelRoleModal) closeLevelRoleModal();
-                            });
-                        }
+                            const info = document.createElement('div');
+                            const title = document.createElement('div');
+                            title.style.cssText = 'font-weight: 600; margin-bottom: 4px;';
+                            title.textContent = (panel.type === 'select' ? '📋 ' : '🔘 ') + panel.title;
+                            const details = document.createElement('div');
+                            details.style.cssText = 'font-size: 0.9rem; opacity: 0.8;';
+                            details.textContent = panel.options.length + ' role(s) • ' +
+                                (panel.type === 'select' ? 'Dropdown' : 'Buttons') + ' • Created ' + new Date(panel.createdAt).toLocaleDateString();
+                            const limits = document.createElement('div');
+                            limits.style.cssText = 'font-size: 0.8rem; opacity: 0.6; margin-top: 2px;';
+                            limits.textContent = 'Min roles: ' + (panel.minRoles || 0) + ' • Max roles: ' + (panel.maxRoles || 'Unlimited');
+                            info.append(title, details, limits);
 
-                        const reactionRoleModal = document.getElementById('reaction-role-modal');
-                        if (reactionRoleModal) {
-                            reactionRoleModal.addEventListener('click', function(e) {
-                                if (e.target === reactionRoleModal) closeReactionRoleModal();
-                            });
-                        }
+                            const actions = document.createElement('div');
+                            actions.innerHTML = \`
+                                <button type="button" onclick="window.editRolePanel('\${panel.id}')" class="glass-btn-small" style="margin-right: 8px;">Edit</button>
+                                <button type="button" onclick="window.deleteRolePanel('\${panel.id}')" class="glass-btn-small">Delete</button>
+                            \`;
+
+                            panelElement.append(info, actions);
+                            list.appendChild(panelElement);
+                        });
                     }
 
-                    async function loadAutoRoleServers() {
+                    window.editRolePanel = function(panelId) {
+                        openRolePanelModal(panelId);
+                    };
+
+                    window.deleteRolePanel = async function(panelId) {
+                        if (!confirm('Delete this role panel? Its message will be removed from Discord.')) return;
+
                         try {
-                            const response = await fetch('/api/servers');
-                            const servers = await response.json();
-                            
-                            const select = document.getElementById('autorole-server-select');
-                            if (select) {
-                                select.innerHTML = '<option value="">Select a server...</option>';
-                                servers.forEach(server => {
-                                    const option = document.createElement('option');
-                                    option.value = server.id;
-                                    option.textContent = server.name;
-                                    select.appendChild(option);
-                                });
+                            const response = await fetch(\`/api/plugins/autorole/panels/\${currentGuildId}/\${panelId}\`, {
+                                method: 'DELETE'
+                            });
+
+                            if (response.ok) {
+                                if (window.showNotification) window.showNotification('Role panel deleted', 'success');
+                                await loadRolePanels();
+                            } else {
+                                throw new Error('Failed to delete role panel');
                             }
                         } catch (error) {
-                            console.error('Error loading servers:', error);
-                            if (window.showNotification) {
-                                window.showNotification('Error loading servers', 'error');
+                            console.error('Error deleting role panel:', error);
+                            if (window.showNotification) window.showNotification('Error deleting role panel', 'error');
+                        }
+                    };
+
+                    function updateRolePanelTypeFields() {
+                        const isSelect = document.getElementById('rp-type').value === 'select';
+                        document.getElementById('rp-placeholder-group').style.display = isSelect ? 'block' : 'none';
+                        document.getElementById('rp-option-style').style.display = isSelect ? 'none' : '';
+                        document.getElementById('rp-description').placeholder = isSelect
+                            ? 'Choose your roles from the menu below.'
+                            : 'Click a button to add or remove a role.';
+                        displayRolePanelOptions();
+                    }
+
+                    async function openRolePanelModal(panelId = null) {
+                        const modal = document.getElementById('role-panel-modal');
+                        const title = document.getElementById('role-panel-modal-title');
+                        const submitBtn = document.getElementById('submit-role-panel');
+
+                        editingRolePanelId = panelId;
+
+                        // Reset form
+                        document.getElementById('rp-channel').value = '';
+                        document.getElementById('rp-type').value = 'buttons';
+                        document.getElementById('rp-title').value = '';
+                        document.getElementById('rp-description').value = '';
+                        document.getElementById('rp-placeholder').value = '';
+                        document.getElementById('rp-min-roles').value = 0;
+                        document.getElementById('rp-max-roles').value = 0;
+                        rolePanelOptions = [];
+
+                        if (panelId) {
+                            title.textContent = 'Edit Role Panel';
+                            submitBtn.textContent = 'Save Changes';
+                            document.getElementById('rp-channel').disabled = true;
+
+                            try {
+                                const response = await fetch(\`/api/plugins/autorole/panels/\${currentGuildId}/\${panelId}\`);
+                                const data = await response.json();
+
+                                if (!response.ok) {
+                                    if (window.showNotification) window.showNotification(data.error, 'error');
+                                    return;
+                                }
+
+                                document.getElementById('rp-channel').value = data.channelId;
+                                document.getElementById('rp-type').value = data.type;
+                                document.getElementById('rp-title').value = data.title || '';
+                                document.getElementById('rp-description').value = data.description || '';
+                                document.getElementById('rp-placeholder').value = data.placeholder || '';
+                                document.getElementById('rp-min-roles').value = data.minRoles || 0;
+                                document.getElementById('rp-max-roles').value = data.maxRoles || 0;
+                                rolePanelOptions = data.options.map(option => ({ ...option }));
+                            } catch (error) {
+                                if (window.showNotification) window.showNotification('Failed to load role panel', 'error');
+                                return;
                             }
+                        } else {
+                            title.textContent = 'Create Role Panel';
+                            submitBtn.textContent = 'Post Panel';
+                            document.getElementById('rp-channel').disabled = false;
                         }
+
+                        updateRolePanelTypeFields();
+                        modal.style.display = 'flex';
                     }
 
-                    async function handleServerChange() {
-                        const serverSelect = document.getElementById('autorole-server-select');
-                        currentGuildId = serverSelect ? serverSelect.value : null;
-                        
-                        if (currentGuildId) {
-                            await Promise.all([
-                                loadServerRoles(),
-                                loadChannels(),
-                                loadAutoRoleSettings(),
-                                loadLevelRoles(),
-                                loadReactionRoles()
-                            ]);
-                            showSections();
-                        } else {
-                            hideSections();
+                    function closeRolePanelModal() {
+                        const modal = document.getElementById('role-panel-modal');
+                        if (modal) {
+                            modal.style.display = 'none';
                         }
                     }
 
-                    function showSections() {
-                        const sections = [
-                            'join-roles-section',
-                            'level-roles-section', 
-                            'reaction-roles-section',
-                            'log-channel-section',
-                            'save-section',
-                            'data-management-section'
-                        ];
-                        
-                        sections.forEach(sectionId => {
-                            const section = document.getElementById(sectionId);
-                            if (section) section.style.display = 'block';
-                        });
-                    }
+                    function addRolePanelOption() {
+                        const roleSelect = document.getElementById('rp-option-role');
+                        const labelInput = document.getElementById('rp-option-label');
+                        const emojiInput = document.getElementById('rp-option-emoji');
+                        const descriptionInput = document.getElementById('rp-option-description');
+                        const styleSelect = document.getElementById('rp-option-style');
 
-                    function hideSections() {
-                        const sections = [
-                            'join-roles-section',
-                            'level-roles-section',
-                            'reaction-roles-section', 
-                            'log-channel-section',
-                            'save-section',
-                            'data-management-section'
-                        ];
-                        
-                        sections.forEach(sectionId => {
-                            const section = document.getElementById(sectionId);
-                            if (section) section.style.display = 'none';
+                        const roleId = roleSelect.value;
+                        const role = serverRoles.find(r => r.id === roleId);
+
+                        if (!role) {
+                            if (window.showNotification) window.showNotification('Please select a role', 'error');
+                            return;
+                        }
+
+                        if (rolePanelOptions.some(option => option.roleId === roleId)) {
+                            if (window.showNotification) window.showNotification('This role is already on the panel', 'error');
+                            return;
+                        }
+
+                        if (rolePanelOptions.length >= 25) {
+                            if (window.showNotification) window.showNotification('A panel can offer at most 25 roles', 'error');
+                            return;
+                        }
+
+                        rolePanelOptions.push({
+                            roleId: roleId,
+                            label: labelInput.value.trim() || role.name.slice(0, 80),
+                            emoji: emojiInput.value.trim(),
+                            description: descriptionInput.value.trim(),
+                            style: styleSelect.value
                         });
+
+                        roleSelect.value = '';
+                        labelInput.value = '';
+                        emojiInput.value = '';
+                        descriptionInput.value = '';
+
+                        displayRolePanelOptions();
                     }
 
-                    async function loadServerRoles() {
-                        try {
-                            const response = await fetch(\`/api/plugins/autorole/roles/\${currentGuildId}\`);
-                            serverRoles = await response.json();
-                            
-                            populateRoleSelects();
-                        } catch (error) {
-                            console.error('Error loading server roles:', error);
+                    function displayRolePanelOptions() {
+                        const list = document.getElementById('rp-options-list');
+                        if (!list) return;
+
+                        if (rolePanelOptions.length === 0) {
+                            list.innerHTML = '<div style="opacity: 0.6; text-align: center; padding: 20px;">No roles added yet</div>';
+                            return;
                         }
-                    }
 
-                    function populateRoleSelects() {
-                        const selects = [
-                            'join-roles-select',
-                            'level-role-role',
-                            'rr-role'
-                        ];
-                        
-                        selects.forEach(selectId => {
-                            const select = document.getElementById(selectId);
-                            if (select) {
-                                const isMultiple = select.hasAttribute('multiple');
-                                select.innerHTML = isMultiple ? '' : '<option value="">Select a role...</option>';
-                                
-                                serverRoles.forEach(role => {
-                                    const option = document.createElement('option');
-                                    option.value = role.id;
-                                    option.textContent = \`\${role.name} (\${role.memberCount} members)\`;
-                                    option.style.color = role.color || '#ffffff';
-                                    select.appendChild(option);
-                                });
+                        const isSelect = document.getElementById('rp-type').value === 'select';
+                        const styleColors = { primary: '#5865f2', secondary: '#4f545c', success: '#3ba55c', danger: '#ed4245' };
+
+                        list.innerHTML = '';
+
+                        rolePanelOptions.forEach((option, index) => {
+                            const role = serverRoles.find(r => r.id === option.roleId);
+                            const optionElement = document.createElement('div');
+                            optionElement.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 8px; margin-bottom: 4px; background: rgba(255,255,255,0.1); border-radius: 6px;';
+                            if (!isSelect) {
+                                optionElement.style.borderLeft = '4px solid ' + (styleColors[option.style] || styleColors.secondary);
                             }
+
+                            const info = document.createElement('div');
+                            const label = document.createElement('div');
+                            label.style.fontWeight = '600';
+                            label.textContent = (option.emoji ? option.emoji + ' ' : '') + option.label;
+                            const roleName = document.createElement('div');
+                            roleName.style.cssText = 'font-size: 0.8rem; opacity: 0.7;';
+                            roleName.textContent = '@' + (role ? role.name : 'Unknown Role') + (option.description ? ' • ' + option.description : '');
+                            info.append(label, roleName);
+
+                            const actions = document.createElement('div');
+                            actions.style.cssText = 'display: flex; gap: 4px;';
+                            actions.innerHTML = \`
+                                <button type="button" onclick="window.moveRolePanelOption(\${index}, -1)" class="glass-btn-small" \${index === 0 ? 'disabled' : ''}>↑</button>
+                                <button type="button" onclick="window.moveRolePanelOption(\${index}, 1)" class="glass-btn-small" \${index === rolePanelOptions.length - 1 ? 'disabled' : ''}>↓</button>
+                                <button type="button" onclick="window.removeRolePanelOption(\${index})" class="glass-btn-small">Remove</button>
+                            \`;
+
+                            optionElement.append(info, actions);
+                            list.appendChild(optionElement);
                         });
                     }
 
-                    async function loadChannels() {
-                        try {
-                            const response = await fetch(\`/api/channels/\${currentGuildId}\`);
-                            const channels = await response.json();
-                            
-                            const selects = ['log-channel-select', 'rr-channel'];
-                            
-                            selects.forEach(selectId => {
-                                const select = document.getElementById(selectId);
-                                if (select) {
-                                    const hasNoOption = selectId === 'log-channel-select';
-                                    select.innerHTML = hasNoOption ? '<option value="">No logging</option>' : '<option value="">Select a channel...</option>';
-                                    
-                                    channels.forEach(channel => {
-                                        const option = document.createElement('option');
-                                        option.value = channel.id;
-                                        option.textContent = \`# \${channel.name}\`;
-                                        select.appendChild(option);
-                                    });
-                                }
-                            });
-                        } catch (error) {
-                            console.error('Error loading channels:', error);
+                    window.moveRolePanelOption = function(index, direction) {
+                        const target = index + direction;
+                        if (target < 0 || target >= rolePanelOptions.length) return;
+                        [rolePanelOptions[index], rolePanelOptions[target]] = [rolePanelOptions[target], rolePanelOptions[index]];
+                        displayRolePanelOptions();
+                    };
+
+                    window.removeRolePanelOption = function(index) {
+                        rolePanelOptions.splice(index, 1);
+                        displayRolePanelOptions();
+                    };
+
+                    async function submitRolePanel_handler() {
+                        const channelId = document.getElementById('rp-channel').value;
+
+                        if (!channelId && !editingRolePanelId) {
+                            if (window.showNotification) window.showNotification('Please select a channel', 'error');
+                            return;
                         }
-                    }
 
-                    async function loadAutoRoleSettings() {
+                        if (rolePanelOptions.length === 0) {
+                            if (window.showNotification) window.showNotification('Please add at least one role', 'error');
+                            return;
+                        }
+
+                        const payload = {
+                            channelId,
+                            type: document.getElementById('rp-type').value,
+                            title: document.getElementById('rp-title').value.trim(),
+                            description: document.getElementById('rp-description').value.trim(),
+                            placeholder: document.getElementById('rp-placeholder').value.trim(),
+                            minRoles: parseInt(document.getElementById('rp-min-roles').value) || 0,
+                            maxRoles: parseInt(document.getElementById('rp-max-roles').value) || 0,
+                            options: rolePanelOptions
+                        };
+
+                        const submitBtn = document.getElementById('submit-role-panel');
+                        const originalBtnText = submitBtn.textContent;
+
                         try {
-                            const response = await fetch(\`/api/plugins/autorole/settings/\${currentGuildId}\`);
-                            const settings = await response.json();
-                            
-                            const joinRolesEnabled = document.getElementById('join-roles-enabled');
-                            if (joinRolesEnabled) {
-                                joinRolesEnabled.checked = settings.joinRoles?.enabled || false;
-                                toggleJoinRolesConfig();
-                            }
-                            
-                            const joinRolesSelect = document.getElementById('join-roles-select');
-                            if (joinRolesSelect && settings.joinRoles?.roles) {
-                                Array.from(joinRolesSelect.options).forEach(option => {
-                                    option.selected = settings.joinRoles.roles.includes(option.value);
-                                });
-                            }
-                            
-                            const joinRolesDelay = document.getElementById('join-roles-delay');
-                            if (joinRolesDelay) {
-                                joinRolesDelay.value = settings.joinRoles?.delay || 0;
-                            }
-                            
-                            const joinRolesExcludeBots = document.getElementById('join-roles-exclude-bots');
-                            if (joinRolesExcludeBots) {
-                                joinRolesExcludeBots.checked = settings.joinRoles?.excludeBots !== false;
-                            }
-                            
-                            const joinRolesMinAge = document.getElementById('join-roles-min-age');
-                            if (joinRolesMinAge) {
-                                joinRolesMinAge.value = settings.joinRoles?.minAccountAge || 0;
-                            }
-                            
-                            const logChannelSelect = document.getElementById('log-channel-select');
-                            if (logChannelSelect) {
-                                logChannelSelect.value = settings.logChannelId || '';
+                            submitBtn.disabled = true;
+                            submitBtn.textContent = 'Saving...';
+
+                            const url = editingRolePanelId
+                                ? \`/api/plugins/autorole/panels/\${currentGuildId}/\${editingRolePanelId}\`
+                                : \`/api/plugins/autorole/panels/\${currentGuildId}\`;
+
+                            const response = await fetch(url, {
+                                method: editingRolePanelId ? 'PUT' : 'POST',
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify(payload)
+                            });
+
+                            const result = await response.json();
+
+                            if (response.ok) {
+                                if (window.showNotification) window.showNotification(result.message, 'success');
+                                closeRolePanelModal();
+                                await loadRolePanels();
+                            } else {
+                                throw new Error(result.error || 'Failed to save role panel');
                             }
-                            
                         } catch (error) {
-                            console.error('Error loading auto-role settings:', error);
+                            console.error('Error saving role panel:', error);
+                            if (window.showNotification) window.showNotification(error.message, 'error');
+                        } finally {
+                            submitBtn.disabled = false;
+                            submitBtn.textContent = originalBtnText;
                         }
                     }
 
-                    async function loadLevelRoles() {
+                    async function loadSelfAssignRules() {
                         try {
-                            const response = await fetch(\`/api/plugins/autorole/levelroles/\${currentGuildId}\`);
-                            const settings = await response.json();
-                            
-                            const levelRolesEnabled = document.getElementById('level-roles-enabled');
-                            if (levelRolesEnabled) {
-                                levelRolesEnabled.checked = settings.enabled || false;
-                                toggleLevelRolesConfig();
-                            }
-                            
-                            levelRoles = settings.roles || [];
-                            displayLevelRoles();
-                            
+                            const response = await fetch(\`/api/plugins/autorole/self-assign/\${currentGuildId}\`);
+                            const data = await response.json();
+
+                            selfAssignRules = data.rules || [];
+                            displaySelfAssignRules();
+                            displayTemporaryRoles(data.temporaryRoles || []);
+                            resetSelfAssignForm();
+
                         } catch (error) {
-                            console.error('Error loading level roles:', error);
+                            console.error('Error loading self-assign rules:', error);
                         }
                     }
 
-                    function displayLevelRoles() {
-                        const list = document.getElementById('level-roles-list');
+                    function getRoleName(roleId) {
+                        const role = serverRoles.find(r => r.id === roleId);
+                        return role ? role.name : 'Unknown Role';
+                    }
+
+                    function describeSelfAssignRule(rule) {
+                        const parts = [];
+                        if (rule.requiredRoles.length) parts.push('Requires ' + rule.requiredRoles.map(getRoleName).join(' + '));
+                        if (rule.requiredLevel) parts.push('Level ' + rule.requiredLevel + '+');
+                        if (rule.group) parts.push('Group: ' + rule.group);
+                        if (rule.durationHours) parts.push('Expires after ' + rule.durationHours + 'h');
+                        return parts.join(' • ') || 'No restrictions';
+                    }
+
+                    function displaySelfAssignRules() {
+                        const list = document.getElementById('self-assign-rules-list');
                         if (!list) return;
-                        
-                        if (levelRoles.length === 0) {
-                            list.innerHTML = '<div style="opacity: 0.6; text-align: center; padding: 20px;">No level roles configured</div>';
+
+                        if (selfAssignRules.length === 0) {
+                            list.innerHTML = '<div style="opacity: 0.6; text-align: center; padding: 20px;">No self-assign rules</div>';
                             return;
                         }
-                        
+
                         list.innerHTML = '';
-                        
-                        levelRoles
-                            .sort((a, b) => a.level - b.level)
-                            .forEach((levelRole, index) => {
-                                const role = serverRoles.find(r => r.id === levelRole.roleId);
-                                const roleElement = document.createElement('div');
-                                roleElement.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border-radius: 8px; border-left: 4px solid #7289da;';
-                                
-                                roleElement.innerHTML = \`
-                                    <div>
-                                        <div style="font-weight: 600; margin-bottom: 4px;">Level \${levelRole.level}</div>
-                                        <div style="font-size: 0.9rem; opacity: 0.8;">\${role ? role.name : 'Unknown Role'}</div>
-                                        <div style="font-size: 0.8rem; opacity: 0.6; margin-top: 2px;">
-                                            \${levelRole.removeOldRoles ? 'Removes lower level roles' : 'Keeps lower level roles'}
-                                        </div>
-                                    </div>
-                                    <div>
-                                        <button type="button" onclick="window.editLevelRole(\${index})" class="glass-btn-small" style="margin-right: 8px;">Edit</button>
-                                        <button type="button" onclick="window.removeLevelRole(\${index})" class="glass-btn-small">Remove</button>
-                                    </div>
-                                \`;
-                                list.appendChild(roleElement);
-                            });
-                    }
 
-                    window.editLevelRole = function(index) {
-                        openLevelRoleModal(index);
-                    };
+                        selfAssignRules.forEach((rule, index) => {
+                            const ruleElement = document.createElement('div');
+                            ruleElement.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border-radius: 8px; border-left: 4px solid #7289da;';
 
-                    window.removeLevelRole = function(index) {
-                        if (confirm('Remove this level role?')) {
-                            levelRoles.splice(index, 1);
-                            displayLevelRoles();
-                        }
-                    };
+                            const info = document.createElement('div');
+                            const title = document.createElement('div');
+                            title.style.cssText = 'font-weight: 600; margin-bottom: 4px;';
+                            title.textContent = getRoleName(rule.roleId);
+                            const details = document.createElement('div');
+                            details.style.cssText = 'font-size: 0.85rem; opacity: 0.7;';
+                            details.textContent = describeSelfAssignRule(rule);
+                            info.append(title, details);
 
-                    async function loadReactionRoles() {
-                        try {
-                            const response = await fetch(\`/api/plugins/autorole/reactionroles/\${currentGuildId}\`);
-                            const reactionRoles = await response.json();
-                            
-                            displayReactionRoles(reactionRoles);
-                            
-                        } catch (error) {
-                            console.error('Error loading reaction roles:', error);
-                        }
+                            const actions = document.createElement('div');
+                            actions.innerHTML = \`
+                                <button type="button" onclick="window.editSelfAssignRule(\${index})" class="glass-btn-small" style="margin-right: 8px;">Edit</button>
+                                <button type="button" onclick="window.removeSelfAssignRule(\${index})" class="glass-btn-small">Remove</button>
+                            \`;
+
+                            ruleElement.append(info, actions);
+                            list.appendChild(ruleElement);
+                        });
                     }
 
-                    function displayReactionRoles(reactionRoles) {
-                        const list = document.getElementById('reaction-roles-list');
+                    function displayTemporaryRoles(temporaryRoles) {
+                        const list = document.getElementById('temporary-roles-list');
                         if (!list) return;
-                        
-                        const messages = Object.values(reactionRoles);
-                        
-                        if (messages.length === 0) {
-                            list.innerHTML = '<div style="opacity: 0.6; text-align: center; padding: 20px;">No reaction role messages</div>';
+
+                        if (temporaryRoles.length === 0) {
+                            list.innerHTML = '<div style="opacity: 0.6; text-align: center; padding: 10px;">No temporary roles are active</div>';
                             return;
                         }
-                        
+
                         list.innerHTML = '';
-                        
-                        messages.forEach(message => {
-                            const messageElement = document.createElement('div');
-                            messageElement.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border-radius: 8px; border-left: 4px solid #7289da;';
-                            
-                            const roleCount = Object.keys(message.roles).length;
-                            const createdAt = new Date(message.createdAt).toLocaleDateString();
-                            
-                            messageElement.innerHTML = \`
-                                <div>
-                                    <div style="font-weight: 600; margin-bottom: 4px;">\${message.title || 'Reaction Role Message'}</div>
-                                    <div style="font-size: 0.9rem; opacity: 0.8;">\${roleCount} role(s) • Created \${createdAt}</div>
-                                    <div style="font-size: 0.8rem; opacity: 0.6; margin-top: 2px;">
-                                        Max roles: \${message.maxRoles || 'Unlimited'} • Remove on unreact: \${message.removeOnUnreact ? 'Yes' : 'No'}
-                                    </div>
-                                </div>
-                                <div>
-                                    <button type="button" onclick="window.editReactionRole('\${message.messageId}')" class="glass-btn-small" style="margin-right: 8px;">Edit</button>
-                                    <button type="button" onclick="window.deleteReactionRole('\${message.messageId}')" class="glass-btn-small">Delete</button>
-                                </div>
-                            \`;
-                            list.appendChild(messageElement);
+
+                        temporaryRoles.forEach(entry => {
+                            const row = document.createElement('div');
+                            row.style.cssText = 'display: flex; justify-content: space-between; padding: 6px 8px; font-size: 0.9rem; border-bottom: 1px solid rgba(255,255,255,0.05);';
+                            const who = document.createElement('span');
+                            who.textContent = (entry.username || entry.userId) + ' • ' + getRoleName(entry.roleId);
+                            const when = document.createElement('span');
+                            when.style.opacity = '0.7';
+                            when.textContent = 'Expires ' + new Date(entry.expiresAt).toLocaleString();
+                            row.append(who, when);
+                            list.appendChild(row);
                         });
                     }
-                    
-                    window.editReactionRole = function(messageId) {
-                        openReactionRoleModal(messageId);
+
+                    function resetSelfAssignForm() {
+                        editingSelfAssignIndex = null;
+                        document.getElementById('sa-role').value = '';
+                        document.getElementById('sa-role').disabled = false;
+                        Array.from(document.getElementById('sa-required-roles').options).forEach(option => option.selected = false);
+                        document.getElementById('sa-required-level').value = 0;
+                        document.getElementById('sa-group').value = '';
+                        document.getElementById('sa-duration').value = 0;
+                        document.getElementById('add-sa-rule').textContent = 'Add Rule';
+                    }
+
+                    window.editSelfAssignRule = function(index) {
+                        const rule = selfAssignRules[index];
+                        if (!rule) return;
+
+                        editingSelfAssignIndex = index;
+                        document.getElementById('sa-role').value = rule.roleId;
+                        document.getElementById('sa-role').disabled = true;
+                        Array.from(document.getElementById('sa-required-roles').options).forEach(option => {
+                            option.selected = rule.requiredRoles.includes(option.value);
+                        });
+                        document.getElementById('sa-required-level').value = rule.requiredLevel || 0;
+                        document.getElementById('sa-group').value = rule.group || '';
+                        document.getElementById('sa-duration').value = rule.durationHours || 0;
+                        document.getElementById('add-sa-rule').textContent = 'Update Rule';
                     };
 
-                    window.deleteReactionRole = async function(messageId) {
-                        if (!confirm('Delete this reaction role message? This cannot be undone.')) return;
-                        
+                    window.removeSelfAssignRule = function(index) {
+                        if (!confirm('Remove this self-assign rule?')) return;
+                        selfAssignRules.splice(index, 1);
+                        resetSelfAssignForm();
+                        displaySelfAssignRules();
+                    };
+
+                    function addSelfAssignRule() {
+                        const roleId = document.getElementById('sa-role').value;
+                        if (!roleId) {
+                            if (window.showNotification) window.showNotification('Please select a role', 'error');
+                            return;
+                        }
+
+                        const rule = {
+                            roleId,
+                            requiredRoles: Array.from(document.getElementById('sa-required-roles').selectedOptions)
+                                .map(option => option.value)
+                                .filter(id => id !== roleId),
+                            requiredLevel: parseInt(document.getElementById('sa-required-level').value) || 0,
+                            group: document.getElementById('sa-group').value.trim(),
+                            durationHours: parseFloat(document.getElementById('sa-duration').value) || 0
+                        };
+
+                        if (editingSelfAssignIndex !== null) {
+                            selfAssignRules[editingSelfAssignIndex] = rule;
+                        } else {
+                            if (selfAssignRules.some(existing => existing.roleId === roleId)) {
+                                if (window.showNotification) window.showNotification('This role already has a rule. Edit it instead.', 'error');
+                                return;
+                            }
+                            selfAssignRules.push(rule);
+                        }
+
+                        resetSelfAssignForm();
+                        displaySelfAssignRules();
+                    }
+
+                    async function saveSelfAssignRules() {
+                        const saveBtn = document.getElementById('save-sa-rules');
+
                         try {
-                            const response = await fetch(\`/api/plugins/autorole/reactionroles/\${currentGuildId}/\${messageId}\`, {
-                                method: 'DELETE'
+                            saveBtn.disabled = true;
+
+                            const response = await fetch(\`/api/plugins/autorole/self-assign/\${currentGuildId}\`, {
+                                method: 'POST',
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify({ rules: selfAssignRules })
                             });
-                            
+
+                            const result = await response.json();
+
                             if (response.ok) {
-                                if (window.showNotification) {
-                                    window.showNotification('Reaction role message deleted', 'success');
-                                }
-                                await loadReactionRoles();
+                                if (window.showNotification) window.showNotification('Self-assign rules saved', 'success');
                             } else {
-                                throw new Error('Failed to delete message');
+                                throw new Error(result.error || 'Failed to save self-assign rules');
                             }
                         } catch (error) {
-                            console.error('Error deleting reaction role:', error);
-                            if (window.showNotification) {
-                                window.showNotification('Error deleting reaction role message', 'error');
-                            }
+                            console.error('Error saving self-assign rules:', error);
+                            if (window.showNotification) window.showNotification(error.message, 'error');
+                        } finally {
+                            saveBtn.disabled = false;
                         }
-                    };
+                    }
 
-                    function toggleJoinRolesConfig() {
-                        const enabled = document.getElementById('join-roles-enabled');
-                        const config = document.getElementById('join-roles-config');
-                        
-                        if (enabled && config) {
-                            config.style.display = enabled.checked ? 'block' : 'none';
+                    async function loadRoleRules() {
+                        try {
+                            const response = await fetch(\`/api/plugins/autorole/rules/\${currentGuildId}\`);
+                            const data = await response.json();
+
+                            roleRules = data.rules || [];
+                            document.getElementById('role-rules-last-sweep').textContent = data.lastSweepAt
+                                ? 'Last checked everyone ' + new Date(data.lastSweepAt).toLocaleString()
+                                : '';
+                            displayRoleRules();
+                            resetRoleRuleForm();
+
+                        } catch (error) {
+                            console.error('Error loading role rules:', error);
                         }
                     }
 
-                    function toggleLevelRolesConfig() {
-                        const enabled = document.getElementById('level-roles-enabled');
-                        const config = document.getElementById('level-roles-config');
-                        
-                        if (enabled && config) {
-                            config.style.display = enabled.checked ? 'block' : 'none';
+                    function describeRuleCondition(condition) {
+                        switch (condition.type) {
+                            case 'reputation_total': return condition.min + '+ reputation';
+                            case 'reputation_category': return condition.min + '+ ' + condition.category + ' reputation';
+                            case 'voice_hours': return condition.min + '+ voice hours';
+                            case 'messages_30d': return condition.min + '+ messages in 30 days';
+                            case 'tenure_days': return condition.min + '+ days in the server';
+                            case 'genre': return 'Picked ' + condition.genre;
+                            default: return condition.type;
                         }
                     }
 
-                    function openLevelRoleModal(index = null) {
-                        const modal = document.getElementById('level-role-modal');
-                        const title = document.getElementById('level-role-modal-title');
-                        const saveBtn = document.getElementById('save-level-role');
-                        const levelInput = document.getElementById('level-role-level');
-                        const roleSelect = document.getElementById('level-role-role');
-                        const removeOldCheckbox = document.getElementById('level-role-remove-old');
-                        
-                        editingLevelRoleIndex = index;
-                        
-                        if (index !== null && levelRoles[index]) {
-                            const role = levelRoles[index];
-                            title.textContent = 'Edit Level Role';
-                            saveBtn.textContent = 'Save Changes';
-                            levelInput.value = role.level;
-                            roleSelect.value = role.roleId;
-                            removeOldCheckbox.checked = role.removeOldRoles;
-                        } else {
-                            title.textContent = 'Add Level Role';
-                            saveBtn.textContent = 'Add Role';
-                            levelInput.value = '';
-                            roleSelect.value = '';
-                            removeOldCheckbox.checked = false;
+                    function displayRoleRules() {
+                        const list = document.getElementById('role-rules-list');
+                        if (!list) return;
+
+                        if (roleRules.length === 0) {
+                            list.innerHTML = '<div style="opacity: 0.6; text-align: center; padding: 20px;">No role rules</div>';
+                            return;
                         }
-                        
-                        modal.style.display = 'flex';
+
+                        list.innerHTML = '';
+
+                        roleRules.forEach((rule, index) => {
+                            const ruleElement = document.createElement('div');
+                            ruleElement.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border-radius: 8px; border-left: 4px solid #7289da;';
+
+                            const info = document.createElement('div');
+                            const title = document.createElement('div');
+                            title.style.cssText = 'font-weight: 600; margin-bottom: 4px;';
+                            title.textContent = getRoleName(rule.roleId);
+                            const details = document.createElement('div');
+                            details.style.cssText = 'font-size: 0.85rem; opacity: 0.7;';
+                            details.textContent = rule.conditions.map(describeRuleCondition).join(' • ') +
+                                (rule.removeWhenUnmet ? '' : ' • Kept once given');
+                            info.append(title, details);
+
+                            const actions = document.createElement('div');
+                            actions.innerHTML = \`
+                                <button type="button" onclick="window.editRoleRule(\${index})" class="glass-btn-small" style="margin-right: 8px;">Edit</button>
+                                <button type="button" onclick="window.removeRoleRule(\${index})" class="glass-btn-small">Remove</button>
+                            \`;
+
+                            ruleElement.append(info, actions);
+                            list.appendChild(ruleElement);
+                        });
                     }
 
-                    function closeLevelRoleModal() {
-                        const modal = document.getElementById('level-role-modal');
-                        if (modal) {
-                            modal.style.display = 'none';
+                    function updateRuleConditionFields() {
+                        const type = document.getElementById('rule-condition-type').value;
+                        document.getElementById('rule-condition-category').style.display = type === 'reputation_category' ? '' : 'none';
+                        document.getElementById('rule-condition-min').style.display = type === 'genre' ? 'none' : '';
+                        document.getElementById('rule-condition-genre').style.display = type === 'genre' ? '' : 'none';
+                    }
+
+                    function displayRuleConditions() {
+                        const list = document.getElementById('rule-conditions-list');
+                        if (!list) return;
+
+                        if (ruleConditions.length === 0) {
+                            list.innerHTML = '<div style="opacity: 0.6; text-align: center; padding: 10px;">No conditions added yet</div>';
+                            return;
                         }
+
+                        list.innerHTML = '';
+
+                        ruleConditions.forEach((condition, index) => {
+                            const row = document.createElement('div');
+                            row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 6px 8px; font-size: 0.9rem; border-bottom: 1px solid rgba(255,255,255,0.05);';
+                            const label = document.createElement('span');
+                            label.textContent = describeRuleCondition(condition);
+                            const remove = document.createElement('button');
+                            remove.type = 'button';
+                            remove.className = 'glass-btn-small';
+                            remove.textContent = 'Remove';
+                            remove.addEventListener('click', () => {
+                                ruleConditions.splice(index, 1);
+                                displayRuleConditions();
+                            });
+                            row.append(label, remove);
+                            list.appendChild(row);
+                        });
                     }
 
-                    function saveLevelRole_handler() {
-                        const levelInput = document.getElementById('level-role-level');
-                        const roleSelect = document.getElementById('level-role-role');
-                        const removeOldCheckbox = document.getElementById('level-role-remove-old');
-                        
-                        const level = levelInput ? parseInt(levelInput.value) : 0;
-                        const roleId = roleSelect ? roleSelect.value : '';
-                        const removeOldRoles = removeOldCheckbox ? removeOldCheckbox.checked : false;
-                        
-                        if (!level || level < 1) {
-                            if (window.showNotification) window.showNotification('Please enter a valid level', 'error');
+                    function addRuleCondition() {
+                        const type = document.getElementById('rule-condition-type').value;
+                        const condition = { type };
+
+                        if (type === 'genre') {
+                            condition.genre = document.getElementById('rule-condition-genre').value.trim();
+                            if (!condition.genre) {
+                                if (window.showNotification) window.showNotification('Please enter a genre', 'error');
+                                return;
+                            }
+                        } else {
+                            condition.min = parseFloat(document.getElementById('rule-condition-min').value) || 0;
+                            if (type === 'reputation_category') {
+                                condition.category = document.getElementById('rule-condition-category').value;
+                            }
+                        }
+
+                        if (ruleConditions.length >= 5) {
+                            if (window.showNotification) window.showNotification('A rule can have at most 5 conditions', 'error');
                             return;
                         }
-                        
+
+                        ruleConditions.push(condition);
+                        document.getElementById('rule-condition-min').value = 0;
+                        document.getElementById('rule-condition-genre').value = '';
+                        displayRuleConditions();
+                    }
+
+                    function resetRoleRuleForm() {
+                        editingRoleRuleIndex = null;
+                        ruleConditions = [];
+                        document.getElementById('rule-role').value = '';
+                        document.getElementById('rule-role').disabled = false;
+                        document.getElementById('rule-remove-unmet').checked = true;
+                        document.getElementById('add-role-rule').textContent = 'Add Rule';
+                        displayRuleConditions();
+                    }
+
+                    window.editRoleRule = function(index) {
+                        const rule = roleRules[index];
+                        if (!rule) return;
+
+                        editingRoleRuleIndex = index;
+                        ruleConditions = rule.conditions.map(condition => ({ ...condition }));
+                        document.getElementById('rule-role').value = rule.roleId;
+                        document.getElementById('rule-role').disabled = true;
+                        document.getElementById('rule-remove-unmet').checked = rule.removeWhenUnmet;
+                        document.getElementById('add-role-rule').textContent = 'Update Rule';
+                        displayRuleConditions();
+                    };
+
+                    window.removeRoleRule = function(index) {
+                        if (!confirm('Remove this role rule? Members keep the role until you remove it.')) return;
+                        roleRules.splice(index, 1);
+                        resetRoleRuleForm();
+                        displayRoleRules();
+                    };
+
+                    function addRoleRule() {
+                        const roleId = document.getElementById('rule-role').value;
                         if (!roleId) {
                             if (window.showNotification) window.showNotification('Please select a role', 'error');
                             return;
                         }
-                        
-                        const newLevelRole = { level, roleId, removeOldRoles };
-                        
-                        if (editingLevelRoleIndex !== null) {
-                            levelRoles[editingLevelRoleIndex] = newLevelRole;
+
+                        if (ruleConditions.length === 0) {
+                            if (window.showNotification) window.showNotification('Please add at least one condition', 'error');
+                            return;
+                        }
+
+                        const rule = {
+                            roleId,
+                            conditions: ruleConditions,
+                            removeWhenUnmet: document.getElementById('rule-remove-unmet').checked
+                        };
+
+                        if (editingRoleRuleIndex !== null) {
+                            roleRules[editingRoleRuleIndex] = rule;
                         } else {
-                            if (levelRoles.some(lr => lr.level === level)) {
-                                if (window.showNotification) window.showNotification('A role is already configured for this level', 'error');
+                            if (roleRules.some(existing => existing.roleId === roleId)) {
+                                if (window.showNotification) window.showNotification('This role already has a rule. Edit it instead.', 'error');
                                 return;
                             }
-                            if (levelRoles.some(lr => lr.roleId === roleId)) {
-                                if (window.showNotification) window.showNotification('This role is already used for another level', 'error');
-                                return;
+                            roleRules.push(rule);
+                        }
+
+                        resetRoleRuleForm();
+                        displayRoleRules();
+                    }
+
+                    async function saveRoleRules() {
+                        const saveBtn = document.getElementById('save-role-rules');
+
+                        try {
+                            saveBtn.disabled = true;
+
+                            const response = await fetch(\`/api/plugins/autorole/rules/\${currentGuildId}\`, {
+                                method: 'POST',
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify({ rules: roleRules })
+                            });
+
+                            const result = await response.json();
+
+                            if (response.ok) {
+                                if (window.showNotification) window.showNotification('Role rules saved', 'success');
+                            } else {
+                                throw new Error(result.error || 'Failed to save role rules');
                             }
-                            levelRoles.push(newLevelRole);
+                        } catch (error) {
+                            console.error('Error saving role rules:', error);
+                            if (window.showNotification) window.showNotification(error.message, 'error');
+                        } finally {
+                            saveBtn.disabled = false;
                         }
-                        
-                        displayLevelRoles();
-                        closeLevelRoleModal();
-                        if (window.showNotification) window.showNotification('Level role saved successfully', 'success');
                     }
 
-                    async function openReactionRoleModal(messageId = null) {
-                        const modal = document.getElementById('reaction-role-modal');
-                        const title = document.getElementById('reaction-role-modal-title');
-                        const submitBtn = document.getElementById('submit-rr-message');
-                        
-                        editingReactionRoleId = messageId;
-                        
-                        // Reset form
-                        document.getElementById('rr-channel').value = '';
-                        document.getElementById('rr-title').value = '';
-                        document.getElementById('rr-description').value = '';
-                        document.getElementById('rr-max-roles').value = 0;
-                        document.getElementById('rr-remove-on-unreact').checked = true;
-                        reactionRoleRoles = [];
-                        displayReactionRoleRoles();
-                        
-                        if (messageId) {
-                            title.textContent = 'Edit Reaction Role';
-                            submitBtn.textContent = 'Save Changes';
-                            document.getElementById('rr-channel').disabled = true;
-                            
-                            try {
-                                const response = await fetch(\`/api/plugins/autorole/reactionroles/\${currentGuildId}/\${messageId}\`);
-                                const data = await response.json();
-                                
-                                if (response.ok) {
-                                    document.getElementById('rr-channel').value = data.channelId;
-                                    document.getElementById('rr-title').value = data.title || '';
-                                    document.getElementById('rr-description').value = data.description || '';
-                                    document.getElementById('rr-max-roles').value = data.maxRoles || 0;
-                                    document.getElementById('rr-remove-on-unreact').checked = data.removeOnUnreact;
-                                    
-                                    reactionRoleRoles = Object.entries(data.roles).map(([emoji, roleId]) => {
-                                        const role = serverRoles.find(r => r.id === roleId);
-                                        return { emoji, roleId, roleName: role ? role.name : 'Unknown Role', description: '' };
-                                    });
-                                    displayReactionRoleRoles();
-                                } else {
-                                    if (window.showNotification) window.showNotification(data.error, 'error');
-                                    return;
-                                }
-                            } catch (error) {
-                                if (window.showNotification) window.showNotification('Failed to load reaction role data', 'error');
-                                return;
+                    async function evaluateRoleRules() {
+                        try {
+                            const response = await fetch(\`/api/plugins/autorole/rules/\${currentGuildId}/evaluate\`, {
+                                method: 'POST'
+                            });
+
+                            const result = await response.json();
+
+                            if (response.ok) {
+                                if (window.showNotification) window.showNotification(result.message, 'success');
+                            } else {
+                                throw new Error(result.error || 'Failed to check role rules');
                             }
-                        } else {
-                            title.textContent = 'Create Reaction Role';
-                            submitBtn.textContent = 'Create Message';
-                            document.getElementById('rr-channel').disabled = false;
+                        } catch (error) {
+                            console.error('Error evaluating role rules:', error);
+                            if (window.showNotification) window.showNotification(error.message, 'error');
                         }
-                        
-                        modal.style.display = 'flex';
                     }
 
-                    function closeReactionRoleModal() {
-                        const modal = document.getElementById('reaction-role-modal');
-                        if (modal) {
-                            modal.style.display = 'none';
+                    function toggleVerificationConfig() {
+                        const enabled = document.getElementById('verification-enabled');
+                        const config = document.getElementById('verification-config');
+
+                        if (enabled && config) {
+                            config.style.display = enabled.checked ? 'block' : 'none';
                         }
                     }
 
-                    function addReactionRoleRole() {
-                        const emojiInput = document.getElementById('rr-emoji');
-                        const roleSelect = document.getElementById('rr-role');
-                        const descriptionInput = document.getElementById('rr-role-description');
-                        
-                        const emoji = emojiInput ? emojiInput.value.trim() : '';
-                        const roleId = roleSelect ? roleSelect.value : '';
-                        const description = descriptionInput ? descriptionInput.value.trim() : '';
-                        
-                        if (!emoji) {
-                            if (window.showNotification) window.showNotification('Please enter an emoji', 'error');
-                            return;
-                        }
-                        
-                        if (!roleId) {
-                            if (window.showNotification) window.showNotification('Please select a role', 'error');
+                    function displayVerificationQuestions() {
+                        const list = document.getElementById('verification-questions-list');
+                        if (!list) return;
+
+                        if (verificationQuestions.length === 0) {
+                            list.innerHTML = '<div style="opacity: 0.6; text-align: center; padding: 10px;">No questions, members just click Verify</div>';
                             return;
                         }
-                        
-                        if (reactionRoleRoles.some(rr => rr.emoji === emoji)) {
-                            if (window.showNotification) window.showNotification('This emoji is already used', 'error');
+
+                        list.innerHTML = '';
+
+                        verificationQuestions.forEach((question, index) => {
+                            const row = document.createElement('div');
+                            row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 8px; margin-bottom: 4px; background: rgba(255,255,255,0.1); border-radius: 6px;';
+
+                            const info = document.createElement('div');
+                            const text = document.createElement('div');
+                            text.style.fontWeight = '600';
+                            text.textContent = question.question;
+                            const answer = document.createElement('div');
+                            answer.style.cssText = 'font-size: 0.8rem; opacity: 0.7;';
+                            answer.textContent = question.answer ? 'Expected answer: ' + question.answer : 'Any answer accepted';
+                            info.append(text, answer);
+
+                            const remove = document.createElement('button');
+                            remove.type = 'button';
+                            remove.className = 'glass-btn-small';
+                            remove.textContent = 'Remove';
+                            remove.addEventListener('click', () => {
+                                verificationQuestions.splice(index, 1);
+                                displayVerificationQuestions();
+                            });
+
+                            row.append(info, remove);
+                            list.appendChild(row);
+                        });
+                    }
+
+                    function addVerificationQuestion() {
+                        const questionInput = document.getElementById('verification-question');
+                        const answerInput = document.getElementById('verification-answer');
+                        const question = questionInput.value.trim();
+
+                        if (!question) {
+                            if (window.showNotification) window.showNotification('Please enter a question', 'error');
                             return;
                         }
-                        
-                        if (reactionRoleRoles.some(rr => rr.roleId === roleId)) {
-                            if (window.showNotification) window.showNotification('This role is already used', 'error');
+
+                        if (verificationQuestions.length >= 5) {
+                            if (window.showNotification) window.showNotification('Verification can ask at most 5 questions', 'error');
                             return;
                         }
-                        
-                        const role = serverRoles.find(r => r.id === roleId);
-                        if (!role) {
-                            if (window.showNotification) window.showNotification('Role not found', 'error');
-                            return;
+
+                        verificationQuestions.push({ question, answer: answerInput.value.trim() });
+                        questionInput.value = '';
+                        answerInput.value = '';
+                        displayVerificationQuestions();
+                    }
+
+                    async function loadVerificationQueue() {
+                        try {
+                            const response = await fetch(\`/api/plugins/autorole/verification/\${currentGuildId}\`);
+                            const data = await response.json();
+
+                            const status = document.getElementById('verification-message-status');
+                            if (status) {
+                                status.textContent = data.message
+                                    ? 'Verify message is posted in #' + (channelNames[data.message.channelId] || 'unknown-channel')
+                                    : 'No verify message posted yet';
+                            }
+
+                            displayVerificationQueue(data.queue || []);
+                        } catch (error) {
+                            console.error('Error loading verification queue:', error);
                         }
-                        
-                        reactionRoleRoles.push({
-                            emoji: emoji,
-                            roleId: roleId,
-                            roleName: role.name,
-                            description: description
-                        });
-                        
-                        if (emojiInput) emojiInput.value = '';
-                        if (roleSelect) roleSelect.value = '';
-                        if (descriptionInput) descriptionInput.value = '';
-                        
-                        displayReactionRoleRoles();
-                        if (window.showNotification) window.showNotification('Role added to message', 'success');
                     }
 
-                    function displayReactionRoleRoles() {
-                        const list = document.getElementById('rr-roles-list');
+                    function displayVerificationQueue(queue) {
+                        const list = document.getElementById('verification-queue-list');
                         if (!list) return;
-                        
-                        if (reactionRoleRoles.length === 0) {
-                            list.innerHTML = '<div style="opacity: 0.6; text-align: center; padding: 20px;">No roles added yet</div>';
+
+                        if (queue.length === 0) {
+                            list.innerHTML = '<div style="opacity: 0.6; text-align: center; padding: 20px;">Nobody is waiting for verification</div>';
                             return;
                         }
-                        
+
                         list.innerHTML = '';
-                        
-                        reactionRoleRoles.forEach((roleData, index) => {
-                            const roleElement = document.createElement('div');
-                            roleElement.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 8px; margin-bottom: 4px; background: rgba(255,255,255,0.1); border-radius: 6px;';
-                            
-                            roleElement.innerHTML = \`
-                                <div style="display: flex; align-items: center; gap: 8px;">
-                                    <span style="font-size: 1.2em;">\${roleData.emoji}</span>
-                                    <div>
-                                        <div style="font-weight: 600;">\${roleData.roleName}</div>
-                                        \${roleData.description ? \`<div style="font-size: 0.8rem; opacity: 0.7;">\${roleData.description}</div>\` : ''}
-                                    </div>
-                                </div>
-                                <button type="button" onclick="window.removeReactionRoleRole(\${index})" class="glass-btn-small">Remove</button>
-                            \`;
-                            list.appendChild(roleElement);
+
+                        queue.forEach(entry => {
+                            const row = document.createElement('div');
+                            row.style.cssText = 'padding: 12px; margin-bottom: 8px; background: rgba(255,255,255,0.1); border-radius: 8px; border-left: 4px solid ' +
+                                (entry.status === 'awaiting_approval' ? '#faa61a' : entry.flagged ? '#ff6b6b' : '#7289da') + ';';
+
+                            const header = document.createElement('div');
+                            header.style.cssText = 'display: flex; justify-content: space-between; align-items: center;';
+
+                            const info = document.createElement('div');
+                            const name = document.createElement('div');
+                            name.style.fontWeight = '600';
+                            name.textContent = entry.username || entry.userId;
+                            const details = document.createElement('div');
+                            details.style.cssText = 'font-size: 0.85rem; opacity: 0.7;';
+                            details.textContent = (entry.status === 'awaiting_approval' ? 'Waiting for approval' : 'Has not verified') +
+                                (entry.flagged ? ' • ⚠️ Timed out' : '') +
+                                (entry.attempts ? ' • ' + entry.attempts + ' failed attempt(s)' : '') +
+                                ' • Joined ' + new Date(entry.joinedAt).toLocaleString();
+                            info.append(name, details);
+
+                            const actions = document.createElement('div');
+                            actions.style.cssText = 'display: flex; gap: 8px;';
+                            const approve = document.createElement('button');
+                            approve.type = 'button';
+                            approve.className = 'glass-btn-small';
+                            approve.textContent = 'Approve';
+                            approve.addEventListener('click', () => resolveVerification(entry.userId, 'approve'));
+                            const reject = document.createElement('button');
+                            reject.type = 'button';
+                            reject.className = 'glass-btn-small';
+                            reject.textContent = 'Reject & Kick';
+                            reject.addEventListener('click', () => resolveVerification(entry.userId, 'reject'));
+                            actions.append(approve, reject);
+
+                            header.append(info, actions);
+                            row.appendChild(header);
+
+                            (entry.answers || []).forEach(answer => {
+                                const line = document.createElement('div');
+                                line.style.cssText = 'font-size: 0.85rem; margin-top: 6px;';
+                                const question = document.createElement('strong');
+                                question.textContent = answer.question + ': ';
+                                line.append(question, document.createTextNode(answer.answer));
+                                row.appendChild(line);
+                            });
+
+                            list.appendChild(row);
                         });
                     }
 
-                    window.removeReactionRoleRole = function(index) {
-                        reactionRoleRoles.splice(index, 1);
-                        displayReactionRoleRoles();
-                    };
+                    async function resolveVerification(userId, action) {
+                        if (action === 'reject' && !confirm('Kick this member from the server?')) return;
 
-                    async function submitReactionRoleMessage() {
-                        const channelId = document.getElementById('rr-channel').value;
-                        const title = document.getElementById('rr-title').value.trim();
-                        const description = document.getElementById('rr-description').value.trim();
-                        const maxRoles = parseInt(document.getElementById('rr-max-roles').value);
-                        const removeOnUnreact = document.getElementById('rr-remove-on-unreact').checked;
-                        
-                        if (!channelId && !editingReactionRoleId) {
+                        try {
+                            const response = await fetch(\`/api/plugins/autorole/verification/\${currentGuildId}/\${userId}/\${action}\`, {
+                                method: 'POST'
+                            });
+                            const result = await response.json();
+
+                            if (!response.ok) throw new Error(result.error || 'Failed to update verification');
+
+                            if (window.showNotification) window.showNotification(result.message, 'success');
+                        } catch (error) {
+                            console.error('Error resolving verification:', error);
+                            if (window.showNotification) window.showNotification(error.message, 'error');
+                        } finally {
+                            await loadVerificationQueue();
+                        }
+                    }
+
+                    async function postVerificationMessage() {
+                        const channelId = document.getElementById('verification-channel').value;
+                        if (!channelId) {
                             if (window.showNotification) window.showNotification('Please select a channel', 'error');
                             return;
                         }
-                        
-                        if (reactionRoleRoles.length === 0) {
-                            if (window.showNotification) window.showNotification('Please add at least one role', 'error');
+
+                        try {
+                            const response = await fetch(\`/api/plugins/autorole/verification/\${currentGuildId}/post\`, {
+                                method: 'POST',
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify({ channelId })
+                            });
+                            const result = await response.json();
+
+                            if (!response.ok) throw new Error(result.error || 'Failed to post verify message');
+
+                            if (window.showNotification) window.showNotification(result.message, 'success');
+                            await loadVerificationQueue();
+                        } catch (error) {
+                            console.error('Error posting verify message:', error);
+                            if (window.showNotification) window.showNotification(error.message, 'error');
+                        }
+                    }
+
+                    function toggleStickyRolesConfig() {
+                        const enabled = document.getElementById('sticky-roles-enabled');
+                        const config = document.getElementById('sticky-roles-config');
+
+                        if (enabled && config) {
+                            config.style.display = enabled.checked ? 'block' : 'none';
+                        }
+                    }
+
+                    async function loadStickySnapshots() {
+                        try {
+                            const response = await fetch(\`/api/plugins/autorole/sticky/\${currentGuildId}\`);
+                            const snapshots = await response.json();
+
+                            displayStickySnapshots(Array.isArray(snapshots) ? snapshots : []);
+                        } catch (error) {
+                            console.error('Error loading sticky role snapshots:', error);
+                        }
+                    }
+
+                    function displayStickySnapshots(snapshots) {
+                        const list = document.getElementById('sticky-snapshots-list');
+                        if (!list) return;
+
+                        if (snapshots.length === 0) {
+                            list.innerHTML = '<div style="opacity: 0.6; text-align: center; padding: 20px;">No saved roles from members who left</div>';
                             return;
                         }
-                        
-                        const submitBtn = document.getElementById('submit-rr-message');
-                        const originalBtnText = submitBtn.textContent;
-                        
+
+                        list.innerHTML = '';
+
+                        snapshots.forEach(snapshot => {
+                            const row = document.createElement('div');
+                            row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 8px; margin-bottom: 4px; background: rgba(255,255,255,0.1); border-radius: 6px;';
+
+                            const info = document.createElement('div');
+                            const name = document.createElement('div');
+                            name.style.fontWeight = '600';
+                            name.textContent = snapshot.username || snapshot.userId;
+                            const details = document.createElement('div');
+                            details.style.cssText = 'font-size: 0.8rem; opacity: 0.7;';
+                            details.textContent = 'Left ' + new Date(snapshot.leftAt).toLocaleDateString() + ' • ' + snapshot.roles.map(getRoleName).join(', ');
+                            info.append(name, details);
+
+                            const remove = document.createElement('button');
+                            remove.type = 'button';
+                            remove.className = 'glass-btn-small';
+                            remove.textContent = 'Forget';
+                            remove.addEventListener('click', async () => {
+                                if (!confirm('Forget the saved roles for this member?')) return;
+                                const response = await fetch(\`/api/plugins/autorole/sticky/\${currentGuildId}/\${snapshot.userId}\`, { method: 'DELETE' });
+                                if (!response.ok && window.showNotification) window.showNotification('Error deleting snapshot', 'error');
+                                await loadStickySnapshots();
+                            });
+
+                            row.append(info, remove);
+                            list.appendChild(row);
+                        });
+                    }
+
+                    async function loadLevelRoleSync() {
+                        const guildId = currentGuildId;
                         try {
-                            submitBtn.disabled = true;
-                            submitBtn.textContent = 'Saving...';
-                            
-                            const payload = { title, description, roles: reactionRoleRoles, maxRoles, removeOnUnreact, channelId };
-                            const url = editingReactionRoleId 
-                                ? \`/api/plugins/autorole/reactionroles/\${currentGuildId}/\${editingReactionRoleId}\`
-                                : \`/api/plugins/autorole/reactionroles/\${currentGuildId}/create\`;
-                            const method = editingReactionRoleId ? 'PUT' : 'POST';
+                            const response = await fetch(\`/api/plugins/autorole/sync-level-roles/\${guildId}\`);
+                            const job = await response.json();
 
-                            const response = await fetch(url, {
-                                method: method,
+                            // Ignore a poll that finished after switching servers
+                            if (guildId !== currentGuildId) return;
+                            displayLevelRoleSync(response.ok ? job : null);
+                        } catch (error) {
+                            console.error('Error loading level role sync:', error);
+                        }
+                    }
+
+                    function displayLevelRoleSync(job) {
+                        clearTimeout(levelSyncPollTimer);
+
+                        const running = !!job && job.status === 'running';
+                        document.getElementById('preview-level-sync-btn').disabled = running;
+                        document.getElementById('sync-level-roles-btn').disabled = running;
+                        document.getElementById('cancel-level-sync-btn').style.display = running ? '' : 'none';
+
+                        const status = document.getElementById('level-sync-status');
+                        if (!job) {
+                            status.style.display = 'none';
+                            return;
+                        }
+                        status.style.display = 'block';
+
+                        const processed = job.summary.processed;
+                        document.getElementById('level-sync-progress').style.width = (job.total ? Math.round(processed / job.total * 100) : 100) + '%';
+
+                        const statusLabels = { running: 'running', completed: 'finished', cancelled: 'cancelled', failed: 'failed' };
+                        let summary = (job.dryRun ? 'Preview' : 'Sync') + ' ' + (statusLabels[job.status] || job.status) +
+                            ' • ' + processed + '/' + job.total + ' members checked • ' + job.summary.changed + ' ' +
+                            (job.dryRun ? 'would change' : 'changed') + ' (+' + job.summary.rolesAdded + ' / −' + job.summary.rolesRemoved + ' roles)';
+                        if (job.summary.errors > 0) summary += ' • ' + job.summary.errors + ' error(s)';
+                        if (job.error) summary += ' • ' + job.error;
+                        document.getElementById('level-sync-summary').textContent = summary;
+
+                        const report = document.getElementById('level-sync-report');
+                        report.innerHTML = '';
+
+                        if (job.changes.length === 0 && job.status !== 'running') {
+                            report.innerHTML = '<div style="opacity: 0.6; text-align: center; padding: 12px;">Every member already has the right level roles</div>';
+                        }
+
+                        job.changes.forEach(change => {
+                            const row = document.createElement('div');
+                            row.style.cssText = 'padding: 6px 8px; margin-bottom: 4px; background: rgba(255,255,255,0.1); border-radius: 6px; font-size: 0.9rem;';
+
+                            const name = document.createElement('div');
+                            name.style.fontWeight = '600';
+                            name.textContent = (change.username || change.userId) + ' • Level ' + change.level;
+                            row.appendChild(name);
+
+                            if (change.added.length > 0) {
+                                const added = document.createElement('div');
+                                added.style.color = '#3ba55c';
+                                added.textContent = '+ ' + change.added.map(getRoleName).join(', ');
+                                row.appendChild(added);
+                            }
+                            if (change.removed.length > 0) {
+                                const removed = document.createElement('div');
+                                removed.style.color = '#ed4245';
+                                removed.textContent = '− ' + change.removed.map(getRoleName).join(', ');
+                                row.appendChild(removed);
+                            }
+
+                            report.appendChild(row);
+                        });
+
+                        if (job.summary.changed > job.changes.length) {
+                            const more = document.createElement('div');
+                            more.style.cssText = 'opacity: 0.6; text-align: center; padding: 8px;';
+                            more.textContent = 'and ' + (job.summary.changed - job.changes.length) + ' more';
+                            report.appendChild(more);
+                        }
+
+                        if (running) {
+                            levelSyncPollTimer = setTimeout(loadLevelRoleSync, 2000);
+                        }
+                    }
+
+                    async function startLevelRoleSync(dryRun) {
+                        if (!dryRun && !confirm('Add and remove level roles for every member to match their level?')) return;
+
+                        try {
+                            const response = await fetch(\`/api/plugins/autorole/sync-level-roles/\${currentGuildId}\`, {
+                                method: 'POST',
                                 headers: { 'Content-Type': 'application/json' },
-                                body: JSON.stringify(payload)
+                                body: JSON.stringify({ dryRun })
                             });
-                            
+
                             const result = await response.json();
-                            
+
                             if (response.ok) {
                                 if (window.showNotification) window.showNotification(result.message, 'success');
-                                closeReactionRoleModal();
-                                await loadReactionRoles();
+                                displayLevelRoleSync(result.job);
                             } else {
-                                throw new Error(result.error || 'Failed to save reaction role');
+                                throw new Error(result.error || 'Failed to start level role sync');
                             }
                         } catch (error) {
-                            console.error('Error saving reaction role:', error);
+                            console.error('Error starting level role sync:', error);
                             if (window.showNotification) window.showNotification(error.message, 'error');
-                        } finally {
-                            submitBtn.disabled = false;
-                            submitBtn.textContent = originalBtnText;
                         }
                     }
 
-                    async function syncLevelRoles() {
+                    async function cancelLevelRoleSync() {
                         try {
-                            const syncBtn = document.getElementById('sync-level-roles-btn');
-                            if (syncBtn) {
-                                syncBtn.disabled = true;
-                                syncBtn.innerHTML = '🔄 Syncing...';
-                            }
-                            
                             const response = await fetch(\`/api/plugins/autorole/sync-level-roles/\${currentGuildId}\`, {
-                                method: 'POST'
+                                method: 'DELETE'
                             });
-                            
-                            const result = await response.json();
-                            
-                            if (response.ok) {
-                                if (window.showNotification) {
-                                    window.showNotification(result.message, 'success');
-                                }
-                            } else {
-                                throw new Error(result.error || 'Failed to sync level roles');
-                            }
+
+                            if (!response.ok && window.showNotification) window.showNotification('No level role sync is running', 'error');
+                            await loadLevelRoleSync();
                         } catch (error) {
-                            console.error('Error syncing level roles:', error);
-                            if (window.showNotification) {
-                                window.showNotification(error.message, 'error');
-                            }
-                        } finally {
-                            const syncBtn = document.getElementById('sync-level-roles-btn');
-                            if (syncBtn) {
-                                syncBtn.disabled = false;
-                                syncBtn.innerHTML = '🔄 Sync All Level Roles';
-                            }
+                            console.error('Error cancelling level role sync:', error);
                         }
                     }
 
@@ -1983,6 +5497,21 @@ class AutoRolePlugin {
                                     excludeBots: joinRolesExcludeBots ? joinRolesExcludeBots.checked : true,
                                     minAccountAge: joinRolesMinAge ? parseInt(joinRolesMinAge.value) : 0
                                 },
+                                verification: {
+                                    enabled: document.getElementById('verification-enabled').checked,
+                                    pendingRoleId: document.getElementById('verification-pending-role').value || null,
+                                    rulesText: document.getElementById('verification-rules').value.trim(),
+                                    questions: verificationQuestions,
+                                    manualApproval: document.getElementById('verification-manual').checked,
+                                    timeoutMinutes: parseInt(document.getElementById('verification-timeout').value) || 0,
+                                    timeoutAction: document.getElementById('verification-timeout-action').value
+                                },
+                                stickyRoles: {
+                                    enabled: document.getElementById('sticky-roles-enabled').checked,
+                                    roles: Array.from(document.getElementById('sticky-roles-select').selectedOptions).map(option => option.value),
+                                    alwaysRestore: Array.from(document.getElementById('sticky-always-select').selectedOptions).map(option => option.value),
+                                    retentionDays: parseInt(document.getElementById('sticky-retention').value) || 30
+                                },
                                 logChannelId: logChannelSelect ? logChannelSelect.value || null : null
                             };
                             
@@ -1993,13 +5522,15 @@ class AutoRolePlugin {
                             });
                             
                             if (!autoRoleResponse.ok) {
-                                throw new Error('Failed to save auto-role settings');
+                                const result = await autoRoleResponse.json().catch(() => ({}));
+                                throw new Error(result.error || 'Failed to save auto-role settings');
                             }
                             
                             const levelRolesEnabled = document.getElementById('level-roles-enabled');
                             
                             const levelRoleSettings = {
                                 enabled: levelRolesEnabled ? levelRolesEnabled.checked : false,
+                                mode: document.getElementById('level-roles-mode').value,
                                 roles: levelRoles,
                                 logChannelId: logChannelSelect ? logChannelSelect.value || null : null
                             };
@@ -2011,7 +5542,8 @@ class AutoRolePlugin {
                             });
                             
                             if (!levelRoleResponse.ok) {
-                                throw new Error('Failed to save level role settings');
+                                const result = await levelRoleResponse.json().catch(() => ({}));
+                                throw new Error(result.error || 'Failed to save level role settings');
                             }
                             
                             if (window.showNotification) {
@@ -1,8 +1,8 @@
-const fs = require('fs');
-const path = require('path');
-
 class ChannelRulesPlugin {
-    constructor(app, client, ensureAuthenticated, hasAdminPermissions) {
+    // Version of the rule.violation event
+    static apiVersion = '1.0.0';
+
+    constructor(app, client, ensureAuthenticated, requirePermission, context = {}) {
         this.name = 'Channel Rules';
         this.description = 'Set up automated rules for channels with custom conditions and actions';
         this.version = '1.2.0';
@@ -11,68 +11,61 @@ class ChannelRulesPlugin {
         this.app = app;
         this.client = client;
         this.ensureAuthenticated = ensureAuthenticated;
-        this.hasAdminPermissions = hasAdminPermissions;
+        this.requirePermission = requirePermission;
         
         // Storage for channel rules per server
-        this.channelRules = this.loadChannelRules();
+        this.storage = context.storage;
+        this.rulesStore = this.storage.collection('channelrules.rules');
+        this.events = context.events;
+        this.logger = context.logger;
+        this.channelRules = {};
+        
+        this.initialize();
+    }
+
+    async initialize() {
+        this.channelRules = await this.loadChannelRules();
         
         this.setupRoutes();
         this.setupMessageListener();
     }
 
-    loadChannelRules() {
+    async loadChannelRules() {
         try {
-            const rulesPath = './data/channelRules.json';
-            if (fs.existsSync(rulesPath)) {
-                return JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
-            }
+            return await this.rulesStore.all();
         } catch (error) {
-            console.error('Error loading channel rules:', error);
+            this.logger.error('Error loading channel rules', { error });
         }
         return {};
     }
 
-    saveChannelRules() {
+    async saveChannelRules() {
         try {
-            const dataDir = './data';
-            if (!fs.existsSync(dataDir)) {
-                fs.mkdirSync(dataDir);
-            }
-            fs.writeFileSync('./data/channelRules.json', JSON.stringify(this.channelRules, null, 2));
+            await this.rulesStore.replace(this.channelRules);
         } catch (error) {
-            console.error('Error saving channel rules:', error);
+            this.logger.error('Error saving channel rules', { error });
         }
     }
 
     setupRoutes() {
         // Get all channel rules for a server
-        this.app.get('/api/plugins/channelrules/rules/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/channelrules/rules/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { serverId } = req.params;
                 
-                const hasAdmin = await this.hasAdminPermissions(req.user.id, serverId);
-                if (!hasAdmin) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
-                
                 const serverRules = this.channelRules[serverId] || {};
                 res.json(serverRules);
             } catch (error) {
-                console.error('Error getting channel rules:', error);
+                this.logger.error('Error getting channel rules', { error });
                 res.status(500).json({ error: 'Failed to get channel rules' });
             }
         });
 
         // Get rules for a specific channel
-        this.app.get('/api/plugins/channelrules/rules/:serverId/:channelId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/channelrules/rules/:serverId/:channelId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { serverId, channelId } = req.params;
                 
-                const hasAdmin = await this.hasAdminPermissions(req.user.id, serverId);
-                if (!hasAdmin) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
-                
                 const channelRules = this.channelRules[serverId]?.[channelId] || {
                     enabled: false,
                     rules: [],
@@ -81,22 +74,17 @@ class ChannelRulesPlugin {
                 
                 res.json(channelRules);
             } catch (error) {
-                console.error('Error getting channel rules:', error);
+                this.logger.error('Error getting channel rules', { error });
                 res.status(500).json({ error: 'Failed to get channel rules' });
             }
         });
 
         // Update rules for a specific channel
-        this.app.post('/api/plugins/channelrules/rules/:serverId/:channelId', this.ensureAuthenticated, async (req, res) => {
+        this.app.post('/api/plugins/channelrules/rules/:serverId/:channelId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
             try {
                 const { serverId, channelId } = req.params;
                 const { enabled, rules, logChannelId } = req.body;
                 
-                const hasAdmin = await this.hasAdminPermissions(req.user.id, serverId);
-                if (!hasAdmin) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
-                
                 if (!this.channelRules[serverId]) {
                     this.channelRules[serverId] = {};
                 }
@@ -110,21 +98,16 @@ class ChannelRulesPlugin {
                 this.saveChannelRules();
                 res.json({ success: true, message: 'Channel rules updated successfully' });
             } catch (error) {
-                console.error('Error updating channel rules:', error);
+                this.logger.error('Error updating channel rules', { error });
                 res.status(500).json({ error: 'Failed to update channel rules' });
             }
         });
 
         // Delete rules for a specific channel
-        this.app.delete('/api/plugins/channelrules/rules/:serverId/:channelId', this.ensureAuthenticated, async (req, res) => {
+        this.app.delete('/api/plugins/channelrules/rules/:serverId/:channelId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
             try {
                 const { serverId, channelId } = req.params;
                 
-                const hasAdmin = await this.hasAdminPermissions(req.user.id, serverId);
-                if (!hasAdmin) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
-                
                 if (this.channelRules[serverId] && this.channelRules[serverId][channelId]) {
                     delete this.channelRules[serverId][channelId];
                     this.saveChannelRules();
@@ -132,21 +115,16 @@ class ChannelRulesPlugin {
                 
                 res.json({ success: true, message: 'Channel rules deleted successfully' });
             } catch (error) {
-                console.error('Error deleting channel rules:', error);
+                this.logger.error('Error deleting channel rules', { error });
                 res.status(500).json({ error: 'Failed to delete channel rules' });
             }
         });
 
         // Get roles for a server (NEW ENDPOINT)
-        this.app.get('/api/plugins/channelrules/roles/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/channelrules/roles/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { serverId } = req.params;
                 
-                const hasAdmin = await this.hasAdminPermissions(req.user.id, serverId);
-                if (!hasAdmin) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
-                
                 const guild = this.client.guilds.cache.get(serverId);
                 if (!guild) {
                     return res.status(404).json({ error: 'Server not found' });
@@ -163,7 +141,7 @@ class ChannelRulesPlugin {
                 
                 res.json(roles);
             } catch (error) {
-                console.error('Error getting roles:', error);
+                this.logger.error('Error getting roles', { error });
                 res.status(500).json({ error: 'Failed to get roles' });
             }
         });
@@ -538,6 +516,14 @@ class ChannelRulesPlugin {
 
     async handleRuleViolation(message, rule, violation, logChannelId) {
         try {
+            this.events.publish('rule.violation', {
+                guildId: message.guild.id,
+                channelId: message.channel.id,
+                userId: message.author.id,
+                ruleType: rule.type,
+                violationType: violation.type
+            });
+            
             // Delete the original message
             await message.delete();
             
@@ -589,7 +575,7 @@ class ChannelRulesPlugin {
                     
                     await message.author.send({ embeds: [dmEmbed] });
                 } catch (dmError) {
-                    console.log(`Could not send DM to ${message.author.tag}: ${dmError.message}`);
+                    this.logger.info(`Could not send DM to ${message.author.tag}: ${dmError.message}`, { guildId: message.guild.id, userId: message.author.id });
                 }
             }
             
@@ -751,10 +737,14 @@ class ChannelRulesPlugin {
                 }
             }
             
-            console.log(`Rule violation in ${message.guild.name}#${message.channel.name} by ${message.author.tag}: ${violation.type}`);
+            this.logger.info(`Rule violation in ${message.guild.name}#${message.channel.name} by ${message.author.tag}: ${violation.type}`, {
+                guildId: message.guild.id,
+                userId: message.author.id,
+                channelId: message.channel.id
+            });
             
         } catch (error) {
-            console.error('Error handling rule violation:', error);
+            this.logger.error('Error handling rule violation', { guildId: message.guild.id, userId: message.author.id, error });
         }
     }
 
@@ -1,9 +1,7 @@
-const fs = require('fs').promises;
-const path = require('path');
 const { EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
 
 class CustomCommandsPlugin {
-    constructor(app, client, ensureAuthenticated, hasAdminPermissions) {
+    constructor(app, client, ensureAuthenticated, requirePermission, context = {}) {
         this.name = 'Custom Commands';
         this.description = 'Advanced custom command system with visual flow editor, AI triggers, and templating';
         this.version = '2.0.0';
@@ -12,13 +10,13 @@ class CustomCommandsPlugin {
         this.app = app;
         this.client = client;
         this.ensureAuthenticated = ensureAuthenticated;
-        this.hasAdminPermissions = hasAdminPermissions;
+        this.requirePermission = requirePermission;
         
-        // File paths
-        this.dataDir = path.join(__dirname, '..', 'data');
-        this.commandsFile = path.join(this.dataDir, 'customCommands.json');
-        this.variablesFile = path.join(this.dataDir, 'customVariables.json');
-        this.templatesFile = path.join(this.dataDir, 'commandTemplates.json');
+        // Storage collections
+        this.storage = context.storage;
+        this.commandStore = this.storage.collection('customcommands.commands');
+        this.variableStore = this.storage.collection('customcommands.variables');
+        this.templateStore = this.storage.collection('customcommands.templates');
         
         // Rate limiting and cooldowns
         this.cooldowns = new Map();
@@ -31,26 +29,9 @@ class CustomCommandsPlugin {
 
     async initializeFiles() {
         try {
-            await fs.mkdir(this.dataDir, { recursive: true });
-            
-            // Initialize commands file
-            try {
-                await fs.access(this.commandsFile);
-            } catch {
-                await fs.writeFile(this.commandsFile, JSON.stringify({}, null, 2));
-            }
-            
-            // Initialize variables file
-            try {
-                await fs.access(this.variablesFile);
-            } catch {
-                await fs.writeFile(this.variablesFile, JSON.stringify({}, null, 2));
-            }
-            
-            // Initialize templates file with default templates
-            try {
-                await fs.access(this.templatesFile);
-            } catch {
+            // Seed the default templates on first run
+            const existingTemplates = await this.templateStore.keys();
+            if (existingTemplates.length === 0) {
                 const defaultTemplates = {
                     'welcome-basic': {
                         name: 'Basic Welcome Message',
@@ -96,10 +77,10 @@ class CustomCommandsPlugin {
                         permissions: { roles: [], users: [] }
                     }
                 };
-                await fs.writeFile(this.templatesFile, JSON.stringify(defaultTemplates, null, 2));
+                await this.templateStore.setMany(defaultTemplates);
             }
             
-            console.log('✓ Custom Commands: Data files initialized');
+            console.log('✓ Custom Commands: Data initialized');
         } catch (error) {
             console.error('Custom Commands: Error initializing files:', error);
         }
@@ -478,28 +459,26 @@ class CustomCommandsPlugin {
 
     async loadCommands() {
         try {
-            const data = await fs.readFile(this.commandsFile, 'utf8');
-            return JSON.parse(data);
+            return await this.commandStore.all();
         } catch {
             return {};
         }
     }
 
     async saveCommands(commands) {
-        await fs.writeFile(this.commandsFile, JSON.stringify(commands, null, 2));
+        await this.commandStore.replace(commands);
     }
 
     async loadVariables() {
         try {
-            const data = await fs.readFile(this.variablesFile, 'utf8');
-            return JSON.parse(data);
+            return await this.variableStore.all();
         } catch {
             return {};
         }
     }
 
     async saveVariables(variables) {
-        await fs.writeFile(this.variablesFile, JSON.stringify(variables, null, 2));
+        await this.variableStore.replace(variables);
     }
 
     async setVariable(guildId, userId, name, value, scope = 'user') {
@@ -522,14 +501,10 @@ class CustomCommandsPlugin {
     }
 
     setupRoutes() {
-        this.app.get('/api/plugins/customcommands/commands/:guildId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/customcommands/commands/:guildId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { guildId } = req.params;
                 
-                if (!await this.hasAdminPermissions(req.user.id, guildId)) {
-                    return res.status(403).json({ error: 'Admin permissions required' });
-                }
-                
                 const commands = await this.loadCommands();
                 res.json(commands[guildId] || {});
             } catch (error) {
@@ -538,12 +513,9 @@ class CustomCommandsPlugin {
             }
         });
         
-        this.app.get('/api/plugins/customcommands/server-data/:guildId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/customcommands/server-data/:guildId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { guildId } = req.params;
-                if (!await this.hasAdminPermissions(req.user.id, guildId)) {
-                    return res.status(403).json({ error: 'Admin permissions required' });
-                }
                 
                 const guild = this.client.guilds.cache.get(guildId);
                 if (!guild) {
@@ -567,15 +539,11 @@ class CustomCommandsPlugin {
             }
         });
 
-        this.app.post('/api/plugins/customcommands/commands/:guildId', this.ensureAuthenticated, async (req, res) => {
+        this.app.post('/api/plugins/customcommands/commands/:guildId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
             try {
                 const { guildId } = req.params;
                 const commandData = req.body;
                 
-                if (!await this.hasAdminPermissions(req.user.id, guildId)) {
-                    return res.status(403).json({ error: 'Admin permissions required' });
-                }
-                
                 const commands = await this.loadCommands();
                 if (!commands[guildId]) commands[guildId] = {};
                 
@@ -598,14 +566,10 @@ class CustomCommandsPlugin {
             }
         });
 
-        this.app.delete('/api/plugins/customcommands/commands/:guildId/:commandId', this.ensureAuthenticated, async (req, res) => {
+        this.app.delete('/api/plugins/customcommands/commands/:guildId/:commandId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
             try {
                 const { guildId, commandId } = req.params;
                 
-                if (!await this.hasAdminPermissions(req.user.id, guildId)) {
-                    return res.status(403).json({ error: 'Admin permissions required' });
-                }
-                
                 const commands = await this.loadCommands();
                 if (commands[guildId] && commands[guildId][commandId]) {
                     delete commands[guildId][commandId];
@@ -619,10 +583,10 @@ class CustomCommandsPlugin {
             }
         });
 
-        this.app.get('/api/plugins/customcommands/templates', this.ensureAuthenticated, async (req, res) => {
+        // Templates are shared by every server; any server the user can view will do
+        this.app.get('/api/plugins/customcommands/templates/:guildId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
-                const data = await fs.readFile(this.templatesFile, 'utf8');
-                const templates = JSON.parse(data);
+                const templates = await this.templateStore.all();
                 res.json(templates);
             } catch (error) {
                 console.error('Error fetching templates:', error);
@@ -630,14 +594,10 @@ class CustomCommandsPlugin {
             }
         });
 
-        this.app.get('/api/plugins/customcommands/variables/:guildId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/customcommands/variables/:guildId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { guildId } = req.params;
                 
-                if (!await this.hasAdminPermissions(req.user.id, guildId)) {
-                    return res.status(403).json({ error: 'Admin permissions required' });
-                }
-                
                 const variables = await this.loadVariables();
                 res.json(variables[guildId] || { users: {}, server: {} });
             } catch (error) {
@@ -646,15 +606,10 @@ class CustomCommandsPlugin {
             }
         });
 
-        this.app.post('/api/plugins/customcommands/test/:guildId', this.ensureAuthenticated, async (req, res) => {
+        this.app.post('/api/plugins/customcommands/test/:guildId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
-                const { guildId } = req.params;
                 const { command, testContext } = req.body;
                 
-                if (!await this.hasAdminPermissions(req.user.id, guildId)) {
-                    return res.status(403).json({ error: 'Admin permissions required' });
-                }
-                
                 const result = {
                     valid: true,
                     preview: this.replaceVariables(command.response.content || '', testContext),
@@ -1254,8 +1209,10 @@ class CustomCommandsPlugin {
                 }
                 
                 async function loadTemplates() {
+                    if (!currentServerId) return;
+                    
                     try {
-                        const response = await fetch('/api/plugins/customcommands/templates');
+                        const response = await fetch(\`/api/plugins/customcommands/templates/\${currentServerId}\`);
                         currentTemplates = await response.json();
                         displayTemplates();
                     } catch (error) {
@@ -1,9 +1,8 @@
-const fs = require('fs');
 const https = require('https');
 const { EmbedBuilder, SlashCommandBuilder, PermissionsBitField } = require('discord.js');
 
 class EventManagerPlugin {
-    constructor(app, client, ensureAuthenticated, hasAdminPermissions) {
+    constructor(app, client, ensureAuthenticated, requirePermission, context = {}) {
         this.name = 'Event Manager';
         this.description = 'Manage collaborations and competitions with Google Sheets integration';
         this.version = '3.4.0';
@@ -12,42 +11,38 @@ class EventManagerPlugin {
         this.app = app;
         this.client = client;
         this.ensureAuthenticated = ensureAuthenticated;
-        this.hasAdminPermissions = hasAdminPermissions;
+        this.requirePermission = requirePermission;
+        this.requireBotOwner = context.requireBotOwner;
 
-        this.settingsFile = './data/eventManagerSettings.json';
-        this.collaborationsFile = './data/eventManagerCollaborations.json';
+        this.storage = context.storage;
+        this.settingsStore = this.storage.collection('eventmanager.settings');
+        this.collaborationStore = this.storage.collection('eventmanager.collaborations');
 
-        this.initializeDataFiles();
         this.setupRoutes();
         this.setupSlashCommands();
 
         console.log('Event Manager Plugin loaded successfully.');
     }
 
-    initializeDataFiles() {
-        if (!fs.existsSync('./data')) fs.mkdirSync('./data');
-        if (!fs.existsSync(this.settingsFile)) fs.writeFileSync(this.settingsFile, JSON.stringify({}, null, 2));
-        if (!fs.existsSync(this.collaborationsFile)) fs.writeFileSync(this.collaborationsFile, JSON.stringify({ lastUpdated: 0, data: [] }, null, 2));
-    }
-
-    loadSettings() {
+    async loadSettings() {
         try {
-            return JSON.parse(fs.readFileSync(this.settingsFile, 'utf8'));
+            return await this.settingsStore.all();
         } catch {
             return {};
         }
     }
 
-    saveSettings(settings) {
-        fs.writeFileSync(this.settingsFile, JSON.stringify(settings, null, 2));
+    async saveSettings(settings) {
+        await this.settingsStore.replace(settings);
     }
 
-    loadCollaborations() {
-        return JSON.parse(fs.readFileSync(this.collaborationsFile, 'utf8'));
+    async loadCollaborations() {
+        const collaborations = await this.collaborationStore.all();
+        return { lastUpdated: 0, data: [], ...collaborations };
     }
 
-    saveCollaborations(collaborations) {
-        fs.writeFileSync(this.collaborationsFile, JSON.stringify(collaborations, null, 2));
+    async saveCollaborations(collaborations) {
+        await this.collaborationStore.replace(collaborations);
     }
 
     async syncFromGoogleSheets() {
@@ -56,10 +51,14 @@ class EventManagerPlugin {
             https.get(csvUrl, (res) => {
                 let data = '';
                 res.on('data', chunk => data += chunk);
-                res.on('end', () => {
-                    const collaborations = this.parseCSV(data);
-                    this.saveCollaborations({ lastUpdated: Date.now(), data: collaborations });
-                    resolve(collaborations);
+                res.on('end', async () => {
+                    try {
+                        const collaborations = this.parseCSV(data);
+                        await this.saveCollaborations({ lastUpdated: Date.now(), data: collaborations });
+                        resolve(collaborations);
+                    } catch (error) {
+                        reject(error);
+                    }
                 });
             }).on('error', reject);
         });
@@ -126,7 +125,7 @@ class EventManagerPlugin {
     }
 
     async checkPermissions(interaction) {
-        const settings = this.loadSettings();
+        const settings = await this.loadSettings();
         const guildId = interaction.guildId;
         const guildSettings = settings[guildId];
 
@@ -152,9 +151,10 @@ class EventManagerPlugin {
     setupSlashCommands() {
         this.client.on('interactionCreate', async (interaction) => {
             if (!interaction.isChatInputCommand()) return;
+            if (!this.getSlashCommands().some(cmd => cmd.name === interaction.commandName)) return;
             if (!await this.checkPermissions(interaction)) return;
 
-            const collaborations = this.loadCollaborations().data;
+            const collaborations = (await this.loadCollaborations()).data;
             const { commandName } = interaction;
 
             if (commandName === 'upcomingevents') {
@@ -239,19 +239,17 @@ class EventManagerPlugin {
     }
 
     setupRoutes() {
-        this.app.get('/api/plugins/eventmanager/settings/:guildId', this.ensureAuthenticated, (req, res) => {
-            const settings = this.loadSettings();
+        this.app.get('/api/plugins/eventmanager/settings/:guildId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
+            const settings = await this.loadSettings();
             res.json(settings[req.params.guildId] || { allowedRoles: [], allowedChannels: [] });
         });
 
-        this.app.post('/api/plugins/eventmanager/settings/:guildId', this.ensureAuthenticated, (req, res) => {
-            const settings = this.loadSettings();
-            settings[req.params.guildId] = req.body;
-            this.saveSettings(settings);
+        this.app.post('/api/plugins/eventmanager/settings/:guildId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            await this.settingsStore.set(req.params.guildId, req.body);
             res.json({ success: true });
         });
 
-        this.app.get('/api/plugins/eventmanager/server-data/:guildId', this.ensureAuthenticated, (req, res) => {
+        this.app.get('/api/plugins/eventmanager/server-data/:guildId', this.ensureAuthenticated, this.requirePermission('view'), (req, res) => {
             const guild = this.client.guilds.cache.get(req.params.guildId);
             if (!guild) return res.status(404).json({ error: 'Guild not found' });
             const roles = guild.roles.cache.filter(r => r.name !== '@everyone').map(r => ({ id: r.id, name: r.name }));
@@ -259,7 +257,8 @@ class EventManagerPlugin {
             res.json({ roles, channels });
         });
 
-        this.app.post('/api/plugins/eventmanager/sync', this.ensureAuthenticated, async (req, res) => {
+        // The collaboration sheet is shared by every server, so only the bot owner syncs it
+        this.app.post('/api/plugins/eventmanager/sync', this.ensureAuthenticated, this.requireBotOwner, async (req, res) => {
             try {
                 const collaborations = await this.syncFromGoogleSheets();
                 res.json({ success: true, data: collaborations });
@@ -373,7 +372,12 @@ class EventManagerPlugin {
                     alert('✅ Settings saved.');
                 });
                 syncBtn.addEventListener('click', async ()=>{
-                    await fetch('/api/plugins/eventmanager/sync',{method:'POST'});
+                    const res = await fetch('/api/plugins/eventmanager/sync',{method:'POST'});
+                    if(!res.ok){
+                        const data = await res.json().catch(()=>({}));
+                        alert('❌ ' + (data.error || 'Sync failed'));
+                        return;
+                    }
                     alert('✅ Synced from Google Sheets.');
                 });
                 loadServers();
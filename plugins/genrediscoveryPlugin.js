@@ -1,9 +1,10 @@
-const fs = require('fs').promises;
-const path = require('path');
 const { SlashCommandBuilder, StringSelectMenuBuilder, ActionRowBuilder, ComponentType } = require('discord.js');
 
 class GenreDiscoveryPlugin {
-    constructor(app, client, ensureAuthenticated, hasAdminPermissions) {
+    // Version of the 'genres' service
+    static apiVersion = '1.0.0';
+
+    constructor(app, client, ensureAuthenticated, requirePermission, context = {}) {
         this.name = 'Genre Discovery';
         this.description = 'Helps music producers share and discover each other\'s genres and setups';
         this.version = '2.2.0';
@@ -12,12 +13,15 @@ class GenreDiscoveryPlugin {
         this.app = app;
         this.client = client;
         this.ensureAuthenticated = ensureAuthenticated;
-        this.hasAdminPermissions = hasAdminPermissions;
+        this.requirePermission = requirePermission;
+        this.requireBotOwner = context.requireBotOwner;
         
-        // File paths
-        this.dataFile = './data/genreDiscoveryData.json';
-        this.settingsFile = './data/genreDiscoverySettings.json';
-        this.categoriesFile = './data/genreCategories.json';
+        // Storage collections
+        this.storage = context.storage;
+        this.userStore = this.storage.collection('genrediscovery.users');
+        this.settingsStore = this.storage.collection('genrediscovery.settings');
+        this.categoryStore = this.storage.collection('genrediscovery.categories');
+        this.services = context.services;
         
         // Default categories
         this.defaultGenreChunks = [
@@ -100,6 +104,7 @@ class GenreDiscoveryPlugin {
         this.dawChunks = [...this.defaultDawChunks];
         
         this.initializeData();
+        this.registerServices();
         this.setupRoutes();
         this.setupDiscordCommands();
         
@@ -108,27 +113,12 @@ class GenreDiscoveryPlugin {
 
     async initializeData() {
         try {
-            await fs.mkdir('./data', { recursive: true });
-            
-            // Initialize data files if they don't exist
-            try {
-                await fs.access(this.dataFile);
-            } catch {
-                await fs.writeFile(this.dataFile, JSON.stringify({}, null, 2));
-            }
-
-            try {
-                await fs.access(this.settingsFile);
-            } catch {
-                await fs.writeFile(this.settingsFile, JSON.stringify({}, null, 2));
-            }
-            
-            try {
-                await fs.access(this.categoriesFile);
+            // Seed the default categories on first run
+            if (await this.categoryStore.has('genreChunks')) {
                 const categories = await this.loadCategories();
                 this.genreChunks = categories.genreChunks || this.defaultGenreChunks;
                 this.dawChunks = categories.dawChunks || this.defaultDawChunks;
-            } catch {
+            } else {
                 this.genreChunks = [...this.defaultGenreChunks];
                 this.dawChunks = [...this.defaultDawChunks];
                 await this.saveCategories();
@@ -144,34 +134,45 @@ class GenreDiscoveryPlugin {
 
     async loadData() {
         try {
-            const data = await fs.readFile(this.dataFile, 'utf8');
-            return JSON.parse(data);
+            return await this.userStore.all();
         } catch (error) {
             return {};
         }
     }
 
+    // Read-only queries other plugins use instead of reading genre storage
+    registerServices() {
+        this.services.register('genres', {
+            getUserGenres: async (guildId, userId) => (await this.userStore.get(guildId, {}))[userId]?.genres || [],
+            getGuildGenres: async (guildId) => {
+                const guildGenres = {};
+                for (const [userId, data] of Object.entries(await this.userStore.get(guildId, {}))) {
+                    guildGenres[userId] = data.genres || [];
+                }
+                return guildGenres;
+            }
+        });
+    }
+
     async saveData(data) {
-        await fs.writeFile(this.dataFile, JSON.stringify(data, null, 2));
+        await this.userStore.replace(data);
     }
 
     async loadSettings() {
         try {
-            const settings = await fs.readFile(this.settingsFile, 'utf8');
-            return JSON.parse(settings);
+            return await this.settingsStore.all();
         } catch (error) {
             return {};
         }
     }
 
     async saveSettings(settings) {
-        await fs.writeFile(this.settingsFile, JSON.stringify(settings, null, 2));
+        await this.settingsStore.replace(settings);
     }
 
     async loadCategories() {
         try {
-            const categories = await fs.readFile(this.categoriesFile, 'utf8');
-            return JSON.parse(categories);
+            return await this.categoryStore.all();
         } catch (error) {
             return { genreChunks: this.defaultGenreChunks, dawChunks: this.defaultDawChunks };
         }
@@ -182,7 +183,7 @@ class GenreDiscoveryPlugin {
             genreChunks: this.genreChunks,
             dawChunks: this.dawChunks
         };
-        await fs.writeFile(this.categoriesFile, JSON.stringify(categories, null, 2));
+        await this.categoryStore.replace(categories);
     }
 
     getUserData(data, guildId, userId) {
@@ -197,14 +198,10 @@ class GenreDiscoveryPlugin {
 
     setupRoutes() {
         // Get user's genres and DAWs
-        this.app.get('/api/plugins/genrediscovery/user/:guildId/:userId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/genrediscovery/user/:guildId/:userId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { guildId, userId } = req.params;
                 
-                if (!await this.hasAdminPermissions(req.user.id, guildId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-                
                 const data = await this.loadData();
                 const userData = this.getUserData(data, guildId, userId);
                 res.json(userData);
@@ -215,14 +212,10 @@ class GenreDiscoveryPlugin {
         });
 
         // Get guild settings
-        this.app.get('/api/plugins/genrediscovery/settings/:guildId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/genrediscovery/settings/:guildId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { guildId } = req.params;
                 
-                if (!await this.hasAdminPermissions(req.user.id, guildId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-                
                 const settings = await this.loadSettings();
                 res.json(settings[guildId] || { logChannelId: null });
             } catch (error) {
@@ -232,14 +225,10 @@ class GenreDiscoveryPlugin {
         });
 
         // Update guild settings
-        this.app.post('/api/plugins/genrediscovery/settings/:guildId', this.ensureAuthenticated, async (req, res) => {
+        this.app.post('/api/plugins/genrediscovery/settings/:guildId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
             try {
                 const { guildId } = req.params;
                 
-                if (!await this.hasAdminPermissions(req.user.id, guildId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-                
                 const settings = await this.loadSettings();
                 settings[guildId] = { ...settings[guildId], ...req.body };
                 await this.saveSettings(settings);
@@ -251,8 +240,8 @@ class GenreDiscoveryPlugin {
             }
         });
 
-        // Get categories
-        this.app.get('/api/plugins/genrediscovery/categories', this.ensureAuthenticated, async (req, res) => {
+        // Get categories (shared by every server; any server the user can view will do)
+        this.app.get('/api/plugins/genrediscovery/categories/:guildId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 res.json({
                     genreChunks: this.genreChunks,
@@ -264,8 +253,8 @@ class GenreDiscoveryPlugin {
             }
         });
 
-        // Add new category
-        this.app.post('/api/plugins/genrediscovery/categories/:type', this.ensureAuthenticated, async (req, res) => {
+        // Add new category. Categories are shared by every server, so only the bot owner can add them
+        this.app.post('/api/plugins/genrediscovery/categories/:type', this.ensureAuthenticated, this.requireBotOwner, async (req, res) => {
             try {
                 const { type } = req.params;
                 const { categoryName, items } = req.body;
@@ -292,14 +281,10 @@ class GenreDiscoveryPlugin {
         });
 
         // Get guild stats
-        this.app.get('/api/plugins/genrediscovery/stats/:guildId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/genrediscovery/stats/:guildId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { guildId } = req.params;
                 
-                if (!await this.hasAdminPermissions(req.user.id, guildId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-                
                 const data = await this.loadData();
                 const guildData = data[guildId] || {};
                 
@@ -591,6 +576,7 @@ class GenreDiscoveryPlugin {
                                 
                                 if (serverId) {
                                     loadServerData();
+                                    loadCategories();
                                 } else {
                                     clearData();
                                 }
@@ -801,8 +787,11 @@ class GenreDiscoveryPlugin {
                     
                     // Load categories
                     async function loadCategories() {
+                        const serverId = currentServerId || window.dashboardAPI?.currentServer?.();
+                        if (!serverId) return;
+                        
                         try {
-                            const response = await fetch('/api/plugins/genrediscovery/categories');
+                            const response = await fetch(\`/api/plugins/genrediscovery/categories/\${serverId}\`);
                             if (!response.ok) throw new Error('Failed to load categories');
                             
                             categories = await response.json();
@@ -1,8 +1,14 @@
 const fs = require('fs').promises;
 const path = require('path');
+const { SlashCommandBuilder, PermissionFlagsBits, AttachmentBuilder } = require('discord.js');
+const rankCard = require('../lib/rankCard');
+const { AuditTrail } = require('../lib/auditTrail');
 
 class LevelingPlugin {
-    constructor(app, client, ensureAuthenticated, hasAdminPermissions) {
+    // Version of the 'leveling' service and the xp/level/season events
+    static apiVersion = '1.0.0';
+
+    constructor(app, client, ensureAuthenticated, requirePermission, context = {}) {
         this.name = 'Leveling System';
         this.description = 'XP and leveling system with multiple sources and leaderboards';
         this.version = '2.0.0';
@@ -11,100 +17,210 @@ class LevelingPlugin {
         this.app = app;
         this.client = client;
         this.ensureAuthenticated = ensureAuthenticated;
-        this.hasAdminPermissions = hasAdminPermissions;
+        this.requirePermission = requirePermission;
+        this.requireBotOwner = context.requireBotOwner;
         
-        // File paths
-        this.dataFile = './data/levelingData.json';
-        this.settingsFile = './data/levelingSettings.json';
+        // Storage collections (user records are keyed by user ID, settings by guild ID)
+        this.storage = context.storage;
+        this.userStore = this.storage.collection('leveling.users');
+        this.settingsStore = this.storage.collection('leveling.settings');
+        this.boostStore = this.storage.collection('leveling.boosts');
+        this.seasonStore = this.storage.collection('leveling.seasons');
+        this.withheldStore = this.storage.collection('leveling.withheld');
+        this.decayStore = this.storage.collection('leveling.decay');
+        this.auditTrail = new AuditTrail(this.storage.collection('leveling.audit'));
         this.backupDir = './data/backups/leveling';
         
+        // Event bus and service registry shared with the other plugins
+        this.events = context.events;
+        this.logger = context.logger;
+        this.services = context.services;
+        
         // Backup configuration
         this.maxBackups = 50;
+        this.maxDecayBackups = 30; // pre-decay snapshots rotate separately
         this.backupInterval = 30 * 60 * 1000; // 30 minutes
         this.dailyBackupHour = 3; // 3 AM daily backup
         
-        // XP calculation constants
-        this.XP_RATES = {
-            MESSAGE: { min: 15, max: 25 },
-            VOICE_PER_MINUTE: 10,
-            REACTION_GIVEN: 5,
-            REACTION_RECEIVED: 3
+        // Default XP per source; guilds can override these in their settings.
+        // Cooldowns are in milliseconds (rate limiting to prevent XP farming).
+        this.DEFAULT_XP_RATES = {
+            messages: { min: 15, max: 25, cooldown: 60000 },
+            voice: { min: 10, max: 10, cooldown: 60000 },
+            reactionsGiven: { min: 5, max: 5, cooldown: 0 },
+            reactionsReceived: { min: 3, max: 3, cooldown: 0 }
+        };
+        
+        // Default curve keeps the original level² × 100 formula
+        this.DEFAULT_XP_CURVE = { type: 'quadratic', base: 100, growth: 1.5, table: [] };
+        this.XP_CURVE_TYPES = ['quadratic', 'linear', 'exponential', 'table'];
+        
+        // How channel and role multipliers combine when several apply
+        this.MULTIPLIER_STACKING_MODES = ['multiply', 'highest', 'additive'];
+        this.MAX_MULTIPLIER = 10;
+        
+        // Timed XP boosts, keyed by guild ID
+        this.boosts = {};
+        this.BOOST_CHECK_INTERVAL = 30000; // 30 seconds
+        this.BOOST_HISTORY_RETENTION = 30 * 24 * 60 * 60 * 1000; // 30 days
+        this.MAX_BOOST_DURATION = 14 * 24 * 60 * 60 * 1000; // 14 days
+        
+        // Seasons, keyed by guild ID: { current, archive }. Season XP is kept on
+        // each user record next to lifetime XP and reset when a season closes.
+        this.seasons = {};
+        this.seasonChanges = new Set(); // guilds with a season start/close in progress
+        this.SEASON_STANDINGS_SIZE = 10; // standings kept in the archive
+        this.MAX_SEASON_REWARDS = 20;
+        this.DEFAULT_SEASON_REWARDS = {
+            roles: [], // { top, roleId }: the top N members of the season get the role
+            removePrevious: true // take last season's reward roles back when the next season closes
+        };
+        
+        // Message quality gates (anti-farming). Withheld XP is tallied per guild
+        // and reason so moderators can see what the gates are catching.
+        this.DEFAULT_MESSAGE_QUALITY = {
+            enabled: true,
+            minLength: 5,
+            minWords: 2,
+            blockEmojiOnly: true,
+            blockStickerOnly: true,
+            duplicateWindow: 10 * 60 * 1000, // 10 minutes
+            minUniqueWordRatio: 0.3, // for messages of 20+ words
+            noXpChannels: []
         };
+        this.WITHHELD_REASONS = {
+            no_xp_channel: 'No-XP channel',
+            sticker_only: 'Sticker only',
+            emoji_only: 'Emoji only',
+            too_short: 'Too short',
+            too_few_words: 'Too few words',
+            low_variety: 'Repetitive / copy-paste wall',
+            duplicate: 'Duplicate message'
+        };
+        this.WITHHELD_HISTORY_DAYS = 14;
+        this.MESSAGE_HISTORY_DAYS = 30; // per-day message counts kept on each member
+        this.recentMessages = new Map(); // key: userId-guildId, value: [{ content, time }]
+        this.withheld = {};
+        this.dirtyWithheld = new Set();
         
-        // Rate limiting (prevent XP farming)
-        this.MESSAGE_COOLDOWN = 60000; // 1 minute
         this.VOICE_UPDATE_INTERVAL = 60000; // 1 minute
         
-        this.userCooldowns = new Map();
-        this.voiceTracker = new Map();
+        // Opt-in XP decay for inactive members. Runs at most once a day per guild
+        // and never takes a member below the floor level.
+        this.DEFAULT_DECAY_POLICY = {
+            enabled: false,
+            graceDays: 30, // days without activity before decay starts
+            percentPerDay: 1,
+            floorLevel: 0
+        };
+        this.DECAY_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+        this.DECAY_MAX_CATCHUP_DAYS = 7; // days made up after the bot was offline
+        
+        // Voice XP is only earned by members who are actually taking part
+        this.DEFAULT_VOICE_RULES = {
+            ignoreAfkChannel: true,
+            ignoreMuted: true,
+            ignoreDeafened: true,
+            minHumans: 2 // non-bot members in the channel, including the member
+        };
+        
+        this.userCooldowns = new Map(); // key: source-userId-guildId
+        this.voiceTracker = new Map(); // key: userId-guildId, value: { channelId, lastCheck, accrued }
+        
+        // Write-behind cache: user records live in memory and dirty ones are
+        // flushed to storage in batches instead of on every XP gain
+        this.FLUSH_INTERVAL = 5000; // 5 seconds
+        this.users = {};
+        this.dirtyUsers = new Set();
+        this.flushChain = Promise.resolve();
         
-        // Initialize everything
-        this.initialize();
+        // Intervals started in start() and cleared in stop()
+        this.timers = [];
+        
+        this.registerServices();
+    }
+
+    // Read-only queries other plugins use instead of reading leveling storage.
+    // Answers come from the write-behind cache, so they're never behind a flush.
+    registerServices() {
+        this.services.register('leveling', {
+            getUser: (guildId, userId) => {
+                const userData = this.users[userId]?.[guildId];
+                return userData ? { ...userData } : null;
+            },
+            getLevel: (guildId, userId) => this.users[userId]?.[guildId]?.level || 0,
+            getGuildUsers: (guildId) => {
+                const guildUsers = {};
+                for (const [userId, guilds] of Object.entries(this.users)) {
+                    if (guilds[guildId]) guildUsers[userId] = { ...guilds[guildId] };
+                }
+                return guildUsers;
+            }
+        });
     }
 
-    async initialize() {
+    async init() {
         try {
             await this.ensureDirectories();
-            await this.initializeData();
+            await this.loadUserCache();
+            await this.loadBoosts();
+            await this.loadSeasons();
+            await this.loadWithheldStats();
             await this.initializeBackupSystem();
             this.setupRoutes();
             this.setupBackupRoutes();
+            this.setupBoostRoutes();
+            this.setupSeasonRoutes();
             this.setupDiscordEvents(); // FIXED: Make sure this method exists
             this.setupSlashCommands();
             
-            // Start intervals
-            setInterval(() => this.updateVoiceXP(), this.VOICE_UPDATE_INTERVAL);
+            // Pick up members who were already in voice when the bot started
+            if (this.client.isReady()) {
+                this.trackExistingVoiceMembers();
+            } else {
+                this.client.once('ready', () => this.trackExistingVoiceMembers());
+            }
             
-            console.log('✅ Leveling Plugin v2.0 loaded with dashboard integration');
+            this.logger.info('Leveling Plugin v2.0 loaded with dashboard integration');
         } catch (error) {
-            console.error('❌ Failed to initialize Leveling Plugin:', error);
+            this.logger.error('Failed to initialize Leveling Plugin', { error });
+            throw error;
         }
     }
 
+    start() {
+        this.timers.push(
+            setInterval(() => this.updateVoiceXP(), this.VOICE_UPDATE_INTERVAL),
+            setInterval(() => {
+                this.flushUserData();
+                this.flushWithheldStats();
+                this.pruneMessageHistory();
+            }, this.FLUSH_INTERVAL),
+            setInterval(() => this.processBoosts(), this.BOOST_CHECK_INTERVAL),
+            setInterval(() => this.processDecay(), this.DECAY_CHECK_INTERVAL)
+        );
+        this.processBoosts();
+        this.processDecay();
+        
+        this.startPeriodicBackups();
+        this.startDailyBackups();
+    }
+
     async ensureDirectories() {
         try {
             await fs.mkdir('./data', { recursive: true });
             await fs.mkdir(this.backupDir, { recursive: true });
         } catch (error) {
-            console.error('Error creating directories:', error);
-        }
-    }
-
-    async initializeData() {
-        try {
-            // Initialize data file
-            try {
-                await fs.access(this.dataFile);
-            } catch {
-                const initialData = {
-                    users: {},
-                    leaderboards: {}
-                };
-                await fs.writeFile(this.dataFile, JSON.stringify(initialData, null, 2));
-            }
-            
-            // Initialize settings file
-            try {
-                await fs.access(this.settingsFile);
-            } catch {
-                const initialSettings = {};
-                await fs.writeFile(this.settingsFile, JSON.stringify(initialSettings, null, 2));
-            }
-            
-            console.log('✓ Leveling: Data files initialized');
-        } catch (error) {
-            console.error('Error initializing data files:', error);
+            this.logger.error('Error creating directories', { error });
         }
     }
 
     async initializeBackupSystem() {
         try {
             await this.cleanupOldBackups();
-            this.startPeriodicBackups();
-            this.startDailyBackups();
-            console.log('✓ Leveling: Backup system initialized');
+            this.logger.info('Backup system initialized');
         } catch (error) {
-            console.error('Error initializing backup system:', error);
+            this.logger.error('Error initializing backup system', { error });
         }
     }
 
@@ -112,392 +228,2991 @@ class LevelingPlugin {
     // DATA MANAGEMENT
     // ============================================================================
 
-    async loadData() {
+    async loadUserCache() {
         try {
-            const data = await fs.readFile(this.dataFile, 'utf8');
-            const parsed = JSON.parse(data);
-            
-            if (!parsed.users) parsed.users = {};
-            if (!parsed.leaderboards) parsed.leaderboards = {};
-            
-            return parsed;
+            this.users = await this.userStore.all();
+            this.logger.info(`Loaded ${Object.keys(this.users).length} user records`);
         } catch (error) {
-            console.warn('⚠️ Leveling: Could not load data file. Starting with empty data.');
-            return { users: {}, leaderboards: {} };
+            this.logger.warn('Could not load data. Starting with empty data.', { error });
+            this.users = {};
         }
     }
 
-    async loadDataRaw() {
-        try {
-            const data = await fs.readFile(this.dataFile, 'utf8');
-            return JSON.parse(data);
-        } catch (error) {
-            return { users: {}, leaderboards: {} };
-        }
+    // Returns a copy of the cache; changes only take effect through saveData
+    async loadData() {
+        return { users: structuredClone(this.users) };
     }
 
     async saveData(data) {
+        // Validate data before saving
+        if (!data.users || typeof data.users !== 'object') {
+            throw new Error('Invalid data structure: missing users object');
+        }
+        
         try {
-            // Validate data before saving
-            if (!data.users || typeof data.users !== 'object') {
-                throw new Error('Invalid data structure: missing users object');
-            }
-            
             // Create pre-save backup
             await this.createBackup('pre-save', 'Before data modification');
             
-            // Write to temporary file first (atomic operation)
-            const tempFile = this.dataFile + '.tmp';
-            await fs.writeFile(tempFile, JSON.stringify(data, null, 2));
-            
-            // Verify the temp file can be parsed
-            const verification = JSON.parse(await fs.readFile(tempFile, 'utf8'));
-            if (!verification.users) {
-                throw new Error('Verification failed: corrupted temp file');
-            }
-            
-            // Rename temp file to actual file (atomic operation)
-            await fs.rename(tempFile, this.dataFile);
-            
+            await this.replaceUserData(data.users);
         } catch (error) {
-            console.error('Error saving leveling data:', error);
-            
-            // Clean up temp file if it exists
-            try {
-                await fs.unlink(this.dataFile + '.tmp');
-            } catch {}
-            
+            this.logger.error('Error saving leveling data', { error });
             throw error;
         }
     }
 
+    markUserDirty(userId) {
+        this.dirtyUsers.add(userId);
+    }
+
+    // Writes every dirty user record in one batch. Flushes are chained so two
+    // batches never write at the same time.
+    flushUserData() {
+        this.flushChain = this.flushChain.then(() => this.writeDirtyUsers());
+        return this.flushChain;
+    }
+
+    async writeDirtyUsers() {
+        if (this.dirtyUsers.size === 0) return;
+        
+        const userIds = [...this.dirtyUsers];
+        this.dirtyUsers.clear();
+        
+        const batch = {};
+        const removed = [];
+        for (const userId of userIds) {
+            if (this.users[userId]) {
+                batch[userId] = this.users[userId];
+            } else {
+                removed.push(userId);
+            }
+        }
+        
+        try {
+            await this.userStore.setMany(batch);
+            await Promise.all(removed.map(userId => this.userStore.delete(userId)));
+        } catch (error) {
+            // Keep the records dirty so the next flush retries them
+            userIds.forEach(userId => this.dirtyUsers.add(userId));
+            this.logger.error('Error flushing leveling data', { error });
+        }
+    }
+
+    // Writes the whole cache out in full (restores, bulk fixes) and swaps it in
+    // once stored. The caller sees a failed write; later flushes still run.
+    replaceUserData(users) {
+        const write = this.flushChain.then(async () => {
+            await this.userStore.replace(users);
+            this.users = users;
+            this.dirtyUsers.clear();
+        });
+        this.flushChain = write.catch(error => {
+            this.logger.error('Error replacing leveling data', { error });
+        });
+        return write;
+    }
+
+    // Voice time so far is credited and pending XP flushed, so a reloaded instance starts from up-to-date storage
+    async stop() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        await this.updateVoiceXP();
+        await this.flushUserData();
+        await this.flushWithheldStats();
+        this.logger.info('Flushed pending XP updates');
+    }
+
     async loadSettings() {
         try {
-            const data = await fs.readFile(this.settingsFile, 'utf8');
-            return JSON.parse(data);
+            return await this.settingsStore.all();
         } catch (error) {
             return {};
         }
     }
 
     async saveSettings(settings) {
-        await fs.writeFile(this.settingsFile, JSON.stringify(settings, null, 2));
+        await this.settingsStore.replace(settings);
     }
 
-    async getGuildStats(guildId) {
+    async loadAuditEvents() {
         try {
-            const data = await this.loadData();
-            let totalUsers = 0;
-            let totalXP = 0;
-            let totalLevels = 0;
-            let activeToday = 0;
-            
-            const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-            
-            for (const [userId, userData] of Object.entries(data.users)) {
-                if (userData[guildId]) {
-                    const guildData = userData[guildId];
-                    totalUsers++;
-                    totalXP += guildData.xp || 0;
-                    totalLevels += guildData.level || 0;
-                    
-                    if ((guildData.lastMessageTime || 0) > oneDayAgo) {
-                        activeToday++;
-                    }
-                }
-            }
-            
-            return {
-                totalUsers,
-                totalXP,
-                averageLevel: totalUsers > 0 ? Math.round((totalLevels / totalUsers) * 100) / 100 : 0,
-                activeToday
-            };
+            return await this.auditTrail.list();
         } catch (error) {
-            console.error('Error getting guild stats:', error);
+            this.logger.error('Error loading leveling audit events', { error });
+            return [];
+        }
+    }
+
+    async logAuditEvent(guildId, type, userId = null, details = {}, moderator = null) {
+        try {
+            await this.auditTrail.add({ guildId, type, userId, details, moderator });
+        } catch (error) {
+            this.logger.error('Error logging leveling audit event', { guildId, userId, error });
+        }
+    }
+
+    async getUserData(userId, guildId) {
+        const userRecord = this.users[userId] || {};
+        
+        if (!userRecord[guildId]) {
             return {
-                totalUsers: 0,
-                totalXP: 0,
-                averageLevel: 0,
-                activeToday: 0
+                xp: 0,
+                level: 0,
+                lastMessageTime: 0,
+                messages: 0,
+                voiceTime: 0,
+                reactionsGiven: 0,
+                reactionsReceived: 0
             };
         }
+        
+        return userRecord[guildId];
     }
 
-    setupSlashCommands() {
-        // Placeholder for slash command setup
-        // In a full implementation, you'd register /level and /leaderboard commands here
-        console.log('✓ Leveling: Slash commands ready for registration');
+    getDefaultGuildSettings() {
+        return {
+            enabled: true,
+            xpSources: {
+                messages: true,
+                voice: true,
+                reactions: true
+            },
+            xpMultiplier: 1.0,
+            levelUpChannel: null,
+            exemptRoles: [],
+            exemptChannels: [],
+            channelMultipliers: {},
+            roleMultipliers: {},
+            multiplierStacking: 'multiply',
+            xpCurve: { ...this.DEFAULT_XP_CURVE },
+            xpRates: JSON.parse(JSON.stringify(this.DEFAULT_XP_RATES)),
+            messageQuality: { ...this.DEFAULT_MESSAGE_QUALITY, noXpChannels: [] },
+            voiceRules: { ...this.DEFAULT_VOICE_RULES },
+            rankCard: { ...rankCard.DEFAULT_THEME },
+            seasonRewards: { ...this.DEFAULT_SEASON_REWARDS, roles: [] },
+            decay: { ...this.DEFAULT_DECAY_POLICY }
+        };
+    }
+
+    async getGuildSettings(guildId) {
+        const settings = await this.settingsStore.get(guildId, {});
+        const defaults = this.getDefaultGuildSettings();
+        
+        // Merge nested objects so settings saved by older versions pick up new fields
+        const xpRates = {};
+        for (const [source, rate] of Object.entries(defaults.xpRates)) {
+            xpRates[source] = { ...rate, ...settings.xpRates?.[source] };
+        }
+        
+        return {
+            ...defaults,
+            ...settings,
+            xpSources: { ...defaults.xpSources, ...settings.xpSources },
+            xpCurve: { ...defaults.xpCurve, ...settings.xpCurve },
+            xpRates,
+            messageQuality: { ...defaults.messageQuality, ...settings.messageQuality },
+            voiceRules: { ...defaults.voiceRules, ...settings.voiceRules },
+            rankCard: { ...defaults.rankCard, ...settings.rankCard },
+            seasonRewards: { ...defaults.seasonRewards, ...settings.seasonRewards },
+            decay: { ...defaults.decay, ...settings.decay }
+        };
+    }
+
+    async updateGuildSettings(guildId, newSettings) {
+        await this.settingsStore.update(guildId, current => ({ ...current, ...newSettings }), {});
     }
 
     // ============================================================================
-    // FRONTEND COMPONENT
+    // XP & LEVELING LOGIC
     // ============================================================================
 
-    getFrontendComponent() {
-        return {
-            id: 'leveling',
-            name: 'Leveling System',
-            description: 'Configure XP sources, view leaderboards, and manage user levels',
-            icon: '📈',
-            version: '2.0.0',
-            containerId: 'levelingPluginContainer',
-            
-            html: `
-                <div class="plugin-container">
-                    <div class="plugin-header">
-                        <h3><span class="plugin-icon">📈</span> Leveling System v2.0</h3>
-                        <p>Configure XP sources, view leaderboards, and manage user levels</p>
-                    </div>
+    // Total XP needed to reach a level on the given curve:
+    //   quadratic   - base × level²
+    //   linear      - base × level
+    //   exponential - first level costs base, each next level costs growth × the previous one
+    //   table       - explicit totals per level, continuing with the last step past the end
+    getXPForLevel(level, curve = this.DEFAULT_XP_CURVE) {
+        if (level <= 0) return 0;
+        
+        const base = curve.base > 0 ? curve.base : this.DEFAULT_XP_CURVE.base;
+        
+        switch (curve.type) {
+            case 'linear':
+                return Math.round(base * level);
+            case 'exponential': {
+                const growth = curve.growth > 1 ? curve.growth : this.DEFAULT_XP_CURVE.growth;
+                return Math.round(base * (Math.pow(growth, level) - 1) / (growth - 1));
+            }
+            case 'table': {
+                const table = Array.isArray(curve.table) ? curve.table : [];
+                if (table.length === 0) return Math.round(base * level * level);
+                if (level <= table.length) return table[level - 1];
+                
+                const last = table[table.length - 1];
+                const step = table.length > 1 ? last - table[table.length - 2] : last;
+                return last + step * (level - table.length);
+            }
+            default:
+                return Math.round(base * level * level);
+        }
+    }
 
-                    <!-- Server Integration Notice -->
-                    <div class="server-sync-notice" style="background: rgba(34, 197, 94, 0.1); border: 1px solid rgba(34, 197, 94, 0.3); border-radius: 8px; padding: 12px; margin-bottom: 20px;">
-                        <div style="display: flex; align-items: center; gap: 8px;">
-                            <span style="font-size: 18px;">🔗</span>
-                            <div>
-                                <strong>Dashboard Integration</strong>
-                                <div style="font-size: 14px; opacity: 0.8;">Managing server: <span id="currentServerName">Auto-detected</span></div>
-                            </div>
-                        </div>
-                    </div>
+    calculateLevel(xp, curve = this.DEFAULT_XP_CURVE) {
+        if (!xp || xp <= 0) return 0;
+        
+        const base = curve.base > 0 ? curve.base : this.DEFAULT_XP_CURVE.base;
+        let level;
+        
+        switch (curve.type) {
+            case 'linear':
+                level = Math.floor(xp / base);
+                break;
+            case 'exponential': {
+                const growth = curve.growth > 1 ? curve.growth : this.DEFAULT_XP_CURVE.growth;
+                level = Math.floor(Math.log(xp * (growth - 1) / base + 1) / Math.log(growth));
+                break;
+            }
+            case 'table': {
+                const table = Array.isArray(curve.table) ? curve.table : [];
+                level = table.length > 0
+                    ? table.filter(required => required <= xp).length
+                    : Math.floor(Math.sqrt(xp / base));
+                break;
+            }
+            default:
+                level = Math.floor(Math.sqrt(xp / base));
+        }
+        
+        // Correct for rounding and for levels past the end of a table
+        while (this.getXPForLevel(level + 1, curve) <= xp) level++;
+        while (level > 0 && this.getXPForLevel(level, curve) > xp) level--;
+        
+        return level;
+    }
 
-                    <!-- Discord Commands Info -->
-                    <div class="info-section" style="background: rgba(34, 197, 94, 0.1); border-radius: 10px; padding: 20px; margin-bottom: 20px;">
-                        <h4>🎯 Discord Slash Commands</h4>
-                        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 15px; margin-top: 15px;">
-                            <div style="background: rgba(255,255,255,0.05); padding: 12px; border-radius: 8px;">
-                                <strong>/level [user]</strong>
-                                <div style="opacity: 0.8; margin-top: 4px;">Check your level or someone else's level</div>
-                            </div>
-                            <div style="background: rgba(255,255,255,0.05); padding: 12px; border-radius: 8px;">
-                                <strong>/leaderboard [type]</strong>
-                                <div style="opacity: 0.8; margin-top: 4px;">View server leaderboards (overall, voice, reactions)</div>
-                            </div>
-                        </div>
-                    </div>
+    getXPForNextLevel(currentXP, curve = this.DEFAULT_XP_CURVE) {
+        const currentLevel = this.calculateLevel(currentXP, curve);
+        const nextLevelXP = this.getXPForLevel(currentLevel + 1, curve);
+        return nextLevelXP - currentXP;
+    }
 
-                    <!-- Settings Section -->
-                    <div class="settings-section">
-                        <h3>Settings</h3>
-                        <form id="levelingSettingsForm">
-                            <div class="form-group">
-                                <label>
-                                    <input type="checkbox" id="levelingEnabled"> Enable Leveling System
-                                </label>
-                            </div>
+    // Returns an error message, or null when the curve is usable
+    validateXPCurve(curve) {
+        if (!curve || typeof curve !== 'object') return 'XP curve must be an object';
+        if (!this.XP_CURVE_TYPES.includes(curve.type)) {
+            return `XP curve type must be one of: ${this.XP_CURVE_TYPES.join(', ')}`;
+        }
+        if (curve.base !== undefined && !(Number(curve.base) > 0)) return 'XP curve base must be greater than 0';
+        if (curve.type === 'exponential' && !(Number(curve.growth) > 1)) return 'Exponential growth must be greater than 1';
+        
+        if (curve.type === 'table') {
+            const table = curve.table;
+            if (!Array.isArray(table) || table.length === 0) return 'Level table must list the XP needed for at least one level';
+            for (let i = 0; i < table.length; i++) {
+                if (!Number.isFinite(table[i]) || table[i] <= (i > 0 ? table[i - 1] : 0)) {
+                    return 'Level table values must be positive and strictly increasing';
+                }
+            }
+        }
+        
+        return null;
+    }
 
-                            <div class="form-group">
-                                <label>XP Sources</label>
-                                <div style="display: flex; flex-direction: column; gap: 12px; margin-top: 12px; background: rgba(255,255,255,0.05); border-radius: 8px; padding: 15px;">
-                                    <label style="display: flex; align-items: flex-start; gap: 12px; cursor: pointer;">
-                                        <input type="checkbox" id="xpSourceMessages" style="margin-top: 3px; transform: scale(1.1);">
-                                        <div>
-                                            <div style="font-weight: 500; margin-bottom: 2px;">Messages</div>
-                                            <div style="opacity: 0.7; font-size: 0.9em;">15-25 XP per message, 1 min cooldown</div>
-                                        </div>
-                                    </label>
-                                    <label style="display: flex; align-items: flex-start; gap: 12px; cursor: pointer;">
-                                        <input type="checkbox" id="xpSourceVoice" style="margin-top: 3px; transform: scale(1.1);">
-                                        <div>
-                                            <div style="font-weight: 500; margin-bottom: 2px;">Voice Activity</div>
-                                            <div style="opacity: 0.7; font-size: 0.9em;">10 XP per minute in voice channels</div>
-                                        </div>
-                                    </label>
-                                    <label style="display: flex; align-items: flex-start; gap: 12px; cursor: pointer;">
-                                        <input type="checkbox" id="xpSourceReactions" style="margin-top: 3px; transform: scale(1.1);">
-                                        <div>
-                                            <div style="font-weight: 500; margin-bottom: 2px;">Reactions</div>
-                                            <div style="opacity: 0.7; font-size: 0.9em;">5 XP for giving, 3 XP for receiving reactions</div>
-                                        </div>
-                                    </label>
-                                </div>
-                            </div>
+    validateXPRates(rates) {
+        if (!rates || typeof rates !== 'object') return 'XP rates must be an object';
+        
+        for (const [source, rate] of Object.entries(rates)) {
+            if (!this.DEFAULT_XP_RATES[source]) return `Unknown XP source: ${source}`;
+            
+            const { min, max, cooldown } = { ...this.DEFAULT_XP_RATES[source], ...rate };
+            if (!Number.isFinite(min) || !Number.isFinite(max) || min < 0 || max < min) {
+                return `${source}: XP must be 0 or more, with min no greater than max`;
+            }
+            if (!Number.isFinite(cooldown) || cooldown < 0) return `${source}: cooldown must be 0 or more`;
+        }
+        
+        return null;
+    }
 
-                            <div class="form-group">
-                                <label for="levelUpChannel">Level Up Notifications Channel</label>
-                                <select id="levelUpChannel">
-                                    <option value="">None (disabled)</option>
-                                </select>
-                                <small style="opacity: 0.7; display: block; margin-top: 4px;">
-                                    Choose where level up announcements will be posted
-                                </small>
-                            </div>
+    validateMultipliers(settings) {
+        if (settings.multiplierStacking !== undefined && !this.MULTIPLIER_STACKING_MODES.includes(settings.multiplierStacking)) {
+            return `Multiplier stacking must be one of: ${this.MULTIPLIER_STACKING_MODES.join(', ')}`;
+        }
+        
+        for (const field of ['channelMultipliers', 'roleMultipliers']) {
+            const multipliers = settings[field];
+            if (multipliers === undefined) continue;
+            if (!multipliers || typeof multipliers !== 'object' || Array.isArray(multipliers)) {
+                return `${field} must map IDs to multipliers`;
+            }
+            for (const value of Object.values(multipliers)) {
+                if (!Number.isFinite(value) || value < 0 || value > this.MAX_MULTIPLIER) {
+                    return `${field} values must be between 0 and ${this.MAX_MULTIPLIER}`;
+                }
+            }
+        }
+        
+        return null;
+    }
 
-                            <div class="form-group">
-                                <label for="xpMultiplier">XP Multiplier</label>
-                                <input type="number" id="xpMultiplier" min="0.1" max="10" step="0.1" value="1.0">
-                                <small style="opacity: 0.7; display: block; margin-top: 4px;">
-                                    Multiply all XP gains by this amount (0.1x to 10x)
-                                </small>
-                            </div>
+    // Combines the channel and role multipliers with the guild's stacking mode and
+    // applies the global xpMultiplier on top. Exempt channels/roles and any 0×
+    // multiplier always block XP, whatever else applies.
+    getXPMultiplier(guildId, settings, member, channel) {
+        // Threads and channels fall back to their parent (channel or category)
+        const channelIds = channel ? [channel.id, channel.parentId].filter(Boolean) : [];
+        const roleIds = member?.roles?.cache ? [...member.roles.cache.keys()] : [];
+        
+        if (channelIds.some(id => settings.exemptChannels?.includes(id))) return 0;
+        if (roleIds.some(id => settings.exemptRoles?.includes(id))) return 0;
+        
+        const multipliers = [];
+        const channelMultipliers = settings.channelMultipliers || {};
+        const roleMultipliers = settings.roleMultipliers || {};
+        
+        const channelId = channelIds.find(id => channelMultipliers[id] !== undefined);
+        if (channelId) multipliers.push(Number(channelMultipliers[channelId]));
+        
+        for (const roleId of roleIds) {
+            if (roleMultipliers[roleId] !== undefined) multipliers.push(Number(roleMultipliers[roleId]));
+        }
+        
+        if (multipliers.some(multiplier => !(multiplier > 0))) return 0;
+        
+        let combined = 1;
+        if (multipliers.length > 0) {
+            switch (settings.multiplierStacking) {
+                case 'highest':
+                    combined = Math.max(...multipliers);
+                    break;
+                case 'additive':
+                    combined = 1 + multipliers.reduce((sum, multiplier) => sum + (multiplier - 1), 0);
+                    break;
+                default:
+                    combined = multipliers.reduce((product, multiplier) => product * multiplier, 1);
+            }
+        }
+        
+        const boost = this.getBoostMultiplier(guildId, member, channel);
+        
+        return Math.max(0, combined * (settings.xpMultiplier || 1) * boost);
+    }
 
-                            <button type="button" id="saveLevelingSettings" class="btn-primary">
-                                <span class="btn-text">Save Settings</span>
-                                <span class="btn-loader" style="display: none;">Saving...</span>
-                            </button>
-                        </form>
-                    </div>
+    async resolveMember(guild, userId) {
+        return guild.members.cache.get(userId) || await guild.members.fetch(userId).catch(() => null);
+    }
 
-                    <!-- Stats Section -->
-                    <div class="stats-section">
-                        <h3>Server Statistics</h3>
-                        <div class="stats-grid" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin-top: 15px;">
-                            <div class="stat-card" style="background: rgba(255,255,255,0.05); padding: 20px; border-radius: 10px; text-align: center;">
-                                <div style="font-size: 2em; margin-bottom: 8px;">👥</div>
-                                <div style="font-size: 1.5em; font-weight: bold; margin-bottom: 4px;" id="totalUsers">0</div>
-                                <div style="opacity: 0.7;">Total Users</div>
-                            </div>
-                            <div class="stat-card" style="background: rgba(255,255,255,0.05); padding: 20px; border-radius: 10px; text-align: center;">
-                                <div style="font-size: 2em; margin-bottom: 8px;">⭐</div>
-                                <div style="font-size: 1.5em; font-weight: bold; margin-bottom: 4px;" id="totalXP">0</div>
-                                <div style="opacity: 0.7;">Total XP</div>
-                            </div>
-                            <div class="stat-card" style="background: rgba(255,255,255,0.05); padding: 20px; border-radius: 10px; text-align: center;">
-                                <div style="font-size: 2em; margin-bottom: 8px;">📊</div>
-                                <div style="font-size: 1.5em; font-weight: bold; margin-bottom: 4px;" id="averageLevel">0</div>
-                                <div style="opacity: 0.7;">Average Level</div>
-                            </div>
-                            <div class="stat-card" style="background: rgba(255,255,255,0.05); padding: 20px; border-radius: 10px; text-align: center;">
-                                <div style="font-size: 2em; margin-bottom: 8px;">🔥</div>
-                                <div style="font-size: 1.5em; font-weight: bold; margin-bottom: 4px;" id="activeToday">0</div>
-                                <div style="opacity: 0.7;">Active Today</div>
-                            </div>
-                        </div>
-                    </div>
+    rollXP(rate) {
+        return Math.floor(Math.random() * (rate.max - rate.min + 1)) + rate.min;
+    }
 
-                    <!-- Leaderboards Section -->
-                    <div class="leaderboards-section">
-                        <h3>Leaderboards</h3>
-                        <div style="display: flex; gap: 10px; margin-bottom: 15px; flex-wrap: wrap;">
-                            <button type="button" id="leaderboardType" data-type="overall" class="leaderboard-btn active" style="padding: 8px 16px; background: rgba(255,255,255,0.2); border: 1px solid rgba(255,255,255,0.3); border-radius: 8px; color: white; cursor: pointer;">
-                                Overall XP
-                            </button>
-                            <button type="button" class="leaderboard-btn" data-type="voice" style="padding: 8px 16px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; color: white; cursor: pointer;">
-                                Voice Activity
-                            </button>
-                            <button type="button" class="leaderboard-btn" data-type="reactions" style="padding: 8px 16px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; color: white; cursor: pointer;">
-                                Reactions
-                            </button>
-                            <button type="button" id="refreshLeaderboard" style="padding: 8px 16px; background: rgba(34, 197, 94, 0.2); border: 1px solid rgba(34, 197, 94, 0.3); border-radius: 8px; color: white; cursor: pointer; margin-left: auto;">
-                                🔄 Refresh
-                            </button>
-                        </div>
+    isOnCooldown(source, userId, guildId, cooldown) {
+        if (!cooldown) return false;
+        
+        const lastXP = this.userCooldowns.get(`${source}-${userId}-${guildId}`);
+        return Boolean(lastXP && Date.now() - lastXP < cooldown);
+    }
 
-                        <div id="leaderboardContent" style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 15px; min-height: 200px;">
-                            <div id="leaderboardLoading" style="text-align: center; opacity: 0.6; padding: 40px;">
-                                Loading leaderboard...
-                            </div>
-                            <div id="leaderboardList" style="display: none;"></div>
-                        </div>
-                    </div>
+    // Returns true (and starts the cooldown) when the source may award XP again
+    checkCooldown(source, userId, guildId, cooldown) {
+        if (this.isOnCooldown(source, userId, guildId, cooldown)) return false;
+        
+        if (cooldown) this.userCooldowns.set(`${source}-${userId}-${guildId}`, Date.now());
+        return true;
+    }
 
-                    <!-- XP Management Section -->
-                    <div class="xp-management-section">
-                        <h3>XP Management</h3>
-                        <div style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 20px;">
-                            <div class="form-group">
-                                <label for="xpUserId">User ID or @mention</label>
-                                <input type="text" id="xpUserId" placeholder="Enter user ID or @mention">
-                            </div>
-                            <div class="form-group">
-                                <label for="xpAmount">XP Amount (positive to add, negative to remove)</label>
-                                <input type="number" id="xpAmount" placeholder="Enter XP amount">
-                            </div>
-                            <button type="button" id="addXpBtn" class="btn-primary">
-                                <span class="btn-text">Apply XP Change</span>
-                                <span class="btn-loader" style="display: none;">Processing...</span>
-                            </button>
-                        </div>
-                    </div>
+    // Migration for curve changes: recomputes every member's level from stored XP.
+    // No level-up announcements are sent since nobody actually earned anything,
+    // but the level events still go out so level roles follow the new curve.
+    async recalculateLevels(guildId) {
+        const settings = await this.getGuildSettings(guildId);
+        await this.createBackup('pre-migration', `Before recalculating levels for guild ${guildId}`);
+        
+        const changes = [];
+        for (const [userId, guilds] of Object.entries(this.users)) {
+            const userData = guilds[guildId];
+            if (!userData) continue;
+            
+            const level = this.calculateLevel(userData.xp || 0, settings.xpCurve);
+            if (userData.level !== level) {
+                changes.push({ userId, oldLevel: userData.level, newLevel: level });
+                userData.level = level;
+                this.markUserDirty(userId);
+            }
+        }
+        
+        await this.flushUserData();
+        
+        for (const { userId, oldLevel, newLevel } of changes) {
+            this.events.publish(newLevel > oldLevel ? 'level.up' : 'level.down', { userId, guildId, newLevel, oldLevel });
+        }
+        this.logger.info(`Recalculated levels (${changes.length} users changed)`, { guildId });
+        
+        return { usersUpdated: changes.length };
+    }
 
-                    <!-- Backup Management Section -->
-                    <div class="backup-section">
-                        <h3>Backup Management</h3>
-                        <div style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 20px;">
-                            <div style="display: flex; gap: 10px; margin-bottom: 15px; flex-wrap: wrap;">
-                                <button type="button" id="createBackupBtn" class="btn-primary">
-                                    <span class="btn-text">📦 Create Backup</span>
-                                    <span class="btn-loader" style="display: none;">Creating...</span>
-                                </button>
-                                <button type="button" id="refreshBackupsBtn" style="padding: 8px 16px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; color: white; cursor: pointer;">
-                                    🔄 Refresh List
-                                </button>
-                                <button type="button" id="syncDataBtn" style="padding: 8px 16px; background: rgba(255, 193, 7, 0.2); border: 1px solid rgba(255, 193, 7, 0.3); border-radius: 8px; color: white; cursor: pointer;">
-                                    🔧 Sync Data
-                                </button>
-                            </div>
-                            
-                            <div id="backupsList" style="max-height: 300px; overflow-y: auto;">
-                                <div style="text-align: center; opacity: 0.6; padding: 20px;">
-                                    Click "Refresh List" to load available backups
-                                </div>
-                            </div>
-                        </div>
-                    </div>
+    // Returns the cached record for a user in a guild, creating it if needed
+    ensureUserGuildData(userId, guildId) {
+        if (!this.users[userId]) this.users[userId] = {};
+        const userRecord = this.users[userId];
+        
+        if (!userRecord[guildId]) {
+            userRecord[guildId] = {
+                xp: 0,
+                level: 0,
+                lastMessageTime: 0,
+                messages: 0,
+                voiceTime: 0,
+                reactionsGiven: 0,
+                reactionsReceived: 0
+            };
+        }
+        
+        return userRecord[guildId];
+    }
 
-                    <!-- Result Messages -->
-                    <div id="levelingResult" class="result-message" style="display: none;"></div>
-                </div>
-            `,
+    async addXP(userId, guildId, amount, source = 'manual', preserveLevel = false) {
+        const { xpCurve } = await this.getGuildSettings(guildId);
+        
+        // Read-modify-write happens synchronously on the cache, so concurrent
+        // events can no longer overwrite each other's XP
+        const userGuildData = this.ensureUserGuildData(userId, guildId);
+        const oldLevel = userGuildData.level;
+        
+        userGuildData.xp += amount;
+        
+        // Season XP runs alongside lifetime XP while a season is open
+        if (this.seasons[guildId]?.current) {
+            userGuildData.seasonXP = Math.max(0, (userGuildData.seasonXP || 0) + amount);
+        }
+        
+        // Only recalculate level if not preserving existing level
+        if (!preserveLevel) {
+            userGuildData.level = this.calculateLevel(userGuildData.xp, xpCurve);
+        }
+        
+        // Track activity (decay and "active today" go by this) and source-specific stats
+        if (source !== 'manual') userGuildData.lastActive = Date.now();
+        if (source === 'message') {
+            userGuildData.messages = (userGuildData.messages || 0) + 1;
+            userGuildData.lastMessageTime = Date.now();
+            this.countDailyMessage(userGuildData);
+        }
+        if (source === 'reaction_given') userGuildData.reactionsGiven++;
+        if (source === 'reaction_received') userGuildData.reactionsReceived++;
+        
+        this.markUserDirty(userId);
+        this.events.publish('xp.gained', {
+            userId,
+            guildId,
+            amount,
+            source,
+            xp: userGuildData.xp,
+            level: userGuildData.level || 0
+        });
+        
+        // Check for level up (only if not preserving level)
+        if (!preserveLevel && userGuildData.level > oldLevel) {
+            await this.handleLevelUp(userId, guildId, userGuildData.level, oldLevel);
+        } else if (!preserveLevel && userGuildData.level < oldLevel) {
+            // Publish level down for other plugins (XP removed by an admin)
+            this.events.publish('level.down', { userId, guildId, newLevel: userGuildData.level, oldLevel });
+        }
+        
+        return userGuildData;
+    }
+
+    // Per-day message counts for "messages in the last N days" (auto-role rules read these)
+    countDailyMessage(userGuildData) {
+        const today = new Date().toISOString().split('T')[0];
+        const cutoff = new Date(Date.now() - this.MESSAGE_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+        
+        const daily = userGuildData.dailyMessages || {};
+        daily[today] = (daily[today] || 0) + 1;
+        Object.keys(daily).filter(day => day < cutoff).forEach(day => delete daily[day]);
+        userGuildData.dailyMessages = daily;
+    }
+
+    async handleLevelUp(userId, guildId, newLevel, oldLevel) {
+        try {
+            const settings = await this.getGuildSettings(guildId);
             
-            script: `
-                // Enhanced Leveling Plugin Frontend Logic with Dashboard Integration
-                (function() {
-                    console.log('📈 Enhanced Leveling Plugin: Initializing...');
-                    
-                    // State variables
-                    let currentServerId = null;
-                    let currentSettings = {};
-                    let currentLeaderboardType = 'overall';
-                    
-                    // Get DOM elements
-                    const currentServerName = document.getElementById('currentServerName');
-                    const levelingSettingsForm = document.getElementById('levelingSettingsForm');
-                    const levelingEnabled = document.getElementById('levelingEnabled');
-                    const xpSourceMessages = document.getElementById('xpSourceMessages');
-                    const xpSourceVoice = document.getElementById('xpSourceVoice');
-                    const xpSourceReactions = document.getElementById('xpSourceReactions');
-                    const levelUpChannel = document.getElementById('levelUpChannel');
-                    const xpMultiplier = document.getElementById('xpMultiplier');
-                    const saveLevelingSettings = document.getElementById('saveLevelingSettings');
-                    
-                    // Stats elements
-                    const totalUsers = document.getElementById('totalUsers');
-                    const totalXP = document.getElementById('totalXP');
-                    const averageLevel = document.getElementById('averageLevel');
-                    const activeToday = document.getElementById('activeToday');
-                    
-                    // Leaderboard elements
-                    const leaderboardType = document.getElementById('leaderboardType');
-                    const refreshLeaderboard = document.getElementById('refreshLeaderboard');
-                    const leaderboardContent = document.getElementById('leaderboardContent');
-                    const leaderboardLoading = document.getElementById('leaderboardLoading');
-                    const leaderboardList = document.getElementById('leaderboardList');
-                    
-                    // XP Management elements
-                    const xpUserId = document.getElementById('xpUserId');
-                    const xpAmount = document.getElementById('xpAmount');
-                    const addXpBtn = document.getElementById('addXpBtn');
-                    
-                    // Backup elements
-                    const createBackupBtn = document.getElementById('createBackupBtn');
-                    const refreshBackupsBtn = document.getElementById('refreshBackupsBtn');
-                    const syncDataBtn = document.getElementById('syncDataBtn');
-                    const backupsList = document.getElementById('backupsList');
-                    
-                    // Result element
-                    const levelingResult = document.getElementById('levelingResult');
+            if (settings.levelUpChannel) {
+                const channel = this.client.channels.cache.get(settings.levelUpChannel);
+                const user = await this.client.users.fetch(userId);
+                
+                if (channel && user) {
+                    const embed = {
+                        color: 0x00ff00,
+                        title: '🎉 Level Up!',
+                        description: `**${user.username}** leveled up from **${oldLevel}** to **${newLevel}**!`,
+                        thumbnail: { url: user.displayAvatarURL() },
+                        timestamp: new Date().toISOString()
+                    };
                     
-                    // Initialize plugin
-                    function initializeLevelingPlugin() {
-                        console.log('🔄 Initializing Enhanced Leveling Plugin...');
-                        
-                        // Set up server detection
-                        if (window.dashboardAPI && window.dashboardAPI.getCurrentServer) {
-                            currentServerId = window.dashboardAPI.getCurrentServer();
-                            if (currentServerId && currentServerName) {
-                                loadServerName();
-                            }
+                    await channel.send({ embeds: [embed] });
+                }
+            }
+            
+            // Publish level up for other plugins
+            this.events.publish('level.up', { userId, guildId, newLevel, oldLevel });
+            
+        } catch (error) {
+            this.logger.error('Error handling level up', { guildId, userId, error });
+        }
+    }
+
+    // ============================================================================
+    // MESSAGE QUALITY (ANTI-FARMING)
+    // ============================================================================
+
+    validateMessageQuality(quality) {
+        if (!quality || typeof quality !== 'object') return 'Message quality settings must be an object';
+        
+        for (const field of ['minLength', 'minWords', 'duplicateWindow']) {
+            if (quality[field] !== undefined && !(Number.isFinite(quality[field]) && quality[field] >= 0)) {
+                return `${field} must be 0 or more`;
+            }
+        }
+        if (quality.minUniqueWordRatio !== undefined &&
+            !(Number.isFinite(quality.minUniqueWordRatio) && quality.minUniqueWordRatio >= 0 && quality.minUniqueWordRatio <= 1)) {
+            return 'minUniqueWordRatio must be between 0 and 1';
+        }
+        if (quality.noXpChannels !== undefined && !Array.isArray(quality.noXpChannels)) {
+            return 'noXpChannels must be a list of channel IDs';
+        }
+        
+        return null;
+    }
+
+    validateVoiceRules(rules) {
+        if (!rules || typeof rules !== 'object') return 'Voice rules must be an object';
+        if (rules.minHumans !== undefined && !(Number.isInteger(rules.minHumans) && rules.minHumans >= 1 && rules.minHumans <= 99)) {
+            return 'Minimum people in channel must be a whole number from 1 to 99';
+        }
+        return null;
+    }
+
+    // Returns the reason a message should earn no XP, or null if it passes
+    checkMessageQuality(message, quality) {
+        const channelIds = [message.channel?.id, message.channel?.parentId].filter(Boolean);
+        if (channelIds.some(id => quality.noXpChannels?.includes(id))) return 'no_xp_channel';
+        
+        const content = (message.content || '').trim();
+        
+        if (!content) {
+            if (quality.blockStickerOnly && message.stickers?.size > 0) return 'sticker_only';
+            // Attachment-only posts (tracks, artwork) are fine
+            return null;
+        }
+        
+        // Strip custom emoji, unicode emoji and their joiners/modifiers
+        const withoutEmoji = content
+            .replace(/<a?:\w+:\d+>/g, '')
+            .replace(/[\p{Extended_Pictographic}\p{Emoji_Modifier}\u200d\ufe0f\u20e3]/gu, '')
+            .trim();
+        if (quality.blockEmojiOnly && !withoutEmoji) return 'emoji_only';
+        
+        // Mentions and links don't count towards length
+        const text = withoutEmoji
+            .replace(/<(@[!&]?|#)\d+>/g, '')
+            .replace(/https?:\/\/\S+/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+        const words = text.split(' ').filter(word => /[\p{L}\p{N}]/u.test(word));
+        
+        if (text.length < (quality.minLength || 0)) return 'too_short';
+        if (words.length < (quality.minWords || 0)) return 'too_few_words';
+        
+        if (words.length >= 20 && quality.minUniqueWordRatio > 0) {
+            const uniqueWords = new Set(words.map(word => word.toLowerCase()));
+            if (uniqueWords.size / words.length < quality.minUniqueWordRatio) return 'low_variety';
+        }
+        
+        if (quality.duplicateWindow > 0 && this.isDuplicateMessage(message, content, quality.duplicateWindow)) {
+            return 'duplicate';
+        }
+        
+        return null;
+    }
+
+    // Remembers the user's recent messages and reports whether this one repeats any of them
+    isDuplicateMessage(message, content, window) {
+        const key = `${message.author.id}-${message.guild.id}`;
+        const now = Date.now();
+        const normalized = content.toLowerCase().replace(/\s+/g, ' ').slice(0, 500);
+        
+        const history = (this.recentMessages.get(key) || []).filter(entry => now - entry.time < window);
+        const duplicate = history.some(entry => entry.content === normalized);
+        
+        history.push({ content: normalized, time: now });
+        this.recentMessages.set(key, history.slice(-10));
+        
+        return duplicate;
+    }
+
+    pruneMessageHistory() {
+        const cutoff = Date.now() - this.DEFAULT_MESSAGE_QUALITY.duplicateWindow * 6;
+        for (const [key, history] of this.recentMessages.entries()) {
+            if (!history.length || history[history.length - 1].time < cutoff) {
+                this.recentMessages.delete(key);
+            }
+        }
+    }
+
+    async loadWithheldStats() {
+        try {
+            this.withheld = await this.withheldStore.all();
+        } catch (error) {
+            this.withheld = {};
+        }
+    }
+
+    async flushWithheldStats() {
+        const guildIds = [...this.dirtyWithheld];
+        this.dirtyWithheld.clear();
+        
+        for (const guildId of guildIds) {
+            try {
+                await this.withheldStore.set(guildId, this.withheld[guildId]);
+            } catch (error) {
+                this.dirtyWithheld.add(guildId);
+                this.logger.error('Error saving withheld XP stats', { guildId, error });
+            }
+        }
+    }
+
+    recordWithheldXP(guildId, reason, xp) {
+        if (!this.withheld[guildId]) {
+            this.withheld[guildId] = { since: Date.now(), messages: 0, xp: 0, reasons: {}, daily: {} };
+        }
+        
+        const report = this.withheld[guildId];
+        const today = new Date().toISOString().slice(0, 10);
+        
+        report.messages++;
+        report.xp += xp;
+        report.reasons[reason] = report.reasons[reason] || { messages: 0, xp: 0 };
+        report.reasons[reason].messages++;
+        report.reasons[reason].xp += xp;
+        report.daily[today] = (report.daily[today] || 0) + 1;
+        
+        // Keep the daily breakdown short
+        const days = Object.keys(report.daily).sort();
+        days.slice(0, Math.max(0, days.length - this.WITHHELD_HISTORY_DAYS)).forEach(day => delete report.daily[day]);
+        
+        this.dirtyWithheld.add(guildId);
+    }
+
+    getWithheldReport(guildId) {
+        const report = this.withheld[guildId] || { since: null, messages: 0, xp: 0, reasons: {}, daily: {} };
+        
+        return {
+            ...report,
+            reasons: Object.entries(report.reasons)
+                .map(([reason, counts]) => ({ reason, label: this.WITHHELD_REASONS[reason] || reason, ...counts }))
+                .sort((a, b) => b.messages - a.messages)
+        };
+    }
+
+    // ============================================================================
+    // XP BOOST EVENTS
+    // ============================================================================
+
+    async loadBoosts() {
+        try {
+            this.boosts = await this.boostStore.all();
+        } catch (error) {
+            this.logger.warn('Could not load XP boosts.', { error });
+            this.boosts = {};
+        }
+    }
+
+    async saveBoosts(guildId) {
+        await this.boostStore.set(guildId, this.boosts[guildId] || []);
+    }
+
+    getBoostStatus(boost, now = Date.now()) {
+        if (boost.ended || now >= boost.endsAt) return 'ended';
+        if (now >= boost.startsAt) return 'active';
+        return 'scheduled';
+    }
+
+    getGuildBoosts(guildId) {
+        const now = Date.now();
+        return (this.boosts[guildId] || [])
+            .map(boost => ({ ...boost, status: this.getBoostStatus(boost, now) }))
+            .sort((a, b) => b.startsAt - a.startsAt);
+    }
+
+    // Overlapping boosts don't stack; the strongest one that applies wins
+    getBoostMultiplier(guildId, member, channel) {
+        const now = Date.now();
+        const channelIds = channel ? [channel.id, channel.parentId].filter(Boolean) : [];
+        let multiplier = 1;
+        
+        for (const boost of this.boosts[guildId] || []) {
+            if (this.getBoostStatus(boost, now) !== 'active') continue;
+            if (boost.channelIds?.length && !boost.channelIds.some(id => channelIds.includes(id))) continue;
+            if (boost.roleIds?.length && !boost.roleIds.some(id => member?.roles?.cache?.has(id))) continue;
+            
+            multiplier = Math.max(multiplier, boost.multiplier);
+        }
+        
+        return multiplier;
+    }
+
+    validateBoost(boost, guild) {
+        if (!(boost.multiplier > 1) || boost.multiplier > this.MAX_MULTIPLIER) {
+            return `Boost multiplier must be above 1 and at most ${this.MAX_MULTIPLIER}`;
+        }
+        if (!Number.isFinite(boost.startsAt) || !Number.isFinite(boost.endsAt)) return 'Boost needs a valid start and end time';
+        if (boost.endsAt <= boost.startsAt) return 'Boost must end after it starts';
+        if (boost.endsAt <= Date.now()) return 'Boost end time is in the past';
+        if (boost.endsAt - boost.startsAt > this.MAX_BOOST_DURATION) return 'Boosts can last at most 14 days';
+        if (!Array.isArray(boost.channelIds) || !Array.isArray(boost.roleIds)) return 'Boost scope must be lists of channel and role IDs';
+        if (boost.channelIds.some(id => !guild.channels.cache.has(id))) return 'One of the boost channels no longer exists';
+        if (boost.roleIds.some(id => !guild.roles.cache.has(id) || id === guild.id)) return 'One of the boost roles no longer exists';
+        if (boost.announceChannelId && !guild.channels.cache.get(boost.announceChannelId)?.isTextBased()) {
+            return 'The announcement channel must be a text channel in this server';
+        }
+        return null;
+    }
+
+    // Accepts either endsAt or durationMinutes; times may be ISO strings or timestamps
+    async createBoost(guildId, input, createdBy) {
+        const guild = this.client.guilds.cache.get(guildId);
+        if (!guild) throw new Error('Server not found');
+        
+        const startsAt = input.startsAt ? new Date(input.startsAt).getTime() : Date.now();
+        const endsAt = input.endsAt
+            ? new Date(input.endsAt).getTime()
+            : startsAt + Number(input.durationMinutes) * 60000;
+        
+        const boost = {
+            id: Math.random().toString(36).slice(2, 8),
+            name: String(input.name || `${input.multiplier}× XP Boost`).slice(0, 100),
+            multiplier: Number(input.multiplier),
+            startsAt,
+            endsAt,
+            channelIds: input.channelIds || [],
+            roleIds: input.roleIds || [],
+            announceChannelId: input.announceChannelId || null,
+            createdBy,
+            createdAt: Date.now(),
+            started: false,
+            ended: false
+        };
+        
+        const error = this.validateBoost(boost, guild);
+        if (error) throw new Error(error);
+        
+        if (!this.boosts[guildId]) this.boosts[guildId] = [];
+        this.boosts[guildId].push(boost);
+        await this.saveBoosts(guildId);
+        
+        this.logger.info(`Scheduled ${boost.multiplier}× boost "${boost.name}"`, { guildId, userId: createdBy });
+        
+        // Announce right away if it has already started
+        await this.processBoosts();
+        return boost;
+    }
+
+    // Scheduled boosts are removed; running boosts end now and announce it
+    async cancelBoost(guildId, boostId) {
+        const boosts = this.boosts[guildId] || [];
+        const boost = boosts.find(b => b.id === boostId);
+        if (!boost) return null;
+        
+        if (this.getBoostStatus(boost) === 'scheduled') {
+            this.boosts[guildId] = boosts.filter(b => b.id !== boostId);
+            await this.saveBoosts(guildId);
+        } else if (!boost.ended) {
+            boost.endsAt = Date.now();
+            await this.processBoosts();
+        }
+        
+        return boost;
+    }
+
+    // Sends start/end announcements and prunes old boosts. Boosts whose whole
+    // window passed while the bot was offline are closed without announcements.
+    async processBoosts() {
+        const now = Date.now();
+        
+        for (const [guildId, boosts] of Object.entries(this.boosts)) {
+            let changed = false;
+            
+            for (const boost of boosts) {
+                if (!boost.started && now >= boost.startsAt) {
+                    boost.started = true;
+                    changed = true;
+                    if (now < boost.endsAt) {
+                        boost.announcedStart = true;
+                        await this.announceBoost(guildId, boost, 'start');
+                    }
+                }
+                
+                if (!boost.ended && now >= boost.endsAt) {
+                    boost.ended = true;
+                    boost.endsAt = Math.min(boost.endsAt, now);
+                    changed = true;
+                    if (boost.announcedStart) {
+                        await this.announceBoost(guildId, boost, 'end');
+                    }
+                }
+            }
+            
+            const kept = boosts.filter(boost => !boost.ended || now - boost.endsAt < this.BOOST_HISTORY_RETENTION);
+            if (kept.length !== boosts.length) {
+                this.boosts[guildId] = kept;
+                changed = true;
+            }
+            
+            if (changed) {
+                await this.saveBoosts(guildId).catch(error => this.logger.error('Error saving XP boosts', { guildId, error }));
+            }
+        }
+    }
+
+    async announceBoost(guildId, boost, phase) {
+        try {
+            const settings = await this.getGuildSettings(guildId);
+            const channelId = boost.announceChannelId || settings.levelUpChannel;
+            const channel = channelId && this.client.channels.cache.get(channelId);
+            if (!channel) return;
+            
+            const scope = [
+                ...boost.channelIds.map(id => `<#${id}>`),
+                ...boost.roleIds.map(id => `<@&${id}>`)
+            ];
+            
+            const embed = phase === 'start'
+                ? {
+                    color: 0xf1c40f,
+                    title: `🚀 ${boost.name} has started!`,
+                    description: `Everyone earns **${boost.multiplier}× XP** until <t:${Math.floor(boost.endsAt / 1000)}:t> (<t:${Math.floor(boost.endsAt / 1000)}:R>).`,
+                    fields: scope.length ? [{ name: 'Applies to', value: scope.join(', ') }] : [],
+                    timestamp: new Date().toISOString()
+                }
+                : {
+                    color: 0x95a5a6,
+                    title: `⏱️ ${boost.name} has ended`,
+                    description: 'XP is back to normal. Thanks for joining in!',
+                    timestamp: new Date().toISOString()
+                };
+            
+            await channel.send({ embeds: [embed] });
+        } catch (error) {
+            this.logger.error('Error announcing XP boost', { guildId, error });
+        }
+    }
+
+    // ============================================================================
+    // SEASONS
+    // ============================================================================
+
+    async loadSeasons() {
+        try {
+            this.seasons = await this.seasonStore.all();
+        } catch (error) {
+            this.logger.warn('Could not load seasons.', { error });
+            this.seasons = {};
+        }
+    }
+
+    async saveSeasons(guildId) {
+        await this.seasonStore.set(guildId, this.seasons[guildId]);
+    }
+
+    getSeasonState(guildId) {
+        if (!this.seasons[guildId]) {
+            this.seasons[guildId] = { current: null, archive: [] };
+        }
+        return this.seasons[guildId];
+    }
+
+    validateSeasonRewards(rewards) {
+        if (!rewards || typeof rewards !== 'object') return 'Season rewards must be an object';
+        if (rewards.roles !== undefined) {
+            if (!Array.isArray(rewards.roles)) return 'Season reward roles must be a list';
+            if (rewards.roles.length > this.MAX_SEASON_REWARDS) {
+                return `A season can have at most ${this.MAX_SEASON_REWARDS} reward roles`;
+            }
+            for (const reward of rewards.roles) {
+                if (!reward || !/^\d+$/.test(reward.roleId)) return 'Each season reward needs a role';
+                if (!(Number.isInteger(reward.top) && reward.top >= 1 && reward.top <= 100)) {
+                    return 'Season rewards must go to the top 1 to 100 members';
+                }
+            }
+        }
+        return null;
+    }
+
+    // Members with season XP, highest first
+    getSeasonStandings(guildId) {
+        const standings = [];
+        for (const [userId, guilds] of Object.entries(this.users)) {
+            const userData = guilds[guildId];
+            if (userData?.seasonXP > 0) {
+                standings.push({ userId, seasonXP: userData.seasonXP, level: userData.level || 0 });
+            }
+        }
+        return standings
+            .sort((a, b) => b.seasonXP - a.seasonXP)
+            .map((entry, index) => ({ rank: index + 1, ...entry }));
+    }
+
+    resetSeasonXP(guildId) {
+        for (const [userId, guilds] of Object.entries(this.users)) {
+            if (guilds[guildId]?.seasonXP !== undefined) {
+                delete guilds[guildId].seasonXP;
+                this.markUserDirty(userId);
+            }
+        }
+    }
+
+    // Season changes touch every member of a guild, so only one runs at a time
+    async runSeasonChange(guildId, change) {
+        if (this.seasonChanges.has(guildId)) {
+            throw new Error('A season change is already in progress');
+        }
+        
+        this.seasonChanges.add(guildId);
+        try {
+            return await change();
+        } finally {
+            this.seasonChanges.delete(guildId);
+        }
+    }
+
+    // Starts a new season, closing the running one first
+    async startSeason(guildId, input = {}, startedBy = null) {
+        const name = input.name === undefined || input.name === null ? '' : String(input.name).trim();
+        if (name.length > 100) throw new Error('Season name must be 100 characters or fewer');
+        
+        return this.runSeasonChange(guildId, async () => {
+            const state = this.getSeasonState(guildId);
+            const closed = state.current ? await this.archiveSeason(guildId, startedBy) : null;
+            
+            // Clear any season XP left over from older versions or failed closes
+            this.resetSeasonXP(guildId);
+            await this.flushUserData();
+            
+            const number = (state.archive[0]?.number || 0) + 1;
+            state.current = {
+                id: `s${number}-${Date.now().toString(36)}`,
+                number,
+                name: name || `Season ${number}`,
+                startedAt: Date.now(),
+                startedBy
+            };
+            await this.saveSeasons(guildId);
+            
+            this.logger.info(`Started ${state.current.name}`, { guildId });
+            await this.logAuditEvent(guildId, 'season_start', null, { seasonId: state.current.id, name: state.current.name }, startedBy);
+            return { season: state.current, closed };
+        });
+    }
+
+    async endSeason(guildId, endedBy = null) {
+        return this.runSeasonChange(guildId, async () => {
+            if (!this.getSeasonState(guildId).current) return null;
+            return this.archiveSeason(guildId, endedBy);
+        });
+    }
+
+    // Snapshots the data with createBackup, archives the standings and resets season XP
+    async archiveSeason(guildId, endedBy) {
+        const state = this.getSeasonState(guildId);
+        const season = state.current;
+        const settings = await this.getGuildSettings(guildId);
+        const standings = this.getSeasonStandings(guildId);
+        
+        const backupPath = await this.createBackup('season', `${season.name} closed in guild ${guildId}`);
+        
+        // Work out who earned which reward role
+        const rewards = [];
+        for (const reward of settings.seasonRewards.roles) {
+            for (const entry of standings.slice(0, reward.top)) {
+                rewards.push({ userId: entry.userId, roleId: reward.roleId, rank: entry.rank });
+            }
+        }
+        const previous = state.archive[0];
+        const revokedRewards = settings.seasonRewards.removePrevious && previous
+            ? (previous.rewards || []).filter(old => !rewards.some(reward =>
+                reward.userId === old.userId && reward.roleId === old.roleId))
+            : [];
+        
+        const archived = {
+            ...season,
+            endedAt: Date.now(),
+            endedBy,
+            backupFile: path.basename(backupPath),
+            participants: standings.length,
+            totalXP: standings.reduce((sum, entry) => sum + entry.seasonXP, 0),
+            standings: await Promise.all(standings.slice(0, this.SEASON_STANDINGS_SIZE).map(async entry => {
+                // Names are kept so the archive still reads well after members leave
+                const user = await this.client.users.fetch(entry.userId).catch(() => null);
+                return { ...entry, username: user?.username || null };
+            })),
+            rewards
+        };
+        
+        state.archive.unshift(archived);
+        state.current = null;
+        await this.saveSeasons(guildId);
+        
+        this.resetSeasonXP(guildId);
+        await this.flushUserData();
+        
+        this.logger.info(`Archived ${season.name} (${standings.length} participants)`, { guildId });
+        await this.logAuditEvent(guildId, 'season_end', null, {
+            seasonId: season.id,
+            name: season.name,
+            participants: standings.length,
+            backupFile: archived.backupFile
+        }, endedBy);
+        
+        // Reward roles are handed out by subscribers, like level roles on level.up
+        this.events.publish('season.end', { guildId, season: archived, revokedRewards });
+        
+        return archived;
+    }
+
+    getSeasonSummary(guildId) {
+        const state = this.getSeasonState(guildId);
+        const standings = state.current ? this.getSeasonStandings(guildId) : [];
+        
+        return {
+            current: state.current ? {
+                ...state.current,
+                participants: standings.length,
+                standings: standings.slice(0, this.SEASON_STANDINGS_SIZE)
+            } : null,
+            archive: state.archive.map(season => ({
+                ...season,
+                podium: season.standings.slice(0, 3)
+            }))
+        };
+    }
+
+    // ============================================================================
+    // XP DECAY
+    // ============================================================================
+
+    validateDecayPolicy(policy) {
+        if (!policy || typeof policy !== 'object') return 'Decay settings must be an object';
+        if (policy.graceDays !== undefined && !(Number.isInteger(policy.graceDays) && policy.graceDays >= 1 && policy.graceDays <= 365)) {
+            return 'Decay grace period must be a whole number of days from 1 to 365';
+        }
+        if (policy.percentPerDay !== undefined &&
+            !(Number.isFinite(policy.percentPerDay) && policy.percentPerDay > 0 && policy.percentPerDay <= 50)) {
+            return 'Decay must be more than 0% and at most 50% per day';
+        }
+        if (policy.floorLevel !== undefined && !(Number.isInteger(policy.floorLevel) && policy.floorLevel >= 0)) {
+            return 'Decay floor must be a level of 0 or more';
+        }
+        return null;
+    }
+
+    // Works out the XP each inactive member loses for the given number of days
+    getDecayChanges(guildId, policy, curve, days, now = Date.now()) {
+        const floorXP = this.getXPForLevel(policy.floorLevel, curve);
+        const graceMs = policy.graceDays * 24 * 60 * 60 * 1000;
+        const changes = [];
+        
+        for (const [userId, guilds] of Object.entries(this.users)) {
+            const userData = guilds[guildId];
+            if (!userData || userData.xp <= floorXP) continue;
+            
+            const lastActive = userData.lastActive || userData.lastMessageTime || 0;
+            if (!lastActive) continue;
+            
+            // Only days past the grace period count
+            const inactiveDays = Math.floor((now - lastActive - graceMs) / (24 * 60 * 60 * 1000));
+            const decayDays = Math.min(days, inactiveDays);
+            if (decayDays <= 0) continue;
+            
+            const keep = Math.pow(1 - policy.percentPerDay / 100, decayDays);
+            const newXP = Math.max(floorXP, Math.floor(userData.xp * keep));
+            if (newXP >= userData.xp) continue;
+            
+            changes.push({
+                userId,
+                xpBefore: userData.xp,
+                xpAfter: newXP,
+                levelBefore: userData.level,
+                levelAfter: this.calculateLevel(newXP, curve),
+                inactiveDays: Math.floor((now - lastActive) / (24 * 60 * 60 * 1000))
+            });
+        }
+        
+        return changes;
+    }
+
+    async processDecay() {
+        if (this.decayRunning) return;
+        this.decayRunning = true;
+        
+        try {
+            const day = 24 * 60 * 60 * 1000;
+            const now = Date.now();
+            const guildIds = new Set([...await this.settingsStore.keys(), ...await this.decayStore.keys()]);
+            
+            for (const guildId of guildIds) {
+                const settings = await this.getGuildSettings(guildId);
+                const state = await this.decayStore.get(guildId);
+                
+                // Forget the schedule while decay is off so turning it back on
+                // doesn't make up for the time it was disabled
+                if (!settings.decay.enabled) {
+                    if (state) await this.decayStore.delete(guildId);
+                    continue;
+                }
+                
+                // The first run only starts the clock. Records from before activity
+                // was tracked get their grace period from today.
+                if (!state?.lastRunAt) {
+                    for (const [userId, guilds] of Object.entries(this.users)) {
+                        const userData = guilds[guildId];
+                        if (userData && !userData.lastActive && !userData.lastMessageTime) {
+                            userData.lastActive = now;
+                            this.markUserDirty(userId);
+                        }
+                    }
+                    await this.decayStore.set(guildId, { lastRunAt: now });
+                    continue;
+                }
+                
+                const elapsedDays = Math.floor((now - state.lastRunAt) / day);
+                if (elapsedDays < 1) continue;
+                
+                const days = Math.min(elapsedDays, this.DECAY_MAX_CATCHUP_DAYS);
+                await this.applyDecay(guildId, settings, days);
+                await this.decayStore.set(guildId, { lastRunAt: state.lastRunAt + elapsedDays * day });
+            }
+        } catch (error) {
+            this.logger.error('Error processing XP decay', { error });
+        } finally {
+            this.decayRunning = false;
+        }
+    }
+
+    async applyDecay(guildId, settings, days) {
+        const changes = this.getDecayChanges(guildId, settings.decay, settings.xpCurve, days);
+        if (changes.length === 0) return null;
+        
+        // Snapshot of every guild for disaster recovery. Undoing just this run
+        // goes through revertDecay, which uses the changes recorded below.
+        const backupPath = await this.createBackup('pre-decay', `Before XP decay in guild ${guildId}`);
+        
+        for (const change of changes) {
+            const userData = this.users[change.userId]?.[guildId];
+            if (!userData) continue;
+            
+            userData.xp = change.xpAfter;
+            userData.level = change.levelAfter;
+            this.markUserDirty(change.userId);
+        }
+        await this.flushUserData();
+        
+        for (const change of changes) {
+            if (change.levelAfter < change.levelBefore) {
+                this.events.publish('level.down', { userId: change.userId, guildId, newLevel: change.levelAfter, oldLevel: change.levelBefore });
+            }
+        }
+        
+        const xpRemoved = changes.reduce((sum, change) => sum + change.xpBefore - change.xpAfter, 0);
+        await this.logAuditEvent(guildId, 'xp_decay', null, {
+            runId: `decay-${Date.now().toString(36)}`,
+            days,
+            members: changes.length,
+            xpRemoved,
+            backupFile: path.basename(backupPath),
+            policy: settings.decay,
+            changes
+        }, 'system');
+        
+        this.logger.info(`Decayed ${xpRemoved} XP from ${changes.length} inactive members`, { guildId });
+        return { members: changes.length, xpRemoved, backupFile: path.basename(backupPath) };
+    }
+
+    // Gives back the XP a decay run took in one guild. XP earned since the run
+    // is kept, so members get the lost XP added rather than their old totals.
+    // Returns null if the run was already undone.
+    async revertDecay(guildId, run, moderator) {
+        // Marking the run is serialized per event, so of two quick undo clicks
+        // only the first finds it not undone yet
+        const runId = run.details.runId;
+        run = await this.auditTrail.update(run.id, event => {
+            if (event.details.revertedAt) return undefined;
+            return { ...event, details: { ...event.details, revertedAt: Date.now(), revertedBy: moderator } };
+        });
+        if (!run) return null;
+        
+        const { xpCurve } = await this.getGuildSettings(guildId);
+        const levelChanges = [];
+        let members = 0;
+        let xpRestored = 0;
+        
+        for (const change of run.details.changes || []) {
+            const userData = this.users[change.userId]?.[guildId];
+            if (!userData) continue; // reset or removed since the run
+            
+            const oldLevel = userData.level;
+            userData.xp += change.xpBefore - change.xpAfter;
+            userData.level = this.calculateLevel(userData.xp, xpCurve);
+            this.markUserDirty(change.userId);
+            
+            members++;
+            xpRestored += change.xpBefore - change.xpAfter;
+            if (userData.level > oldLevel) levelChanges.push({ userId: change.userId, oldLevel, newLevel: userData.level });
+        }
+        await this.flushUserData();
+        
+        for (const { userId, oldLevel, newLevel } of levelChanges) {
+            this.events.publish('level.up', { userId, guildId, newLevel, oldLevel });
+        }
+        
+        await this.logAuditEvent(guildId, 'decay_revert', null, { runId, members, xpRestored }, moderator);
+        this.logger.info(`Reverted decay run ${runId} (${xpRestored} XP back to ${members} members)`, { guildId, userId: moderator });
+        return { members, xpRestored };
+    }
+
+    // ============================================================================
+    // DISCORD EVENTS - FIXED
+    // ============================================================================
+
+    setupDiscordEvents() {
+        // Message XP
+        this.client.on('messageCreate', async (message) => {
+            try {
+                if (message.author.bot || !message.guild) return;
+                
+                const settings = await this.getGuildSettings(message.guild.id);
+                if (!settings.enabled || !settings.xpSources?.messages) return;
+                
+                const userId = message.author.id;
+                const guildId = message.guild.id;
+                const rate = settings.xpRates.messages;
+                
+                const multiplier = this.getXPMultiplier(guildId, settings, message.member, message.channel);
+                if (multiplier <= 0) return;
+                
+                // Quality gates run before the cooldown so low-effort messages don't use it up
+                const quality = settings.messageQuality;
+                const withheldReason = quality.enabled ? this.checkMessageQuality(message, quality) : null;
+                if (withheldReason) {
+                    // Only count XP the message would actually have earned
+                    if (!this.isOnCooldown('messages', userId, guildId, rate.cooldown)) {
+                        this.recordWithheldXP(guildId, withheldReason, Math.round((rate.min + rate.max) / 2 * multiplier));
+                    }
+                    return;
+                }
+                
+                if (!this.checkCooldown('messages', userId, guildId, rate.cooldown)) return;
+                
+                const xpGain = this.rollXP(rate);
+                
+                await this.addXP(userId, guildId, Math.floor(xpGain * multiplier), 'message');
+                
+            } catch (error) {
+                this.logger.error('Error in messageCreate event', { error });
+            }
+        });
+
+        // Voice XP tracking
+        // Handles joins, leaves, moves and mute/deafen changes. Time spent in the
+        // previous state is credited first, judged by that state.
+        this.client.on('voiceStateUpdate', async (oldState, newState) => {
+            try {
+                const member = newState.member;
+                if (!member || member.user.bot) return;
+                
+                const guildId = newState.guild.id;
+                const trackingKey = `${member.id}-${guildId}`;
+                const settings = await this.getGuildSettings(guildId);
+                
+                if (this.voiceTracker.has(trackingKey)) {
+                    await this.settleVoiceTime(trackingKey, oldState, settings);
+                }
+                
+                if (!newState.channel || !settings.enabled || !settings.xpSources?.voice) {
+                    this.voiceTracker.delete(trackingKey);
+                    return;
+                }
+                
+                const session = this.voiceTracker.get(trackingKey);
+                if (session) {
+                    // Moves keep the time accrued towards the next award
+                    session.channelId = newState.channelId;
+                } else {
+                    this.voiceTracker.set(trackingKey, { channelId: newState.channelId, lastCheck: Date.now(), accrued: 0 });
+                }
+            } catch (error) {
+                this.logger.error('Error in voiceStateUpdate event', { error });
+            }
+        });
+
+        // Reaction XP
+        this.client.on('messageReactionAdd', async (reaction, user) => {
+            try {
+                if (user.bot || !reaction.message.guild) return;
+                
+                const settings = await this.getGuildSettings(reaction.message.guild.id);
+                if (!settings.enabled || !settings.xpSources?.reactions) return;
+                
+                const guild = reaction.message.guild;
+                const channel = reaction.message.channel;
+                const { reactionsGiven, reactionsReceived } = settings.xpRates;
+                
+                // XP for giving a reaction
+                const giverMultiplier = this.getXPMultiplier(guild.id, settings, await this.resolveMember(guild, user.id), channel);
+                if (giverMultiplier > 0 && this.checkCooldown('reactionsGiven', user.id, guild.id, reactionsGiven.cooldown)) {
+                    await this.addXP(user.id, guild.id, Math.floor(this.rollXP(reactionsGiven) * giverMultiplier), 'reaction_given');
+                }
+                
+                // XP for receiving a reaction (message author)
+                const author = reaction.message.author;
+                if (author && !author.bot && author.id !== user.id) {
+                    const authorMember = reaction.message.member || await this.resolveMember(guild, author.id);
+                    const authorMultiplier = this.getXPMultiplier(guild.id, settings, authorMember, channel);
+                    
+                    if (authorMultiplier > 0 && this.checkCooldown('reactionsReceived', author.id, guild.id, reactionsReceived.cooldown)) {
+                        await this.addXP(author.id, guild.id, Math.floor(this.rollXP(reactionsReceived) * authorMultiplier), 'reaction_received');
+                    }
+                }
+            } catch (error) {
+                this.logger.error('Error in messageReactionAdd event', { error });
+            }
+        });
+    }
+
+    async updateVoiceXP() {
+        try {
+            const now = Date.now();
+            const settingsByGuild = new Map();
+            
+            for (const trackingKey of [...this.voiceTracker.keys()]) {
+                const [userId, guildId] = trackingKey.split('-');
+                const voiceState = this.client.guilds.cache.get(guildId)?.voiceStates.cache.get(userId);
+                
+                // Missed the leave event (e.g. while reconnecting)
+                if (!voiceState?.channel) {
+                    this.voiceTracker.delete(trackingKey);
+                    continue;
+                }
+                
+                if (!settingsByGuild.has(guildId)) {
+                    settingsByGuild.set(guildId, await this.getGuildSettings(guildId));
+                }
+                
+                await this.settleVoiceTime(trackingKey, voiceState, settingsByGuild.get(guildId), now);
+            }
+        } catch (error) {
+            this.logger.error('Error updating voice XP', { error });
+        }
+    }
+
+    // Why a member in voice currently earns nothing, or null when they are eligible
+    getVoiceIneligibility(voiceState, rules) {
+        const channel = voiceState?.channel;
+        if (!channel) return 'not_connected';
+        
+        if (rules.ignoreAfkChannel && channel.id === voiceState.guild.afkChannelId) return 'afk_channel';
+        if (rules.ignoreDeafened && (voiceState.selfDeaf || voiceState.serverDeaf)) return 'deafened';
+        if (rules.ignoreMuted && (voiceState.selfMute || voiceState.serverMute)) return 'muted';
+        
+        const humans = channel.members.filter(member => !member.user.bot).size;
+        if (humans < (rules.minHumans || 1)) return 'too_few_humans';
+        
+        return null;
+    }
+
+    // Credits the time since the last check to voiceTime if the member was eligible,
+    // and awards XP for every full voice interval accrued so far
+    async settleVoiceTime(trackingKey, voiceState, settings, now = Date.now()) {
+        const session = this.voiceTracker.get(trackingKey);
+        if (!session) return;
+        
+        const elapsed = now - session.lastCheck;
+        session.lastCheck = now;
+        
+        if (elapsed <= 0 || !settings.enabled || !settings.xpSources?.voice) return;
+        if (this.getVoiceIneligibility(voiceState, settings.voiceRules)) return;
+        
+        const [userId, guildId] = trackingKey.split('-');
+        this.ensureUserGuildData(userId, guildId).voiceTime += elapsed;
+        this.markUserDirty(userId);
+        
+        // The voice cooldown is how long a member must stay eligible per award
+        const rate = settings.xpRates.voice;
+        const interval = rate.cooldown || this.VOICE_UPDATE_INTERVAL;
+        
+        session.accrued += elapsed;
+        const awards = Math.floor(session.accrued / interval);
+        if (awards === 0) return;
+        session.accrued -= awards * interval;
+        
+        const multiplier = this.getXPMultiplier(guildId, settings, voiceState.member, voiceState.channel);
+        if (multiplier <= 0) return;
+        
+        let xpGain = 0;
+        for (let i = 0; i < awards; i++) xpGain += this.rollXP(rate);
+        
+        await this.addXP(userId, guildId, Math.floor(xpGain * multiplier), 'voice');
+    }
+
+    trackExistingVoiceMembers() {
+        const now = Date.now();
+        let tracked = 0;
+        
+        for (const guild of this.client.guilds.cache.values()) {
+            for (const voiceState of guild.voiceStates.cache.values()) {
+                if (!voiceState.channelId || voiceState.member?.user.bot) continue;
+                
+                const trackingKey = `${voiceState.id}-${guild.id}`;
+                if (!this.voiceTracker.has(trackingKey)) {
+                    this.voiceTracker.set(trackingKey, { channelId: voiceState.channelId, lastCheck: now, accrued: 0 });
+                    tracked++;
+                }
+            }
+        }
+        
+        if (tracked > 0) this.logger.info(`Tracking ${tracked} members already in voice`);
+    }
+
+    // ============================================================================
+    // API ROUTES
+    // ============================================================================
+
+    setupRoutes() {
+        // Get user level/XP data
+        this.app.get('/api/plugins/leveling/user/:userId/:guildId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
+            try {
+                const { userId, guildId } = req.params;
+                
+                const userData = await this.getUserData(userId, guildId);
+                res.json(userData);
+            } catch (error) {
+                this.logger.error('Error getting user data', { error });
+                res.status(500).json({ error: 'Failed to get user data' });
+            }
+        });
+
+        // Get leaderboard
+        this.app.get('/api/plugins/leveling/leaderboard/:guildId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
+            try {
+                const { guildId } = req.params;
+                const { type = 'overall', limit = 20 } = req.query;
+                
+                const leaderboard = await this.getLeaderboard(guildId, type, parseInt(limit));
+                res.json(leaderboard);
+            } catch (error) {
+                this.logger.error('Error getting leaderboard', { error });
+                res.status(500).json({ error: 'Failed to get leaderboard' });
+            }
+        });
+
+        // Get guild settings
+        this.app.get('/api/plugins/leveling/settings/:guildId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
+            try {
+                const { guildId } = req.params;
+                
+                const settings = await this.getGuildSettings(guildId);
+                res.json(settings);
+            } catch (error) {
+                this.logger.error('Error getting settings', { error });
+                res.status(500).json({ error: 'Failed to get settings' });
+            }
+        });
+
+        // Update guild settings
+        this.app.post('/api/plugins/leveling/settings/:guildId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { guildId } = req.params;
+                
+                const validationError = (req.body.xpCurve && this.validateXPCurve(req.body.xpCurve)) ||
+                    (req.body.xpRates && this.validateXPRates(req.body.xpRates)) ||
+                    (req.body.messageQuality && this.validateMessageQuality(req.body.messageQuality)) ||
+                    (req.body.voiceRules && this.validateVoiceRules(req.body.voiceRules)) ||
+                    (req.body.rankCard && rankCard.validateTheme(req.body.rankCard)) ||
+                    (req.body.seasonRewards && this.validateSeasonRewards(req.body.seasonRewards)) ||
+                    (req.body.decay && this.validateDecayPolicy(req.body.decay)) ||
+                    this.validateMultipliers(req.body);
+                if (validationError) {
+                    return res.status(400).json({ error: validationError });
+                }
+                
+                const previous = await this.getGuildSettings(guildId);
+                await this.updateGuildSettings(guildId, req.body);
+                const updated = await this.getGuildSettings(guildId);
+                res.locals.audit = { action: 'Updated leveling settings', before: previous, after: updated };
+                
+                // Existing levels follow the new curve
+                let levelsRecalculated = 0;
+                if (JSON.stringify(previous.xpCurve) !== JSON.stringify(updated.xpCurve)) {
+                    ({ usersUpdated: levelsRecalculated } = await this.recalculateLevels(guildId));
+                }
+                
+                res.json({ success: true, levelsRecalculated });
+            } catch (error) {
+                this.logger.error('Error saving settings', { error });
+                res.status(500).json({ error: 'Failed to save settings' });
+            }
+        });
+
+        // Preview a rank card theme before saving it, drawn with the admin's own stats
+        this.app.post('/api/plugins/leveling/rank-card/:guildId/preview', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
+            try {
+                const { guildId } = req.params;
+                
+                const theme = req.body.rankCard || {};
+                const validationError = rankCard.validateTheme(theme);
+                if (validationError) {
+                    return res.status(400).json({ error: validationError });
+                }
+                
+                const user = await this.client.users.fetch(req.user.id);
+                const member = await this.client.guilds.cache.get(guildId)?.members.fetch(req.user.id).catch(() => null);
+                const settings = await this.getGuildSettings(guildId);
+                const image = await this.createRankCard(guildId, user, member?.displayName || user.globalName || user.username, {
+                    ...settings.rankCard,
+                    ...theme
+                });
+                
+                res.type('png').send(image);
+            } catch (error) {
+                this.logger.error('Error rendering rank card preview', { error });
+                res.status(500).json({ error: 'Failed to render rank card' });
+            }
+        });
+
+        // Manage XP (add/remove)
+        this.app.post('/api/plugins/leveling/manage-xp', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { userId, guildId, amount } = req.body;
+                
+                const userData = await this.addXP(userId, guildId, parseInt(amount), 'manual');
+                await this.logAuditEvent(guildId, 'manual_xp', userId, { amount: parseInt(amount), xpAfter: userData.xp }, req.user.id);
+                res.json(userData);
+            } catch (error) {
+                this.logger.error('Error managing XP', { error });
+                res.status(500).json({ error: 'Internal server error' });
+            }
+        });
+
+        // Audit trail (decay runs, manual XP changes, restores, seasons)
+        this.app.get('/api/plugins/leveling/audit/:guildId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
+            try {
+                const { guildId } = req.params;
+                const { limit = 50, type } = req.query;
+                
+                const events = (await this.loadAuditEvents())
+                    .filter(event => event.guildId === guildId && (!type || event.type === type))
+                    .slice(0, parseInt(limit));
+                res.json(events);
+            } catch (error) {
+                this.logger.error('Error getting leveling audit log', { error });
+                res.status(500).json({ error: 'Failed to get audit log' });
+            }
+        });
+
+        // Members the next decay run would affect under the saved policy
+        this.app.get('/api/plugins/leveling/decay/:guildId/preview', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
+            try {
+                const { guildId } = req.params;
+                
+                const settings = await this.getGuildSettings(guildId);
+                const changes = this.getDecayChanges(guildId, settings.decay, settings.xpCurve, 1);
+                res.json({
+                    enabled: settings.decay.enabled,
+                    members: changes.length,
+                    xpRemoved: changes.reduce((sum, change) => sum + change.xpBefore - change.xpAfter, 0),
+                    levelsLost: changes.filter(change => change.levelAfter < change.levelBefore).length
+                });
+            } catch (error) {
+                this.logger.error('Error previewing XP decay', { error });
+                res.status(500).json({ error: 'Failed to preview XP decay' });
+            }
+        });
+
+        // Undo one decay run for this server from the changes it recorded
+        this.app.post('/api/plugins/leveling/decay/:guildId/revert/:runId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { guildId, runId } = req.params;
+                
+                const run = (await this.loadAuditEvents())
+                    .find(event => event.guildId === guildId && event.type === 'xp_decay' && event.details?.runId === runId);
+                if (!run) {
+                    return res.status(404).json({ error: 'Decay run not found' });
+                }
+                
+                const result = run.details.revertedAt ? null : await this.revertDecay(guildId, run, req.user.id);
+                if (!result) {
+                    return res.status(409).json({ error: 'This decay run has already been undone' });
+                }
+                
+                res.json({ success: true, ...result });
+            } catch (error) {
+                this.logger.error('Error reverting XP decay', { error });
+                res.status(500).json({ error: 'Failed to undo XP decay' });
+            }
+        });
+
+        // Get stats
+        this.app.get('/api/plugins/leveling/stats/:guildId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
+            try {
+                const { guildId } = req.params;
+                
+                const stats = await this.getGuildStats(guildId);
+                res.json({ ...stats, withheld: this.getWithheldReport(guildId) });
+            } catch (error) {
+                this.logger.error('Error getting stats', { error });
+                res.status(500).json({ error: 'Failed to get stats' });
+            }
+        });
+
+        // Recalculate every level in a guild from stored XP
+        this.app.post('/api/plugins/leveling/recalculate/:guildId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { guildId } = req.params;
+                
+                const result = await this.recalculateLevels(guildId);
+                res.json({ success: true, ...result });
+            } catch (error) {
+                this.logger.error('Error recalculating levels', { error });
+                res.status(500).json({ error: 'Failed to recalculate levels' });
+            }
+        });
+
+        // Add sync data endpoint (every guild's data, so bot owner only)
+        this.app.post('/api/plugins/leveling/sync-data', this.ensureAuthenticated, this.requireBotOwner, async (req, res) => {
+            try {
+                const result = await this.validateAndSyncUserData();
+                res.json(result);
+            } catch (error) {
+                this.logger.error('Error syncing data', { error });
+                res.status(500).json({ error: 'Failed to sync data' });
+            }
+        });
+    }
+
+    // ============================================================================
+    // BACKUP SYSTEM
+    // ============================================================================
+
+    // Backups hold every guild's leveling data, so only the bot owner can use them
+    setupBackupRoutes() {
+        // Create manual backup
+        this.app.post('/api/plugins/leveling/backup/create', this.ensureAuthenticated, this.requireBotOwner, async (req, res) => {
+            try {
+                const { reason } = req.body;
+                
+                const backupPath = await this.createBackup('manual', reason || 'Manual backup via dashboard');
+                
+                res.json({
+                    success: true,
+                    message: 'Backup created successfully',
+                    backupPath: path.basename(backupPath)
+                });
+            } catch (error) {
+                this.logger.error('Error creating manual backup', { error });
+                res.status(500).json({ error: 'Failed to create backup' });
+            }
+        });
+
+        // List available backups
+        this.app.get('/api/plugins/leveling/backup/list', this.ensureAuthenticated, this.requireBotOwner, async (req, res) => {
+            try {
+                const backupFiles = await fs.readdir(this.backupDir);
+                const levelingBackups = [];
+                
+                for (const file of backupFiles) {
+                    if (file.startsWith('levelingData_') && file.endsWith('.json')) {
+                        try {
+                            const filePath = path.join(this.backupDir, file);
+                            const stat = await fs.stat(filePath);
+                            
+                            // Try to read metadata
+                            let metadata = null;
+                            try {
+                                const content = await fs.readFile(filePath, 'utf8');
+                                const backup = JSON.parse(content);
+                                metadata = backup.metadata;
+                            } catch {}
+                            
+                            levelingBackups.push({
+                                filename: file,
+                                size: stat.size,
+                                created: stat.birthtime,
+                                modified: stat.mtime,
+                                metadata: metadata
+                            });
+                        } catch (error) {
+                            this.logger.warn(`Could not read backup file: ${file}`, { error });
+                        }
+                    }
+                }
+                
+                // Sort by creation time (newest first)
+                levelingBackups.sort((a, b) => new Date(b.created) - new Date(a.created));
+                
+                res.json(levelingBackups);
+            } catch (error) {
+                this.logger.error('Error listing backups', { error });
+                res.status(500).json({ error: 'Failed to list backups' });
+            }
+        });
+
+        // Restore from backup
+        this.app.post('/api/plugins/leveling/backup/restore', this.ensureAuthenticated, this.requireBotOwner, async (req, res) => {
+            try {
+                const { filename, guildId } = req.body;
+                
+                // Only files directly inside the backup folder
+                if (typeof filename !== 'string' || !filename || path.basename(filename) !== filename) {
+                    return res.status(400).json({ error: 'Invalid backup filename' });
+                }
+                
+                const backupPath = path.join(this.backupDir, filename);
+                
+                // Verify backup exists and is valid
+                const backupContent = await fs.readFile(backupPath, 'utf8');
+                const backup = JSON.parse(backupContent);
+                const data = backup.data || backup;
+                
+                if (!data.users || typeof data.users !== 'object') {
+                    throw new Error('Invalid backup data structure');
+                }
+                
+                // Create backup of current state before restoring
+                await this.createBackup('pre-restore', `Before restoring from ${filename}`);
+                
+                // Restore the data exactly as it was backed up
+                await this.replaceUserData(data.users);
+                
+                // Validate restored data
+                await this.validateAndSyncUserData();
+                await this.logAuditEvent(guildId, 'backup_restore', null, { filename }, req.user.id);
+                
+                res.json({
+                    success: true,
+                    message: 'Backup restored successfully'
+                });
+            } catch (error) {
+                this.logger.error('Error restoring backup', { error });
+                res.status(500).json({ error: 'Failed to restore backup' });
+            }
+        });
+    }
+
+    setupBoostRoutes() {
+        // List boosts (scheduled, active and recently ended)
+        this.app.get('/api/plugins/leveling/boosts/:guildId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
+            try {
+                const { guildId } = req.params;
+                
+                res.json(this.getGuildBoosts(guildId));
+            } catch (error) {
+                this.logger.error('Error getting XP boosts', { error });
+                res.status(500).json({ error: 'Failed to get XP boosts' });
+            }
+        });
+
+        // Schedule a boost
+        this.app.post('/api/plugins/leveling/boosts/:guildId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { guildId } = req.params;
+                
+                let boost;
+                try {
+                    boost = await this.createBoost(guildId, req.body, req.user.id);
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+                
+                res.json({ success: true, boost: { ...boost, status: this.getBoostStatus(boost) } });
+            } catch (error) {
+                this.logger.error('Error creating XP boost', { error });
+                res.status(500).json({ error: 'Failed to create XP boost' });
+            }
+        });
+
+        // Cancel a scheduled boost or end a running one
+        this.app.delete('/api/plugins/leveling/boosts/:guildId/:boostId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { guildId, boostId } = req.params;
+                
+                const boost = await this.cancelBoost(guildId, boostId);
+                if (!boost) {
+                    return res.status(404).json({ error: 'Boost not found' });
+                }
+                
+                res.json({ success: true });
+            } catch (error) {
+                this.logger.error('Error cancelling XP boost', { error });
+                res.status(500).json({ error: 'Failed to cancel XP boost' });
+            }
+        });
+    }
+
+    setupSeasonRoutes() {
+        // Current season and past season podiums
+        this.app.get('/api/plugins/leveling/seasons/:guildId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
+            try {
+                const { guildId } = req.params;
+                
+                res.json(this.getSeasonSummary(guildId));
+            } catch (error) {
+                this.logger.error('Error getting seasons', { error });
+                res.status(500).json({ error: 'Failed to get seasons' });
+            }
+        });
+
+        // Start a new season (archives the running one)
+        this.app.post('/api/plugins/leveling/seasons/:guildId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { guildId } = req.params;
+                
+                let result;
+                try {
+                    result = await this.startSeason(guildId, req.body, req.user.id);
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+                
+                res.json({ success: true, ...result });
+            } catch (error) {
+                this.logger.error('Error starting season', { error });
+                res.status(500).json({ error: 'Failed to start season' });
+            }
+        });
+
+        // Close the running season without starting another
+        this.app.post('/api/plugins/leveling/seasons/:guildId/end', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
+            try {
+                const { guildId } = req.params;
+                
+                let season;
+                try {
+                    season = await this.endSeason(guildId, req.user.id);
+                } catch (error) {
+                    return res.status(400).json({ error: error.message });
+                }
+                if (!season) {
+                    return res.status(404).json({ error: 'No season is running' });
+                }
+                
+                res.json({ success: true, season });
+            } catch (error) {
+                this.logger.error('Error ending season', { error });
+                res.status(500).json({ error: 'Failed to end season' });
+            }
+        });
+    }
+
+    async createBackup(type, reason) {
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            const backupFilename = `levelingData_${type}_${timestamp}.json`;
+            const backupPath = path.join(this.backupDir, backupFilename);
+            
+            const currentData = await this.loadData();
+            const backupData = {
+                metadata: {
+                    timestamp: new Date().toISOString(),
+                    type,
+                    reason,
+                    version: this.version
+                },
+                data: currentData
+            };
+            
+            await fs.writeFile(backupPath, JSON.stringify(backupData, null, 2));
+            this.logger.info(`Backup created: ${backupFilename}`);
+            return backupPath;
+        } catch (error) {
+            this.logger.error('Error creating backup', { error });
+            throw error;
+        }
+    }
+
+    async validateAndSyncUserData() {
+        try {
+            const data = await this.loadData();
+            const curves = new Map();
+            let changesMade = false;
+            
+            // Validate each user's data
+            for (const [userId, guilds] of Object.entries(data.users)) {
+                for (const [guildId, userData] of Object.entries(guilds)) {
+                    if (userData && typeof userData === 'object') {
+                        // Ensure all required fields exist
+                        const requiredFields = {
+                            xp: 0,
+                            level: 0,
+                            lastMessageTime: 0,
+                            messages: 0,
+                            voiceTime: 0,
+                            reactionsGiven: 0,
+                            reactionsReceived: 0
+                        };
+                        
+                        for (const [field, defaultValue] of Object.entries(requiredFields)) {
+                            if (userData[field] === undefined || userData[field] === null) {
+                                userData[field] = defaultValue;
+                                changesMade = true;
+                            }
+                        }
+                        
+                        // Ensure level matches XP on the guild's curve
+                        if (!curves.has(guildId)) {
+                            curves.set(guildId, (await this.getGuildSettings(guildId)).xpCurve);
+                        }
+                        const calculatedLevel = this.calculateLevel(userData.xp, curves.get(guildId));
+                        if (userData.level !== calculatedLevel) {
+                            this.logger.info(`Syncing level: ${userData.level} → ${calculatedLevel}`, { guildId, userId });
+                            userData.level = calculatedLevel;
+                            changesMade = true;
+                        }
+                    }
+                }
+            }
+            
+            if (changesMade) {
+                await this.saveData(data);
+                this.logger.info('User data validation and sync completed');
+            }
+            
+            return { success: true, changesMade };
+        } catch (error) {
+            this.logger.error('Error validating user data', { error });
+            return { success: false, error: error.message };
+        }
+    }
+
+    startPeriodicBackups() {
+        this.timers.push(setInterval(async () => {
+            try {
+                await this.createBackup('periodic', 'Automatic periodic backup');
+            } catch (error) {
+                this.logger.error('Error in periodic backup', { error });
+            }
+        }, this.backupInterval));
+    }
+
+    startDailyBackups() {
+        this.timers.push(setInterval(async () => {
+            const now = new Date();
+            if (now.getHours() === this.dailyBackupHour && now.getMinutes() < 5) {
+                try {
+                    await this.createBackup('daily', 'Daily scheduled backup');
+                } catch (error) {
+                    this.logger.error('Error in daily backup', { error });
+                }
+            }
+        }, 5 * 60 * 1000));
+    }
+
+    async cleanupOldBackups() {
+        try {
+            const backupFiles = await fs.readdir(this.backupDir);
+            // Season snapshots are the archive's source of truth, so they never rotate out.
+            // Pre-decay snapshots rotate on their own so routine backups can't push them out.
+            const levelingBackups = backupFiles
+                .filter(file => file.startsWith('levelingData_') && file.endsWith('.json'))
+                .filter(file => !file.startsWith('levelingData_season_'))
+                .map(file => ({
+                    name: file,
+                    path: path.join(this.backupDir, file),
+                    stat: null
+                }));
+            
+            // Get file stats for sorting by creation time
+            for (const backup of levelingBackups) {
+                try {
+                    backup.stat = await fs.stat(backup.path);
+                } catch (error) {
+                    this.logger.warn(`Could not stat backup file: ${backup.name}`, { error });
+                }
+            }
+            
+            // Filter out files we couldn't stat and sort by creation time
+            const validBackups = levelingBackups
+                .filter(backup => backup.stat)
+                .sort((a, b) => b.stat.birthtime - a.stat.birthtime);
+            
+            // Delete old backups beyond the limit
+            const isDecayBackup = backup => backup.name.startsWith('levelingData_pre-decay_');
+            const backupsToDelete = [
+                ...validBackups.filter(backup => !isDecayBackup(backup)).slice(this.maxBackups),
+                ...validBackups.filter(isDecayBackup).slice(this.maxDecayBackups)
+            ];
+            
+            if (backupsToDelete.length > 0) {
+                for (const backup of backupsToDelete) {
+                    try {
+                        await fs.unlink(backup.path);
+                        this.logger.info(`Deleted old backup: ${backup.name}`);
+                    } catch (error) {
+                        this.logger.warn(`Could not delete backup file: ${backup.name}`, { error });
+                    }
+                }
+            }
+        } catch (error) {
+            this.logger.error('Error cleaning up old backups', { error });
+        }
+    }
+
+    // ============================================================================
+    // UTILITY METHODS
+    // ============================================================================
+
+    async getGuildStats(guildId) {
+        try {
+            let totalUsers = 0;
+            let totalXP = 0;
+            let totalLevels = 0;
+            let activeToday = 0;
+            
+            const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
+            
+            for (const userData of Object.values(this.users)) {
+                if (userData[guildId]) {
+                    const guildData = userData[guildId];
+                    totalUsers++;
+                    totalXP += guildData.xp || 0;
+                    totalLevels += guildData.level || 0;
+                    
+                    if ((guildData.lastActive || guildData.lastMessageTime || 0) > oneDayAgo) {
+                        activeToday++;
+                    }
+                }
+            }
+            
+            return {
+                totalUsers,
+                totalXP,
+                averageLevel: totalUsers > 0 ? Math.round((totalLevels / totalUsers) * 100) / 100 : 0,
+                activeToday
+            };
+        } catch (error) {
+            this.logger.error('Error getting guild stats', { guildId, error });
+            return {
+                totalUsers: 0,
+                totalXP: 0,
+                averageLevel: 0,
+                activeToday: 0
+            };
+        }
+    }
+
+    async getLeaderboard(guildId, type = 'overall', limit = 20) {
+        const entries = [];
+        
+        for (const [userId, guilds] of Object.entries(this.users)) {
+            const userData = guilds[guildId];
+            if (!userData) continue;
+            
+            let score;
+            switch (type) {
+                case 'voice':
+                    score = userData.voiceTime || 0;
+                    break;
+                case 'reactions':
+                    score = (userData.reactionsGiven || 0) + (userData.reactionsReceived || 0);
+                    break;
+                case 'season':
+                    score = userData.seasonXP || 0;
+                    break;
+                default:
+                    score = userData.xp || 0;
+            }
+            
+            // Only members who earned XP this season are on the season board
+            if (type === 'season' && score === 0) continue;
+            
+            entries.push({
+                userId,
+                level: userData.level || 0,
+                xp: userData.xp || 0,
+                score
+            });
+        }
+        
+        return entries
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    setupSlashCommands() {
+        // Commands from getSlashCommands are registered by app.js on ready
+        this.client.on('interactionCreate', async (interaction) => {
+            if (!interaction.isChatInputCommand() || !interaction.guildId) return;
+            
+            try {
+                if (interaction.commandName === 'xpboost') {
+                    await this.handleBoostCommand(interaction);
+                } else if (interaction.commandName === 'rank') {
+                    await this.handleRankCommand(interaction);
+                } else if (interaction.commandName === 'leaderboard') {
+                    await this.handleLeaderboardCommand(interaction);
+                }
+            } catch (error) {
+                this.logger.error('Error handling leveling command', { error });
+                const reply = { content: '❌ Something went wrong running that command.', ephemeral: true };
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.followUp(reply).catch(() => {});
+                } else {
+                    await interaction.reply(reply).catch(() => {});
+                }
+            }
+        });
+        
+        this.logger.info('Slash commands ready for registration');
+    }
+
+    getSlashCommands() {
+        return [
+            new SlashCommandBuilder()
+                .setName('xpboost')
+                .setDescription('Manage timed XP boost events')
+                .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+                .addSubcommand(sub => sub
+                    .setName('start')
+                    .setDescription('Start or schedule an XP boost')
+                    .addNumberOption(opt => opt.setName('multiplier').setDescription('XP multiplier, e.g. 2 for double XP').setRequired(true).setMinValue(1.1).setMaxValue(this.MAX_MULTIPLIER))
+                    .addIntegerOption(opt => opt.setName('duration').setDescription('How long the boost lasts, in minutes').setRequired(true).setMinValue(1).setMaxValue(this.MAX_BOOST_DURATION / 60000))
+                    .addStringOption(opt => opt.setName('name').setDescription('Event name, e.g. Listening Party').setMaxLength(100))
+                    .addIntegerOption(opt => opt.setName('starts_in').setDescription('Minutes from now until the boost starts (default: now)').setMinValue(0))
+                    .addChannelOption(opt => opt.setName('channel').setDescription('Only boost XP earned in this channel'))
+                    .addRoleOption(opt => opt.setName('role').setDescription('Only boost XP for members with this role')))
+                .addSubcommand(sub => sub
+                    .setName('list')
+                    .setDescription('List scheduled and active XP boosts'))
+                .addSubcommand(sub => sub
+                    .setName('end')
+                    .setDescription('End or cancel an XP boost')
+                    .addStringOption(opt => opt.setName('id').setDescription('Boost ID from /xpboost list').setRequired(true))),
+            new SlashCommandBuilder()
+                .setName('rank')
+                .setDescription('Show a rank card with level, XP progress and server rank')
+                .addUserOption(opt => opt.setName('user').setDescription('Member to look up (default: you)')),
+            new SlashCommandBuilder()
+                .setName('leaderboard')
+                .setDescription('Show the server leaderboard')
+                .addStringOption(opt => opt
+                    .setName('type')
+                    .setDescription('What to rank members by (default: XP)')
+                    .addChoices(
+                        { name: 'XP', value: 'overall' },
+                        { name: 'Voice time', value: 'voice' },
+                        { name: 'Reactions', value: 'reactions' },
+                        { name: 'This season', value: 'season' }
+                    ))
+        ].map(cmd => cmd.toJSON());
+    }
+
+    async handleBoostCommand(interaction) {
+        if (!interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+            return interaction.reply({ content: '❌ You need the Manage Server permission to manage XP boosts.', ephemeral: true });
+        }
+        
+        const guildId = interaction.guildId;
+        const subcommand = interaction.options.getSubcommand();
+        
+        if (subcommand === 'start') {
+            const startsIn = interaction.options.getInteger('starts_in') || 0;
+            const channel = interaction.options.getChannel('channel');
+            const role = interaction.options.getRole('role');
+            
+            let boost;
+            try {
+                boost = await this.createBoost(guildId, {
+                    name: interaction.options.getString('name'),
+                    multiplier: interaction.options.getNumber('multiplier'),
+                    startsAt: Date.now() + startsIn * 60000,
+                    durationMinutes: interaction.options.getInteger('duration'),
+                    channelIds: channel ? [channel.id] : [],
+                    roleIds: role ? [role.id] : [],
+                    announceChannelId: interaction.channelId
+                }, interaction.user.id);
+            } catch (error) {
+                return interaction.reply({ content: `❌ ${error.message}`, ephemeral: true });
+            }
+            
+            const when = startsIn > 0 ? `starts <t:${Math.floor(boost.startsAt / 1000)}:R>` : 'is now running';
+            return interaction.reply({
+                content: `✅ **${boost.name}** (${boost.multiplier}× XP, ID \`${boost.id}\`) ${when} and ends <t:${Math.floor(boost.endsAt / 1000)}:f>.`,
+                ephemeral: true
+            });
+        }
+        
+        if (subcommand === 'list') {
+            const boosts = this.getGuildBoosts(guildId).filter(boost => boost.status !== 'ended');
+            if (boosts.length === 0) {
+                return interaction.reply({ content: 'No XP boosts are scheduled or running.', ephemeral: true });
+            }
+            
+            const lines = boosts.map(boost => {
+                const icon = boost.status === 'active' ? '🟢' : '🕒';
+                const window = `<t:${Math.floor(boost.startsAt / 1000)}:f> → <t:${Math.floor(boost.endsAt / 1000)}:f>`;
+                return `${icon} \`${boost.id}\` **${boost.name}** — ${boost.multiplier}× — ${window}`;
+            });
+            
+            return interaction.reply({
+                embeds: [{ color: 0xf1c40f, title: '🚀 XP Boosts', description: lines.join('\n') }],
+                ephemeral: true
+            });
+        }
+        
+        if (subcommand === 'end') {
+            const boost = await this.cancelBoost(guildId, interaction.options.getString('id'));
+            if (!boost) {
+                return interaction.reply({ content: '❌ No boost found with that ID.', ephemeral: true });
+            }
+            return interaction.reply({ content: `✅ **${boost.name}** has been ended.`, ephemeral: true });
+        }
+    }
+
+    // ============================================================================
+    // RANK CARDS
+    // ============================================================================
+
+    // Position of a member on one of the guild's leaderboards (1-based), or null if unranked
+    async getUserRank(userId, guildId, type = 'overall') {
+        const leaderboard = await this.getLeaderboard(guildId, type, Infinity);
+        const index = leaderboard.findIndex(entry => entry.userId === userId);
+        return { rank: index === -1 ? null : index + 1, total: leaderboard.length };
+    }
+
+    // Renders a member's rank card as a PNG buffer, using the guild's theme unless one is given
+    async createRankCard(guildId, user, displayName, theme = null) {
+        const settings = await this.getGuildSettings(guildId);
+        const userData = await this.getUserData(user.id, guildId);
+        const { rank } = await this.getUserRank(user.id, guildId);
+        const level = this.calculateLevel(userData.xp, settings.xpCurve);
+        
+        return rankCard.renderRankCard({
+            username: user.username,
+            displayName,
+            avatarURL: user.displayAvatarURL({ extension: 'png', size: 256, forceStatic: true }),
+            level,
+            xp: userData.xp,
+            levelStartXP: this.getXPForLevel(level, settings.xpCurve),
+            nextLevelXP: userData.xp + this.getXPForNextLevel(userData.xp, settings.xpCurve),
+            rank,
+            stats: userData
+        }, theme || settings.rankCard, { logger: this.logger, fields: { guildId, userId: user.id } });
+    }
+
+    async handleRankCommand(interaction) {
+        const target = interaction.options.getUser('user') || interaction.user;
+        if (target.bot) {
+            return interaction.reply({ content: '🤖 Bots don\'t earn XP.', ephemeral: true });
+        }
+        
+        const settings = await this.getGuildSettings(interaction.guildId);
+        if (!settings.enabled) {
+            return interaction.reply({ content: 'The leveling system is turned off in this server.', ephemeral: true });
+        }
+        
+        // Rendering can take longer than the 3 seconds Discord allows for a reply
+        await interaction.deferReply();
+        
+        const member = interaction.options.getMember('user') || (target.id === interaction.user.id ? interaction.member : null);
+        const image = await this.createRankCard(interaction.guildId, target, member?.displayName || target.globalName || target.username);
+        
+        await interaction.editReply({ files: [new AttachmentBuilder(image, { name: 'rank.png' })] });
+    }
+
+    async handleLeaderboardCommand(interaction) {
+        const guildId = interaction.guildId;
+        const type = interaction.options.getString('type') || 'overall';
+        
+        const settings = await this.getGuildSettings(guildId);
+        if (!settings.enabled) {
+            return interaction.reply({ content: 'The leveling system is turned off in this server.', ephemeral: true });
+        }
+        
+        const season = this.seasons[guildId]?.current;
+        if (type === 'season' && !season) {
+            return interaction.reply({ content: 'No season is running right now.', ephemeral: true });
+        }
+        
+        const leaderboard = await this.getLeaderboard(guildId, type, 10);
+        if (leaderboard.length === 0 || leaderboard[0].score === 0) {
+            return interaction.reply({ content: 'Nobody is on this leaderboard yet.', ephemeral: true });
+        }
+        
+        const medals = ['🥇', '🥈', '🥉'];
+        const lines = leaderboard.map((entry, index) => {
+            const position = medals[index] || `**${index + 1}.**`;
+            let detail;
+            switch (type) {
+                case 'voice':
+                    detail = `${Math.floor(entry.score / 60000).toLocaleString()} min in voice`;
+                    break;
+                case 'reactions':
+                    detail = `${entry.score.toLocaleString()} reactions`;
+                    break;
+                case 'season':
+                    detail = `${entry.score.toLocaleString()} season XP`;
+                    break;
+                default:
+                    detail = `Level ${entry.level} • ${entry.xp.toLocaleString()} XP`;
+            }
+            return `${position} <@${entry.userId}> — ${detail}`;
+        });
+        
+        const titles = {
+            overall: '🏆 XP Leaderboard',
+            voice: '🎙️ Voice Leaderboard',
+            reactions: '⭐ Reaction Leaderboard',
+            season: `🏁 ${season?.name} Leaderboard`
+        };
+        const { rank, total } = await this.getUserRank(interaction.user.id, guildId, type);
+        
+        return interaction.reply({
+            embeds: [{
+                color: 0xf1c40f,
+                title: titles[type] || titles.overall,
+                description: lines.join('\n'),
+                footer: { text: rank ? `Your rank: #${rank} of ${total}` : 'You are not ranked yet' }
+            }],
+            allowedMentions: { parse: [] }
+        });
+    }
+
+    // ============================================================================
+    // FRONTEND COMPONENT
+    // ============================================================================
+
+    getFrontendComponent() {
+        return {
+            id: 'leveling',
+            name: 'Leveling System',
+            description: 'Configure XP sources, view leaderboards, and manage user levels',
+            icon: '📈',
+            version: '2.0.0',
+            containerId: 'levelingPluginContainer',
+            
+            html: `
+                <div class="plugin-container">
+                    <div class="plugin-header">
+                        <h3><span class="plugin-icon">📈</span> Leveling System v2.0</h3>
+                        <p>Configure XP sources, view leaderboards, and manage user levels</p>
+                    </div>
+
+                    <!-- Server Integration Notice -->
+                    <div class="server-sync-notice" style="background: rgba(34, 197, 94, 0.1); border: 1px solid rgba(34, 197, 94, 0.3); border-radius: 8px; padding: 12px; margin-bottom: 20px;">
+                        <div style="display: flex; align-items: center; gap: 8px;">
+                            <span style="font-size: 18px;">🔗</span>
+                            <div>
+                                <strong>Dashboard Integration</strong>
+                                <div style="font-size: 14px; opacity: 0.8;">Managing server: <span id="currentServerName">Auto-detected</span></div>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- Discord Commands Info -->
+                    <div class="info-section" style="background: rgba(34, 197, 94, 0.1); border-radius: 10px; padding: 20px; margin-bottom: 20px;">
+                        <h4>🎯 Discord Slash Commands</h4>
+                        <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 15px; margin-top: 15px;">
+                            <div style="background: rgba(255,255,255,0.05); padding: 12px; border-radius: 8px;">
+                                <strong>/rank [user]</strong>
+                                <div style="opacity: 0.8; margin-top: 4px;">Show a rank card with level, XP progress, server rank and activity</div>
+                            </div>
+                            <div style="background: rgba(255,255,255,0.05); padding: 12px; border-radius: 8px;">
+                                <strong>/leaderboard [type]</strong>
+                                <div style="opacity: 0.8; margin-top: 4px;">View server leaderboards (XP, voice, reactions, current season)</div>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- Settings Section -->
+                    <div class="settings-section">
+                        <h3>Settings</h3>
+                        <form id="levelingSettingsForm">
+                            <div class="form-group">
+                                <label>
+                                    <input type="checkbox" id="levelingEnabled"> Enable Leveling System
+                                </label>
+                            </div>
+
+                            <div class="form-group">
+                                <label>XP Sources</label>
+                                <div style="display: flex; flex-direction: column; gap: 12px; margin-top: 12px; background: rgba(255,255,255,0.05); border-radius: 8px; padding: 15px;">
+                                    <label style="display: flex; align-items: flex-start; gap: 12px; cursor: pointer;">
+                                        <input type="checkbox" id="xpSourceMessages" style="margin-top: 3px; transform: scale(1.1);">
+                                        <div>
+                                            <div style="font-weight: 500; margin-bottom: 2px;">Messages</div>
+                                            <div style="opacity: 0.7; font-size: 0.9em;" id="xpSourceMessagesInfo">15-25 XP per message, 1 min cooldown</div>
+                                        </div>
+                                    </label>
+                                    <label style="display: flex; align-items: flex-start; gap: 12px; cursor: pointer;">
+                                        <input type="checkbox" id="xpSourceVoice" style="margin-top: 3px; transform: scale(1.1);">
+                                        <div>
+                                            <div style="font-weight: 500; margin-bottom: 2px;">Voice Activity</div>
+                                            <div style="opacity: 0.7; font-size: 0.9em;" id="xpSourceVoiceInfo">10 XP per minute in voice channels</div>
+                                        </div>
+                                    </label>
+                                    <label style="display: flex; align-items: flex-start; gap: 12px; cursor: pointer;">
+                                        <input type="checkbox" id="xpSourceReactions" style="margin-top: 3px; transform: scale(1.1);">
+                                        <div>
+                                            <div style="font-weight: 500; margin-bottom: 2px;">Reactions</div>
+                                            <div style="opacity: 0.7; font-size: 0.9em;" id="xpSourceReactionsInfo">5 XP for giving, 3 XP for receiving reactions</div>
+                                        </div>
+                                    </label>
+                                </div>
+                            </div>
+
+                            <div class="form-group">
+                                <label for="levelUpChannel">Level Up Notifications Channel</label>
+                                <select id="levelUpChannel">
+                                    <option value="">None (disabled)</option>
+                                </select>
+                                <small style="opacity: 0.7; display: block; margin-top: 4px;">
+                                    Choose where level up announcements will be posted
+                                </small>
+                            </div>
+
+                            <div class="form-group">
+                                <label for="xpMultiplier">XP Multiplier</label>
+                                <input type="number" id="xpMultiplier" min="0.1" max="10" step="0.1" value="1.0">
+                                <small style="opacity: 0.7; display: block; margin-top: 4px;">
+                                    Multiply all XP gains by this amount (0.1x to 10x)
+                                </small>
+                            </div>
+
+                            <div class="form-group">
+                                <label>XP Rates</label>
+                                <div style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 15px; margin-top: 12px;">
+                                    <div style="display: grid; grid-template-columns: 1.5fr 1fr 1fr 1fr; gap: 8px; align-items: center;">
+                                        <div style="opacity: 0.7; font-size: 0.9em;">Source</div>
+                                        <div style="opacity: 0.7; font-size: 0.9em;">Min XP</div>
+                                        <div style="opacity: 0.7; font-size: 0.9em;">Max XP</div>
+                                        <div style="opacity: 0.7; font-size: 0.9em;">Cooldown (sec)</div>
+
+                                        <div>Messages</div>
+                                        <input type="number" id="xpRateMessagesMin" min="0">
+                                        <input type="number" id="xpRateMessagesMax" min="0">
+                                        <input type="number" id="xpRateMessagesCooldown" min="0">
+
+                                        <div>Voice (per interval)</div>
+                                        <input type="number" id="xpRateVoiceMin" min="0">
+                                        <input type="number" id="xpRateVoiceMax" min="0">
+                                        <input type="number" id="xpRateVoiceCooldown" min="0">
+
+                                        <div>Reaction given</div>
+                                        <input type="number" id="xpRateReactionsGivenMin" min="0">
+                                        <input type="number" id="xpRateReactionsGivenMax" min="0">
+                                        <input type="number" id="xpRateReactionsGivenCooldown" min="0">
+
+                                        <div>Reaction received</div>
+                                        <input type="number" id="xpRateReactionsReceivedMin" min="0">
+                                        <input type="number" id="xpRateReactionsReceivedMax" min="0">
+                                        <input type="number" id="xpRateReactionsReceivedCooldown" min="0">
+                                    </div>
+                                    <small style="opacity: 0.7; display: block; margin-top: 8px;">
+                                        For voice, the cooldown is how long a member must stay connected per award
+                                    </small>
+                                </div>
+                            </div>
+
+                            <div class="form-group">
+                                <label>Voice XP Rules</label>
+                                <div style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 15px; margin-top: 12px;">
+                                    <div style="display: flex; gap: 20px; flex-wrap: wrap;">
+                                        <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+                                            <input type="checkbox" id="voiceIgnoreAfk"> No XP in the AFK channel
+                                        </label>
+                                        <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+                                            <input type="checkbox" id="voiceIgnoreMuted"> No XP while muted
+                                        </label>
+                                        <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+                                            <input type="checkbox" id="voiceIgnoreDeafened"> No XP while deafened
+                                        </label>
+                                    </div>
+                                    <label for="voiceMinHumans" style="font-size: 0.9em; display: block; margin-top: 12px;">Minimum people in the channel (bots don't count)</label>
+                                    <input type="number" id="voiceMinHumans" min="1" max="99" step="1">
+                                    <small style="opacity: 0.7; display: block; margin-top: 8px;">
+                                        Only time that meets these rules counts towards voice XP and the voice leaderboard
+                                    </small>
+                                </div>
+                            </div>
+
+                            <div class="form-group">
+                                <label>Channel &amp; Role Multipliers</label>
+                                <div style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 15px; margin-top: 12px;">
+                                    <label for="multiplierStacking" style="font-size: 0.9em;">When several multipliers apply</label>
+                                    <select id="multiplierStacking">
+                                        <option value="multiply">Multiply them (1.5× and 2× = 3×)</option>
+                                        <option value="highest">Use the highest (1.5× and 2× = 2×)</option>
+                                        <option value="additive">Add the bonuses (1.5× and 2× = 2.5×)</option>
+                                    </select>
+
+                                    <div style="display: flex; gap: 8px; margin-top: 15px; align-items: center;">
+                                        <select id="channelMultiplierSelect" style="flex: 2;">
+                                            <option value="">Select a channel...</option>
+                                        </select>
+                                        <input type="number" id="channelMultiplierValue" min="0" max="10" step="0.1" value="1.5" style="flex: 1;">
+                                        <button type="button" id="addChannelMultiplier" class="btn-secondary">Add</button>
+                                    </div>
+                                    <div id="channelMultiplierList" style="margin-top: 8px;"></div>
+
+                                    <div style="display: flex; gap: 8px; margin-top: 15px; align-items: center;">
+                                        <select id="roleMultiplierSelect" style="flex: 2;">
+                                            <option value="">Select a role...</option>
+                                        </select>
+                                        <input type="number" id="roleMultiplierValue" min="0" max="10" step="0.1" value="2" style="flex: 1;">
+                                        <button type="button" id="addRoleMultiplier" class="btn-secondary">Add</button>
+                                    </div>
+                                    <div id="roleMultiplierList" style="margin-top: 8px;"></div>
+
+                                    <small style="opacity: 0.7; display: block; margin-top: 8px;">
+                                        Applies to message, voice and reaction XP on top of the global multiplier. A 0× entry means no XP there, whatever else applies.
+                                    </small>
+                                </div>
+                            </div>
+
+                            <div class="form-group">
+                                <label>Message Quality (Anti-Farming)</label>
+                                <div style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 15px; margin-top: 12px;">
+                                    <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+                                        <input type="checkbox" id="qualityEnabled"> Only award message XP to messages that pass these checks
+                                    </label>
+                                    <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 10px; margin-top: 12px;">
+                                        <div>
+                                            <label for="qualityMinLength" style="font-size: 0.9em;">Min characters</label>
+                                            <input type="number" id="qualityMinLength" min="0">
+                                        </div>
+                                        <div>
+                                            <label for="qualityMinWords" style="font-size: 0.9em;">Min words</label>
+                                            <input type="number" id="qualityMinWords" min="0">
+                                        </div>
+                                        <div>
+                                            <label for="qualityDuplicateWindow" style="font-size: 0.9em;">Duplicate window (min)</label>
+                                            <input type="number" id="qualityDuplicateWindow" min="0">
+                                        </div>
+                                        <div>
+                                            <label for="qualityUniqueRatio" style="font-size: 0.9em;">Min unique words (%)</label>
+                                            <input type="number" id="qualityUniqueRatio" min="0" max="100">
+                                        </div>
+                                    </div>
+                                    <div style="display: flex; gap: 20px; margin-top: 12px; flex-wrap: wrap;">
+                                        <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+                                            <input type="checkbox" id="qualityBlockEmoji"> No XP for emoji-only messages
+                                        </label>
+                                        <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+                                            <input type="checkbox" id="qualityBlockSticker"> No XP for sticker-only messages
+                                        </label>
+                                    </div>
+                                    <label for="qualityNoXpChannels" style="font-size: 0.9em; display: block; margin-top: 12px;">No message XP in these channels</label>
+                                    <select id="qualityNoXpChannels" multiple size="5"></select>
+                                    <small style="opacity: 0.7; display: block; margin-top: 8px;">
+                                        Mentions, links and emoji don't count towards length. The unique-word check applies to messages of 20+ words. Set a value to 0 to turn that check off.
+                                    </small>
+                                </div>
+                            </div>
+
+                            <div class="form-group">
+                                <label>XP Decay for Inactive Members</label>
+                                <div style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 15px; margin-top: 12px;">
+                                    <label style="display: flex; align-items: center; gap: 8px; cursor: pointer;">
+                                        <input type="checkbox" id="decayEnabled"> Slowly remove XP from members who stop being active
+                                    </label>
+                                    <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(160px, 1fr)); gap: 10px; margin-top: 12px;">
+                                        <div>
+                                            <label for="decayGraceDays" style="font-size: 0.9em;">Grace period (days)</label>
+                                            <input type="number" id="decayGraceDays" min="1" max="365" step="1">
+                                        </div>
+                                        <div>
+                                            <label for="decayPercentPerDay" style="font-size: 0.9em;">XP lost per day (%)</label>
+                                            <input type="number" id="decayPercentPerDay" min="0.1" max="50" step="0.1">
+                                        </div>
+                                        <div>
+                                            <label for="decayFloorLevel" style="font-size: 0.9em;">Never drop below level</label>
+                                            <input type="number" id="decayFloorLevel" min="0" step="1">
+                                        </div>
+                                    </div>
+                                    <small style="opacity: 0.7; display: block; margin-top: 8px;" id="decayPreview"></small>
+                                    <small style="opacity: 0.7; display: block; margin-top: 4px;">
+                                        Decay runs once a day and starts counting the day it is turned on. Every run is backed up first and listed in the audit log, where it can be undone.
+                                    </small>
+                                </div>
+                            </div>
+
+                            <div class="form-group">
+                                <label for="xpCurveType">Level Curve</label>
+                                <select id="xpCurveType">
+                                    <option value="quadratic">Quadratic (base × level²)</option>
+                                    <option value="linear">Linear (base × level)</option>
+                                    <option value="exponential">Exponential (each level costs growth × the previous)</option>
+                                    <option value="table">Level table</option>
+                                </select>
+                                <div style="display: flex; gap: 10px; margin-top: 10px; flex-wrap: wrap;">
+                                    <div id="xpCurveBaseGroup" style="flex: 1; min-width: 140px;">
+                                        <label for="xpCurveBase" style="font-size: 0.9em;">Base XP</label>
+                                        <input type="number" id="xpCurveBase" min="1" value="100">
+                                    </div>
+                                    <div id="xpCurveGrowthGroup" style="flex: 1; min-width: 140px; display: none;">
+                                        <label for="xpCurveGrowth" style="font-size: 0.9em;">Growth</label>
+                                        <input type="number" id="xpCurveGrowth" min="1.01" step="0.01" value="1.5">
+                                    </div>
+                                </div>
+                                <div id="xpCurveTableGroup" style="margin-top: 10px; display: none;">
+                                    <label for="xpCurveTable" style="font-size: 0.9em;">Total XP for level 1, 2, 3, ... (comma separated)</label>
+                                    <textarea id="xpCurveTable" rows="2" placeholder="100, 250, 500, 1000"></textarea>
+                                </div>
+                                <small style="opacity: 0.7; display: block; margin-top: 4px;" id="xpCurvePreview"></small>
+                                <small style="opacity: 0.7; display: block; margin-top: 4px;">
+                                    Changing the curve recalculates every member's level from their stored XP (a backup is made first)
+                                </small>
+                            </div>
+
+                            <div class="form-group">
+                                <label>Rank Card Theme</label>
+                                <div style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 15px; margin-top: 12px;">
+                                    <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 10px;">
+                                        <div>
+                                            <label for="rankCardBackgroundColor" style="font-size: 0.9em;">Background</label>
+                                            <input type="color" id="rankCardBackgroundColor">
+                                        </div>
+                                        <div>
+                                            <label for="rankCardAccentColor" style="font-size: 0.9em;">Accent &amp; progress</label>
+                                            <input type="color" id="rankCardAccentColor">
+                                        </div>
+                                        <div>
+                                            <label for="rankCardTextColor" style="font-size: 0.9em;">Text</label>
+                                            <input type="color" id="rankCardTextColor">
+                                        </div>
+                                        <div>
+                                            <label for="rankCardMutedTextColor" style="font-size: 0.9em;">Labels</label>
+                                            <input type="color" id="rankCardMutedTextColor">
+                                        </div>
+                                        <div>
+                                            <label for="rankCardProgressTrackColor" style="font-size: 0.9em;">Progress track</label>
+                                            <input type="color" id="rankCardProgressTrackColor">
+                                        </div>
+                                    </div>
+                                    <label for="rankCardBackgroundImage" style="font-size: 0.9em; display: block; margin-top: 12px;">Background image URL (optional, PNG or JPEG)</label>
+                                    <input type="url" id="rankCardBackgroundImage" placeholder="https://...">
+                                    <label for="rankCardOverlayOpacity" style="font-size: 0.9em; display: block; margin-top: 12px;">Darken background image (%)</label>
+                                    <input type="number" id="rankCardOverlayOpacity" min="0" max="100" step="5">
+                                    <div style="margin-top: 12px;">
+                                        <button type="button" id="previewRankCard" class="btn-secondary">Preview Rank Card</button>
+                                    </div>
+                                    <img id="rankCardPreview" alt="Rank card preview" style="display: none; max-width: 100%; margin-top: 12px; border-radius: 8px;">
+                                    <small style="opacity: 0.7; display: block; margin-top: 8px;">
+                                        Used by /rank. The preview shows your own stats with the theme above; save settings to apply it.
+                                    </small>
+                                </div>
+                            </div>
+
+                            <button type="button" id="saveLevelingSettings" class="btn-primary">
+                                <span class="btn-text">Save Settings</span>
+                                <span class="btn-loader" style="display: none;">Saving...</span>
+                            </button>
+                        </form>
+                    </div>
+
+                    <!-- XP Boosts Section -->
+                    <div class="boosts-section">
+                        <h3>XP Boost Events</h3>
+                        <div style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 20px;">
+                            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 10px;">
+                                <div class="form-group">
+                                    <label for="boostName">Event Name</label>
+                                    <input type="text" id="boostName" placeholder="Listening Party" maxlength="100">
+                                </div>
+                                <div class="form-group">
+                                    <label for="boostMultiplier">Multiplier</label>
+                                    <input type="number" id="boostMultiplier" min="1.1" max="10" step="0.1" value="2">
+                                </div>
+                                <div class="form-group">
+                                    <label for="boostStart">Starts</label>
+                                    <input type="datetime-local" id="boostStart">
+                                </div>
+                                <div class="form-group">
+                                    <label for="boostEnd">Ends</label>
+                                    <input type="datetime-local" id="boostEnd">
+                                </div>
+                                <div class="form-group">
+                                    <label for="boostChannel">Only in Channel</label>
+                                    <select id="boostChannel">
+                                        <option value="">All channels</option>
+                                    </select>
+                                </div>
+                                <div class="form-group">
+                                    <label for="boostRole">Only for Role</label>
+                                    <select id="boostRole">
+                                        <option value="">Everyone</option>
+                                    </select>
+                                </div>
+                                <div class="form-group">
+                                    <label for="boostAnnounceChannel">Announce In</label>
+                                    <select id="boostAnnounceChannel">
+                                        <option value="">Level up channel</option>
+                                    </select>
+                                </div>
+                            </div>
+                            <small style="opacity: 0.7; display: block; margin-bottom: 10px;">
+                                Leave the start empty to begin now. Overlapping boosts don't stack; the strongest one applies. Mods can also use /xpboost in Discord.
+                            </small>
+                            <button type="button" id="createBoostBtn" class="btn-primary">
+                                <span class="btn-text">🚀 Schedule Boost</span>
+                                <span class="btn-loader" style="display: none;">Scheduling...</span>
+                            </button>
+                            <div id="boostsList" style="margin-top: 15px;"></div>
+                        </div>
+                    </div>
+
+                    <!-- Seasons Section -->
+                    <div class="seasons-section">
+                        <h3>Seasons</h3>
+                        <div style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 20px;">
+                            <div id="currentSeason" style="margin-bottom: 15px;"></div>
+                            <div style="display: flex; gap: 10px; align-items: flex-end; flex-wrap: wrap;">
+                                <div class="form-group" style="flex: 1; min-width: 200px; margin-bottom: 0;">
+                                    <label for="seasonName">Next Season Name</label>
+                                    <input type="text" id="seasonName" placeholder="Season 1" maxlength="100">
+                                </div>
+                                <button type="button" id="startSeasonBtn" class="btn-primary">🏁 Start New Season</button>
+                                <button type="button" id="endSeasonBtn" class="btn-secondary">End Season</button>
+                            </div>
+                            <small style="opacity: 0.7; display: block; margin-top: 8px;">
+                                Closing a season backs up all leveling data, archives the standings, hands out reward roles and resets season XP. Lifetime XP and levels are not touched.
+                            </small>
+
+                            <h4 style="margin-top: 20px;">Season Reward Roles</h4>
+                            <div style="display: flex; gap: 8px; align-items: center;">
+                                <span>Top</span>
+                                <input type="number" id="seasonRewardTop" min="1" max="100" step="1" value="1" style="width: 80px;">
+                                <select id="seasonRewardRole" style="flex: 1;">
+                                    <option value="">Select a role...</option>
+                                </select>
+                                <button type="button" id="addSeasonReward" class="btn-secondary">Add</button>
+                            </div>
+                            <div id="seasonRewardList" style="margin-top: 8px;"></div>
+                            <label style="display: flex; align-items: center; gap: 8px; cursor: pointer; margin-top: 10px;">
+                                <input type="checkbox" id="seasonRewardsRemovePrevious"> Take last season's reward roles back when the next season closes
+                            </label>
+                            <button type="button" id="saveSeasonRewards" class="btn-secondary" style="margin-top: 10px;">Save Rewards</button>
+
+                            <h4 style="margin-top: 20px;">Past Seasons</h4>
+                            <div id="seasonArchive"></div>
+                        </div>
+                    </div>
+
+                    <!-- Stats Section -->
+                    <div class="stats-section">
+                        <h3>Server Statistics</h3>
+                        <div class="stats-grid" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin-top: 15px;">
+                            <div class="stat-card" style="background: rgba(255,255,255,0.05); padding: 20px; border-radius: 10px; text-align: center;">
+                                <div style="font-size: 2em; margin-bottom: 8px;">👥</div>
+                                <div style="font-size: 1.5em; font-weight: bold; margin-bottom: 4px;" id="totalUsers">0</div>
+                                <div style="opacity: 0.7;">Total Users</div>
+                            </div>
+                            <div class="stat-card" style="background: rgba(255,255,255,0.05); padding: 20px; border-radius: 10px; text-align: center;">
+                                <div style="font-size: 2em; margin-bottom: 8px;">⭐</div>
+                                <div style="font-size: 1.5em; font-weight: bold; margin-bottom: 4px;" id="totalXP">0</div>
+                                <div style="opacity: 0.7;">Total XP</div>
+                            </div>
+                            <div class="stat-card" style="background: rgba(255,255,255,0.05); padding: 20px; border-radius: 10px; text-align: center;">
+                                <div style="font-size: 2em; margin-bottom: 8px;">📊</div>
+                                <div style="font-size: 1.5em; font-weight: bold; margin-bottom: 4px;" id="averageLevel">0</div>
+                                <div style="opacity: 0.7;">Average Level</div>
+                            </div>
+                            <div class="stat-card" style="background: rgba(255,255,255,0.05); padding: 20px; border-radius: 10px; text-align: center;">
+                                <div style="font-size: 2em; margin-bottom: 8px;">🔥</div>
+                                <div style="font-size: 1.5em; font-weight: bold; margin-bottom: 4px;" id="activeToday">0</div>
+                                <div style="opacity: 0.7;">Active Today</div>
+                            </div>
+                            <div class="stat-card" style="background: rgba(255,255,255,0.05); padding: 20px; border-radius: 10px; text-align: center;">
+                                <div style="font-size: 2em; margin-bottom: 8px;">🚫</div>
+                                <div style="font-size: 1.5em; font-weight: bold; margin-bottom: 4px;" id="withheldXP">0</div>
+                                <div style="opacity: 0.7;">XP Withheld</div>
+                            </div>
+                        </div>
+                        <div id="withheldReasons" style="margin-top: 15px;"></div>
+                    </div>
+
+                    <!-- Leaderboards Section -->
+                    <div class="leaderboards-section">
+                        <h3>Leaderboards</h3>
+                        <div style="display: flex; gap: 10px; margin-bottom: 15px; flex-wrap: wrap;">
+                            <button type="button" id="leaderboardType" data-type="overall" class="leaderboard-btn active" style="padding: 8px 16px; background: rgba(255,255,255,0.2); border: 1px solid rgba(255,255,255,0.3); border-radius: 8px; color: white; cursor: pointer;">
+                                Overall XP
+                            </button>
+                            <button type="button" class="leaderboard-btn" data-type="voice" style="padding: 8px 16px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; color: white; cursor: pointer;">
+                                Voice Activity
+                            </button>
+                            <button type="button" class="leaderboard-btn" data-type="reactions" style="padding: 8px 16px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; color: white; cursor: pointer;">
+                                Reactions
+                            </button>
+                            <button type="button" class="leaderboard-btn" data-type="season" style="padding: 8px 16px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; color: white; cursor: pointer;">
+                                Season
+                            </button>
+                            <button type="button" id="refreshLeaderboard" style="padding: 8px 16px; background: rgba(34, 197, 94, 0.2); border: 1px solid rgba(34, 197, 94, 0.3); border-radius: 8px; color: white; cursor: pointer; margin-left: auto;">
+                                🔄 Refresh
+                            </button>
+                        </div>
+
+                        <div id="leaderboardContent" style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 15px; min-height: 200px;">
+                            <div id="leaderboardLoading" style="text-align: center; opacity: 0.6; padding: 40px;">
+                                Loading leaderboard...
+                            </div>
+                            <div id="leaderboardList" style="display: none;"></div>
+                        </div>
+                    </div>
+
+                    <!-- XP Management Section -->
+                    <div class="xp-management-section">
+                        <h3>XP Management</h3>
+                        <div style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 20px;">
+                            <div class="form-group">
+                                <label for="xpUserId">User ID or @mention</label>
+                                <input type="text" id="xpUserId" placeholder="Enter user ID or @mention">
+                            </div>
+                            <div class="form-group">
+                                <label for="xpAmount">XP Amount (positive to add, negative to remove)</label>
+                                <input type="number" id="xpAmount" placeholder="Enter XP amount">
+                            </div>
+                            <button type="button" id="addXpBtn" class="btn-primary">
+                                <span class="btn-text">Apply XP Change</span>
+                                <span class="btn-loader" style="display: none;">Processing...</span>
+                            </button>
+                        </div>
+                    </div>
+
+                    <!-- Backup Management Section -->
+                    <div class="backup-section">
+                        <h3>Backup Management</h3>
+                        <div style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 20px;">
+                            <div style="display: flex; gap: 10px; margin-bottom: 15px; flex-wrap: wrap;">
+                                <button type="button" id="createBackupBtn" class="btn-primary">
+                                    <span class="btn-text">📦 Create Backup</span>
+                                    <span class="btn-loader" style="display: none;">Creating...</span>
+                                </button>
+                                <button type="button" id="refreshBackupsBtn" style="padding: 8px 16px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; color: white; cursor: pointer;">
+                                    🔄 Refresh List
+                                </button>
+                                <button type="button" id="syncDataBtn" style="padding: 8px 16px; background: rgba(255, 193, 7, 0.2); border: 1px solid rgba(255, 193, 7, 0.3); border-radius: 8px; color: white; cursor: pointer;">
+                                    🔧 Sync Data
+                                </button>
+                            </div>
+                            
+                            <div id="backupsList" style="max-height: 300px; overflow-y: auto;">
+                                <div style="text-align: center; opacity: 0.6; padding: 20px;">
+                                    Click "Refresh List" to load available backups
+                                </div>
+                            </div>
+                        </div>
+                    </div>
+
+                    <!-- Audit Log Section -->
+                    <div class="audit-section">
+                        <h3>Audit Log</h3>
+                        <div style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 20px;">
+                            <button type="button" id="refreshAuditBtn" style="padding: 8px 16px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; color: white; cursor: pointer; margin-bottom: 15px;">
+                                🔄 Refresh
+                            </button>
+                            <div id="auditList" style="max-height: 300px; overflow-y: auto;"></div>
+                        </div>
+                    </div>
+
+                    <!-- Result Messages -->
+                    <div id="levelingResult" class="result-message" style="display: none;"></div>
+                </div>
+            `,
+            
+            script: `
+                // Enhanced Leveling Plugin Frontend Logic with Dashboard Integration
+                (function() {
+                    console.log('📈 Enhanced Leveling Plugin: Initializing...');
+                    
+                    // State variables
+                    let currentServerId = null;
+                    let currentSettings = {};
+                    let currentLeaderboardType = 'overall';
+                    
+                    // Get DOM elements
+                    const currentServerName = document.getElementById('currentServerName');
+                    const levelingSettingsForm = document.getElementById('levelingSettingsForm');
+                    const levelingEnabled = document.getElementById('levelingEnabled');
+                    const xpSourceMessages = document.getElementById('xpSourceMessages');
+                    const xpSourceVoice = document.getElementById('xpSourceVoice');
+                    const xpSourceReactions = document.getElementById('xpSourceReactions');
+                    const levelUpChannel = document.getElementById('levelUpChannel');
+                    const xpMultiplier = document.getElementById('xpMultiplier');
+                    const xpCurveType = document.getElementById('xpCurveType');
+                    const xpCurveBase = document.getElementById('xpCurveBase');
+                    const xpCurveGrowth = document.getElementById('xpCurveGrowth');
+                    const xpCurveTable = document.getElementById('xpCurveTable');
+                    const xpCurvePreview = document.getElementById('xpCurvePreview');
+                    const multiplierStacking = document.getElementById('multiplierStacking');
+                    const channelMultiplierSelect = document.getElementById('channelMultiplierSelect');
+                    const roleMultiplierSelect = document.getElementById('roleMultiplierSelect');
+                    let channelMultipliers = {};
+                    let roleMultipliers = {};
+                    let channelNames = {};
+                    let roleNames = {};
+                    const qualityNoXpChannels = document.getElementById('qualityNoXpChannels');
+                    const boostChannel = document.getElementById('boostChannel');
+                    const boostRole = document.getElementById('boostRole');
+                    const boostAnnounceChannel = document.getElementById('boostAnnounceChannel');
+                    const createBoostBtn = document.getElementById('createBoostBtn');
+                    const boostsList = document.getElementById('boostsList');
+                    const seasonRewardRole = document.getElementById('seasonRewardRole');
+                    let seasonRewardRoles = [];
+                    const xpRateSources = {
+                        messages: 'Messages',
+                        voice: 'Voice',
+                        reactionsGiven: 'ReactionsGiven',
+                        reactionsReceived: 'ReactionsReceived'
+                    };
+                    const rankCardColorKeys = ['backgroundColor', 'accentColor', 'textColor', 'mutedTextColor', 'progressTrackColor'];
+                    const saveLevelingSettings = document.getElementById('saveLevelingSettings');
+                    
+                    // Stats elements
+                    const totalUsers = document.getElementById('totalUsers');
+                    const totalXP = document.getElementById('totalXP');
+                    const averageLevel = document.getElementById('averageLevel');
+                    const activeToday = document.getElementById('activeToday');
+                    
+                    // Leaderboard elements
+                    const leaderboardType = document.getElementById('leaderboardType');
+                    const refreshLeaderboard = document.getElementById('refreshLeaderboard');
+                    const leaderboardContent = document.getElementById('leaderboardContent');
+                    const leaderboardLoading = document.getElementById('leaderboardLoading');
+                    const leaderboardList = document.getElementById('leaderboardList');
+                    
+                    // XP Management elements
+                    const xpUserId = document.getElementById('xpUserId');
+                    const xpAmount = document.getElementById('xpAmount');
+                    const addXpBtn = document.getElementById('addXpBtn');
+                    
+                    // Backup elements
+                    const createBackupBtn = document.getElementById('createBackupBtn');
+                    const refreshBackupsBtn = document.getElementById('refreshBackupsBtn');
+                    const syncDataBtn = document.getElementById('syncDataBtn');
+                    const backupsList = document.getElementById('backupsList');
+                    
+                    // Result element
+                    const levelingResult = document.getElementById('levelingResult');
+                    
+                    // Initialize plugin
+                    function initializeLevelingPlugin() {
+                        console.log('🔄 Initializing Enhanced Leveling Plugin...');
+                        
+                        // Set up server detection
+                        if (window.dashboardAPI && window.dashboardAPI.getCurrentServer) {
+                            currentServerId = window.dashboardAPI.getCurrentServer();
+                            if (currentServerId && currentServerName) {
+                                loadServerName();
+                            }
                         } else {
                             // Fallback to global server selection
                             const serverDropdown = document.getElementById('serverDropdown');
@@ -515,7 +3230,11 @@ class LevelingPlugin {
                             loadSettings();
                             loadStats();
                             loadChannels();
+                            loadRoles();
+                            loadBoosts();
+                            loadSeasons();
                             loadLeaderboard();
+                            loadAuditLog();
                         }
                     }
                     
@@ -525,6 +3244,38 @@ class LevelingPlugin {
                             saveLevelingSettings.addEventListener('click', saveSettings);
                         }
                         
+                        // Curve editor
+                        [xpCurveType, xpCurveBase, xpCurveGrowth, xpCurveTable].forEach(input => {
+                            if (input) input.addEventListener('input', updateCurveEditor);
+                        });
+                        
+                        // XP boosts
+                        if (createBoostBtn) {
+                            createBoostBtn.addEventListener('click', createBoost);
+                        }
+                        
+                        // Rank card
+                        document.getElementById('previewRankCard')?.addEventListener('click', previewRankCard);
+                        
+                        // Audit log
+                        document.getElementById('refreshAuditBtn')?.addEventListener('click', loadAuditLog);
+                        
+                        // Seasons
+                        document.getElementById('startSeasonBtn')?.addEventListener('click', startSeason);
+                        document.getElementById('endSeasonBtn')?.addEventListener('click', endSeason);
+                        document.getElementById('addSeasonReward')?.addEventListener('click', addSeasonReward);
+                        document.getElementById('saveSeasonRewards')?.addEventListener('click', saveSeasonRewards);
+                        
+                        // Multiplier editors
+                        document.getElementById('addChannelMultiplier')?.addEventListener('click', () => {
+                            addMultiplier(channelMultipliers, channelMultiplierSelect, 'channelMultiplierValue');
+                            renderMultipliers();
+                        });
+                        document.getElementById('addRoleMultiplier')?.addEventListener('click', () => {
+                            addMultiplier(roleMultipliers, roleMultiplierSelect, 'roleMultiplierValue');
+                            renderMultipliers();
+                        });
+                        
                         // Leaderboard buttons
                         const leaderboardBtns = document.querySelectorAll('.leaderboard-btn');
                         leaderboardBtns.forEach(btn => {
@@ -572,47 +3323,371 @@ class LevelingPlugin {
                             loadSettings();
                             loadStats();
                             loadChannels();
+                            loadRoles();
+                            loadBoosts();
+                            loadSeasons();
                             loadLeaderboard();
+                            loadAuditLog();
+                        });
+                    }
+                    
+                    async function loadServerName() {
+                        if (!currentServerId || !currentServerName) return;
+                        
+                        try {
+                            const response = await fetch('/api/servers');
+                            const servers = await response.json();
+                            const server = servers.find(s => s.id === currentServerId);
+                            if (server && currentServerName) {
+                                currentServerName.textContent = server.name;
+                            }
+                        } catch (error) {
+                            console.error('Error loading server name:', error);
+                        }
+                    }
+                    
+                    async function loadSettings() {
+                        if (!currentServerId) return;
+                        
+                        try {
+                            const response = await fetch(\`/api/plugins/leveling/settings/\${currentServerId}\`);
+                            if (!response.ok) throw new Error('Failed to load settings');
+                            
+                            currentSettings = await response.json();
+                            populateSettingsForm();
+                        } catch (error) {
+                            console.error('Error loading settings:', error);
+                            showResult('Error loading settings: ' + error.message, 'error');
+                        }
+                    }
+                    
+                    function populateSettingsForm() {
+                        if (levelingEnabled) levelingEnabled.checked = currentSettings.enabled !== false;
+                        if (xpSourceMessages) xpSourceMessages.checked = currentSettings.xpSources?.messages !== false;
+                        if (xpSourceVoice) xpSourceVoice.checked = currentSettings.xpSources?.voice !== false;
+                        if (xpSourceReactions) xpSourceReactions.checked = currentSettings.xpSources?.reactions !== false;
+                        if (levelUpChannel) levelUpChannel.value = currentSettings.levelUpChannel || '';
+                        if (xpMultiplier) xpMultiplier.value = currentSettings.xpMultiplier || 1.0;
+                        
+                        const rates = currentSettings.xpRates || {};
+                        for (const [source, suffix] of Object.entries(xpRateSources)) {
+                            const rate = rates[source] || {};
+                            const minInput = document.getElementById('xpRate' + suffix + 'Min');
+                            const maxInput = document.getElementById('xpRate' + suffix + 'Max');
+                            const cooldownInput = document.getElementById('xpRate' + suffix + 'Cooldown');
+                            if (minInput) minInput.value = rate.min ?? '';
+                            if (maxInput) maxInput.value = rate.max ?? '';
+                            if (cooldownInput) cooldownInput.value = rate.cooldown !== undefined ? rate.cooldown / 1000 : '';
+                        }
+                        updateSourceDescriptions(rates);
+                        
+                        const curve = currentSettings.xpCurve || {};
+                        if (xpCurveType) xpCurveType.value = curve.type || 'quadratic';
+                        if (xpCurveBase) xpCurveBase.value = curve.base || 100;
+                        if (xpCurveGrowth) xpCurveGrowth.value = curve.growth || 1.5;
+                        if (xpCurveTable) xpCurveTable.value = (curve.table || []).join(', ');
+                        updateCurveEditor();
+                        
+                        if (multiplierStacking) multiplierStacking.value = currentSettings.multiplierStacking || 'multiply';
+                        channelMultipliers = { ...(currentSettings.channelMultipliers || {}) };
+                        roleMultipliers = { ...(currentSettings.roleMultipliers || {}) };
+                        renderMultipliers();
+                        
+                        const quality = currentSettings.messageQuality || {};
+                        const setValue = (id, value) => {
+                            const input = document.getElementById(id);
+                            if (input) input.value = value;
+                        };
+                        const setChecked = (id, checked) => {
+                            const input = document.getElementById(id);
+                            if (input) input.checked = checked;
+                        };
+                        setChecked('qualityEnabled', quality.enabled !== false);
+                        setValue('qualityMinLength', quality.minLength ?? 0);
+                        setValue('qualityMinWords', quality.minWords ?? 0);
+                        setValue('qualityDuplicateWindow', Math.round((quality.duplicateWindow ?? 0) / 60000));
+                        setValue('qualityUniqueRatio', Math.round((quality.minUniqueWordRatio ?? 0) * 100));
+                        setChecked('qualityBlockEmoji', quality.blockEmojiOnly !== false);
+                        setChecked('qualityBlockSticker', quality.blockStickerOnly !== false);
+                        selectNoXpChannels();
+                        
+                        const voiceRules = currentSettings.voiceRules || {};
+                        setChecked('voiceIgnoreAfk', voiceRules.ignoreAfkChannel !== false);
+                        setChecked('voiceIgnoreMuted', voiceRules.ignoreMuted !== false);
+                        setChecked('voiceIgnoreDeafened', voiceRules.ignoreDeafened !== false);
+                        setValue('voiceMinHumans', voiceRules.minHumans ?? 2);
+                        
+                        const theme = currentSettings.rankCard || {};
+                        for (const key of rankCardColorKeys) {
+                            if (theme[key]) setValue('rankCard' + key.charAt(0).toUpperCase() + key.slice(1), theme[key]);
+                        }
+                        setValue('rankCardBackgroundImage', theme.backgroundImage || '');
+                        setValue('rankCardOverlayOpacity', Math.round((theme.overlayOpacity ?? 0.5) * 100));
+                        
+                        const seasonRewards = currentSettings.seasonRewards || {};
+                        seasonRewardRoles = [...(seasonRewards.roles || [])];
+                        setChecked('seasonRewardsRemovePrevious', seasonRewards.removePrevious !== false);
+                        renderSeasonRewards();
+                        
+                        const decay = currentSettings.decay || {};
+                        setChecked('decayEnabled', decay.enabled === true);
+                        setValue('decayGraceDays', decay.graceDays ?? 30);
+                        setValue('decayPercentPerDay', decay.percentPerDay ?? 1);
+                        setValue('decayFloorLevel', decay.floorLevel ?? 0);
+                        loadDecayPreview();
+                    }
+                    
+                    function readDecayForm() {
+                        const decay = { enabled: document.getElementById('decayEnabled')?.checked || false };
+                        const graceDays = parseInt(document.getElementById('decayGraceDays')?.value);
+                        const percentPerDay = parseFloat(document.getElementById('decayPercentPerDay')?.value);
+                        const floorLevel = parseInt(document.getElementById('decayFloorLevel')?.value);
+                        if (!isNaN(graceDays)) decay.graceDays = graceDays;
+                        if (!isNaN(percentPerDay)) decay.percentPerDay = percentPerDay;
+                        if (!isNaN(floorLevel)) decay.floorLevel = floorLevel;
+                        return decay;
+                    }
+                    
+                    async function loadDecayPreview() {
+                        const decayPreview = document.getElementById('decayPreview');
+                        if (!currentServerId || !decayPreview) return;
+                        
+                        try {
+                            const response = await fetch(\`/api/plugins/leveling/decay/\${currentServerId}/preview\`);
+                            if (!response.ok) throw new Error('Failed to load decay preview');
+                            
+                            const preview = await response.json();
+                            if (preview.members === 0) {
+                                decayPreview.textContent = 'No members are inactive long enough to lose XP right now.';
+                            } else {
+                                decayPreview.textContent = \`\${preview.enabled ? 'The next run will remove' : 'If turned on, a run would remove'} \${preview.xpRemoved.toLocaleString()} XP from \${preview.members} members (\${preview.levelsLost} would lose a level).\`;
+                            }
+                        } catch (error) {
+                            console.error('Error loading decay preview:', error);
+                        }
+                    }
+                    
+                    function readRankCardForm() {
+                        const theme = {};
+                        for (const key of rankCardColorKeys) {
+                            const input = document.getElementById('rankCard' + key.charAt(0).toUpperCase() + key.slice(1));
+                            if (input?.value) theme[key] = input.value;
+                        }
+                        theme.backgroundImage = document.getElementById('rankCardBackgroundImage')?.value.trim() || null;
+                        const opacity = parseInt(document.getElementById('rankCardOverlayOpacity')?.value);
+                        theme.overlayOpacity = isNaN(opacity) ? 0.5 : Math.min(Math.max(opacity, 0), 100) / 100;
+                        return theme;
+                    }
+                    
+                    async function previewRankCard() {
+                        if (!currentServerId) {
+                            showResult('Please select a server first', 'error');
+                            return;
+                        }
+                        
+                        const button = document.getElementById('previewRankCard');
+                        const preview = document.getElementById('rankCardPreview');
+                        
+                        try {
+                            if (button) button.disabled = true;
+                            
+                            const response = await fetch(\`/api/plugins/leveling/rank-card/\${currentServerId}/preview\`, {
+                                method: 'POST',
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify({ rankCard: readRankCardForm() })
+                            });
+                            
+                            if (!response.ok) {
+                                const error = await response.json();
+                                throw new Error(error.error || 'Failed to render preview');
+                            }
+                            
+                            const blob = await response.blob();
+                            if (preview) {
+                                if (preview.src) URL.revokeObjectURL(preview.src);
+                                preview.src = URL.createObjectURL(blob);
+                                preview.style.display = 'block';
+                            }
+                        } catch (error) {
+                            console.error('Error previewing rank card:', error);
+                            showResult('Error: ' + error.message, 'error');
+                        } finally {
+                            if (button) button.disabled = false;
+                        }
+                    }
+                    
+                    function readVoiceRulesForm() {
+                        return {
+                            ignoreAfkChannel: document.getElementById('voiceIgnoreAfk')?.checked || false,
+                            ignoreMuted: document.getElementById('voiceIgnoreMuted')?.checked || false,
+                            ignoreDeafened: document.getElementById('voiceIgnoreDeafened')?.checked || false,
+                            minHumans: Math.max(1, parseInt(document.getElementById('voiceMinHumans')?.value) || 1)
+                        };
+                    }
+                    
+                    function selectNoXpChannels() {
+                        if (!qualityNoXpChannels) return;
+                        const selected = currentSettings.messageQuality?.noXpChannels || [];
+                        [...qualityNoXpChannels.options].forEach(option => {
+                            option.selected = selected.includes(option.value);
                         });
                     }
                     
-                    async function loadServerName() {
-                        if (!currentServerId || !currentServerName) return;
+                    function readQualityForm() {
+                        const number = (id) => parseFloat(document.getElementById(id)?.value) || 0;
+                        return {
+                            enabled: document.getElementById('qualityEnabled')?.checked || false,
+                            minLength: number('qualityMinLength'),
+                            minWords: number('qualityMinWords'),
+                            duplicateWindow: Math.round(number('qualityDuplicateWindow') * 60000),
+                            minUniqueWordRatio: Math.min(100, number('qualityUniqueRatio')) / 100,
+                            blockEmojiOnly: document.getElementById('qualityBlockEmoji')?.checked || false,
+                            blockStickerOnly: document.getElementById('qualityBlockSticker')?.checked || false,
+                            noXpChannels: qualityNoXpChannels ? [...qualityNoXpChannels.selectedOptions].map(option => option.value) : []
+                        };
+                    }
+                    
+                    function addMultiplier(multipliers, select, valueInputId) {
+                        const id = select?.value;
+                        const value = parseFloat(document.getElementById(valueInputId)?.value);
+                        
+                        if (!id) {
+                            showResult('Select a channel or role first', 'error');
+                            return;
+                        }
+                        if (isNaN(value) || value < 0 || value > 10) {
+                            showResult('Multipliers must be between 0 and 10', 'error');
+                            return;
+                        }
+                        
+                        multipliers[id] = value;
+                    }
+                    
+                    function renderMultiplierList(listId, multipliers, names, prefix) {
+                        const list = document.getElementById(listId);
+                        if (!list) return;
+                        
+                        list.innerHTML = '';
+                        for (const [id, value] of Object.entries(multipliers)) {
+                            const row = document.createElement('div');
+                            row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 6px 10px; background: rgba(255,255,255,0.05); border-radius: 6px; margin-top: 4px;';
+                            
+                            const label = document.createElement('span');
+                            label.textContent = (names[id] ? prefix + names[id] : id) + ' — ' + value + '×';
+                            
+                            const removeBtn = document.createElement('button');
+                            removeBtn.type = 'button';
+                            removeBtn.textContent = '✕';
+                            removeBtn.style.cssText = 'background: none; border: none; color: #ff6b6b; cursor: pointer;';
+                            removeBtn.addEventListener('click', () => {
+                                delete multipliers[id];
+                                renderMultipliers();
+                            });
+                            
+                            row.appendChild(label);
+                            row.appendChild(removeBtn);
+                            list.appendChild(row);
+                        }
+                    }
+                    
+                    function renderMultipliers() {
+                        renderMultiplierList('channelMultiplierList', channelMultipliers, channelNames, '#');
+                        renderMultiplierList('roleMultiplierList', roleMultipliers, roleNames, '@');
+                    }
+                    
+                    function formatRange(rate) {
+                        if (!rate) return '?';
+                        return rate.min === rate.max ? rate.min : rate.min + '-' + rate.max;
+                    }
+                    
+                    function formatCooldown(ms) {
+                        if (!ms) return 'no cooldown';
+                        return ms % 60000 === 0 ? (ms / 60000) + ' min cooldown' : (ms / 1000) + ' sec cooldown';
+                    }
+                    
+                    function updateSourceDescriptions(rates) {
+                        const messagesInfo = document.getElementById('xpSourceMessagesInfo');
+                        const voiceInfo = document.getElementById('xpSourceVoiceInfo');
+                        const reactionsInfo = document.getElementById('xpSourceReactionsInfo');
                         
-                        try {
-                            const response = await fetch('/api/servers');
-                            const servers = await response.json();
-                            const server = servers.find(s => s.id === currentServerId);
-                            if (server && currentServerName) {
-                                currentServerName.textContent = server.name;
+                        if (messagesInfo && rates.messages) {
+                            messagesInfo.textContent = formatRange(rates.messages) + ' XP per message, ' + formatCooldown(rates.messages.cooldown);
+                        }
+                        if (voiceInfo && rates.voice) {
+                            voiceInfo.textContent = formatRange(rates.voice) + ' XP every ' + ((rates.voice.cooldown || 60000) / 1000) + ' sec in voice channels';
+                        }
+                        if (reactionsInfo && rates.reactionsGiven && rates.reactionsReceived) {
+                            reactionsInfo.textContent = formatRange(rates.reactionsGiven) + ' XP for giving, ' + formatRange(rates.reactionsReceived) + ' XP for receiving reactions';
+                        }
+                    }
+                    
+                    function readCurveForm() {
+                        const curve = {
+                            type: xpCurveType?.value || 'quadratic',
+                            base: parseFloat(xpCurveBase?.value) || 100,
+                            growth: parseFloat(xpCurveGrowth?.value) || 1.5,
+                            table: (xpCurveTable?.value || '')
+                                .split(',')
+                                .map(value => parseInt(value.trim()))
+                                .filter(value => !isNaN(value))
+                        };
+                        return curve;
+                    }
+                    
+                    // Mirrors getXPForLevel on the server, for the preview only
+                    function xpForLevel(level, curve) {
+                        if (level <= 0) return 0;
+                        switch (curve.type) {
+                            case 'linear':
+                                return Math.round(curve.base * level);
+                            case 'exponential':
+                                return Math.round(curve.base * (Math.pow(curve.growth, level) - 1) / (curve.growth - 1));
+                            case 'table': {
+                                const table = curve.table;
+                                if (table.length === 0) return null;
+                                if (level <= table.length) return table[level - 1];
+                                const last = table[table.length - 1];
+                                const step = table.length > 1 ? last - table[table.length - 2] : last;
+                                return last + step * (level - table.length);
                             }
-                        } catch (error) {
-                            console.error('Error loading server name:', error);
+                            default:
+                                return Math.round(curve.base * level * level);
                         }
                     }
                     
-                    async function loadSettings() {
-                        if (!currentServerId) return;
+                    function updateCurveEditor() {
+                        const curve = readCurveForm();
+                        const baseGroup = document.getElementById('xpCurveBaseGroup');
+                        const growthGroup = document.getElementById('xpCurveGrowthGroup');
+                        const tableGroup = document.getElementById('xpCurveTableGroup');
                         
-                        try {
-                            const response = await fetch(\`/api/plugins/leveling/settings/\${currentServerId}\`);
-                            if (!response.ok) throw new Error('Failed to load settings');
-                            
-                            currentSettings = await response.json();
-                            populateSettingsForm();
-                        } catch (error) {
-                            console.error('Error loading settings:', error);
-                            showResult('Error loading settings: ' + error.message, 'error');
+                        if (baseGroup) baseGroup.style.display = curve.type === 'table' ? 'none' : 'block';
+                        if (growthGroup) growthGroup.style.display = curve.type === 'exponential' ? 'block' : 'none';
+                        if (tableGroup) tableGroup.style.display = curve.type === 'table' ? 'block' : 'none';
+                        
+                        if (xpCurvePreview) {
+                            const preview = [1, 5, 10, 25, 50]
+                                .map(level => ({ level, xp: xpForLevel(level, curve) }))
+                                .filter(entry => entry.xp !== null && isFinite(entry.xp))
+                                .map(entry => 'Lv ' + entry.level + ': ' + entry.xp.toLocaleString() + ' XP')
+                                .join(' • ');
+                            xpCurvePreview.textContent = preview ? 'Preview: ' + preview : '';
                         }
                     }
                     
-                    function populateSettingsForm() {
-                        if (levelingEnabled) levelingEnabled.checked = currentSettings.enabled !== false;
-                        if (xpSourceMessages) xpSourceMessages.checked = currentSettings.xpSources?.messages !== false;
-                        if (xpSourceVoice) xpSourceVoice.checked = currentSettings.xpSources?.voice !== false;
-                        if (xpSourceReactions) xpSourceReactions.checked = currentSettings.xpSources?.reactions !== false;
-                        if (levelUpChannel) levelUpChannel.value = currentSettings.levelUpChannel || '';
-                        if (xpMultiplier) xpMultiplier.value = currentSettings.xpMultiplier || 1.0;
+                    function readRatesForm() {
+                        const rates = {};
+                        for (const [source, suffix] of Object.entries(xpRateSources)) {
+                            const min = parseInt(document.getElementById('xpRate' + suffix + 'Min')?.value);
+                            const max = parseInt(document.getElementById('xpRate' + suffix + 'Max')?.value);
+                            const cooldown = parseFloat(document.getElementById('xpRate' + suffix + 'Cooldown')?.value);
+                            
+                            rates[source] = { ...(currentSettings.xpRates?.[source] || {}) };
+                            if (!isNaN(min)) rates[source].min = min;
+                            if (!isNaN(max)) rates[source].max = max;
+                            if (!isNaN(cooldown)) rates[source].cooldown = Math.round(cooldown * 1000);
+                        }
+                        return rates;
                     }
                     
                     async function saveSettings() {
@@ -638,7 +3713,16 @@ class LevelingPlugin {
                                     reactions: xpSourceReactions?.checked || false
                                 },
                                 levelUpChannel: levelUpChannel?.value || null,
-                                xpMultiplier: parseFloat(xpMultiplier?.value) || 1.0
+                                xpMultiplier: parseFloat(xpMultiplier?.value) || 1.0,
+                                xpRates: readRatesForm(),
+                                xpCurve: readCurveForm(),
+                                multiplierStacking: multiplierStacking?.value || 'multiply',
+                                channelMultipliers,
+                                roleMultipliers,
+                                messageQuality: readQualityForm(),
+                                voiceRules: readVoiceRulesForm(),
+                                rankCard: readRankCardForm(),
+                                decay: readDecayForm()
                             };
                             
                             const response = await fetch(\`/api/plugins/leveling/settings/\${currentServerId}\`, {
@@ -652,7 +3736,18 @@ class LevelingPlugin {
                                 throw new Error(error.error || 'Failed to save settings');
                             }
                             
-                            showResult('Settings saved successfully!', 'success');
+                            const result = await response.json();
+                            currentSettings = { ...currentSettings, ...settingsData };
+                            updateSourceDescriptions(settingsData.xpRates);
+                            loadDecayPreview();
+                            
+                            if (result.levelsRecalculated > 0) {
+                                showResult(\`Settings saved! Levels recalculated for \${result.levelsRecalculated} members.\`, 'success');
+                                loadStats();
+                                loadLeaderboard();
+                            } else {
+                                showResult('Settings saved successfully!', 'success');
+                            }
                             
                             if (window.dashboardAPI && window.dashboardAPI.showNotification) {
                                 window.dashboardAPI.showNotification('Leveling settings saved', 'success');
@@ -686,33 +3781,83 @@ class LevelingPlugin {
                             if (totalXP) totalXP.textContent = stats.totalXP.toLocaleString();
                             if (averageLevel) averageLevel.textContent = stats.averageLevel;
                             if (activeToday) activeToday.textContent = stats.activeToday.toLocaleString();
+                            renderWithheldReport(stats.withheld);
                             
                         } catch (error) {
                             console.error('Error loading stats:', error);
                         }
                     }
                     
+                    function renderWithheldReport(withheld) {
+                        const withheldXP = document.getElementById('withheldXP');
+                        const withheldReasons = document.getElementById('withheldReasons');
+                        if (!withheld) return;
+                        
+                        if (withheldXP) withheldXP.textContent = withheld.xp.toLocaleString();
+                        if (!withheldReasons) return;
+                        
+                        withheldReasons.innerHTML = '';
+                        if (withheld.reasons.length === 0) return;
+                        
+                        const heading = document.createElement('div');
+                        heading.style.cssText = 'opacity: 0.7; margin-bottom: 8px;';
+                        heading.textContent = \`\${withheld.messages.toLocaleString()} messages earned no XP since \${new Date(withheld.since).toLocaleDateString()}:\`;
+                        withheldReasons.appendChild(heading);
+                        
+                        withheld.reasons.forEach(entry => {
+                            const row = document.createElement('div');
+                            row.style.cssText = 'display: flex; justify-content: space-between; padding: 6px 10px; background: rgba(255,255,255,0.05); border-radius: 6px; margin-bottom: 4px;';
+                            
+                            const label = document.createElement('span');
+                            label.textContent = entry.label;
+                            const counts = document.createElement('span');
+                            counts.style.opacity = '0.8';
+                            counts.textContent = \`\${entry.messages.toLocaleString()} messages • ~\${entry.xp.toLocaleString()} XP\`;
+                            
+                            row.appendChild(label);
+                            row.appendChild(counts);
+                            withheldReasons.appendChild(row);
+                        });
+                    }
+                    
                     async function loadChannels() {
                         if (!currentServerId || !levelUpChannel) return;
                         
                         try {
-                            const response = await fetch(\`/api/channels/\${currentServerId}\`);
+                            const response = await fetch(\`/api/channels/\${currentServerId}?include=voice\`);
                             if (!response.ok) throw new Error('Failed to load channels');
                             
                             const channels = await response.json();
                             
                             // Clear existing options except the first one
                             levelUpChannel.innerHTML = '<option value="">None (disabled)</option>';
+                            if (channelMultiplierSelect) channelMultiplierSelect.innerHTML = '<option value="">Select a channel...</option>';
+                            if (boostChannel) boostChannel.innerHTML = '<option value="">All channels</option>';
+                            if (boostAnnounceChannel) boostAnnounceChannel.innerHTML = '<option value="">Level up channel</option>';
+                            if (qualityNoXpChannels) qualityNoXpChannels.innerHTML = '';
+                            channelNames = {};
                             
-                            // Add text channels
-                            channels
-                                .filter(ch => ch.type === 0) // Text channels
-                                .forEach(channel => {
+                            channels.forEach(channel => {
+                                channelNames[channel.id] = channel.name;
+                                
+                                // Level up announcements only go to text channels
+                                if (channel.type === 0) {
                                     const option = document.createElement('option');
                                     option.value = channel.id;
                                     option.textContent = \`#\${channel.name}\`;
                                     levelUpChannel.appendChild(option);
-                                });
+                                    if (boostAnnounceChannel) boostAnnounceChannel.appendChild(option.cloneNode(true));
+                                    if (qualityNoXpChannels) qualityNoXpChannels.appendChild(option.cloneNode(true));
+                                }
+                                
+                                const option = document.createElement('option');
+                                option.value = channel.id;
+                                option.textContent = (channel.type === 0 ? '#' : '🔊 ') + channel.name;
+                                if (channelMultiplierSelect) channelMultiplierSelect.appendChild(option);
+                                if (boostChannel) boostChannel.appendChild(option.cloneNode(true));
+                            });
+                            renderMultipliers();
+                            selectNoXpChannels();
                             
                             // Set current value if we have settings loaded
                             if (currentSettings.levelUpChannel) {
@@ -724,6 +3869,349 @@ class LevelingPlugin {
                         }
                     }
                     
+                    async function loadRoles() {
+                        if (!currentServerId || !roleMultiplierSelect) return;
+                        
+                        try {
+                            const response = await fetch(\`/api/roles/\${currentServerId}\`);
+                            if (!response.ok) throw new Error('Failed to load roles');
+                            
+                            const roles = await response.json();
+                            
+                            roleMultiplierSelect.innerHTML = '<option value="">Select a role...</option>';
+                            if (boostRole) boostRole.innerHTML = '<option value="">Everyone</option>';
+                            if (seasonRewardRole) seasonRewardRole.innerHTML = '<option value="">Select a role...</option>';
+                            roleNames = {};
+                            
+                            roles.forEach(role => {
+                                roleNames[role.id] = role.name;
+                                
+                                const option = document.createElement('option');
+                                option.value = role.id;
+                                option.textContent = '@' + role.name;
+                                roleMultiplierSelect.appendChild(option);
+                                if (boostRole) boostRole.appendChild(option.cloneNode(true));
+                                if (seasonRewardRole) seasonRewardRole.appendChild(option.cloneNode(true));
+                            });
+                            renderMultipliers();
+                            renderSeasonRewards();
+                        } catch (error) {
+                            console.error('Error loading roles:', error);
+                        }
+                    }
+                    
+                    async function loadBoosts() {
+                        if (!currentServerId || !boostsList) return;
+                        
+                        try {
+                            const response = await fetch(\`/api/plugins/leveling/boosts/\${currentServerId}\`);
+                            if (!response.ok) throw new Error('Failed to load boosts');
+                            
+                            renderBoosts(await response.json());
+                        } catch (error) {
+                            console.error('Error loading boosts:', error);
+                        }
+                    }
+                    
+                    function renderBoosts(boosts) {
+                        boostsList.innerHTML = '';
+                        
+                        if (boosts.length === 0) {
+                            boostsList.innerHTML = '<div style="text-align: center; opacity: 0.6; padding: 10px;">No boosts scheduled</div>';
+                            return;
+                        }
+                        
+                        const statusIcons = { active: '🟢', scheduled: '🕒', ended: '⚪' };
+                        
+                        boosts.forEach(boost => {
+                            const row = document.createElement('div');
+                            row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; gap: 10px; padding: 10px; background: rgba(255,255,255,0.05); border-radius: 8px; margin-bottom: 6px;';
+                            if (boost.status === 'ended') row.style.opacity = '0.6';
+                            
+                            const info = document.createElement('div');
+                            const title = document.createElement('div');
+                            title.style.fontWeight = '500';
+                            title.textContent = statusIcons[boost.status] + ' ' + boost.name + ' — ' + boost.multiplier + '×';
+                            
+                            const scope = [
+                                ...(boost.channelIds || []).map(id => channelNames[id] ? '#' + channelNames[id] : id),
+                                ...(boost.roleIds || []).map(id => roleNames[id] ? '@' + roleNames[id] : id)
+                            ];
+                            const details = document.createElement('div');
+                            details.style.cssText = 'opacity: 0.7; font-size: 0.9em;';
+                            details.textContent = new Date(boost.startsAt).toLocaleString() + ' → ' + new Date(boost.endsAt).toLocaleString() +
+                                (scope.length ? ' • ' + scope.join(', ') : '');
+                            
+                            info.appendChild(title);
+                            info.appendChild(details);
+                            row.appendChild(info);
+                            
+                            if (boost.status !== 'ended') {
+                                const cancelBtn = document.createElement('button');
+                                cancelBtn.type = 'button';
+                                cancelBtn.textContent = boost.status === 'active' ? 'End Now' : 'Cancel';
+                                cancelBtn.style.cssText = 'padding: 6px 12px; background: rgba(239, 68, 68, 0.2); border: 1px solid rgba(239, 68, 68, 0.3); border-radius: 6px; color: white; cursor: pointer;';
+                                cancelBtn.addEventListener('click', () => cancelBoost(boost.id));
+                                row.appendChild(cancelBtn);
+                            }
+                            
+                            boostsList.appendChild(row);
+                        });
+                    }
+                    
+                    async function createBoost() {
+                        if (!currentServerId) {
+                            showResult('Please select a server first', 'error');
+                            return;
+                        }
+                        
+                        const startValue = document.getElementById('boostStart')?.value;
+                        const endValue = document.getElementById('boostEnd')?.value;
+                        if (!endValue) {
+                            showResult('Please choose when the boost ends', 'error');
+                            return;
+                        }
+                        
+                        const btnText = createBoostBtn.querySelector('.btn-text');
+                        const btnLoader = createBoostBtn.querySelector('.btn-loader');
+                        
+                        try {
+                            if (btnText) btnText.style.display = 'none';
+                            if (btnLoader) btnLoader.style.display = 'inline';
+                            createBoostBtn.disabled = true;
+                            
+                            const boostData = {
+                                name: document.getElementById('boostName')?.value.trim() || undefined,
+                                multiplier: parseFloat(document.getElementById('boostMultiplier')?.value),
+                                startsAt: startValue ? new Date(startValue).toISOString() : undefined,
+                                endsAt: new Date(endValue).toISOString(),
+                                channelIds: boostChannel?.value ? [boostChannel.value] : [],
+                                roleIds: boostRole?.value ? [boostRole.value] : [],
+                                announceChannelId: boostAnnounceChannel?.value || null
+                            };
+                            
+                            const response = await fetch(\`/api/plugins/leveling/boosts/\${currentServerId}\`, {
+                                method: 'POST',
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify(boostData)
+                            });
+                            
+                            const result = await response.json();
+                            if (!response.ok) throw new Error(result.error || 'Failed to schedule boost');
+                            
+                            showResult(\`Boost "\${result.boost.name}" scheduled!\`, 'success');
+                            loadBoosts();
+                        } catch (error) {
+                            console.error('Error creating boost:', error);
+                            showResult('Error: ' + error.message, 'error');
+                        } finally {
+                            if (btnText) btnText.style.display = 'inline';
+                            if (btnLoader) btnLoader.style.display = 'none';
+                            createBoostBtn.disabled = false;
+                        }
+                    }
+                    
+                    async function cancelBoost(boostId) {
+                        if (!confirm('End this XP boost?')) return;
+                        
+                        try {
+                            const response = await fetch(\`/api/plugins/leveling/boosts/\${currentServerId}/\${boostId}\`, { method: 'DELETE' });
+                            if (!response.ok) {
+                                const error = await response.json();
+                                throw new Error(error.error || 'Failed to end boost');
+                            }
+                            
+                            showResult('Boost ended', 'success');
+                            loadBoosts();
+                        } catch (error) {
+                            console.error('Error ending boost:', error);
+                            showResult('Error: ' + error.message, 'error');
+                        }
+                    }
+                    
+                    async function loadSeasons() {
+                        if (!currentServerId) return;
+                        
+                        try {
+                            const response = await fetch(\`/api/plugins/leveling/seasons/\${currentServerId}\`);
+                            if (!response.ok) throw new Error('Failed to load seasons');
+                            
+                            renderSeasons(await response.json());
+                        } catch (error) {
+                            console.error('Error loading seasons:', error);
+                        }
+                    }
+                    
+                    function describeStanding(entry) {
+                        const medals = ['🥇', '🥈', '🥉'];
+                        const name = entry.username || 'User ' + entry.userId;
+                        return (medals[entry.rank - 1] || '#' + entry.rank) + ' ' + name + ' — ' + entry.seasonXP.toLocaleString() + ' XP';
+                    }
+                    
+                    function renderSeasons(seasons) {
+                        const currentSeason = document.getElementById('currentSeason');
+                        const seasonArchive = document.getElementById('seasonArchive');
+                        const endSeasonBtn = document.getElementById('endSeasonBtn');
+                        
+                        if (currentSeason) {
+                            const current = seasons.current;
+                            currentSeason.textContent = current
+                                ? '🟢 ' + current.name + ' — running since ' + new Date(current.startedAt).toLocaleDateString() +
+                                    ' • ' + current.participants + ' members with season XP'
+                                : 'No season is running. Start one to track season XP alongside lifetime XP.';
+                        }
+                        if (endSeasonBtn) endSeasonBtn.disabled = !seasons.current;
+                        
+                        if (!seasonArchive) return;
+                        seasonArchive.innerHTML = '';
+                        
+                        if (seasons.archive.length === 0) {
+                            seasonArchive.innerHTML = '<div style="text-align: center; opacity: 0.6; padding: 10px;">No seasons have ended yet</div>';
+                            return;
+                        }
+                        
+                        seasons.archive.forEach(season => {
+                            const row = document.createElement('div');
+                            row.style.cssText = 'padding: 10px; background: rgba(255,255,255,0.05); border-radius: 8px; margin-bottom: 6px;';
+                            
+                            const title = document.createElement('div');
+                            title.style.fontWeight = '500';
+                            title.textContent = season.name + ' (' + new Date(season.startedAt).toLocaleDateString() + ' → ' + new Date(season.endedAt).toLocaleDateString() + ')';
+                            row.appendChild(title);
+                            
+                            season.podium.forEach(entry => {
+                                const line = document.createElement('div');
+                                line.textContent = describeStanding(entry);
+                                row.appendChild(line);
+                            });
+                            
+                            const details = document.createElement('div');
+                            details.style.cssText = 'opacity: 0.7; font-size: 0.9em; margin-top: 4px;';
+                            details.textContent = season.participants + ' members • ' + season.totalXP.toLocaleString() + ' season XP • ' +
+                                season.rewards.length + ' reward roles given • backup ' + season.backupFile;
+                            row.appendChild(details);
+                            
+                            seasonArchive.appendChild(row);
+                        });
+                    }
+                    
+                    async function startSeason() {
+                        if (!currentServerId) {
+                            showResult('Please select a server first', 'error');
+                            return;
+                        }
+                        if (!confirm('Start a new season? Any running season is closed: standings are archived, reward roles handed out and season XP reset.')) return;
+                        
+                        try {
+                            const response = await fetch(\`/api/plugins/leveling/seasons/\${currentServerId}\`, {
+                                method: 'POST',
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify({ name: document.getElementById('seasonName')?.value.trim() || undefined })
+                            });
+                            
+                            const result = await response.json();
+                            if (!response.ok) throw new Error(result.error || 'Failed to start season');
+                            
+                            showResult(\`\${result.season.name} has started!\`, 'success');
+                            const seasonName = document.getElementById('seasonName');
+                            if (seasonName) seasonName.value = '';
+                            loadSeasons();
+                            loadLeaderboard();
+                        } catch (error) {
+                            console.error('Error starting season:', error);
+                            showResult('Error: ' + error.message, 'error');
+                        }
+                    }
+                    
+                    async function endSeason() {
+                        if (!confirm('End the current season? Standings are archived, reward roles handed out and season XP reset.')) return;
+                        
+                        try {
+                            const response = await fetch(\`/api/plugins/leveling/seasons/\${currentServerId}/end\`, { method: 'POST' });
+                            const result = await response.json();
+                            if (!response.ok) throw new Error(result.error || 'Failed to end season');
+                            
+                            showResult(\`\${result.season.name} has ended and been archived\`, 'success');
+                            loadSeasons();
+                            loadLeaderboard();
+                        } catch (error) {
+                            console.error('Error ending season:', error);
+                            showResult('Error: ' + error.message, 'error');
+                        }
+                    }
+                    
+                    function renderSeasonRewards() {
+                        const list = document.getElementById('seasonRewardList');
+                        if (!list) return;
+                        list.innerHTML = '';
+                        
+                        if (seasonRewardRoles.length === 0) {
+                            list.innerHTML = '<div style="opacity: 0.6; font-size: 0.9em;">No reward roles</div>';
+                            return;
+                        }
+                        
+                        seasonRewardRoles.forEach((reward, index) => {
+                            const row = document.createElement('div');
+                            row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; padding: 6px 10px; background: rgba(255,255,255,0.05); border-radius: 6px; margin-bottom: 4px;';
+                            
+                            const label = document.createElement('span');
+                            label.textContent = (reward.top === 1 ? 'Winner' : 'Top ' + reward.top) + ' → @' + (roleNames[reward.roleId] || reward.roleId);
+                            row.appendChild(label);
+                            
+                            const removeBtn = document.createElement('button');
+                            removeBtn.type = 'button';
+                            removeBtn.textContent = '✕';
+                            removeBtn.style.cssText = 'background: none; border: none; color: #ff6b6b; cursor: pointer;';
+                            removeBtn.addEventListener('click', () => {
+                                seasonRewardRoles.splice(index, 1);
+                                renderSeasonRewards();
+                            });
+                            row.appendChild(removeBtn);
+                            
+                            list.appendChild(row);
+                        });
+                    }
+                    
+                    function addSeasonReward() {
+                        const top = parseInt(document.getElementById('seasonRewardTop')?.value);
+                        if (!seasonRewardRole?.value || isNaN(top) || top < 1 || top > 100) {
+                            showResult('Pick a role and a top 1 to 100 placement', 'error');
+                            return;
+                        }
+                        
+                        seasonRewardRoles.push({ top, roleId: seasonRewardRole.value });
+                        seasonRewardRoles.sort((a, b) => a.top - b.top);
+                        renderSeasonRewards();
+                    }
+                    
+                    async function saveSeasonRewards() {
+                        if (!currentServerId) return;
+                        
+                        try {
+                            const seasonRewards = {
+                                roles: seasonRewardRoles,
+                                removePrevious: document.getElementById('seasonRewardsRemovePrevious')?.checked || false
+                            };
+                            
+                            const response = await fetch(\`/api/plugins/leveling/settings/\${currentServerId}\`, {
+                                method: 'POST',
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify({ seasonRewards })
+                            });
+                            
+                            if (!response.ok) {
+                                const error = await response.json();
+                                throw new Error(error.error || 'Failed to save season rewards');
+                            }
+                            
+                            currentSettings = { ...currentSettings, seasonRewards };
+                            showResult('Season rewards saved!', 'success');
+                        } catch (error) {
+                            console.error('Error saving season rewards:', error);
+                            showResult('Error: ' + error.message, 'error');
+                        }
+                    }
+                    
                     async function loadLeaderboard() {
                         if (!currentServerId || !leaderboardContent) return;
                         
@@ -734,11 +4222,54 @@ class LevelingPlugin {
                             const response = await fetch(\`/api/plugins/leveling/leaderboard/\${currentServerId}?type=\${currentLeaderboardType}&limit=20\`);
                             if (!response.ok) throw new Error('Failed to load leaderboard');
                             
-                            const leaderboard = await response.json();
+                            const leaderboard = await response.json();
+                            
+                            if (leaderboardList) {
+                                if (leaderboard.length === 0) {
+                                    leaderboardList.innerHTML = '<div style="text-align: center; opacity: 0.6; padding: 40px;">No users found</div>';
+                                } else {
+                                    leaderboardList.innerHTML = leaderboard.map((user, index) => {
+                                        const position = index + 1;
+                                        const medal = position === 1 ? '🥇' : position === 2 ? '🥈' : position === 3 ? '🥉' : \`#\${position}\`;
+                                        
+                                        let scoreText = '';
+                                        switch (currentLeaderboardType) {
+                                            case 'overall':
+                                                scoreText = \`Level \${user.level} (\${user.xp.toLocaleString()} XP)\`;
+                                                break;
+                                            case 'voice':
+                                                scoreText = \`\${Math.round(user.score / 60000)} minutes\`;
+                                                break;
+                                            case 'reactions':
+                                                scoreText = \`\${user.score} reactions\`;
+                                                break;
+                                            case 'season':
+                                                scoreText = \`\${user.score.toLocaleString()} season XP (Level \${user.level})\`;
+                                                break;
+                                        }
+                                        
+                                        return \`
+                                            <div style="display: flex; align-items: center; gap: 12px; padding: 12px; background: rgba(255,255,255,0.05); border-radius: 8px; margin-bottom: 8px;">
+                                                <div style="font-size: 1.2em; width: 40px; text-align: center;">\${medal}</div>
+                                                <div style="flex: 1;">
+                                                    <div style="font-weight: 500;">User \${user.userId}</div>
+                                                    <div style="opacity: 0.7; font-size: 0.9em;">\${scoreText}</div>
+                                                </div>
+                                            </div>
+                                        \`;
+                                    }).join('');
+                                }
+                                
+                                leaderboardList.style.display = 'block';
+                            }
+                            
+                            if (leaderboardLoading) leaderboardLoading.style.display = 'none';
                             
+                        } catch (error) {
+                            console.error('Error loading leaderboard:', error);
                             if (leaderboardList) {
-                                if (leaderboard.length === 0) {
-                                    leaderboardList.style.display = 'block';
+                                leaderboardList.innerHTML = '<div style="text-align: center; opacity: 0.6; padding: 40px;">Error loading leaderboard</div>';
+                                leaderboardList.style.display = 'block';
                             }
                             if (leaderboardLoading) leaderboardLoading.style.display = 'none';
                         }
@@ -911,1671 +4442,221 @@ class LevelingPlugin {
                         }
                     }
                     
-                    // Make restoreBackup function global so it can be called from onclick
-                    window.restoreBackup = async function(filename) {
-                        if (!currentServerId) {
-                            showResult('Please select a server first', 'error');
-                            return;
-                        }
-                        
-                        if (!confirm(\`Are you sure you want to restore from backup "\${filename}"? This will overwrite current data.\`)) {
-                            return;
-                        }
-                        
-                        try {
-                            const response = await fetch('/api/plugins/leveling/backup/restore', {
-                                method: 'POST',
-                                headers: { 'Content-Type': 'application/json' },
-                                body: JSON.stringify({
-                                    filename,
-                                    guildId: currentServerId
-                                })
-                            });
-                            
-                            if (!response.ok) {
-                                const error = await response.json();
-                                throw new Error(error.error || 'Failed to restore backup');
-                            }
-                            
-                            const result = await response.json();
-                            
-                            showResult('Backup restored successfully. Data has been restored exactly as backed up.', 'success');
-                            
-                            // Refresh all data
-                            loadStats();
-                            loadLeaderboard();
-                            
-                            if (window.dashboardAPI && window.dashboardAPI.showNotification) {
-                                window.dashboardAPI.showNotification('Backup restored successfully', 'success');
-                            }
-                            
-                        } catch (error) {
-                            console.error('Error restoring backup:', error);
-                            showResult('Error: ' + error.message, 'error');
-                            
-                            if (window.dashboardAPI && window.dashboardAPI.showNotification) {
-                                window.dashboardAPI.showNotification(error.message, 'error');
-                            }
-                        }
-                    };
-                    
-                    async function syncUserData() {
-                        const btnText = syncDataBtn?.querySelector('.btn-text');
-                        const btnLoader = syncDataBtn?.querySelector('.btn-loader');
+                    async function loadAuditLog() {
+                        const auditList = document.getElementById('auditList');
+                        if (!currentServerId || !auditList) return;
                         
                         try {
-                            // Show loading state
-                            if (btnText) btnText.style.display = 'none';
-                            if (btnLoader) btnLoader.style.display = 'inline';
-                            if (syncDataBtn) syncDataBtn.disabled = true;
-                            
-                            const response = await fetch('/api/plugins/leveling/sync-data', {
-                                method: 'POST',
-                                headers: { 'Content-Type': 'application/json' }
-                            });
-                            
-                            if (!response.ok) {
-                                const error = await response.json();
-                                throw new Error(error.error || 'Failed to sync data');
-                            }
-                            
-                            const result = await response.json();
-                            
-                            showResult(\`Data sync completed. \${result.changesMade ? 'Fixed inconsistencies in user data.' : 'No issues found.'}\`, 'success');
-                            
-                            // Refresh stats and leaderboard
-                            loadStats();
-                            loadLeaderboard();
-                            
-                            if (window.dashboardAPI && window.dashboardAPI.showNotification) {
-                                window.dashboardAPI.showNotification('Data sync completed', 'success');
-                            }
+                            const response = await fetch(\`/api/plugins/leveling/audit/\${currentServerId}?limit=50\`);
+                            if (!response.ok) throw new Error('Failed to load audit log');
                             
+                            renderAuditLog(await response.json());
                         } catch (error) {
-                            console.error('Error syncing data:', error);
-                            showResult('Error: ' + error.message, 'error');
-                            
-                            if (window.dashboardAPI && window.dashboardAPI.showNotification) {
-                                window.dashboardAPI.showNotification(error.message, 'error');
-                            }
-                        } finally {
-                            // Reset button state
-                            if (btnText) btnText.style.display = 'inline';
-                            if (btnLoader) btnLoader.style.display = 'none';
-                            if (syncDataBtn) syncDataBtn.disabled = false;
+                            console.error('Error loading audit log:', error);
+                            auditList.innerHTML = '<div style="text-align: center; opacity: 0.6; padding: 20px; color: #ff6b6b;">Error loading audit log</div>';
                         }
                     }
                     
-                    // Show result message
-                    function showResult(message, type) {
-                        if (!levelingResult) return;
-                        
-                        levelingResult.textContent = message;
-                        levelingResult.className = \`result-message \${type}\`;
-                        levelingResult.style.display = 'block';
-                        
-                        // Auto-hide after 5 seconds
-                        setTimeout(() => {
-                            levelingResult.style.display = 'none';
-                        }, 5000);
-                    }
-                    
-                    // Initialize when page loads
-                    if (document.readyState === 'loading') {
-                        document.addEventListener('DOMContentLoaded', initializeLevelingPlugin);
-                    } else {
-                        initializeLevelingPlugin();
+                    function describeAuditEvent(event) {
+                        const details = event.details || {};
+                        switch (event.type) {
+                            case 'xp_decay':
+                                return \`📉 Decay removed \${details.xpRemoved.toLocaleString()} XP from \${details.members} inactive members\`;
+                            case 'manual_xp':
+                                return \`⚙️ \${details.amount >= 0 ? 'Added' : 'Removed'} \${Math.abs(details.amount).toLocaleString()} XP for user \${event.userId}\`;
+                            case 'decay_revert':
+                                return \`↩️ Undid a decay run, giving back \${details.xpRestored.toLocaleString()} XP to \${details.members} members\`;
+                            case 'backup_restore':
+                                return \`♻️ Restored backup \${details.filename}\`;
+                            case 'season_start':
+                                return \`🏁 Started \${details.name}\`;
+                            case 'season_end':
+                                return \`🏆 Closed \${details.name} (\${details.participants} members)\`;
+                            default:
+                                return event.type;
+                        }
                     }
                     
-                    console.log('✅ Enhanced Leveling Plugin loaded successfully');
-                    
-                })();
-            `
-        };
-    }
-}
-
-module.exports = LevelingPlugin;innerHTML = '<div style="text-align: center; opacity: 0.6; padding: 40px;">No users found</div>';
-                                } else {
-                                    leaderboardList.innerHTML = leaderboard.map((user, index) => {
-                                        const position = index + 1;
-                                        const medal = position === 1 ? '🥇' : position === 2 ? '🥈' : position === 3 ? '🥉' : \`#\${position}\`;
-                                        
-                                        let scoreText = '';
-                                        switch (currentLeaderboardType) {
-                                            case 'overall':
-                                                scoreText = \`Level \${user.level} (\${user.xp.toLocaleString()} XP)\`;
-                                                break;
-                                            case 'voice':
-                                                scoreText = \`\${Math.round(user.score / 60000)} minutes\`;
-                                                break;
-                                            case 'reactions':
-                                                scoreText = \`\${user.score} reactions\`;
-                                                break;
-                                        }
-                                        
-                                        return \`
-                                            <div style="display: flex; align-items: center; gap: 12px; padding: 12px; background: rgba(255,255,255,0.05); border-radius: 8px; margin-bottom: 8px;">
-                                                <div style="font-size: 1.2em; width: 40px; text-align: center;">\${medal}</div>
-                                                <div style="flex: 1;">
-                                                    <div style="font-weight: 500;">User \${user.userId}</div>
-                                                    <div style="opacity: 0.7; font-size: 0.9em;">\${scoreText}</div>
-                                                </div>
-                                            </div>
-                                        \`;
-                                    }).join('');
-                                }
-                                
-                                leaderboardList.style.display = 'block';
-                            }
-                            
-                            if (leaderboardLoading) leaderboardLoading.style.display = 'none';
-                            
-                        } catch (error) {
-                            console.error('Error loading leaderboard:', error);
-                            if (leaderboardList) {
-                                leaderboardList.innerHTML = '<div style="text-align: center; opacity: 0.6; padding: 40px;">Error loading leaderboard</div>';
-                                leaderboardList.UserData(userId, guildId) {
-        const data = await this.loadData();
-        
-        if (!data.users[userId] || !data.users[userId][guildId]) {
-            return {
-                xp: 0,
-                level: 0,
-                lastMessageTime: 0,
-                voiceTime: 0,
-                reactionsGiven: 0,
-                reactionsReceived: 0
-            };
-        }
-        
-        return data.users[userId][guildId];
-    }
-
-    async getGuildSettings(guildId) {
-        const settings = await this.loadSettings();
-        
-        return settings[guildId] || {
-            enabled: true,
-            xpSources: {
-                messages: true,
-                voice: true,
-                reactions: true
-            },
-            xpMultiplier: 1.0,
-            levelUpChannel: null,
-            exemptRoles: [],
-            exemptChannels: []
-        };
-    }
-
-    async updateGuildSettings(guildId, newSettings) {
-        const settings = await this.loadSettings();
-        settings[guildId] = { ...settings[guildId], ...newSettings };
-        await this.saveSettings(settings);
-    }
-
-    // ============================================================================
-    // XP & LEVELING LOGIC
-    // ============================================================================
-
-    calculateLevel(xp) {
-        return Math.floor(Math.sqrt(xp / 100));
-    }
-
-    getXPForLevel(level) {
-        return level * level * 100;
-    }
-
-    getXPForNextLevel(currentXP) {
-        const currentLevel = this.calculateLevel(currentXP);
-        const nextLevelXP = this.getXPForLevel(currentLevel + 1);
-        return nextLevelXP - currentXP;
-    }
-
-    async addXP(userId, guildId, amount, source = 'manual', preserveLevel = false) {
-        const data = await this.loadData();
-        
-        if (!data.users[userId]) {
-            data.users[userId] = {};
-        }
-        
-        if (!data.users[userId][guildId]) {
-            data.users[userId][guildId] = {
-                xp: 0,
-                level: 0,
-                lastMessageTime: 0,
-                voiceTime: 0,
-                reactionsGiven: 0,
-                reactionsReceived: 0
-            };
-        }
-        
-        const userGuildData = data.users[userId][guildId];
-        const oldLevel = userGuildData.level;
-        
-        userGuildData.xp += amount;
-        
-        // Only recalculate level if not preserving existing level
-        if (!preserveLevel) {
-            userGuildData.level = this.calculateLevel(userGuildData.xp);
-        }
-        
-        // Track source-specific stats
-        if (source === 'reaction_given') userGuildData.reactionsGiven++;
-        if (source === 'reaction_received') userGuildData.reactionsReceived++;
-        
-        await this.saveData(data);
-        
-        // Check for level up (only if not preserving level)
-        if (!preserveLevel && userGuildData.level > oldLevel) {
-            await this.handleLevelUp(userId, guildId, userGuildData.level, oldLevel);
-        }
-        
-        return userGuildData;
-    }
-
-    async handleLevelUp(userId, guildId, newLevel, oldLevel) {
-        try {
-            const settings = await this.getGuildSettings(guildId);
-            
-            if (settings.levelUpChannel) {
-                const channel = this.client.channels.cache.get(settings.levelUpChannel);
-                const user = await this.client.users.fetch(userId);
-                
-                if (channel && user) {
-                    const embed = {
-                        color: 0x00ff00,
-                        title: '🎉 Level Up!',
-                        description: `**${user.username}** leveled up from **${oldLevel}** to **${newLevel}**!`,
-                        thumbnail: { url: user.displayAvatarURL() },
-                        timestamp: new Date().toISOString()
-                    };
-                    
-                    await channel.send({ embeds: [embed] });
-                }
-            }
-            
-            // Emit level up event for other plugins
-            this.client.emit('levelUp', userId, guildId, newLevel, oldLevel);
-            
-        } catch (error) {
-            console.error('Error handling level up:', error);
-        }
-    }
-
-    // ============================================================================
-    // DISCORD EVENTS - FIXED
-    // ============================================================================
-
-    setupDiscordEvents() {
-        // Message XP
-        this.client.on('messageCreate', async (message) => {
-            try {
-                if (message.author.bot || !message.guild) return;
-                
-                const settings = await this.getGuildSettings(message.guild.id);
-                if (!settings.enabled || !settings.xpSources?.messages) return;
-                
-                const userId = message.author.id;
-                const guildId = message.guild.id;
-                const now = Date.now();
-                const cooldownKey = `${userId}-${guildId}`;
-                
-                // Check cooldown
-                if (this.userCooldowns.has(cooldownKey)) {
-                    const lastXP = this.userCooldowns.get(cooldownKey);
-                    if (now - lastXP < this.MESSAGE_COOLDOWN) return;
-                }
-                
-                const xpGain = Math.floor(Math.random() * (this.XP_RATES.MESSAGE.max - this.XP_RATES.MESSAGE.min + 1)) + this.XP_RATES.MESSAGE.min;
-                const multiplier = settings.xpMultiplier || 1;
-                
-                this.userCooldowns.set(cooldownKey, now);
-                await this.addXP(userId, guildId, Math.floor(xpGain * multiplier), 'message');
-                
-            } catch (error) {
-                console.error('Error in messageCreate event:', error);
-            }
-        });
-
-        // Voice XP tracking
-        this.client.on('voiceStateUpdate', async (oldState, newState) => {
-            try {
-                const userId = newState.member?.id;
-                if (!userId) return;
-                
-                const settings = await this.getGuildSettings(newState.guild.id);
-                
-                // User joined voice channel
-                if (!oldState.channel && newState.channel) {
-                    if (settings.enabled && settings.xpSources?.voice) {
-                        this.voiceTracker.set(`${userId}-${newState.guild.id}`, Date.now());
+                    function renderAuditLog(events) {
+                        const auditList = document.getElementById('auditList');
+                        auditList.innerHTML = '';
+                        
+                        if (events.length === 0) {
+                            auditList.innerHTML = '<div style="text-align: center; opacity: 0.6; padding: 20px;">Nothing logged yet</div>';
+                            return;
+                        }
+                        
+                        events.forEach(event => {
+                            const row = document.createElement('div');
+                            row.style.cssText = 'display: flex; justify-content: space-between; align-items: center; gap: 10px; padding: 10px; background: rgba(255,255,255,0.05); border-radius: 8px; margin-bottom: 6px;';
+                            
+                            const info = document.createElement('div');
+                            const title = document.createElement('div');
+                            title.textContent = describeAuditEvent(event);
+                            const meta = document.createElement('div');
+                            meta.style.cssText = 'opacity: 0.7; font-size: 0.9em;';
+                            meta.textContent = new Date(event.timestamp).toLocaleString() + ' • by ' + (event.moderator === 'system' ? 'the bot' : 'user ' + event.moderator);
+                            info.appendChild(title);
+                            info.appendChild(meta);
+                            row.appendChild(info);
+                            
+                            // Decay runs give their XP back for this server only
+                            if (event.type === 'xp_decay' && event.details?.runId) {
+                                const undoBtn = document.createElement('button');
+                                undoBtn.type = 'button';
+                                undoBtn.textContent = event.details.revertedAt ? 'Undone' : 'Undo';
+                                undoBtn.disabled = Boolean(event.details.revertedAt);
+                                undoBtn.style.cssText = 'padding: 6px 12px; background: rgba(34, 197, 94, 0.2); border: 1px solid rgba(34, 197, 94, 0.3); border-radius: 6px; color: white; cursor: pointer;';
+                                undoBtn.addEventListener('click', () => revertDecay(event.details.runId));
+                                row.appendChild(undoBtn);
+                            }
+                            
+                            auditList.appendChild(row);
+                        });
                     }
-                }
-                
-                // User left voice channel
-                if (oldState.channel && !newState.channel) {
-                    const trackingKey = `${userId}-${oldState.guild.id}`;
-                    if (this.voiceTracker.has(trackingKey)) {
-                        this.voiceTracker.delete(trackingKey);
+                    
+                    async function revertDecay(runId) {
+                        if (!currentServerId) return;
+                        if (!confirm('Give back the XP this decay run removed? XP earned since then is kept.')) return;
+                        
+                        try {
+                            const response = await fetch(\`/api/plugins/leveling/decay/\${currentServerId}/revert/\${encodeURIComponent(runId)}\`, { method: 'POST' });
+                            const result = await response.json();
+                            if (!response.ok) throw new Error(result.error || 'Failed to undo decay');
+                            
+                            showResult(\`Gave back \${result.xpRestored.toLocaleString()} XP to \${result.members} members.\`, 'success');
+                            loadStats();
+                            loadLeaderboard();
+                            loadAuditLog();
+                        } catch (error) {
+                            console.error('Error undoing decay:', error);
+                            showResult('Error: ' + error.message, 'error');
+                        }
                     }
-                }
-            } catch (error) {
-                console.error('Error in voiceStateUpdate event:', error);
-            }
-        });
-
-        // Reaction XP
-        this.client.on('messageReactionAdd', async (reaction, user) => {
-            try {
-                if (user.bot || !reaction.message.guild) return;
-                
-                const settings = await this.getGuildSettings(reaction.message.guild.id);
-                if (!settings.enabled || !settings.xpSources?.reactions) return;
-                
-                const multiplier = settings.xpMultiplier || 1;
-                
-                // XP for giving a reaction
-                await this.addXP(user.id, reaction.message.guild.id, Math.floor(this.XP_RATES.REACTION_GIVEN * multiplier), 'reaction_given');
-                
-                // XP for receiving a reaction (message author)
-                if (!reaction.message.author.bot && reaction.message.author.id !== user.id) {
-                    await this.addXP(reaction.message.author.id, reaction.message.guild.id, Math.floor(this.XP_RATES.REACTION_RECEIVED * multiplier), 'reaction_received');
-                }
-            } catch (error) {
-                console.error('Error in messageReactionAdd event:', error);
-            }
-        });
-    }
-
-    async updateVoiceXP() {
-        try {
-            const now = Date.now();
-            const settings = await this.loadSettings();
-            
-            for (const [trackingKey, startTime] of this.voiceTracker.entries()) {
-                const [userId, guildId] = trackingKey.split('-');
-                const guildSettings = settings[guildId];
-                
-                if (!guildSettings?.enabled || !guildSettings?.xpSources?.voice) continue;
-                
-                const timeInVoice = now - startTime;
-                const minutesInVoice = Math.floor(timeInVoice / 60000);
-                
-                if (minutesInVoice >= 1) {
-                    const xpGain = Math.floor(this.XP_RATES.VOICE_PER_MINUTE * (guildSettings.xpMultiplier || 1));
-                    await this.addXP(userId, guildId, xpGain, 'voice');
                     
-                    // Update start time to prevent duplicate XP
-                    this.voiceTracker.set(trackingKey, now);
-                }
-            }
-        } catch (error) {
-            console.error('Error updating voice XP:', error);
-        }
-    }
-
-    // ============================================================================
-    // API ROUTES
-    // ============================================================================
-
-    setupRoutes() {
-        // Get user level/XP data
-        this.app.get('/api/plugins/leveling/user/:userId/:guildId', this.ensureAuthenticated, async (req, res) => {
-            try {
-                const { userId, guildId } = req.params;
-                
-                if (!await this.hasAdminPermissions(req.user.id, guildId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-                
-                const userData = await this.getUserData(userId, guildId);
-                res.json(userData);
-            } catch (error) {
-                console.error('Error getting user data:', error);
-                res.status(500).json({ error: 'Failed to get user data' });
-            }
-        });
-
-        // Get leaderboard
-        this.app.get('/api/plugins/leveling/leaderboard/:guildId', this.ensureAuthenticated, async (req, res) => {
-            try {
-                const { guildId } = req.params;
-                const { type = 'overall', limit = 20 } = req.query;
-                
-                if (!await this.hasAdminPermissions(req.user.id, guildId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-                
-                const leaderboard = await this.getLeaderboard(guildId, type, parseInt(limit));
-                res.json(leaderboard);
-            } catch (error) {
-                console.error('Error getting leaderboard:', error);
-                res.status(500).json({ error: 'Failed to get leaderboard' });
-            }
-        });
-
-        // Get guild settings
-        this.app.get('/api/plugins/leveling/settings/:guildId', this.ensureAuthenticated, async (req, res) => {
-            try {
-                const { guildId } = req.params;
-                
-                if (!await this.hasAdminPermissions(req.user.id, guildId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-                
-                const settings = await this.getGuildSettings(guildId);
-                res.json(settings);
-            } catch (error) {
-                console.error('Error getting settings:', error);
-                res.status(500).json({ error: 'Failed to get settings' });
-            }
-        });
-
-        // Update guild settings
-        this.app.post('/api/plugins/leveling/settings/:guildId', this.ensureAuthenticated, async (req, res) => {
-            try {
-                const { guildId } = req.params;
-                
-                if (!await this.hasAdminPermissions(req.user.id, guildId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-                
-                await this.updateGuildSettings(guildId, req.body);
-                res.json({ success: true });
-            } catch (error) {
-                console.error('Error saving settings:', error);
-                res.status(500).json({ error: 'Failed to save settings' });
-            }
-        });
-
-        // Manage XP (add/remove)
-        this.app.post('/api/plugins/leveling/manage-xp', this.ensureAuthenticated, async (req, res) => {
-            try {
-                const { userId, guildId, amount } = req.body;
-                
-                if (!await this.hasAdminPermissions(req.user.id, guildId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-                
-                const userData = await this.addXP(userId, guildId, parseInt(amount), 'manual');
-                res.json(userData);
-            } catch (error) {
-                console.error('Error managing XP:', error);
-                res.status(500).json({ error: 'Internal server error' });
-            }
-        });
-
-        // Get stats
-        this.app.get('/api/plugins/leveling/stats/:guildId', this.ensureAuthenticated, async (req, res) => {
-            try {
-                const { guildId } = req.params;
-                
-                if (!await this.hasAdminPermissions(req.user.id, guildId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-                
-                const stats = await this.getGuildStats(guildId);
-                res.json(stats);
-            } catch (error) {
-                console.error('Error getting stats:', error);
-                res.status(500).json({ error: 'Failed to get stats' });
-            }
-        });
-
-        // Add sync data endpoint
-        this.app.post('/api/plugins/leveling/sync-data', this.ensureAuthenticated, async (req, res) => {
-            try {
-                const result = await this.validateAndSyncUserData();
-                res.json(result);
-            } catch (error) {
-                console.error('Error syncing data:', error);
-                res.status(500).json({ error: 'Failed to sync data' });
-            }
-        });
-    }
-
-    // ============================================================================
-    // BACKUP SYSTEM
-    // ============================================================================
-
-    setupBackupRoutes() {
-        // Create manual backup
-        this.app.post('/api/plugins/leveling/backup/create', this.ensureAuthenticated, async (req, res) => {
-            try {
-                const { reason } = req.body;
-                
-                const backupPath = await this.createBackup('manual', reason || 'Manual backup via dashboard');
-                
-                res.json({
-                    success: true,
-                    message: 'Backup created successfully',
-                    backupPath: path.basename(backupPath)
-                });
-            } catch (error) {
-                console.error('Error creating manual backup:', error);
-                res.status(500).json({ error: 'Failed to create backup' });
-            }
-        });
-
-        // List available backups
-        this.app.get('/api/plugins/leveling/backup/list', this.ensureAuthenticated, async (req, res) => {
-            try {
-                const backupFiles = await fs.readdir(this.backupDir);
-                const levelingBackups = [];
-                
-                for (const file of backupFiles) {
-                    if (file.startsWith('levelingData_') && file.endsWith('.json')) {
+                    // Make restoreBackup function global so it can be called from onclick
+                    window.restoreBackup = async function(filename) {
+                        if (!currentServerId) {
+                            showResult('Please select a server first', 'error');
+                            return;
+                        }
+                        
+                        if (!confirm(\`Are you sure you want to restore from backup "\${filename}"? This will overwrite current data.\`)) {
+                            return;
+                        }
+                        
                         try {
-                            const filePath = path.join(this.backupDir, file);
-                            const stat = await fs.stat(filePath);
+                            const response = await fetch('/api/plugins/leveling/backup/restore', {
+                                method: 'POST',
+                                headers: { 'Content-Type': 'application/json' },
+                                body: JSON.stringify({
+                                    filename,
+                                    guildId: currentServerId
+                                })
+                            });
+                            
+                            if (!response.ok) {
+                                const error = await response.json();
+                                throw new Error(error.error || 'Failed to restore backup');
+                            }
+                            
+                            const result = await response.json();
+                            
+                            showResult('Backup restored successfully. Data has been restored exactly as backed up.', 'success');
+                            
+                            // Refresh all data
+                            loadStats();
+                            loadLeaderboard();
+                            loadAuditLog();
+                            
+                            if (window.dashboardAPI && window.dashboardAPI.showNotification) {
+                                window.dashboardAPI.showNotification('Backup restored successfully', 'success');
+                            }
                             
-                            // Try to read metadata
-                            let metadata = null;
-                            try {
-                                const content = await fs.readFile(filePath, 'utf8');
-                                const backup = JSON.parse(content);
-                                metadata = backup.metadata;
-                            } catch {}
+                        } catch (error) {
+                            console.error('Error restoring backup:', error);
+                            showResult('Error: ' + error.message, 'error');
                             
-                            levelingBackups.push({
-                                filename: file,
-                                size: stat.size,
-                                created: stat.birthtime,
-                                modified: stat.mtime,
-                                metadata: metadata
+                            if (window.dashboardAPI && window.dashboardAPI.showNotification) {
+                                window.dashboardAPI.showNotification(error.message, 'error');
+                            }
+                        }
+                    };
+                    
+                    async function syncUserData() {
+                        const btnText = syncDataBtn?.querySelector('.btn-text');
+                        const btnLoader = syncDataBtn?.querySelector('.btn-loader');
+                        
+                        try {
+                            // Show loading state
+                            if (btnText) btnText.style.display = 'none';
+                            if (btnLoader) btnLoader.style.display = 'inline';
+                            if (syncDataBtn) syncDataBtn.disabled = true;
+                            
+                            const response = await fetch('/api/plugins/leveling/sync-data', {
+                                method: 'POST',
+                                headers: { 'Content-Type': 'application/json' }
                             });
+                            
+                            if (!response.ok) {
+                                const error = await response.json();
+                                throw new Error(error.error || 'Failed to sync data');
+                            }
+                            
+                            const result = await response.json();
+                            
+                            showResult(\`Data sync completed. \${result.changesMade ? 'Fixed inconsistencies in user data.' : 'No issues found.'}\`, 'success');
+                            
+                            // Refresh stats and leaderboard
+                            loadStats();
+                            loadLeaderboard();
+                            
+                            if (window.dashboardAPI && window.dashboardAPI.showNotification) {
+                                window.dashboardAPI.showNotification('Data sync completed', 'success');
+                            }
+                            
                         } catch (error) {
-                            console.warn(`Could not read backup file: ${file}`);
+                            console.error('Error syncing data:', error);
+                            showResult('Error: ' + error.message, 'error');
+                            
+                            if (window.dashboardAPI && window.dashboardAPI.showNotification) {
+                                window.dashboardAPI.showNotification(error.message, 'error');
+                            }
+                        } finally {
+                            // Reset button state
+                            if (btnText) btnText.style.display = 'inline';
+                            if (btnLoader) btnLoader.style.display = 'none';
+                            if (syncDataBtn) syncDataBtn.disabled = false;
                         }
                     }
-                }
-                
-                // Sort by creation time (newest first)
-                levelingBackups.sort((a, b) => new Date(b.created) - new Date(a.created));
-                
-                res.json(levelingBackups);
-            } catch (error) {
-                console.error('Error listing backups:', error);
-                res.status(500).json({ error: 'Failed to list backups' });
-            }
-        });
-
-        // Restore from backup
-        this.app.post('/api/plugins/leveling/backup/restore', this.ensureAuthenticated, async (req, res) => {
-            try {
-                const { filename, guildId } = req.body;
-                
-                if (!await this.hasAdminPermissions(req.user.id, guildId)) {
-                    return res.status(403).json({ error: 'Insufficient permissions' });
-                }
-                
-                const backupPath = path.join(this.backupDir, filename);
-                
-                // Verify backup exists and is valid
-                const backupContent = await fs.readFile(backupPath, 'utf8');
-                const backup = JSON.parse(backupContent);
-                const data = backup.data || backup;
-                
-                if (!data.users || typeof data.users !== 'object') {
-                    throw new Error('Invalid backup data structure');
-                }
-                
-                // Create backup of current state before restoring
-                await this.createBackup('pre-restore', `Before restoring from ${filename}`);
-                
-                // Restore the data exactly as it was backed up
-                await fs.writeFile(this.dataFile, JSON.stringify(data, null, 2));
-                
-                // Validate restored data
-                await this.validateAndSyncUserData();
-                
-                res.json({
-                    success: true,
-                    message: 'Backup restored successfully'
-                });
-            } catch (error) {
-                console.error('Error restoring backup:', error);
-                res.status(500).json({ error: 'Failed to restore backup' });
-            }
-        });
-    }
-
-    async createBackup(type, reason) {
-        try {
-            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-            const backupFilename = `levelingData_${type}_${timestamp}.json`;
-            const backupPath = path.join(this.backupDir, backupFilename);
-            
-            const currentData = await this.loadData();
-            const backupData = {
-                metadata: {
-                    timestamp: new Date().toISOString(),
-                    type,
-                    reason,
-                    version: this.version
-                },
-                data: currentData
-            };
-            
-            await fs.writeFile(backupPath, JSON.stringify(backupData, null, 2));
-            console.log(`✓ Backup created: ${backupFilename}`);
-            return backupPath;
-        } catch (error) {
-            console.error('Error creating backup:', error);
-            throw error;
-        }
-    }
-
-    async validateAndSyncUserData() {
-        try {
-            const data = await this.loadData();
-            let changesMade = false;
-            
-            // Validate each user's data
-            for (const [userId, guilds] of Object.entries(data.users)) {
-                for (const [guildId, userData] of Object.entries(guilds)) {
-                    if (userData && typeof userData === 'object') {
-                        // Ensure all required fields exist
-                        const requiredFields = {
-                            xp: 0,
-                            level: 0,
-                            lastMessageTime: 0,
-                            voiceTime: 0,
-                            reactionsGiven: 0,
-                            reactionsReceived: 0
-                        };
+                    
+                    // Show result message
+                    function showResult(message, type) {
+                        if (!levelingResult) return;
                         
-                        for (const [field, defaultValue] of Object.entries(requiredFields)) {
-                            if (userData[field] === undefined || userData[field] === null) {
-                                userData[field] = defaultValue;
-                                changesMade = true;
-                            }
-                        }
+                        levelingResult.textContent = message;
+                        levelingResult.className = \`result-message \${type}\`;
+                        levelingResult.style.display = 'block';
                         
-                        // Ensure level matches XP (but don't overwrite backed up levels)
-                        const calculatedLevel = this.calculateLevel(userData.xp);
-                        if (userData.level !== calculatedLevel) {
-                            console.log(`Syncing level for user ${userId} in guild ${guildId}: ${userData.level} → ${calculatedLevel}`);
-                            userData.level = calculatedLevel;
-                            changesMade = true;
-                        }
+                        // Auto-hide after 5 seconds
+                        setTimeout(() => {
+                            levelingResult.style.display = 'none';
+                        }, 5000);
                     }
-                }
-            }
-            
-            if (changesMade) {
-                await this.saveData(data);
-                console.log('✓ User data validation and sync completed');
-            }
-            
-            return { success: true, changesMade };
-        } catch (error) {
-            console.error('Error validating user data:', error);
-            return { success: false, error: error.message };
-        }
-    }
-
-    startPeriodicBackups() {
-        setInterval(async () => {
-            try {
-                await this.createBackup('periodic', 'Automatic periodic backup');
-            } catch (error) {
-                console.error('Error in periodic backup:', error);
-            }
-        }, this.backupInterval);
-    }
-
-    startDailyBackups() {
-        setInterval(async () => {
-            const now = new Date();
-            if (now.getHours() === this.dailyBackupHour && now.getMinutes() < 5) {
-                try {
-                    await this.createBackup('daily', 'Daily scheduled backup');
-                } catch (error) {
-                    console.error('Error in daily backup:', error);
-                }
-            }
-        }, 5 * 60 * 1000);
-    }
-
-    async cleanupOldBackups() {
-        try {
-            const backupFiles = await fs.readdir(this.backupDir);
-            const levelingBackups = backupFiles
-                .filter(file => file.startsWith('levelingData_') && file.endsWith('.json'))
-                .map(file => ({
-                    name: file,
-                    path: path.join(this.backupDir, file),
-                    stat: null
-                }));
-            
-            // Get file stats for sorting by creation time
-            for (const backup of levelingBackups) {
-                try {
-                    backup.stat = await fs.stat(backup.path);
-                } catch (error) {
-                    console.warn(`Could not stat backup file: ${backup.name}`);
-                }
-            }
-            
-            // Filter out files we couldn't stat and sort by creation time
-            const validBackups = levelingBackups
-                .filter(backup => backup.stat)
-                .sort((a, b) => b.stat.birthtime - a.stat.birthtime);
-            
-            // Delete old backups beyond the limit
-            if (validBackups.length > this.maxBackups) {
-                const backupsToDelete = validBackups.slice(this.maxBackups);
-                
-                for (const backup of backupsToDelete) {
-                    try {
-                        await fs.unlink(backup.path);
-                        console.log(`✓ Deleted old backup: ${backup.name}`);
-                    } catch (error) {
-                        console.warn(`Could not delete backup file: ${backup.name}`);
+                    
+                    // Initialize when page loads
+                    if (document.readyState === 'loading') {
+                        document.addEventListener('DOMContentLoaded', initializeLevelingPlugin);
+                    } else {
+                        initializeLevelingPlugin();
                     }
-                }
-            }
-        } catch (error) {
-            console.error('Error cleaning up old backups:', error);
-        }
+                    
+                    console.log('✅ Enhanced Leveling Plugin loaded successfully');
+                    
+                })();
+            `
+        };
     }
-
-    // ============================================================================
-    // UTILITY METHODS
-    // ============================================================================
-
-    async getGuildStats(guildId) {
-		try {
-			const data = await this.loadData();
-			let totalUsers = 0;
-			let totalXP = 0;
-			let totalLevels = 0;
-			let activeToday = 0;
-			
-			const oneDayAgo = Date.now() - (24 * 60 * 60 * 1000);
-			
-			for (const [userId, userData] of Object.entries(data.users)) {
-				if (userData[guildId]) {
-					const guildData = userData[guildId];
-					totalUsers++;
-					totalXP += guildData.xp || 0;
-					totalLevels += guildData.level || 0;
-					
-					if ((guildData.lastMessageTime || 0) > oneDayAgo) {
-						activeToday++;
-					}
-				}
-			}
-			
-			return {
-				totalUsers,
-				totalXP,
-				averageLevel: totalUsers > 0 ? Math.round((totalLevels / totalUsers) * 100) / 100 : 0,
-				activeToday
-			};
-		} catch (error) {
-			console.error('Error getting guild stats:', error);
-			return {
-				totalUsers: 0,
-				totalXP: 0,
-				averageLevel: 0,
-				activeToday: 0
-			};
-		}
-	}
-
-	setupSlashCommands() {
-		// Placeholder for slash command setup
-		// In a full implementation, you'd register /level and /leaderboard commands here
-		console.log('✓ Leveling: Slash commands ready for registration');
-	}
-
-	// ============================================================================
-	// FRONTEND COMPONENT
-	// ============================================================================
-
-	getFrontendComponent() {
-		return {
-			id: 'leveling',
-			name: 'Leveling System',
-			description: 'Configure XP sources, view leaderboards, and manage user levels',
-			icon: '📈',
-			version: '2.0.0',
-			containerId: 'levelingPluginContainer',
-			
-			html: `
-				<div class="plugin-container">
-					<div class="plugin-header">
-						<h3><span class="plugin-icon">📈</span> Leveling System v2.0</h3>
-						<p>Configure XP sources, view leaderboards, and manage user levels</p>
-					</div>
-
-					<!-- Server Integration Notice -->
-					<div class="server-sync-notice" style="background: rgba(34, 197, 94, 0.1); border: 1px solid rgba(34, 197, 94, 0.3); border-radius: 8px; padding: 12px; margin-bottom: 20px;">
-						<div style="display: flex; align-items: center; gap: 8px;">
-							<span style="font-size: 18px;">🔗</span>
-							<div>
-								<strong>Dashboard Integration</strong>
-								<div style="font-size: 14px; opacity: 0.8;">Managing server: <span id="currentServerName">Auto-detected</span></div>
-							</div>
-						</div>
-					</div>
-
-					<!-- Discord Commands Info -->
-					<div class="info-section" style="background: rgba(34, 197, 94, 0.1); border-radius: 10px; padding: 20px; margin-bottom: 20px;">
-						<h4>🎯 Discord Slash Commands</h4>
-						<div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(300px, 1fr)); gap: 15px; margin-top: 15px;">
-							<div style="background: rgba(255,255,255,0.05); padding: 12px; border-radius: 8px;">
-								<strong>/level [user]</strong>
-								<div style="opacity: 0.8; margin-top: 4px;">Check your level or someone else's level</div>
-							</div>
-							<div style="background: rgba(255,255,255,0.05); padding: 12px; border-radius: 8px;">
-								<strong>/leaderboard [type]</strong>
-								<div style="opacity: 0.8; margin-top: 4px;">View server leaderboards (overall, voice, reactions)</div>
-							</div>
-						</div>
-					</div>
-
-					<!-- Settings Section -->
-					<div class="settings-section">
-						<h3>Settings</h3>
-						<form id="levelingSettingsForm">
-							<div class="form-group">
-								<label>
-									<input type="checkbox" id="levelingEnabled"> Enable Leveling System
-								</label>
-							</div>
-
-							<div class="form-group">
-								<label>XP Sources</label>
-								<div style="display: flex; flex-direction: column; gap: 12px; margin-top: 12px; background: rgba(255,255,255,0.05); border-radius: 8px; padding: 15px;">
-									<label style="display: flex; align-items: flex-start; gap: 12px; cursor: pointer;">
-										<input type="checkbox" id="xpSourceMessages" style="margin-top: 3px; transform: scale(1.1);">
-										<div>
-											<div style="font-weight: 500; margin-bottom: 2px;">Messages</div>
-											<div style="opacity: 0.7; font-size: 0.9em;">15-25 XP per message, 1 min cooldown</div>
-										</div>
-									</label>
-									<label style="display: flex; align-items: flex-start; gap: 12px; cursor: pointer;">
-										<input type="checkbox" id="xpSourceVoice" style="margin-top: 3px; transform: scale(1.1);">
-										<div>
-											<div style="font-weight: 500; margin-bottom: 2px;">Voice Activity</div>
-											<div style="opacity: 0.7; font-size: 0.9em;">10 XP per minute in voice channels</div>
-										</div>
-									</label>
-									<label style="display: flex; align-items: flex-start; gap: 12px; cursor: pointer;">
-										<input type="checkbox" id="xpSourceReactions" style="margin-top: 3px; transform: scale(1.1);">
-										<div>
-											<div style="font-weight: 500; margin-bottom: 2px;">Reactions</div>
-											<div style="opacity: 0.7; font-size: 0.9em;">5 XP for giving, 3 XP for receiving reactions</div>
-										</div>
-									</label>
-								</div>
-							</div>
-
-							<div class="form-group">
-								<label for="levelUpChannel">Level Up Notifications Channel</label>
-								<select id="levelUpChannel">
-									<option value="">None (disabled)</option>
-								</select>
-								<small style="opacity: 0.7; display: block; margin-top: 4px;">
-									Choose where level up announcements will be posted
-								</small>
-							</div>
-
-							<div class="form-group">
-								<label for="xpMultiplier">XP Multiplier</label>
-								<input type="number" id="xpMultiplier" min="0.1" max="10" step="0.1" value="1.0">
-								<small style="opacity: 0.7; display: block; margin-top: 4px;">
-									Multiply all XP gains by this amount (0.1x to 10x)
-								</small>
-							</div>
-
-							<button type="button" id="saveLevelingSettings" class="btn-primary">
-								<span class="btn-text">Save Settings</span>
-								<span class="btn-loader" style="display: none;">Saving...</span>
-							</button>
-						</form>
-					</div>
-
-					<!-- Stats Section -->
-					<div class="stats-section">
-						<h3>Server Statistics</h3>
-						<div class="stats-grid" style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; margin-top: 15px;">
-							<div class="stat-card" style="background: rgba(255,255,255,0.05); padding: 20px; border-radius: 10px; text-align: center;">
-								<div style="font-size: 2em; margin-bottom: 8px;">👥</div>
-								<div style="font-size: 1.5em; font-weight: bold; margin-bottom: 4px;" id="totalUsers">0</div>
-								<div style="opacity: 0.7;">Total Users</div>
-							</div>
-							<div class="stat-card" style="background: rgba(255,255,255,0.05); padding: 20px; border-radius: 10px; text-align: center;">
-								<div style="font-size: 2em; margin-bottom: 8px;">⭐</div>
-								<div style="font-size: 1.5em; font-weight: bold; margin-bottom: 4px;" id="totalXP">0</div>
-								<div style="opacity: 0.7;">Total XP</div>
-							</div>
-							<div class="stat-card" style="background: rgba(255,255,255,0.05); padding: 20px; border-radius: 10px; text-align: center;">
-								<div style="font-size: 2em; margin-bottom: 8px;">📊</div>
-								<div style="font-size: 1.5em; font-weight: bold; margin-bottom: 4px;" id="averageLevel">0</div>
-								<div style="opacity: 0.7;">Average Level</div>
-							</div>
-							<div class="stat-card" style="background: rgba(255,255,255,0.05); padding: 20px; border-radius: 10px; text-align: center;">
-								<div style="font-size: 2em; margin-bottom: 8px;">🔥</div>
-								<div style="font-size: 1.5em; font-weight: bold; margin-bottom: 4px;" id="activeToday">0</div>
-								<div style="opacity: 0.7;">Active Today</div>
-							</div>
-						</div>
-					</div>
-
-					<!-- Leaderboards Section -->
-					<div class="leaderboards-section">
-						<h3>Leaderboards</h3>
-						<div style="display: flex; gap: 10px; margin-bottom: 15px; flex-wrap: wrap;">
-							<button type="button" id="leaderboardType" data-type="overall" class="leaderboard-btn active" style="padding: 8px 16px; background: rgba(255,255,255,0.2); border: 1px solid rgba(255,255,255,0.3); border-radius: 8px; color: white; cursor: pointer;">
-								Overall XP
-							</button>
-							<button type="button" class="leaderboard-btn" data-type="voice" style="padding: 8px 16px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; color: white; cursor: pointer;">
-								Voice Activity
-							</button>
-							<button type="button" class="leaderboard-btn" data-type="reactions" style="padding: 8px 16px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; color: white; cursor: pointer;">
-								Reactions
-							</button>
-							<button type="button" id="refreshLeaderboard" style="padding: 8px 16px; background: rgba(34, 197, 94, 0.2); border: 1px solid rgba(34, 197, 94, 0.3); border-radius: 8px; color: white; cursor: pointer; margin-left: auto;">
-								🔄 Refresh
-							</button>
-						</div>
-
-						<div id="leaderboardContent" style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 15px; min-height: 200px;">
-							<div id="leaderboardLoading" style="text-align: center; opacity: 0.6; padding: 40px;">
-								Loading leaderboard...
-							</div>
-							<div id="leaderboardList" style="display: none;"></div>
-						</div>
-					</div>
-
-					<!-- XP Management Section -->
-					<div class="xp-management-section">
-						<h3>XP Management</h3>
-						<div style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 20px;">
-							<div class="form-group">
-								<label for="xpUserId">User ID or @mention</label>
-								<input type="text" id="xpUserId" placeholder="Enter user ID or @mention">
-							</div>
-							<div class="form-group">
-								<label for="xpAmount">XP Amount (positive to add, negative to remove)</label>
-								<input type="number" id="xpAmount" placeholder="Enter XP amount">
-							</div>
-							<button type="button" id="addXpBtn" class="btn-primary">
-								<span class="btn-text">Apply XP Change</span>
-								<span class="btn-loader" style="display: none;">Processing...</span>
-							</button>
-						</div>
-					</div>
-
-					<!-- Backup Management Section -->
-					<div class="backup-section">
-						<h3>Backup Management</h3>
-						<div style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 20px;">
-							<div style="display: flex; gap: 10px; margin-bottom: 15px; flex-wrap: wrap;">
-								<button type="button" id="createBackupBtn" class="btn-primary">
-									<span class="btn-text">📦 Create Backup</span>
-									<span class="btn-loader" style="display: none;">Creating...</span>
-								</button>
-								<button type="button" id="refreshBackupsBtn" style="padding: 8px 16px; background: rgba(255,255,255,0.1); border: 1px solid rgba(255,255,255,0.2); border-radius: 8px; color: white; cursor: pointer;">
-									🔄 Refresh List
-								</button>
-								<button type="button" id="syncDataBtn" style="padding: 8px 16px; background: rgba(255, 193, 7, 0.2); border: 1px solid rgba(255, 193, 7, 0.3); border-radius: 8px; color: white; cursor: pointer;">
-									🔧 Sync Data
-								</button>
-							</div>
-							
-							<div id="backupsList" style="max-height: 300px; overflow-y: auto;">
-								<div style="text-align: center; opacity: 0.6; padding: 20px;">
-									Click "Refresh List" to load available backups
-								</div>
-							</div>
-						</div>
-					</div>
-
-					<!-- Result Messages -->
-					<div id="levelingResult" class="result-message" style="display: none;"></div>
-				</div>
-			`,
-			
-			script: `
-				// Enhanced Leveling Plugin Frontend Logic with Dashboard Integration
-				(function() {
-					console.log('📈 Enhanced Leveling Plugin: Initializing...');
-					
-					// State variables
-					let currentServerId = null;
-					let currentSettings = {};
-					let currentLeaderboardType = 'overall';
-					
-					// Get DOM elements
-					const currentServerName = document.getElementById('currentServerName');
-					const levelingSettingsForm = document.getElementById('levelingSettingsForm');
-					const levelingEnabled = document.getElementById('levelingEnabled');
-					const xpSourceMessages = document.getElementById('xpSourceMessages');
-					const xpSourceVoice = document.getElementById('xpSourceVoice');
-					const xpSourceReactions = document.getElementById('xpSourceReactions');
-					const levelUpChannel = document.getElementById('levelUpChannel');
-					const xpMultiplier = document.getElementById('xpMultiplier');
-					const saveLevelingSettings = document.getElementById('saveLevelingSettings');
-					
-					// Stats elements
-					const totalUsers = document.getElementById('totalUsers');
-					const totalXP = document.getElementById('totalXP');
-					const averageLevel = document.getElementById('averageLevel');
-					const activeToday = document.getElementById('activeToday');
-					
-					// Leaderboard elements
-					const leaderboardType = document.getElementById('leaderboardType');
-					const refreshLeaderboard = document.getElementById('refreshLeaderboard');
-					const leaderboardContent = document.getElementById('leaderboardContent');
-					const leaderboardLoading = document.getElementById('leaderboardLoading');
-					const leaderboardList = document.getElementById('leaderboardList');
-					
-					// XP Management elements
-					const xpUserId = document.getElementById('xpUserId');
-					const xpAmount = document.getElementById('xpAmount');
-					const addXpBtn = document.getElementById('addXpBtn');
-					
-					// Backup elements
-					const createBackupBtn = document.getElementById('createBackupBtn');
-					const refreshBackupsBtn = document.getElementById('refreshBackupsBtn');
-					const syncDataBtn = document.getElementById('syncDataBtn');
-					const backupsList = document.getElementById('backupsList');
-					
-					// Result element
-					const levelingResult = document.getElementById('levelingResult');
-					
-					// Initialize plugin
-					function initializeLevelingPlugin() {
-						console.log('🔄 Initializing Enhanced Leveling Plugin...');
-						
-						// Set up server detection
-						if (window.dashboardAPI && window.dashboardAPI.getCurrentServer) {
-							currentServerId = window.dashboardAPI.getCurrentServer();
-							if (currentServerId && currentServerName) {
-								loadServerName();
-							}
-						} else {
-							// Fallback to global server selection
-							const serverDropdown = document.getElementById('serverDropdown');
-							if (serverDropdown && serverDropdown.value) {
-								currentServerId = serverDropdown.value;
-								if (currentServerName) {
-									currentServerName.textContent = serverDropdown.options[serverDropdown.selectedIndex].text;
-								}
-							}
-						}
-						
-						setupEventListeners();
-						
-						if (currentServerId) {
-							loadSettings();
-							loadStats();
-							loadChannels();
-							loadLeaderboard();
-						}
-					}
-					
-					function setupEventListeners() {
-						// Settings form
-						if (saveLevelingSettings) {
-							saveLevelingSettings.addEventListener('click', saveSettings);
-						}
-						
-						// Leaderboard buttons
-						const leaderboardBtns = document.querySelectorAll('.leaderboard-btn');
-						leaderboardBtns.forEach(btn => {
-							btn.addEventListener('click', function() {
-								// Update active state
-								leaderboardBtns.forEach(b => {
-									b.style.background = 'rgba(255,255,255,0.1)';
-									b.style.borderColor = 'rgba(255,255,255,0.2)';
-									b.classList.remove('active');
-								});
-								this.style.background = 'rgba(255,255,255,0.2)';
-								this.style.borderColor = 'rgba(255,255,255,0.3)';
-								this.classList.add('active');
-								
-								currentLeaderboardType = this.dataset.type;
-								loadLeaderboard();
-							});
-						});
-						
-						// Refresh leaderboard
-						if (refreshLeaderboard) {
-							refreshLeaderboard.addEventListener('click', loadLeaderboard);
-						}
-						
-						// XP management
-						if (addXpBtn) {
-							addXpBtn.addEventListener('click', manageXP);
-						}
-						
-						// Backup management
-						if (createBackupBtn) {
-							createBackupBtn.addEventListener('click', createBackup);
-						}
-						if (refreshBackupsBtn) {
-							refreshBackupsBtn.addEventListener('click', loadBackups);
-						}
-						if (syncDataBtn) {
-							syncDataBtn.addEventListener('click', syncUserData);
-						}
-						
-						// Listen for server changes
-						document.addEventListener('serverChanged', function(event) {
-							currentServerId = event.detail.serverId;
-							loadServerName();
-							loadSettings();
-							loadStats();
-							loadChannels();
-							loadLeaderboard();
-						});
-					}
-					
-					async function loadServerName() {
-						if (!currentServerId || !currentServerName) return;
-						
-						try {
-							const response = await fetch('/api/servers');
-							const servers = await response.json();
-							const server = servers.find(s => s.id === currentServerId);
-							if (server && currentServerName) {
-								currentServerName.textContent = server.name;
-							}
-						} catch (error) {
-							console.error('Error loading server name:', error);
-						}
-					}
-					
-					async function loadSettings() {
-						if (!currentServerId) return;
-						
-						try {
-							const response = await fetch(\`/api/plugins/leveling/settings/\${currentServerId}\`);
-							if (!response.ok) throw new Error('Failed to load settings');
-							
-							currentSettings = await response.json();
-							populateSettingsForm();
-						} catch (error) {
-							console.error('Error loading settings:', error);
-							showResult('Error loading settings: ' + error.message, 'error');
-						}
-					}
-					
-					function populateSettingsForm() {
-						if (levelingEnabled) levelingEnabled.checked = currentSettings.enabled !== false;
-						if (xpSourceMessages) xpSourceMessages.checked = currentSettings.xpSources?.messages !== false;
-						if (xpSourceVoice) xpSourceVoice.checked = currentSettings.xpSources?.voice !== false;
-						if (xpSourceReactions) xpSourceReactions.checked = currentSettings.xpSources?.reactions !== false;
-						if (levelUpChannel) levelUpChannel.value = currentSettings.levelUpChannel || '';
-						if (xpMultiplier) xpMultiplier.value = currentSettings.xpMultiplier || 1.0;
-					}
-					
-					async function saveSettings() {
-						if (!currentServerId) {
-							showResult('Please select a server first', 'error');
-							return;
-						}
-						
-						const btnText = saveLevelingSettings.querySelector('.btn-text');
-						const btnLoader = saveLevelingSettings.querySelector('.btn-loader');
-						
-						try {
-							// Show loading state
-							if (btnText) btnText.style.display = 'none';
-							if (btnLoader) btnLoader.style.display = 'inline';
-							saveLevelingSettings.disabled = true;
-							
-							const settingsData = {
-								enabled: levelingEnabled?.checked || false,
-								xpSources: {
-									messages: xpSourceMessages?.checked || false,
-									voice: xpSourceVoice?.checked || false,
-									reactions: xpSourceReactions?.checked || false
-								},
-								levelUpChannel: levelUpChannel?.value || null,
-								xpMultiplier: parseFloat(xpMultiplier?.value) || 1.0
-							};
-							
-							const response = await fetch(\`/api/plugins/leveling/settings/\${currentServerId}\`, {
-								method: 'POST',
-								headers: { 'Content-Type': 'application/json' },
-								body: JSON.stringify(settingsData)
-							});
-							
-							if (!response.ok) {
-								const error = await response.json();
-								throw new Error(error.error || 'Failed to save settings');
-							}
-							
-							showResult('Settings saved successfully!', 'success');
-							
-							if (window.dashboardAPI && window.dashboardAPI.showNotification) {
-								window.dashboardAPI.showNotification('Leveling settings saved', 'success');
-							}
-							
-						} catch (error) {
-							console.error('Error saving settings:', error);
-							showResult('Error: ' + error.message, 'error');
-							
-							if (window.dashboardAPI && window.dashboardAPI.showNotification) {
-								window.dashboardAPI.showNotification(error.message, 'error');
-							}
-						} finally {
-							// Reset button state
-							if (btnText) btnText.style.display = 'inline';
-							if (btnLoader) btnLoader.style.display = 'none';
-							saveLevelingSettings.disabled = false;
-						}
-					}
-					
-					async function loadStats() {
-						if (!currentServerId) return;
-						
-						try {
-							const response = await fetch(\`/api/plugins/leveling/stats/\${currentServerId}\`);
-							if (!response.ok) throw new Error('Failed to load stats');
-							
-							const stats = await response.json();
-							
-							if (totalUsers) totalUsers.textContent = stats.totalUsers.toLocaleString();
-							if (totalXP) totalXP.textContent = stats.totalXP.toLocaleString();
-							if (averageLevel) averageLevel.textContent = stats.averageLevel;
-							if (activeToday) activeToday.textContent = stats.activeToday.toLocaleString();
-							
-						} catch (error) {
-							console.error('Error loading stats:', error);
-						}
-					}
-					
-					async function loadChannels() {
-						if (!currentServerId || !levelUpChannel) return;
-						
-						try {
-							const response = await fetch(\`/api/channels/\${currentServerId}\`);
-							if (!response.ok) throw new Error('Failed to load channels');
-							
-							const channels = await response.json();
-							
-							// Clear existing options except the first one
-							levelUpChannel.innerHTML = '<option value="">None (disabled)</option>';
-							
-							// Add text channels
-							channels
-								.filter(ch => ch.type === 0) // Text channels
-								.forEach(channel => {
-									const option = document.createElement('option');
-									option.value = channel.id;
-									option.textContent = \`#\${channel.name}\`;
-									levelUpChannel.appendChild(option);
-								});
-							
-							// Set current value if we have settings loaded
-							if (currentSettings.levelUpChannel) {
-								levelUpChannel.value = currentSettings.levelUpChannel;
-							}
-							
-						} catch (error) {
-							console.error('Error loading channels:', error);
-						}
-					}
-					
-					async function loadLeaderboard() {
-						if (!currentServerId || !leaderboardContent) return;
-						
-						try {
-							if (leaderboardLoading) leaderboardLoading.style.display = 'block';
-							if (leaderboardList) leaderboardList.style.display = 'none';
-							
-							const response = await fetch(\`/api/plugins/leveling/leaderboard/\${currentServerId}?type=\${currentLeaderboardType}&limit=20\`);
-							if (!response.ok) throw new Error('Failed to load leaderboard');
-							
-							const leaderboard = await response.json();
-							
-							if (leaderboardList) {
-								if (leaderboard.length === 0) {
-									leaderboardList.innerHTML = '<div style="text-align: center; opacity: 0.6; padding: 40px;">No users found</div>';
-								} else {
-									leaderboardList.innerHTML = leaderboard.map((user, index) => {
-										const position = index + 1;
-										const medal = position === 1 ? '🥇' : position === 2 ? '🥈' : position === 3 ? '🥉' : \`#\${position}\`;
-										
-										let scoreText = '';
-										switch (currentLeaderboardType) {
-											case 'overall':
-												scoreText = \`Level \${user.level} (\${user.xp.toLocaleString()} XP)\`;
-												break;
-											case 'voice':
-												scoreText = \`\${Math.round(user.score / 60000)} minutes\`;
-												break;
-											case 'reactions':
-												scoreText = \`\${user.score} reactions\`;
-												break;
-										}
-										
-										return \`
-											<div style="display: flex; align-items: center; gap: 12px; padding: 12px; background: rgba(255,255,255,0.05); border-radius: 8px; margin-bottom: 8px;">
-												<div style="font-size: 1.2em; width: 40px; text-align: center;">\${medal}</div>
-												<div style="flex: 1;">
-													<div style="font-weight: 500;">User \${user.userId}</div>
-													<div style="opacity: 0.7; font-size: 0.9em;">\${scoreText}</div>
-												</div>
-											</div>
-										\`;
-									}).join('');
-								}
-								
-								leaderboardList.style.display = 'block';
-							}
-							
-							if (leaderboardLoading) leaderboardLoading.style.display = 'none';
-							
-						} catch (error) {
-							console.error('Error loading leaderboard:', error);
-							if (leaderboardList) {
-								leaderboardList.innerHTML = '<div style="text-align: center; opacity: 0.6; padding: 40px;">Error loading leaderboard</div>';
-								leaderboardList.style.display = 'block';
-							}
-							if (leaderboardLoading) leaderboardLoading.style.display = 'none';
-						}
-					}
-					
-					async function manageXP() {
-						if (!currentServerId) {
-							showResult('Please select a server first', 'error');
-							return;
-						}
-						
-						const userId = xpUserId?.value?.replace(/[<@!>]/g, '').trim();
-						const amount = parseInt(xpAmount?.value);
-						
-						if (!userId) {
-							showResult('Please enter a valid user ID', 'error');
-							return;
-						}
-						
-						if (isNaN(amount) || amount === 0) {
-							showResult('Please enter a valid XP amount', 'error');
-							return;
-                   }
-                   
-                   const btnText = addXpBtn?.querySelector('.btn-text');
-                   const btnLoader = addXpBtn?.querySelector('.btn-loader');
-                   
-                   try {
-                       // Show loading state
-                       if (btnText) btnText.style.display = 'none';
-                       if (btnLoader) btnLoader.style.display = 'inline';
-                       if (addXpBtn) addXpBtn.disabled = true;
-                       
-                       const response = await fetch('/api/plugins/leveling/manage-xp', {
-                           method: 'POST',
-                           headers: { 'Content-Type': 'application/json' },
-                           body: JSON.stringify({
-                               userId,
-                               guildId: currentServerId,
-                               amount
-                           })
-                       });
-                       
-                       if (!response.ok) {
-                           const error = await response.json();
-                           throw new Error(error.error || 'Failed to manage XP');
-                       }
-                       
-                       const result = await response.json();
-                       
-                       showResult(\`Successfully \${amount > 0 ? 'added' : 'removed'} \${Math.abs(amount)} XP. User is now level \${result.level} with \${result.xp} XP.\`, 'success');
-                       
-                       // Clear form
-                       if (xpUserId) xpUserId.value = '';
-                       if (xpAmount) xpAmount.value = '';
-                       
-                       // Refresh stats and leaderboard
-                       loadStats();
-                       loadLeaderboard();
-                       
-                       if (window.dashboardAPI && window.dashboardAPI.showNotification) {
-                           window.dashboardAPI.showNotification('XP updated successfully', 'success');
-                       }
-                       
-                   } catch (error) {
-                       console.error('Error managing XP:', error);
-                       showResult('Error: ' + error.message, 'error');
-                       
-                       if (window.dashboardAPI && window.dashboardAPI.showNotification) {
-                           window.dashboardAPI.showNotification(error.message, 'error');
-                       }
-                   } finally {
-                       // Reset button state
-                       if (btnText) btnText.style.display = 'inline';
-                       if (btnLoader) btnLoader.style.display = 'none';
-                       if (addXpBtn) addXpBtn.disabled = false;
-                   }
-               }
-               
-               async function createBackup() {
-                   const btnText = createBackupBtn?.querySelector('.btn-text');
-                   const btnLoader = createBackupBtn?.querySelector('.btn-loader');
-                   
-                   try {
-                       // Show loading state
-                       if (btnText) btnText.style.display = 'none';
-                       if (btnLoader) btnLoader.style.display = 'inline';
-                       if (createBackupBtn) createBackupBtn.disabled = true;
-                       
-                       const response = await fetch('/api/plugins/leveling/backup/create', {
-                           method: 'POST',
-                           headers: { 'Content-Type': 'application/json' },
-                           body: JSON.stringify({
-                               reason: 'Manual backup from dashboard'
-                           })
-                       });
-                       
-                       if (!response.ok) {
-                           const error = await response.json();
-                           throw new Error(error.error || 'Failed to create backup');
-                       }
-                       
-                       const result = await response.json();
-                       
-                       showResult('Backup created successfully: ' + result.backupPath, 'success');
-                       
-                       // Refresh backup list
-                       loadBackups();
-                       
-                       if (window.dashboardAPI && window.dashboardAPI.showNotification) {
-                           window.dashboardAPI.showNotification('Backup created successfully', 'success');
-                       }
-                       
-                   } catch (error) {
-                       console.error('Error creating backup:', error);
-                       showResult('Error: ' + error.message, 'error');
-                       
-                       if (window.dashboardAPI && window.dashboardAPI.showNotification) {
-                           window.dashboardAPI.showNotification(error.message, 'error');
-                       }
-                   } finally {
-                       // Reset button state
-                       if (btnText) btnText.style.display = 'inline';
-                       if (btnLoader) btnLoader.style.display = 'none';
-                       if (createBackupBtn) createBackupBtn.disabled = false;
-                   }
-               }
-               
-               async function loadBackups() {
-                   if (!backupsList) return;
-                   
-                   try {
-                       backupsList.innerHTML = '<div style="text-align: center; opacity: 0.6; padding: 20px;">Loading backups...</div>';
-                       
-                       const response = await fetch('/api/plugins/leveling/backup/list');
-                       if (!response.ok) throw new Error('Failed to load backups');
-                       
-                       const backups = await response.json();
-                       
-                       if (backups.length === 0) {
-                           backupsList.innerHTML = '<div style="text-align: center; opacity: 0.6; padding: 20px;">No backups found</div>';
-                           return;
-                       }
-                       
-                       backupsList.innerHTML = backups.map(backup => {
-                           const date = new Date(backup.created).toLocaleString();
-                           const size = (backup.size / 1024).toFixed(1) + ' KB';
-                           const type = backup.metadata?.type || 'unknown';
-                           const reason = backup.metadata?.reason || 'No reason provided';
-                           
-                           return \`
-                               <div style="background: rgba(255,255,255,0.05); border-radius: 8px; padding: 15px; margin-bottom: 10px;">
-                                   <div style="display: flex; justify-content: space-between; align-items: flex-start; margin-bottom: 8px;">
-                                       <div>
-                                           <div style="font-weight: 500;">\${backup.filename}</div>
-                                           <div style="opacity: 0.7; font-size: 0.9em;">\${date} • \${size} • \${type}</div>
-                                           <div style="opacity: 0.6; font-size: 0.8em; margin-top: 4px;">\${reason}</div>
-                                       </div>
-                                       <button onclick="restoreBackup('\${backup.filename}')" style="padding: 6px 12px; background: rgba(34, 197, 94, 0.2); border: 1px solid rgba(34, 197, 94, 0.3); border-radius: 6px; color: white; cursor: pointer; font-size: 0.9em;">
-                                           Restore
-                                       </button>
-                                   </div>
-                               </div>
-                           \`;
-                       }).join('');
-                       
-                   } catch (error) {
-                       console.error('Error loading backups:', error);
-                       backupsList.innerHTML = '<div style="text-align: center; opacity: 0.6; padding: 20px; color: #ff6b6b;">Error loading backups</div>';
-                   }
-               }
-               
-               // Make restoreBackup function global so it can be called from onclick
-               window.restoreBackup = async function(filename) {
-                   if (!currentServerId) {
-                       showResult('Please select a server first', 'error');
-                       return;
-                   }
-                   
-                   if (!confirm(\`Are you sure you want to restore from backup "\${filename}"? This will overwrite current data.\`)) {
-                       return;
-                   }
-                   
-                   try {
-                       const response = await fetch('/api/plugins/leveling/backup/restore', {
-                           method: 'POST',
-                           headers: { 'Content-Type': 'application/json' },
-                           body: JSON.stringify({
-                               filename,
-                               guildId: currentServerId
-                           })
-                       });
-                       
-                       if (!response.ok) {
-                           const error = await response.json();
-                           throw new Error(error.error || 'Failed to restore backup');
-                       }
-                       
-                       const result = await response.json();
-                       
-                       showResult('Backup restored successfully. Data has been restored exactly as backed up.', 'success');
-                       
-                       // Refresh all data
-                       loadStats();
-                       loadLeaderboard();
-                       
-                       if (window.dashboardAPI && window.dashboardAPI.showNotification) {
-                           window.dashboardAPI.showNotification('Backup restored successfully', 'success');
-                       }
-                       
-                   } catch (error) {
-                       console.error('Error restoring backup:', error);
-                       showResult('Error: ' + error.message, 'error');
-                       
-                       if (window.dashboardAPI && window.dashboardAPI.showNotification) {
-                           window.dashboardAPI.showNotification(error.message, 'error');
-                       }
-                   }
-               };
-               
-               async function syncUserData() {
-                   const btnText = syncDataBtn?.querySelector('.btn-text');
-                   const btnLoader = syncDataBtn?.querySelector('.btn-loader');
-                   
-                   try {
-                       // Show loading state
-                       if (btnText) btnText.style.display = 'none';
-                       if (btnLoader) btnLoader.style.display = 'inline';
-                       if (syncDataBtn) syncDataBtn.disabled = true;
-                       
-                       const response = await fetch('/api/plugins/leveling/sync-data', {
-                           method: 'POST',
-                           headers: { 'Content-Type': 'application/json' }
-                       });
-                       
-                       if (!response.ok) {
-                           const error = await response.json();
-                           throw new Error(error.error || 'Failed to sync data');
-                       }
-                       
-                       const result = await response.json();
-                       
-                       showResult(\`Data sync completed. \${result.changesMade ? 'Fixed inconsistencies in user data.' : 'No issues found.'}\`, 'success');
-                       
-                       // Refresh stats and leaderboard
-                       loadStats();
-                       loadLeaderboard();
-                       
-                       if (window.dashboardAPI && window.dashboardAPI.showNotification) {
-                           window.dashboardAPI.showNotification('Data sync completed', 'success');
-                       }
-                       
-                   } catch (error) {
-                       console.error('Error syncing data:', error);
-                       showResult('Error: ' + error.message, 'error');
-                       
-                       if (window.dashboardAPI && window.dashboardAPI.showNotification) {
-                           window.dashboardAPI.showNotification(error.message, 'error');
-                       }
-                   } finally {
-                       // Reset button state
-                       if (btnText) btnText.style.display = 'inline';
-                       if (btnLoader) btnLoader.style.display = 'none';
-                       if (syncDataBtn) syncDataBtn.disabled = false;
-                   }
-               }
-               
-               // Show result message
-               function showResult(message, type) {
-                   if (!levelingResult) return;
-                   
-                   levelingResult.textContent = message;
-                   levelingResult.className = \`result-message \${type}\`;
-                   levelingResult.style.display = 'block';
-                   
-                   // Auto-hide after 5 seconds
-                   setTimeout(() => {
-                       levelingResult.style.display = 'none';
-                   }, 5000);
-               }
-               
-               // Initialize when page loads
-               if (document.readyState === 'loading') {
-                   document.addEventListener('DOMContentLoaded', initializeLevelingPlugin);
-               } else {
-                   initializeLevelingPlugin();
-               }
-               
-               console.log('✅ Enhanced Leveling Plugin loaded successfully');
-               
-           })();
-       `
-   };
-}
 }
 
 module.exports = LevelingPlugin;
\ No newline at end of file
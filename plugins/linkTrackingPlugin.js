@@ -1,9 +1,7 @@
-const fs = require('fs');
-const path = require('path');
 const crypto = require('crypto');
 
 class LinkTrackingPlugin {
-    constructor(app, client, ensureAuthenticated, hasAdminPermissions) {
+    constructor(app, client, ensureAuthenticated, requirePermission, context = {}) {
         this.name = 'Link Tracking';
         this.description = 'Generate trackable links and monitor detailed click analytics';
         this.version = '2.1.0';
@@ -12,74 +10,62 @@ class LinkTrackingPlugin {
         this.app = app;
         this.client = client;
         this.ensureAuthenticated = ensureAuthenticated;
-        this.hasAdminPermissions = hasAdminPermissions;
+        this.requirePermission = requirePermission;
         
-        // Storage paths
-        this.dataDir = './data';
-        this.linksFile = './data/trackingLinks.json';
-        this.analyticsFile = './data/linkAnalytics.json';
-        
-        // Ensure data directory exists
-        this.ensureDataDirectory();
+        // Storage collections
+        this.storage = context.storage;
+        this.linkStore = this.storage.collection('linktracking.links');
+        this.analyticsStore = this.storage.collection('linktracking.analytics');
         
         // In-memory storage for fast lookups
-        this.trackingLinks = this.loadTrackingLinks();
-        this.analytics = this.loadAnalytics();
+        this.trackingLinks = {};
+        this.analytics = {};
+        
+        this.initialize();
+    }
+
+    async initialize() {
+        this.trackingLinks = await this.loadTrackingLinks();
+        this.analytics = await this.loadAnalytics();
         
         this.setupRoutes();
         
         console.log('✅ Link Tracking Plugin v2.1 loaded and fixed for dashboard');
     }
 
-    ensureDataDirectory() {
-        try {
-            if (!fs.existsSync(this.dataDir)) {
-                fs.mkdirSync(this.dataDir, { recursive: true });
-            }
-        } catch (error) {
-            console.error('Error creating data directory:', error);
-        }
-    }
-
     // ============================================================================
     // DATA MANAGEMENT
     // ============================================================================
 
-    loadTrackingLinks() {
+    async loadTrackingLinks() {
         try {
-            if (fs.existsSync(this.linksFile)) {
-                return JSON.parse(fs.readFileSync(this.linksFile, 'utf8'));
-            }
+            return await this.linkStore.all();
         } catch (error) {
             console.error('Error loading tracking links:', error);
         }
         return {};
     }
 
-    loadAnalytics() {
+    async loadAnalytics() {
         try {
-            if (fs.existsSync(this.analyticsFile)) {
-                return JSON.parse(fs.readFileSync(this.analyticsFile, 'utf8'));
-            }
+            return await this.analyticsStore.all();
         } catch (error) {
             console.error('Error loading analytics:', error);
         }
         return {};
     }
 
-    saveTrackingLinks() {
+    async saveTrackingLinks() {
         try {
-            this.ensureDataDirectory();
-            fs.writeFileSync(this.linksFile, JSON.stringify(this.trackingLinks, null, 2));
+            await this.linkStore.replace(this.trackingLinks);
         } catch (error) {
             console.error('Error saving tracking links:', error);
         }
     }
 
-    saveAnalytics() {
+    async saveAnalytics() {
         try {
-            this.ensureDataDirectory();
-            fs.writeFileSync(this.analyticsFile, JSON.stringify(this.analytics, null, 2));
+            await this.analyticsStore.replace(this.analytics);
         } catch (error) {
             console.error('Error saving analytics:', error);
         }
@@ -127,6 +113,16 @@ class LinkTrackingPlugin {
         return analytics.filter(a => new Date(a.timestamp).toDateString() === today).length;
     }
 
+    // A server's links, plus links made before links belonged to a server,
+    // which only their creator sees
+    isGuildLink(link, guildId, userId) {
+        return link.guildId ? link.guildId === guildId : link.createdBy === userId;
+    }
+
+    getGuildLinks(guildId, userId) {
+        return Object.entries(this.trackingLinks).filter(([_, link]) => this.isGuildLink(link, guildId, userId));
+    }
+
     getLastClick(shortCode) {
         const analytics = this.analytics[shortCode] || [];
         if (analytics.length === 0) return null;
@@ -138,12 +134,10 @@ class LinkTrackingPlugin {
     // ============================================================================
 
     setupRoutes() {
-        // Get all tracking links for a user
-        this.app.get('/api/plugins/linktracking/links', this.ensureAuthenticated, (req, res) => {
+        // Get all tracking links for a server
+        this.app.get('/api/plugins/linktracking/links/:serverId', this.ensureAuthenticated, this.requirePermission('view'), (req, res) => {
             try {
-                const userId = req.user.id;
-                const userLinks = Object.entries(this.trackingLinks)
-                    .filter(([_, link]) => link.createdBy === userId)
+                const userLinks = this.getGuildLinks(req.params.serverId, req.user.id)
                     .map(([shortCode, link]) => ({
                         shortCode,
                         ...link,
@@ -161,8 +155,9 @@ class LinkTrackingPlugin {
         });
 
         // Create a new tracking link
-        this.app.post('/api/plugins/linktracking/create', this.ensureAuthenticated, (req, res) => {
+        this.app.post('/api/plugins/linktracking/create/:serverId', this.ensureAuthenticated, this.requirePermission('manage'), (req, res) => {
             try {
+                const { serverId } = req.params;
                 const { originalUrl, customName, description } = req.body;
                 const userId = req.user.id;
 
@@ -183,8 +178,8 @@ class LinkTrackingPlugin {
                 }
 
                 // Check for duplicate custom names
-                const existingLink = Object.entries(this.trackingLinks)
-                    .find(([_, link]) => link.customName === trimmedName && link.createdBy === userId);
+                const existingLink = this.getGuildLinks(serverId, userId)
+                    .find(([_, link]) => link.customName === trimmedName);
 
                 if (existingLink) {
                     return res.status(400).json({ error: 'Custom name already exists' });
@@ -199,6 +194,7 @@ class LinkTrackingPlugin {
                     originalUrl: trimmedUrl,
                     customName: trimmedName,
                     description: description ? description.trim() : '',
+                    guildId: serverId,
                     createdBy: userId,
                     createdAt: new Date().toISOString(),
                     updatedAt: new Date().toISOString(),
@@ -224,20 +220,15 @@ class LinkTrackingPlugin {
         });
 
         // Delete tracking link
-        this.app.delete('/api/plugins/linktracking/delete/:shortCode', this.ensureAuthenticated, (req, res) => {
+        this.app.delete('/api/plugins/linktracking/delete/:serverId/:shortCode', this.ensureAuthenticated, this.requirePermission('manage'), (req, res) => {
             try {
-                const { shortCode } = req.params;
-                const userId = req.user.id;
+                const { serverId, shortCode } = req.params;
 
                 const link = this.trackingLinks[shortCode];
-                if (!link) {
+                if (!link || !this.isGuildLink(link, serverId, req.user.id)) {
                     return res.status(404).json({ error: 'Link not found' });
                 }
 
-                if (link.createdBy !== userId) {
-                    return res.status(403).json({ error: 'Not authorized to delete this link' });
-                }
-
                 delete this.trackingLinks[shortCode];
                 delete this.analytics[shortCode];
 
@@ -255,20 +246,15 @@ class LinkTrackingPlugin {
         });
 
         // Get analytics for a specific link
-        this.app.get('/api/plugins/linktracking/analytics/:shortCode', this.ensureAuthenticated, (req, res) => {
+        this.app.get('/api/plugins/linktracking/analytics/:serverId/:shortCode', this.ensureAuthenticated, this.requirePermission('view'), (req, res) => {
             try {
-                const { shortCode } = req.params;
-                const userId = req.user.id;
+                const { serverId, shortCode } = req.params;
 
                 const link = this.trackingLinks[shortCode];
-                if (!link) {
+                if (!link || !this.isGuildLink(link, serverId, req.user.id)) {
                     return res.status(404).json({ error: 'Link not found' });
                 }
 
-                if (link.createdBy !== userId) {
-                    return res.status(403).json({ error: 'Not authorized to view analytics for this link' });
-                }
-
                 const analytics = this.analytics[shortCode] || [];
                 
                 const analyticsData = {
@@ -297,11 +283,9 @@ class LinkTrackingPlugin {
         });
 
         // Get overview stats
-        this.app.get('/api/plugins/linktracking/overview', this.ensureAuthenticated, (req, res) => {
+        this.app.get('/api/plugins/linktracking/overview/:serverId', this.ensureAuthenticated, this.requirePermission('view'), (req, res) => {
             try {
-                const userId = req.user.id;
-                const userLinks = Object.entries(this.trackingLinks)
-                    .filter(([_, link]) => link.createdBy === userId);
+                const userLinks = this.getGuildLinks(req.params.serverId, req.user.id);
 
                 const overview = {
                     totalLinks: userLinks.length,
@@ -532,8 +516,18 @@ class LinkTrackingPlugin {
                         }
                     }
                     
+                    // Links belong to the server selected in the dashboard
+                    function getServerId() {
+                        return window.dashboardAPI?.currentServer?.() || null;
+                    }
+                    
                     // Load all data
                     async function loadData() {
+                        if (!getServerId()) {
+                            showResult('Select a server to manage its tracking links', 'info');
+                            return;
+                        }
+                        
                         try {
                             await Promise.all([
                                 loadOverview(),
@@ -548,7 +542,7 @@ class LinkTrackingPlugin {
                     // Load overview stats
                     async function loadOverview() {
                         try {
-                            const response = await fetch('/api/plugins/linktracking/overview');
+                            const response = await fetch(\`/api/plugins/linktracking/overview/\${getServerId()}\`);
                             if (!response.ok) throw new Error('Failed to load overview');
                             
                             currentOverview = await response.json();
@@ -571,7 +565,7 @@ class LinkTrackingPlugin {
                         try {
                             showLinksLoading(true);
                             
-                            const response = await fetch('/api/plugins/linktracking/links');
+                            const response = await fetch(\`/api/plugins/linktracking/links/\${getServerId()}\`);
                             if (!response.ok) throw new Error('Failed to load links');
                             
                             currentLinks = await response.json();
@@ -709,7 +703,7 @@ class LinkTrackingPlugin {
                                 throw new Error('Original URL and Custom Name are required');
                             }
                             
-                            const response = await fetch('/api/plugins/linktracking/create', {
+                            const response = await fetch(\`/api/plugins/linktracking/create/\${getServerId()}\`, {
                                 method: 'POST',
                                 headers: { 'Content-Type': 'application/json' },
                                 body: JSON.stringify(formData)
@@ -800,7 +794,7 @@ class LinkTrackingPlugin {
                         try {
                             showResult('Loading analytics...', 'info');
                             
-                            const response = await fetch(\`/api/plugins/linktracking/analytics/\${shortCode}\`);
+                            const response = await fetch(\`/api/plugins/linktracking/analytics/\${getServerId()}/\${shortCode}\`);
                             if (!response.ok) throw new Error('Failed to load analytics');
                             
                             const analytics = await response.json();
@@ -874,7 +868,7 @@ class LinkTrackingPlugin {
                         }
                         
                         try {
-                            const response = await fetch(\`/api/plugins/linktracking/delete/\${shortCode}\`, {
+                            const response = await fetch(\`/api/plugins/linktracking/delete/\${getServerId()}/\${shortCode}\`, {
                                 method: 'DELETE'
                             });
                             
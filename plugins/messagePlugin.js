@@ -3,7 +3,7 @@ const fs = require('fs');
 const path = require('path');
 
 class MessagePlugin {
-    constructor(app, client, ensureAuthenticated, hasAdminPermissions) {
+    constructor(app, client, ensureAuthenticated, requirePermission) {
         this.name = 'Message Sender';
         this.description = 'Send messages to Discord channels with optional attachments, replies, emojis, and stickers';
         this.version = '1.1.0';
@@ -12,7 +12,7 @@ class MessagePlugin {
         this.app = app;
         this.client = client;
         this.ensureAuthenticated = ensureAuthenticated;
-        this.hasAdminPermissions = hasAdminPermissions;
+        this.requirePermission = requirePermission;
         
         this.setupRoutes();
     }
@@ -38,15 +38,10 @@ class MessagePlugin {
         });
 
         // API endpoint for fetching server emojis and stickers
-        this.app.get('/api/plugins/message/emojis/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/message/emojis/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { serverId } = req.params;
                 
-                const hasAdmin = await this.hasAdminPermissions(req.user.id, serverId);
-                if (!hasAdmin) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
-                
                 const guild = this.client.guilds.cache.get(serverId);
                 if (!guild) {
                     return res.status(404).json({ error: 'Server not found' });
@@ -78,12 +73,12 @@ class MessagePlugin {
         });
 
         // API endpoint for fetching a specific message (for replies)
-        this.app.get('/api/plugins/message/fetch/:channelId/:messageId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/message/fetch/:serverId/:channelId/:messageId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
-                const { channelId, messageId } = req.params;
+                const { serverId, channelId, messageId } = req.params;
                 
                 const channel = this.client.channels.cache.get(channelId);
-                if (!channel) {
+                if (!channel || channel.guildId !== serverId) {
                     return res.status(404).json({ error: 'Channel not found' });
                 }
                 
@@ -114,21 +109,19 @@ class MessagePlugin {
             }
         });
 
+        // Both send routes check permissions before accepting uploads, so the
+        // server comes from the query string (?serverId=) rather than the form
+        
         // Enhanced API endpoint for sending messages with full functionality
-        this.app.post('/api/plugins/message/send', this.ensureAuthenticated, upload.array('attachments'), async (req, res) => {
+        this.app.post('/api/plugins/message/send', this.ensureAuthenticated, this.requirePermission('manage'), upload.array('attachments'), async (req, res) => {
             try {
-                const { serverId, channelId, message, replyToMessageId, stickerId } = req.body;
+                const { channelId, message, replyToMessageId, stickerId } = req.body;
                 const files = req.files;
                 
-                // Check admin permissions
-                const hasAdmin = await this.hasAdminPermissions(req.user.id, serverId);
-                if (!hasAdmin) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
-                
                 // Get the channel
                 const channel = this.client.channels.cache.get(channelId);
-                if (!channel) {
+                if (!channel || channel.guildId !== req.guildId) {
+                    this.deleteUploads(files);
                     return res.status(404).json({ error: 'Channel not found' });
                 }
                 
@@ -153,6 +146,7 @@ class MessagePlugin {
                 
                 // Must have either message, attachments, or sticker
                 if (!messageOptions.content && !messageOptions.files && !messageOptions.stickers) {
+                    this.deleteUploads(files);
                     return res.status(400).json({ error: 'Message, attachments, or sticker required' });
                 }
 
@@ -174,13 +168,7 @@ class MessagePlugin {
                 const sentMessage = await channel.send(messageOptions);
                 
                 // Clean up uploaded files
-                if (files) {
-                    files.forEach(file => {
-                        fs.unlink(file.path, (err) => {
-                            if (err) console.error('Error deleting file:', err);
-                        });
-                    });
-                }
+                this.deleteUploads(files);
                 
                 res.json({ 
                     success: true, 
@@ -194,31 +182,21 @@ class MessagePlugin {
                 console.error('Error sending message:', error);
                 
                 // Clean up files on error
-                if (req.files) {
-                    req.files.forEach(file => {
-                        fs.unlink(file.path, (err) => {
-                            if (err) console.error('Error deleting file on error:', err);
-                        });
-                    });
-                }
+                this.deleteUploads(req.files);
                 
                 res.status(500).json({ error: 'Failed to send message' });
             }
         });
 
         // Legacy endpoint for backwards compatibility (using the original route)
-        this.app.post('/api/plugins/message', this.ensureAuthenticated, upload.array('attachments'), async (req, res) => {
+        this.app.post('/api/plugins/message', this.ensureAuthenticated, this.requirePermission('manage'), upload.array('attachments'), async (req, res) => {
             try {
-                const { serverId, channelId, message, replyToMessageId, stickerId } = req.body;
+                const { channelId, message, replyToMessageId, stickerId } = req.body;
                 const files = req.files;
                 
-                const hasAdmin = await this.hasAdminPermissions(req.user.id, serverId);
-                if (!hasAdmin) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
-                
                 const channel = this.client.channels.cache.get(channelId);
-                if (!channel) {
+                if (!channel || channel.guildId !== req.guildId) {
+                    this.deleteUploads(files);
                     return res.status(404).json({ error: 'Channel not found' });
                 }
                 
@@ -253,22 +231,26 @@ class MessagePlugin {
                 
                 await channel.send(messageOptions);
                 
-                if (files) {
-                    files.forEach(file => {
-                        fs.unlink(file.path, (err) => {
-                            if (err) console.error('Error deleting file:', err);
-                        });
-                    });
-                }
+                this.deleteUploads(files);
                 
                 res.json({ success: true, message: 'Message sent successfully' });
             } catch (error) {
                 console.error('Error sending message:', error);
+                this.deleteUploads(req.files);
                 res.status(500).json({ error: 'Failed to send message' });
             }
         });
     }
 
+    deleteUploads(files) {
+        if (!files) return;
+        files.forEach(file => {
+            fs.unlink(file.path, (err) => {
+                if (err) console.error('Error deleting file:', err);
+            });
+        });
+    }
+
     getFrontendComponent() {
         return {
             id: 'message-sender',
@@ -713,7 +695,7 @@ class MessagePlugin {
                         fetchMessageBtn.disabled = true;
                         
                         try {
-                            const response = await fetch(\`/api/plugins/message/fetch/\${channelSelect.value}/\${replyMessageId.value.trim()}\`);
+                            const response = await fetch(\`/api/plugins/message/fetch/\${currentServerId}/\${channelSelect.value}/\${replyMessageId.value.trim()}\`);
                             
                             if (!response.ok) {
                                 throw new Error('Message not found');
@@ -1021,7 +1003,7 @@ class MessagePlugin {
                                 });
                             }
                             
-                            const response = await fetch('/api/plugins/message/send', {
+                            const response = await fetch(\`/api/plugins/message/send?serverId=\${encodeURIComponent(currentServerId)}\`, {
                                 method: 'POST',
                                 body: formData
                             });
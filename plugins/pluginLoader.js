@@ -1,31 +1,83 @@
 const fs = require('fs');
 const path = require('path');
+const semver = require('semver');
+const { EventBus } = require('../lib/eventBus');
+const ServiceRegistry = require('../lib/serviceRegistry');
+const { PluginScope } = require('../lib/pluginScope');
 
+// Plugin lifecycle, every hook optional:
+//   constructor - read config, register routes, listeners and services
+//   init()      - async setup such as loading data
+//   start()     - begin background work (intervals, resumed jobs)
+//   stop()      - end background work and flush pending writes
+//   dispose()   - release anything else before the instance is dropped
+// Client listeners, routes, event subscriptions and services registered
+// through the app, client and context a plugin is given are removed by the
+// loader after dispose(), so a plugin only cleans up what it started itself.
 class PluginLoader {
     constructor() {
-        this.plugins = [];
+        this.entries = new Map(); // pluginId -> { id, file, Plugin, apiVersion, dependencies, plugin, scope, status, error }
         this.pluginDir = path.join(__dirname);
+        
+        // Shared by every plugin for talking to each other
+        this.events = new EventBus();
+        this.services = new ServiceRegistry();
+
+        // guildId -> { pluginId: false } for plugins turned off in that guild
+        this.guildSettings = {};
     }
 
-    loadPlugins(app, client, ensureAuthenticated, hasAdminPermissions) {
+    // context carries shared services for plugins, e.g. { storage, logger, requireBotOwner }.
+    // The event bus and service registry are added as context.events and context.services,
+    // and context.logger is replaced by a child logger tagged with the plugin's id.
+    // requirePermission(scope, action) builds route middleware checking the caller's
+    // dashboard access; each plugin gets it bound to its own id as requirePermission(action).
+    async loadPlugins(app, client, ensureAuthenticated, requirePermission, context = {}) {
+        this.app = app;
+        this.client = client;
+        this.ensureAuthenticated = ensureAuthenticated;
+        this.requirePermission = requirePermission;
+        this.context = context;
+        this.guildSettingsStore = context.storage.collection('plugins.guilds');
+
+        try {
+            this.guildSettings = await this.guildSettingsStore.all();
+        } catch (error) {
+            console.error('Error loading plugin guild settings:', error);
+        }
+
+        // Plugin routes are looked up per request, so a reloaded plugin's routes replace the old ones
+        app.use((req, res, next) => this.routeToPlugins(req, res, next));
+
         try {
             const pluginFiles = fs.readdirSync(this.pluginDir)
                 .filter(file => file.endsWith('.js') && file !== 'pluginLoader.js');
 
+            const candidates = [];
             for (const file of pluginFiles) {
                 try {
-                    const pluginPath = path.join(this.pluginDir, file);
-                    const Plugin = require(pluginPath);
-                    
-                    if (typeof Plugin === 'function') {
-                        const plugin = new Plugin(app, client, ensureAuthenticated, hasAdminPermissions);
-                        this.plugins.push(plugin);
-                        console.log(`✓ Loaded plugin: ${file}`);
-                    } else {
-                        console.warn(`⚠ Plugin ${file} does not export a constructor function`);
-                    }
+                    candidates.push(this.requirePlugin(file));
                 } catch (error) {
                     console.error(`✗ Failed to load plugin ${file}:`, error.message);
+                    this.recordFailure({ id: path.basename(file, '.js'), file }, error.message);
+                }
+            }
+
+            // Dependencies load before the plugins that use them
+            const { ordered, cyclic } = this.orderPlugins(candidates);
+            for (const candidate of cyclic) {
+                const message = `Dependency cycle between ${cyclic.map(other => other.id).join(', ')}`;
+                console.error(`✗ Failed to load plugin ${candidate.file}: ${message}`);
+                this.recordFailure(candidate, message);
+            }
+
+            for (const candidate of ordered) {
+                try {
+                    await this.loadPlugin(candidate);
+                    console.log(`✓ Loaded plugin: ${candidate.file}`);
+                } catch (error) {
+                    console.error(`✗ Failed to load plugin ${candidate.file}:`, error.message);
+                    this.recordFailure(candidate, error.message);
                 }
             }
 
@@ -37,13 +89,297 @@ class PluginLoader {
         }
     }
 
-    getPluginInfo() {
-        return this.plugins.map(plugin => ({
-            name: plugin.name || 'Unknown',
-            description: plugin.description || 'No description',
-            version: plugin.version || '1.0.0',
-            enabled: plugin.enabled !== false
-        }));
+    // Requires a plugin file and reads what it declares about itself:
+    //   static apiVersion           - semver of the services and events it offers other plugins
+    //   static dependencies         - { pluginId: range } it can't run without
+    //   static optionalDependencies - { pluginId: range } it uses when they're loaded
+    requirePlugin(file) {
+        const Plugin = require(path.join(this.pluginDir, file));
+        if (typeof Plugin !== 'function') {
+            throw new Error(`${file} does not export a constructor function`);
+        }
+        return {
+            id: path.basename(file, '.js'),
+            file,
+            Plugin,
+            apiVersion: Plugin.apiVersion || '0.0.0',
+            dependencies: Plugin.dependencies || {},
+            optionalDependencies: Plugin.optionalDependencies || {}
+        };
+    }
+
+    // Kept so the plugin and its load error show up in the dashboard, and so it can be reloaded once fixed
+    recordFailure(candidate, message) {
+        this.entries.set(candidate.id, {
+            apiVersion: null,
+            dependencies: {},
+            optionalDependencies: {},
+            ...candidate,
+            plugin: null,
+            scope: null,
+            status: 'failed',
+            error: message,
+            warnings: []
+        });
+    }
+
+    // Topological order that otherwise keeps directory order. Plugins left over are in a cycle.
+    orderPlugins(candidates) {
+        const remaining = [...candidates];
+        const ordered = [];
+
+        while (remaining.length > 0) {
+            const index = remaining.findIndex(candidate =>
+                Object.keys({ ...candidate.dependencies, ...candidate.optionalDependencies })
+                    .every(depId => !remaining.some(other => other.id === depId))
+            );
+            if (index === -1) break;
+            ordered.push(...remaining.splice(index, 1));
+        }
+
+        return { ordered, cyclic: remaining };
+    }
+
+    // Throws when a hard dependency is missing, failed or has an incompatible API version.
+    // Returns warnings for optional dependencies that are loaded but incompatible.
+    checkDependencies(candidate) {
+        const warnings = [];
+        const check = (depId, range) => {
+            if (!semver.validRange(range)) return `has an invalid version range "${range}" for ${depId}`;
+
+            const dep = this.entries.get(depId);
+            if (!dep) return `requires ${depId}, which is not installed`;
+            if (dep.status !== 'running') return `requires ${depId}, which failed to load`;
+            if (!semver.satisfies(dep.apiVersion, range)) {
+                return `requires ${depId} ${range}, but version ${dep.apiVersion} is loaded`;
+            }
+            return null;
+        };
+
+        for (const [depId, range] of Object.entries(candidate.dependencies)) {
+            const problem = check(depId, range);
+            if (problem) throw new Error(`${candidate.id} ${problem}`);
+        }
+        for (const [depId, range] of Object.entries(candidate.optionalDependencies)) {
+            const problem = check(depId, range);
+            if (problem && this.entries.has(depId)) warnings.push(`Optional dependency: ${candidate.id} ${problem}`);
+        }
+        return warnings;
+    }
+
+    // Constructs a plugin and runs init() and start(). On failure everything it registered is removed again.
+    async loadPlugin(candidate) {
+        const { id, file, Plugin } = candidate;
+        const warnings = this.checkDependencies(candidate);
+        warnings.forEach(warning => console.warn(`⚠ ${warning}`));
+
+        const scope = new PluginScope(id, {
+            app: this.app,
+            client: this.client,
+            events: this.events,
+            services: this.services,
+            logger: this.context.logger,
+            isEnabled: (pluginId, guildId) => this.isEnabledForGuild(pluginId, guildId)
+        });
+
+        let plugin = null;
+        try {
+            // Timers and callbacks started here keep logging as this plugin
+            await scope.inContext({}, async () => {
+                const requirePermission = action => this.requirePermission(id, action);
+                plugin = new Plugin(scope.app, scope.client, this.ensureAuthenticated, requirePermission, {
+                    ...this.context,
+                    events: scope.events,
+                    services: scope.services,
+                    logger: this.context.logger?.child({ plugin: id })
+                });
+                plugin.id = id;
+
+                if (typeof plugin.init === 'function') await plugin.init();
+                if (typeof plugin.start === 'function') await plugin.start();
+            }, { inherit: false });
+        } catch (error) {
+            await this.teardown(plugin, scope);
+            throw error;
+        }
+
+        const entry = { ...candidate, file, plugin, scope, status: 'running', error: null, warnings };
+        this.entries.set(id, entry);
+        return entry;
+    }
+
+    async teardown(plugin, scope) {
+        for (const hook of ['stop', 'dispose']) {
+            if (typeof plugin?.[hook] === 'function') {
+                try {
+                    await plugin[hook]();
+                } catch (error) {
+                    console.error(`Error in ${hook}() of plugin ${plugin.name}:`, error);
+                }
+            }
+        }
+        scope?.dispose();
+    }
+
+    // Plugins that can't run without this one
+    getDependents(pluginId) {
+        return [...this.entries.values()]
+            .filter(entry => entry.dependencies[pluginId])
+            .map(entry => entry.id);
+    }
+
+    // Plugins that failed because this one wasn't running get another try now that it is
+    async loadWaitingDependents(pluginId) {
+        for (const dependentId of this.getDependents(pluginId)) {
+            const dependent = this.entries.get(dependentId);
+            if (dependent.status !== 'failed' || !dependent.Plugin) continue;
+
+            try {
+                await this.loadPlugin(dependent);
+                console.log(`✓ Loaded plugin: ${dependent.file}`);
+                await this.loadWaitingDependents(dependentId);
+            } catch (error) {
+                dependent.error = error.message;
+            }
+        }
+    }
+
+    // Re-reads the plugin's file and swaps in a fresh instance. The running
+    // version is only stopped once the new file has loaded and its API version
+    // still suits the plugins that depend on it; if starting the new version
+    // fails, the previous one is started again.
+    async reloadPlugin(pluginId) {
+        const entry = this.entries.get(pluginId);
+        if (!entry) {
+            throw new Error(`Plugin "${pluginId}" is not loaded`);
+        }
+        if (entry.status === 'reloading') {
+            throw new Error(`Plugin "${pluginId}" is already reloading`);
+        }
+
+        delete require.cache[require.resolve(path.join(this.pluginDir, entry.file))];
+        let candidate;
+        try {
+            candidate = this.requirePlugin(entry.file);
+            this.checkDependencies(candidate);
+            for (const dependentId of this.getDependents(pluginId)) {
+                const dependent = this.entries.get(dependentId);
+                const range = dependent.dependencies[pluginId];
+                if (dependent.status === 'running' && !semver.satisfies(candidate.apiVersion, range)) {
+                    throw new Error(`${dependentId} requires ${pluginId} ${range}, but the new version is ${candidate.apiVersion}`);
+                }
+            }
+        } catch (error) {
+            // A running plugin keeps running the version it has
+            if (entry.status !== 'running') entry.error = error.message;
+            throw error;
+        }
+
+        const wasRunning = entry.status === 'running';
+        entry.status = 'reloading';
+        if (wasRunning) {
+            await this.teardown(entry.plugin, entry.scope);
+        }
+
+        try {
+            const reloaded = await this.loadPlugin(candidate);
+            console.log(`🔄 Reloaded plugin: ${entry.file}`);
+            await this.loadWaitingDependents(pluginId);
+            return reloaded;
+        } catch (error) {
+            console.error(`✗ Failed to reload plugin ${entry.file}:`, error.message);
+            this.recordFailure(candidate, error.message);
+
+            if (wasRunning) {
+                try {
+                    const restored = await this.loadPlugin(entry);
+                    restored.error = error.message;
+                    console.log(`↩️ Restored previous version of plugin: ${entry.file}`);
+                } catch (restoreError) {
+                    console.error(`✗ Failed to restore plugin ${entry.file}:`, restoreError.message);
+                }
+            }
+            throw error;
+        }
+    }
+
+    // Running plugin instances, in plugin directory order
+    get plugins() {
+        return [...this.entries.values()]
+            .filter(entry => entry.status === 'running')
+            .sort((a, b) => a.file.localeCompare(b.file))
+            .map(entry => entry.plugin);
+    }
+
+    routeToPlugins(req, res, next) {
+        const scopes = [...this.entries.values()]
+            .filter(entry => entry.status === 'running')
+            .map(entry => entry.scope);
+
+        // Each router logs as its plugin; moving on to the next one (and the
+        // core routes after them) goes back to the request's own log context
+        const logger = this.context.logger;
+        const requestContext = logger?.currentContext();
+        const resume = (fn) => logger ? logger.runWith(requestContext, fn, { inherit: false }) : fn();
+
+        const run = (index) => {
+            if (index >= scopes.length) return next();
+            scopes[index].inContext({}, () => scopes[index].router(req, res, (error) => resume(() => error ? next(error) : run(index + 1))));
+        };
+        run(0);
+    }
+
+    isEnabledForGuild(pluginId, guildId) {
+        return this.guildSettings[guildId]?.[pluginId] !== false;
+    }
+
+    async setEnabledForGuild(pluginId, guildId, enabled) {
+        if (!this.entries.has(pluginId)) {
+            throw new Error(`Plugin "${pluginId}" is not loaded`);
+        }
+
+        const settings = { ...this.guildSettings[guildId] };
+        if (enabled) {
+            delete settings[pluginId];
+        } else {
+            settings[pluginId] = false;
+        }
+        this.guildSettings[guildId] = settings;
+        await this.guildSettingsStore.set(guildId, settings);
+    }
+
+    // Gives plugins a chance to flush pending writes before the process exits
+    async shutdownPlugins() {
+        for (const entry of this.entries.values()) {
+            if (entry.status === 'running' && typeof entry.plugin.stop === 'function') {
+                try {
+                    await entry.plugin.stop();
+                } catch (error) {
+                    console.error(`Error shutting down plugin ${entry.plugin.name}:`, error);
+                }
+            }
+        }
+    }
+
+    // Status, load errors and the dependency graph of every plugin, with a guildId also whether it's on there
+    getPluginInfo(guildId = null) {
+        return [...this.entries.values()]
+            .sort((a, b) => a.file.localeCompare(b.file))
+            .map(({ id, file, plugin, status, error, warnings, apiVersion, dependencies, optionalDependencies }) => ({
+                id,
+                name: plugin?.name || file,
+                description: plugin?.description || 'No description',
+                version: plugin?.version || '1.0.0',
+                componentId: plugin?.getFrontendComponent?.()?.id || null,
+                status,
+                error,
+                warnings,
+                apiVersion,
+                dependencies,
+                optionalDependencies,
+                dependents: this.getDependents(id),
+                enabled: plugin?.enabled !== false && (!guildId || this.isEnabledForGuild(id, guildId))
+            }));
     }
 
     getPluginComponents() {
@@ -66,9 +402,11 @@ class PluginLoader {
     }
 
     // --- NEW METHOD: Gathers all slash commands from all plugins ---
-    getAllSlashCommands() {
+    // With a guildId, plugins turned off in that guild are left out
+    getAllSlashCommands(guildId = null) {
         let allCommands = [];
         for (const plugin of this.plugins) {
+            if (guildId && !this.isEnabledForGuild(plugin.id, guildId)) continue;
             if (typeof plugin.getSlashCommands === 'function') {
                 try {
                     const pluginCommands = plugin.getSlashCommands();
@@ -1,9 +1,13 @@
-const fs = require('fs').promises;
-const path = require('path');
 const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const { AuditTrail } = require('../lib/auditTrail');
 
 class ReputationPlugin {
-    constructor(app, client, ensureAuthenticated, hasAdminPermissions) {
+    // Version of the 'reputation' service and the rep events
+    static apiVersion = '1.0.0';
+    // Levels raise the weight of reputation given, when leveling is loaded
+    static optionalDependencies = { levelingPlugin: '^1.0.0' };
+
+    constructor(app, client, ensureAuthenticated, requirePermission, context = {}) {
         this.name = 'Reputation System';
         this.description = 'Advanced reputation system with categories, reasons, decay, and anti-abuse features';
         this.version = '1.0.0';
@@ -12,12 +16,20 @@ class ReputationPlugin {
         this.app = app;
         this.client = client;
         this.ensureAuthenticated = ensureAuthenticated;
-        this.hasAdminPermissions = hasAdminPermissions;
+        this.requirePermission = requirePermission;
+        
+        // Storage collections
+        this.storage = context.storage;
+        this.userStore = this.storage.collection('reputation.users');
+        this.historyStore = this.storage.collection('reputation.history');
+        this.leaderboardStore = this.storage.collection('reputation.leaderboards');
+        this.settingsStore = this.storage.collection('reputation.settings');
+        this.auditTrail = new AuditTrail(this.storage.collection('reputation.audit'));
         
-        // File paths
-        this.dataFile = path.join(__dirname, '../data/reputationData.json');
-        this.settingsFile = path.join(__dirname, '../data/reputationSettings.json');
-        this.auditFile = path.join(__dirname, '../data/reputationAudit.json');
+        // Event bus and service registry shared with the other plugins
+        this.events = context.events;
+        this.logger = context.logger;
+        this.services = context.services;
         
         // Constants
         this.REP_CATEGORIES = ['helpfulness', 'creativity', 'reliability', 'community', 'legacy'];
@@ -41,11 +53,13 @@ class ReputationPlugin {
             /\bthanks?\s+(so\s+)?much\b/i
         ];
         
-        this.initializeData();
+        this.registerServices();
         this.setupRoutes();
         this.setupDiscordListeners();
         this.setupSlashCommands();
-        
+    }
+
+    start() {
         // Start decay interval
         this.decayInterval = setInterval(() => this.processDecay(), this.DECAY_INTERVAL);
         
@@ -54,90 +68,99 @@ class ReputationPlugin {
         this.resetLimitsWeekly();
     }
 
-    async initializeData() {
-        try {
-            const dataDir = path.dirname(this.dataFile);
-            await fs.mkdir(dataDir, { recursive: true });
-            await fs.access(this.dataFile).catch(() => fs.writeFile(this.dataFile, JSON.stringify({ users: {}, history: {}, leaderboards: {} }, null, 2)));
-            await fs.access(this.settingsFile).catch(() => fs.writeFile(this.settingsFile, JSON.stringify({}, null, 2)));
-            await fs.access(this.auditFile).catch(() => fs.writeFile(this.auditFile, JSON.stringify({ events: [] }, null, 2)));
-        } catch (error) {
-            console.error('Error initializing reputation data:', error);
-        }
+    // Read-only queries other plugins use instead of reading reputation storage
+    registerServices() {
+        this.services.register('reputation', {
+            categories: [...this.REP_CATEGORIES],
+            getUser: async (guildId, userId) => (await this.userStore.get(userId))?.[guildId] || null,
+            getGuildUsers: async (guildId) => {
+                const guildUsers = {};
+                for (const [userId, guilds] of Object.entries(await this.userStore.all())) {
+                    if (guilds[guildId]) guildUsers[userId] = guilds[guildId];
+                }
+                return guildUsers;
+            },
+            getLeaderboard: (guildId, type = 'overall', limit = 10) => this.generateLeaderboard(guildId, type, limit)
+        });
     }
 
     // --- Data Loading and Saving ---
     async loadData() {
         try {
-            const data = await fs.readFile(this.dataFile, 'utf8');
-            return JSON.parse(data);
+            const [users, history, leaderboards] = await Promise.all([
+                this.userStore.all(),
+                this.historyStore.all(),
+                this.leaderboardStore.all()
+            ]);
+            return { users, history, leaderboards };
         } catch (error) {
-            console.error('Error loading reputation data:', error);
+            this.logger.error('Error loading reputation data', { error });
             return { users: {}, history: {}, leaderboards: {} };
         }
     }
 
     async saveData(data) {
         try {
-            await fs.writeFile(this.dataFile, JSON.stringify(data, null, 2));
+            await Promise.all([
+                this.userStore.replace(data.users),
+                this.historyStore.replace(data.history),
+                this.leaderboardStore.replace(data.leaderboards)
+            ]);
         } catch (error) {
-            console.error('Error saving reputation data:', error);
+            this.logger.error('Error saving reputation data', { error });
         }
     }
 
     async loadSettings() {
         try {
-            const data = await fs.readFile(this.settingsFile, 'utf8');
-            return JSON.parse(data);
+            return await this.settingsStore.all();
         } catch (error) {
-            console.error('Error loading reputation settings:', error);
+            this.logger.error('Error loading reputation settings', { error });
             return {};
         }
     }
 
     async saveSettings(settings) {
         try {
-            await fs.writeFile(this.settingsFile, JSON.stringify(settings, null, 2));
+            await this.settingsStore.replace(settings);
+        } catch (error) {
+            this.logger.error('Error saving reputation settings', { error });
+        }
+    }
+
+    async loadAuditEvents() {
+        try {
+            return await this.auditTrail.list();
         } catch (error) {
-            console.error('Error saving reputation settings:', error);
+            this.logger.error('Error loading reputation audit events', { error });
+            return [];
         }
     }
 
     async logAuditEvent(guildId, type, userId, targetId = null, details = {}, moderator = null) {
         try {
-            const auditData = JSON.parse(await fs.readFile(this.auditFile, 'utf8').catch(() => '{"events":[]}'));
-            auditData.events.unshift({ timestamp: Date.now(), guildId, type, userId, targetId, details, moderator });
-            if (auditData.events.length > 10000) {
-                auditData.events = auditData.events.slice(0, 10000);
-            }
-            await fs.writeFile(this.auditFile, JSON.stringify(auditData, null, 2));
+            await this.auditTrail.add({ guildId, type, userId, targetId, details, moderator });
         } catch (error) {
-            console.error('Error logging audit event:', error);
+            this.logger.error('Error logging reputation audit event', { guildId, userId, error });
         }
     }
 
     // --- API Routes ---
     setupRoutes() {
-        this.app.post('/api/plugins/reputation/repair/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.post('/api/plugins/reputation/repair/:serverId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
             try {
                 const { serverId } = req.params;
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
                 const result = await this.repairReputationData(serverId);
                 res.json(result);
             } catch (error) {
-                console.error('Error repairing reputation data:', error);
+                this.logger.error('Error repairing reputation data', { error });
                 res.status(500).json({ error: 'Failed to repair reputation data' });
             }
         });
 
-        this.app.get('/api/plugins/reputation/data/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/reputation/data/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { serverId } = req.params;
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
                 const data = await this.loadData();
                 const settings = await this.loadSettings();
                 res.json({
@@ -150,28 +173,24 @@ class ReputationPlugin {
             }
         });
 
-        this.app.post('/api/plugins/reputation/settings/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.post('/api/plugins/reputation/settings/:serverId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
             try {
                 const { serverId } = req.params;
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
                 const settings = await this.loadSettings();
+                const previous = settings[serverId];
                 settings[serverId] = { ...this.getDefaultSettings(), ...req.body };
                 await this.saveSettings(settings);
+                res.locals.audit = { action: 'Updated reputation settings', before: previous, after: settings[serverId] };
                 res.json({ success: true, settings: settings[serverId] });
             } catch (error) {
                 res.status(500).json({ error: 'Failed to update settings' });
             }
         });
 
-        this.app.get('/api/plugins/reputation/leaderboard/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/reputation/leaderboard/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { serverId } = req.params;
                 const { type = 'overall', limit = 10 } = req.query;
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
                 const leaderboard = await this.generateLeaderboard(serverId, type, parseInt(limit));
                 res.json(leaderboard);
             } catch (error) {
@@ -179,13 +198,10 @@ class ReputationPlugin {
             }
         });
 
-        this.app.post('/api/plugins/reputation/adjust/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.post('/api/plugins/reputation/adjust/:serverId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
             try {
                 const { serverId } = req.params;
                 const { userId, category, amount, reason } = req.body;
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
                 await this.adjustReputation(serverId, userId, req.user.id, category, parseInt(amount), reason, 'admin_adjust');
                 res.json({ success: true });
             } catch (error) {
@@ -193,12 +209,9 @@ class ReputationPlugin {
             }
         });
 
-        this.app.get('/api/plugins/reputation/user/:serverId/:userId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/reputation/user/:serverId/:userId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { serverId, userId } = req.params;
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
                 const data = await this.loadData();
                 const userRep = data.users[userId]?.[serverId] || this.getDefaultUserRep();
                 const history = data.history[serverId]?.[userId] || [];
@@ -208,15 +221,12 @@ class ReputationPlugin {
             }
         });
 
-        this.app.get('/api/plugins/reputation/audit/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/reputation/audit/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { serverId } = req.params;
                 const { limit = 100 } = req.query;
-                if (!await this.hasAdminPermissions(req.user.id, serverId)) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
-                const auditData = JSON.parse(await fs.readFile(this.auditFile, 'utf8').catch(() => '{"events":[]}'));
-                const serverEvents = auditData.events.filter(e => e.guildId === serverId).slice(0, parseInt(limit));
+                const events = await this.loadAuditEvents();
+                const serverEvents = events.filter(e => e.guildId === serverId).slice(0, parseInt(limit));
                 res.json(serverEvents);
             } catch (error) {
                 res.status(500).json({ error: 'Failed to fetch audit logs' });
@@ -264,24 +274,9 @@ class ReputationPlugin {
         });
     }
 
+    // Commands are registered together with every other plugin's in app.js;
+    // registering them here as well replaced the other plugins' commands
     setupSlashCommands() {
-        this.client.once('ready', async () => {
-            try {
-                const commands = this.getSlashCommands();
-                const guilds = this.client.guilds.cache;
-                for (const guild of guilds.values()) {
-                    try {
-                        await guild.commands.set(commands);
-                        console.log(`✓ Registered Reputation commands for guild: ${guild.name}`);
-                    } catch (err) {
-                        console.error(`❌ Failed to register Reputation commands for guild ${guild.name}:`, err.rawError ? err.rawError.errors : err);
-                    }
-                }
-            } catch (error) {
-                console.error('Error registering Reputation slash commands:', error);
-            }
-        });
-
         this.client.on('interactionCreate', async (interaction) => {
             if (!interaction.isChatInputCommand()) return;
             const commandNames = this.getSlashCommands().map(cmd => cmd.name);
@@ -478,12 +473,12 @@ class ReputationPlugin {
             }, 30000);
 
         } catch (error) {
-            console.error('Error showing reputation modal:', error);
+            this.logger.error('Error showing reputation buttons', { guildId: message.guild?.id, userId: authorId, error });
             // Try to send a simple text message as fallback
             try {
                 await message.reply(`❌ Could not display reputation buttons. Use \`/rep give @${targetUser.username}\` instead.`);
             } catch (fallbackError) {
-                console.error('Fallback message also failed:', fallbackError);
+                this.logger.error('Fallback message also failed', { guildId: message.guild?.id, userId: authorId, error: fallbackError });
             }
         }
     }
@@ -624,11 +619,11 @@ class ReputationPlugin {
             // Force use of hardcoded announcement channel
             const targetChannelId = '1390335452439121920'; // Hardcoded announcement channel
             
-            console.log(`🏆 Sending reputation announcement to channel: ${targetChannelId}`);
+            this.logger.debug(`Sending reputation announcement to channel ${targetChannelId}`, { guildId, userId: fromUserId });
 
             const channel = this.client.channels.cache.get(targetChannelId);
             if (!channel) {
-                console.log(`Reputation announcement channel not found or inaccessible: ${targetChannelId}`);
+                this.logger.warn(`Reputation announcement channel not found or inaccessible: ${targetChannelId}`, { guildId });
                 return;
             }
     
@@ -653,9 +648,9 @@ class ReputationPlugin {
             });
     
             await channel.send({ embeds: [embed] });
-            console.log(`🏆 Successfully sent reputation announcement to ${targetChannelId}`);
+            this.logger.debug(`Sent reputation announcement to ${targetChannelId}`, { guildId, userId: fromUserId });
         } catch (error) {
-            console.error('Error sending public reputation announcement:', error);
+            this.logger.error('Error sending public reputation announcement', { guildId, userId: fromUserId, error });
         }
     }
 
@@ -689,6 +684,7 @@ class ReputationPlugin {
 		this.userCooldowns.set(cooldownKey, Date.now());
 		this.updateLimits(guildId, fromUserId, finalAmount);
 		await this.logAuditEvent(guildId, 'rep_given', fromUserId, toUserId, { category, amount: finalAmount, reason, type, multiplier });
+		this.events.publish('rep.given', { guildId, fromUserId, toUserId, category, amount: finalAmount, type });
 
 		await this.sendPublicReputationAnnouncement(guildId, fromUserId, toUserId, category, finalAmount, reason, channelId);
 
@@ -729,6 +725,9 @@ class ReputationPlugin {
         await this.saveData(data);
         await this.checkRoleRewards(guildId, userId, userRep);
         await this.sendLogMessage(guildId, fromUserId, userId, category, amount, reason, type);
+
+        // Publish the new total for other plugins
+        this.events.publish('rep.changed', { guildId, userId, total: userRep.total });
     }
 
     async updateStreaksAndBadges(data, guildId, userId) {
@@ -786,8 +785,7 @@ class ReputationPlugin {
 
    async getReputationMultiplier(guildId, userId) {
 	   try {
-		   const levelingData = JSON.parse(await fs.readFile(path.join(__dirname, '../data/levelingData.json'), 'utf8').catch(() => '{}'));
-		   const userLevel = levelingData.users?.[userId]?.[guildId]?.level || 0;
+		   const userLevel = this.services.get('leveling')?.getLevel(guildId, userId) || 0;
 		   if (userLevel >= 50) return 2.0;
 		   if (userLevel >= 30) return 1.5;
 		   if (userLevel >= 15) return 1.25;
@@ -837,8 +835,8 @@ class ReputationPlugin {
 	   await this.saveData(data);
    }
 
-   resetLimitsDaily() { setInterval(() => this.dailyLimits.clear(), 86400000); }
-   resetLimitsWeekly() { setInterval(() => this.weeklyLimits.clear(), 604800000); }
+   resetLimitsDaily() { this.dailyResetInterval = setInterval(() => this.dailyLimits.clear(), 86400000); }
+   resetLimitsWeekly() { this.weeklyResetInterval = setInterval(() => this.weeklyLimits.clear(), 604800000); }
 
    async checkRoleRewards(guildId, userId, userRep) {
 	   const settings = await this.loadSettings();
@@ -853,7 +851,9 @@ class ReputationPlugin {
 		   if (userRep.total >= requiredRep) {
 			   const role = guild.roles.cache.get(roleId);
 			   if (role && !member.roles.cache.has(roleId)) {
-				   await member.roles.add(role).catch(console.error);
+				   await member.roles.add(role).catch(error => {
+					   this.logger.error(`Error giving reputation reward role ${role.name}`, { guildId, userId, error });
+				   });
 				   await this.logAuditEvent(guildId, 'role_reward', userId, null, { roleId, threshold: requiredRep, currentRep: userRep.total }, 'system');
 			   }
 		   }
@@ -1837,7 +1837,7 @@ class ReputationPlugin {
 		const data = await this.loadData();
 		let repairsCount = 0;
 
-		console.log('🔧 Starting reputation data repair...');
+		this.logger.info('Starting reputation data repair', { guildId });
 
 		for (const [userId, userData] of Object.entries(data.users)) {
 			if (!userData[guildId]) continue;
@@ -1849,36 +1849,36 @@ class ReputationPlugin {
 			const difference = storedTotal - categoryTotal;
 
 			if (difference > 0) {
-				console.log(`User ${userId}: Total=${storedTotal}, Categories=${categoryTotal}, Missing=${difference}`);
+				this.logger.debug(`Total=${storedTotal}, Categories=${categoryTotal}, Missing=${difference}`, { guildId, userId });
 				
 				if (!userRep.categories) userRep.categories = {};
 				userRep.categories.legacy = (userRep.categories.legacy || 0) + difference;
 				
-				console.log(`✓ Added ${difference} to legacy category for user ${userId}`);
+				this.logger.info(`Added ${difference} to legacy category`, { guildId, userId });
 				repairsCount++;
 			}
 		}
 
 		if (repairsCount > 0) {
 			await this.saveData(data);
-			console.log(`🎉 Repair complete! Fixed ${repairsCount} users.`);
+			this.logger.info(`Reputation repair complete, fixed ${repairsCount} users`, { guildId });
 			
 			await this.logAuditEvent(guildId, 'data_repair', 'system', null, {
 				repairsCount,
 				timestamp: Date.now()
 			}, 'system');
 		} else {
-			console.log('✅ No data issues found.');
+			this.logger.info('Reputation repair found no data issues', { guildId });
 		}
 
 		return { success: true, repairsCount };
 	} catch (error) {
-		console.error('❌ Error repairing reputation data:', error);
+		this.logger.error('Error repairing reputation data', { guildId, error });
 		return { success: false, error: error.message };
 	}
    }
 
-   cleanup() {
+   stop() {
 	   if (this.decayInterval) clearInterval(this.decayInterval);
 	   if (this.dailyResetInterval) clearInterval(this.dailyResetInterval);
 	   if (this.weeklyResetInterval) clearInterval(this.weeklyResetInterval);
@@ -1888,7 +1888,7 @@ class ReputationPlugin {
 	   try {
 		   const data = await this.loadData();
 		   const settings = await this.loadSettings();
-		   const auditData = JSON.parse(await fs.readFile(this.auditFile, 'utf8').catch(() => '{"events":[]}'));
+		   const auditEvents = await this.loadAuditEvents();
 		   
 		   return {
 			   guildId,
@@ -1899,10 +1899,10 @@ class ReputationPlugin {
 				   leaderboards: data.leaderboards[guildId] || {}
 			   },
 			   settings: settings[guildId] || this.getDefaultSettings(),
-			   audit: auditData.events.filter(e => e.guildId === guildId)
+			   audit: auditEvents.filter(e => e.guildId === guildId)
 		   };
 	   } catch (error) {
-		   console.error('Error exporting reputation data:', error);
+		   this.logger.error('Error exporting reputation data', { guildId, error });
 		   throw error;
 	   }
    }
@@ -1931,7 +1931,7 @@ class ReputationPlugin {
 		   
 		   return true;
 	   } catch (error) {
-		   console.error('Error importing reputation data:', error);
+		   this.logger.error('Error importing reputation data', { guildId, error });
 		   throw error;
 	   }
    }
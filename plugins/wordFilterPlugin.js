@@ -1,8 +1,8 @@
-const fs = require('fs');
-const path = require('path');
-
 class WordFilterPlugin {
-    constructor(app, client, ensureAuthenticated, hasAdminPermissions) {
+    // Version of the filter.hit event
+    static apiVersion = '1.0.0';
+
+    constructor(app, client, ensureAuthenticated, requirePermission, context = {}) {
         this.name = 'Word Filter';
         this.description = 'Automatically detect and filter inappropriate words from messages';
         this.version = '1.2.0';
@@ -11,63 +11,63 @@ class WordFilterPlugin {
         this.app = app;
         this.client = client;
         this.ensureAuthenticated = ensureAuthenticated;
-        this.hasAdminPermissions = hasAdminPermissions;
+        this.requirePermission = requirePermission;
+        
+        // Storage collections, keyed by server ID
+        this.storage = context.storage;
+        this.settingsStore = this.storage.collection('wordfilter.settings');
+        this.statsStore = this.storage.collection('wordfilter.stats');
+        this.events = context.events;
+        this.logger = context.logger;
         
         // Storage for filter settings per server
-        this.filterSettings = this.loadFilterSettings();
+        this.filterSettings = {};
         
         // Statistics tracking
-        this.filterStats = this.loadFilterStats();
+        this.filterStats = {};
+        
+        this.initialize();
+    }
+
+    async initialize() {
+        this.filterSettings = await this.loadFilterSettings();
+        this.filterStats = await this.loadFilterStats();
         
         this.setupRoutes();
         this.setupMessageListener();
     }
 
-    loadFilterSettings() {
+    async loadFilterSettings() {
         try {
-            const settingsPath = './data/wordFilterSettings.json';
-            if (fs.existsSync(settingsPath)) {
-                return JSON.parse(fs.readFileSync(settingsPath, 'utf8'));
-            }
+            return await this.settingsStore.all();
         } catch (error) {
-            console.error('Error loading word filter settings:', error);
+            this.logger.error('Error loading word filter settings', { error });
         }
         return {};
     }
 
-    saveFilterSettings() {
+    async saveFilterSettings() {
         try {
-            const dataDir = './data';
-            if (!fs.existsSync(dataDir)) {
-                fs.mkdirSync(dataDir);
-            }
-            fs.writeFileSync('./data/wordFilterSettings.json', JSON.stringify(this.filterSettings, null, 2));
+            await this.settingsStore.replace(this.filterSettings);
         } catch (error) {
-            console.error('Error saving word filter settings:', error);
+            this.logger.error('Error saving word filter settings', { error });
         }
     }
 
-    loadFilterStats() {
+    async loadFilterStats() {
         try {
-            const statsPath = './data/wordFilterStats.json';
-            if (fs.existsSync(statsPath)) {
-                return JSON.parse(fs.readFileSync(statsPath, 'utf8'));
-            }
+            return await this.statsStore.all();
         } catch (error) {
-            console.error('Error loading word filter stats:', error);
+            this.logger.error('Error loading word filter stats', { error });
         }
         return {};
     }
 
-    saveFilterStats() {
+    async saveFilterStats(serverId) {
         try {
-            const dataDir = './data';
-            if (!fs.existsSync(dataDir)) {
-                fs.mkdirSync(dataDir);
-            }
-            fs.writeFileSync('./data/wordFilterStats.json', JSON.stringify(this.filterStats, null, 2));
+            await this.statsStore.set(serverId, this.filterStats[serverId]);
         } catch (error) {
-            console.error('Error saving word filter stats:', error);
+            this.logger.error('Error saving word filter stats', { guildId: serverId, error });
         }
     }
 
@@ -108,20 +108,15 @@ class WordFilterPlugin {
         }
         serverStats.topUsers[userId]++;
         
-        this.saveFilterStats();
+        this.saveFilterStats(serverId);
     }
 
     setupRoutes() {
         // Get filter settings for a server
-        this.app.get('/api/plugins/wordfilter/settings/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/wordfilter/settings/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { serverId } = req.params;
                 
-                const hasAdmin = await this.hasAdminPermissions(req.user.id, serverId);
-                if (!hasAdmin) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
-                
                 const settings = this.filterSettings[serverId] || {
                     enabled: false,
                     logChannelId: null,
@@ -135,46 +130,38 @@ class WordFilterPlugin {
                 
                 res.json(settings);
             } catch (error) {
-                console.error('Error getting filter settings:', error);
+                this.logger.error('Error getting filter settings', { error });
                 res.status(500).json({ error: 'Failed to get filter settings' });
             }
         });
 
         // Update filter settings for a server
-        this.app.post('/api/plugins/wordfilter/settings/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.post('/api/plugins/wordfilter/settings/:serverId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
             try {
                 const { serverId } = req.params;
                 
-                const hasAdmin = await this.hasAdminPermissions(req.user.id, serverId);
-                if (!hasAdmin) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
-                
                 const settings = req.body;
+                const previous = this.filterSettings[serverId];
                 this.filterSettings[serverId] = {
                     ...this.filterSettings[serverId],
                     ...settings
                 };
+                res.locals.audit = { action: 'Updated filter settings', before: previous, after: this.filterSettings[serverId] };
                 
                 this.saveFilterSettings();
                 res.json({ success: true, settings: this.filterSettings[serverId] });
             } catch (error) {
-                console.error('Error updating filter settings:', error);
+                this.logger.error('Error updating filter settings', { error });
                 res.status(500).json({ error: 'Failed to update filter settings' });
             }
         });
 
         // Add a blocked word
-        this.app.post('/api/plugins/wordfilter/words/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.post('/api/plugins/wordfilter/words/:serverId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
             try {
                 const { serverId } = req.params;
                 const { word } = req.body;
                 
-                const hasAdmin = await this.hasAdminPermissions(req.user.id, serverId);
-                if (!hasAdmin) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
-                
                 const normalizedWord = word.trim().toLowerCase();
                 
                 if (!this.filterSettings[serverId]) {
@@ -197,21 +184,16 @@ class WordFilterPlugin {
                 
                 res.json({ success: true, blockedWords: this.filterSettings[serverId].blockedWords });
             } catch (error) {
-                console.error('Error adding blocked word:', error);
+                this.logger.error('Error adding blocked word', { error });
                 res.status(500).json({ error: 'Failed to add blocked word' });
             }
         });
 
         // Remove a blocked word
-        this.app.delete('/api/plugins/wordfilter/words/:serverId/:word', this.ensureAuthenticated, async (req, res) => {
+        this.app.delete('/api/plugins/wordfilter/words/:serverId/:word', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
             try {
                 const { serverId, word } = req.params;
                 
-                const hasAdmin = await this.hasAdminPermissions(req.user.id, serverId);
-                if (!hasAdmin) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
-                
                 if (this.filterSettings[serverId]) {
                     const normalizedWord = decodeURIComponent(word).toLowerCase();
                     this.filterSettings[serverId].blockedWords = this.filterSettings[serverId].blockedWords
@@ -221,21 +203,16 @@ class WordFilterPlugin {
                 
                 res.json({ success: true, blockedWords: this.filterSettings[serverId]?.blockedWords || [] });
             } catch (error) {
-                console.error('Error removing blocked word:', error);
+                this.logger.error('Error removing blocked word', { error });
                 res.status(500).json({ error: 'Failed to remove blocked word' });
             }
         });
 
         // Get filter statistics
-        this.app.get('/api/plugins/wordfilter/stats/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.get('/api/plugins/wordfilter/stats/:serverId', this.ensureAuthenticated, this.requirePermission('view'), async (req, res) => {
             try {
                 const { serverId } = req.params;
                 
-                const hasAdmin = await this.hasAdminPermissions(req.user.id, serverId);
-                if (!hasAdmin) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
-                
                 const stats = this.filterStats[serverId] || {
                     totalFiltered: 0,
                     dailyStats: {},
@@ -268,22 +245,17 @@ class WordFilterPlugin {
                     todayCount: stats.dailyStats[new Date().toDateString()] || 0
                 });
             } catch (error) {
-                console.error('Error getting filter stats:', error);
+                this.logger.error('Error getting filter stats', { error });
                 res.status(500).json({ error: 'Failed to get filter stats' });
             }
         });
 
         // Import predefined word lists
-        this.app.post('/api/plugins/wordfilter/import/:serverId', this.ensureAuthenticated, async (req, res) => {
+        this.app.post('/api/plugins/wordfilter/import/:serverId', this.ensureAuthenticated, this.requirePermission('manage'), async (req, res) => {
             try {
                 const { serverId } = req.params;
                 const { category } = req.body;
                 
-                const hasAdmin = await this.hasAdminPermissions(req.user.id, serverId);
-                if (!hasAdmin) {
-                    return res.status(403).json({ error: 'No admin permissions' });
-                }
-                
                 const predefinedLists = {
                     basic: ['spam', 'scam', 'fake', 'bot'],
                     profanity: ['mild profanity examples'], // Add appropriate words for your use case
@@ -319,7 +291,7 @@ class WordFilterPlugin {
                     blockedWords: this.filterSettings[serverId].blockedWords 
                 });
             } catch (error) {
-                console.error('Error importing word list:', error);
+                this.logger.error('Error importing word list', { error });
                 res.status(500).json({ error: 'Failed to import word list' });
             }
         });
@@ -356,6 +328,12 @@ class WordFilterPlugin {
                 try {
                     // Update statistics
                     this.updateFilterStats(serverId, message.author.id, detectedWords);
+                    this.events.publish('filter.hit', {
+                        guildId: serverId,
+                        channelId: message.channel.id,
+                        userId: message.author.id,
+                        words: detectedWords
+                    });
                     
                     // Delete original message
                     await message.delete();
@@ -375,10 +353,14 @@ class WordFilterPlugin {
                         await this.sendUserDM(message.author, detectedWords, message.channel, message.guild);
                     }
                     
-                    console.log(`🚫 Filtered message from ${message.author.username} in ${message.guild.name}: ${detectedWords.join(', ')}`);
+                    this.logger.info(`Filtered message from ${message.author.username} in ${message.guild.name}: ${detectedWords.join(', ')}`, {
+                        guildId: serverId,
+                        userId: message.author.id,
+                        channelId: message.channel.id
+                    });
                     
                 } catch (error) {
-                    console.error('Error processing filtered message:', error);
+                    this.logger.error('Error processing filtered message', { guildId: serverId, userId: message.author.id, error });
                 }
             }
         });
@@ -455,7 +437,7 @@ class WordFilterPlugin {
             await logChannel.send({ embeds: [embed] });
             
         } catch (error) {
-            console.error('Error logging filtered message:', error);
+            this.logger.error('Error logging filtered message', { guildId: message.guild.id, userId: message.author.id, error });
         }
     }
 
@@ -475,7 +457,7 @@ class WordFilterPlugin {
             return await webhook.send(webhookOptions);
             
         } catch (error) {
-            console.error('Error reposting censored message:', error);
+            this.logger.error('Error reposting censored message', { guildId: originalMessage.guild.id, userId: originalMessage.author.id, error });
         }
     }
 
@@ -497,7 +479,7 @@ class WordFilterPlugin {
             
             return webhook;
         } catch (error) {
-            console.error('Error creating/getting webhook:', error);
+            this.logger.error('Error creating/getting webhook', { guildId: channel.guild.id, channelId: channel.id, error });
             return null;
         }
     }
@@ -529,7 +511,7 @@ class WordFilterPlugin {
             await user.send({ embeds: [embed] });
             
         } catch (error) {
-            console.error('Error sending DM to user:', error);
+            this.logger.error('Error sending DM to user', { guildId: guild.id, userId: user.id, error });
         }
     }
 
@@ -6,9 +6,12 @@
 // Global variables
 let currentUser = null;
 let pluginComponents = [];
+let serverPlugins = []; // loader status and per-server enabled flag for the selected server
+let serverAccess = null; // the user's dashboard role in the selected server and what it allows
+let auditPage = 1;
 let currentSelectedServer = null;
 let servers = [];
-let consoleLogWebSocket = null;
+let liveUpdatesSource = null; // EventSource streaming the selected server's live updates
 let activityChartInstance = null;
 
 // ============================================================================
@@ -84,6 +87,11 @@ function handleServerChange(serverId) {
     loadModerators();
     loadLeaderboards();
     setupActivityChart();
+    loadPluginManager();
+    loadDashboardAccess();
+    loadAuditLog(1);
+    loadRecentLogs();
+    connectLiveUpdates(serverId);
     
     const serverName = getServerName(serverId);
     showNotification(`Switched to server: ${serverName}`, 'info');
@@ -214,7 +222,9 @@ async function updateDashboardStats() {
         }
         
         // Count active plugins
-        const activePluginCount = pluginComponents.filter(plugin => plugin.enabled !== false).length;
+        const activePluginCount = serverPlugins.length
+            ? serverPlugins.filter(plugin => plugin.enabled && plugin.status === 'running').length
+            : pluginComponents.filter(plugin => plugin.enabled !== false).length;
         if (activePluginsEl) {
             activePluginsEl.textContent = activePluginCount.toString();
         }
@@ -327,8 +337,10 @@ function clearConsoleLog() {
 }
 
 async function loadRecentLogs() {
+    if (!currentSelectedServer) return;
+    
     try {
-        const response = await fetch('/api/logs?limit=20');
+        const response = await fetch(`/api/logs?serverId=${currentSelectedServer}&limit=20`);
         if (response.ok) {
             const logs = await response.json();
             const consoleLog = document.getElementById('consoleLog');
@@ -360,11 +372,13 @@ function displayLogEntry(level, message, timestamp) {
     
     const timeString = timestamp.toLocaleTimeString('en-US', { hour12: false });
     
-    logEntry.innerHTML = `
-        <span class="log-time">${timeString}</span>
-        <span class="log-level">${level.toUpperCase()}</span>
-        <span class="log-message">${message}</span>
-    `;
+    // Messages can carry user content from live updates, so they're set as text
+    [['log-time', timeString], ['log-level', level.toUpperCase()], ['log-message', message]].forEach(([className, text]) => {
+        const span = document.createElement('span');
+        span.className = className;
+        span.textContent = text;
+        logEntry.appendChild(span);
+    });
     
     consoleLog.appendChild(logEntry);
     
@@ -439,6 +453,198 @@ function displayModerators(moderators) {
     });
 }
 
+// ============================================================================
+// LIVE UPDATES
+// ============================================================================
+
+// One-line console descriptions of the plugin events the server streams
+const LIVE_EVENT_MESSAGES = {
+    'filter.hit': data => ['warning', `Word filter removed a message from user ${data.userId} in channel ${data.channelId}`],
+    'rule.violation': data => ['warning', `Channel rule (${data.ruleType}) broken by user ${data.userId} in channel ${data.channelId}`],
+    'level.up': data => ['success', `User ${data.userId} reached level ${data.newLevel}`],
+    'level.down': data => ['info', `User ${data.userId} dropped to level ${data.newLevel}`],
+    'rep.given': data => ['info', `User ${data.fromUserId} gave ${data.amount} ${data.category} rep to user ${data.toUserId}`]
+};
+
+let liveRefreshTimers = {};
+
+// Runs a widget refresh once after a burst of events instead of once per event
+function scheduleLiveRefresh(name, refresh) {
+    clearTimeout(liveRefreshTimers[name]);
+    liveRefreshTimers[name] = setTimeout(refresh, 2000);
+}
+
+// Follows the selected server. Users who can't view it get a 403, which
+// closes the stream, and the dashboard keeps polling instead.
+function connectLiveUpdates(serverId) {
+    if (liveUpdatesSource) {
+        liveUpdatesSource.close();
+        liveUpdatesSource = null;
+    }
+    if (!serverId || typeof EventSource === 'undefined') return;
+    
+    const source = new EventSource(`/api/servers/${serverId}/live`);
+    liveUpdatesSource = source;
+    
+    source.addEventListener('ready', () => {
+        console.log(`📡 Live updates connected for ${getServerName(serverId)}`);
+    });
+    
+    source.addEventListener('revoked', () => {
+        source.close();
+        addLogEntry('warning', 'Live updates stopped: you can no longer view this server');
+    });
+    
+    source.addEventListener('log', event => {
+        const log = JSON.parse(event.data);
+        displayLogEntry(log.level, log.message, new Date(log.timestamp));
+    });
+    
+    source.addEventListener('moderator.action', event => {
+        const entry = JSON.parse(event.data);
+        displayLogEntry('info', `${entry.actorName || entry.actorId || 'Unknown'}: ${entry.action} via ${entry.plugin}`, new Date(entry.timestamp));
+        scheduleLiveRefresh('moderators', loadModerators);
+        if (auditPage === 1) scheduleLiveRefresh('audit', () => loadAuditLog(1));
+    });
+    
+    Object.entries(LIVE_EVENT_MESSAGES).forEach(([type, describe]) => {
+        source.addEventListener(type, event => {
+            const [level, message] = describe(JSON.parse(event.data));
+            displayLogEntry(level, message, new Date());
+            if (type.startsWith('level.') || type.startsWith('rep.')) {
+                scheduleLiveRefresh('leaderboards', loadLeaderboards);
+            }
+        });
+    });
+    
+    source.addEventListener('rep.changed', () => scheduleLiveRefresh('leaderboards', loadLeaderboards));
+    
+    source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED) {
+            console.log('⚠️ Live updates unavailable for this server');
+        }
+    };
+}
+
+function isLiveConnected() {
+    return liveUpdatesSource?.readyState === EventSource.OPEN;
+}
+
+// ============================================================================
+// AUDIT LOG
+// ============================================================================
+
+function initAuditLog() {
+    document.getElementById('auditNewerBtn')?.addEventListener('click', () => loadAuditLog(auditPage - 1));
+    document.getElementById('auditOlderBtn')?.addEventListener('click', () => loadAuditLog(auditPage + 1));
+    document.getElementById('auditPluginFilter')?.addEventListener('change', () => loadAuditLog(1));
+    document.getElementById('auditActorFilter')?.addEventListener('change', () => loadAuditLog(1));
+    document.getElementById('auditExportCsvBtn')?.addEventListener('click', () => exportAuditLog('csv'));
+    document.getElementById('auditExportJsonBtn')?.addEventListener('click', () => exportAuditLog('json'));
+    
+    document.querySelector('.view-all-btn')?.addEventListener('click', () => {
+        document.getElementById('auditWidget')?.scrollIntoView({ behavior: 'smooth' });
+        loadAuditLog(1);
+    });
+}
+
+function getAuditQuery() {
+    const params = new URLSearchParams();
+    const plugin = document.getElementById('auditPluginFilter')?.value;
+    const actor = document.getElementById('auditActorFilter')?.value.trim();
+    if (plugin) params.set('plugin', plugin);
+    if (actor) params.set('actor', actor);
+    return params;
+}
+
+async function loadAuditLog(page = 1) {
+    if (!currentSelectedServer) return;
+    
+    const serverId = currentSelectedServer;
+    const params = getAuditQuery();
+    params.set('page', page);
+    params.set('limit', 20);
+    
+    try {
+        const response = await fetch(`/api/servers/${serverId}/audit?${params}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        if (serverId !== currentSelectedServer) return;
+        
+        auditPage = data.page;
+        displayAuditLog(data);
+    } catch (error) {
+        console.error('Error loading audit log:', error);
+        addLogEntry('error', `Failed to load audit log: ${error.message}`);
+    }
+}
+
+function displayAuditLog(data) {
+    const list = document.getElementById('auditList');
+    if (!list) return;
+    
+    // Plugin filter lists the core dashboard plus this server's plugins
+    const pluginFilter = document.getElementById('auditPluginFilter');
+    if (pluginFilter) {
+        const selected = pluginFilter.value;
+        pluginFilter.innerHTML = '<option value="">All plugins</option>';
+        [['dashboard', 'Dashboard'], ['plugins', 'Plugin Manager'], ['permissions', 'Dashboard Access'],
+            ...serverPlugins.map(plugin => [plugin.id, plugin.name])].forEach(([id, name]) => {
+            const option = document.createElement('option');
+            option.value = id;
+            option.textContent = name;
+            pluginFilter.appendChild(option);
+        });
+        pluginFilter.value = selected;
+    }
+    
+    list.innerHTML = '';
+    if (data.entries.length === 0) {
+        list.innerHTML = '<div style="text-align: center; opacity: 0.7; padding: 20px;">No actions recorded yet.</div>';
+    }
+    
+    data.entries.forEach(entry => {
+        const item = document.createElement('div');
+        item.className = 'plugin-manager-item';
+        
+        const info = document.createElement('div');
+        info.className = 'plugin-manager-info';
+        const action = document.createElement('div');
+        action.className = 'feature-name';
+        action.textContent = entry.action;
+        const details = document.createElement('div');
+        details.className = 'plugin-manager-status';
+        const target = entry.target === null ? '' : ` · ${typeof entry.target === 'string' ? entry.target : Object.values(entry.target).join(', ')}`;
+        details.textContent = `${entry.actorName || entry.actorId || 'Unknown'} · ${entry.plugin}${target} · ${new Date(entry.timestamp).toLocaleString()}`;
+        info.append(action, details);
+        
+        item.appendChild(info);
+        list.appendChild(item);
+    });
+    
+    const pageInfo = document.getElementById('auditPageInfo');
+    if (pageInfo) pageInfo.textContent = `Page ${data.page} of ${data.pages} (${data.total} actions)`;
+    
+    const newerBtn = document.getElementById('auditNewerBtn');
+    const olderBtn = document.getElementById('auditOlderBtn');
+    if (newerBtn) newerBtn.disabled = data.page <= 1;
+    if (olderBtn) olderBtn.disabled = data.page >= data.pages;
+}
+
+// Downloads go through a link so the browser saves the server's attachment
+function exportAuditLog(format) {
+    if (!currentSelectedServer) return;
+    
+    const params = getAuditQuery();
+    params.set('format', format);
+    
+    const link = document.createElement('a');
+    link.href = `/api/servers/${currentSelectedServer}/audit/export?${params}`;
+    link.click();
+}
+
 function trackModeratorAction(userId, action, plugin) {
     console.log(`📊 Tracking action: ${action} by ${userId} in ${plugin}`);
     addLogEntry('info', `${action} executed by user ${userId} via ${plugin}`);
@@ -729,31 +935,169 @@ function displayEmptyLeaderboard(containerId, message) {
 // ACTIVITY CHART FUNCTIONS
 // ============================================================================
 
-function setupActivityChart() {
+// Series drawn on the chart, with the colours used in its legend
+const ACTIVITY_SERIES = [
+    { key: 'messages', label: 'Messages', color: '#5865f2' },
+    { key: 'activeUsers', label: 'Active users', color: '#57f287' },
+    { key: 'voiceMinutes', label: 'Voice minutes', color: '#fee75c' }
+];
+
+function initActivityChart() {
+    document.getElementById('activityRange')?.addEventListener('change', () => setupActivityChart());
+    
+    // Redraw the last data at the new size
+    window.addEventListener('resize', () => {
+        if (activityChartInstance) drawActivityChart(activityChartInstance);
+    });
+}
+
+async function setupActivityChart() {
     const canvas = document.getElementById('activityChart');
     if (!canvas || !currentSelectedServer) {
         console.log('⚠️ Activity chart canvas not found or no server selected');
         return;
     }
     
-    // For now, show a placeholder with server name
+    const serverId = currentSelectedServer;
+    const range = document.getElementById('activityRange')?.value || '24h';
+    
+    try {
+        const [activityResponse, channelsResponse] = await Promise.all([
+            fetch(`/api/servers/${serverId}/activity?range=${range}`),
+            fetch(`/api/servers/${serverId}/activity/channels?range=${range}`)
+        ]);
+        if (!activityResponse.ok || !channelsResponse.ok) {
+            throw new Error(`HTTP error! status: ${activityResponse.ok ? channelsResponse.status : activityResponse.status}`);
+        }
+        const data = await activityResponse.json();
+        const channelData = await channelsResponse.json();
+        if (serverId !== currentSelectedServer) return;
+        
+        activityChartInstance = data;
+        drawActivityChart(data);
+        displayActivitySummary(data, channelData.channels);
+    } catch (error) {
+        console.error('Error loading activity data:', error);
+        addLogEntry('error', `Failed to load activity data: ${error.message}`);
+    }
+}
+
+function drawActivityChart(data) {
+    const canvas = document.getElementById('activityChart');
+    if (!canvas) return;
+    
     const ctx = canvas.getContext('2d');
-    canvas.width = 400;
+    canvas.width = canvas.parentElement?.clientWidth || 400;
     canvas.height = 200;
-    
-    // Clear canvas
     ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.font = '11px -apple-system, BlinkMacSystemFont, Segoe UI, sans-serif';
+    
+    const points = data.activityData;
+    const max = Math.max(1, ...points.flatMap(point => ACTIVITY_SERIES.map(series => point[series.key] || 0)));
+    if (!points.some(point => ACTIVITY_SERIES.some(series => point[series.key] > 0))) {
+        ctx.fillStyle = '#9ca3af';
+        ctx.textAlign = 'center';
+        ctx.font = '14px -apple-system, BlinkMacSystemFont, Segoe UI, sans-serif';
+        ctx.fillText('No activity recorded in this period yet', canvas.width / 2, canvas.height / 2);
+        return;
+    }
+    
+    const padding = { top: 10, right: 10, bottom: 24, left: 36 };
+    const width = canvas.width - padding.left - padding.right;
+    const height = canvas.height - padding.top - padding.bottom;
+    const x = index => padding.left + (points.length > 1 ? index / (points.length - 1) : 0.5) * width;
+    const y = value => padding.top + height - (value / max) * height;
+    
+    // Grid lines with their values
+    ctx.strokeStyle = '#4f545c';
+    ctx.fillStyle = '#72767d';
+    ctx.textAlign = 'right';
+    ctx.lineWidth = 1;
+    for (let step = 0; step <= 4; step++) {
+        const value = Math.round((max / 4) * step);
+        ctx.beginPath();
+        ctx.moveTo(padding.left, y(value));
+        ctx.lineTo(padding.left + width, y(value));
+        ctx.stroke();
+        ctx.fillText(value, padding.left - 6, y(value) + 4);
+    }
     
-    // Draw placeholder with server info
-    ctx.fillStyle = '#9ca3af';
-    ctx.font = '14px -apple-system, BlinkMacSystemFont, Segoe UI, sans-serif';
+    // Up to six time labels along the bottom
     ctx.textAlign = 'center';
+    const labelEvery = Math.max(1, Math.ceil(points.length / 6));
+    points.forEach((point, index) => {
+        if (index % labelEvery !== 0) return;
+        const time = new Date(point.timestamp);
+        const label = data.granularity === 'hour' ?
+            time.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }) :
+            time.toLocaleDateString([], { month: 'short', day: 'numeric' });
+        ctx.fillText(label, x(index), canvas.height - 6);
+    });
     
-    const serverName = getServerName(currentSelectedServer);
-    ctx.fillText(`Activity Chart for ${serverName}`, canvas.width / 2, canvas.height / 2 - 10);
-    ctx.fillText('Chart.js Integration Required', canvas.width / 2, canvas.height / 2 + 10);
+    ACTIVITY_SERIES.forEach(series => {
+        ctx.strokeStyle = series.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            const method = index === 0 ? 'moveTo' : 'lineTo';
+            ctx[method](x(index), y(point[series.key] || 0));
+        });
+        ctx.stroke();
+    });
+}
+
+function displayActivitySummary(data, channels) {
+    const summary = document.getElementById('activitySummary');
+    if (summary) {
+        summary.innerHTML = '';
+        const totals = { joins: 0, leaves: 0, reactions: 0 };
+        ACTIVITY_SERIES.forEach(series => { totals[series.key] = 0; });
+        data.activityData.forEach(point => {
+            Object.keys(totals).forEach(key => { totals[key] += point[key] || 0; });
+        });
+        
+        // Active users can't be summed across buckets, so the legend shows the peak
+        const peakActive = Math.max(0, ...data.activityData.map(point => point.activeUsers || 0));
+        const items = [
+            ...ACTIVITY_SERIES.map(series => ({
+                label: series.key === 'activeUsers' ? 'Peak active users' : series.label,
+                value: series.key === 'activeUsers' ? peakActive : totals[series.key],
+                color: series.color
+            })),
+            { label: 'Reactions', value: totals.reactions },
+            { label: 'Joins', value: totals.joins },
+            { label: 'Leaves', value: totals.leaves }
+        ];
+        
+        items.forEach(item => {
+            const element = document.createElement('span');
+            if (item.color) {
+                const swatch = document.createElement('span');
+                swatch.className = 'activity-swatch';
+                swatch.style.background = item.color;
+                element.appendChild(swatch);
+            }
+            const value = document.createElement('strong');
+            value.textContent = item.value.toLocaleString();
+            element.append(`${item.label}: `, value);
+            summary.appendChild(element);
+        });
+    }
     
-    console.log('📊 Activity chart placeholder updated for', serverName);
+    const channelList = document.getElementById('activityChannels');
+    if (channelList) {
+        channelList.innerHTML = '';
+        channels.slice(0, 5).forEach(channel => {
+            const row = document.createElement('div');
+            row.className = 'activity-channel';
+            const name = document.createElement('span');
+            name.textContent = `#${channel.name || channel.channelId}`;
+            const counts = document.createElement('span');
+            counts.textContent = `${channel.messages.toLocaleString()} messages · ${channel.voiceMinutes.toLocaleString()} voice min`;
+            row.append(name, counts);
+            channelList.appendChild(row);
+        });
+    }
 }
 
 // ============================================================================
@@ -769,9 +1113,18 @@ async function loadPlugins() {
             throw new Error(`HTTP error! status: ${response.status}`);
         }
         
-        pluginComponents = await response.json();
+        const data = await response.json();
+        pluginComponents = data.components;
         console.log('📦 Loaded plugin components:', pluginComponents.length);
         
+        // Plugins that failed to load have no page, so say why here
+        data.plugins.forEach(plugin => {
+            if (plugin.status === 'failed') {
+                addLogEntry('error', `Plugin ${plugin.name} failed to load: ${plugin.error}`);
+            }
+            (plugin.warnings || []).forEach(warning => addLogEntry('warning', warning));
+        });
+        
         // Load each plugin HTML
         pluginComponents.forEach(plugin => {
             loadPluginHTML(plugin);
@@ -884,6 +1237,306 @@ function generateFeatureCards(plugins) {
     console.log(`✓ Generated ${plugins.length} feature cards`);
 }
 
+async function loadPluginManager() {
+    if (!currentSelectedServer) return;
+    
+    const serverId = currentSelectedServer;
+    try {
+        const response = await fetch(`/api/plugins/manage/${serverId}`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+        if (serverId !== currentSelectedServer) return;
+        
+        serverPlugins = data.plugins;
+        displayPluginManager(data.plugins, data.canReload);
+    } catch (error) {
+        console.error('Error loading plugin manager:', error);
+        addLogEntry('error', `Failed to load plugins for server: ${error.message}`);
+    }
+}
+
+function displayPluginManager(plugins, canReload) {
+    const list = document.getElementById('pluginManagerList');
+    if (!list) return;
+    
+    list.innerHTML = '';
+    
+    plugins.forEach(plugin => {
+        const item = document.createElement('div');
+        item.className = 'plugin-manager-item';
+        
+        const info = document.createElement('div');
+        info.className = 'plugin-manager-info';
+        const name = document.createElement('div');
+        name.className = 'feature-name';
+        name.textContent = `${plugin.name} v${plugin.version}`;
+        const status = document.createElement('div');
+        status.className = `plugin-manager-status ${plugin.status}`;
+        status.textContent = plugin.error ? `${plugin.status} - ${plugin.error}` : plugin.status;
+        info.append(name, status);
+        
+        const nameOf = id => plugins.find(other => other.id === id)?.name || id;
+        const dependencyText = [
+            ...Object.entries(plugin.dependencies || {}).map(([id, range]) => `needs ${nameOf(id)} ${range}`),
+            ...Object.entries(plugin.optionalDependencies || {}).map(([id, range]) => `uses ${nameOf(id)} ${range}`),
+            ...(plugin.dependents || []).map(id => `needed by ${nameOf(id)}`)
+        ].join(', ');
+        if (dependencyText) {
+            const dependencies = document.createElement('div');
+            dependencies.className = 'plugin-manager-status';
+            dependencies.textContent = dependencyText;
+            info.appendChild(dependencies);
+        }
+        item.appendChild(info);
+        
+        const toggle = document.createElement('label');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = plugin.enabled;
+        checkbox.disabled = plugin.status !== 'running';
+        checkbox.addEventListener('change', () => togglePluginForServer(plugin, checkbox));
+        toggle.append(checkbox, ' Enabled');
+        item.appendChild(toggle);
+        
+        // Reloading affects every server, so only the bot owner gets the button
+        if (canReload) {
+            const reloadBtn = document.createElement('button');
+            reloadBtn.className = 'btn btn-secondary';
+            reloadBtn.textContent = '🔄 Reload';
+            reloadBtn.addEventListener('click', () => reloadPlugin(plugin, reloadBtn));
+            item.appendChild(reloadBtn);
+        }
+        
+        list.appendChild(item);
+    });
+    
+    // Dim the pages of plugins that are off for this server
+    plugins.forEach(plugin => {
+        if (!plugin.componentId) return;
+        document.querySelectorAll(`[data-page="${plugin.componentId}"]`).forEach(el => {
+            el.classList.toggle('plugin-disabled', !plugin.enabled);
+            el.title = plugin.enabled ? '' : 'Disabled for this server';
+        });
+    });
+    
+    const activePluginsEl = document.getElementById('activePlugins');
+    if (activePluginsEl) {
+        activePluginsEl.textContent = plugins.filter(plugin => plugin.enabled && plugin.status === 'running').length.toString();
+    }
+}
+
+async function togglePluginForServer(plugin, checkbox) {
+    const serverId = currentSelectedServer;
+    checkbox.disabled = true;
+    
+    try {
+        const response = await fetch(`/api/plugins/manage/${serverId}/${plugin.id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled: checkbox.checked })
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        showNotification(`${plugin.name} ${checkbox.checked ? 'enabled' : 'disabled'} for ${getServerName(serverId)}`, 'success');
+        loadPluginManager();
+    } catch (error) {
+        console.error('Error toggling plugin:', error);
+        showNotification(`Failed to update ${plugin.name}: ${error.message}`, 'error');
+        checkbox.checked = !checkbox.checked;
+        checkbox.disabled = false;
+    }
+}
+
+async function reloadPlugin(plugin, button) {
+    button.disabled = true;
+    button.textContent = '⏳ Reloading...';
+    
+    try {
+        const response = await fetch(`/api/plugins/manage/${plugin.id}/reload`, { method: 'POST' });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        // The plugin's page keeps running its old dashboard script until the page is refreshed
+        showNotification(`${plugin.name} reloaded. Refresh the page to load dashboard changes.`, 'success');
+        addLogEntry('success', `Reloaded plugin ${plugin.name}`);
+    } catch (error) {
+        console.error('Error reloading plugin:', error);
+        showNotification(`Failed to reload ${plugin.name}: ${error.message}`, 'error');
+    } finally {
+        loadPluginManager();
+    }
+}
+
+// ============================================================================
+// DASHBOARD ACCESS
+// ============================================================================
+
+async function loadDashboardAccess() {
+    if (!currentSelectedServer) return;
+    
+    const serverId = currentSelectedServer;
+    const widget = document.getElementById('accessWidget');
+    try {
+        const response = await fetch(`/api/permissions/${serverId}/me`);
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const access = await response.json();
+        if (serverId !== currentSelectedServer) return;
+        
+        serverAccess = access;
+        
+        // Only admins and the server owner can see and change who has access
+        if (!access.access.permissions.view) {
+            if (widget) widget.style.display = 'none';
+            return;
+        }
+        
+        const [permissionsResponse, rolesResponse] = await Promise.all([
+            fetch(`/api/permissions/${serverId}`),
+            fetch(`/api/roles/${serverId}`)
+        ]);
+        if (!permissionsResponse.ok) {
+            throw new Error(`HTTP error! status: ${permissionsResponse.status}`);
+        }
+        const data = await permissionsResponse.json();
+        const roles = rolesResponse.ok ? await rolesResponse.json() : [];
+        if (serverId !== currentSelectedServer) return;
+        
+        displayDashboardAccess(data, roles, access.access.permissions.manage);
+        if (widget) widget.style.display = '';
+    } catch (error) {
+        console.error('Error loading dashboard access:', error);
+        addLogEntry('error', `Failed to load dashboard access: ${error.message}`);
+    }
+}
+
+function displayDashboardAccess(data, roles, canManage) {
+    const editor = document.getElementById('accessEditor');
+    if (!editor) return;
+    
+    editor.innerHTML = '';
+    
+    // Discord roles and users that hold each dashboard role
+    data.assignableRoles.forEach(dashboardRole => {
+        const group = document.createElement('div');
+        group.className = 'form-group';
+        
+        const label = document.createElement('label');
+        label.textContent = dashboardRole.charAt(0).toUpperCase() + dashboardRole.slice(1);
+        
+        const roleSelect = document.createElement('select');
+        roleSelect.className = 'form-control';
+        roleSelect.multiple = true;
+        roleSelect.dataset.accessRole = dashboardRole;
+        roles.forEach(role => {
+            const option = document.createElement('option');
+            option.value = role.id;
+            option.textContent = role.name;
+            option.selected = data.config.roles[dashboardRole].roleIds.includes(role.id);
+            roleSelect.appendChild(option);
+        });
+        
+        const users = document.createElement('input');
+        users.className = 'form-control';
+        users.placeholder = 'User IDs, separated by commas';
+        users.value = data.config.roles[dashboardRole].userIds.join(', ');
+        users.dataset.accessUsers = dashboardRole;
+        
+        group.append(label, roleSelect, users);
+        editor.appendChild(group);
+    });
+    
+    // Lowest dashboard role allowed to view and to change each part of the dashboard
+    data.scopes.forEach(scope => {
+        const item = document.createElement('div');
+        item.className = 'plugin-manager-item';
+        
+        const name = document.createElement('div');
+        name.className = 'plugin-manager-info feature-name';
+        name.textContent = scope.name;
+        item.appendChild(name);
+        
+        ['view', 'manage'].forEach(action => {
+            const label = document.createElement('label');
+            const select = document.createElement('select');
+            select.className = 'form-control';
+            select.dataset.scope = scope.id;
+            select.dataset.action = action;
+            data.dashboardRoles.forEach(dashboardRole => {
+                const option = document.createElement('option');
+                option.value = dashboardRole;
+                option.textContent = dashboardRole;
+                option.selected = scope[action] === dashboardRole;
+                select.appendChild(option);
+            });
+            label.append(`${action === 'view' ? 'View' : 'Manage'} `, select);
+            item.appendChild(label);
+        });
+        
+        editor.appendChild(item);
+    });
+    
+    editor.querySelectorAll('select, input').forEach(field => {
+        field.disabled = !canManage;
+    });
+    
+    if (canManage) {
+        const saveBtn = document.createElement('button');
+        saveBtn.className = 'btn btn-primary';
+        saveBtn.textContent = '💾 Save Access';
+        saveBtn.addEventListener('click', () => saveDashboardAccess(saveBtn));
+        editor.appendChild(saveBtn);
+    }
+}
+
+async function saveDashboardAccess(button) {
+    const serverId = currentSelectedServer;
+    const editor = document.getElementById('accessEditor');
+    const config = { roles: {}, scopes: {} };
+    
+    editor.querySelectorAll('[data-access-role]').forEach(select => {
+        config.roles[select.dataset.accessRole] = {
+            roleIds: [...select.selectedOptions].map(option => option.value),
+            userIds: []
+        };
+    });
+    editor.querySelectorAll('[data-access-users]').forEach(input => {
+        config.roles[input.dataset.accessUsers].userIds = input.value.split(',').map(id => id.trim()).filter(Boolean);
+    });
+    editor.querySelectorAll('[data-scope]').forEach(select => {
+        config.scopes[select.dataset.scope] = config.scopes[select.dataset.scope] || {};
+        config.scopes[select.dataset.scope][select.dataset.action] = select.value;
+    });
+    
+    button.disabled = true;
+    try {
+        const response = await fetch(`/api/permissions/${serverId}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(config)
+        });
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
+        }
+        
+        showNotification(`Dashboard access updated for ${getServerName(serverId)}`, 'success');
+        loadDashboardAccess();
+    } catch (error) {
+        console.error('Error saving dashboard access:', error);
+        showNotification(`Failed to update dashboard access: ${error.message}`, 'error');
+        button.disabled = false;
+    }
+}
+
 // ============================================================================
 // EVENT HANDLERS AND NAVIGATION
 // ============================================================================
@@ -1004,6 +1657,8 @@ async function initializeDashboard() {
         initConsoleLog();
         initQuickMessageSender();
         initLeaderboards();
+        initAuditLog();
+        initActivityChart();
         
         // Load initial data if server is selected
         if (currentSelectedServer) {
@@ -1044,9 +1699,17 @@ function setupAutoRefresh() {
         }
     }, 30000);
     
-    // Refresh moderators every 2 minutes
+    // Refresh the activity chart every minute while Realtime is on
     setInterval(() => {
-        if (currentSelectedServer && document.querySelector('.page.active')?.id === 'overview-page') {
+        if (currentSelectedServer && document.getElementById('activityRealtime')?.checked &&
+            document.querySelector('.page.active')?.id === 'overview-page') {
+            setupActivityChart();
+        }
+    }, 60000);
+    
+    // Refresh moderators every 2 minutes, unless live updates already refresh them on each action
+    setInterval(() => {
+        if (currentSelectedServer && !isLiveConnected() && document.querySelector('.page.active')?.id === 'overview-page') {
             loadModerators();
         }
     }, 120000);
@@ -1,9 +1,11 @@
 const fs = require('fs');
 const path = require('path');
+const { createStorage } = require('./storage');
 
 // Simple script to reset all users to Level 5 (2,500 XP)
 async function resetToLevel5() {
-    const dataFile = path.join(__dirname, 'data', 'levelingData.json');
+    const storage = createStorage({ dataDir: path.join(__dirname, 'data') });
+    const userStore = storage.collection('leveling.users');
     const backupDir = path.join(__dirname, 'backups');
     const backupFile = path.join(backupDir, `levelingData_backup_${Date.now()}.json`);
     
@@ -16,14 +18,14 @@ async function resetToLevel5() {
         }
         
         // Read current data
-        if (!fs.existsSync(dataFile)) {
-            console.log('❌ levelingData.json not found in data folder!');
-            console.log('Expected path:', dataFile);
+        await storage.init();
+        const data = { users: await userStore.all() };
+        
+        if (Object.keys(data.users).length === 0) {
+            console.log('❌ No leveling data found!');
             return;
         }
         
-        const data = JSON.parse(fs.readFileSync(dataFile, 'utf8'));
-        
         // Create backup
         fs.writeFileSync(backupFile, JSON.stringify(data, null, 2));
         console.log(`✅ Backup created: ${path.basename(backupFile)}`);
@@ -65,7 +67,7 @@ async function resetToLevel5() {
         }
         
         // Save modified data
-        fs.writeFileSync(dataFile, JSON.stringify(data, null, 2));
+        await userStore.replace(data.users);
         
         console.log(`\n✅ Reset complete!`);
         console.log(`   🔄 Users modified: ${usersReset}/${totalUsers}`);
@@ -79,6 +81,8 @@ async function resetToLevel5() {
     } catch (error) {
         console.error('❌ Error:', error.message);
         console.error('Full error:', error);
+    } finally {
+        await storage.close();
     }
 }
 
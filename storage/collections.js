@@ -0,0 +1,76 @@
+// Maps storage collections onto the JSON files plugins have always used.
+// The JSON adapter reads and writes these files directly; the SQLite adapter
+// uses them to import existing data the first time a collection is opened.
+//
+// `file`    - file name inside the data directory
+// `section` - optional top-level key when several collections share one file
+//
+// Collections not listed here are stored in `<name>.json`.
+module.exports = {
+    // Plugin loader
+    'plugins.guilds': { file: 'pluginGuildSettings.json' },
+
+    // Dashboard permissions
+    'permissions.guilds': { file: 'dashboardPermissions.json' },
+
+    // Moderator audit log
+    'audit.entries': { file: 'moderatorAudit.json' },
+
+    // Server activity analytics
+    'analytics.activity': { file: 'activityAnalytics.json' },
+    'analytics.settings': { file: 'activityAnalyticsSettings.json' },
+
+    // Leveling
+    'leveling.users': { file: 'levelingData.json', section: 'users' },
+    'leveling.settings': { file: 'levelingSettings.json' },
+    'leveling.boosts': { file: 'levelingBoosts.json' },
+    'leveling.withheld': { file: 'levelingWithheld.json' },
+    'leveling.seasons': { file: 'levelingSeasons.json' },
+    'leveling.decay': { file: 'levelingDecay.json' },
+    'leveling.audit': { file: 'levelingAudit.json' },
+
+    // Reputation
+    'reputation.users': { file: 'reputationData.json', section: 'users' },
+    'reputation.history': { file: 'reputationData.json', section: 'history' },
+    'reputation.leaderboards': { file: 'reputationData.json', section: 'leaderboards' },
+    'reputation.settings': { file: 'reputationSettings.json' },
+    'reputation.audit': { file: 'reputationAudit.json' },
+
+    // Auto-Role
+    'autorole.settings': { file: 'autoRoleSettings.json' },
+    'autorole.reactionRoles': { file: 'reactionRoles.json' },
+    'autorole.levelRoles': { file: 'levelRoles.json' },
+    'autorole.panels': { file: 'rolePanels.json' },
+    'autorole.selfAssign': { file: 'selfAssignRoles.json' },
+    'autorole.tempRoles': { file: 'temporaryRoles.json' },
+    'autorole.verification': { file: 'verification.json' },
+    'autorole.stickyRoles': { file: 'stickyRoles.json' },
+    'autorole.syncJobs': { file: 'levelRoleSyncJobs.json' },
+    'autorole.syncMembers': { file: 'levelRoleSyncMembers.json' },
+    'autorole.ruleRoles': { file: 'ruleRoles.json' },
+
+    // Word Filter
+    'wordfilter.settings': { file: 'wordFilterSettings.json' },
+    'wordfilter.stats': { file: 'wordFilterStats.json' },
+
+    // Channel Rules
+    'channelrules.rules': { file: 'channelRules.json' },
+
+    // Custom Commands
+    'customcommands.commands': { file: 'customCommands.json' },
+    'customcommands.variables': { file: 'customVariables.json' },
+    'customcommands.templates': { file: 'commandTemplates.json' },
+
+    // Link Tracking
+    'linktracking.links': { file: 'trackingLinks.json' },
+    'linktracking.analytics': { file: 'linkAnalytics.json' },
+
+    // Genre Discovery
+    'genrediscovery.users': { file: 'genreDiscoveryData.json' },
+    'genrediscovery.settings': { file: 'genreDiscoverySettings.json' },
+    'genrediscovery.categories': { file: 'genreCategories.json' },
+
+    // Event Manager
+    'eventmanager.settings': { file: 'eventManagerSettings.json' },
+    'eventmanager.collaborations': { file: 'eventManagerCollaborations.json' }
+};
@@ -0,0 +1,127 @@
+const JsonAdapter = require('./jsonAdapter');
+const SqliteAdapter = require('./sqliteAdapter');
+const layouts = require('./collections');
+
+const ADAPTERS = {
+    json: JsonAdapter,
+    sqlite: SqliteAdapter
+};
+
+// A named group of JSON values, usually keyed by guild or user ID
+class Collection {
+    constructor(storage, name) {
+        this.storage = storage;
+        this.name = name;
+        this.updates = new Map(); // key -> last queued update, so updates to one key never interleave
+    }
+
+    get adapter() {
+        return this.storage.adapter;
+    }
+
+    async get(key, defaultValue = undefined) {
+        const value = await this.adapter.get(this.name, key);
+        return value === undefined ? defaultValue : value;
+    }
+
+    async has(key) {
+        return (await this.adapter.get(this.name, key)) !== undefined;
+    }
+
+    async set(key, value) {
+        if (value === undefined) {
+            return this.delete(key);
+        }
+        await this.adapter.set(this.name, key, value);
+    }
+
+    async setMany(values) {
+        await this.adapter.setMany(this.name, values);
+    }
+
+    async delete(key) {
+        await this.adapter.delete(this.name, key);
+    }
+
+    async all() {
+        return this.adapter.all(this.name);
+    }
+
+    async keys() {
+        return Object.keys(await this.all());
+    }
+
+    // Replaces the whole collection, for plugins that still work on one big object
+    async replace(values) {
+        await this.adapter.replace(this.name, values || {});
+    }
+
+    // Read-modify-write on one key. Updates to the same key run one at a time,
+    // each seeing the value the previous one stored.
+    update(key, updater, defaultValue = undefined) {
+        const previous = this.updates.get(key) || Promise.resolve();
+        const result = previous.then(async () => {
+            const current = await this.get(key, defaultValue);
+            const next = await updater(current);
+            const value = next === undefined ? current : next;
+            await this.set(key, value);
+            return value;
+        });
+
+        const queued = result.catch(() => {});
+        this.updates.set(key, queued);
+        queued.then(() => {
+            if (this.updates.get(key) === queued) this.updates.delete(key);
+        });
+        return result;
+    }
+}
+
+class Storage {
+    constructor(adapter) {
+        this.adapter = adapter;
+        this.collections = new Map();
+    }
+
+    get driver() {
+        return this.adapter.name;
+    }
+
+    async init() {
+        await this.adapter.init();
+        console.log(`✓ Storage: Using ${this.driver} adapter`);
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new Collection(this, name));
+        }
+        return this.collections.get(name);
+    }
+
+    async close() {
+        await this.adapter.close();
+    }
+}
+
+// Builds the storage layer from STORAGE_DRIVER (json or sqlite), defaulting to JSON files
+function createStorage(options = {}) {
+    const driver = (options.driver || process.env.STORAGE_DRIVER || 'json').toLowerCase();
+    const Adapter = ADAPTERS[driver];
+
+    if (!Adapter) {
+        throw new Error(`Unknown storage driver "${driver}". Expected one of: ${Object.keys(ADAPTERS).join(', ')}`);
+    }
+
+    return new Storage(new Adapter({
+        dataDir: options.dataDir || process.env.DATA_DIR || './data',
+        filename: options.filename || process.env.SQLITE_FILE,
+        layouts
+    }));
+}
+
+module.exports = {
+    createStorage,
+    Storage,
+    Collection
+};
@@ -0,0 +1,141 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Stores every collection in a plain JSON file, the way plugins did before the
+// storage layer existed. Each write rewrites the whole file, so this adapter is
+// best suited to small servers and to setups that edit the data files by hand.
+class JsonAdapter {
+    constructor(options = {}) {
+        this.name = 'json';
+        this.dataDir = options.dataDir || './data';
+        this.layouts = options.layouts || {};
+
+        // Writes to the same file are chained so they never interleave
+        this.writeQueues = new Map();
+        this.pendingBatches = new Map();
+    }
+
+    async init() {
+        await fs.mkdir(this.dataDir, { recursive: true });
+    }
+
+    async close() {
+        await Promise.all(this.writeQueues.values());
+    }
+
+    getLayout(collection) {
+        return this.layouts[collection] || { file: `${collection}.json` };
+    }
+
+    getFilePath(collection) {
+        return path.join(this.dataDir, this.getLayout(collection).file);
+    }
+
+    async readFile(filePath, strict = false) {
+        try {
+            const content = await fs.readFile(filePath, 'utf8');
+            return JSON.parse(content);
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+
+            // Never let a write replace a file we could not parse
+            if (strict) throw new Error(`Refusing to overwrite unreadable file ${filePath}: ${error.message}`);
+
+            console.warn(`⚠ Storage: Could not read ${filePath}, treating it as empty`);
+            return {};
+        }
+    }
+
+    async writeFile(filePath, document) {
+        const tempFile = filePath + '.tmp';
+        await fs.writeFile(tempFile, JSON.stringify(document, null, 2));
+        await fs.rename(tempFile, filePath);
+    }
+
+    // Runs a read-modify-write cycle on a collection's file. Changes queued while
+    // the file is busy are applied together, so each file is written once per batch.
+    mutate(collection, mutator) {
+        const filePath = this.getFilePath(collection);
+        const { section } = this.getLayout(collection);
+
+        let batch = this.pendingBatches.get(filePath);
+        if (!batch) {
+            batch = { changes: [] };
+
+            const previous = this.writeQueues.get(filePath) || Promise.resolve();
+            batch.promise = previous.catch(() => {}).then(() => {
+                this.pendingBatches.delete(filePath);
+                return this.applyChanges(filePath, batch.changes);
+            });
+
+            this.pendingBatches.set(filePath, batch);
+            this.writeQueues.set(filePath, batch.promise);
+            batch.promise.finally(() => {
+                if (this.writeQueues.get(filePath) === batch.promise) {
+                    this.writeQueues.delete(filePath);
+                }
+            }).catch(() => {});
+        }
+
+        batch.changes.push({ section, mutator });
+        return batch.promise;
+    }
+
+    async applyChanges(filePath, changes) {
+        let document = await this.readFile(filePath, true);
+
+        for (const { section, mutator } of changes) {
+            if (section) {
+                if (!document[section] || typeof document[section] !== 'object') {
+                    document[section] = {};
+                }
+                document[section] = mutator(document[section]) || document[section];
+            } else {
+                document = mutator(document) || document;
+            }
+        }
+
+        await this.writeFile(filePath, document);
+    }
+
+    async all(collection) {
+        const filePath = this.getFilePath(collection);
+        const { section } = this.getLayout(collection);
+
+        // Let pending writes land before reading the file back
+        await (this.writeQueues.get(filePath) || Promise.resolve()).catch(() => {});
+
+        const document = await this.readFile(filePath);
+        const entries = section ? document[section] : document;
+        return entries && typeof entries === 'object' ? entries : {};
+    }
+
+    async get(collection, key) {
+        const entries = await this.all(collection);
+        return entries[key];
+    }
+
+    async set(collection, key, value) {
+        await this.mutate(collection, entries => {
+            entries[key] = value;
+        });
+    }
+
+    async setMany(collection, values) {
+        await this.mutate(collection, entries => {
+            Object.assign(entries, values);
+        });
+    }
+
+    async delete(collection, key) {
+        await this.mutate(collection, entries => {
+            delete entries[key];
+        });
+    }
+
+    async replace(collection, values) {
+        await this.mutate(collection, () => ({ ...values }));
+    }
+}
+
+module.exports = JsonAdapter;
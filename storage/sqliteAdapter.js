@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+
+// Stores every collection as rows in an embedded SQLite database, one row per
+// key. Updating a single user only touches that user's row, so large servers no
+// longer rewrite a multi-megabyte file on every change.
+class SqliteAdapter {
+    constructor(options = {}) {
+        this.name = 'sqlite';
+        this.dataDir = options.dataDir || './data';
+        this.filename = options.filename || 'fuji.sqlite';
+        this.layouts = options.layouts || {};
+        this.db = null;
+        this.statements = null;
+        this.imported = new Set();
+    }
+
+    async init() {
+        // Loaded lazily so the JSON adapter works without the native module
+        const Database = require('better-sqlite3');
+
+        fs.mkdirSync(this.dataDir, { recursive: true });
+        this.db = new Database(path.join(this.dataDir, this.filename));
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('synchronous = NORMAL');
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS entries (
+                collection TEXT NOT NULL,
+                key TEXT NOT NULL,
+                value TEXT NOT NULL,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (collection, key)
+            );
+            CREATE TABLE IF NOT EXISTS imported_collections (
+                collection TEXT PRIMARY KEY,
+                source TEXT,
+                imported_at INTEGER NOT NULL
+            );
+        `);
+
+        this.statements = {
+            get: this.db.prepare('SELECT value FROM entries WHERE collection = ? AND key = ?'),
+            all: this.db.prepare('SELECT key, value FROM entries WHERE collection = ?'),
+            set: this.db.prepare(`
+                INSERT INTO entries (collection, key, value, updated_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT (collection, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+            `),
+            delete: this.db.prepare('DELETE FROM entries WHERE collection = ? AND key = ?'),
+            isImported: this.db.prepare('SELECT 1 FROM imported_collections WHERE collection = ?'),
+            markImported: this.db.prepare('INSERT OR REPLACE INTO imported_collections (collection, source, imported_at) VALUES (?, ?, ?)')
+        };
+
+        for (const row of this.db.prepare('SELECT collection FROM imported_collections').all()) {
+            this.imported.add(row.collection);
+        }
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    // Copies a collection's legacy JSON file into the database the first time it is used
+    importLegacy(collection) {
+        if (this.imported.has(collection)) return;
+        this.imported.add(collection);
+
+        if (this.statements.isImported.get(collection)) return;
+
+        const layout = this.layouts[collection] || { file: `${collection}.json` };
+        const filePath = path.join(this.dataDir, layout.file);
+        let entries = {};
+
+        try {
+            if (fs.existsSync(filePath)) {
+                const document = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+                entries = (layout.section ? document[layout.section] : document) || {};
+            }
+        } catch (error) {
+            console.error(`Storage: Could not import ${filePath} into SQLite:`, error.message);
+            return;
+        }
+
+        const now = Date.now();
+        this.db.transaction(() => {
+            for (const [key, value] of Object.entries(entries)) {
+                if (value === undefined) continue;
+                this.statements.set.run(collection, key, JSON.stringify(value), now);
+            }
+            this.statements.markImported.run(collection, layout.file, now);
+        })();
+
+        if (Object.keys(entries).length > 0) {
+            console.log(`✓ Storage: Imported ${Object.keys(entries).length} entries from ${layout.file} into ${collection}`);
+        }
+    }
+
+    async all(collection) {
+        this.importLegacy(collection);
+
+        const entries = {};
+        for (const row of this.statements.all.all(collection)) {
+            entries[row.key] = JSON.parse(row.value);
+        }
+        return entries;
+    }
+
+    async get(collection, key) {
+        this.importLegacy(collection);
+
+        const row = this.statements.get.get(collection, String(key));
+        return row ? JSON.parse(row.value) : undefined;
+    }
+
+    async set(collection, key, value) {
+        this.importLegacy(collection);
+        this.statements.set.run(collection, String(key), JSON.stringify(value), Date.now());
+    }
+
+    async setMany(collection, values) {
+        this.importLegacy(collection);
+
+        const now = Date.now();
+        this.db.transaction(() => {
+            for (const [key, value] of Object.entries(values)) {
+                if (value === undefined) continue;
+                this.statements.set.run(collection, key, JSON.stringify(value), now);
+            }
+        })();
+    }
+
+    async delete(collection, key) {
+        this.importLegacy(collection);
+        this.statements.delete.run(collection, String(key));
+    }
+
+    // Writes only the rows that actually changed, then drops keys that are gone
+    async replace(collection, values) {
+        this.importLegacy(collection);
+
+        const now = Date.now();
+        this.db.transaction(() => {
+            const existing = new Map();
+            for (const row of this.statements.all.all(collection)) {
+                existing.set(row.key, row.value);
+            }
+
+            for (const [key, value] of Object.entries(values)) {
+                if (value === undefined) continue;
+                const serialized = JSON.stringify(value);
+                if (existing.get(key) !== serialized) {
+                    this.statements.set.run(collection, key, serialized, now);
+                }
+                existing.delete(key);
+            }
+
+            for (const key of existing.keys()) {
+                this.statements.delete.run(collection, key);
+            }
+        })();
+    }
+}
+
+module.exports = SqliteAdapter;
@@ -0,0 +1,160 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { ActivityAnalytics } = require('../lib/analytics');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2026, 9, 19, 18, 30);
+
+let dataDir;
+let storage;
+let analytics;
+
+beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fuji-analytics-'));
+    // Status lines on stdout get mixed into the test runner's own output
+    mock.method(console, 'log', () => {});
+    mock.timers.enable({ apis: ['Date'], now: NOW });
+
+    storage = createStorage({ driver: 'json', dataDir });
+    await storage.init();
+    const logger = { debug() {}, info() {}, warn() {}, error() {} };
+    analytics = new ActivityAnalytics(null, storage, { logger });
+});
+
+afterEach(async () => {
+    await storage.close();
+    mock.timers.reset();
+    mock.restoreAll();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+// A voice state update for u1, from one channel to another
+function voiceMove(from, to) {
+    const member = { id: 'u1', user: { bot: false } };
+    const guild = { id: 'g1', afkChannelId: 'afk' };
+    return [{ channelId: from, member, guild }, { channelId: to, member, guild }];
+}
+
+test('counts go into hourly and daily buckets, per server and per channel', async () => {
+    analytics.count('g1', 'messages', { channelId: 'c1', userId: 'u1' });
+    analytics.count('g1', 'messages', { channelId: 'c2', userId: 'u2' });
+    analytics.count('g1', 'joins');
+    await analytics.flush();
+
+    const { hourly, daily } = await storage.collection('analytics.activity').get('g1');
+    assert.deepEqual(Object.keys(hourly), ['2026-10-19T18']);
+    assert.deepEqual(Object.keys(daily), ['2026-10-19']);
+    assert.deepEqual(hourly['2026-10-19T18'], {
+        messages: 2,
+        joins: 1,
+        leaves: 0,
+        voiceMinutes: 0,
+        reactions: 0,
+        activeUsers: 2,
+        channels: {
+            c1: { messages: 1, reactions: 0, voiceMinutes: 0 },
+            c2: { messages: 1, reactions: 0, voiceMinutes: 0 }
+        },
+        users: ['u1', 'u2']
+    });
+});
+
+test('a member active across several flushes counts once per bucket', async () => {
+    analytics.count('g1', 'messages', { userId: 'u1' });
+    await analytics.flush();
+    analytics.count('g1', 'reactions', { userId: 'u1' });
+    analytics.count('g1', 'messages', { userId: 'u2' });
+    await analytics.flush();
+
+    const { hourly } = await storage.collection('analytics.activity').get('g1');
+    assert.equal(hourly['2026-10-19T18'].activeUsers, 2);
+    assert.equal(hourly['2026-10-19T18'].messages, 2);
+});
+
+test('closed buckets drop their user lists and old buckets are pruned', () => {
+    const bucket = (users = undefined) => ({ messages: 1, joins: 0, leaves: 0, voiceMinutes: 0, reactions: 0, activeUsers: 1, channels: {}, ...(users && { users }) });
+    const data = {
+        hourly: { '2026-10-19T18': bucket(['u1']), '2026-10-19T17': bucket(['u1']), '2026-10-05T18': bucket(), '2026-10-05T17': bucket() },
+        daily: { '2026-10-19': bucket(['u1']), '2026-07-21': bucket(), '2026-07-20': bucket() }
+    };
+
+    analytics.applyPending('g1', data, undefined, NOW);
+
+    assert.deepEqual(Object.keys(data.hourly), ['2026-10-19T18', '2026-10-19T17', '2026-10-05T18']);
+    assert.deepEqual(data.hourly['2026-10-19T18'].users, ['u1']);
+    assert.equal(data.hourly['2026-10-19T17'].users, undefined);
+    assert.deepEqual(Object.keys(data.daily), ['2026-10-19', '2026-07-21']);
+});
+
+test('retention follows each server\'s settings', async () => {
+    await analytics.updateSettings('g1', { hourlyRetentionDays: 1, ignored: true });
+    assert.deepEqual(analytics.getSettings('g1'), { hourlyRetentionDays: 1, dailyRetentionDays: 90 });
+
+    const data = { hourly: { '2026-10-18T19': {}, '2026-10-18T17': {} }, daily: {} };
+    analytics.applyPending('g1', data, undefined, NOW);
+    assert.deepEqual(Object.keys(data.hourly), ['2026-10-18T19']);
+
+    assert.equal(analytics.validateSettings({ dailyRetentionDays: 730 }), null);
+    assert.match(analytics.validateSettings({ hourlyRetentionDays: 91 }), /between 1 and 90/);
+    assert.match(analytics.validateSettings({ dailyRetentionDays: 1.5 }), /whole number of days/);
+});
+
+test('series have a point for every hour, including counts not written yet', async () => {
+    analytics.count('g1', 'messages', { channelId: 'c1', userId: 'u1', time: NOW - 2 * HOUR });
+    await analytics.flush();
+    analytics.count('g1', 'messages', { channelId: 'c2', userId: 'u1' });
+    analytics.count('g1', 'reactions', { channelId: 'c1', userId: 'u2' });
+
+    const series = await analytics.getSeries('g1', { from: NOW - 3 * HOUR, to: NOW, granularity: 'hour' });
+    assert.deepEqual(series.map(point => point.timestamp), [
+        '2026-10-19T15:00:00.000Z', '2026-10-19T16:00:00.000Z', '2026-10-19T17:00:00.000Z', '2026-10-19T18:00:00.000Z'
+    ]);
+    assert.deepEqual(series.map(point => [point.messages, point.reactions, point.activeUsers]), [[0, 0, 0], [1, 0, 1], [0, 0, 0], [1, 1, 2]]);
+
+    const channel = await analytics.getSeries('g1', { from: NOW - 3 * HOUR, to: NOW, granularity: 'hour', channelId: 'c1' });
+    assert.deepEqual(channel.at(-1), { timestamp: '2026-10-19T18:00:00.000Z', messages: 0, reactions: 1, voiceMinutes: 0 });
+
+    assert.deepEqual(await analytics.getChannelTotals('g1', { from: NOW - DAY, to: NOW }), [
+        { channelId: 'c1', messages: 1, reactions: 1, voiceMinutes: 0 },
+        { channelId: 'c2', messages: 1, reactions: 0, voiceMinutes: 0 }
+    ]);
+    assert.equal(await analytics.getTotalMessages('g1'), 2);
+});
+
+test('voice minutes are counted until the member leaves, except in the AFK channel', async () => {
+    analytics.handleVoiceState(...voiceMove(null, 'v1'));
+    mock.timers.tick(30 * 60 * 1000);
+    analytics.handleVoiceState(...voiceMove('v1', 'afk'));
+    mock.timers.tick(60 * 60 * 1000);
+    analytics.handleVoiceState(...voiceMove('afk', 'v2'));
+    mock.timers.tick(15 * 60 * 1000);
+
+    // Members still in voice are counted up to each flush
+    await analytics.flush();
+    assert.deepEqual(await analytics.getChannelTotals('g1', { from: NOW, to: NOW + DAY }), [
+        { channelId: 'v1', messages: 0, reactions: 0, voiceMinutes: 30 },
+        { channelId: 'v2', messages: 0, reactions: 0, voiceMinutes: 15 }
+    ]);
+});
+
+test('ranges are parsed into spans with a fitting granularity', () => {
+    assert.deepEqual(analytics.parseRange('g1', {}), { from: NOW - DAY, to: NOW, granularity: 'hour', retentionDays: 14 });
+    assert.deepEqual(analytics.parseRange('g1', { range: '30d' }), { from: NOW - 30 * DAY, to: NOW, granularity: 'day', retentionDays: 90 });
+    assert.equal(analytics.parseRange('g1', { range: '7d', granularity: 'hour' }).granularity, 'hour');
+
+    const custom = analytics.parseRange('g1', { from: '2026-10-01', to: '2026-10-02T12:00:00Z' });
+    assert.deepEqual(custom, { from: Date.UTC(2026, 9, 1), to: Date.UTC(2026, 9, 2, 12), granularity: 'hour', retentionDays: 14 });
+});
+
+test('unusable ranges are explained', () => {
+    assert.match(analytics.parseRange('g1', { range: '1y' }).error, /Use range=24h, 7d, 30d or 90d/);
+    assert.match(analytics.parseRange('g1', { from: 'yesterday' }).error, /valid from and to dates/);
+    assert.match(analytics.parseRange('g1', { from: '2026-10-02', to: '2026-10-01' }).error, /from must be before to/);
+    assert.match(analytics.parseRange('g1', { granularity: 'minute' }).error, /hour or day/);
+    assert.match(analytics.parseRange('g1', { range: '90d', granularity: 'hour' }).error, /more than 2000 hours/);
+});
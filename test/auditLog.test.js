@@ -0,0 +1,100 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { AuditLog } = require('../lib/auditLog');
+
+let dataDir;
+let storage;
+
+beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fuji-audit-'));
+    // Status lines on stdout get mixed into the test runner's own output
+    mock.method(console, 'log', () => {});
+
+    storage = createStorage({ driver: 'json', dataDir });
+    await storage.init();
+});
+
+afterEach(async () => {
+    await storage.close();
+    mock.restoreAll();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('entries recorded at the same time are all kept, newest first', async () => {
+    const recorded = [];
+    const audit = new AuditLog(storage, { onRecord: (guildId, entry) => recorded.push(entry.action) });
+
+    await Promise.all(Array.from({ length: 10 }, (_, index) => audit.record('g1', { actorId: 'u1', action: `action ${index}` })));
+
+    const { entries, total } = await audit.query('g1');
+    assert.equal(total, 10);
+    assert.equal(entries[0].action, 'action 9');
+    assert.equal(entries[9].action, 'action 0');
+    assert.equal(recorded.length, 10);
+    assert.deepEqual((await audit.query('g2')).entries, []);
+});
+
+test('find filters by actor, plugin, action, target and time', async () => {
+    const audit = new AuditLog(storage);
+    await audit.record('g1', { actorId: 'u1', plugin: 'wordfilter', action: 'POST words', target: { word: 'spam' } });
+    await audit.record('g1', { actorId: 'u2', plugin: 'leveling', action: 'Reset XP', target: 'u3' });
+    const cutoff = new Date(Date.now() + 60000).toISOString();
+
+    assert.equal((await audit.find('g1', { actorId: 'u2' })).length, 1);
+    assert.equal((await audit.find('g1', { plugin: 'wordfilter' }))[0].actorId, 'u1');
+    assert.equal((await audit.find('g1', { action: 'reset' }))[0].target, 'u3');
+    assert.equal((await audit.find('g1', { target: 'spam' }))[0].plugin, 'wordfilter');
+    assert.equal((await audit.find('g1', { to: cutoff })).length, 2);
+    assert.equal((await audit.find('g1', { from: cutoff })).length, 0);
+});
+
+test('query pages results and clamps out-of-range pages', async () => {
+    const audit = new AuditLog(storage);
+    for (let index = 0; index < 5; index++) {
+        await audit.record('g1', { action: `action ${index}` });
+    }
+
+    const second = await audit.query('g1', { limit: '2', page: '2' });
+    assert.deepEqual(second.entries.map(entry => entry.action), ['action 2', 'action 1']);
+    assert.deepEqual({ total: second.total, pages: second.pages, limit: second.limit }, { total: 5, pages: 3, limit: 2 });
+
+    const last = await audit.query('g1', { limit: '2', page: '99' });
+    assert.equal(last.page, 3);
+    assert.deepEqual(last.entries.map(entry => entry.action), ['action 0']);
+});
+
+test('CSV export quotes cells with commas, quotes and newlines', async () => {
+    const audit = new AuditLog(storage);
+    const entry = await audit.record('g1', {
+        actorId: 'u1',
+        actorName: 'Ann, "the mod"',
+        action: 'Edit\nmessage',
+        after: { text: 'hi' }
+    });
+
+    assert.equal(audit.toCsv([entry]), [
+        'id,timestamp,actorId,actorName,plugin,action,target,before,after',
+        `${entry.id},${entry.timestamp},u1,"Ann, ""the mod""",dashboard,"Edit\nmessage",,,"{""text"":""hi""}"`
+    ].join('\n'));
+});
+
+test('CSV export keeps spreadsheets from running cells as formulas', async () => {
+    const audit = new AuditLog(storage);
+    const entries = await Promise.all(['=HYPERLINK("x")', '+1', '-1', '@SUM(A1)'].map(target => audit.record('g1', { action: 'Ban', target })));
+
+    const targets = audit.toCsv(entries).split('\n').slice(1).map(row => row.split(',')[6]);
+    assert.deepEqual(targets, ['"\'=HYPERLINK(""x"")"', "'+1", "'-1", "'@SUM(A1)"]);
+});
+
+test('very large payloads are noted instead of stored', async () => {
+    const audit = new AuditLog(storage);
+    const entry = await audit.record('g1', { action: 'Import', after: { data: 'x'.repeat(30000) } });
+
+    assert.equal(entry.after.truncated, true);
+    assert.ok(entry.after.length > 30000);
+    assert.equal(entry.before, null);
+});
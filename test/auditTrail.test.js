@@ -0,0 +1,77 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+const { AuditTrail } = require('../lib/auditTrail');
+
+let dataDir;
+let storage;
+
+beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fuji-trail-'));
+    // Status lines on stdout get mixed into the test runner's own output
+    mock.method(console, 'log', () => {});
+
+    storage = createStorage({ driver: 'json', dataDir });
+    await storage.init();
+});
+
+afterEach(async () => {
+    await storage.close();
+    mock.restoreAll();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('events are stored under their own keys and listed newest first', async () => {
+    const collection = storage.collection('leveling.audit');
+    const trail = new AuditTrail(collection);
+
+    const first = await trail.add({ guildId: 'g1', type: 'a' });
+    const second = await trail.add({ guildId: 'g1', type: 'b' });
+
+    assert.deepEqual(await collection.keys(), [first.id, second.id]);
+    assert.deepEqual((await trail.list()).map(event => event.type), ['b', 'a']);
+});
+
+test('the old single events array is split into one key per event', async () => {
+    fs.writeFileSync(path.join(dataDir, 'levelingAudit.json'), JSON.stringify({
+        events: [{ timestamp: 5, type: 'newer' }, { timestamp: 5, type: 'older' }, { timestamp: 1, type: 'oldest' }]
+    }));
+    const collection = storage.collection('leveling.audit');
+    const trail = new AuditTrail(collection);
+
+    assert.deepEqual((await trail.list()).map(event => event.type), ['newer', 'older', 'oldest']);
+    assert.equal(await collection.has('events'), false);
+    assert.equal((await collection.keys()).length, 3);
+});
+
+test('only one of two concurrent updates sees the event unchanged', async () => {
+    const trail = new AuditTrail(storage.collection('leveling.audit'));
+    const run = await trail.add({ type: 'xp_decay', details: {} });
+    const markUndone = by => trail.update(run.id, event => {
+        if (event.details.revertedBy) return undefined;
+        return { ...event, details: { revertedBy: by } };
+    });
+
+    const results = await Promise.all([markUndone('u1'), markUndone('u2')]);
+
+    assert.deepEqual(results.map(result => result?.details.revertedBy ?? null), ['u1', null]);
+    assert.equal(await trail.update('missing', event => event), null);
+});
+
+test('the oldest events are dropped in batches past the limit', async () => {
+    const collection = storage.collection('leveling.audit');
+    const trail = new AuditTrail(collection, { maxEvents: 10 });
+
+    for (let index = 0; index < 510; index++) {
+        await collection.set(`old-${index}`, { id: `old-${index}`, timestamp: index });
+    }
+    await trail.add({ type: 'latest' });
+
+    const events = await trail.list();
+    assert.equal(events.length, 10);
+    assert.equal(events[0].type, 'latest');
+    assert.equal(events[9].id, 'old-501');
+});
@@ -0,0 +1,618 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Collection } = require('discord.js');
+const { createStorage } = require('../storage');
+const { EventBus } = require('../lib/eventBus');
+const ServiceRegistry = require('../lib/serviceRegistry');
+const AutoRolePlugin = require('../plugins/autoRolePlugin');
+
+let dataDir;
+let storage;
+let warnings;
+
+function createPlugin(services = new ServiceRegistry()) {
+    const logger = {
+        debug() {},
+        info() {},
+        success() {},
+        warn: (message, fields) => warnings.push({ message, fields }),
+        error() {}
+    };
+    return new AutoRolePlugin(null, { guilds: { cache: new Map() } }, null, null, {
+        storage,
+        events: new EventBus(),
+        logger,
+        services
+    });
+}
+
+// A guild with the given roles; roles are editable unless marked otherwise
+function fakeGuild(roles = {}) {
+    const cache = new Collection([['g1', { id: 'g1', name: '@everyone', editable: false }]]);
+    for (const [roleId, role] of Object.entries(roles)) {
+        cache.set(roleId, { id: roleId, name: roleId, editable: true, managed: false, ...role });
+    }
+    return { id: 'g1', roles: { cache } };
+}
+
+// A member of guild holding the given role IDs; role changes apply to the cache
+function fakeMember(guild, userId, roleIds = []) {
+    const cache = new Collection(roleIds.map(roleId => [roleId, guild.roles.cache.get(roleId)]));
+    return {
+        id: userId,
+        guild,
+        user: { id: userId, tag: userId, bot: false },
+        roles: {
+            cache,
+            add: async ids => [].concat(ids).forEach(roleId => cache.set(roleId, guild.roles.cache.get(roleId))),
+            remove: async ids => [].concat(ids).forEach(roleId => cache.delete(roleId))
+        }
+    };
+}
+
+beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fuji-autorole-'));
+    // Status lines on stdout get mixed into the test runner's own output
+    mock.method(console, 'log', () => {});
+
+    storage = createStorage({ driver: 'json', dataDir });
+    await storage.init();
+    warnings = [];
+});
+
+afterEach(async () => {
+    await storage.close();
+    mock.restoreAll();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('panels are normalized and checked against the guild\'s roles', () => {
+    const plugin = createPlugin();
+    const guild = fakeGuild({ red: {}, blue: {}, bot: { managed: true }, admin: { editable: false } });
+    const panel = body => plugin.normalizePanel({ options: [{ roleId: 'red' }, { roleId: 'blue' }], ...body });
+
+    const valid = panel({ title: '  Colours  ', options: [{ roleId: 'red', style: 'loud' }, { roleId: 'blue', label: 'Blue!', emoji: '🔵' }] });
+    assert.equal(plugin.validatePanel(guild, valid), null);
+    assert.equal(valid.title, 'Colours');
+    // Blank labels become the role name, unknown styles the default
+    assert.deepEqual(valid.options.map(option => [option.label, option.style]), [['red', 'secondary'], ['Blue!', 'secondary']]);
+
+    assert.match(plugin.validatePanel(guild, panel({ options: [] })), /at least one role/);
+    assert.match(plugin.validatePanel(guild, panel({ options: [{ roleId: 'g1' }] })), /no longer exists/);
+    assert.match(plugin.validatePanel(guild, panel({ options: [{ roleId: 'bot' }] })), /managed by an integration/);
+    assert.match(plugin.validatePanel(guild, panel({ options: [{ roleId: 'admin' }] })), /above the bot's highest role/);
+    assert.match(plugin.validatePanel(guild, panel({ options: [{ roleId: 'red' }, { roleId: 'red' }] })), /more than once/);
+    assert.match(plugin.validatePanel(guild, panel({ options: [{ roleId: 'red', emoji: 'red' }] })), /isn't an emoji/);
+    assert.match(plugin.validatePanel(guild, panel({ minRoles: 3 })), /Minimum roles must be between 0 and 2/);
+    assert.match(plugin.validatePanel(guild, panel({ minRoles: 2, maxRoles: 1 })), /can't be higher/);
+});
+
+test('button panels wrap every five roles and select panels use the role limits', () => {
+    const plugin = createPlugin();
+    const roles = Object.fromEntries(Array.from({ length: 7 }, (_, index) => [`r${index}`, {}]));
+    const guild = fakeGuild(roles);
+    const options = Object.keys(roles).map(roleId => ({ roleId }));
+
+    const buttons = { id: 'p1', ...plugin.normalizePanel({ options }) };
+    assert.equal(plugin.validatePanel(guild, buttons), null);
+    const buttonMessage = plugin.buildPanelMessage(guild, buttons);
+    assert.deepEqual(buttonMessage.components.map(row => row.components.length), [5, 2]);
+    assert.equal(buttonMessage.components[0].components[0].data.custom_id, 'rolepanel:p1:r0');
+    assert.equal(buttonMessage.embeds[0].footer.text, 'No role limit');
+
+    const select = { id: 'p2', ...plugin.normalizePanel({ type: 'select', options, minRoles: 1, maxRoles: 1 }) };
+    assert.equal(plugin.validatePanel(guild, select), null);
+    const [menu] = plugin.buildPanelMessage(guild, select).components[0].components;
+    assert.deepEqual([menu.data.custom_id, menu.data.min_values, menu.data.max_values, menu.options.length], ['rolepanel:p2', 1, 1, 7]);
+    assert.equal(plugin.describePanelLimits(select), 'Pick one role');
+    assert.equal(plugin.describePanelLimits({ minRoles: 1, maxRoles: 3 }), 'Pick at least 1 and at most 3 role(s)');
+});
+
+test('a reaction role save that fails is reported to the caller', async () => {
+    const plugin = createPlugin();
+    plugin.reactionRoles = { g1: { m1: { '👍': 'r1' } } };
+
+    await plugin.saveReactionRoles();
+    assert.deepEqual(await storage.collection('autorole.reactionRoles').get('g1'), { m1: { '👍': 'r1' } });
+
+    fs.writeFileSync(path.join(dataDir, 'reactionRoles.json'), '{ not json');
+    await assert.rejects(plugin.saveReactionRoles(), /Refusing to overwrite/);
+});
+
+test('exclusivity groups match case-insensitively and clash only within a group', () => {
+    const plugin = createPlugin();
+    const guild = fakeGuild({ red: {}, blue: {}, green: {}, dj: {} });
+    plugin.selfAssignRules.g1 = {
+        rules: plugin.normalizeSelfAssignRules([
+            { roleId: 'red', group: 'Colours' },
+            { roleId: 'blue', group: 'colours ' },
+            { roleId: 'green', group: 'COLOURS' },
+            { roleId: 'dj' }
+        ])
+    };
+
+    assert.deepEqual(plugin.getGroupConflicts(fakeMember(guild, 'u1', ['red', 'green', 'dj']), 'blue'), ['red', 'green']);
+    assert.deepEqual(plugin.getGroupConflicts(fakeMember(guild, 'u1', ['red']), 'dj'), []);
+    assert.equal(plugin.findGroupClash('g1', ['dj', 'red', 'blue']), 'colours');
+    assert.equal(plugin.findGroupClash('g1', ['dj', 'red']), null);
+});
+
+test('prerequisites name the missing roles and the level still needed', async () => {
+    const services = new ServiceRegistry();
+    const plugin = createPlugin(services);
+    const guild = fakeGuild({ verified: {}, regular: {}, vip: {} });
+    plugin.selfAssignRules.g1 = { rules: [{ roleId: 'vip', requiredRoles: ['verified', 'regular'], requiredLevel: 10, group: '', durationHours: 0 }] };
+
+    assert.equal(await plugin.checkPrerequisites(fakeMember(guild, 'u1', ['verified']), 'vip'),
+        'You need regular before you can take vip.');
+    // Without the leveling plugin everyone counts as level 0
+    assert.equal(await plugin.checkPrerequisites(fakeMember(guild, 'u1', ['verified', 'regular']), 'vip'),
+        'You need to reach level 10 before you can take vip (you\'re level 0).');
+
+    services.register('leveling', { getLevel: (guildId, userId) => (userId === 'u2' ? 12 : 3) });
+    assert.equal(await plugin.checkPrerequisites(fakeMember(guild, 'u2', ['verified', 'regular']), 'vip'), null);
+    assert.equal(await plugin.checkPrerequisites(fakeMember(guild, 'u1'), 'regular'), null);
+});
+
+test('self-assign rule validation', () => {
+    const plugin = createPlugin();
+    const guild = fakeGuild({ red: {}, blue: {} });
+    const check = rules => plugin.validateSelfAssignRules(guild, plugin.normalizeSelfAssignRules(rules));
+
+    assert.equal(check([{ roleId: 'red', requiredRoles: ['blue'], requiredLevel: 5, durationHours: 24 }]), null);
+    assert.match(check([{ roleId: 'red' }, { roleId: 'red' }]), /more than one rule/);
+    assert.match(check([{ roleId: 'red', requiredRoles: ['red'] }]), /can't require itself/);
+    assert.match(check([{ roleId: 'red', requiredRoles: ['gone'] }]), /required for red no longer exists/);
+    assert.match(check([{ roleId: 'red', requiredLevel: 2.5 }]), /whole number between 0 and 1000/);
+    assert.match(check([{ roleId: 'red', durationHours: -1 }]), /between 0 \(permanent\)/);
+});
+
+test('temporary roles are removed once they expire and kept queued while the guild is away', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    const plugin = createPlugin();
+    const guild = fakeGuild({ event: {}, red: {} });
+    const member = fakeMember(guild, 'u1', ['event', 'red']);
+    guild.members = { fetch: async () => member };
+    plugin.selfAssignRules.g1 = { rules: plugin.normalizeSelfAssignRules([{ roleId: 'event', durationHours: 2 }, { roleId: 'red' }]) };
+
+    const expiries = await plugin.scheduleTemporaryRoles('g1', 'u1', ['event', 'red'], 'panel');
+    assert.deepEqual(expiries, { event: 1000000 + 2 * 60 * 60 * 1000 });
+
+    t.mock.timers.tick(2 * 60 * 60 * 1000);
+    await plugin.processTemporaryRoles();
+    assert.ok(plugin.temporaryRoles.g1['u1:event']);
+
+    plugin.client.guilds.cache.set('g1', guild);
+    await plugin.processTemporaryRoles();
+    assert.deepEqual([...member.roles.cache.keys()], ['red']);
+    assert.deepEqual(await storage.collection('autorole.tempRoles').get('g1'), {});
+});
+
+test('new members wait behind the pending role and get their join roles once verified', async () => {
+    const plugin = createPlugin();
+    const guild = fakeGuild({ pending: {}, member: {} });
+    const newcomer = fakeMember(guild, 'u1');
+    plugin.autoRoleSettings.g1 = {
+        joinRoles: { enabled: true, roles: ['member'], delay: 0 },
+        verification: plugin.normalizeVerification({ enabled: true, pendingRoleId: 'pending' })
+    };
+
+    await plugin.handleMemberJoin(newcomer);
+    assert.deepEqual([...newcomer.roles.cache.keys()], ['pending']);
+    assert.equal((await storage.collection('autorole.verification').get('g1')).queue.u1.status, 'pending');
+
+    await plugin.approveVerification(newcomer, 'mod');
+    assert.deepEqual([...newcomer.roles.cache.keys()], ['member']);
+    assert.deepEqual(plugin.verificationState.g1.queue, {});
+});
+
+test('answers are checked case-insensitively before going to manual approval', async () => {
+    const plugin = createPlugin();
+    const guild = fakeGuild({ pending: {} });
+    const newcomer = fakeMember(guild, 'u1');
+    guild.members = { fetch: async () => newcomer };
+    plugin.autoRoleSettings.g1 = {
+        verification: plugin.normalizeVerification({
+            enabled: true,
+            pendingRoleId: 'pending',
+            manualApproval: true,
+            questions: [{ question: 'Favourite genre?' }, { question: 'Password from the rules?', answer: 'Sakura' }]
+        })
+    };
+    await plugin.startVerification(newcomer, plugin.autoRoleSettings.g1.verification);
+
+    const replies = [];
+    const submit = answers => plugin.handleVerificationInteraction({
+        guild,
+        user: newcomer.user,
+        customId: 'verify:answers',
+        isButton: () => false,
+        isModalSubmit: () => true,
+        fields: { getTextInputValue: id => answers[Number(id.slice(1))] },
+        reply: async reply => replies.push(reply.content)
+    });
+
+    await submit(['city pop', 'cherry']);
+    assert.match(replies.pop(), /weren't right/);
+    assert.equal(plugin.verificationState.g1.queue.u1.attempts, 1);
+
+    await submit(['city pop', ' sakura ']);
+    assert.match(replies.pop(), /moderator will review/);
+    const entry = plugin.verificationState.g1.queue.u1;
+    assert.equal(entry.status, 'awaiting_approval');
+    assert.deepEqual(entry.answers.map(answer => answer.answer), ['city pop', 'sakura']);
+    assert.ok(newcomer.roles.cache.has('pending'));
+});
+
+test('members who don\'t verify in time are flagged once or kicked', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    const plugin = createPlugin();
+    const guild = fakeGuild({ pending: {} });
+    const kicked = [];
+    const members = { u1: fakeMember(guild, 'u1'), u2: fakeMember(guild, 'u2') };
+    members.u2.kick = async () => kicked.push('u2');
+    guild.members = { fetch: async userId => members[userId] || null };
+    plugin.client.guilds.cache.set('g1', guild);
+
+    const verification = plugin.normalizeVerification({ enabled: true, pendingRoleId: 'pending', timeoutMinutes: 10 });
+    plugin.autoRoleSettings.g1 = { verification };
+    await plugin.startVerification(members.u1, verification);
+    t.mock.timers.tick(5 * 60 * 1000);
+    await plugin.startVerification(members.u2, verification);
+    await plugin.startVerification(fakeMember(guild, 'left'), verification);
+
+    t.mock.timers.tick(5 * 60 * 1000);
+    await plugin.processVerificationTimeouts();
+    assert.equal(plugin.verificationState.g1.queue.u1.flagged, true);
+    assert.equal(plugin.verificationState.g1.queue.u2.flagged, false);
+
+    verification.timeoutAction = 'kick';
+    t.mock.timers.tick(10 * 60 * 1000);
+    await plugin.processVerificationTimeouts();
+    assert.deepEqual(kicked, ['u2']);
+    assert.deepEqual(Object.keys(plugin.verificationState.g1.queue), ['u1']);
+});
+
+test('verification settings validation', () => {
+    const plugin = createPlugin();
+    const guild = fakeGuild({ pending: {}, admin: { editable: false } });
+    const check = settings => plugin.validateVerification(guild, plugin.normalizeVerification(settings));
+
+    assert.equal(check({ enabled: true, pendingRoleId: 'pending', questions: [{ question: 'Why join?' }], timeoutMinutes: 60 }), null);
+    assert.equal(check({ enabled: false }), null);
+    assert.match(check({ enabled: true }), /Choose a pending role/);
+    assert.match(check({ enabled: true, pendingRoleId: 'admin' }), /above the bot's highest role/);
+    assert.match(check({ questions: Array(6).fill({ question: 'Hi?' }) }), /at most 5 questions/);
+    assert.match(check({ questions: [{ question: 'x'.repeat(46) }] }), /45 characters/);
+    assert.match(check({ timeoutMinutes: 1.5 }), /timeout must be between/);
+});
+
+test('sticky roles are remembered on leave and given back on rejoin', async () => {
+    const plugin = createPlugin();
+    const guild = fakeGuild({ muted: {}, artist: {}, dj: {}, other: {} });
+    plugin.autoRoleSettings.g1 = { stickyRoles: plugin.normalizeStickyRoles({ enabled: true, roles: ['artist', 'dj'], alwaysRestore: ['muted'] }) };
+
+    await plugin.snapshotMemberRoles(fakeMember(guild, 'u1', ['muted', 'artist', 'dj', 'other']));
+    assert.deepEqual((await storage.collection('autorole.stickyRoles').get('g1')).u1.roles, ['muted', 'artist', 'dj']);
+
+    // Roles taken off the sticky list since don't come back
+    plugin.autoRoleSettings.g1.stickyRoles.roles = ['artist'];
+    const returning = fakeMember(guild, 'u1');
+    await plugin.restoreStickyRoles(returning);
+
+    assert.deepEqual([...returning.roles.cache.keys()], ['muted', 'artist']);
+    assert.deepEqual(plugin.stickyRoles.g1, {});
+});
+
+test('a failed restore keeps the snapshot for the next rejoin', async () => {
+    const plugin = createPlugin();
+    const guild = fakeGuild({ muted: {} });
+    plugin.autoRoleSettings.g1 = { stickyRoles: plugin.normalizeStickyRoles({ enabled: true, alwaysRestore: ['muted'] }) };
+    await plugin.snapshotMemberRoles(fakeMember(guild, 'u1', ['muted']));
+
+    const returning = fakeMember(guild, 'u1');
+    returning.roles.add = async () => { throw new Error('Missing Permissions'); };
+    await plugin.restoreStickyRoles(returning);
+
+    assert.deepEqual(plugin.stickyRoles.g1.u1.roles, ['muted']);
+});
+
+test('always-restore roles the bot can\'t give yet stay in the snapshot', async () => {
+    const plugin = createPlugin();
+    const guild = fakeGuild({ muted: {}, artist: {} });
+    plugin.autoRoleSettings.g1 = { stickyRoles: plugin.normalizeStickyRoles({ enabled: true, roles: ['artist'], alwaysRestore: ['muted'] }) };
+    await plugin.snapshotMemberRoles(fakeMember(guild, 'u1', ['muted', 'artist']));
+
+    guild.roles.cache.get('muted').editable = false;
+    const returning = fakeMember(guild, 'u1');
+    await plugin.restoreStickyRoles(returning);
+
+    assert.deepEqual([...returning.roles.cache.keys()], ['artist']);
+    assert.deepEqual(plugin.stickyRoles.g1.u1.roles, ['muted']);
+});
+
+test('snapshots past retention are dropped except for always-restore roles', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 100 * 24 * 60 * 60 * 1000 });
+    const plugin = createPlugin();
+    const guild = fakeGuild({ muted: {}, artist: {} });
+    plugin.autoRoleSettings.g1 = { stickyRoles: plugin.normalizeStickyRoles({ enabled: true, roles: ['artist'], alwaysRestore: ['muted'], retentionDays: 30 }) };
+
+    await plugin.snapshotMemberRoles(fakeMember(guild, 'old', ['artist']));
+    await plugin.snapshotMemberRoles(fakeMember(guild, 'muted', ['muted', 'artist']));
+    t.mock.timers.tick(20 * 24 * 60 * 60 * 1000);
+    await plugin.snapshotMemberRoles(fakeMember(guild, 'recent', ['artist']));
+
+    t.mock.timers.tick(15 * 24 * 60 * 60 * 1000);
+    await plugin.pruneStickyRoles();
+    assert.deepEqual(plugin.stickyRoles.g1, {
+        muted: { username: 'muted', roles: ['muted'], leftAt: 100 * 24 * 60 * 60 * 1000 },
+        recent: { username: 'recent', roles: ['artist'], leftAt: 120 * 24 * 60 * 60 * 1000 }
+    });
+});
+
+// A guild whose members can be fetched, with the leveling service reporting their levels
+function levelRoleGuild(plugin, services, levels) {
+    const guild = fakeGuild({ lvl5: {}, lvl10: {} });
+    guild.name = 'Fuji';
+    const members = new Collection();
+    for (const userId of Object.keys(levels)) members.set(userId, fakeMember(guild, userId));
+    members.set('bot', { ...fakeMember(guild, 'bot'), user: { id: 'bot', tag: 'bot', bot: true } });
+    guild.members = { cache: new Collection(), fetch: async userId => (userId ? members.get(userId) || null : members) };
+
+    plugin.client.guilds.cache.set('g1', guild);
+    services.register('leveling', {
+        getLevel: (guildId, userId) => levels[userId] || 0,
+        getGuildUsers: () => Object.fromEntries(Object.entries(levels).map(([userId, level]) => [userId, { level }]))
+    });
+    plugin.levelRoles.g1 = plugin.normalizeLevelRoles({
+        enabled: true,
+        mode: 'stack',
+        roles: [{ level: 5, roleId: 'lvl5' }, { level: 10, roleId: 'lvl10' }]
+    });
+    plugin.SYNC_BATCH_DELAY = 0;
+    plugin.SYNC_BATCH_SIZE = 2;
+    return { guild, members };
+}
+
+async function waitForSync(plugin, guildId) {
+    while (plugin.syncJobs[guildId].status === 'running' || plugin.activeSyncs.size > 0) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+    }
+    return plugin.syncJobs[guildId];
+}
+
+test('a level role preview reports changes without touching roles', async () => {
+    const services = new ServiceRegistry();
+    const plugin = createPlugin(services);
+    const { guild, members } = levelRoleGuild(plugin, services, { u1: 12, u2: 6, u3: 1 });
+
+    await plugin.startLevelRoleSync(guild, { dryRun: true, startedBy: 'mod' });
+    const job = await waitForSync(plugin, 'g1');
+
+    assert.equal(job.status, 'completed');
+    assert.equal(job.total, 3);
+    assert.deepEqual(job.summary, { processed: 3, changed: 2, rolesAdded: 3, rolesRemoved: 0, errors: 0 });
+    assert.deepEqual(job.changes.map(change => [change.userId, change.added]), [['u1', ['lvl5', 'lvl10']], ['u2', ['lvl5']]]);
+    assert.equal(members.get('u1').roles.cache.size, 0);
+
+    // The saved job leaves out the member list, which is dropped once the job is done
+    const saved = await storage.collection('autorole.syncJobs').get('g1');
+    assert.equal(saved.memberIds, undefined);
+    assert.equal(saved.status, 'completed');
+    assert.equal(await storage.collection('autorole.syncMembers').get('g1'), undefined);
+});
+
+test('a level role sync applies changes and caps the members listed in its report', async () => {
+    const services = new ServiceRegistry();
+    const plugin = createPlugin(services);
+    const { guild, members } = levelRoleGuild(plugin, services, { u1: 12, u2: 6, u3: 1 });
+    members.get('u3').roles.cache.set('lvl10', guild.roles.cache.get('lvl10'));
+    plugin.MAX_SYNC_CHANGES = 2;
+
+    await plugin.startLevelRoleSync(guild);
+    const job = await waitForSync(plugin, 'g1');
+
+    assert.deepEqual(job.summary, { processed: 3, changed: 3, rolesAdded: 3, rolesRemoved: 1, errors: 0 });
+    assert.equal(job.changes.length, 2);
+    assert.deepEqual([...members.get('u1').roles.cache.keys()], ['lvl5', 'lvl10']);
+    assert.deepEqual([...members.get('u3').roles.cache.keys()], []);
+});
+
+test('a sync won\'t start without leveling data to go by', async () => {
+    const services = new ServiceRegistry();
+    const plugin = createPlugin(services);
+
+    assert.match(await plugin.validateLevelRoleSync('g1'), /not configured/);
+    plugin.levelRoles.g1 = plugin.normalizeLevelRoles({ enabled: true, mode: 'stack', roles: [{ level: 5, roleId: 'lvl5' }] });
+    assert.match(await plugin.validateLevelRoleSync('g1'), /leveling plugin is not loaded/);
+
+    services.register('leveling', { getGuildUsers: () => ({}) });
+    assert.match(await plugin.validateLevelRoleSync('g1'), /No leveling data/);
+});
+
+test('running syncs get their member list back after a restart, or fail without it', async () => {
+    const jobs = storage.collection('autorole.syncJobs');
+    await jobs.setMany({
+        g1: { id: 'j1', status: 'running', cursor: 10, total: 30 },
+        g2: { id: 'j2', status: 'running', cursor: 0, total: 5 },
+        g3: { id: 'j3', status: 'completed', total: 5 }
+    });
+    await storage.collection('autorole.syncMembers').setMany({
+        g1: { jobId: 'j1', memberIds: ['u1', 'u2'] },
+        g2: { jobId: 'older', memberIds: ['u3'] }
+    });
+
+    const loaded = await createPlugin().loadSyncJobs();
+    assert.deepEqual(loaded.g1.memberIds, ['u1', 'u2']);
+    assert.equal(loaded.g2.status, 'failed');
+    assert.match(loaded.g2.error, /member list/);
+    assert.equal(loaded.g3.status, 'completed');
+});
+
+test('stack mode keeps every earned level role', () => {
+    const plugin = createPlugin();
+    const settings = plugin.normalizeLevelRoles({
+        mode: 'stack',
+        roles: [{ level: 5, roleId: 'bronze' }, { level: 10, roleId: 'silver' }, { level: 20, roleId: 'gold' }]
+    });
+
+    assert.deepEqual(plugin.getLevelRoleTargets(settings, 12), { keep: ['bronze', 'silver'], drop: ['gold'] });
+    assert.deepEqual(plugin.getLevelRoleTargets(settings, 0), { keep: [], drop: ['bronze', 'silver', 'gold'] });
+});
+
+test('highest mode keeps only the top earned role, ignoring tiers', () => {
+    const plugin = createPlugin();
+    const settings = plugin.normalizeLevelRoles({
+        mode: 'highest',
+        roles: [{ level: 5, roleId: 'bronze', tier: 'Rank' }, { level: 10, roleId: 'silver' }, { level: 20, roleId: 'gold', tier: 'Rank' }]
+    });
+
+    assert.deepEqual(plugin.getLevelRoleTargets(settings, 12), { keep: ['silver'], drop: ['bronze', 'gold'] });
+    assert.deepEqual(plugin.getLevelRoleTargets(settings, 25), { keep: ['gold'], drop: ['bronze', 'silver'] });
+});
+
+test('tiered mode keeps the top role per tier and every untiered role', () => {
+    const plugin = createPlugin();
+    const settings = plugin.normalizeLevelRoles({
+        mode: 'tiered',
+        roles: [
+            { level: 5, roleId: 'bronze', tier: 'Rank' },
+            { level: 10, roleId: 'silver', tier: ' rank ' },
+            { level: 8, roleId: 'chatter', tier: 'Perks' },
+            { level: 15, roleId: 'dj', tier: 'Perks' },
+            { level: 3, roleId: 'regular' },
+            { level: 12, roleId: 'veteran' }
+        ]
+    });
+
+    assert.deepEqual(plugin.getLevelRoleTargets(settings, 12), { keep: ['silver', 'chatter', 'regular', 'veteran'], drop: ['bronze', 'dj'] });
+    assert.deepEqual(plugin.getLevelRoleTargets(settings, 6), { keep: ['bronze', 'regular'], drop: ['silver', 'chatter', 'dj', 'veteran'] });
+});
+
+test('level roles saved before modes keep their old behaviour', () => {
+    const plugin = createPlugin();
+    const legacy = flags => plugin.normalizeLevelRoles({
+        enabled: true,
+        roles: flags.map((removeOldRoles, index) => ({ level: (index + 1) * 5, roleId: `r${index}`, removeOldRoles }))
+    });
+
+    assert.equal(legacy([false, false]).mode, 'stack');
+    assert.equal(legacy([true, true]).mode, 'highest');
+
+    const mixed = legacy([true, false, true]);
+    assert.equal(mixed.mode, 'tiered');
+    assert.deepEqual(mixed.roles.map(levelRole => levelRole.tier), ['Progression', '', 'Progression']);
+    assert.deepEqual(plugin.getLevelRoleTargets(mixed, 15), { keep: ['r1', 'r2'], drop: ['r0'] });
+});
+
+test('level role changes follow the member\'s new level', async () => {
+    const services = new ServiceRegistry();
+    const plugin = createPlugin(services);
+    const { members } = levelRoleGuild(plugin, services, { u1: 12 });
+    plugin.levelRoles.g1.mode = 'highest';
+    const member = members.get('u1');
+
+    await plugin.handleLevelChange('u1', 'g1', 12, 9);
+    assert.deepEqual([...member.roles.cache.keys()], ['lvl10']);
+
+    await plugin.handleLevelChange('u1', 'g1', 7, 12);
+    assert.deepEqual([...member.roles.cache.keys()], ['lvl5']);
+});
+
+test('rule metrics come from each plugin\'s data and the member', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 5, 30, 12) });
+    const plugin = createPlugin();
+    const member = { ...fakeMember(fakeGuild(), 'u1'), joinedTimestamp: Date.UTC(2026, 5, 20, 12) };
+    const sources = {
+        leveling: { u1: { voiceTime: 5400000, dailyMessages: { '2026-05-30': 40, '2026-05-31': 7, '2026-06-29': 3 } } },
+        reputation: { u1: { total: 25, categories: { helpful: 20 } } },
+        genres: { u1: ['Vaporwave', 'City Pop'] }
+    };
+
+    const metrics = plugin.getRuleMetrics(member, sources);
+    assert.deepEqual({ ...metrics, genres: [...metrics.genres] }, {
+        reputation_total: 25,
+        reputationCategories: { helpful: 20 },
+        voice_hours: 1.5,
+        messages_30d: 10,
+        tenure_days: 10,
+        genres: ['vaporwave', 'city pop']
+    });
+
+    const met = condition => plugin.isConditionMet(plugin.normalizeRuleRoles([{ conditions: [condition] }])[0].conditions[0], metrics);
+    assert.equal(met({ type: 'reputation_total', min: 25 }), true);
+    assert.equal(met({ type: 'reputation_category', category: 'Helpful', min: 20 }), true);
+    assert.equal(met({ type: 'reputation_category', category: 'funny', min: 1 }), false);
+    assert.equal(met({ type: 'voice_hours', min: 2 }), false);
+    assert.equal(met({ type: 'messages_30d', min: 10 }), true);
+    assert.equal(met({ type: 'tenure_days', min: 7 }), true);
+    assert.equal(met({ type: 'genre', genre: 'CITY POP' }), true);
+    assert.equal(met({ type: 'genre', genre: 'Jazz' }), false);
+});
+
+test('rule roles are added when met and taken back unless kept', async () => {
+    const plugin = createPlugin();
+    const guild = fakeGuild({ helper: {}, talker: {}, regular: {} });
+    plugin.ruleRoles.g1 = {
+        rules: plugin.normalizeRuleRoles([
+            { roleId: 'helper', conditions: [{ type: 'reputation_total', min: 10 }] },
+            { roleId: 'talker', conditions: [{ type: 'voice_hours', min: 1 }] },
+            { roleId: 'regular', conditions: [{ type: 'voice_hours', min: 10 }], removeWhenUnmet: false }
+        ])
+    };
+    const sources = {
+        leveling: { u1: { voiceTime: 0 } },
+        reputation: { u1: { total: 12 } },
+        genres: {},
+        unavailable: new Set()
+    };
+
+    const member = fakeMember(guild, 'u1', ['talker', 'regular']);
+    await plugin.applyRuleRoles(member, sources);
+    assert.deepEqual([...member.roles.cache.keys()], ['regular', 'helper']);
+});
+
+test('rules reading a plugin that isn\'t loaded are skipped rather than treated as zero', async () => {
+    const services = new ServiceRegistry();
+    const plugin = createPlugin(services);
+    const guild = fakeGuild({ helper: {}, talker: {} });
+    const member = fakeMember(guild, 'u1', ['helper']);
+    guild.members = { cache: new Collection(), fetch: async () => new Collection([['u1', member]]) };
+    plugin.client.guilds.cache.set('g1', guild);
+    services.register('leveling', {
+        getUser: () => ({ voiceTime: 7200000 }),
+        getGuildUsers: () => ({ u1: { voiceTime: 7200000 } })
+    });
+    plugin.ruleRoles.g1 = {
+        rules: plugin.normalizeRuleRoles([
+            { roleId: 'helper', conditions: [{ type: 'reputation_total', min: 10 }] },
+            { roleId: 'talker', conditions: [{ type: 'voice_hours', min: 1 }, { type: 'tenure_days', min: 0 }] }
+        ])
+    };
+
+    await plugin.sweepRuleRoles('g1');
+
+    assert.deepEqual([...member.roles.cache.keys()], ['helper', 'talker']);
+    assert.deepEqual(warnings.map(warning => warning.message), ['Skipping 1 role rules: could not read reputation, genres']);
+    assert.ok(plugin.ruleRoles.g1.lastSweepAt);
+});
+
+test('rule validation', () => {
+    const services = new ServiceRegistry();
+    services.register('reputation', { categories: ['helpful', 'funny'] });
+    const plugin = createPlugin(services);
+    const guild = fakeGuild({ helper: {}, lvl5: {} });
+    plugin.levelRoles.g1 = plugin.normalizeLevelRoles({ enabled: true, mode: 'stack', roles: [{ level: 5, roleId: 'lvl5' }] });
+    const check = rules => plugin.validateRuleRoles(guild, plugin.normalizeRuleRoles(rules));
+
+    assert.equal(check([{ roleId: 'helper', conditions: [{ type: 'reputation_category', category: 'Helpful', min: 5 }, { type: 'genre', genre: 'Jazz' }] }]), null);
+    assert.match(check([{ roleId: 'lvl5', conditions: [{ type: 'voice_hours', min: 1 }] }]), /already a level role/);
+    assert.match(check([{ roleId: 'helper', conditions: [] }]), /at least one condition/);
+    assert.match(check([{ roleId: 'helper', conditions: [{ type: 'karma', min: 1 }] }]), /unknown condition/);
+    assert.match(check([{ roleId: 'helper', conditions: [{ type: 'reputation_category', category: 'rude', min: 1 }] }]), /unknown category/);
+    assert.match(check([{ roleId: 'helper', conditions: [{ type: 'genre', genre: ' ' }] }]), /need a genre name/);
+    assert.match(check([{ roleId: 'helper', conditions: [{ type: 'messages_30d', min: -1 }] }]), /between 0 and 1000000/);
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventBus, EVENTS } = require('../lib/eventBus');
+const ServiceRegistry = require('../lib/serviceRegistry');
+
+test('subscribers get the payload until they unsubscribe', async () => {
+    const bus = new EventBus();
+    const received = [];
+    const unsubscribe = bus.on('rep.changed', payload => received.push(payload.total));
+
+    await bus.publish('rep.changed', { guildId: 'g1', userId: 'u1', total: 5 });
+    unsubscribe();
+    await bus.publish('rep.changed', { guildId: 'g1', userId: 'u1', total: 6 });
+
+    assert.deepEqual(received, [5]);
+});
+
+test('payloads are checked against the declared fields', () => {
+    const bus = new EventBus();
+    const levelUp = { userId: 'u1', guildId: 'g1', newLevel: 3, oldLevel: 2 };
+
+    assert.doesNotThrow(() => bus.publish('level.up', { ...levelUp, extra: true }));
+    assert.throws(() => bus.publish('level.up', { ...levelUp, newLevel: '3' }), {
+        name: 'TypeError',
+        message: 'Event "level.up" needs newLevel to be a number'
+    });
+    assert.throws(() => bus.publish('level.up'), /needs userId to be a string/);
+    assert.throws(() => bus.publish('filter.hit', { guildId: 'g1', channelId: 'c1', userId: 'u1', words: 'spam' }),
+        /needs words to be an array/);
+    assert.throws(() => bus.publish('season.end', { guildId: 'g1', season: [], revokedRewards: [] }),
+        /needs season to be an object/);
+    assert.throws(() => bus.publish('season.end', { guildId: 'g1', season: null, revokedRewards: [] }),
+        /needs season to be an object/);
+});
+
+test('undeclared events are rejected on both ends', () => {
+    const bus = new EventBus();
+
+    assert.throws(() => bus.on('xp.lost', () => {}), /Unknown event "xp.lost"/);
+    assert.throws(() => bus.publish('xp.lost', {}), /Unknown event "xp.lost"/);
+
+    const custom = new EventBus({ ...EVENTS, 'xp.lost': { userId: 'string' } });
+    assert.doesNotThrow(() => custom.publish('xp.lost', { userId: 'u1' }));
+});
+
+test('a failing subscriber doesn\'t stop the others', async (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const bus = new EventBus();
+    const received = [];
+    bus.on('rep.changed', () => { throw new Error('boom'); });
+    bus.on('rep.changed', async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        received.push('async');
+    });
+
+    await bus.publish('rep.changed', { guildId: 'g1', userId: 'u1', total: 1 });
+
+    assert.deepEqual(received, ['async']);
+    assert.equal(errors.mock.callCount(), 1);
+    assert.match(errors.mock.calls[0].arguments[0], /Error in "rep.changed" handler/);
+});
+
+test('services are registered once and read as null when missing', () => {
+    const services = new ServiceRegistry();
+    const leveling = { getLevel: () => 3 };
+
+    services.register('leveling', leveling);
+    assert.equal(services.get('leveling'), leveling);
+    assert.throws(() => services.register('leveling', {}), /Service "leveling" is already registered/);
+    assert.equal(services.get('reputation'), null);
+    assert.deepEqual(services.list(), ['leveling']);
+
+    services.unregister('leveling');
+    assert.equal(services.has('leveling'), false);
+});
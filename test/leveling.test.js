@@ -0,0 +1,485 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Collection } = require('discord.js');
+const { createStorage } = require('../storage');
+const { EventBus } = require('../lib/eventBus');
+const ServiceRegistry = require('../lib/serviceRegistry');
+const LevelingPlugin = require('../plugins/levelingPlugin');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+let dataDir;
+let storage;
+let events;
+let published;
+
+const silentLogger = { debug() {}, info() {}, success() {}, warn() {}, error() {} };
+
+function createPlugin() {
+    const client = {
+        users: { fetch: async userId => ({ id: userId, username: `user${userId}` }) },
+        channels: { cache: new Map() },
+        guilds: { cache: new Map() }
+    };
+    const plugin = new LevelingPlugin(null, client, null, null, {
+        storage,
+        events,
+        logger: silentLogger,
+        services: new ServiceRegistry()
+    });
+    plugin.backupDir = path.join(dataDir, 'backups');
+    fs.mkdirSync(plugin.backupDir, { recursive: true });
+    return plugin;
+}
+
+// A member with the given role IDs, as far as the XP code looks at members
+function fakeMember(roleIds = []) {
+    return { roles: { cache: new Map(roleIds.map(roleId => [roleId, {}])) } };
+}
+
+beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fuji-leveling-'));
+    // Status lines on stdout get mixed into the test runner's own output
+    mock.method(console, 'log', () => {});
+
+    storage = createStorage({ driver: 'json', dataDir });
+    await storage.init();
+
+    events = new EventBus();
+    published = [];
+    for (const event of ['xp.gained', 'level.up', 'level.down']) {
+        events.on(event, payload => published.push({ event, ...payload }));
+    }
+});
+
+afterEach(async () => {
+    await storage.close();
+    mock.restoreAll();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('XP lands in the cache right away and reaches storage on the next flush', async () => {
+    const plugin = createPlugin();
+    const users = storage.collection('leveling.users');
+
+    await plugin.addXP('u1', 'g1', 150, 'message');
+    await plugin.addXP('u1', 'g1', 50, 'message');
+
+    assert.equal(plugin.services.get('leveling').getUser('g1', 'u1').xp, 200);
+    assert.equal(await users.get('u1'), undefined);
+
+    await plugin.flushUserData();
+    assert.equal((await users.get('u1')).g1.xp, 200);
+    assert.equal(plugin.dirtyUsers.size, 0);
+    assert.deepEqual(published.filter(entry => entry.event === 'level.up').map(entry => entry.newLevel), [1]);
+});
+
+test('a failed full write leaves the cache alone and later flushes still run', async () => {
+    const plugin = createPlugin();
+    await plugin.addXP('u1', 'g1', 100, 'message');
+    const cached = plugin.users;
+
+    const file = path.join(dataDir, 'levelingData.json');
+    fs.writeFileSync(file, '{ not json');
+    await assert.rejects(plugin.replaceUserData({ u2: { g1: { xp: 1, level: 0 } } }), /Refusing to overwrite/);
+
+    // The cache only changes once the write succeeded
+    assert.equal(plugin.users, cached);
+
+    fs.rmSync(file);
+    await plugin.flushUserData();
+    assert.equal((await storage.collection('leveling.users').get('u1')).g1.xp, 100);
+});
+
+test('loadData hands out a copy, so the pre-save backup has the data before the change', async () => {
+    const plugin = createPlugin();
+    await plugin.addXP('u1', 'g1', 100, 'message');
+
+    const data = await plugin.loadData();
+    data.users.u1.g1.xp = 5;
+    assert.equal(plugin.users.u1.g1.xp, 100);
+
+    await plugin.saveData(data);
+    const [backupFile] = fs.readdirSync(plugin.backupDir);
+    const backup = JSON.parse(fs.readFileSync(path.join(plugin.backupDir, backupFile), 'utf8'));
+    assert.equal(backup.data.users.u1.g1.xp, 100);
+    assert.equal(plugin.users.u1.g1.xp, 5);
+});
+
+test('every curve type turns its own level thresholds back into the same level', () => {
+    const plugin = createPlugin();
+    const curves = [
+        { type: 'quadratic', base: 100 },
+        { type: 'linear', base: 250 },
+        { type: 'exponential', base: 100, growth: 1.35 },
+        { type: 'table', table: [100, 250, 500, 1000] }
+    ];
+
+    for (const curve of curves) {
+        for (let level = 1; level <= 40; level++) {
+            const required = plugin.getXPForLevel(level, curve);
+            assert.equal(plugin.calculateLevel(required, curve), level, `${curve.type} at level ${level}`);
+            assert.equal(plugin.calculateLevel(required - 1, curve), level - 1, `${curve.type} just below level ${level}`);
+        }
+    }
+});
+
+test('a level table keeps its last step past the end', () => {
+    const plugin = createPlugin();
+    const curve = { type: 'table', table: [100, 250, 500, 1000] };
+
+    assert.deepEqual([4, 5, 6].map(level => plugin.getXPForLevel(level, curve)), [1000, 1500, 2000]);
+    assert.equal(plugin.calculateLevel(1999, curve), 5);
+    assert.equal(plugin.getXPForLevel(3, { type: 'table', table: [300] }), 900);
+});
+
+test('curves fall back to the defaults for unusable numbers', () => {
+    const plugin = createPlugin();
+
+    assert.equal(plugin.getXPForLevel(3), 900);
+    assert.equal(plugin.getXPForLevel(3, { type: 'linear', base: 0 }), 300);
+    assert.equal(plugin.getXPForLevel(0, { type: 'linear', base: 50 }), 0);
+    assert.equal(plugin.calculateLevel(-10), 0);
+});
+
+test('curve and XP rate validation', () => {
+    const plugin = createPlugin();
+
+    assert.equal(plugin.validateXPCurve({ type: 'table', table: [100, 250] }), null);
+    assert.match(plugin.validateXPCurve({ type: 'cubic' }), /must be one of/);
+    assert.match(plugin.validateXPCurve({ type: 'exponential', growth: 1 }), /greater than 1/);
+    assert.match(plugin.validateXPCurve({ type: 'table', table: [100, 100] }), /strictly increasing/);
+
+    assert.equal(plugin.validateXPRates({ voice: { min: 5, max: 8 } }), null);
+    assert.match(plugin.validateXPRates({ messages: { min: 30 } }), /min no greater than max/);
+    assert.match(plugin.validateXPRates({ typing: { min: 1, max: 2 } }), /Unknown XP source/);
+});
+
+test('XP rates saved before a source existed pick up its defaults', async () => {
+    const plugin = createPlugin();
+    await storage.collection('leveling.settings').set('g1', { xpRates: { messages: { max: 40 } } });
+
+    const { xpRates } = await plugin.getGuildSettings('g1');
+    assert.deepEqual(xpRates.messages, { min: 15, max: 40, cooldown: 60000 });
+    assert.deepEqual(xpRates.voice, plugin.DEFAULT_XP_RATES.voice);
+});
+
+test('channel and role multipliers combine with each stacking mode', () => {
+    const plugin = createPlugin();
+    const member = fakeMember(['booster', 'vip', 'plain']);
+    const channel = { id: 'thread', parentId: 'events' };
+    const base = {
+        channelMultipliers: { events: 2 },
+        roleMultipliers: { booster: 1.5, vip: 3 },
+        xpMultiplier: 1
+    };
+
+    const combined = mode => plugin.getXPMultiplier('g1', { ...base, multiplierStacking: mode }, member, channel);
+    assert.equal(combined('multiply'), 9);
+    assert.equal(combined('highest'), 3);
+    assert.equal(combined('additive'), 4.5);
+    assert.equal(combined(undefined), 9);
+
+    // The global multiplier applies on top, and no matches means 1×
+    assert.equal(plugin.getXPMultiplier('g1', { ...base, multiplierStacking: 'highest', xpMultiplier: 2 }, member, channel), 6);
+    assert.equal(plugin.getXPMultiplier('g1', base, fakeMember(), { id: 'general' }), 1);
+});
+
+test('the thread\'s own multiplier wins over its parent channel', () => {
+    const plugin = createPlugin();
+    const settings = { channelMultipliers: { thread: 0.5, events: 2 } };
+
+    assert.equal(plugin.getXPMultiplier('g1', settings, fakeMember(), { id: 'thread', parentId: 'events' }), 0.5);
+    assert.equal(plugin.getXPMultiplier('g1', settings, fakeMember(), { id: 'other', parentId: 'events' }), 2);
+});
+
+test('exempt channels and roles, and any 0× multiplier, block XP whatever else applies', () => {
+    const plugin = createPlugin();
+    const channel = { id: 'thread', parentId: 'category' };
+    const generous = { channelMultipliers: { thread: 5 }, roleMultipliers: { vip: 5 }, multiplierStacking: 'additive' };
+
+    assert.equal(plugin.getXPMultiplier('g1', { ...generous, exemptChannels: ['category'] }, fakeMember(['vip']), channel), 0);
+    assert.equal(plugin.getXPMultiplier('g1', { ...generous, exemptRoles: ['muted'] }, fakeMember(['vip', 'muted']), channel), 0);
+    assert.equal(plugin.getXPMultiplier('g1', { ...generous, roleMultipliers: { vip: 5, muted: 0 } }, fakeMember(['vip', 'muted']), channel), 0);
+    assert.equal(plugin.getXPMultiplier('g1', { ...generous, multiplierStacking: 'highest', channelMultipliers: { category: 0 } }, fakeMember(['vip']), channel), 0);
+});
+
+test('multiplier validation', () => {
+    const plugin = createPlugin();
+
+    assert.equal(plugin.validateMultipliers({ multiplierStacking: 'highest', roleMultipliers: { vip: 0 } }), null);
+    assert.match(plugin.validateMultipliers({ multiplierStacking: 'sum' }), /must be one of/);
+    assert.match(plugin.validateMultipliers({ channelMultipliers: ['c1'] }), /must map IDs/);
+    assert.match(plugin.validateMultipliers({ roleMultipliers: { vip: 11 } }), /between 0 and 10/);
+});
+
+test('boosts are scheduled, active or ended by time', () => {
+    const plugin = createPlugin();
+    const boost = { startsAt: 1000, endsAt: 2000 };
+
+    assert.equal(plugin.getBoostStatus(boost, 999), 'scheduled');
+    assert.equal(plugin.getBoostStatus(boost, 1000), 'active');
+    assert.equal(plugin.getBoostStatus(boost, 2000), 'ended');
+    assert.equal(plugin.getBoostStatus({ ...boost, ended: true }, 1500), 'ended');
+});
+
+test('overlapping boosts don\'t stack and only apply in their scope', () => {
+    const plugin = createPlugin();
+    const now = Date.now();
+    const window = { startsAt: now - 60000, endsAt: now + 60000, channelIds: [], roleIds: [] };
+    plugin.boosts.g1 = [
+        { ...window, multiplier: 2 },
+        { ...window, multiplier: 3, channelIds: ['events'] },
+        { ...window, multiplier: 5, roleIds: ['vip'] },
+        { ...window, multiplier: 10, startsAt: now + 30000 }
+    ];
+
+    assert.equal(plugin.getBoostMultiplier('g1', fakeMember(), { id: 'general' }), 2);
+    assert.equal(plugin.getBoostMultiplier('g1', fakeMember(), { id: 'thread', parentId: 'events' }), 3);
+    assert.equal(plugin.getBoostMultiplier('g1', fakeMember(['vip']), { id: 'thread', parentId: 'events' }), 5);
+    assert.equal(plugin.getBoostMultiplier('g2', fakeMember(['vip']), { id: 'general' }), 1);
+
+    // On top of the regular multipliers, but still blocked by a 0× one
+    assert.equal(plugin.getXPMultiplier('g1', { roleMultipliers: { vip: 1.5 } }, fakeMember(['vip']), { id: 'general' }), 7.5);
+    assert.equal(plugin.getXPMultiplier('g1', { roleMultipliers: { vip: 0 } }, fakeMember(['vip']), { id: 'general' }), 0);
+});
+
+test('boost validation', () => {
+    const plugin = createPlugin();
+    const guild = {
+        id: 'g1',
+        channels: { cache: new Map([['c1', { isTextBased: () => true }], ['voice', { isTextBased: () => false }]]) },
+        roles: { cache: new Map([['g1', {}], ['r1', {}]]) }
+    };
+    const now = Date.now();
+    const boost = { multiplier: 2, startsAt: now, endsAt: now + 3600000, channelIds: ['c1'], roleIds: ['r1'], announceChannelId: 'c1' };
+
+    assert.equal(plugin.validateBoost(boost, guild), null);
+    assert.match(plugin.validateBoost({ ...boost, multiplier: 1 }, guild), /above 1/);
+    assert.match(plugin.validateBoost({ ...boost, endsAt: now - 1, startsAt: now - 2 }, guild), /in the past/);
+    assert.match(plugin.validateBoost({ ...boost, endsAt: now + 15 * DAY }, guild), /at most 14 days/);
+    assert.match(plugin.validateBoost({ ...boost, roleIds: ['g1'] }, guild), /roles no longer exists/);
+    assert.match(plugin.validateBoost({ ...boost, announceChannelId: 'voice' }, guild), /text channel/);
+});
+
+test('cancelling a scheduled boost removes it', async () => {
+    const plugin = createPlugin();
+    const now = Date.now();
+    plugin.boosts.g1 = [{ id: 'b1', multiplier: 2, startsAt: now + 60000, endsAt: now + 120000 }];
+
+    assert.equal((await plugin.cancelBoost('g1', 'b1')).id, 'b1');
+    assert.deepEqual(plugin.boosts.g1, []);
+    assert.deepEqual(await storage.collection('leveling.boosts').get('g1'), []);
+    assert.equal(await plugin.cancelBoost('g1', 'b1'), null);
+});
+
+// A message as far as the quality checks look at it
+function fakeMessage(content, { channelId = 'general', parentId = null, stickers = 0, userId = 'u1' } = {}) {
+    return {
+        content,
+        channel: { id: channelId, parentId },
+        stickers: { size: stickers },
+        author: { id: userId },
+        guild: { id: 'g1' }
+    };
+}
+
+test('message quality checks name the reason a message earns no XP', () => {
+    const plugin = createPlugin();
+    const quality = { ...plugin.DEFAULT_MESSAGE_QUALITY, noXpChannels: ['bot-commands'], duplicateWindow: 0 };
+    const check = (content, options) => plugin.checkMessageQuality(fakeMessage(content, options), quality);
+
+    assert.equal(check('just dropped a new mix, thoughts?'), null);
+    assert.equal(check('hello there', { channelId: 'thread', parentId: 'bot-commands' }), 'no_xp_channel');
+    assert.equal(check('', { stickers: 1 }), 'sticker_only');
+    assert.equal(check(''), null);
+    assert.equal(check('🔥🔥 <:pog:123456789> 👍🏽'), 'emoji_only');
+    assert.equal(check('ok'), 'too_short');
+    assert.equal(check('<@123456789> https://example.com/some/long/link yes'), 'too_short');
+    assert.equal(check('hellooooo'), 'too_few_words');
+    assert.equal(check(Array(20).fill('spam').concat('eggs').join(' ')), 'low_variety');
+});
+
+test('disabled checks let those messages through', () => {
+    const plugin = createPlugin();
+    const quality = { minLength: 0, minWords: 0, blockEmojiOnly: false, blockStickerOnly: false, minUniqueWordRatio: 0, duplicateWindow: 0 };
+
+    for (const content of ['', '🔥', 'ok', Array(30).fill('spam').join(' ')]) {
+        assert.equal(plugin.checkMessageQuality(fakeMessage(content, { stickers: 1 }), quality), null);
+    }
+});
+
+test('repeated messages count as duplicates within the window, per user', (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: 1000000 });
+    const plugin = createPlugin();
+    const quality = { ...plugin.DEFAULT_MESSAGE_QUALITY, duplicateWindow: 60000 };
+    const check = (content, options) => plugin.checkMessageQuality(fakeMessage(content, options), quality);
+
+    assert.equal(check('anyone up for a session?'), null);
+    assert.equal(check('Anyone   UP for a session?'), 'duplicate');
+    assert.equal(check('anyone up for a session?', { userId: 'u2' }), null);
+
+    t.mock.timers.tick(60000);
+    assert.equal(check('anyone up for a session?'), null);
+});
+
+test('only the last ten messages are remembered', () => {
+    const plugin = createPlugin();
+    const message = fakeMessage('');
+
+    for (let index = 0; index < 11; index++) {
+        assert.equal(plugin.isDuplicateMessage(message, `message ${index}`, 60000), false);
+    }
+    assert.equal(plugin.recentMessages.get('u1-g1').length, 10);
+    assert.equal(plugin.isDuplicateMessage(message, 'message 0', 60000), false);
+    assert.equal(plugin.isDuplicateMessage(message, 'message 5', 60000), true);
+});
+
+// A voice state in a channel with the given numbers of people and bots
+function fakeVoiceState({ humans = 2, bots = 0, channelId = 'lounge', ...flags } = {}) {
+    const members = new Collection();
+    for (let index = 0; index < humans + bots; index++) {
+        members.set(`m${index}`, { user: { bot: index >= humans } });
+    }
+    return {
+        channel: { id: channelId, members },
+        guild: { afkChannelId: 'afk' },
+        member: fakeMember(),
+        ...flags
+    };
+}
+
+test('voice XP skips AFK, deafened, muted and solo members', () => {
+    const plugin = createPlugin();
+    const rules = { ...plugin.DEFAULT_VOICE_RULES };
+
+    assert.equal(plugin.getVoiceIneligibility(fakeVoiceState(), rules), null);
+    assert.equal(plugin.getVoiceIneligibility({ channel: null }, rules), 'not_connected');
+    assert.equal(plugin.getVoiceIneligibility(fakeVoiceState({ channelId: 'afk' }), rules), 'afk_channel');
+    assert.equal(plugin.getVoiceIneligibility(fakeVoiceState({ serverDeaf: true }), rules), 'deafened');
+    assert.equal(plugin.getVoiceIneligibility(fakeVoiceState({ selfMute: true }), rules), 'muted');
+    assert.equal(plugin.getVoiceIneligibility(fakeVoiceState({ humans: 1, bots: 3 }), rules), 'too_few_humans');
+
+    const relaxed = { ignoreAfkChannel: false, ignoreMuted: false, ignoreDeafened: false, minHumans: 1 };
+    assert.equal(plugin.getVoiceIneligibility(fakeVoiceState({ humans: 1, channelId: 'afk', selfMute: true, selfDeaf: true }), relaxed), null);
+});
+
+test('only eligible voice time is credited, with XP per full interval', async () => {
+    const plugin = createPlugin();
+    const settings = plugin.getDefaultGuildSettings();
+    settings.xpRates.voice = { min: 10, max: 10, cooldown: 60000 };
+    plugin.voiceTracker.set('u1-g1', { channelId: 'lounge', lastCheck: 0, accrued: 0 });
+
+    await plugin.settleVoiceTime('u1-g1', fakeVoiceState(), settings, 90000);
+    assert.deepEqual({ xp: plugin.users.u1.g1.xp, voiceTime: plugin.users.u1.g1.voiceTime }, { xp: 10, voiceTime: 90000 });
+
+    // Muted time resets the clock but earns nothing
+    await plugin.settleVoiceTime('u1-g1', fakeVoiceState({ selfMute: true }), settings, 600000);
+    assert.equal(plugin.users.u1.g1.voiceTime, 90000);
+
+    await plugin.settleVoiceTime('u1-g1', fakeVoiceState(), settings, 630000);
+    assert.deepEqual({ xp: plugin.users.u1.g1.xp, voiceTime: plugin.users.u1.g1.voiceTime }, { xp: 20, voiceTime: 120000 });
+});
+
+test('a season tracks its own XP and is archived with standings and rewards when it ends', async () => {
+    const plugin = createPlugin();
+    const ended = [];
+    events.on('season.end', payload => ended.push(payload));
+    await storage.collection('leveling.settings').set('g1', { seasonRewards: { roles: [{ roleId: '111', top: 1 }] } });
+
+    await plugin.addXP('u1', 'g1', 500, 'message');
+    const { season } = await plugin.startSeason('g1', { name: 'Spring' }, 'mod');
+    await plugin.addXP('u2', 'g1', 300, 'message');
+    await plugin.addXP('u1', 'g1', 100, 'message');
+
+    assert.deepEqual(plugin.getSeasonStandings('g1').map(({ rank, userId, seasonXP }) => ({ rank, userId, seasonXP })), [
+        { rank: 1, userId: 'u2', seasonXP: 300 },
+        { rank: 2, userId: 'u1', seasonXP: 100 }
+    ]);
+
+    const archived = await plugin.endSeason('g1', 'mod');
+    assert.equal(archived.id, season.id);
+    assert.equal(archived.totalXP, 400);
+    assert.deepEqual(archived.standings.map(entry => entry.username), ['useru2', 'useru1']);
+    assert.deepEqual(archived.rewards, [{ userId: 'u2', roleId: '111', rank: 1 }]);
+    assert.ok(fs.existsSync(path.join(plugin.backupDir, archived.backupFile)));
+    assert.equal(ended[0].season.id, season.id);
+
+    // Lifetime XP stays, season XP starts over
+    assert.equal(plugin.users.u1.g1.xp, 600);
+    assert.equal(plugin.users.u1.g1.seasonXP, undefined);
+    assert.deepEqual(plugin.getSeasonStandings('g1'), []);
+    assert.equal(await plugin.endSeason('g1', 'mod'), null);
+});
+
+test('starting a season closes the running one and numbers them in order', async () => {
+    const plugin = createPlugin();
+
+    await plugin.startSeason('g1');
+    await plugin.addXP('u1', 'g1', 50, 'message');
+    const { season, closed } = await plugin.startSeason('g1');
+
+    assert.equal(closed.name, 'Season 1');
+    assert.equal(closed.participants, 1);
+    assert.equal(season.name, 'Season 2');
+    assert.deepEqual((await storage.collection('leveling.seasons').get('g1')).archive.map(entry => entry.number), [1]);
+
+    // Only one season change per guild at a time
+    const results = await Promise.allSettled([plugin.startSeason('g1'), plugin.endSeason('g1')]);
+    assert.equal(results[1].status, 'rejected');
+    assert.match(results[1].reason.message, /already in progress/);
+});
+
+test('decay only counts days past the grace period and stops at the floor level', () => {
+    const plugin = createPlugin();
+    const now = Date.UTC(2026, 0, 31);
+    const policy = { graceDays: 7, percentPerDay: 10, floorLevel: 1 };
+    plugin.users = {
+        lapsed: { g1: { xp: 10000, level: 10, lastActive: now - 10 * DAY }, g2: { xp: 10000, level: 10, lastActive: now - 10 * DAY } },
+        recent: { g1: { xp: 10000, level: 10, lastActive: now - 2 * DAY } },
+        gone: { g1: { xp: 150, level: 1, lastMessageTime: now - 100 * DAY } },
+        floored: { g1: { xp: 90, level: 0, lastActive: now - 100 * DAY } },
+        untracked: { g1: { xp: 5000, level: 7 } }
+    };
+
+    assert.deepEqual(plugin.getDecayChanges('g1', policy, plugin.DEFAULT_XP_CURVE, 5, now), [
+        { userId: 'lapsed', xpBefore: 10000, xpAfter: 7290, levelBefore: 10, levelAfter: 8, inactiveDays: 10 },
+        { userId: 'gone', xpBefore: 150, xpAfter: 100, levelBefore: 1, levelAfter: 1, inactiveDays: 100 }
+    ]);
+});
+
+test('decay policy validation', () => {
+    const plugin = createPlugin();
+
+    assert.equal(plugin.validateDecayPolicy({ graceDays: 30, percentPerDay: 0.5, floorLevel: 0 }), null);
+    assert.match(plugin.validateDecayPolicy({ graceDays: 0 }), /grace period/);
+    assert.match(plugin.validateDecayPolicy({ percentPerDay: 60 }), /at most 50%/);
+    assert.match(plugin.validateDecayPolicy({ floorLevel: 1.5 }), /floor/);
+});
+
+test('a decay run can be undone once, keeping XP earned since', async () => {
+    const plugin = createPlugin();
+    const settings = plugin.getDefaultGuildSettings();
+    settings.decay = { ...settings.decay, graceDays: 7, percentPerDay: 10, floorLevel: 0 };
+    plugin.users = { u1: { g1: { xp: 10000, level: 10, lastActive: Date.now() - 30 * DAY } } };
+
+    const result = await plugin.applyDecay('g1', settings, 1);
+    assert.deepEqual({ members: result.members, xpRemoved: result.xpRemoved }, { members: 1, xpRemoved: 1000 });
+    assert.ok(fs.existsSync(path.join(plugin.backupDir, result.backupFile)));
+    assert.equal((await storage.collection('leveling.users').get('u1')).g1.xp, 9000);
+    assert.deepEqual(published.filter(entry => entry.event === 'level.down').map(entry => entry.newLevel), [9]);
+
+    await plugin.addXP('u1', 'g1', 50, 'message');
+    const [run] = (await plugin.loadAuditEvents()).filter(event => event.type === 'xp_decay');
+    assert.deepEqual(await plugin.revertDecay('g1', run, 'mod'), { members: 1, xpRestored: 1000 });
+    assert.deepEqual({ xp: plugin.users.u1.g1.xp, level: plugin.users.u1.g1.level }, { xp: 10050, level: 10 });
+
+    assert.equal(await plugin.revertDecay('g1', run, 'mod'), null);
+    assert.equal(plugin.users.u1.g1.xp, 10050);
+
+    const revert = (await plugin.loadAuditEvents()).find(event => event.type === 'decay_revert');
+    assert.deepEqual({ type: revert.type, details: revert.details }, { type: 'decay_revert', details: { runId: run.details.runId, members: 1, xpRestored: 1000 } });
+});
@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { LiveUpdates } = require('../lib/liveUpdates');
+
+// Roles per user and guild; 'mod' may view everything, 'viewer' only the
+// dashboard and leveling, null nothing
+function fakePermissions(roles, owners = []) {
+    return {
+        isBotOwner: async userId => owners.includes(userId),
+        getDashboardRole: async (userId, guildId) => roles[`${userId}:${guildId}`] ?? null,
+        isAllowed: (role, guildId, scope) => role === 'mod' || (role === 'viewer' && ['dashboard', 'leveling'].includes(scope))
+    };
+}
+
+function fakeResponse() {
+    return {
+        headers: {},
+        written: [],
+        ended: false,
+        statusCode: 200,
+        set(headers) { Object.assign(this.headers, headers); },
+        flushHeaders() {},
+        write(chunk) { this.written.push(chunk); },
+        end() { this.ended = true; },
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; }
+    };
+}
+
+// Opens a connection and returns its request (emit 'close' to disconnect) and response
+async function connect(live, userId, guildId, role) {
+    const req = Object.assign(new EventEmitter(), { user: { id: userId }, guildId, dashboardRole: role });
+    const res = fakeResponse();
+    await live.connect(req, res);
+    return { req, res };
+}
+
+// Event types written to a response, in order
+function eventsOf(res) {
+    return res.written.map(chunk => chunk.match(/^event: (\S+)/)?.[1] || chunk.trim());
+}
+
+test('a connection opens an event stream and says it is ready', async () => {
+    const live = new LiveUpdates(fakePermissions({}));
+    const { res } = await connect(live, 'u1', 'g1', 'mod');
+
+    assert.equal(res.headers['Content-Type'], 'text/event-stream');
+    assert.equal(res.written[0], 'event: ready\ndata: {"guildId":"g1","role":"mod"}\n\n');
+});
+
+test('events only reach connections for that server whose role may view the scope', async () => {
+    const live = new LiveUpdates(fakePermissions({}, ['owner']));
+    const mod = await connect(live, 'u1', 'g1', 'mod');
+    const viewer = await connect(live, 'u2', 'g1', 'viewer');
+    const otherGuild = await connect(live, 'u3', 'g2', 'mod');
+    const owner = await connect(live, 'owner', 'g2', 'mod');
+
+    live.publish('g1', 'leveling', 'xp', { userId: 'u9' });
+    live.publish('g1', 'wordfilter', 'filter', {});
+    live.publish(null, 'logs', 'log', { message: 'Bot started' });
+
+    assert.deepEqual(eventsOf(mod.res), ['ready', 'xp', 'filter']);
+    assert.deepEqual(eventsOf(viewer.res), ['ready', 'xp']);
+    assert.deepEqual(eventsOf(otherGuild.res), ['ready']);
+    assert.deepEqual(eventsOf(owner.res), ['ready', 'log']);
+});
+
+test('closed connections stop receiving and each user has a connection cap', async () => {
+    const live = new LiveUpdates(fakePermissions({}));
+    const first = await connect(live, 'u1', 'g1', 'mod');
+    first.req.emit('close');
+    live.publish('g1', 'leveling', 'xp', {});
+    assert.deepEqual(eventsOf(first.res), ['ready']);
+
+    for (let index = 0; index < 10; index++) await connect(live, 'u1', 'g1', 'mod');
+    const refused = await connect(live, 'u1', 'g1', 'mod');
+    assert.equal(refused.res.statusCode, 429);
+    assert.equal(live.connections.size, 10);
+
+    live.stop();
+    assert.equal(live.connections.size, 0);
+});
+
+test('the heartbeat picks up role changes and closes connections that lost access', async () => {
+    const roles = { 'u1:g1': 'mod', 'u2:g1': 'mod' };
+    const live = new LiveUpdates(fakePermissions(roles));
+    const kept = await connect(live, 'u1', 'g1', 'mod');
+    const revoked = await connect(live, 'u2', 'g1', 'mod');
+
+    roles['u1:g1'] = 'viewer';
+    delete roles['u2:g1'];
+    await live.heartbeat();
+
+    assert.deepEqual(eventsOf(kept.res), ['ready', ': heartbeat']);
+    assert.deepEqual(eventsOf(revoked.res), ['ready', 'revoked']);
+    assert.equal(revoked.res.ended, true);
+
+    live.publish('g1', 'wordfilter', 'filter', {});
+    assert.deepEqual(eventsOf(kept.res), ['ready', ': heartbeat']);
+    assert.equal(live.connections.size, 1);
+});
+
+test('a connection that fails to write is dropped', async (t) => {
+    const errors = t.mock.method(console, 'error', () => {});
+    const live = new LiveUpdates(fakePermissions({}));
+    const broken = await connect(live, 'u1', 'g1', 'mod');
+    const healthy = await connect(live, 'u2', 'g1', 'mod');
+    broken.res.write = () => { throw new Error('socket closed'); };
+
+    live.publish('g1', 'leveling', 'xp', {});
+
+    assert.equal(live.connections.size, 1);
+    assert.deepEqual(eventsOf(healthy.res), ['ready', 'xp']);
+    assert.equal(errors.mock.callCount(), 1);
+});
@@ -0,0 +1,124 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Logger } = require('../lib/logger');
+
+let dir;
+let logger;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fuji-logs-'));
+    // Printed lines would get mixed into the test runner's own output
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+});
+
+afterEach(async () => {
+    await logger?.close();
+    logger = null;
+    mock.restoreAll();
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+function readEntries(file = 'bot.log') {
+    return fs.readFileSync(path.join(dir, file), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+}
+
+test('entries are JSON lines with the context, the fields and serialized errors', async () => {
+    const seen = [];
+    logger = new Logger({ dir }, { onEntry: entry => seen.push(entry.message) });
+
+    logger.runWith({ plugin: 'levelingPlugin', guildId: 'g1' }, () => {
+        logger.runWith({ userId: 'u1' }, () => logger.error('Could not save', { error: new Error('disk full'), attempt: 2 }));
+        logger.runWith({ event: 'messageCreate' }, () => logger.info('Fresh start'), { inherit: false });
+    });
+    logger.debug('Below the configured level');
+    await logger.close();
+
+    const [saved, fresh] = readEntries();
+    const { timestamp, error, ...fields } = saved;
+    assert.ok(!Number.isNaN(Date.parse(timestamp)));
+    assert.deepEqual(fields, { level: 'error', message: 'Could not save', plugin: 'levelingPlugin', guildId: 'g1', userId: 'u1', attempt: 2 });
+    assert.equal(error.message, 'disk full');
+    assert.match(error.stack, /^Error: disk full/);
+    assert.deepEqual({ plugin: fresh.plugin, event: fresh.event }, { plugin: undefined, event: 'messageCreate' });
+    assert.deepEqual(seen, ['Could not save', 'Fresh start']);
+    assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('child loggers add their fields to every entry', async () => {
+    logger = new Logger({ dir, level: 'debug' });
+    const child = logger.child({ plugin: 'autoRolePlugin' }).child({ guildId: 'g1' });
+
+    child.debug('Checking rules');
+    child.warn('Skipping rules', { guildId: 'g2' });
+    await logger.close();
+
+    assert.deepEqual(readEntries().map(({ level, plugin, guildId }) => ({ level, plugin, guildId })), [
+        { level: 'debug', plugin: 'autoRolePlugin', guildId: 'g1' },
+        { level: 'warning', plugin: 'autoRolePlugin', guildId: 'g2' }
+    ]);
+});
+
+test('console output is captured as entries and still printed', async () => {
+    logger = new Logger({ dir });
+    const printed = console.warn;
+    logger.captureConsole();
+
+    console.warn('Slow response from %s', 'Discord');
+    console.error('Request failed:', new Error('timeout'));
+    await logger.close();
+
+    const [warning, error] = readEntries();
+    assert.deepEqual([warning.level, warning.message], ['warning', 'Slow response from Discord']);
+    assert.deepEqual([error.level, error.message, error.error.message], ['error', 'Request failed:', 'timeout']);
+    assert.equal(printed.mock.callCount(), 1);
+});
+
+test('the log rotates by size and keeps at most maxFiles files', async () => {
+    logger = new Logger({ dir, maxFileSize: 300, maxFiles: 3 });
+
+    for (let index = 0; index < 12; index++) {
+        logger.info(`Entry ${index} ${'x'.repeat(100)}`);
+    }
+    await logger.close();
+
+    assert.deepEqual(fs.readdirSync(dir).sort(), ['bot.1.log', 'bot.2.log', 'bot.log']);
+    for (const file of ['bot.1.log', 'bot.2.log']) {
+        assert.ok(fs.statSync(path.join(dir, file)).size >= 300, file);
+    }
+
+    // Queries read back through the rotated files, newest first
+    const entries = await logger.query({ limit: 100 });
+    assert.deepEqual(entries.map(entry => entry.message.split(' ')[1]), ['11', '10', '9', '8']);
+});
+
+test('query filters by guild, plugin, level and time, newest first', async (t) => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2026, 9, 19, 12) });
+    logger = new Logger({ dir, level: 'debug' });
+
+    logger.info('Bot started');
+    t.mock.timers.tick(60000);
+    logger.info('Level up', { plugin: 'levelingPlugin', guildId: 'g1' });
+    logger.warn('Word blocked', { plugin: 'wordfilterPlugin', guildId: 'g1' });
+    t.mock.timers.tick(60000);
+    logger.error('Save failed', { plugin: 'levelingPlugin', guildId: 'g2' });
+    logger.debug('Cache hit', { plugin: 'levelingPlugin', guildId: 'g1' });
+    await logger.close();
+
+    const messages = async filters => (await logger.query(filters)).map(entry => entry.message);
+    assert.deepEqual(await messages({}), ['Cache hit', 'Save failed', 'Word blocked', 'Level up', 'Bot started']);
+    assert.deepEqual(await messages({ guildId: 'g1' }), ['Cache hit', 'Word blocked', 'Level up']);
+    assert.deepEqual(await messages({ guildId: 'g2', includeUnscoped: true }), ['Save failed', 'Bot started']);
+    assert.deepEqual(await messages({ plugin: 'levelingPlugin', level: 'info, error' }), ['Save failed', 'Level up']);
+    assert.deepEqual(await messages({ from: '2026-10-19T12:01:00Z', to: '2026-10-19T12:01:30Z' }), ['Word blocked', 'Level up']);
+    assert.deepEqual(await messages({ limit: '2' }), ['Cache hit', 'Save failed']);
+});
+
+test('lines cut off by a crash are skipped', async () => {
+    fs.writeFileSync(path.join(dir, 'bot.log'), `${JSON.stringify({ timestamp: new Date().toISOString(), level: 'info', message: 'Before' })}\n{"timestamp":"20`);
+    logger = new Logger({ dir });
+
+    assert.deepEqual((await logger.query()).map(entry => entry.message), ['Before']);
+});
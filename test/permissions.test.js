@@ -0,0 +1,198 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PermissionsBitField } = require('discord.js');
+const { createStorage } = require('../storage');
+const { PermissionManager } = require('../lib/permissions');
+
+const OWNER = '100000000000000001';
+const ADMIN = '100000000000000002';
+const MOD = '100000000000000003';
+const VIEWER = '100000000000000004';
+const STRANGER = '100000000000000005';
+const MOD_ROLE = '200000000000000001';
+
+let dataDir;
+let storage;
+let client;
+
+// A guild whose members are given as { userId: { roleIds, admin } }
+function fakeGuild(id, ownerId, members) {
+    const guild = { id, ownerId, roles: { cache: new Map([[id, {}], [MOD_ROLE, {}]]) } };
+    guild.members = {
+        fetch: async userId => {
+            const member = members[userId];
+            if (!member) throw new Error('Unknown Member');
+            return {
+                id: userId,
+                guild,
+                roles: { cache: new Map((member.roleIds || []).map(roleId => [roleId, {}])) },
+                permissions: { has: flag => flag === PermissionsBitField.Flags.Administrator && member.admin === true }
+            };
+        }
+    };
+    return guild;
+}
+
+function fakeResponse() {
+    return {
+        statusCode: 200,
+        body: null,
+        status(code) { this.statusCode = code; return this; },
+        json(body) { this.body = body; return this; }
+    };
+}
+
+// Runs middleware and resolves with whether it called next()
+function run(middleware, req) {
+    const res = fakeResponse();
+    return new Promise((resolve, reject) => {
+        const result = middleware(req, res, error => error ? reject(error) : resolve({ res, passed: true }));
+        Promise.resolve(result).then(() => resolve({ res, passed: false }), reject);
+    });
+}
+
+async function createManager() {
+    const permissions = new PermissionManager(client, storage);
+    await permissions.init();
+    return permissions;
+}
+
+beforeEach(async () => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fuji-permissions-'));
+    // Status lines on stdout get mixed into the test runner's own output
+    for (const method of ['log', 'error']) mock.method(console, method, () => {});
+
+    storage = createStorage({ driver: 'json', dataDir });
+    await storage.init();
+
+    client = {
+        guilds: {
+            cache: new Map([['g1', fakeGuild('g1', OWNER, {
+                [OWNER]: {},
+                [ADMIN]: { admin: true },
+                [MOD]: { roleIds: [MOD_ROLE] },
+                [VIEWER]: {},
+                [STRANGER]: {}
+            })]])
+        },
+        application: { fetch: async () => ({ owner: { id: OWNER } }) }
+    };
+});
+
+afterEach(async () => {
+    await storage.close();
+    mock.restoreAll();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('dashboard roles come from ownership, Administrator and the server mapping', async () => {
+    const permissions = await createManager();
+    await permissions.setConfig('g1', {
+        roles: { moderator: { roleIds: [MOD_ROLE] }, viewer: { userIds: [VIEWER, MOD] } }
+    });
+
+    assert.equal(await permissions.getDashboardRole(OWNER, 'g1'), 'owner');
+    assert.equal(await permissions.getDashboardRole(ADMIN, 'g1'), 'admin');
+    // Mapped as both moderator (by role) and viewer (by user): the higher role wins
+    assert.equal(await permissions.getDashboardRole(MOD, 'g1'), 'moderator');
+    assert.equal(await permissions.getDashboardRole(VIEWER, 'g1'), 'viewer');
+    assert.equal(await permissions.getDashboardRole(STRANGER, 'g1'), null);
+});
+
+test('unknown servers and members have no access', async () => {
+    const permissions = await createManager();
+
+    assert.equal(await permissions.getDashboardRole(OWNER, 'missing'), null);
+    assert.equal(await permissions.getDashboardRole('999', 'g1'), null);
+});
+
+test('by default viewers can view and moderators can also manage', async () => {
+    const permissions = await createManager();
+
+    assert.equal(permissions.isAllowed('viewer', 'g1', 'levelingPlugin', 'view'), true);
+    assert.equal(permissions.isAllowed('viewer', 'g1', 'levelingPlugin', 'manage'), false);
+    assert.equal(permissions.isAllowed('moderator', 'g1', 'levelingPlugin', 'manage'), true);
+    assert.equal(permissions.isAllowed(null, 'g1', 'dashboard', 'view'), false);
+});
+
+test('servers can raise what a scope requires, but never delegate editing permissions below admin', async () => {
+    const permissions = await createManager();
+    await permissions.setConfig('g1', {
+        scopes: { audit: { view: 'admin', manage: 'admin' }, permissions: { view: 'viewer', manage: 'viewer' } }
+    });
+
+    assert.equal(permissions.isAllowed('moderator', 'g1', 'audit', 'view'), false);
+    assert.equal(permissions.isAllowed('admin', 'g1', 'audit', 'view'), true);
+    assert.equal(permissions.isAllowed('moderator', 'g1', 'permissions', 'manage'), false);
+    assert.equal(permissions.isAllowed('admin', 'g1', 'permissions', 'manage'), true);
+    // Other servers keep the defaults
+    assert.equal(permissions.isAllowed('moderator', 'g2', 'audit', 'view'), true);
+});
+
+test('saved configs are loaded again on startup', async () => {
+    let permissions = await createManager();
+    await permissions.setConfig('g1', { roles: { viewer: { userIds: [VIEWER] } } });
+
+    permissions = await createManager();
+    assert.equal(await permissions.getDashboardRole(VIEWER, 'g1'), 'viewer');
+});
+
+test('validateConfig rejects configs that cannot be saved', async () => {
+    const permissions = await createManager();
+    const guild = client.guilds.cache.get('g1');
+    const scopes = ['dashboard', 'levelingPlugin'];
+    const validate = config => permissions.validateConfig(guild, permissions.normalizeConfig(config), scopes);
+
+    assert.equal(validate({ roles: { moderator: { roleIds: [MOD_ROLE], userIds: [VIEWER] } }, scopes: { dashboard: { manage: 'admin' } } }), null);
+    assert.equal(validate({ roles: { admin: { roleIds: ['300000000000000000'] } } }), 'One of the admin roles no longer exists');
+    assert.equal(validate({ roles: { admin: { roleIds: ['g1'] } } }), 'One of the admin roles no longer exists');
+    assert.equal(validate({ roles: { viewer: { userIds: ['not-a-user'] } } }), 'viewer users must be Discord user IDs');
+    assert.equal(validate({ roles: { viewer: { userIds: Array(51).fill(VIEWER) } } }), 'The viewer role can be given to at most 50 roles and users');
+    assert.equal(validate({ scopes: { musicPlugin: { view: 'viewer' } } }), 'Unknown permission scope "musicPlugin"');
+    assert.equal(validate({ scopes: { dashboard: { view: 'superuser' } } }), 'Unknown dashboard role "superuser"');
+    assert.equal(validate({ scopes: { dashboard: { view: 'admin', manage: 'moderator' } } }), 'Anyone who can manage dashboard must also be able to view it');
+});
+
+test('require() checks the server from the route, body or query', async () => {
+    const permissions = await createManager();
+    const manage = permissions.require('levelingPlugin', 'manage');
+
+    const missing = await run(manage, { user: { id: MOD }, params: {}, body: {}, query: {} });
+    assert.equal(missing.res.statusCode, 400);
+
+    const denied = await run(manage, { user: { id: STRANGER }, params: { serverId: 'g1' }, body: {}, query: {} });
+    assert.equal(denied.passed, false);
+    assert.equal(denied.res.statusCode, 403);
+
+    const req = { user: { id: ADMIN }, params: {}, body: {}, query: { guildId: 'g1' } };
+    const allowed = await run(manage, req);
+    assert.equal(allowed.passed, true);
+    assert.equal(req.guildId, 'g1');
+    assert.equal(req.dashboardRole, 'admin');
+
+    assert.throws(() => permissions.require('levelingPlugin', 'delete'), /Unknown permission action "delete"/);
+});
+
+test('only the application owner or its team members count as the bot owner', async () => {
+    const permissions = await createManager();
+
+    assert.equal(await permissions.isBotOwner(OWNER), true);
+    assert.equal(await permissions.isBotOwner(ADMIN), false);
+
+    client.application.fetch = async () => ({ owner: { members: new Map([[ADMIN, {}]]) } });
+    assert.equal(await permissions.isBotOwner(ADMIN), true);
+
+    client.application.fetch = async () => { throw new Error('Not ready'); };
+    assert.equal(await permissions.isBotOwner(OWNER), false);
+
+    client.application.fetch = async () => ({ owner: { id: OWNER } });
+    const ownerOnly = permissions.requireBotOwner();
+    assert.equal((await run(ownerOnly, { user: { id: OWNER } })).passed, true);
+
+    const denied = await run(ownerOnly, { user: { id: ADMIN } });
+    assert.equal(denied.res.statusCode, 403);
+    assert.deepEqual(denied.res.body, { error: 'Only the bot owner can do this' });
+});
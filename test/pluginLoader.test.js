@@ -0,0 +1,259 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const express = require('express');
+const { createStorage } = require('../storage');
+const PluginLoader = require('../plugins/pluginLoader').constructor;
+
+let root;
+let storage;
+
+beforeEach(async () => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'fuji-plugins-'));
+    fs.mkdirSync(path.join(root, 'plugins'));
+    fs.mkdirSync(path.join(root, 'data'));
+    // Plugins record the order they were constructed in here
+    fs.writeFileSync(path.join(root, 'order.js'), 'module.exports = [];');
+
+    // Load messages on stdout get mixed into the test runner's own output
+    for (const method of ['log', 'warn', 'error']) mock.method(console, method, () => {});
+
+    storage = createStorage({ driver: 'json', dataDir: path.join(root, 'data') });
+    await storage.init();
+});
+
+afterEach(async () => {
+    await storage.close();
+    mock.restoreAll();
+    fs.rmSync(root, { recursive: true, force: true });
+});
+
+// Writes plugins/<id>.js declaring the given API version and dependencies
+function writePlugin(id, { apiVersion, dependencies, optionalDependencies, constructorBody = '' } = {}) {
+    const statics = [
+        apiVersion && `static apiVersion = '${apiVersion}';`,
+        dependencies && `static dependencies = ${JSON.stringify(dependencies)};`,
+        optionalDependencies && `static optionalDependencies = ${JSON.stringify(optionalDependencies)};`
+    ].filter(Boolean).join('\n    ');
+
+    fs.writeFileSync(path.join(root, 'plugins', `${id}.js`), `
+const order = require('../order');
+class Plugin {
+    ${statics}
+    constructor(app, client, ensureAuthenticated, requirePermission, context) {
+        order.push('${id}');
+        this.name = '${id}';
+        ${constructorBody}
+    }
+}
+module.exports = Plugin;
+`);
+}
+
+async function loadAll() {
+    const loader = new PluginLoader();
+    loader.pluginDir = path.join(root, 'plugins');
+    await loader.loadPlugins(express(), new EventEmitter(), (req, res, next) => next(), () => (req, res, next) => next(), { storage });
+    return loader;
+}
+
+function statusOf(loader) {
+    return Object.fromEntries(loader.getPluginInfo().map(info => [info.id, info.status]));
+}
+
+function loadOrder() {
+    return require(path.join(root, 'order.js'));
+}
+
+test('dependencies are constructed before the plugins that use them', async () => {
+    writePlugin('aPlugin', {
+        dependencies: { zPlugin: '^1.0.0' },
+        constructorBody: "this.z = context.services.get('z');"
+    });
+    writePlugin('mPlugin');
+    writePlugin('zPlugin', {
+        apiVersion: '1.2.0',
+        constructorBody: "context.services.register('z', { ping: () => 'pong' });"
+    });
+
+    const loader = await loadAll();
+    const order = loadOrder();
+
+    assert.ok(order.indexOf('zPlugin') < order.indexOf('aPlugin'));
+    assert.deepEqual(statusOf(loader), { aPlugin: 'running', mPlugin: 'running', zPlugin: 'running' });
+    assert.equal(loader.entries.get('aPlugin').plugin.z.ping(), 'pong');
+    assert.deepEqual(loader.getDependents('zPlugin'), ['aPlugin']);
+});
+
+test('chains of dependencies load in order', async () => {
+    writePlugin('aPlugin', { dependencies: { bPlugin: '*' } });
+    writePlugin('bPlugin', { apiVersion: '1.0.0', dependencies: { cPlugin: '*' } });
+    writePlugin('cPlugin', { apiVersion: '1.0.0' });
+
+    await loadAll();
+
+    assert.deepEqual(loadOrder(), ['cPlugin', 'bPlugin', 'aPlugin']);
+});
+
+test('optional dependencies load first when present and are skipped when missing', async () => {
+    writePlugin('aPlugin', { optionalDependencies: { zPlugin: '^1.0.0', ghostPlugin: '^1.0.0' } });
+    writePlugin('zPlugin', { apiVersion: '1.0.0' });
+
+    const loader = await loadAll();
+
+    assert.deepEqual(loadOrder(), ['zPlugin', 'aPlugin']);
+    assert.deepEqual(statusOf(loader), { aPlugin: 'running', zPlugin: 'running' });
+    assert.deepEqual(loader.entries.get('aPlugin').warnings, []);
+});
+
+test('an incompatible optional dependency is a warning, not a failure', async () => {
+    writePlugin('aPlugin', { optionalDependencies: { zPlugin: '^2.0.0' } });
+    writePlugin('zPlugin', { apiVersion: '1.0.0' });
+
+    const loader = await loadAll();
+
+    assert.equal(statusOf(loader).aPlugin, 'running');
+    assert.deepEqual(loader.entries.get('aPlugin').warnings, [
+        'Optional dependency: aPlugin requires zPlugin ^2.0.0, but version 1.0.0 is loaded'
+    ]);
+});
+
+test('plugins with a missing, failed or incompatible dependency are marked as failed', async () => {
+    writePlugin('missingPlugin', { dependencies: { ghostPlugin: '^1.0.0' } });
+    writePlugin('oldPlugin', { dependencies: { basePlugin: '^2.0.0' } });
+    writePlugin('basePlugin', { apiVersion: '1.4.0' });
+    writePlugin('brokenPlugin', { apiVersion: '1.0.0', constructorBody: "throw new Error('boom');" });
+    writePlugin('userPlugin', { dependencies: { brokenPlugin: '^1.0.0' } });
+
+    const loader = await loadAll();
+    const info = Object.fromEntries(loader.getPluginInfo().map(plugin => [plugin.id, plugin]));
+
+    assert.equal(info.basePlugin.status, 'running');
+    assert.equal(info.missingPlugin.error, 'missingPlugin requires ghostPlugin, which is not installed');
+    assert.equal(info.oldPlugin.error, 'oldPlugin requires basePlugin ^2.0.0, but version 1.4.0 is loaded');
+    assert.equal(info.brokenPlugin.error, 'boom');
+    assert.equal(info.userPlugin.error, 'userPlugin requires brokenPlugin, which failed to load');
+    assert.deepEqual(loader.plugins.map(plugin => plugin.name), ['basePlugin']);
+});
+
+test('plugins in a dependency cycle fail without blocking the rest', async () => {
+    writePlugin('aPlugin', { apiVersion: '1.0.0', dependencies: { bPlugin: '*' } });
+    writePlugin('bPlugin', { apiVersion: '1.0.0', dependencies: { aPlugin: '*' } });
+    writePlugin('cPlugin');
+
+    const loader = await loadAll();
+    const info = Object.fromEntries(loader.getPluginInfo().map(plugin => [plugin.id, plugin]));
+
+    assert.deepEqual(loadOrder(), ['cPlugin']);
+    assert.equal(info.aPlugin.status, 'failed');
+    assert.equal(info.bPlugin.status, 'failed');
+    assert.match(info.aPlugin.error, /^Dependency cycle between aPlugin, bPlugin$/);
+});
+
+test('orderPlugins keeps directory order for plugins without dependencies', () => {
+    const loader = new PluginLoader();
+    const candidate = (id, dependencies = {}) => ({ id, dependencies, optionalDependencies: {} });
+
+    const { ordered, cyclic } = loader.orderPlugins([
+        candidate('aPlugin'),
+        candidate('bPlugin', { dPlugin: '*' }),
+        candidate('cPlugin'),
+        candidate('dPlugin')
+    ]);
+
+    assert.deepEqual(ordered.map(entry => entry.id), ['aPlugin', 'cPlugin', 'dPlugin', 'bPlugin']);
+    assert.deepEqual(cyclic, []);
+});
+
+test('a plugin turned off in one guild skips that guild\'s events and routes', async () => {
+    writePlugin('aPlugin', {
+        constructorBody: `
+        client.on('messageCreate', message => order.push('message ' + message.guild.id));
+        context.events.on('level.up', payload => order.push('level ' + payload.guildId));
+        app.get('/api/plugins/a/:guildId', (req, res) => res.json({ guildId: req.params.guildId }));`
+    });
+    const loader = await loadAll();
+
+    await loader.setEnabledForGuild('aPlugin', 'g2', false);
+    assert.deepEqual(await storage.collection('plugins.guilds').get('g2'), { aPlugin: false });
+    assert.equal(loader.isEnabledForGuild('aPlugin', 'g1'), true);
+
+    for (const guildId of ['g1', 'g2']) {
+        loader.client.emit('messageCreate', { guild: { id: guildId } });
+        await loader.events.publish('level.up', { userId: 'u1', guildId, newLevel: 2, oldLevel: 1 });
+    }
+    assert.deepEqual(loadOrder().slice(1), ['message g1', 'level g1']);
+
+    const server = loader.app.listen(0, '127.0.0.1');
+    await new Promise(resolve => server.once('listening', resolve));
+    try {
+        const url = guildId => `http://127.0.0.1:${server.address().port}/api/plugins/a/${guildId}`;
+        assert.deepEqual(await (await fetch(url('g1'))).json(), { guildId: 'g1' });
+        const disabled = await fetch(url('g2'));
+        assert.equal(disabled.status, 403);
+        assert.deepEqual(await disabled.json(), { error: 'This plugin is disabled for this server' });
+    } finally {
+        server.closeAllConnections();
+        server.close();
+    }
+
+    await loader.setEnabledForGuild('aPlugin', 'g2', true);
+    loader.client.emit('messageCreate', { guild: { id: 'g2' } });
+    assert.equal(loadOrder().at(-1), 'message g2');
+    await assert.rejects(loader.setEnabledForGuild('ghostPlugin', 'g1', false), /Plugin "ghostPlugin" is not loaded/);
+});
+
+// A plugin that registers a service and a client listener and records when it stops
+function writeVersionedPlugin(id, version, constructorBody = '') {
+    writePlugin(id, {
+        apiVersion: version,
+        constructorBody: `
+        context.services.register('${id}', { version: () => '${version}' });
+        client.on('messageCreate', () => order.push('${id} ${version} message'));
+        this.stop = () => order.push('${id} ${version} stop');
+        ${constructorBody}`
+    });
+}
+
+test('reloading swaps in the new version and drops the old one\'s listeners and services', async () => {
+    writeVersionedPlugin('aPlugin', '1.0.0');
+    const loader = await loadAll();
+
+    writeVersionedPlugin('aPlugin', '1.1.0');
+    await loader.reloadPlugin('aPlugin');
+
+    loader.client.emit('messageCreate', { guild: { id: 'g1' } });
+    assert.deepEqual(loadOrder(), ['aPlugin', 'aPlugin 1.0.0 stop', 'aPlugin', 'aPlugin 1.1.0 message']);
+    assert.equal(loader.client.listenerCount('messageCreate'), 1);
+    assert.equal(loader.services.get('aPlugin').version(), '1.1.0');
+    assert.equal(statusOf(loader).aPlugin, 'running');
+});
+
+test('a version that fails to start is rolled back to the previous one', async () => {
+    writeVersionedPlugin('aPlugin', '1.0.0');
+    const loader = await loadAll();
+
+    writeVersionedPlugin('aPlugin', '1.1.0', "throw new Error('bad config');");
+    await assert.rejects(loader.reloadPlugin('aPlugin'), /bad config/);
+
+    const [info] = loader.getPluginInfo();
+    assert.deepEqual({ status: info.status, error: info.error }, { status: 'running', error: 'bad config' });
+    assert.equal(loader.services.get('aPlugin').version(), '1.0.0');
+    assert.equal(loader.client.listenerCount('messageCreate'), 1);
+});
+
+test('a reload that would break a dependent keeps the running version', async () => {
+    writeVersionedPlugin('aPlugin', '1.0.0');
+    writePlugin('bPlugin', { dependencies: { aPlugin: '^1.0.0' } });
+    const loader = await loadAll();
+
+    writeVersionedPlugin('aPlugin', '2.0.0');
+    await assert.rejects(loader.reloadPlugin('aPlugin'), /bPlugin requires aPlugin \^1.0.0, but the new version is 2.0.0/);
+
+    assert.deepEqual(statusOf(loader), { aPlugin: 'running', bPlugin: 'running' });
+    assert.equal(loader.services.get('aPlugin').version(), '1.0.0');
+    assert.ok(!loadOrder().includes('aPlugin 1.0.0 stop'));
+});
@@ -0,0 +1,100 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { PassThrough } = require('stream');
+const PImage = require('pureimage');
+const { renderRankCard, validateTheme } = require('../lib/rankCard');
+
+const card = {
+    username: 'fuji',
+    level: 4,
+    rank: 2,
+    xp: 1700,
+    currentLevelXP: 100,
+    nextLevelXP: 900,
+    stats: { messages: 120, voiceTime: 3600000, reactions: 8 }
+};
+
+let server;
+let baseURL;
+let images;
+
+async function encodePNG(image) {
+    const output = new PassThrough();
+    const chunks = [];
+    output.on('data', chunk => chunks.push(chunk));
+    await PImage.encodePNGToStream(image, output);
+    return Buffer.concat(chunks);
+}
+
+function pngSize(buffer) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+before(async () => {
+    const small = await encodePNG(PImage.make(40, 30));
+    // Claims to be 100000×100000, which would take 40 GB to decode
+    const bomb = Buffer.from(small);
+    bomb.writeUInt32BE(100000, 16);
+    bomb.writeUInt32BE(100000, 20);
+    images = { '/small.png': small, '/bomb.png': bomb, '/notes.txt': Buffer.from('not an image') };
+
+    server = http.createServer((req, res) => {
+        if (req.url === '/huge.png') {
+            res.setHeader('content-length', String(20 * 1024 * 1024));
+            return res.end();
+        }
+        if (!images[req.url]) {
+            res.statusCode = 404;
+            return res.end();
+        }
+        res.end(images[req.url]);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+    server.closeAllConnections();
+    server.close();
+});
+
+test('theme validation', () => {
+    assert.equal(validateTheme({ accentColor: '#5865F2', backgroundImage: 'https://example.com/bg.png', overlayOpacity: 0.4 }), null);
+    assert.equal(validateTheme({ backgroundImage: '' }), null);
+    assert.match(validateTheme({ textColor: 'red' }), /textColor must be a hex color/);
+    assert.match(validateTheme({ backgroundImage: 'http://example.com/bg.png' }), /https:\/\//);
+    assert.match(validateTheme({ overlayOpacity: 1.5 }), /between 0 and 1/);
+    assert.match(validateTheme(null), /must be an object/);
+});
+
+test('renders a PNG card, with or without a background image', async () => {
+    const plain = await renderRankCard(card);
+    assert.deepEqual(pngSize(plain), { width: 934, height: 282 });
+
+    const warnings = [];
+    const logger = { warn: (message, fields) => warnings.push({ message, fields }) };
+    const withBackground = await renderRankCard(card, { backgroundImage: `${baseURL}/small.png` }, { logger });
+    assert.deepEqual(pngSize(withBackground), { width: 934, height: 282 });
+    assert.deepEqual(warnings, []);
+});
+
+test('backgrounds that are too large or not images are skipped with a warning', async () => {
+    const cases = {
+        '/bomb.png': /larger than 4096×4096/,
+        '/huge.png': /too large/,
+        '/notes.txt': /Unsupported image format/,
+        '/missing.png': /status 404/
+    };
+
+    for (const [file, reason] of Object.entries(cases)) {
+        const warnings = [];
+        const logger = { warn: (message, fields) => warnings.push({ message, fields }) };
+        const rendered = await renderRankCard(card, { backgroundImage: `${baseURL}${file}` }, { logger, fields: { guildId: 'g1' } });
+
+        assert.deepEqual(pngSize(rendered), { width: 934, height: 282 });
+        assert.equal(warnings.length, 1, file);
+        assert.match(warnings[0].message, reason);
+        assert.deepEqual(warnings[0].fields, { guildId: 'g1' });
+    }
+});
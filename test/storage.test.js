@@ -0,0 +1,157 @@
+const { test, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createStorage } = require('../storage');
+
+let dataDir;
+
+beforeEach(() => {
+    dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fuji-storage-'));
+    // Status lines on stdout get mixed into the test runner's own output
+    mock.method(console, 'log', () => {});
+});
+
+afterEach(() => {
+    mock.restoreAll();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+async function open(driver) {
+    const storage = createStorage({ driver, dataDir });
+    await storage.init();
+    return storage;
+}
+
+for (const driver of ['json', 'sqlite']) {
+    test(`${driver}: get, set, has and delete`, async () => {
+        const storage = await open(driver);
+        const settings = storage.collection('wordfilter.settings');
+
+        assert.equal(await settings.get('g1'), undefined);
+        assert.deepEqual(await settings.get('g1', { enabled: false }), { enabled: false });
+
+        await settings.set('g1', { enabled: true, blockedWords: ['a'] });
+        assert.deepEqual(await settings.get('g1'), { enabled: true, blockedWords: ['a'] });
+        assert.equal(await settings.has('g1'), true);
+
+        // Setting undefined removes the key
+        await settings.set('g1', undefined);
+        assert.equal(await settings.has('g1'), false);
+
+        await settings.set('g2', { enabled: true });
+        await settings.delete('g2');
+        assert.deepEqual(await settings.keys(), []);
+
+        await storage.close();
+    });
+
+    test(`${driver}: update, replace and setMany`, async () => {
+        const storage = await open(driver);
+        const audit = storage.collection('leveling.audit');
+
+        const events = await audit.update('events', list => [{ type: 'a' }, ...list], []);
+        assert.deepEqual(events, [{ type: 'a' }]);
+
+        // An updater that returns nothing keeps the current value
+        assert.deepEqual(await audit.update('events', () => undefined, []), [{ type: 'a' }]);
+
+        await audit.setMany({ x: 1, y: 2 });
+        assert.deepEqual(await audit.all(), { events: [{ type: 'a' }], x: 1, y: 2 });
+
+        await audit.replace({ z: 3 });
+        assert.deepEqual(await audit.all(), { z: 3 });
+
+        await storage.close();
+    });
+
+    test(`${driver}: concurrent updates to one key each see the previous result`, async () => {
+        const storage = await open(driver);
+        const counters = storage.collection('leveling.settings');
+
+        await Promise.all(Array.from({ length: 20 }, () => counters.update('g1', async count => {
+            await new Promise(resolve => setImmediate(resolve));
+            return count + 1;
+        }, 0)));
+        assert.equal(await counters.get('g1'), 20);
+
+        // A failed update doesn't block the ones queued behind it
+        await assert.rejects(counters.update('g1', () => { throw new Error('boom'); }), /boom/);
+        assert.equal(await counters.update('g1', count => count + 1), 21);
+
+        await storage.close();
+    });
+
+    test(`${driver}: data survives reopening`, async () => {
+        let storage = await open(driver);
+        await storage.collection('leveling.users').set('u1', { g1: { xp: 120, level: 1 } });
+        await storage.close();
+
+        storage = await open(driver);
+        assert.deepEqual(await storage.collection('leveling.users').get('u1'), { g1: { xp: 120, level: 1 } });
+        await storage.close();
+    });
+
+    test(`${driver}: collections sharing a file keep their own sections`, async () => {
+        const storage = await open(driver);
+        const users = storage.collection('reputation.users');
+        const history = storage.collection('reputation.history');
+
+        await Promise.all([
+            users.set('u1', { score: 5 }),
+            history.set('u1', [{ from: 'u2' }])
+        ]);
+
+        assert.deepEqual(await users.all(), { u1: { score: 5 } });
+        assert.deepEqual(await history.all(), { u1: [{ from: 'u2' }] });
+
+        await storage.close();
+    });
+}
+
+test('json: writes the files plugins have always used', async () => {
+    const storage = await open('json');
+    await storage.collection('reputation.users').set('u1', { score: 5 });
+    await storage.collection('myplugin.settings').set('g1', { on: true });
+    await storage.close();
+
+    const reputation = JSON.parse(fs.readFileSync(path.join(dataDir, 'reputationData.json'), 'utf8'));
+    assert.deepEqual(reputation.users, { u1: { score: 5 } });
+
+    // Collections without a layout get <name>.json
+    const unlisted = JSON.parse(fs.readFileSync(path.join(dataDir, 'myplugin.settings.json'), 'utf8'));
+    assert.deepEqual(unlisted, { g1: { on: true } });
+});
+
+test('json: concurrent writes to one file are all kept', async () => {
+    const storage = await open('json');
+    const settings = storage.collection('autorole.settings');
+
+    await Promise.all(Array.from({ length: 20 }, (_, index) => settings.set(`g${index}`, { index })));
+
+    assert.equal((await settings.keys()).length, 20);
+    await storage.close();
+});
+
+test('json: refuses to overwrite a file it cannot parse', async () => {
+    fs.writeFileSync(path.join(dataDir, 'autoRoleSettings.json'), '{ not json');
+    const storage = await open('json');
+
+    await assert.rejects(storage.collection('autorole.settings').set('g1', {}), /Refusing to overwrite/);
+    assert.equal(fs.readFileSync(path.join(dataDir, 'autoRoleSettings.json'), 'utf8'), '{ not json');
+
+    await storage.close();
+});
+
+test('sqlite: imports existing JSON files the first time a collection is used', async () => {
+    fs.writeFileSync(path.join(dataDir, 'levelingData.json'), JSON.stringify({ users: { u1: { g1: { xp: 50 } } } }));
+
+    const storage = await open('sqlite');
+    assert.deepEqual(await storage.collection('leveling.users').get('u1'), { g1: { xp: 50 } });
+    await storage.close();
+});
+
+test('unknown drivers are rejected', () => {
+    assert.throws(() => createStorage({ driver: 'mongo', dataDir }), /Unknown storage driver "mongo"/);
+});